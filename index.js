@@ -2,6 +2,7 @@
 import express from "express";
 import crypto from "crypto";
 import compression from "compression";
+import getSwaggerUiPath from "swagger-ui-dist/absolute-path.js";
 
 // Import des utilitaires et état centralisé
 import {
@@ -16,13 +17,25 @@ import {
   createLogger,
   logger,
   errorHandler,
-  handleCacheControl
+  handleCacheControl,
+  providerGuard,
+  getProviderGuardStates,
+  authenticate,
+  requireScope,
+  getFsrSessionId,
+  recordRouteRequest,
+  renderOpenMetrics,
+  resetOpenMetrics,
+  OPENMETRICS_CONTENT_TYPE,
+  asyncHandler
 } from './lib/utils/index.js';
 
 // Import de la configuration centralisée (seulement ce qui est nécessaire pour index.js)
 import {
   API_VERSION,
-  FSR_BASE
+  FSR_BASE,
+  AUTH_MODE,
+  ADMIN_TOKEN
 } from './lib/config.js';
 
 // Import du module base de données (cache PostgreSQL)
@@ -38,6 +51,11 @@ import {
 
 // Import des background jobs
 import { startBackgroundJobs, stopBackgroundJobs, getJobStats } from './lib/database/background-jobs.js';
+import { startJobQueue, stopJobQueue } from './lib/database/job-queue.js';
+import { startPriceWatch, stopPriceWatch } from './lib/database/price-watch.js';
+import { startFollowWatch, stopFollowWatch } from './lib/database/follows.js';
+import { startVault, stopVault } from './lib/database/credential-vault.js';
+import { getOpenApiSpec, getEndpointIndex, renderOpenApiViewer } from './lib/schemas/openapi.js';
 
 const log = createLogger('Server');
 
@@ -89,13 +107,23 @@ import {
   bggScrapeRouter,
   proxyRouter,
   localRouter,
+  collectionRouter,
+  pricewatchRouter,
+  documentsRouter,
+  identifyRouter,
+  seriesRouter,
+  followsRouter,
+  calendarRouter,
+  tokensRouter,
+  vaultRouter,
   tcgPokemonRouter,
   tcgMtgRouter,
   tcgYugiohRouter,
   tcgLorcanaRouter,
   tcgDigimonRouter,
   tcgOnePieceRouter,
-  tcgCarddassRouter
+  tcgCarddassRouter,
+  searchRouter
 } from './routes/index.js';
 
 // Import du monitoring
@@ -123,7 +151,7 @@ app.use(express.json({ limit: '1mb' }));
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
@@ -154,6 +182,7 @@ app.use((req, res, next) => {
     const duration = Date.now() - startTime;
     metrics.responseTimeSum += duration;
     metrics.responseTimeCount++;
+    recordRouteRequest(req, res.statusCode, duration);
   });
   
   next();
@@ -162,6 +191,9 @@ app.use((req, res, next) => {
 // Middleware pour gérer le bypass du cache (paramètre noCache ou fresh)
 app.use(handleCacheControl);
 
+// Tokens clients : scopes, quotas journaliers (cf. AUTH_MODE)
+app.use(authenticate);
+
 // Middleware pour ajouter X-Response-Time sur toutes les réponses
 app.use((req, res, next) => {
   const startTime = Date.now();
@@ -187,6 +219,11 @@ if (isEncryptionEnabled()) {
   log.info("Chiffrement des clés API désactivé");
 }
 
+log.info(`Authentification par token: ${AUTH_MODE}`);
+if (AUTH_MODE !== 'off' && !ADMIN_TOKEN && !DB_ENABLED) {
+  log.warn("Routes admin inaccessibles : définissez ADMIN_TOKEN ou activez la base de données");
+}
+
 // Initialisation de la base de données PostgreSQL (cache local)
 let dbInitialized = false;
 if (DB_ENABLED) {
@@ -208,82 +245,86 @@ if (DB_ENABLED) {
 // MONTAGE DES ROUTERS (Phase 3)
 // ============================================================================
 
+// Circuit breaker par provider (cf. PROVIDER_GUARDS) : 503 + Retry-After si ouvert.
+// Échecs comptés sur les appels amont ; Amazon signale lui-même les siens (détection robot).
+const amazonGuard = providerGuard('amazon');
+
 // Amazon - routes par catégorie (conformes aux appels du site web)
-app.use('/amazon', amazonRouter);           // Legacy /amazon/* (rétrocompatibilité)
-app.use('/amazon_generic', amazonGenericRouter);
-app.use('/amazon_books', amazonBooksRouter);
-app.use('/amazon_movies', amazonMoviesRouter);
-app.use('/amazon_music', amazonMusicRouter);
-app.use('/amazon_toys', amazonToysRouter);
-app.use('/amazon_videogames', amazonVideogamesRouter);
+app.use('/amazon', amazonGuard, amazonRouter);  // Legacy /amazon/* (rétrocompatibilité)
+app.use('/amazon_generic', amazonGuard, amazonGenericRouter);
+app.use('/amazon_books', amazonGuard, amazonBooksRouter);
+app.use('/amazon_movies', amazonGuard, amazonMoviesRouter);
+app.use('/amazon_music', amazonGuard, amazonMusicRouter);
+app.use('/amazon_toys', amazonGuard, amazonToysRouter);
+app.use('/amazon_videogames', amazonGuard, amazonVideogamesRouter);
 
 // Jouets de construction
-app.use('/lego', legoRouter);
-app.use('/rebrickable', rebrickableRouter);
-app.use('/mega', megaRouter);
-app.use('/playmobil', playmobilRouter);
-app.use('/klickypedia', klickypediaRouter);
+app.use('/lego', providerGuard('lego'), legoRouter);
+app.use('/rebrickable', providerGuard('rebrickable'), rebrickableRouter);
+app.use('/mega', providerGuard('mega'), megaRouter);
+app.use('/playmobil', providerGuard('playmobil'), playmobilRouter);
+app.use('/klickypedia', providerGuard('klickypedia'), klickypediaRouter);
 
 // Utilitaires
 app.use('/barcode', barcodeRouter);
 app.use('/music', musicRouter);
 
 // Livres
-app.use('/googlebooks', googleBooksRouter);
-app.use('/openlibrary', openLibraryRouter);
+app.use('/googlebooks', providerGuard('googlebooks'), googleBooksRouter);
+app.use('/openlibrary', providerGuard('openlibrary'), openLibraryRouter);
 
 // Authors (recherche par auteur multi-providers)
 app.use('/authors', authorsRouter);
 
 // Trading Card Games (TCG)
-app.use('/tcg_pokemon', tcgPokemonRouter);
-app.use('/tcg_mtg', tcgMtgRouter);
-app.use('/tcg_yugioh', tcgYugiohRouter);
-app.use('/tcg_lorcana', tcgLorcanaRouter);
-app.use('/tcg_digimon', tcgDigimonRouter);
-app.use('/tcg_onepiece', tcgOnePieceRouter);
+app.use('/tcg_pokemon', providerGuard('tcg_pokemon'), tcgPokemonRouter);
+app.use('/tcg_mtg', providerGuard('tcg_mtg'), tcgMtgRouter);
+app.use('/tcg_yugioh', providerGuard('tcg_yugioh'), tcgYugiohRouter);
+app.use('/tcg_lorcana', providerGuard('tcg_lorcana'), tcgLorcanaRouter);
+app.use('/tcg_digimon', providerGuard('tcg_digimon'), tcgDigimonRouter);
+app.use('/tcg_onepiece', providerGuard('tcg_onepiece'), tcgOnePieceRouter);
 app.use('/tcg_carddass', tcgCarddassRouter);
 
 // Jeux vidéo
-app.use('/rawg', rawgRouter);
-app.use('/igdb', igdbRouter);
-app.use('/jeuxvideo', jeuxvideoRouter);  // Renommé depuis /jvc
+app.use('/rawg', providerGuard('rawg'), rawgRouter);
+app.use('/igdb', providerGuard('igdb'), igdbRouter);
+app.use('/jeuxvideo', providerGuard('jvc'), jeuxvideoRouter);  // Renommé depuis /jvc
 
 // Films & Séries (recherche globale)
-app.use('/tvdb', tvdbRouter);
-app.use('/tmdb', tmdbRouter);
-app.use('/imdb', imdbRouter);
+app.use('/tvdb', providerGuard('tvdb'), tvdbRouter);
+app.use('/tmdb', providerGuard('tmdb'), tmdbRouter);
+app.use('/imdb', providerGuard('imdb'), imdbRouter);
 
 // Films & Séries (routes dédiées)
-app.use('/tmdb_movies', tmdbMoviesRouter);
-app.use('/tmdb_series', tmdbSeriesRouter);
-app.use('/tvdb_movies', tvdbMoviesRouter);
-app.use('/tvdb_series', tvdbSeriesRouter);
-app.use('/imdb_movies', imdbMoviesRouter);
-app.use('/imdb_series', imdbSeriesRouter);
+app.use('/tmdb_movies', providerGuard('tmdb'), tmdbMoviesRouter);
+app.use('/tmdb_series', providerGuard('tmdb'), tmdbSeriesRouter);
+app.use('/tvdb_movies', providerGuard('tvdb'), tvdbMoviesRouter);
+app.use('/tvdb_series', providerGuard('tvdb'), tvdbSeriesRouter);
+app.use('/imdb_movies', providerGuard('imdb'), imdbMoviesRouter);
+app.use('/imdb_series', providerGuard('imdb'), imdbSeriesRouter);
 
 // Anime & Manga
-app.use('/jikan', jikanRouter);           // Legacy unifié
-app.use('/jikan_anime', jikanAnimeRouter); // Spécifique anime
-app.use('/jikan_manga', jikanMangaRouter); // Spécifique manga
+app.use('/jikan', providerGuard('jikan'), jikanRouter);           // Legacy unifié
+app.use('/jikan_anime', providerGuard('jikan'), jikanAnimeRouter); // Spécifique anime
+app.use('/jikan_manga', providerGuard('jikan'), jikanMangaRouter); // Spécifique manga
 
 // Comics & BD
-app.use('/comicvine', comicvineRouter);
-app.use('/mangadex', mangadexRouter);
-app.use('/bedetheque', bedethequeRouter);
+app.use('/comicvine', providerGuard('comicvine'), comicvineRouter);
+app.use('/mangadex', providerGuard('mangadex'), mangadexRouter);
+app.use('/bedetheque', providerGuard('bedetheque'), bedethequeRouter);
 
 // Collectibles
-app.use('/coleka', colekaRouter);
-app.use('/luluberlu', luluberluRouter);
-app.use('/consolevariations', consolevariationsRouter);
-app.use('/consolevariations_consoles', consolevariationsConsolesRouter);
-app.use('/consolevariations_accessories', consolevariationsAccessoriesRouter);
-app.use('/transformerland', transformerlandRouter);
-app.use('/paninimania', paninimanaRouter);
+app.use('/coleka', providerGuard('coleka'), colekaRouter);
+app.use('/luluberlu', providerGuard('luluberlu'), luluberluRouter);
+app.use('/consolevariations', providerGuard('consolevariations'), consolevariationsRouter);
+app.use('/consolevariations_consoles', providerGuard('consolevariations'), consolevariationsConsolesRouter);
+app.use('/consolevariations_accessories', providerGuard('consolevariations'), consolevariationsAccessoriesRouter);
+app.use('/transformerland', providerGuard('transformerland'), transformerlandRouter);
+app.use('/paninimania', providerGuard('paninimania'), paninimanaRouter);
 
 // Board Games (jeux de société)
-app.use('/bgg', bggRouter);
-app.use('/bgg_scrape', bggScrapeRouter);
+app.use('/bgg', providerGuard('bgg'), bggRouter);
+app.use('/bgg_scrape', providerGuard('bgg_scrape'), bggScrapeRouter);
 
 // Proxy (images TCG, anti-CORS)
 app.use('/proxy', proxyRouter);
@@ -291,6 +332,30 @@ app.use('/proxy', proxyRouter);
 // Local database cache (v4.0.0)
 app.use('/local', localRouter);
 
+// Collection d'items possédés (header X-User-Id)
+app.use('/collection', collectionRouter);
+app.use('/pricewatch', pricewatchRouter);
+
+// Notices PDF copiées localement (DOCUMENTS_DIR)
+app.use('/documents', documentsRouter);
+
+// Identification d'un item à partir d'une photo (pHash)
+app.use('/identify', identifyRouter);
+
+// Catalogue des séries alimenté par les providers (table series)
+app.use('/series', seriesRouter);
+
+// Suivis (séries, thèmes, auteurs, sets TCG) et calendrier des sorties
+app.use('/follows', followsRouter);
+app.use('/calendar', calendarRouter);
+
+// Tokens clients et coffre des clés providers (gestion réservée au scope admin)
+app.use('/tokens', tokensRouter);
+app.use('/vault', vaultRouter);
+
+// Recherche unifiée multi-providers
+app.use('/search', searchRouter);
+
 // Monitoring (tests de santé automatisés)
 app.use('/monitoring', monitoringRouter);
 
@@ -390,6 +455,7 @@ app.get("/health", async (req, res) => {
       avgResponseTime: `${avgResponseTime}ms`,
       sources: metrics.sources
     },
+    circuitBreakers: getProviderGuardStates(),
     compression: "gzip enabled"
   });
 });
@@ -417,104 +483,98 @@ app.get("/version", (req, res) => {
       "JeuxVideo.com jeux vidéo FR (search/details - scraping)",
       "ConsoleVariations consoles & accessories database (search/browse/details - scraping)",
       "Smart search (ID vs text detection)",
+      "Unified cross-provider search with deduplication (EAN/ISBN/IMDB)",
       "Coleka collectibles database",
       "Lulu-Berlu vintage toys",
       "Transformerland vintage Transformers",
       "Paninimania sticker albums (FR)",
       "Mega Construx search (multi-language: fr-FR, en-US, de-DE, etc.)",
       "Barcode identification (UPC, EAN, ISBN detection)",
+      "Barcode photo scan (EAN-13, UPC-A, EAN-8, ISBN, QR decoded server-side, /barcode/scan)",
       "Music search (MusicBrainz, Deezer, iTunes, Discogs)",
       "Encrypted API key support (AES-256-GCM)",
       "In-memory caching with TTL",
       "Gzip compression",
       "CORS enabled",
-      "Metrics & monitoring"
+      "Metrics & monitoring",
+      "Local mirror of building instructions & rules PDFs (/documents)",
+      "Image cache & resizing service (/proxy/image: w/h/fit, webp/avif, ETag)",
+      "Identify items from a photo by perceptual hash (/identify/image)",
+      "Cross-provider series catalogue with ordered volumes, issues and seasons (/series)",
+      "Series completion: missing and announced tomes against an owned list (/series/:source/:id/completion)",
+      "Author bibliography merged across Bedetheque, MangaDex, Google Books and Open Library (/authors/:name)",
+      "TV episodes with stable IDs for watch progress (/tmdb_series/:id/season/:n, /tvdb_series/:id/episodes)",
+      "Release calendar for followed series, themes, authors and TCG sets (/follows, /calendar, iCalendar feed, email digest)",
+      "Prometheus / OpenMetrics exporter (/metrics)",
+      "OpenAPI 3.1 specification (/openapi.json, /docs)"
     ],
-    endpoints: {
-      // Amazon - routes par catégorie
-      amazon_generic: ["/amazon_generic/search", "/amazon_generic/product/:asin", "/amazon_generic/barcode/:code", "/amazon_generic/multi"],
-      amazon_books: ["/amazon_books/search", "/amazon_books/product/:asin", "/amazon_books/barcode/:code"],
-      amazon_movies: ["/amazon_movies/search", "/amazon_movies/product/:asin", "/amazon_movies/barcode/:code"],
-      amazon_music: ["/amazon_music/search", "/amazon_music/product/:asin", "/amazon_music/barcode/:code"],
-      amazon_toys: ["/amazon_toys/search", "/amazon_toys/product/:asin", "/amazon_toys/barcode/:code"],
-      amazon_videogames: ["/amazon_videogames/search", "/amazon_videogames/product/:asin", "/amazon_videogames/barcode/:code"],
-      amazon_legacy: ["/amazon/search", "/amazon/product/:asin", "/amazon/compare/:asin", "/amazon/vpn/status", "/amazon/marketplaces"],
-      
-      // Jouets de construction
-      lego: ["/lego/search", "/lego/product/:id", "/lego/instructions/:id"],
-      rebrickable: ["/rebrickable/search", "/rebrickable/set/:setNum", "/rebrickable/set/:setNum/parts", "/rebrickable/set/:setNum/minifigs", "/rebrickable/themes", "/rebrickable/colors"],
-      mega: ["/mega/search", "/mega/product/:id", "/mega/franchise/:franchise", "/mega/instructions", "/mega/instructions/:sku", "/mega/languages"],
-      playmobil: ["/playmobil/search", "/playmobil/product/:id", "/playmobil/instructions/:id"],
-      klickypedia: ["/klickypedia/search", "/klickypedia/product/:id", "/klickypedia/set/:slug"],
-      
-      // Livres
-      googlebooks: ["/googlebooks/search", "/googlebooks/book/:volumeId", "/googlebooks/isbn/:isbn"],
-      openlibrary: ["/openlibrary/search", "/openlibrary/book/:olId", "/openlibrary/isbn/:isbn"],
-      
-      // Jeux vidéo
-      rawg: ["/rawg/search", "/rawg/game/:id"],
-      igdb: ["/igdb/search", "/igdb/game/:id"],
-      jeuxvideo: ["/jeuxvideo/search (scraping)", "/jeuxvideo/game/:id (scraping)"],
-      
-      // Films & Séries
-      tvdb: ["/tvdb/search", "/tvdb/series/:id", "/tvdb/movie/:id"],
-      tmdb: ["/tmdb/search", "/tmdb/movie/:id", "/tmdb/tv/:id"],
-      imdb: ["/imdb/search (NO API KEY)", "/imdb/title/:id (NO API KEY)", "/imdb/browse (NO API KEY)"],
-      
-      // Anime & Manga
-      jikan: ["/jikan/search", "/jikan/details (NO API KEY)"],
-      jikan_anime: ["/jikan_anime/search", "/jikan_anime/details", "/jikan_anime/:id (NO API KEY)"],
-      jikan_manga: ["/jikan_manga/search", "/jikan_manga/details", "/jikan_manga/:id (NO API KEY)"],
-      
-      // Comics & BD
-      comicvine: ["/comicvine/search", "/comicvine/volume/:id", "/comicvine/issue/:id"],
-      mangadex: ["/mangadex/search (NO API KEY)", "/mangadex/manga/:id (NO API KEY)"],
-      bedetheque: ["/bedetheque/search (scraping)", "/bedetheque/serie/:id (scraping)", "/bedetheque/album/:id (scraping)"],
-      
-      // Collectibles
-      coleka: ["/coleka/search", "/coleka/item"],
-      luluberlu: ["/luluberlu/search", "/luluberlu/item/:id"],
-      transformerland: ["/transformerland/search", "/transformerland/item"],
-      paninimania: ["/paninimania/search", "/paninimania/album/:id", "/paninimania/album"],
-      consolevariations_consoles: ["/consolevariations/search?type=consoles (scraping)"],
-      consolevariations_accessories: ["/consolevariations/search?type=accessories (scraping)"],
-      consolevariations: ["/consolevariations/item/:slug", "/consolevariations/platforms", "/consolevariations/browse/:platform"],
-      
-      // Utilitaires
-      barcode: ["/barcode/:code (auto-detect UPC/EAN/ISBN)", "/barcode/detect/:code", "/barcode/isbn/:isbn", "/barcode/bnf/:isbn"],
-      music: ["/music/search", "/music/album/:id", "/music/artist/:id", "/music/discogs/:id", "/music/barcode/:code"],
-      
-      // Système
-      crypto: ["/crypto/encrypt (POST)", "/crypto/verify (POST)"],
-      system: ["/health", "/version", "/cache (DELETE)", "/metrics (DELETE)"]
+    // Généré depuis les routers enregistrés (détail complet : /openapi.json)
+    endpoints: getEndpointIndex(app),
+    documentation: {
+      openapi: "/openapi.json",
+      viewer: "/docs"
     },
     security: {
       encryption: API_ENCRYPTION_KEY ? "enabled" : "disabled",
       algorithm: "AES-256-GCM",
       headers: {
         encrypted: "X-Encrypted-Key",
-        plain: "X-Api-Key (only if encryption disabled)"
-      }
+        plain: "X-Api-Key (only if encryption disabled)",
+        token: "Authorization: Bearer <token>"
+      },
+      auth: AUTH_MODE
     }
   });
 });
 
+// Spécification OpenAPI 3.1 générée depuis les routers et les schémas normalisés
+app.get("/openapi.json", (req, res) => {
+  res.json(getOpenApiSpec(app));
+});
+
+// Visualiseur de la spécification (Swagger UI, servi depuis la dépendance swagger-ui-dist)
+app.use("/docs/assets", express.static(getSwaggerUiPath(), { index: false, maxAge: '7d' }));
+app.get("/docs", (req, res) => {
+  res.type('html').send(renderOpenApiViewer('/openapi.json', '/docs/assets'));
+});
+
 // Endpoint pour vider le cache
-app.delete("/cache", (req, res) => {
+app.delete("/cache", requireScope('admin'), (req, res) => {
   const stats = getCacheStats();
   const size = stats.size;
   clearCache();
   res.json({ status: "ok", cleared: size });
 });
 
+// Stats Puppeteer (module chargé à la demande, absent si Puppeteer n'est pas installé)
+let puppeteerStealth;
+async function getPuppeteerStats() {
+  if (puppeteerStealth === undefined) {
+    puppeteerStealth = await import('./lib/utils/puppeteer-stealth.js').catch(() => null);
+  }
+  return puppeteerStealth ? puppeteerStealth.getBrowserStats() : null;
+}
+
+// Endpoint Prometheus / OpenMetrics
+app.get("/metrics", asyncHandler(async (req, res) => {
+  const text = renderOpenMetrics({
+    pool: DB_ENABLED && dbInitialized ? getPoolStats() : null,
+    browser: await getPuppeteerStats(),
+    flaresolverr: { sessionActive: !!getFsrSessionId() }
+  });
+  res.type(OPENMETRICS_CONTENT_TYPE).send(text);
+}));
+
 // Endpoint pour réinitialiser les métriques
-app.delete("/metrics", (req, res) => {
+app.delete("/metrics", requireScope('admin'), (req, res) => {
   metrics.requests = { total: 0, cached: 0, errors: 0 };
   metrics.responseTimeSum = 0;
   metrics.responseTimeCount = 0;
+  metrics.cache = { l1: { hits: 0, misses: 0 }, pg: { hits: 0, misses: 0 } };
   Object.keys(metrics.sources).forEach(key => {
     metrics.sources[key] = { requests: 0, errors: 0 };
   });
+  resetOpenMetrics();
   log.info("Metrics réinitialisées");
   res.json({ status: "ok", message: "Metrics reset" });
 });
@@ -529,6 +589,7 @@ const server = app.listen(PORT, "0.0.0.0", () => {
   log.info(`   - Anime: jikan`);
   log.info(`   - Comics: comicvine, mangadex, bedetheque`);
   log.info(`   - Collectibles: coleka, luluberlu, consolevariations, transformerland, paninimania`);
+  log.info(`   - Search: /search (multi-providers)`);
   log.info(`   - Monitoring: /monitoring/status, /monitoring/test`);
   log.info(`   - Compression: gzip | CORS: enabled`);
   
@@ -544,6 +605,28 @@ const server = app.listen(PORT, "0.0.0.0", () => {
     if (startBackgroundJobs()) {
       log.info(`   - Background jobs: activés (maintenance cache)`);
     }
+    
+    // File de jobs persistante (warmup, import) - reprend les jobs interrompus
+    startJobQueue()
+      .then(started => {
+        if (started) log.info(`   - File de jobs: activée (/local/jobs)`);
+      })
+      .catch(err => log.error("Erreur démarrage file de jobs", { error: err.message }));
+    
+    if (startPriceWatch()) {
+      log.info(`   - Surveillance de prix: activée (/pricewatch)`);
+    }
+    
+    if (startFollowWatch()) {
+      log.info(`   - Suivi des sorties: activé (/follows, /calendar)`);
+    }
+    
+    // Coffre des clés providers (nécessite API_ENCRYPTION_KEY)
+    startVault()
+      .then(started => {
+        if (started) log.info(`   - Coffre des clés providers: activé (/vault)`);
+      })
+      .catch(err => log.error("Erreur chargement du coffre", { error: err.message }));
   }
 });
 
@@ -567,6 +650,10 @@ const gracefulShutdown = async (signal) => {
     try {
       log.info("Arrêt des background jobs...");
       stopBackgroundJobs();
+      stopJobQueue();
+      stopPriceWatch();
+      stopFollowWatch();
+      stopVault();
       log.info("Fermeture du pool PostgreSQL...");
       await closeDatabase();
       log.info("Pool PostgreSQL fermé");
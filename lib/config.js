@@ -66,6 +66,9 @@ const PANINIMANIA_DEFAULT_MAX = 20;
 // ========================================
 const REBRICKABLE_BASE_URL = "https://rebrickable.com/api/v3";
 const REBRICKABLE_DEFAULT_MAX = 100;
+// Nombre max de sets comparés par /rebrickable/buildable (un inventaire complet par set)
+const REBRICKABLE_BUILDABLE_MAX_SETS = 20;
+const REBRICKABLE_INVENTORY_TTL = 60 * 60 * 1000; // 1 heure
 
 // ========================================
 // Google Books
@@ -88,7 +91,6 @@ const BGG_API_URL = "https://boardgamegeek.com/xmlapi2";
 const BGG_BASE_URL = "https://boardgamegeek.com";
 const BGG_DEFAULT_MAX = 20;
 const BGG_MAX_LIMIT = 100;
-const BGG_RATE_LIMIT_MS = 1000; // 1 seconde entre requêtes
 
 // ========================================
 // RAWG (Jeux vidéo)
@@ -233,6 +235,281 @@ const CONSOLEVARIATIONS_BASE_URL = "https://consolevariations.com";
 const CONSOLEVARIATIONS_CDN_URL = "https://cdn.consolevariations.com";
 const CONSOLEVARIATIONS_DEFAULT_MAX = 20;
 
+// ========================================
+// Recherche unifiée (/search)
+// ========================================
+// Timeout par provider (ms) et plafond accepté via ?timeout=
+const SEARCH_PROVIDER_TIMEOUT = parseInt(process.env.SEARCH_PROVIDER_TIMEOUT, 10) || 8000;
+const SEARCH_MAX_TIMEOUT = 30000;
+// Nombre de résultats demandés à chaque provider
+const SEARCH_DEFAULT_MAX_PER_PROVIDER = 10;
+
+// ========================================
+// Clés API serveur (jobs en arrière-plan)
+// ========================================
+// Utilisées quand aucune requête utilisateur ne fournit de clé
+// (ex: rafraîchissement automatique des items expirés)
+const PROVIDER_API_KEYS = {
+  rebrickable: process.env.REBRICKABLE_API_KEY || null,
+  googlebooks: process.env.GOOGLE_BOOKS_API_KEY || null,
+  tmdb: process.env.TMDB_API_KEY || null,
+  tvdb: process.env.TVDB_API_KEY || null,
+  rawg: process.env.RAWG_API_KEY || null,
+  igdb: process.env.IGDB_CREDENTIALS || null, // format clientId:clientSecret
+  comicvine: COMICVINE_API_KEY,
+  discogs: process.env.DISCOGS_TOKEN || null
+};
+
+// ========================================
+// File de jobs persistante (/local/warmup, /local/import)
+// ========================================
+// Intervalle de scrutation des jobs en attente (ms)
+const JOB_QUEUE_POLL_MS = parseInt(process.env.JOB_QUEUE_POLL_MS, 10) || 5000;
+// Job "running" sans signe de vie depuis ce délai (ms) : instance arrêtée, job repris
+const JOB_STALE_MS = Math.max(parseInt(process.env.JOB_STALE_MS, 10) || 120000, JOB_QUEUE_POLL_MS * 3);
+// Délai entre deux appels API d'un même job (ms)
+const JOB_ITEM_DELAY_MS = parseInt(process.env.JOB_ITEM_DELAY_MS, 10) || 1000;
+// Nombre max de jobs simultanés par provider (défaut + surcharges)
+// Surcharge via JOB_PROVIDER_CONCURRENCY="bedetheque=1,lego=3"
+const JOB_DEFAULT_CONCURRENCY = parseInt(process.env.JOB_DEFAULT_CONCURRENCY, 10) || 2;
+const JOB_PROVIDER_CONCURRENCY = {
+  amazon: 1,
+  bedetheque: 1,
+  coleka: 1,
+  consolevariations: 1,
+  paninimania: 1,
+  import: 1,
+  ...Object.fromEntries(
+    (process.env.JOB_PROVIDER_CONCURRENCY || '')
+      .split(',')
+      .map(entry => entry.split('=').map(part => part.trim()))
+      .filter(([name, value]) => name && parseInt(value, 10) > 0)
+      .map(([name, value]) => [name.toLowerCase(), parseInt(value, 10)])
+  )
+};
+// Nombre max d'erreurs conservées par job
+const JOB_MAX_ERRORS = 100;
+
+// ========================================
+// Limitation de débit et circuit breaker par provider
+// ========================================
+// rate : requêtes/seconde (token bucket), burst : capacité du bucket
+// failureThreshold : échecs consécutifs avant ouverture du circuit
+// cooldownMs : durée d'ouverture avant nouvel essai (half-open)
+// hosts : domaines rattachés à la source (limitation au niveau HTTP)
+// timeout : délai max d'une requête HTTP vers ces domaines (ms, défaut HTTP_TIMEOUT_MS)
+// escalation : transports essayés par fetchPage() (direct → flaresolverr → puppeteer)
+const PROVIDER_GUARD_DEFAULTS = {
+  rate: 5,
+  burst: 10,
+  failureThreshold: 5,
+  cooldownMs: 60 * 1000
+};
+
+// Paramètres des scrapers sensibles au blocage
+const SCRAPER_GUARD = {
+  rate: 1,
+  burst: 2,
+  failureThreshold: 3,
+  cooldownMs: 5 * 60 * 1000,
+  timeout: 45000,
+  escalation: ['flaresolverr', 'puppeteer']
+};
+
+// Surcharge possible via PROVIDER_GUARDS='{"bedetheque":{"rate":0.5}}'
+let envProviderGuards = {};
+try {
+  envProviderGuards = JSON.parse(process.env.PROVIDER_GUARDS || '{}');
+} catch {
+  envProviderGuards = {};
+}
+
+const PROVIDER_GUARDS = {
+  amazon: { rate: 0.5, burst: 2, failureThreshold: 3, cooldownMs: 15 * 60 * 1000, escalation: ['puppeteer'] },
+  bedetheque: { ...SCRAPER_GUARD, hosts: ['bedetheque.com'] },
+  coleka: { ...SCRAPER_GUARD, hosts: ['coleka.com'] },
+  consolevariations: { ...SCRAPER_GUARD, hosts: ['consolevariations.com'] },
+  luluberlu: { ...SCRAPER_GUARD, hosts: ['lulu-berlu.com'] },
+  paninimania: { ...SCRAPER_GUARD, hosts: ['paninimania.com'] },
+  transformerland: { ...SCRAPER_GUARD, hosts: ['transformerland.com'] },
+  jvc: { ...SCRAPER_GUARD, hosts: ['jeuxvideo.com'] },
+  bgg: { rate: 1, burst: 1, hosts: ['boardgamegeek.com'] },
+  bgg_scrape: { rate: 0.5, burst: 1, failureThreshold: 3, cooldownMs: 5 * 60 * 1000 },
+  jikan: { rate: 1, burst: 3, hosts: ['api.jikan.moe'] },              // 3 req/s, 60 req/min
+  musicbrainz: { rate: 1, burst: 1, hosts: ['musicbrainz.org'] },      // 1 req/s
+  tcg_mtg: { rate: 10, burst: 10, hosts: ['api.scryfall.com'] },       // 10 req/s
+  tcg_yugioh: { rate: 20, burst: 20, hosts: ['db.ygoprodeck.com'] },   // 20 req/s
+  tcg_digimon: { rate: 20, burst: 20, hosts: ['digimoncard.io'] },
+  tcg_onepiece: { rate: 0.5, burst: 1, failureThreshold: 3, cooldownMs: 15 * 60 * 1000 },
+  lego: { hosts: ['lego.com'], timeout: 60000, escalation: ['flaresolverr', 'puppeteer'] },
+  playmobil: { hosts: ['playmobil.com'] },
+  klickypedia: { hosts: ['klickypedia.com'] },
+  rebrickable: { hosts: ['rebrickable.com'] },
+  googlebooks: { hosts: ['googleapis.com'] },
+  openlibrary: { hosts: ['openlibrary.org'] },
+  comicvine: { rate: 1, burst: 2, hosts: ['comicvine.gamespot.com'] },
+  mangadex: { hosts: ['api.mangadex.org'] },
+  rawg: { hosts: ['api.rawg.io'] },
+  igdb: { rate: 4, burst: 4, hosts: ['api.igdb.com'] },                // 4 req/s
+  tmdb: { hosts: ['api.themoviedb.org'] },
+  tvdb: { hosts: ['api4.thetvdb.com'] },
+  imdb: { hosts: ['api.imdbapi.dev'] },
+  discogs: { rate: 1, burst: 2, hosts: ['api.discogs.com'] },          // 60 req/min
+  deezer: { hosts: ['api.deezer.com'] },
+  itunes: { hosts: ['itunes.apple.com'] },
+  tcg_pokemon: { hosts: ['pokemon.com', 'pokemontcg.io'] },
+  tcg_lorcana: { hosts: ['lorcanajson.org'] },
+  ...envProviderGuards
+};
+
+// ========================================
+// Client HTTP sortant (lib/utils/http-client.js)
+// ========================================
+// Proxy sortant : http://, https:// ou socks5:// (USE_FETCH_PROXY=false = connexion directe)
+const OUTBOUND_PROXY_URL = process.env.USE_FETCH_PROXY === 'false'
+  ? null
+  : (process.env.VPN_PROXY_URL || 'http://gluetun-toys:8888');
+// Hôtes joints sans proxy (services Docker internes, réseau local)
+const PROXY_EXCLUSIONS = [
+  'gluetun-toys',
+  'flaresolverr',
+  'docker-mailserver',
+  'auto_trad',
+  'localhost',
+  '127.0.0.1',
+  '::1',
+  '10.110.1.'
+];
+// Délai max par requête (surchargé par PROVIDER_GUARDS[source].timeout)
+const HTTP_TIMEOUT_MS = parseInt(process.env.HTTP_TIMEOUT_MS, 10) || 20000;
+// Nouvelles tentatives sur erreur réseau, timeout, 408/425/429/5xx (GET/HEAD)
+const HTTP_RETRIES = process.env.HTTP_RETRIES !== undefined ? parseInt(process.env.HTTP_RETRIES, 10) || 0 : 2;
+// Backoff exponentiel avec jitter : base * 2^(n-1), plafonné
+const HTTP_RETRY_BASE_MS = parseInt(process.env.HTTP_RETRY_BASE_MS, 10) || 1000;
+const HTTP_RETRY_MAX_MS = parseInt(process.env.HTTP_RETRY_MAX_MS, 10) || 15000;
+// Escalade par défaut de fetchPage() pour les hôtes sans politique dédiée
+const HTTP_ESCALATION = ['direct', 'flaresolverr', 'puppeteer'];
+
+// ========================================
+// Surveillance de prix (/pricewatch)
+// ========================================
+// Intervalle entre deux vérifications d'une même surveillance (heures)
+const PRICE_WATCH_INTERVAL_HOURS = parseFloat(process.env.PRICE_WATCH_INTERVAL_HOURS) || 6;
+// Fréquence du cycle de vérification et nombre max de surveillances par cycle
+const PRICE_WATCH_POLL_MS = parseInt(process.env.PRICE_WATCH_POLL_MS, 10) || 15 * 60 * 1000;
+const PRICE_WATCH_BATCH_SIZE = parseInt(process.env.PRICE_WATCH_BATCH_SIZE, 10) || 25;
+
+// ========================================
+// Tokens clients (/tokens)
+// ========================================
+// off: aucun contrôle | optional: anonymes autorisés sauf routes admin | required: token obligatoire
+const AUTH_MODES = ['off', 'optional', 'required'];
+const AUTH_MODE = AUTH_MODES.includes(process.env.AUTH_MODE) ? process.env.AUTH_MODE : 'optional';
+// Token admin statique (amorçage : création des premiers tokens)
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+// Quota journalier par défaut des nouveaux tokens (0 = illimité)
+const API_TOKEN_DEFAULT_QUOTA = parseInt(process.env.API_TOKEN_DEFAULT_QUOTA, 10) || 0;
+
+// ========================================
+// Fixtures HTTP (tests hors ligne des providers)
+// ========================================
+// off: aucun effet | record: enregistre les réponses amont | replay: les rejoue sans réseau
+const HTTP_FIXTURE_MODES = ['off', 'record', 'replay'];
+const HTTP_FIXTURES = HTTP_FIXTURE_MODES.includes(process.env.HTTP_FIXTURES) ? process.env.HTTP_FIXTURES : 'off';
+const HTTP_FIXTURES_DIR = process.env.HTTP_FIXTURES_DIR || join(__dirname, '..', 'tests', 'fixtures', 'http');
+
+// ========================================
+// Service d'images (/proxy/image)
+// ========================================
+// Cache disque des images téléchargées (originaux + variantes redimensionnées)
+const IMAGE_CACHE_DIR = process.env.IMAGE_CACHE_DIR || join(__dirname, '..', 'data', 'images');
+// Durée avant revalidation d'un original auprès de l'hôte (If-None-Match)
+const IMAGE_CACHE_TTL = (parseInt(process.env.IMAGE_CACHE_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const IMAGE_MAX_BYTES = parseInt(process.env.IMAGE_MAX_BYTES, 10) || 15 * 1024 * 1024;
+// Largeur/hauteur max demandée via w/h
+const IMAGE_MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 2048;
+// Réécriture des champs image/images.* des réponses normalisées vers /proxy/image
+const IMAGE_LOCAL_URLS = process.env.IMAGE_LOCAL_URLS === 'true';
+
+// Hôtes d'images autorisés par provider (domaine et sous-domaines)
+const IMAGE_HOSTS = {
+  lego: ['lego.com'],
+  rebrickable: ['rebrickable.com'],
+  playmobil: ['playmobil.com', 'playmobil.a.bigcontent.io'],
+  klickypedia: ['klickypedia.com'],
+  mega: ['mattel.com'],
+  googlebooks: ['books.google.com', 'books.googleusercontent.com'],
+  openlibrary: ['covers.openlibrary.org'],
+  bnf: ['catalogue.bnf.fr'],
+  rawg: ['media.rawg.io'],
+  igdb: ['images.igdb.com'],
+  jvc: ['image.jeuxvideo.com'],
+  consolevariations: ['consolevariations.com'],
+  tmdb: ['image.tmdb.org'],
+  tvdb: ['artworks.thetvdb.com'],
+  imdb: ['m.media-amazon.com'],
+  jikan: ['cdn.myanimelist.net'],
+  mangadex: ['uploads.mangadex.org'],
+  comicvine: ['comicvine.gamespot.com'],
+  bedetheque: ['bedetheque.com'],
+  coleka: ['coleka.com'],
+  luluberlu: ['lulu-berlu.com'],
+  transformerland: ['transformerland.com'],
+  paninimania: ['paninimania.com'],
+  bgg: ['geekdo-images.com'],
+  music: ['coverartarchive.org', 'dzcdn.net', 'mzstatic.com', 'i.discogs.com'],
+  amazon: ['media-amazon.com', 'ssl-images-amazon.com'],
+  youtube: ['img.youtube.com', 'i.ytimg.com'],
+  tcg_onepiece: ['onepiece-cardgame.dev'],
+  tcg_lorcana: ['api.lorcana.ravensburger.com', 'lorcanajson.org'],
+  tcg_yugioh: ['images.ygoprodeck.com'],
+  tcg_mtg: ['cards.scryfall.io'],
+  tcg_pokemon: ['images.pokemontcg.io', 'assets.pokemon.com', 'www.pokemon.com'],
+  tcg_digimon: ['digimoncard.io']
+};
+// Hôtes supplémentaires (liste séparée par des virgules)
+const IMAGE_EXTRA_HOSTS = (process.env.IMAGE_EXTRA_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+
+// ========================================
+// Identification par photo (/identify)
+// ========================================
+// Taille max de la photo envoyée
+const IDENTIFY_MAX_UPLOAD_BYTES = parseInt(process.env.IDENTIFY_MAX_UPLOAD_BYTES, 10) || 10 * 1024 * 1024;
+// Distance de Hamming max (sur 64 bits) d'un résultat
+const IDENTIFY_MAX_DISTANCE = parseInt(process.env.IDENTIFY_MAX_DISTANCE, 10) || 22;
+
+// ========================================
+// Suivis et calendrier des sorties (/follows, /calendar)
+// ========================================
+// Intervalle entre deux vérifications d'un même suivi (heures)
+const FOLLOW_INTERVAL_HOURS = parseFloat(process.env.FOLLOW_INTERVAL_HOURS) || 24;
+// Fréquence du cycle de vérification et nombre max de suivis par cycle
+const FOLLOW_POLL_MS = parseInt(process.env.FOLLOW_POLL_MS, 10) || 30 * 60 * 1000;
+const FOLLOW_BATCH_SIZE = parseInt(process.env.FOLLOW_BATCH_SIZE, 10) || 10;
+// Fiches album récupérées au plus par vérification (date de sortie des nouveautés Bedetheque)
+const FOLLOW_MAX_DETAILS = parseInt(process.env.FOLLOW_MAX_DETAILS, 10) || 5;
+
+// ========================================
+// Lecture de codes-barres sur photo (/barcode/scan)
+// ========================================
+// Taille max de la photo envoyée
+const BARCODE_SCAN_MAX_UPLOAD_BYTES = parseInt(process.env.BARCODE_SCAN_MAX_UPLOAD_BYTES, 10) || 10 * 1024 * 1024;
+
+// ========================================
+// Complétion des séries (/series/:source/:id/completion)
+// ========================================
+// Détails d'albums récupérés au plus par appel (ISBN, date, couverture absents du cache)
+const SERIES_COMPLETION_MAX_FETCH = parseInt(process.env.SERIES_COMPLETION_MAX_FETCH, 10) || 10;
+
+// ========================================
+// Documents (notices PDF, /documents)
+// ========================================
+// Répertoire de stockage local ; non défini = fonctionnalité désactivée
+const DOCUMENTS_DIR = process.env.DOCUMENTS_DIR || null;
+// Taille max d'un PDF téléchargé (octets, défaut 200 Mo)
+const DOCUMENTS_MAX_BYTES = parseInt(process.env.DOCUMENTS_MAX_BYTES, 10) || 200 * 1024 * 1024;
+const DOCUMENTS_DOWNLOAD_TIMEOUT_MS = parseInt(process.env.DOCUMENTS_DOWNLOAD_TIMEOUT_MS, 10) || 120000;
+
 // ========================================
 // Exports (ES Modules)
 // ========================================
@@ -269,6 +546,8 @@ export {
   // Rebrickable
   REBRICKABLE_BASE_URL,
   REBRICKABLE_DEFAULT_MAX,
+  REBRICKABLE_BUILDABLE_MAX_SETS,
+  REBRICKABLE_INVENTORY_TTL,
   
   // Google Books
   GOOGLE_BOOKS_BASE_URL,
@@ -378,6 +657,80 @@ export {
   CONSOLEVARIATIONS_CDN_URL,
   CONSOLEVARIATIONS_DEFAULT_MAX,
   
+  // Recherche unifiée
+  SEARCH_PROVIDER_TIMEOUT,
+  SEARCH_MAX_TIMEOUT,
+  SEARCH_DEFAULT_MAX_PER_PROVIDER,
+  
+  // Clés API serveur
+  PROVIDER_API_KEYS,
+  
+  // Limitation de débit / circuit breaker
+  PROVIDER_GUARD_DEFAULTS,
+  PROVIDER_GUARDS,
+  
+  // File de jobs
+  JOB_QUEUE_POLL_MS,
+  JOB_STALE_MS,
+  JOB_ITEM_DELAY_MS,
+  JOB_DEFAULT_CONCURRENCY,
+  JOB_PROVIDER_CONCURRENCY,
+  JOB_MAX_ERRORS,
+  
+  // Surveillance de prix
+  PRICE_WATCH_INTERVAL_HOURS,
+  PRICE_WATCH_POLL_MS,
+  PRICE_WATCH_BATCH_SIZE,
+  
+  // Suivis et calendrier des sorties
+  FOLLOW_INTERVAL_HOURS,
+  FOLLOW_POLL_MS,
+  FOLLOW_BATCH_SIZE,
+  FOLLOW_MAX_DETAILS,
+  
+  // Tokens clients
+  AUTH_MODE,
+  ADMIN_TOKEN,
+  API_TOKEN_DEFAULT_QUOTA,
+  
+  // Client HTTP sortant
+  OUTBOUND_PROXY_URL,
+  PROXY_EXCLUSIONS,
+  HTTP_TIMEOUT_MS,
+  HTTP_RETRIES,
+  HTTP_RETRY_BASE_MS,
+  HTTP_RETRY_MAX_MS,
+  HTTP_ESCALATION,
+  
+  // Fixtures HTTP
+  HTTP_FIXTURE_MODES,
+  HTTP_FIXTURES,
+  HTTP_FIXTURES_DIR,
+  
+  // Service d'images
+  IMAGE_CACHE_DIR,
+  IMAGE_CACHE_TTL,
+  IMAGE_MAX_BYTES,
+  IMAGE_MAX_DIMENSION,
+  IMAGE_LOCAL_URLS,
+  IMAGE_HOSTS,
+  IMAGE_EXTRA_HOSTS,
+  
+  // Identification par photo
+  IDENTIFY_MAX_UPLOAD_BYTES,
+  IDENTIFY_MAX_DISTANCE,
+  
+  // Lecture de codes-barres sur photo
+  BARCODE_SCAN_MAX_UPLOAD_BYTES,
+  
+  // Complétion des séries
+  SERIES_COMPLETION_MAX_FETCH,
+  
+  // Documents
+  DOCUMENTS_DIR,
+  DOCUMENTS_MAX_BYTES,
+  DOCUMENTS_DOWNLOAD_TIMEOUT_MS,
+  
   // Général
   API_BASE_URL,
   USER_AGENT,
@@ -0,0 +1,330 @@
+/**
+ * lib/database/api-tokens.js - Tokens clients de toys_api
+ *
+ * Tokens (table api_tokens, migration v9) présentés via "Authorization: Bearer" :
+ * - scopes read / admin (admin inclut read)
+ * - quota journalier, compteur par token et par jour (api_token_usage)
+ * - utilisateur associé et clés providers stockées côté serveur
+ *   (chiffrées avec API_ENCRYPTION_KEY si configurée)
+ *
+ * Seul le hash SHA-256 du token est conservé ; la valeur n'est renvoyée qu'à la création.
+ *
+ * toys_api v4.1.2
+ */
+
+import crypto from 'crypto';
+import { query, queryOne, queryAll, isDatabaseConnected } from './connection.js';
+import { encryptApiKey, decryptApiKey, isEncryptionEnabled } from '../utils/helpers.js';
+import { ADMIN_TOKEN, API_TOKEN_DEFAULT_QUOTA } from '../config.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('ApiTokens');
+
+export const TOKEN_SCOPES = ['read', 'admin'];
+
+// Tokens résolus gardés en mémoire (évite une requête DB par appel)
+const LOOKUP_TTL_MS = 60 * 1000;
+const lookupCache = new Map();
+
+/**
+ * Hash SHA-256 d'un token
+ * @param {string} token
+ * @returns {string}
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Génère un nouveau token ("tk_" + 32 caractères base64url)
+ * @returns {string}
+ */
+export function generateToken() {
+  return `tk_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Vérifie qu'un token dispose d'un scope (admin inclut tous les scopes)
+ * @param {object|null} principal - Token résolu (resolveToken)
+ * @param {string} scope
+ * @returns {boolean}
+ */
+export function hasScope(principal, scope) {
+  if (!principal) return false;
+  return principal.scopes.includes('admin') || principal.scopes.includes(scope);
+}
+
+/**
+ * Comparaison à temps constant de deux chaînes
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Chiffre les clés providers avant stockage (si le chiffrement est activé)
+ */
+function sealProviderKeys(keys) {
+  return Object.fromEntries(Object.entries(keys).map(([provider, key]) => [
+    provider,
+    isEncryptionEnabled() ? encryptApiKey(key) : key
+  ]));
+}
+
+/**
+ * Déchiffre les clés providers stockées (les clés illisibles sont ignorées)
+ */
+function openProviderKeys(stored) {
+  const keys = {};
+  for (const [provider, value] of Object.entries(stored || {})) {
+    const key = isEncryptionEnabled() ? decryptApiKey(value) : value;
+    if (key) {
+      keys[provider] = key;
+    } else {
+      log.warn(`Clé ${provider} illisible (API_ENCRYPTION_KEY modifiée ?)`);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Formate une ligne api_tokens pour l'API (jamais le hash ni les clés providers)
+ * @param {object} row
+ * @returns {object|null}
+ */
+function formatToken(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.token_prefix,
+    scopes: row.scopes,
+    dailyQuota: row.daily_quota,
+    active: row.active,
+    userId: row.user_id,
+    providerKeys: Object.keys(row.provider_keys || {}),
+    requestsToday: row.requests_today !== undefined ? Number(row.requests_today) : undefined,
+    lastUsedAt: row.last_used_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Valide les champs d'un token
+ * @param {object} body - { name, scopes, dailyQuota, active, userId, providerKeys }
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Mise à jour
+ * @returns {{fields: object, error: string|null}} fields indexé par colonne
+ */
+export function parseTokenFields(body = {}, { partial = false } = {}) {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name || '').trim();
+    if (!name) return { fields, error: 'name manquant' };
+    fields.name = name;
+  }
+
+  if (body.scopes !== undefined) {
+    const scopes = Array.isArray(body.scopes) ? [...new Set(body.scopes)] : [];
+    if (scopes.length === 0 || scopes.some(scope => !TOKEN_SCOPES.includes(scope))) {
+      return { fields, error: `scopes invalides (${TOKEN_SCOPES.join(', ')})` };
+    }
+    fields.scopes = scopes;
+  }
+
+  if (body.dailyQuota !== undefined) {
+    const quota = body.dailyQuota === null ? 0 : Number(body.dailyQuota);
+    if (!Number.isInteger(quota) || quota < 0) {
+      return { fields, error: 'dailyQuota invalide (entier ≥ 0, 0 ou null = illimité)' };
+    }
+    fields.daily_quota = quota || null;
+  } else if (!partial) {
+    fields.daily_quota = API_TOKEN_DEFAULT_QUOTA || null;
+  }
+
+  if (body.active !== undefined) {
+    fields.active = body.active === true || body.active === 'true';
+  }
+
+  if (body.userId !== undefined) {
+    fields.user_id = body.userId ? String(body.userId).trim() : null;
+  }
+
+  if (body.providerKeys !== undefined) {
+    const keys = body.providerKeys || {};
+    if (typeof keys !== 'object' || Array.isArray(keys) || Object.values(keys).some(key => typeof key !== 'string' || !key)) {
+      return { fields, error: 'providerKeys invalide (objet {"tmdb": "clé", ...})' };
+    }
+    fields.provider_keys = JSON.stringify(sealProviderKeys(
+      Object.fromEntries(Object.entries(keys).map(([provider, key]) => [provider.toLowerCase(), key]))
+    ));
+  }
+
+  return { fields, error: null };
+}
+
+/**
+ * Crée un token
+ * @param {object} fields - Colonnes validées (parseTokenFields)
+ * @returns {Promise<{token: string, info: object}>} token en clair (affiché une seule fois)
+ */
+export async function createToken(fields) {
+  const token = generateToken();
+  const columns = ['token_hash', 'token_prefix', ...Object.keys(fields)];
+  const row = await queryOne(`
+    INSERT INTO api_tokens (${columns.join(', ')})
+    VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+    RETURNING *
+  `, [hashToken(token), token.slice(0, 10), ...Object.values(fields)]);
+
+  log.info(`Token #${row.id} "${row.name}" créé (${row.scopes.join(', ')})`);
+  return { token, info: formatToken(row) };
+}
+
+/**
+ * Liste les tokens avec leur usage du jour
+ * @returns {Promise<object[]>}
+ */
+export async function listTokens() {
+  const rows = await queryAll(`
+    SELECT t.*, COALESCE(u.requests, 0) AS requests_today
+    FROM api_tokens t
+    LEFT JOIN api_token_usage u ON u.token_id = t.id AND u.day = CURRENT_DATE
+    ORDER BY t.created_at DESC
+  `);
+  return rows.map(formatToken);
+}
+
+/**
+ * Récupère un token et son usage journalier
+ * @param {number} id
+ * @param {object} [options]
+ * @param {number} [options.days=30] - Historique d'usage (jours)
+ * @returns {Promise<object|null>}
+ */
+export async function getToken(id, { days = 30 } = {}) {
+  const row = await queryOne(`
+    SELECT t.*, COALESCE(u.requests, 0) AS requests_today
+    FROM api_tokens t
+    LEFT JOIN api_token_usage u ON u.token_id = t.id AND u.day = CURRENT_DATE
+    WHERE t.id = $1
+  `, [id]);
+  if (!row) return null;
+
+  const usage = await queryAll(`
+    SELECT day, requests FROM api_token_usage
+    WHERE token_id = $1 AND day > CURRENT_DATE - $2::int
+    ORDER BY day DESC
+  `, [id, days]);
+
+  return {
+    ...formatToken(row),
+    usage: usage.map(u => ({ day: u.day, requests: u.requests }))
+  };
+}
+
+/**
+ * Met à jour un token
+ * @param {number} id
+ * @param {object} fields - Colonnes validées (parseTokenFields partial)
+ * @returns {Promise<object|null>}
+ */
+export async function updateToken(id, fields) {
+  const columns = Object.keys(fields);
+  const row = await queryOne(`
+    UPDATE api_tokens SET ${[...columns.map((column, i) => `${column} = $${i + 2}`), 'updated_at = NOW()'].join(', ')}
+    WHERE id = $1
+    RETURNING *
+  `, [id, ...columns.map(column => fields[column])]);
+
+  lookupCache.clear();
+  return formatToken(row);
+}
+
+/**
+ * Supprime un token et son historique d'usage
+ * @param {number} id
+ * @returns {Promise<boolean>}
+ */
+export async function deleteToken(id) {
+  const result = await query('DELETE FROM api_tokens WHERE id = $1', [id]);
+  lookupCache.clear();
+  return result.rowCount > 0;
+}
+
+/**
+ * Résout un token présenté par un client
+ * ADMIN_TOKEN (config) est accepté sans base de données
+ * @param {string} token
+ * @returns {Promise<object|null>} { id, name, scopes, dailyQuota, userId, providerKeys } ou null
+ */
+export async function resolveToken(token) {
+  if (!token) return null;
+
+  if (ADMIN_TOKEN && safeEqual(token, ADMIN_TOKEN)) {
+    return { id: null, name: 'ADMIN_TOKEN', scopes: ['admin'], dailyQuota: null, userId: null, providerKeys: {} };
+  }
+
+  if (!isDatabaseConnected()) return null;
+
+  const hash = hashToken(token);
+  const cached = lookupCache.get(hash);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.principal;
+  }
+
+  const row = await queryOne('SELECT * FROM api_tokens WHERE token_hash = $1 AND active', [hash]);
+  const principal = row ? {
+    id: row.id,
+    name: row.name,
+    scopes: row.scopes,
+    dailyQuota: row.daily_quota,
+    userId: row.user_id,
+    providerKeys: openProviderKeys(row.provider_keys)
+  } : null;
+
+  lookupCache.set(hash, { principal, expiresAt: Date.now() + LOOKUP_TTL_MS });
+  return principal;
+}
+
+/**
+ * Compte une requête pour un token et vérifie son quota journalier
+ * @param {object} principal - Token résolu
+ * @returns {Promise<{requests: number, limit: number|null, remaining: number|null, exceeded: boolean, resetIn: number}|null>}
+ *          null pour ADMIN_TOKEN (non compté)
+ */
+export async function recordTokenUsage(principal) {
+  if (!principal?.id) return null;
+
+  const row = await queryOne(`
+    WITH usage AS (
+      INSERT INTO api_token_usage (token_id, requests) VALUES ($1, 1)
+      ON CONFLICT (token_id, day) DO UPDATE SET requests = api_token_usage.requests + 1
+      RETURNING requests, day
+    ), touch AS (
+      UPDATE api_tokens SET last_used_at = NOW() WHERE id = $1
+    )
+    SELECT requests, CEIL(EXTRACT(EPOCH FROM ((day + 1)::timestamptz - NOW())))::int AS reset_in
+    FROM usage
+  `, [principal.id]);
+
+  const limit = principal.dailyQuota || null;
+  return {
+    requests: row.requests,
+    limit,
+    remaining: limit ? Math.max(limit - row.requests, 0) : null,
+    exceeded: limit !== null && row.requests > limit,
+    resetIn: row.reset_in
+  };
+}
+
+/**
+ * Vide le cache des tokens résolus (tests)
+ */
+export function resetTokenCache() {
+  lookupCache.clear();
+}
@@ -2,7 +2,7 @@
  * lib/database/background-jobs.js - Jobs de maintenance en arrière-plan
  * 
  * Gère les tâches automatiques :
- * - Rafraîchissement des items expirés
+ * - Rafraîchissement des items expirés (via DETAIL_PROVIDERS du registre)
  * - Nettoyage des vieux items
  * - Statistiques de santé
  * 
@@ -10,7 +10,11 @@
  */
 
 import { query, queryAll, isCacheEnabled } from './connection.js';
+import { saveItem } from './repository.js';
+import { DETAIL_PROVIDERS } from '../providers/registry.js';
+import { getServerKey } from './credential-vault.js';
 import { createLogger } from '../utils/logger.js';
+import { sleep } from '../utils/helpers.js';
 
 const log = createLogger('BackgroundJobs');
 
@@ -28,25 +32,79 @@ const JOB_CONFIG = {
   // Items expirés depuis X heures à considérer pour refresh
   EXPIRED_THRESHOLD_HOURS: 24,
   
+  // Attente max avant de retenter un item en échec (backoff doublé à chaque échec)
+  FAILURE_BACKOFF_MAX_MS: 6 * 60 * 60 * 1000,
+  
   // Items non accédés depuis X jours à purger (optionnel)
   PURGE_UNUSED_DAYS: 180
 };
 
 // État du job runner
 let jobInterval = null;
+let firstRunTimeout = null;
 let isRunning = false;
 let lastRunTime = null;
+let lastCycle = null;
 let stats = {
   totalRuns: 0,
   itemsRefreshed: 0,
+  refreshFailed: 0,
+  refreshIgnored: 0,
   itemsPurged: 0,
   errors: 0,
   lastError: null
 };
 
+// Compteurs par source : { refreshed, failed, ignored, lastError, lastFailureAt, lastSuccessAt }
+let sourceStats = {};
+
+// Items en échec : id -> { failures, retryAt } (exclus des cycles jusqu'à retryAt)
+const failedItems = new Map();
+
+/**
+ * Retourne (en le créant si besoin) le compteur d'une source
+ */
+function getSourceStats(source) {
+  if (!sourceStats[source]) {
+    sourceStats[source] = {
+      refreshed: 0,
+      failed: 0,
+      ignored: 0,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null
+    };
+  }
+  return sourceStats[source];
+}
+
+/**
+ * Enregistre l'échec du rafraîchissement d'un item et planifie la prochaine tentative
+ */
+function recordItemFailure(id) {
+  const failures = (failedItems.get(id)?.failures || 0) + 1;
+  const delay = Math.min(JOB_CONFIG.CHECK_INTERVAL_MS * 2 ** (failures - 1), JOB_CONFIG.FAILURE_BACKOFF_MAX_MS);
+  failedItems.set(id, { failures, retryAt: Date.now() + delay });
+}
+
+/**
+ * IDs des items en attente de nouvelle tentative
+ * (les entrées sorties de la fenêtre de rafraîchissement sont oubliées)
+ */
+function getBackoffItemIds() {
+  const now = Date.now();
+  const forgetBefore = now - JOB_CONFIG.EXPIRED_THRESHOLD_HOURS * 60 * 60 * 1000;
+  const ids = [];
+  for (const [id, { retryAt }] of failedItems) {
+    if (retryAt < forgetBefore) failedItems.delete(id);
+    else if (retryAt > now) ids.push(id);
+  }
+  return ids;
+}
+
 /**
  * Récupère les items expirés qui méritent un rafraîchissement
- * Priorise les items les plus demandés (fetch_count élevé)
+ * Priorise les items les plus demandés (fetch_count élevé), hors items en backoff
  */
 async function getExpiredItems(limit = JOB_CONFIG.MAX_REFRESH_PER_CYCLE) {
   if (!isCacheEnabled()) return [];
@@ -59,9 +117,11 @@ async function getExpiredItems(limit = JOB_CONFIG.MAX_REFRESH_PER_CYCLE) {
       WHERE expires_at < NOW()
         AND expires_at > NOW() - INTERVAL '1 hour' * $2
         AND fetch_count > 1
+        AND entry_type = 'detail'
+        AND NOT (id = ANY($3::text[]))
       ORDER BY fetch_count DESC, expires_at ASC
       LIMIT $1
-    `, [limit, thresholdHours]);
+    `, [limit, thresholdHours, getBackoffItemIds()]);
     
     return result || [];
   } catch (err) {
@@ -111,6 +171,97 @@ async function markItemRefreshing(id) {
   }
 }
 
+/**
+ * Rend à un item en échec son expiration d'origine : il reste servi comme
+ * expiré au lieu de passer pour frais pendant le marquage
+ */
+async function restoreItemExpiry(id, expiresAt) {
+  try {
+    await query('UPDATE items SET expires_at = $2 WHERE id = $1', [id, expiresAt]);
+  } catch (err) {
+    log.error(`Erreur restauration expiration ${id}:`, err.message);
+  }
+}
+
+/**
+ * Sort un item ignoré de la fenêtre de rafraîchissement
+ * Il reste expiré (rafraîchi à la prochaine requête) mais ne reprend plus
+ * un créneau du cycle au détriment des items rafraîchissables
+ */
+async function markItemSkipped(id) {
+  try {
+    await query(`
+      UPDATE items 
+      SET expires_at = NOW() - INTERVAL '1 hour' * $2
+      WHERE id = $1
+    `, [id, JOB_CONFIG.EXPIRED_THRESHOLD_HOURS]);
+  } catch (err) {
+    log.error(`Erreur marquage item ignoré ${id}:`, err.message);
+  }
+}
+
+/**
+ * Rafraîchit un item expiré via le fetch de détail de sa source
+ * @param {object} item - Ligne de la table items
+ * @returns {Promise<'refreshed'|'failed'|'ignored'>}
+ */
+async function refreshItem(item) {
+  const counters = getSourceStats(item.source);
+  const provider = DETAIL_PROVIDERS[item.source];
+  
+  if (!provider || provider.autoRefresh === false) {
+    await markItemSkipped(item.id);
+    counters.ignored++;
+    return 'ignored';
+  }
+  
+  const apiKey = getServerKey(provider.keyName);
+  if (provider.keyName && !apiKey && !provider.optionalKey) {
+    log.debug(`[BackgroundJob] ${item.id} ignoré: pas de clé serveur pour ${provider.keyName}`);
+    await markItemSkipped(item.id);
+    counters.ignored++;
+    return 'ignored';
+  }
+  
+  if (!(await markItemRefreshing(item.id))) {
+    counters.failed++;
+    return 'failed';
+  }
+  
+  try {
+    const data = await provider.fetch(String(item.source_id), { type: item.type, apiKey });
+    
+    // undefined = clé de cache non rafraîchissable (ex: isbn:...)
+    if (data === undefined) {
+      await markItemSkipped(item.id);
+      counters.ignored++;
+      return 'ignored';
+    }
+    if (!data || typeof data !== 'object') {
+      throw new Error('Aucune donnée retournée');
+    }
+    
+    const name = data.name || data.title || item.name;
+    const saved = await saveItem(item.source, item.source_id, item.type, name, data, { entryType: 'detail' });
+    if (!saved) {
+      throw new Error('Échec sauvegarde');
+    }
+    
+    failedItems.delete(item.id);
+    counters.refreshed++;
+    counters.lastSuccessAt = new Date();
+    return 'refreshed';
+  } catch (err) {
+    log.warn(`[BackgroundJob] Échec refresh ${item.id}: ${err.message}`);
+    await restoreItemExpiry(item.id, item.expires_at);
+    recordItemFailure(item.id);
+    counters.failed++;
+    counters.lastError = err.message;
+    counters.lastFailureAt = new Date();
+    return 'failed';
+  }
+}
+
 /**
  * Exécute un cycle de maintenance
  */
@@ -126,7 +277,9 @@ async function runMaintenanceCycle() {
   const cycleStats = {
     startTime: Date.now(),
     expiredChecked: 0,
-    refreshQueued: 0,
+    refreshed: 0,
+    failed: 0,
+    ignored: 0,
     errors: 0
   };
   
@@ -138,15 +291,23 @@ async function runMaintenanceCycle() {
     if (expiredItems.length > 0) {
       log.info(`[BackgroundJob] ${expiredItems.length} items expirés trouvés`);
       
-      // On ne fait que marquer les items pour éviter le blocage
-      // Le vrai refresh se fera à la prochaine requête utilisateur
-      for (const item of expiredItems) {
-        // Loguer les items populaires expirés pour monitoring
-        if (item.fetch_count > 10) {
-          log.debug(`[BackgroundJob] Item populaire expiré: ${item.id} (${item.fetch_count} accès)`);
+      // Rafraîchissement séquentiel, espacé de REFRESH_DELAY_MS entre deux appels API
+      let fetched = 0;
+      for (const item of expiredItems.slice(0, JOB_CONFIG.MAX_REFRESH_PER_CYCLE)) {
+        if (fetched > 0) {
+          await sleep(JOB_CONFIG.REFRESH_DELAY_MS);
         }
-        cycleStats.refreshQueued++;
+        
+        const outcome = await refreshItem(item);
+        if (outcome !== 'ignored') fetched++;
+        cycleStats[outcome]++;
       }
+      
+      stats.itemsRefreshed += cycleStats.refreshed;
+      stats.refreshFailed += cycleStats.failed;
+      stats.refreshIgnored += cycleStats.ignored;
+      
+      log.info(`[BackgroundJob] Refresh: ${cycleStats.refreshed} ok, ${cycleStats.failed} échecs, ${cycleStats.ignored} ignorés`);
     }
     
     // 2. Statistiques de santé rapides
@@ -165,6 +326,7 @@ async function runMaintenanceCycle() {
   }
   
   cycleStats.duration = Date.now() - cycleStats.startTime;
+  lastCycle = cycleStats;
   return cycleStats;
 }
 
@@ -210,7 +372,8 @@ export function startBackgroundJobs() {
   log.info(`[BackgroundJobs] Démarrage (intervalle: ${JOB_CONFIG.CHECK_INTERVAL_MS / 1000}s)`);
   
   // Premier run après 30 secondes (laisser l'app démarrer)
-  setTimeout(() => {
+  firstRunTimeout = setTimeout(() => {
+    firstRunTimeout = null;
     runMaintenanceCycle().then(result => {
       log.debug('[BackgroundJobs] Premier cycle:', result);
     });
@@ -232,6 +395,10 @@ export function startBackgroundJobs() {
  * Arrête le job runner
  */
 export function stopBackgroundJobs() {
+  if (firstRunTimeout) {
+    clearTimeout(firstRunTimeout);
+    firstRunTimeout = null;
+  }
   if (jobInterval) {
     clearInterval(jobInterval);
     jobInterval = null;
@@ -246,10 +413,15 @@ export function stopBackgroundJobs() {
  */
 export function getJobStats() {
   return {
+    active: !!jobInterval,
     isRunning,
     lastRunTime,
+    lastCycle,
     config: JOB_CONFIG,
-    stats: { ...stats }
+    stats: { ...stats },
+    sources: Object.fromEntries(
+      Object.entries(sourceStats).map(([source, counters]) => [source, { ...counters }])
+    )
   };
 }
 
@@ -6,6 +6,7 @@
  */
 
 import { createLogger } from '../utils/logger.js';
+import { metrics } from '../utils/state.js';
 import { 
   DB_ENABLED, 
   CACHE_MODE, 
@@ -20,6 +21,7 @@ import {
   getCachedSearch,
   CACHE_TTL 
 } from './repository.js';
+import { recordSeries } from './series-catalog.js';
 
 const log = createLogger('CacheWrapper');
 
@@ -49,7 +51,9 @@ export function resetCacheInfo() {
  * @param {string} options.type - Type de données (ex: 'book', 'movie', 'videogame')
  * @param {string} options.externalId - ID externe (ex: ISBN, TMDB ID, etc.)
  * @param {Function} options.fetchFn - Fonction async qui appelle l'API externe
- * @param {Function} [options.normalizeFn] - Fonction de normalisation (optionnelle)
+ * @param {Function} [options.normalizeFn] - Fonction de normalisation, synchrone ou async (optionnelle)
+ * @param {string} [options.series] - Extracteur du catalogue des séries (tmdb_tv, bedetheque…) :
+ *   la réponse brute de fetchFn est enregistrée par recordSeries après normalisation
  * @param {boolean} [options.forceRefresh=false] - Forcer le refresh depuis l'API
  * @returns {Promise<Object>} Données (depuis cache ou API)
  */
@@ -59,6 +63,7 @@ export async function withCache({
   externalId, 
   fetchFn, 
   normalizeFn = null,
+  series = null,
   forceRefresh = false 
 }) {
   const startTime = Date.now();
@@ -68,7 +73,8 @@ export async function withCache({
   if (!isCacheEnabled() || CACHE_MODE === 'api_only') {
     log.debug(`[${source}] Cache désactivé, appel API direct`, { externalId });
     const data = await fetchFn();
-    const result = normalizeFn ? normalizeFn(data) : data;
+    const result = normalizeFn && data ? await normalizeFn(data) : data;
+    if (series) recordSeries(series, data);
     lastCacheInfo = { hit: false, source: 'api_only', duration: Date.now() - startTime };
     return result;
   }
@@ -79,9 +85,11 @@ export async function withCache({
     if (cached) {
       log.debug(`[${source}] DB-only hit`, { externalId, age: `${Math.round((Date.now() - new Date(cached.updated_at).getTime()) / 1000 / 60)}min` });
       lastCacheInfo = { hit: true, source: 'db_only', duration: Date.now() - startTime };
+      metrics.cache.pg.hits++;
       return cached.data;
     }
     log.warn(`[${source}] DB-only miss, pas de données`, { externalId });
+    metrics.cache.pg.misses++;
     lastCacheInfo = { hit: false, source: 'db_only', duration: Date.now() - startTime };
     return null;
   }
@@ -96,6 +104,7 @@ export async function withCache({
       if (cached) {
         log.debug(`[${source}] Cache HIT (detail)`, { externalId });
         lastCacheInfo = { hit: true, source: 'cache', duration: Date.now() - startTime };
+        metrics.cache.pg.hits++;
         return cached;
       }
     } catch (err) {
@@ -105,6 +114,7 @@ export async function withCache({
   
   // Appel API
   log.debug(`[${source}] Cache MISS, appel API`, { externalId, forceRefresh });
+  if (!forceRefresh) metrics.cache.pg.misses++;
   lastCacheInfo = { hit: false, source: 'api', duration: 0 }; // Sera mis à jour après
   let data;
   try {
@@ -119,7 +129,8 @@ export async function withCache({
   }
   
   // Normaliser si fonction fournie
-  const normalizedData = normalizeFn ? normalizeFn(data) : data;
+  const normalizedData = normalizeFn ? await normalizeFn(data) : data;
+  if (series) recordSeries(series, data);
   
   // Extraire le nom pour la sauvegarde
   const itemName = normalizedData?.name || normalizedData?.title || 'Unknown';
@@ -196,6 +207,7 @@ export async function withSearchCache({
       if (cached) {
         log.debug(`[${source}] Search cache HIT`, { query, resultsCount: cached.results?.length });
         lastCacheInfo = { hit: true, source: 'search_cache', duration: Date.now() - startTime };
+        metrics.cache.pg.hits++;
         return cached;
       }
     } catch (err) {
@@ -212,17 +224,20 @@ export async function withSearchCache({
       if (localResults && localResults.length > 0) {
         const result = { results: localResults, total: localResults.length, source: 'local' };
         lastCacheInfo = { hit: true, source: 'db_only', duration: Date.now() - startTime };
+        metrics.cache.pg.hits++;
         return result;
       }
     } catch (err) {
       log.warn(`[${source}] Erreur recherche locale`, { error: err.message });
     }
+    metrics.cache.pg.misses++;
     lastCacheInfo = { hit: false, source: 'db_only', duration: Date.now() - startTime };
     return { results: [], total: 0, source: 'local', error: 'No results in db_only mode' };
   }
   
   // Appel API
   log.debug(`[${source}] Search cache MISS, appel API`, { query });
+  if (!forceRefresh) metrics.cache.pg.misses++;
   lastCacheInfo = { hit: false, source: 'api', duration: 0 };
   
   let results;
@@ -320,6 +335,7 @@ export function createProviderCache(source, defaultType) {
         externalId: String(externalId),
         fetchFn,
         normalizeFn: options.normalizeFn,
+        series: options.series || null,
         forceRefresh: options.forceRefresh || false
       });
     },
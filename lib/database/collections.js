@@ -0,0 +1,515 @@
+/**
+ * lib/database/collections.js - Collections d'items possédés
+ *
+ * Chaque entrée (table collection_entries, migration v6) pointe vers un item
+ * du cache (items.id) et décrit l'exemplaire possédé : quantité, état,
+ * complétude, prix/date d'achat, notes.
+ *
+ * L'item est résolu depuis une detailUrl, un code-barres ou source + sourceId,
+ * puis récupéré (ou rafraîchi) via DETAIL_PROVIDERS avant l'insertion.
+ *
+ * toys_api v4.1.2
+ */
+
+import { query, queryOne, queryAll } from './connection.js';
+import { generateItemId, saveItem } from './repository.js';
+import { DETAIL_PROVIDERS, SEARCH_PROVIDERS } from '../providers/registry.js';
+import { detectBarcodeType, barcodeCandidates } from '../providers/barcode.js';
+import { parseDetailUrl } from '../utils/routeHelpers.js';
+import { getServerKey } from './credential-vault.js';
+import { createLogger } from '../utils/logger.js';
+import { httpError } from '../utils/helpers.js';
+
+const log = createLogger('Collections');
+
+export const COLLECTION_CONDITIONS = ['new', 'mint', 'near_mint', 'very_good', 'good', 'fair', 'poor'];
+export const COLLECTION_COMPLETENESS = ['sealed', 'complete', 'incomplete', 'loose'];
+
+// Champs modifiables (clé API → colonne)
+const ENTRY_FIELDS = {
+  quantity: 'quantity',
+  condition: 'condition',
+  completeness: 'completeness',
+  purchasePrice: 'purchase_price',
+  purchaseCurrency: 'purchase_currency',
+  purchaseDate: 'purchase_date',
+  notes: 'notes'
+};
+
+const SORT_ORDERS = {
+  recent: 'e.created_at DESC',
+  name: 'i.name ASC',
+  purchase_date: 'e.purchase_date DESC NULLS LAST',
+  price: 'e.purchase_price DESC NULLS LAST'
+};
+
+// Noms de route/provider dont la source de cache diffère
+const ROUTE_SOURCES = {
+  jikan_anime: 'jikan',
+  jikan_manga: 'jikan',
+  consolevariations_consoles: 'consolevariations',
+  consolevariations_accessories: 'consolevariations',
+  jvc: 'jeuxvideo',
+  mb: 'musicbrainz'
+};
+
+// Sources dont la clé de cache préfixe l'ID par le type (/tmdb/movie/603 → movie_603)
+const TYPED_KEY_SOURCES = ['tmdb', 'tvdb', 'bedetheque'];
+
+// ============================================================================
+// RÉSOLUTION DES ITEMS
+// ============================================================================
+
+/**
+ * Résout une detailUrl (/route/details?detailUrl=... ou chemin interne)
+ * en source et clé du cache items
+ * @param {string} detailUrl
+ * @returns {{source: string, sourceId: string, type: string}|null}
+ */
+export function resolveDetailUrl(detailUrl) {
+  if (!detailUrl || typeof detailUrl !== 'string') return null;
+
+  let route = null;
+  let inner = detailUrl;
+  const outer = detailUrl.match(/^\/?([^/?]+)\/details\?(.*)$/);
+  if (outer) {
+    route = outer[1];
+    inner = new URLSearchParams(outer[2]).get('detailUrl');
+  }
+
+  const parsed = parseDetailUrl(inner);
+  if (!parsed) return null;
+
+  // Le chemin interne prime (ex: /music/details → /musicbrainz/album/...)
+  const source = [parsed.provider, route]
+    .filter(Boolean)
+    .map(name => ROUTE_SOURCES[name] || name)
+    .find(name => DETAIL_PROVIDERS[name]);
+  if (!source) return null;
+
+  const sourceId = TYPED_KEY_SOURCES.includes(source) ? `${parsed.type}_${parsed.id}` : parsed.id;
+
+  // Type de contenu d'après le registre de recherche
+  const providers = Object.values(SEARCH_PROVIDERS);
+  const entry = providers.find(p => p.source === source && p.detailType === parsed.type)
+    || providers.find(p => p.route === (route || parsed.provider) || p.source === source);
+
+  return { source, sourceId, type: entry?.type || parsed.type };
+}
+
+/**
+ * Clé API à utiliser pour un provider : clé serveur, sinon clé du client
+ * @param {object} provider - Entrée DETAIL_PROVIDERS
+ * @param {string|null} clientKey
+ * @returns {{apiKey: string|null, missing: boolean}}
+ */
+function resolveProviderKey(provider, clientKey) {
+  if (!provider.keyName) return { apiKey: null, missing: false };
+  const apiKey = getServerKey(provider.keyName) || clientKey || null;
+  return { apiKey, missing: !apiKey && !provider.optionalKey };
+}
+
+/**
+ * Nom d'affichage d'un item (les résultats /barcode n'ont pas de champ name)
+ */
+function itemName(data, fallback) {
+  return data.name
+    || data.title
+    || data.book?.title
+    || data.videoGame?.game?.name
+    || data.music?.title
+    || data.constructToy?.name
+    || data.product?.title
+    || fallback;
+}
+
+/**
+ * Garantit la présence d'un item détaillé et à jour dans le cache
+ * @param {string} source - Source du cache (clé de DETAIL_PROVIDERS)
+ * @param {string} sourceId - Clé de l'item pour cette source
+ * @param {object} [options]
+ * @param {string} [options.type] - Type de contenu
+ * @param {boolean} [options.refresh=false] - Forcer la récupération
+ * @param {string} [options.apiKey] - Clé API du client (si pas de clé serveur)
+ * @returns {Promise<{itemId: string, fetched: boolean, warning?: string}>}
+ */
+export async function ensureItem(source, sourceId, options = {}) {
+  const { type = null, refresh = false, apiKey: clientKey = null } = options;
+  const itemId = generateItemId(source, sourceId);
+
+  const existing = await queryOne(
+    `SELECT id, type, entry_type, (expires_at IS NULL OR expires_at > NOW()) AS valid FROM items WHERE id = $1`,
+    [itemId]
+  );
+  if (existing?.entry_type === 'detail' && existing.valid && !refresh) {
+    return { itemId, fetched: false };
+  }
+
+  const provider = DETAIL_PROVIDERS[source];
+  const { apiKey, missing } = provider ? resolveProviderKey(provider, clientKey) : { apiKey: null, missing: false };
+
+  if (!provider || missing) {
+    // Item déjà en cache : utilisable tel quel
+    if (existing) {
+      return { itemId, fetched: false, warning: `Rafraîchissement indisponible pour ${source}` };
+    }
+    throw provider
+      ? httpError(`Clé API manquante pour ${source} (${provider.keyName})`, 401)
+      : httpError(`Source non supportée: ${source}`, 400);
+  }
+
+  let data;
+  try {
+    data = await provider.fetch(sourceId, { type, apiKey });
+  } catch (err) {
+    if (!existing) throw err;
+    log.warn(`Rafraîchissement ${itemId} impossible, données en cache conservées: ${err.message}`);
+    return { itemId, fetched: false, warning: `Rafraîchissement impossible: ${err.message}` };
+  }
+
+  // undefined = clé non récupérable, found: false = code-barres inconnu
+  if (!data || typeof data !== 'object' || data.found === false) {
+    if (existing) return { itemId, fetched: false };
+    throw httpError(`Item ${itemId} non trouvé`, 404);
+  }
+
+  const saved = await saveItem(
+    source,
+    sourceId,
+    type || existing?.type || data.type || 'unknown',
+    itemName(data, sourceId),
+    data,
+    { entryType: 'detail' }
+  );
+  if (!saved) {
+    throw httpError(`Enregistrement de ${itemId} impossible (cache désactivé ?)`, 503);
+  }
+
+  log.debug(`Item ${itemId} ${existing ? 'rafraîchi' : 'ajouté'} pour une collection`);
+  return { itemId, fetched: true };
+}
+
+/**
+ * Résout un code-barres : items du cache (ean/isbn) puis recherche /barcode
+ * @param {string} code
+ * @param {object} [options] - Options de ensureItem
+ * @returns {Promise<{itemId: string, fetched: boolean, warning?: string}>}
+ */
+export async function resolveBarcode(code, options = {}) {
+  const barcode = detectBarcodeType(code);
+  if (barcode.type === 'unknown') {
+    throw httpError(`Code-barres invalide: ${code}`, 400);
+  }
+
+  const local = await queryOne(`
+    SELECT source, source_id, type FROM items
+    WHERE source <> 'barcode' AND (ean = ANY($1) OR isbn = ANY($1))
+    ORDER BY (entry_type = 'detail') DESC, updated_at DESC
+    LIMIT 1
+  `, [barcodeCandidates(barcode)]);
+
+  if (local) {
+    return ensureItem(local.source, local.source_id, { ...options, type: local.type });
+  }
+  return ensureItem('barcode', barcode.code, { ...options, type: 'product' });
+}
+
+/**
+ * Résout la référence d'item d'une entrée (detailUrl, barcode ou source + sourceId)
+ * @param {object} ref
+ * @param {object} [options] - Options de ensureItem
+ * @returns {Promise<{itemId: string, fetched: boolean, warning?: string}>}
+ */
+export async function resolveItemRef(ref, options = {}) {
+  if (ref.detailUrl) {
+    const target = resolveDetailUrl(ref.detailUrl);
+    if (!target) {
+      throw httpError(`detailUrl non supportée: ${ref.detailUrl}`, 400);
+    }
+    return ensureItem(target.source, target.sourceId, { ...options, type: target.type });
+  }
+  if (ref.barcode) {
+    return resolveBarcode(String(ref.barcode), options);
+  }
+  if (ref.source && ref.sourceId) {
+    return ensureItem(String(ref.source), String(ref.sourceId), options);
+  }
+  throw httpError('detailUrl, barcode ou source + sourceId requis', 400);
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Valide et convertit les champs d'une entrée
+ * @param {object} body - Champs API (quantity, condition, purchasePrice…)
+ * @returns {{fields: object, error: string|null}} fields indexé par colonne
+ */
+export function parseEntryFields(body = {}) {
+  const fields = {};
+
+  for (const [key, column] of Object.entries(ENTRY_FIELDS)) {
+    if (body[key] === undefined) continue;
+    let value = body[key] === '' ? null : body[key];
+
+    if (value !== null) {
+      switch (key) {
+        case 'quantity':
+          value = Number(value);
+          if (!Number.isInteger(value) || value < 1) return { fields, error: 'quantity invalide (entier ≥ 1)' };
+          break;
+        case 'condition':
+          if (!COLLECTION_CONDITIONS.includes(value)) {
+            return { fields, error: `condition invalide (${COLLECTION_CONDITIONS.join(', ')})` };
+          }
+          break;
+        case 'completeness':
+          if (!COLLECTION_COMPLETENESS.includes(value)) {
+            return { fields, error: `completeness invalide (${COLLECTION_COMPLETENESS.join(', ')})` };
+          }
+          break;
+        case 'purchasePrice':
+          value = Number(value);
+          if (!Number.isFinite(value) || value < 0) return { fields, error: 'purchasePrice invalide' };
+          break;
+        case 'purchaseCurrency':
+          value = String(value).toUpperCase();
+          if (!/^[A-Z]{3}$/.test(value)) return { fields, error: 'purchaseCurrency invalide (code ISO 4217, ex: EUR)' };
+          break;
+        case 'purchaseDate':
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+            return { fields, error: 'purchaseDate invalide (format YYYY-MM-DD)' };
+          }
+          break;
+        case 'notes':
+          value = String(value);
+          break;
+      }
+    }
+    fields[column] = value;
+  }
+
+  return { fields, error: null };
+}
+
+// ============================================================================
+// CRUD
+// ============================================================================
+
+/**
+ * Formate une ligne collection_entries + items pour l'API
+ * @param {object} row
+ * @returns {object|null}
+ */
+function formatEntry(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    quantity: row.quantity,
+    condition: row.condition,
+    completeness: row.completeness,
+    purchase: {
+      price: row.purchase_price !== null ? Number(row.purchase_price) : null,
+      currency: row.purchase_currency,
+      date: row.purchase_date
+    },
+    notes: row.notes,
+    item: {
+      id: row.item_id,
+      source: row.source,
+      sourceId: row.source_id,
+      type: row.type,
+      name: row.name,
+      year: row.year,
+      image: row.image_url,
+      detailUrl: row.detail_url,
+      updatedAt: row.item_updated_at,
+      ...(row.data !== undefined ? { data: row.data } : {})
+    },
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Colonnes communes aux lectures (avec ou sans data)
+ */
+function entrySelect(full) {
+  return `
+    SELECT e.*, i.source, i.source_id, i.type, i.name, i.year, i.image_url, i.detail_url,
+           i.updated_at AS item_updated_at${full ? ', i.data' : ''}
+    FROM collection_entries e
+    JOIN items i ON i.id = e.item_id
+  `;
+}
+
+/**
+ * Récupère une entrée d'un utilisateur (avec les données de l'item)
+ * @param {string} userId
+ * @param {number} id
+ * @returns {Promise<object|null>}
+ */
+export async function getCollectionEntry(userId, id) {
+  const row = await queryOne(`${entrySelect(true)} WHERE e.id = $1 AND e.user_id = $2`, [id, userId]);
+  return formatEntry(row);
+}
+
+/**
+ * Liste les entrées d'un utilisateur
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {string} [options.type] - Type de contenu
+ * @param {string} [options.source] - Source du cache
+ * @param {string} [options.condition]
+ * @param {string} [options.q] - Recherche dans le nom
+ * @param {string} [options.sort='recent'] - recent | name | purchase_date | price
+ * @param {number} [options.limit=50]
+ * @param {number} [options.offset=0]
+ * @param {boolean} [options.full=false] - Inclure les données complètes des items
+ * @returns {Promise<{entries: object[], total: number, summary: object}>}
+ */
+export async function listCollectionEntries(userId, options = {}) {
+  const {
+    type = null,
+    source = null,
+    condition = null,
+    q = null,
+    sort = 'recent',
+    limit = 50,
+    offset = 0,
+    full = false
+  } = options;
+
+  const where = `
+    WHERE e.user_id = $1
+      AND ($2::text IS NULL OR i.type = $2)
+      AND ($3::text IS NULL OR i.source = $3)
+      AND ($4::text IS NULL OR e.condition = $4)
+      AND ($5::text IS NULL OR i.name_search LIKE '%' || normalize_text($5) || '%')
+  `;
+  const params = [userId, type, source, condition, q];
+
+  const rows = await queryAll(`
+    ${entrySelect(full)}
+    ${where}
+    ORDER BY ${SORT_ORDERS[sort] || SORT_ORDERS.recent}, e.id DESC
+    LIMIT $6 OFFSET $7
+  `, [...params, limit, offset]);
+
+  // Totaux (quantités et dépenses par devise) sur l'ensemble filtré
+  const totals = await queryAll(`
+    SELECT e.purchase_currency AS currency,
+           COUNT(*) AS entries,
+           SUM(e.quantity) AS quantity,
+           SUM(e.purchase_price * e.quantity) AS spent
+    FROM collection_entries e
+    JOIN items i ON i.id = e.item_id
+    ${where}
+    GROUP BY e.purchase_currency
+  `, params);
+
+  const summary = { entries: 0, quantity: 0, spent: {} };
+  for (const row of totals) {
+    summary.entries += parseInt(row.entries, 10);
+    summary.quantity += parseInt(row.quantity, 10);
+    if (row.spent !== null) {
+      const currency = row.currency || 'N/A';
+      summary.spent[currency] = Number(row.spent);
+    }
+  }
+
+  return { entries: rows.map(formatEntry), total: summary.entries, summary };
+}
+
+/**
+ * Ajoute un item à la collection d'un utilisateur
+ * @param {string} userId
+ * @param {object} body - Référence (detailUrl | barcode | source + sourceId) et champs
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - Clé API du client
+ * @returns {Promise<{entry: object, fetched: boolean, warning?: string}>}
+ */
+export async function addCollectionEntry(userId, body, options = {}) {
+  const { fields, error } = parseEntryFields(body);
+  if (error) throw httpError(error, 400);
+
+  const resolved = await resolveItemRef(body, {
+    refresh: body.refresh === true || body.refresh === 'true',
+    apiKey: options.apiKey || null
+  });
+
+  const columns = ['user_id', 'item_id', ...Object.keys(fields)];
+  const values = [userId, resolved.itemId, ...Object.values(fields)];
+  const row = await queryOne(`
+    INSERT INTO collection_entries (${columns.join(', ')})
+    VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+    RETURNING id
+  `, values);
+
+  log.info(`Collection ${userId}: ajout de ${resolved.itemId} (#${row.id})`);
+
+  return {
+    entry: await getCollectionEntry(userId, row.id),
+    fetched: resolved.fetched,
+    ...(resolved.warning ? { warning: resolved.warning } : {})
+  };
+}
+
+/**
+ * Met à jour une entrée (et rafraîchit l'item si demandé)
+ * @param {string} userId
+ * @param {number} id
+ * @param {object} body - Champs à modifier, refresh
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - Clé API du client
+ * @returns {Promise<object|null>} Entrée mise à jour (null si introuvable)
+ */
+export async function updateCollectionEntry(userId, id, body, options = {}) {
+  const { fields, error } = parseEntryFields(body);
+  if (error) throw httpError(error, 400);
+
+  const refresh = body.refresh === true || body.refresh === 'true';
+  if (Object.keys(fields).length === 0 && !refresh) {
+    throw httpError('Aucun champ à mettre à jour', 400);
+  }
+
+  const current = await queryOne(`${entrySelect(false)} WHERE e.id = $1 AND e.user_id = $2`, [id, userId]);
+  if (!current) return null;
+
+  if (Object.keys(fields).length > 0) {
+    const assignments = Object.keys(fields).map((column, i) => `${column} = $${i + 3}`);
+    await query(
+      `UPDATE collection_entries SET ${assignments.join(', ')} WHERE id = $1 AND user_id = $2`,
+      [id, userId, ...Object.values(fields)]
+    );
+  }
+
+  let warning = null;
+  if (refresh) {
+    const result = await ensureItem(current.source, current.source_id, {
+      type: current.type,
+      refresh: true,
+      apiKey: options.apiKey || null
+    });
+    warning = result.warning || null;
+  }
+
+  const entry = await getCollectionEntry(userId, id);
+  return warning ? { ...entry, warning } : entry;
+}
+
+/**
+ * Supprime une entrée (l'item reste dans le cache)
+ * @param {string} userId
+ * @param {number} id
+ * @returns {Promise<boolean>}
+ */
+export async function deleteCollectionEntry(userId, id) {
+  const result = await query(
+    'DELETE FROM collection_entries WHERE id = $1 AND user_id = $2',
+    [id, userId]
+  );
+  return result.rowCount > 0;
+}
@@ -0,0 +1,305 @@
+/**
+ * lib/database/credential-vault.js - Coffre des clés API des providers
+ *
+ * Clés amont (TMDB, RAWG, IGDB…) stockées chiffrées (encryptApiKey, AES-256-GCM)
+ * dans provider_credentials (migration v10) et gardées déchiffrées en mémoire :
+ * - requireApiKey() les utilise quand le client n'envoie pas de clé
+ * - les jobs en arrière-plan les préfèrent aux variables d'environnement
+ * - les tokens IGDB (Twitch) et TVDB des clés stockées sont renouvelés périodiquement
+ *
+ * Nécessite API_ENCRYPTION_KEY.
+ *
+ * toys_api v4.1.2
+ */
+
+import { query, queryOne, queryAll, isDatabaseConnected } from './connection.js';
+import { encryptApiKey, decryptApiKey, isEncryptionEnabled, httpError } from '../utils/helpers.js';
+import { PROVIDER_API_KEYS } from '../config.js';
+import { searchTmdb } from '../providers/tmdb.js';
+import { getTvdbToken } from '../providers/tvdb.js';
+import { searchRawg } from '../providers/rawg.js';
+import { getIgdbToken } from '../providers/igdb.js';
+import { searchComicVine } from '../providers/comicvine.js';
+import { searchDiscogs } from '../providers/discogs.js';
+import { searchBGGGames } from '../providers/bgg.js';
+import { searchGoogleBooks } from '../providers/googlebooks.js';
+import { searchRebrickable } from '../providers/rebrickable.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Vault');
+
+// Renouvellement des tokens IGDB / TVDB (toutes les heures)
+const TOKEN_REFRESH_MS = 60 * 60 * 1000;
+
+/**
+ * Sépare une clé IGDB "clientId:clientSecret"
+ */
+function splitIgdbKey(key) {
+  const [clientId, clientSecret] = key.split(':');
+  if (!clientId || !clientSecret) throw new Error('Format attendu: clientId:clientSecret');
+  return { clientId, clientSecret };
+}
+
+/**
+ * Providers gérés par le coffre
+ * - label: nom affiché
+ * - test : async (key) => appel minimal qui échoue si la clé est refusée
+ * - refreshToken: renouvelle le token d'accès dérivé de la clé (optionnel)
+ */
+export const VAULT_PROVIDERS = {
+  tmdb: { label: 'TMDB', test: (key) => searchTmdb('matrix', key) },
+  tvdb: {
+    label: 'TVDB',
+    test: (key) => getTvdbToken(key, { forceRefresh: true }),
+    refreshToken: (key) => getTvdbToken(key)
+  },
+  rawg: { label: 'RAWG', test: (key) => searchRawg('zelda', key) },
+  igdb: {
+    label: 'IGDB (clientId:clientSecret)',
+    test: (key) => {
+      const { clientId, clientSecret } = splitIgdbKey(key);
+      return getIgdbToken(clientId, clientSecret, { forceRefresh: true });
+    },
+    refreshToken: (key) => {
+      const { clientId, clientSecret } = splitIgdbKey(key);
+      return getIgdbToken(clientId, clientSecret);
+    }
+  },
+  comicvine: { label: 'Comic Vine', test: (key) => searchComicVine('batman', key) },
+  discogs: { label: 'Discogs', test: (key) => searchDiscogs('daft punk', { limit: 1, token: key }) },
+  bgg: { label: 'BoardGameGeek', test: (key) => searchBGGGames('catan', key) },
+  googlebooks: { label: 'Google Books', test: (key) => searchGoogleBooks('tintin', key) },
+  rebrickable: { label: 'Rebrickable', test: (key) => searchRebrickable('falcon', key, 1) }
+};
+
+// Clés déchiffrées (provider → clé)
+const vaultKeys = new Map();
+let refreshInterval = null;
+
+/**
+ * Vérifie que le coffre est utilisable (chiffrement + base de données)
+ */
+function assertVaultAvailable() {
+  if (!isEncryptionEnabled()) {
+    throw httpError('Coffre indisponible : définissez API_ENCRYPTION_KEY', 503);
+  }
+  if (!isDatabaseConnected()) {
+    throw httpError('Base de données non connectée', 503);
+  }
+}
+
+/**
+ * Clé stockée dans le coffre pour un provider
+ * @param {string} provider - Nom de clé (tmdb, igdb…)
+ * @returns {string|null}
+ */
+export function getStoredKey(provider) {
+  return vaultKeys.get(provider) || null;
+}
+
+/**
+ * Toutes les clés stockées (provider → clé)
+ * @returns {Object<string, string>}
+ */
+export function getStoredKeys() {
+  return Object.fromEntries(vaultKeys);
+}
+
+/**
+ * Clé serveur d'un provider : coffre, sinon variable d'environnement
+ * @param {string} provider - Nom de clé (keyName du registre)
+ * @returns {string|null}
+ */
+export function getServerKey(provider) {
+  if (!provider) return null;
+  return getStoredKey(provider) || PROVIDER_API_KEYS[provider] || null;
+}
+
+/**
+ * Charge et déchiffre les clés du coffre en mémoire (au démarrage)
+ * @returns {Promise<number>} Nombre de clés chargées
+ */
+export async function loadVault() {
+  if (!isEncryptionEnabled() || !isDatabaseConnected()) return 0;
+
+  const rows = await queryAll('SELECT provider, encrypted_key FROM provider_credentials');
+  vaultKeys.clear();
+  for (const row of rows) {
+    const key = decryptApiKey(row.encrypted_key);
+    if (key) {
+      vaultKeys.set(row.provider, key);
+    } else {
+      log.warn(`Clé ${row.provider} illisible (API_ENCRYPTION_KEY modifiée ?)`);
+    }
+  }
+
+  if (vaultKeys.size > 0) {
+    log.info(`🔐 ${vaultKeys.size} clé(s) provider chargée(s): ${[...vaultKeys.keys()].join(', ')}`);
+  }
+  return vaultKeys.size;
+}
+
+/**
+ * Formate une ligne provider_credentials pour l'API (jamais la clé)
+ */
+function formatCredential(provider, row) {
+  return {
+    provider,
+    label: VAULT_PROVIDERS[provider].label,
+    stored: !!row,
+    keyHint: row?.key_hint || null,
+    version: row?.version || null,
+    envFallback: !!PROVIDER_API_KEYS[provider],
+    lastTest: row?.last_tested_at ? {
+      at: row.last_tested_at,
+      ok: row.last_test_ok,
+      error: row.last_test_error
+    } : null,
+    updatedAt: row?.updated_at || null
+  };
+}
+
+/**
+ * Liste les providers du coffre et l'état de leurs clés
+ * @returns {Promise<object[]>}
+ */
+export async function listCredentials() {
+  assertVaultAvailable();
+
+  const rows = await queryAll('SELECT * FROM provider_credentials');
+  const byProvider = new Map(rows.map(row => [row.provider, row]));
+  return Object.keys(VAULT_PROVIDERS).map(provider => formatCredential(provider, byProvider.get(provider)));
+}
+
+/**
+ * Teste une clé auprès du provider
+ * @param {string} provider
+ * @param {string} key
+ * @returns {Promise<{ok: boolean, error: string|null, duration: number}>}
+ */
+async function runKeyTest(provider, key) {
+  const start = Date.now();
+  try {
+    await VAULT_PROVIDERS[provider].test(key);
+    return { ok: true, error: null, duration: Date.now() - start };
+  } catch (err) {
+    return { ok: false, error: err.message, duration: Date.now() - start };
+  }
+}
+
+/**
+ * Enregistre ou remplace (rotation) la clé d'un provider
+ * @param {string} provider
+ * @param {string} key - Clé en clair
+ * @param {object} [options]
+ * @param {boolean} [options.test=true] - Tester la clé avant de l'enregistrer (refus si échec)
+ * @returns {Promise<{credential: object, test: object|null}>}
+ */
+export async function setCredential(provider, key, { test = true } = {}) {
+  assertVaultAvailable();
+  if (!VAULT_PROVIDERS[provider]) {
+    throw httpError(`Provider inconnu (${Object.keys(VAULT_PROVIDERS).join(', ')})`, 404);
+  }
+  if (!key || typeof key !== 'string') {
+    throw httpError('key manquante', 400);
+  }
+
+  const result = test ? await runKeyTest(provider, key) : null;
+  if (result && !result.ok) {
+    throw httpError(`Clé ${provider} refusée: ${result.error}`, 422);
+  }
+
+  const encrypted = encryptApiKey(key);
+  if (!encrypted) {
+    throw httpError('Échec du chiffrement', 500);
+  }
+
+  const row = await queryOne(`
+    INSERT INTO provider_credentials (provider, encrypted_key, key_hint, last_tested_at, last_test_ok)
+    VALUES ($1, $2, $3, CASE WHEN $4::boolean IS NULL THEN NULL ELSE NOW() END, $4)
+    ON CONFLICT (provider) DO UPDATE SET
+      encrypted_key = EXCLUDED.encrypted_key,
+      key_hint = EXCLUDED.key_hint,
+      version = provider_credentials.version + 1,
+      last_tested_at = EXCLUDED.last_tested_at,
+      last_test_ok = EXCLUDED.last_test_ok,
+      last_test_error = NULL
+    RETURNING *
+  `, [provider, encrypted, `…${key.slice(-4)}`, result ? true : null]);
+
+  vaultKeys.set(provider, key);
+  log.info(`🔐 Clé ${provider} enregistrée (version ${row.version})`);
+
+  return { credential: formatCredential(provider, row), test: result };
+}
+
+/**
+ * Teste la clé stockée d'un provider et enregistre le résultat
+ * @param {string} provider
+ * @returns {Promise<object|null>} null si aucune clé stockée
+ */
+export async function testCredential(provider) {
+  assertVaultAvailable();
+  const key = getStoredKey(provider);
+  if (!key) return null;
+
+  const result = await runKeyTest(provider, key);
+  await query(`
+    UPDATE provider_credentials
+    SET last_tested_at = NOW(), last_test_ok = $2, last_test_error = $3
+    WHERE provider = $1
+  `, [provider, result.ok, result.error]);
+
+  return { provider, ...result };
+}
+
+/**
+ * Supprime la clé stockée d'un provider
+ * @param {string} provider
+ * @returns {Promise<boolean>}
+ */
+export async function deleteCredential(provider) {
+  assertVaultAvailable();
+  const result = await query('DELETE FROM provider_credentials WHERE provider = $1', [provider]);
+  vaultKeys.delete(provider);
+  return result.rowCount > 0;
+}
+
+/**
+ * Renouvelle les tokens d'accès dérivés des clés stockées (IGDB, TVDB)
+ * Les fonctions get*Token ne rappellent l'API que si le token en cache expire
+ */
+export async function refreshProviderTokens() {
+  for (const [provider, key] of vaultKeys) {
+    const refresh = VAULT_PROVIDERS[provider]?.refreshToken;
+    if (!refresh) continue;
+    try {
+      await refresh(key);
+    } catch (err) {
+      log.warn(`Renouvellement du token ${provider} échoué: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Charge le coffre et démarre le renouvellement des tokens
+ * @returns {Promise<boolean>}
+ */
+export async function startVault() {
+  if (refreshInterval || !isEncryptionEnabled() || !isDatabaseConnected()) return false;
+
+  await loadVault();
+  await refreshProviderTokens();
+  refreshInterval = setInterval(refreshProviderTokens, TOKEN_REFRESH_MS);
+  return true;
+}
+
+/**
+ * Arrête le renouvellement des tokens
+ */
+export function stopVault() {
+  if (refreshInterval) {
+    clearInterval(refreshInterval);
+    refreshInterval = null;
+  }
+}
@@ -0,0 +1,397 @@
+/**
+ * lib/database/document-store.js - Stockage local des notices PDF
+ *
+ * Copie locale des documents dont les providers ne renvoient que l'URL :
+ * - notices LEGO (getBuildingInstructions), Playmobil, Mega
+ * - règles de jeux BGG (getBGGManual)
+ *
+ * Les fichiers sont dédupliqués par SHA-256 (table documents, migration v11) et
+ * rangés sous DOCUMENTS_DIR/<2 premiers caractères>/<sha256>.pdf. Chaque URL amont
+ * est enregistrée dans document_sources (provider, produit, langue, titre).
+ *
+ * Fonctionnalité désactivée tant que DOCUMENTS_DIR n'est pas défini.
+ *
+ * toys_api v4.1.2
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, writeFile, rename, unlink } from 'fs/promises';
+import { join, resolve } from 'path';
+import { query, queryOne, queryAll, isDatabaseConnected } from './connection.js';
+import { httpRequest, readBodyWithLimit } from '../utils/http-client.js';
+import { getBuildingInstructions } from '../providers/lego.js';
+import { getPlaymobilInstructions } from '../providers/playmobil.js';
+import { getMegaInstructions } from '../providers/mega.js';
+import { getBGGManual } from '../providers/bgg.js';
+import {
+  DOCUMENTS_DIR,
+  DOCUMENTS_MAX_BYTES,
+  DOCUMENTS_DOWNLOAD_TIMEOUT_MS
+} from '../config.js';
+import { createLogger } from '../utils/logger.js';
+import { httpError } from '../utils/helpers.js';
+
+const log = createLogger('Documents');
+
+/**
+ * Stockage configuré (DOCUMENTS_DIR) et base disponible
+ * @returns {boolean}
+ */
+export function isDocumentStoreEnabled() {
+  return !!DOCUMENTS_DIR && isDatabaseConnected();
+}
+
+// ============================================================================
+// SOURCES DE DOCUMENTS
+// ============================================================================
+
+/**
+ * Providers dont les notices peuvent être copiées localement
+ * - kind    : instructions (notice de montage) ou rules (règles du jeu)
+ * - resolve : async (id, { lang }) => [{ url, title, language }]
+ */
+export const DOCUMENT_SOURCES = {
+  lego: {
+    kind: 'instructions',
+    resolve: async (id, { lang }) => {
+      const result = await getBuildingInstructions(id, lang || undefined);
+      return (result?.manuals || []).map(manual => ({
+        url: manual.pdfUrl,
+        title: manual.description || result.name || null,
+        language: lang ? lang.slice(0, 2).toLowerCase() : null
+      }));
+    }
+  },
+  playmobil: {
+    kind: 'instructions',
+    resolve: async (id) => {
+      const result = await getPlaymobilInstructions(id);
+      return result?.available ? [{ url: result.url, title: `Playmobil ${result.productId}`, language: null }] : [];
+    }
+  },
+  mega: {
+    kind: 'instructions',
+    resolve: async (sku) => {
+      const result = await getMegaInstructions(sku);
+      return [{ url: result.instructionsUrl, title: result.productName || result.sku, language: null }];
+    }
+  },
+  bgg: {
+    kind: 'rules',
+    resolve: async (id, { lang }) => {
+      const result = await getBGGManual(id, lang || 'fr');
+      const file = result?.file;
+      if (!file?.downloadUrl) return [];
+      return [{
+        url: file.downloadUrl,
+        title: file.title || null,
+        language: file.language && file.language !== 'unknown' ? file.language : null
+      }];
+    }
+  }
+};
+
+// ============================================================================
+// FICHIERS PDF
+// ============================================================================
+
+/**
+ * Contenu PDF (signature %PDF en tête de fichier)
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+export function isPdf(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.subarray(0, 4).toString('latin1') === '%PDF';
+}
+
+/**
+ * Nombre de pages d'un PDF, sans dépendance externe :
+ * /Count de l'arbre de pages racine, sinon nombre d'objets /Type /Page
+ * (null si la structure est compressée et illisible)
+ * @param {Buffer} buffer
+ * @returns {number|null}
+ */
+export function countPdfPages(buffer) {
+  const text = buffer.toString('latin1');
+
+  let max = 0;
+  for (const match of text.matchAll(/\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages\b/g)) {
+    max = Math.max(max, parseInt(match[1] || match[2], 10));
+  }
+  if (max > 0) return max;
+
+  const pages = text.match(/\/Type\s*\/Page(?![a-zA-Z])/g);
+  return pages ? pages.length : null;
+}
+
+/**
+ * Chemin local (absolu) d'un document
+ * @param {string} sha256
+ * @param {string} [dir=DOCUMENTS_DIR]
+ * @returns {string}
+ */
+export function getDocumentPath(sha256, dir = DOCUMENTS_DIR) {
+  return join(resolve(dir), sha256.slice(0, 2), `${sha256}.pdf`);
+}
+
+/**
+ * Écrit le fichier (temporaire puis renommage : jamais de PDF tronqué servi)
+ */
+async function writeDocumentFile(sha256, buffer) {
+  const path = getDocumentPath(sha256);
+  await mkdir(join(resolve(DOCUMENTS_DIR), sha256.slice(0, 2)), { recursive: true });
+  const tmp = `${path}.${process.pid}.tmp`;
+  await writeFile(tmp, buffer);
+  await rename(tmp, path);
+  return path;
+}
+
+// ============================================================================
+// ENREGISTREMENT
+// ============================================================================
+
+/**
+ * Formate un document pour l'API
+ * @param {object} row - Ligne documents (+ sources agrégées)
+ * @returns {object|null}
+ */
+function formatDocument(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    sha256: row.sha256,
+    sizeBytes: Number(row.size_bytes),
+    contentType: row.content_type,
+    pageCount: row.page_count,
+    url: `/documents/${row.id}`,
+    sources: (row.sources || []).map(s => ({
+      source: s.source,
+      sourceId: s.source_id,
+      kind: s.kind,
+      title: s.title,
+      language: s.language,
+      url: s.url,
+      downloadedAt: s.downloaded_at
+    })),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const DOCUMENT_SELECT = `
+  SELECT d.*,
+    COALESCE(
+      (SELECT json_agg(s ORDER BY s.downloaded_at) FROM document_sources s WHERE s.document_id = d.id),
+      '[]'::json
+    ) AS sources
+  FROM documents d
+`;
+
+/**
+ * Enregistre un PDF (fichier + métadonnées), sans doublon de contenu
+ * @param {Buffer} buffer - Contenu PDF
+ * @param {object} origin - { source, sourceId, url, title, language, kind }
+ * @returns {Promise<{document: object, created: boolean}>}
+ */
+export async function storeDocument(buffer, origin) {
+  if (!isPdf(buffer)) {
+    throw httpError(`Le fichier n'est pas un PDF: ${origin.url}`, 422);
+  }
+
+  const sha256 = createHash('sha256').update(buffer).digest('hex');
+  let row = await queryOne('SELECT id FROM documents WHERE sha256 = $1', [sha256]);
+  const created = !row;
+
+  if (created) {
+    await writeDocumentFile(sha256, buffer);
+    row = await queryOne(`
+      INSERT INTO documents (sha256, size_bytes, page_count)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (sha256) DO UPDATE SET updated_at = NOW()
+      RETURNING id
+    `, [sha256, buffer.length, countPdfPages(buffer)]);
+  }
+
+  await query(`
+    INSERT INTO document_sources (document_id, source, source_id, url, title, language, kind)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (url) DO UPDATE SET
+      document_id = EXCLUDED.document_id,
+      title = COALESCE(EXCLUDED.title, document_sources.title),
+      language = COALESCE(EXCLUDED.language, document_sources.language),
+      downloaded_at = NOW()
+  `, [row.id, origin.source, String(origin.sourceId), origin.url, origin.title || null, origin.language || null, origin.kind || 'instructions']);
+
+  return { document: await getDocument(row.id), created };
+}
+
+/**
+ * Télécharge un PDF puis l'enregistre
+ * Une URL déjà copiée n'est pas retéléchargée (sauf refresh)
+ * @param {object} origin - { source, sourceId, url, title, language, kind }
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false]
+ * @returns {Promise<{document: object, created: boolean, cached: boolean}>}
+ */
+export async function downloadDocument(origin, { refresh = false } = {}) {
+  if (!refresh) {
+    const existing = await queryOne('SELECT document_id FROM document_sources WHERE url = $1', [origin.url]);
+    if (existing) {
+      return { document: await getDocument(existing.document_id), created: false, cached: true };
+    }
+  }
+
+  const response = await httpRequest(origin.url, {
+    source: origin.source,
+    timeout: DOCUMENTS_DOWNLOAD_TIMEOUT_MS,
+    headers: { Accept: 'application/pdf,*/*' }
+  });
+  if (!response.ok) {
+    throw httpError(`Téléchargement impossible (HTTP ${response.status}): ${origin.url}`, 502);
+  }
+
+  const buffer = await readBodyWithLimit(response, DOCUMENTS_MAX_BYTES);
+  if (!buffer) {
+    throw httpError(`Document trop volumineux (max ${DOCUMENTS_MAX_BYTES} octets)`, 413);
+  }
+
+  const result = await storeDocument(buffer, origin);
+  log.info(`${result.created ? '📄 Document copié' : '♻️ Document déjà présent'}: ${origin.source}/${origin.sourceId} (#${result.document.id})`);
+  return { ...result, cached: false };
+}
+
+/**
+ * Copie localement toutes les notices d'un produit
+ * @param {string} source - lego, playmobil, mega, bgg
+ * @param {string} sourceId - ID produit (SKU pour Mega, ID BGG)
+ * @param {object} [options]
+ * @param {string} [options.lang] - Locale LEGO (fr-fr) ou langue BGG (fr)
+ * @param {boolean} [options.refresh=false]
+ * @returns {Promise<{source: string, sourceId: string, documents: object[], errors: object[]}>}
+ */
+export async function mirrorDocuments(source, sourceId, { lang = null, refresh = false } = {}) {
+  const entry = DOCUMENT_SOURCES[source];
+  if (!entry) {
+    throw httpError(`Source non supportée: ${source} (${Object.keys(DOCUMENT_SOURCES).join(', ')})`, 400);
+  }
+
+  const targets = (await entry.resolve(String(sourceId), { lang })).filter(t => t.url);
+  if (targets.length === 0) {
+    throw httpError(`Aucune notice trouvée pour ${source}/${sourceId}`, 404);
+  }
+
+  const documents = [];
+  const errors = [];
+  for (const target of targets) {
+    try {
+      const { document, created, cached } = await downloadDocument({
+        ...target,
+        source,
+        sourceId,
+        kind: entry.kind
+      }, { refresh });
+      documents.push({ ...document, created, cached });
+    } catch (err) {
+      log.warn(`Notice ${source}/${sourceId} non copiée: ${err.message}`);
+      errors.push({ url: target.url, error: err.message });
+    }
+  }
+
+  if (documents.length === 0) {
+    throw httpError(errors[0].error, 502);
+  }
+  return { source, sourceId: String(sourceId), documents, errors };
+}
+
+// ============================================================================
+// LECTURE / SUPPRESSION
+// ============================================================================
+
+/**
+ * Récupère un document avec ses sources
+ * @param {number} id
+ * @returns {Promise<object|null>} Document formaté, avec path (chemin local)
+ */
+export async function getDocument(id) {
+  const row = await queryOne(`${DOCUMENT_SELECT} WHERE d.id = $1`, [id]);
+  if (!row) return null;
+  return { ...formatDocument(row), path: getDocumentPath(row.sha256) };
+}
+
+/**
+ * Liste les documents copiés
+ * @param {object} [options]
+ * @param {string} [options.source] - Filtrer par provider
+ * @param {string} [options.sourceId] - Filtrer par produit
+ * @param {string} [options.language]
+ * @param {number} [options.limit=50]
+ * @param {number} [options.offset=0]
+ * @returns {Promise<{total: number, documents: object[]}>}
+ */
+export async function listDocuments({ source = null, sourceId = null, language = null, limit = 50, offset = 0 } = {}) {
+  const filter = `
+    WHERE EXISTS (
+      SELECT 1 FROM document_sources s
+      WHERE s.document_id = d.id
+        AND ($1::text IS NULL OR s.source = $1)
+        AND ($2::text IS NULL OR s.source_id = $2)
+        AND ($3::text IS NULL OR s.language = $3)
+    )
+  `;
+  const params = [source, sourceId, language];
+
+  const [rows, count] = await Promise.all([
+    queryAll(`${DOCUMENT_SELECT} ${filter} ORDER BY d.created_at DESC LIMIT $4 OFFSET $5`, [...params, limit, offset]),
+    queryOne(`SELECT COUNT(*)::int AS total FROM documents d ${filter}`, params)
+  ]);
+
+  return { total: count?.total || 0, documents: rows.map(formatDocument) };
+}
+
+/**
+ * Supprime un document (métadonnées, sources et fichier)
+ * @param {number} id
+ * @returns {Promise<boolean>}
+ */
+export async function deleteDocument(id) {
+  const row = await queryOne('DELETE FROM documents WHERE id = $1 RETURNING sha256', [id]);
+  if (!row) return false;
+
+  await unlink(getDocumentPath(row.sha256)).catch(err => {
+    if (err.code !== 'ENOENT') log.warn(`Fichier du document #${id} non supprimé: ${err.message}`);
+  });
+  log.info(`🗑️ Document #${id} supprimé`);
+  return true;
+}
+
+/**
+ * Produits de la collection d'un utilisateur dont les notices sont copiables
+ * @param {string} userId
+ * @returns {Promise<Array<{source: string, id: string}>>}
+ */
+export async function getCollectionDocumentTargets(userId) {
+  const rows = await queryAll(`
+    SELECT DISTINCT i.source, i.source_id
+    FROM collection_entries c
+    JOIN items i ON i.id = c.item_id
+    WHERE c.user_id = $1 AND i.source = ANY($2)
+    ORDER BY i.source, i.source_id
+  `, [userId, Object.keys(DOCUMENT_SOURCES)]);
+  return rows.map(r => ({ source: r.source, id: r.source_id }));
+}
+
+/**
+ * Statistiques du stockage (nombre de documents, volume, sources)
+ * @returns {Promise<object>}
+ */
+export async function getDocumentStats() {
+  const [totals, bySource] = await Promise.all([
+    queryOne('SELECT COUNT(*)::int AS documents, COALESCE(SUM(size_bytes), 0)::bigint AS bytes FROM documents'),
+    queryAll('SELECT source, COUNT(DISTINCT document_id)::int AS documents FROM document_sources GROUP BY source')
+  ]);
+  return {
+    documents: totals?.documents || 0,
+    sizeBytes: Number(totals?.bytes || 0),
+    bySource: Object.fromEntries(bySource.map(r => [r.source, r.documents]))
+  };
+}
@@ -0,0 +1,833 @@
+/**
+ * lib/database/follows.js - Suivis et calendrier des sorties
+ *
+ * Chaque suivi (table follows, migration v14) désigne une série, un thème,
+ * un auteur ou une gamme de sets TCG chez un provider :
+ * - vérification périodique (FOLLOW_INTERVAL_HOURS), une ligne
+ *   follow_releases par entrée (album, volume, saison, set…)
+ * - la première vérification sert de référence (baseline, jamais notifiée)
+ * - les nouvelles entrées partent dans un récapitulatif email (mailer)
+ * - calendrier JSON et flux iCalendar à clé secrète (calendar_feeds)
+ *
+ * toys_api v4.1.2
+ */
+
+import crypto from 'crypto';
+import { query, queryOne, queryAll, isDatabaseConnected } from './connection.js';
+import { getServerKey } from './credential-vault.js';
+import { recordSeries } from './series-catalog.js';
+import {
+  getBedethequeSerieById,
+  getBedethequeAlbumById,
+  searchBedethequeByAuthor
+} from '../providers/bedetheque.js';
+import { getMangaDexById, getMangaDexAggregate, searchMangaDexByAuthor } from '../providers/mangadex.js';
+import { getTmdbTvById } from '../providers/tmdb.js';
+import { getTvdbSeriesById } from '../providers/tvdb.js';
+import { searchRebrickable, getRebrickableThemes } from '../providers/rebrickable.js';
+import { searchOpenLibraryByAuthor } from '../providers/openlibrary.js';
+import { searchGoogleBooksByAuthor } from '../providers/googlebooks.js';
+import { getPokemonSets } from '../providers/tcg/pokemon.js';
+import { getMTGSets } from '../providers/tcg/mtg.js';
+import { getYuGiOhSets } from '../providers/tcg/yugioh.js';
+import { sendReleaseDigest, isMailerConfigured } from '../utils/mailer.js';
+import { buildICalendar } from '../utils/icalendar.js';
+import {
+  DEFAULT_LOCALE,
+  FOLLOW_INTERVAL_HOURS,
+  FOLLOW_POLL_MS,
+  FOLLOW_BATCH_SIZE,
+  FOLLOW_MAX_DETAILS
+} from '../config.js';
+import { createLogger } from '../utils/logger.js';
+import { httpError } from '../utils/helpers.js';
+
+const log = createLogger('Follows');
+
+// Nouveautés plus anciennes : jamais envoyées (SMTP configuré après coup)
+const DIGEST_MAX_AGE_DAYS = 7;
+
+// État du worker
+let pollInterval = null;
+let firstRunTimeout = null;
+let isRunning = false;
+let stats = {
+  totalRuns: 0,
+  checked: 0,
+  failed: 0,
+  newReleases: 0,
+  digests: 0,
+  lastRun: null,
+  lastError: null
+};
+
+/**
+ * Date de sortie provider → AAAA-MM-JJ et précision
+ * Formats : AAAA, AAAA-MM, AAAA-MM-JJ (ISO), AAAA/MM/JJ, MM/AAAA, JJ/MM/AAAA
+ * @param {string|number|null} value
+ * @returns {{date: string|null, precision: string}} precision day/month/year, discovered sans date
+ */
+export function parseReleaseDate(value) {
+  const str = value === null || value === undefined ? '' : String(value).trim();
+  let match;
+
+  if ((match = /^(\d{4})[-/](\d{2})[-/](\d{2})/.exec(str))) {
+    return { date: `${match[1]}-${match[2]}-${match[3]}`, precision: 'day' };
+  }
+  if ((match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(str))) {
+    return { date: `${match[3]}-${match[2]}-${match[1]}`, precision: 'day' };
+  }
+  if ((match = /^(\d{4})-(\d{2})$/.exec(str)) || (match = /^(\d{1,2})\/(\d{4})$/.exec(str))) {
+    const [year, month] = match[1].length === 4 ? [match[1], match[2]] : [match[2], match[1]];
+    return { date: `${year}-${month.padStart(2, '0')}-01`, precision: 'month' };
+  }
+  if ((match = /^(\d{4})$/.exec(str))) {
+    return { date: `${match[1]}-01-01`, precision: 'year' };
+  }
+  return { date: null, precision: 'discovered' };
+}
+
+/**
+ * Entrée de suivi (une ligne follow_releases)
+ */
+function entry(key, title, date, extra = {}) {
+  return { key: String(key), title: title || String(key), ...parseReleaseDate(date), image: null, url: null, ...extra };
+}
+
+// ============================================================================
+// SOURCES SUIVIES
+// ============================================================================
+
+/**
+ * Types de suivi
+ * - label    : description (GET /follows/sources)
+ * - target   : format de la cible (validation)
+ * - keyName  : clé API provider (credential-vault), null si aucune
+ * - fetch    : async (target, { apiKey, known, baseline, needName }) => { name, entries }
+ *   known : clés d'entrées déjà enregistrées ; baseline : première vérification
+ */
+export const FOLLOW_SOURCES = {
+  bedetheque_serie: {
+    label: 'Série Bedetheque (albums)',
+    target: /^\d+$/,
+    keyName: null,
+    fetch: async (target, { known, baseline }) => {
+      const serie = await getBedethequeSerieById(parseInt(target, 10));
+      if (!serie?.albums) throw new Error('Série non trouvée');
+      recordSeries('bedetheque', serie);
+
+      const entries = serie.albums.map(album => entry(`album:${album.id}`, album.title, null, { url: album.url || null }));
+
+      // Date de dépôt légal et couverture des nouveaux albums (fiche album)
+      if (!baseline) {
+        const fresh = entries.filter(e => !known.has(e.key)).slice(0, FOLLOW_MAX_DETAILS);
+        for (const e of fresh) {
+          try {
+            const album = await getBedethequeAlbumById(e.key.slice('album:'.length));
+            Object.assign(e, parseReleaseDate(album?.releaseDate), { image: album?.image?.[0] || null });
+          } catch (err) {
+            log.warn(`Album Bedetheque ${e.key} non récupéré: ${err.message}`);
+          }
+        }
+      }
+      return { name: serie.title || null, entries };
+    }
+  },
+  mangadex_manga: {
+    label: 'Manga MangaDex (volumes)',
+    target: /^[0-9a-f-]{36}$/i,
+    keyName: null,
+    fetch: async (target, { needName }) => {
+      const [aggregate, manga] = await Promise.all([
+        getMangaDexAggregate(target),
+        needName ? getMangaDexById(target) : null
+      ]);
+      recordSeries('mangadex_aggregate', aggregate);
+      recordSeries('mangadex', manga);
+      const entries = (aggregate?.volumes || [])
+        .filter(volume => volume.volume && volume.volume !== 'none')
+        .map(volume => entry(`volume:${volume.volume}`, `Volume ${volume.volume}`, null, {
+          url: `https://mangadex.org/title/${target}`
+        }));
+      return { name: manga?.title || null, entries };
+    }
+  },
+  tmdb_series: {
+    label: 'Série TMDB (saisons, prochain épisode)',
+    target: /^\d+$/,
+    keyName: 'tmdb',
+    fetch: async (target, { apiKey }) => {
+      const tv = await getTmdbTvById(target, apiKey, { lang: DEFAULT_LOCALE });
+      if (!tv) throw new Error('Série non trouvée');
+      recordSeries('tmdb_tv', tv);
+
+      const url = `https://www.themoviedb.org/tv/${target}`;
+      const entries = (tv.seasons || [])
+        .filter(season => season.seasonNumber > 0)
+        .map(season => entry(`season:${season.seasonNumber}`, season.name, season.airDate, { image: season.poster, url }));
+
+      const next = tv.nextEpisodeToAir;
+      if (next?.airDate) {
+        entries.push(entry(
+          `episode:S${next.seasonNumber}E${next.episodeNumber}`,
+          `S${String(next.seasonNumber).padStart(2, '0')}E${String(next.episodeNumber).padStart(2, '0')}${next.name ? ` - ${next.name}` : ''}`,
+          next.airDate,
+          { url }
+        ));
+      }
+      return { name: tv.name || null, entries };
+    }
+  },
+  tvdb_series: {
+    label: 'Série TVDB (saisons, prochaine diffusion)',
+    target: /^\d+$/,
+    keyName: 'tvdb',
+    fetch: async (target, { apiKey }) => {
+      const series = await getTvdbSeriesById(target, apiKey);
+      if (!series) throw new Error('Série non trouvée');
+      recordSeries('tvdb_series', series);
+
+      const url = series.slug ? `https://thetvdb.com/series/${series.slug}` : null;
+      const entries = (series.seasons || [])
+        .filter(season => season.number > 0)
+        .map(season => entry(`season:${season.number}`, season.name || `Saison ${season.number}`, season.year, { image: season.image, url }));
+
+      if (series.nextAired) {
+        entries.push(entry(`aired:${series.nextAired}`, 'Prochaine diffusion', series.nextAired, { url }));
+      }
+      return { name: series.name || null, entries };
+    }
+  },
+  lego_theme: {
+    label: 'Thème LEGO Rebrickable (theme_id, sets des 2 dernières années)',
+    target: /^\d+$/,
+    keyName: 'rebrickable',
+    fetch: async (target, { apiKey, needName }) => {
+      const minYear = new Date().getFullYear() - 1;
+      const [result, themes] = await Promise.all([
+        searchRebrickable('', apiKey, 100, { theme_id: target, min_year: minYear }),
+        needName ? getRebrickableThemes(apiKey) : null
+      ]);
+      const entries = (result?.sets || []).map(set => entry(`set:${set.set_num}`, `${set.set_num} ${set.name}`, set.year, {
+        image: set.set_img_url || null,
+        url: set.set_url || null
+      }));
+      const theme = themes?.themes.find(t => String(t.id) === target);
+      return { name: theme ? `LEGO ${theme.name}` : null, entries };
+    }
+  },
+  author_bedetheque: {
+    label: 'Auteur Bedetheque (/authors/bedetheque)',
+    target: /\S/,
+    keyName: null,
+    fetch: async (target) => {
+      const result = await searchBedethequeByAuthor(target, { max: 50 });
+      const entries = (result?.albums || []).map(album => entry(`album:${album.id}`, album.title, album.releaseDate, {
+        image: album.image?.[0] || null,
+        url: album.url || null
+      }));
+      return { name: result?.author || target, entries };
+    }
+  },
+  author_mangadex: {
+    label: 'Auteur MangaDex (/authors/mangadex)',
+    target: /\S/,
+    keyName: null,
+    fetch: async (target) => {
+      const result = await searchMangaDexByAuthor(target, { max: 100 });
+      const entries = (result?.manga || []).map(manga => entry(`manga:${manga.id}`, manga.title, manga.releaseDate, {
+        image: manga.images?.[0] || null,
+        url: manga.link || null
+      }));
+      return { name: target, entries };
+    }
+  },
+  author_openlibrary: {
+    label: 'Auteur Open Library (/authors/openlibrary)',
+    target: /\S/,
+    keyName: null,
+    fetch: async (target) => {
+      const result = await searchOpenLibraryByAuthor(target, { max: 100 });
+      const entries = (result?.books || []).filter(book => book.id).map(book => entry(`work:${book.id}`, book.title, book.releaseDate, {
+        image: book.image?.[0] || null,
+        url: book.url || null
+      }));
+      return { name: target, entries };
+    }
+  },
+  author_googlebooks: {
+    label: 'Auteur Google Books (/authors/googlebooks)',
+    target: /\S/,
+    keyName: 'googlebooks',
+    fetch: async (target, { apiKey }) => {
+      const result = await searchGoogleBooksByAuthor(target, apiKey, { maxResults: 40 });
+      const entries = (result?.books || []).map(book => entry(`volume:${book.id}`, book.title, book.releaseDate, {
+        image: book.image?.[0] || null,
+        url: `https://books.google.com/books?id=${book.id}`
+      }));
+      return { name: target, entries };
+    }
+  },
+  tcg_pokemon_series: {
+    label: 'Série de sets Pokémon TCG (ex: "Scarlet & Violet")',
+    target: /\S/,
+    keyName: null,
+    fetch: async (target) => {
+      const result = await getPokemonSets({ series: target });
+      const entries = (result?.data || []).map(set => entry(`set:${set.id}`, set.name, set.releaseDate, {
+        image: set.images?.logo || null
+      }));
+      return { name: `Pokémon TCG ${target}`, entries };
+    }
+  },
+  tcg_mtg_sets: {
+    label: 'Sets Magic: The Gathering par type ou bloc Scryfall (ex: "expansion")',
+    target: /\S/,
+    keyName: null,
+    fetch: async (target) => {
+      const wanted = target.toLowerCase();
+      const result = await getMTGSets();
+      const entries = (result?.data || [])
+        .filter(set => set.set_type === wanted || set.block?.toLowerCase() === wanted)
+        .map(set => entry(`set:${set.code}`, set.name, set.released_at, {
+          image: set.icon_svg_uri || null,
+          url: set.scryfall_uri || null
+        }));
+      return { name: `Magic ${target}`, entries };
+    }
+  },
+  tcg_yugioh_sets: {
+    label: 'Sets Yu-Gi-Oh! dont le nom contient la cible (ex: "Structure Deck")',
+    target: /\S/,
+    keyName: null,
+    fetch: async (target) => {
+      const wanted = target.toLowerCase();
+      const sets = await getYuGiOhSets();
+      const entries = (Array.isArray(sets) ? sets : [])
+        .filter(set => set.set_name?.toLowerCase().includes(wanted))
+        .map(set => entry(`set:${set.set_code}`, set.set_name, set.tcg_date, { image: set.set_image || null }));
+      return { name: `Yu-Gi-Oh! ${target}`, entries };
+    }
+  }
+};
+
+// ============================================================================
+// CRUD
+// ============================================================================
+
+/**
+ * Formate une ligne follows pour l'API
+ * @param {object} row
+ * @returns {object|null}
+ */
+function formatFollow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    kind: row.kind,
+    target: row.target,
+    name: row.name,
+    notifyEmail: row.notify_email,
+    active: row.active,
+    releases: row.release_count !== undefined ? Number(row.release_count) : undefined,
+    lastCheckedAt: row.last_checked_at,
+    lastSuccessAt: row.last_success_at,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Valide les champs d'un suivi
+ * @param {object} body - { kind, target, name, notifyEmail, active }
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Mise à jour (kind/target non modifiables)
+ * @returns {{fields: object, error: string|null}} fields indexé par colonne
+ */
+export function parseFollowFields(body = {}, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial) {
+    const source = FOLLOW_SOURCES[body.kind];
+    if (!source) {
+      return { fields, error: `kind invalide (${Object.keys(FOLLOW_SOURCES).join(', ')})` };
+    }
+    const target = String(body.target ?? '').trim();
+    if (!target || !source.target.test(target)) {
+      return { fields, error: `target invalide pour ${body.kind}` };
+    }
+    fields.kind = body.kind;
+    fields.target = target;
+  }
+
+  if (body.name !== undefined) {
+    fields.name = body.name ? String(body.name) : null;
+  }
+  if (body.notifyEmail !== undefined) {
+    if (body.notifyEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.notifyEmail)) {
+      return { fields, error: 'notifyEmail invalide' };
+    }
+    fields.notify_email = body.notifyEmail || null;
+  }
+  if (body.active !== undefined) {
+    fields.active = body.active === true || body.active === 'true';
+  }
+
+  return { fields, error: null };
+}
+
+/**
+ * Crée un suivi
+ * @param {string} userId
+ * @param {object} fields - Colonnes validées (parseFollowFields)
+ * @returns {Promise<object|null>} null si ce suivi existe déjà
+ */
+export async function createFollow(userId, fields) {
+  const columns = ['user_id', ...Object.keys(fields)];
+  const row = await queryOne(`
+    INSERT INTO follows (${columns.join(', ')})
+    VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+    ON CONFLICT (user_id, kind, target) DO NOTHING
+    RETURNING *
+  `, [userId, ...Object.values(fields)]);
+  if (!row) return null;
+
+  log.info(`Suivi #${row.id} créé: ${row.kind}/${row.target}`);
+  return formatFollow(row);
+}
+
+/**
+ * Récupère un suivi d'un utilisateur
+ * @param {string} userId
+ * @param {number} id
+ * @returns {Promise<object|null>}
+ */
+export async function getFollow(userId, id) {
+  const row = await queryOne(`
+    SELECT f.*, (SELECT COUNT(*) FROM follow_releases r WHERE r.follow_id = f.id) AS release_count
+    FROM follows f WHERE f.id = $1 AND f.user_id = $2
+  `, [id, userId]);
+  return formatFollow(row);
+}
+
+/**
+ * Liste les suivis d'un utilisateur
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {boolean|null} [options.active] - Filtrer actifs/inactifs
+ * @param {string|null} [options.kind] - Filtrer par type de suivi
+ * @returns {Promise<object[]>}
+ */
+export async function listFollows(userId, { active = null, kind = null } = {}) {
+  const rows = await queryAll(`
+    SELECT f.*, (SELECT COUNT(*) FROM follow_releases r WHERE r.follow_id = f.id) AS release_count
+    FROM follows f
+    WHERE f.user_id = $1
+      AND ($2::boolean IS NULL OR f.active = $2)
+      AND ($3::text IS NULL OR f.kind = $3)
+    ORDER BY f.created_at DESC
+  `, [userId, active, kind]);
+  return rows.map(formatFollow);
+}
+
+/**
+ * Met à jour un suivi
+ * @param {string} userId
+ * @param {number} id
+ * @param {object} fields - Colonnes validées (parseFollowFields partial)
+ * @returns {Promise<object|null>}
+ */
+export async function updateFollow(userId, id, fields) {
+  const columns = Object.keys(fields);
+  if (columns.length === 0) return getFollow(userId, id);
+
+  const row = await queryOne(`
+    UPDATE follows SET ${columns.map((column, i) => `${column} = $${i + 3}`).join(', ')}
+    WHERE id = $1 AND user_id = $2
+    RETURNING *
+  `, [id, userId, ...columns.map(column => fields[column])]);
+  return formatFollow(row);
+}
+
+/**
+ * Supprime un suivi et ses entrées
+ * @param {string} userId
+ * @param {number} id
+ * @returns {Promise<boolean>}
+ */
+export async function deleteFollow(userId, id) {
+  const result = await query('DELETE FROM follows WHERE id = $1 AND user_id = $2', [id, userId]);
+  return result.rowCount > 0;
+}
+
+// ============================================================================
+// VÉRIFICATION
+// ============================================================================
+
+/**
+ * Enregistre les entrées d'une vérification ; une date connue n'est jamais effacée
+ * @param {number} followId
+ * @param {object[]} entries
+ * @param {boolean} baseline - Première vérification
+ * @returns {Promise<number>} Nouvelles entrées
+ */
+async function saveReleases(followId, entries, baseline) {
+  // Clés uniques (un provider peut lister deux fois la même entrée)
+  const unique = [...new Map(entries.map(e => [e.key, e])).values()];
+  if (unique.length === 0) return 0;
+
+  const rows = await queryAll(`
+    INSERT INTO follow_releases (follow_id, entry_key, title, release_date, date_precision, image, url, baseline)
+    SELECT $1, e.key, e.title, e.date::date, e.precision, e.image, e.url, $3
+    FROM jsonb_to_recordset($2::jsonb) AS e(key TEXT, title TEXT, date TEXT, precision TEXT, image TEXT, url TEXT)
+    ON CONFLICT (follow_id, entry_key) DO UPDATE SET
+      title = EXCLUDED.title,
+      release_date = COALESCE(EXCLUDED.release_date, follow_releases.release_date),
+      date_precision = CASE WHEN EXCLUDED.release_date IS NOT NULL
+        THEN EXCLUDED.date_precision ELSE follow_releases.date_precision END,
+      image = COALESCE(EXCLUDED.image, follow_releases.image),
+      url = COALESCE(EXCLUDED.url, follow_releases.url)
+    RETURNING (xmax = 0) AS inserted
+  `, [followId, JSON.stringify(unique), baseline]);
+
+  return rows.filter(row => row.inserted).length;
+}
+
+/**
+ * Vérifie un suivi et enregistre ses entrées
+ * Toujours avec la clé serveur : le cycle n'a pas accès aux clés des clients
+ * @param {object} row - Ligne follows
+ * @returns {Promise<{followId: number, entries: number, newReleases: number, baseline: boolean, error?: string}>}
+ */
+export async function checkFollow(row) {
+  const source = FOLLOW_SOURCES[row.kind];
+  const baseline = row.last_success_at === null;
+
+  let result;
+  try {
+    const apiKey = source.keyName ? getServerKey(source.keyName) : null;
+    if (source.keyName && !apiKey) {
+      throw new Error(`Clé API manquante pour ${row.kind} (${source.keyName})`);
+    }
+
+    const known = baseline ? new Set() : new Set((await queryAll(
+      'SELECT entry_key FROM follow_releases WHERE follow_id = $1', [row.id]
+    )).map(r => r.entry_key));
+
+    result = await source.fetch(row.target, { apiKey, known, baseline, needName: !row.name });
+  } catch (err) {
+    await query(
+      'UPDATE follows SET last_checked_at = NOW(), last_error = $2 WHERE id = $1',
+      [row.id, err.message]
+    );
+    log.warn(`Suivi #${row.id} (${row.kind}/${row.target}): ${err.message}`);
+    return { followId: row.id, entries: 0, newReleases: 0, baseline, error: err.message };
+  }
+
+  const inserted = await saveReleases(row.id, result.entries, baseline);
+  const newReleases = baseline ? 0 : inserted;
+
+  await query(`
+    UPDATE follows SET
+      last_checked_at = NOW(),
+      last_success_at = NOW(),
+      last_error = NULL,
+      name = COALESCE(name, $2)
+    WHERE id = $1
+  `, [row.id, result.name]);
+
+  if (newReleases > 0) {
+    log.info(`📅 Suivi #${row.id} (${row.kind}/${row.target}): ${newReleases} nouvelle(s) sortie(s)`);
+  }
+  return { followId: row.id, entries: result.entries.length, newReleases, baseline };
+}
+
+/**
+ * Vérifie immédiatement un suivi d'un utilisateur
+ * @param {string} userId
+ * @param {number} id
+ * @returns {Promise<{follow: object, check: object}|null>}
+ */
+export async function checkFollowNow(userId, id) {
+  const row = await queryOne('SELECT * FROM follows WHERE id = $1 AND user_id = $2', [id, userId]);
+  if (!row) return null;
+
+  const check = await checkFollow(row);
+  return { follow: await getFollow(userId, id), check };
+}
+
+/**
+ * Envoie un récapitulatif par utilisateur et adresse des nouveautés non notifiées
+ * Les suivis sans notifyEmail ne sont pas notifiés (jamais d'envoi à l'adresse par défaut)
+ * @returns {Promise<number>} Récapitulatifs envoyés
+ */
+export async function sendPendingDigests() {
+  if (!isMailerConfigured()) return 0;
+
+  const rows = await queryAll(`
+    SELECT r.id, r.title, r.release_date, r.date_precision, r.image, r.url,
+           f.kind, f.target, f.name AS follow_name, f.user_id, f.notify_email
+    FROM follow_releases r
+    JOIN follows f ON f.id = r.follow_id
+    WHERE r.notified_at IS NULL AND NOT r.baseline AND f.active
+      AND f.notify_email IS NOT NULL
+      AND r.discovered_at > NOW() - make_interval(days => $1)
+    ORDER BY f.user_id, f.id, r.release_date NULLS LAST, r.id
+  `, [DIGEST_MAX_AGE_DAYS]);
+
+  const byRecipient = new Map();
+  for (const row of rows) {
+    const key = `${row.user_id}\n${row.notify_email}`;
+    if (!byRecipient.has(key)) byRecipient.set(key, []);
+    byRecipient.get(key).push(row);
+  }
+
+  let sent = 0;
+  for (const list of byRecipient.values()) {
+    const ok = await sendReleaseDigest({
+      to: list[0].notify_email,
+      releases: list.map(row => ({
+        followName: row.follow_name || `${row.kind} ${row.target}`,
+        title: row.title,
+        releaseDate: formatReleaseDate(row.release_date, row.date_precision),
+        url: row.url,
+        image: row.image
+      }))
+    });
+    if (ok) {
+      await query('UPDATE follow_releases SET notified_at = NOW() WHERE id = ANY($1)', [list.map(row => row.id)]);
+      sent++;
+    }
+  }
+  return sent;
+}
+
+/**
+ * Cycle : suivis actifs non vérifiés depuis FOLLOW_INTERVAL_HOURS, puis récapitulatifs
+ * @returns {Promise<object>}
+ */
+export async function runFollowCycle() {
+  if (isRunning) {
+    return { skipped: true, reason: 'Cycle déjà en cours' };
+  }
+
+  isRunning = true;
+  const cycle = { checked: 0, failed: 0, newReleases: 0, digests: 0 };
+
+  try {
+    const due = await queryAll(`
+      SELECT * FROM follows
+      WHERE active
+        AND (last_checked_at IS NULL OR last_checked_at < NOW() - make_interval(secs => $1))
+      ORDER BY last_checked_at ASC NULLS FIRST
+      LIMIT $2
+    `, [FOLLOW_INTERVAL_HOURS * 3600, FOLLOW_BATCH_SIZE]);
+
+    for (const row of due) {
+      if (!FOLLOW_SOURCES[row.kind]) continue;
+      const result = await checkFollow(row);
+      cycle.checked++;
+      if (result.error) cycle.failed++;
+      cycle.newReleases += result.newReleases;
+    }
+
+    cycle.digests = await sendPendingDigests();
+
+    if (due.length > 0) {
+      log.info(`Cycle: ${cycle.checked} vérifiés, ${cycle.failed} en échec, ${cycle.newReleases} nouveautés, ${cycle.digests} récapitulatifs`);
+    }
+  } catch (err) {
+    stats.lastError = err.message;
+    log.error(`Erreur cycle: ${err.message}`);
+  } finally {
+    isRunning = false;
+    stats.totalRuns++;
+    stats.checked += cycle.checked;
+    stats.failed += cycle.failed;
+    stats.newReleases += cycle.newReleases;
+    stats.digests += cycle.digests;
+    stats.lastRun = new Date().toISOString();
+  }
+
+  return cycle;
+}
+
+/**
+ * Statistiques du worker de suivi
+ */
+export function getFollowStats() {
+  return {
+    ...stats,
+    isRunning,
+    isStarted: pollInterval !== null,
+    intervalHours: FOLLOW_INTERVAL_HOURS
+  };
+}
+
+/**
+ * Démarre les vérifications périodiques
+ * @returns {boolean}
+ */
+export function startFollowWatch() {
+  if (pollInterval) return false;
+
+  if (!isDatabaseConnected()) {
+    log.info('Base de données non connectée, suivi des sorties non démarré');
+    return false;
+  }
+
+  log.info(`Démarrage (vérification toutes les ${FOLLOW_INTERVAL_HOURS}h)`);
+
+  // Premier cycle après 90 secondes (après celui de la surveillance de prix)
+  firstRunTimeout = setTimeout(() => {
+    firstRunTimeout = null;
+    runFollowCycle();
+  }, 90000);
+
+  pollInterval = setInterval(runFollowCycle, FOLLOW_POLL_MS);
+  return true;
+}
+
+/**
+ * Arrête les vérifications périodiques
+ */
+export function stopFollowWatch() {
+  if (firstRunTimeout) {
+    clearTimeout(firstRunTimeout);
+    firstRunTimeout = null;
+  }
+  if (pollInterval) {
+    clearInterval(pollInterval);
+    pollInterval = null;
+    log.info('Arrêté');
+  }
+}
+
+// ============================================================================
+// CALENDRIER
+// ============================================================================
+
+/**
+ * Date SQL (Date ou texte) → AAAA-MM-JJ
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+/**
+ * Date affichée à la précision connue (2025, 2025-03, 2025-03-14)
+ */
+function formatReleaseDate(value, precision) {
+  const date = toIsoDate(value);
+  if (!date) return null;
+  if (precision === 'year') return date.slice(0, 4);
+  if (precision === 'month') return date.slice(0, 7);
+  return date;
+}
+
+/**
+ * Sorties des suivis d'un utilisateur dans une fenêtre de dates
+ * Sans date connue : placées à leur date de découverte (hors première vérification)
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {string} [options.from] - AAAA-MM-JJ (défaut: il y a 30 jours)
+ * @param {string} [options.to] - AAAA-MM-JJ (défaut: dans 365 jours)
+ * @param {string[]|null} [options.kinds] - Types de suivi
+ * @returns {Promise<{from: string, to: string, count: number, releases: object[]}>}
+ */
+export async function getCalendar(userId, options = {}) {
+  const day = 24 * 3600 * 1000;
+  const from = options.from || new Date(Date.now() - 30 * day).toISOString().slice(0, 10);
+  const to = options.to || new Date(Date.now() + 365 * day).toISOString().slice(0, 10);
+  const kinds = options.kinds?.length ? options.kinds : null;
+
+  const rows = await queryAll(`
+    SELECT r.*, COALESCE(r.release_date, r.discovered_at::date) AS calendar_date,
+           f.kind, f.target, f.name AS follow_name
+    FROM follow_releases r
+    JOIN follows f ON f.id = r.follow_id
+    WHERE f.user_id = $1
+      AND COALESCE(r.release_date, r.discovered_at::date) BETWEEN $2::date AND $3::date
+      AND NOT (r.baseline AND r.release_date IS NULL)
+      AND ($4::text[] IS NULL OR f.kind = ANY($4))
+    ORDER BY calendar_date, f.id, r.entry_key
+  `, [userId, from, to, kinds]);
+
+  const releases = rows.map(row => ({
+    id: Number(row.id),
+    followId: row.follow_id,
+    kind: row.kind,
+    target: row.target,
+    followName: row.follow_name,
+    key: row.entry_key,
+    title: row.title,
+    date: toIsoDate(row.calendar_date),
+    releaseDate: formatReleaseDate(row.release_date, row.date_precision),
+    precision: row.date_precision,
+    image: row.image,
+    url: row.url,
+    isNew: !row.baseline,
+    discoveredAt: row.discovered_at
+  }));
+
+  return { from, to, count: releases.length, releases };
+}
+
+/**
+ * Calendrier au format iCalendar
+ * @param {object[]} releases - Résultat de getCalendar().releases
+ * @returns {string}
+ */
+export function releasesToICalendar(releases) {
+  return buildICalendar(releases.map(release => ({
+    uid: `release-${release.id}@toys-api`,
+    date: release.date,
+    stamp: release.discoveredAt,
+    summary: release.followName ? `${release.followName} - ${release.title}` : release.title,
+    description: [
+      release.precision === 'discovered' ? 'Date de sortie inconnue (découverte)' : null,
+      release.precision === 'month' || release.precision === 'year' ? `Date approximative: ${release.releaseDate}` : null,
+      `${release.kind} ${release.target}`
+    ].filter(Boolean).join('\n'),
+    url: release.url,
+    categories: [release.kind]
+  })), { name: 'Toys API - Sorties' });
+}
+
+/**
+ * Clé du flux iCalendar d'un utilisateur
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {boolean} [options.rotate=false] - Générer une nouvelle clé (l'ancienne est révoquée)
+ * @returns {Promise<string>}
+ */
+export async function getFeedKey(userId, { rotate = false } = {}) {
+  if (!rotate) {
+    const row = await queryOne('SELECT feed_key FROM calendar_feeds WHERE user_id = $1', [userId]);
+    if (row) return row.feed_key;
+  }
+
+  const key = crypto.randomBytes(24).toString('base64url');
+  await query(`
+    INSERT INTO calendar_feeds (user_id, feed_key) VALUES ($1, $2)
+    ON CONFLICT (user_id) DO UPDATE SET feed_key = EXCLUDED.feed_key, created_at = NOW()
+  `, [userId, key]);
+  return key;
+}
+
+/**
+ * Utilisateur d'une clé de flux iCalendar
+ * @param {string} key
+ * @returns {Promise<string>}
+ */
+export async function resolveFeedKey(key) {
+  const row = await queryOne('SELECT user_id FROM calendar_feeds WHERE feed_key = $1', [key]);
+  if (!row) throw httpError('Flux iCalendar inconnu', 404);
+  return row.user_id;
+}
@@ -0,0 +1,183 @@
+/**
+ * lib/database/image-index.js - Index des images des items par empreinte perceptuelle
+ *
+ * - items.image_phash (BIT(64), migration v12) : pHash de image_url (ou thumbnail_url)
+ * - calcul en masse via la file de jobs (kind "phash"), images lues par le cache disque
+ *   du service d'images (image-cache.js)
+ * - identification d'une photo : items les plus proches par distance de Hamming
+ *   (bit_count, PostgreSQL 14+), filtrables par type et source
+ *
+ * toys_api v4.1.2
+ */
+
+import { query, queryOne, queryAll } from './connection.js';
+import { isImageUrlAllowed, fetchImage, getImageVariant } from '../utils/image-cache.js';
+import { computePHash, phashToHex, PHASH_BITS } from '../utils/phash.js';
+import { IDENTIFY_MAX_DISTANCE } from '../config.js';
+import { createLogger } from '../utils/logger.js';
+import { httpError } from '../utils/helpers.js';
+
+const log = createLogger('ImageIndex');
+
+/**
+ * URL de l'image d'origine d'un item
+ * Les URLs /proxy/image?url=… (cartes TCG) sont ramenées à l'URL amont
+ * @param {{image_url: string|null, thumbnail_url: string|null}} row
+ * @returns {string|null}
+ */
+export function getItemImageUrl(row) {
+  const url = row.image_url || row.thumbnail_url;
+  if (!url) return null;
+
+  try {
+    const parsed = new URL(url, 'http://localhost');
+    if (parsed.pathname.endsWith('/proxy/image') && parsed.searchParams.get('url')) {
+      return parsed.searchParams.get('url');
+    }
+  } catch {
+    return null;
+  }
+  return url;
+}
+
+// ============================================================================
+// CALCUL DES EMPREINTES
+// ============================================================================
+
+/**
+ * Calcule et enregistre le pHash de l'image d'un item
+ * @param {string} itemId - items.id
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - Recalculer même si l'image n'a pas changé
+ * @returns {Promise<'succeeded'|'skipped'>}
+ */
+export async function hashItemImage(itemId, { refresh = false } = {}) {
+  const row = await queryOne(
+    'SELECT id, image_url, thumbnail_url, image_phash_url FROM items WHERE id = $1',
+    [itemId]
+  );
+  if (!row) {
+    throw httpError(`Item ${itemId} non trouvé`, 404);
+  }
+
+  const url = getItemImageUrl(row);
+  if (!url || (!refresh && row.image_phash_url === url)) return 'skipped';
+  if (!isImageUrlAllowed(url)) {
+    throw httpError(`Hôte d'image non autorisé: ${new URL(url).hostname}`, 400);
+  }
+
+  const image = await fetchImage(url);
+  const { buffer } = await getImageVariant(image, null);
+  const phash = await computePHash(buffer);
+
+  await query(`
+    UPDATE items SET image_phash = $2::bit(64), image_phash_url = $3, image_phash_at = NOW()
+    WHERE id = $1
+  `, [itemId, phash, url]);
+  return 'succeeded';
+}
+
+/**
+ * Items avec image dont l'empreinte est absente ou périmée (image changée)
+ * @param {object} [options]
+ * @param {string} [options.type]
+ * @param {string} [options.source]
+ * @param {boolean} [options.refresh=false] - Inclure les items déjà hachés
+ * @param {number} [options.limit=1000]
+ * @returns {Promise<Array<{id: string, source: string}>>} Items, les plus consultés d'abord
+ */
+export async function listItemsToHash({ type = null, source = null, refresh = false, limit = 1000 } = {}) {
+  const rows = await queryAll(`
+    SELECT id, source FROM items
+    WHERE COALESCE(image_url, thumbnail_url) IS NOT NULL
+      AND ($1::text IS NULL OR type = $1)
+      AND ($2::text IS NULL OR source = $2)
+      AND ($3::boolean OR image_phash IS NULL OR image_phash_url IS DISTINCT FROM COALESCE(image_url, thumbnail_url))
+    ORDER BY fetch_count DESC, id
+    LIMIT $4
+  `, [type, source, refresh, limit]);
+  return rows.map(r => ({ id: r.id, source: r.source }));
+}
+
+// ============================================================================
+// IDENTIFICATION
+// ============================================================================
+
+/**
+ * Items dont l'empreinte est la plus proche
+ * @param {string} phash - 64 bits
+ * @param {object} [options]
+ * @param {string} [options.type]
+ * @param {string} [options.source]
+ * @param {number} [options.limit=10]
+ * @param {number} [options.maxDistance=IDENTIFY_MAX_DISTANCE]
+ * @returns {Promise<object[]>}
+ */
+export async function findSimilarItems(phash, { type = null, source = null, limit = 10, maxDistance = IDENTIFY_MAX_DISTANCE } = {}) {
+  const rows = await queryAll(`
+    SELECT * FROM (
+      SELECT id, source, source_id, type, name, year, image_url, thumbnail_url, detail_url, fetch_count,
+        bit_count(image_phash # $1::bit(64))::int AS distance
+      FROM items
+      WHERE image_phash IS NOT NULL
+        AND ($2::text IS NULL OR type = $2)
+        AND ($3::text IS NULL OR source = $3)
+    ) candidates
+    WHERE distance <= $4
+    ORDER BY distance, fetch_count DESC
+    LIMIT $5
+  `, [phash, type, source, maxDistance, limit]);
+
+  return rows.map(row => ({
+    id: row.id,
+    source: row.source,
+    sourceId: row.source_id,
+    type: row.type,
+    name: row.name,
+    year: row.year,
+    image: row.image_url || row.thumbnail_url,
+    detailUrl: row.detail_url,
+    distance: row.distance,
+    similarity: Math.round((1 - row.distance / PHASH_BITS) * 100)
+  }));
+}
+
+/**
+ * Identifie une photo parmi les images des items en cache
+ * @param {Buffer} buffer - Photo (JPEG, PNG, WebP, HEIC/AVIF…)
+ * @param {object} [options] - Filtres de findSimilarItems
+ * @returns {Promise<{phash: string, matches: object[]}>}
+ */
+export async function identifyImage(buffer, options = {}) {
+  let phash;
+  try {
+    phash = await computePHash(buffer);
+  } catch (err) {
+    log.debug(`Photo illisible: ${err.message}`);
+    throw httpError('Image illisible ou format non supporté', 400);
+  }
+
+  const matches = await findSimilarItems(phash, options);
+  return { phash: phashToHex(phash), matches };
+}
+
+/**
+ * Couverture de l'index par source (items avec image / hachés)
+ * @returns {Promise<object>}
+ */
+export async function getImageIndexStats() {
+  const rows = await queryAll(`
+    SELECT source,
+      COUNT(*) FILTER (WHERE COALESCE(image_url, thumbnail_url) IS NOT NULL)::int AS with_image,
+      COUNT(image_phash)::int AS hashed
+    FROM items
+    GROUP BY source
+    ORDER BY source
+  `);
+
+  return {
+    withImage: rows.reduce((sum, r) => sum + r.with_image, 0),
+    hashed: rows.reduce((sum, r) => sum + r.hashed, 0),
+    bySource: Object.fromEntries(rows.map(r => [r.source, { withImage: r.with_image, hashed: r.hashed }]))
+  };
+}
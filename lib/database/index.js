@@ -27,6 +27,7 @@ export {
 export {
   generateItemId,
   getItem,
+  findItemByEan,
   saveItem,
   getItemWithCache,
   searchLocal,
@@ -35,9 +36,18 @@ export {
   getStats,
   getPopularItems,
   getItemsToRefresh,
+  importItem,
+  clearItems,
   CACHE_TTL
 } from './repository.js';
 
+export {
+  extractPricePoints,
+  recordItemPrices,
+  getItemPriceTrends,
+  DEFAULT_PRICE_WINDOWS
+} from './price-history.js';
+
 export {
   withCache,
   withSearchCache,
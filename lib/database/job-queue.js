@@ -0,0 +1,653 @@
+/**
+ * lib/database/job-queue.js - File de jobs persistante (PostgreSQL)
+ *
+ * Exécute hors requête HTTP les traitements longs :
+ * - warmup : pré-remplissage du cache (recherches ou détails par ID)
+ * - import : import en masse depuis un export JSON
+ * - documents : copie locale des notices PDF (document-store.js)
+ * - phash : empreintes perceptuelles des images des items (image-index.js)
+ *
+ * Les jobs sont stockés dans la table jobs (migration v5) :
+ * - progression enregistrée après chaque élément (reprise après redémarrage)
+ * - jobs en cours touchés (updated_at) à chaque scrutation : seuls les jobs sans
+ *   signe de vie depuis JOB_STALE_MS sont repris, jamais ceux d'une autre instance active
+ * - annulation prise en compte entre deux éléments
+ * - concurrence plafonnée par provider (JOB_PROVIDER_CONCURRENCY)
+ *
+ * toys_api v4.1.2
+ */
+
+import { query, queryOne, queryAll, isDatabaseConnected } from './connection.js';
+import { saveItem, saveSearchResults, importItem, clearItems } from './repository.js';
+import { DETAIL_PROVIDERS, SEARCH_PROVIDERS, searchCacheParams } from '../providers/registry.js';
+import { extractResultList, toSearchResult } from '../search/aggregator.js';
+import { getServerKey } from './credential-vault.js';
+import { mirrorDocuments } from './document-store.js';
+import { hashItemImage } from './image-index.js';
+import {
+  JOB_QUEUE_POLL_MS,
+  JOB_STALE_MS,
+  JOB_ITEM_DELAY_MS,
+  JOB_DEFAULT_CONCURRENCY,
+  JOB_PROVIDER_CONCURRENCY,
+  JOB_MAX_ERRORS
+} from '../config.js';
+import { createLogger } from '../utils/logger.js';
+import { sleep } from '../utils/helpers.js';
+import { extractStandardParams } from '../utils/routeHelpers.js';
+
+const log = createLogger('JobQueue');
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Limites par job (évite les payloads démesurés)
+export const JOB_LIMITS = {
+  warmup: 1000,
+  import: 50000,
+  documents: 500,
+  phash: 20000
+};
+
+// État du worker
+let pollInterval = null;
+let stopping = false;
+const activeJobs = new Map(); // jobId -> clé de concurrence
+
+/**
+ * Clé de concurrence d'un job : provider appelé (warmup, documents, phash),
+ * sinon le type de job (import)
+ * @param {object} job
+ * @returns {string}
+ */
+function concurrencyKey(job) {
+  return job.provider ? String(job.provider).toLowerCase() : job.kind;
+}
+
+/**
+ * Nombre max de jobs simultanés pour une clé de concurrence
+ * @param {string} key
+ * @returns {number}
+ */
+export function getProviderConcurrency(key) {
+  return JOB_PROVIDER_CONCURRENCY[key] || JOB_DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Nombre de jobs en cours pour une clé de concurrence
+ * @param {string} key
+ * @returns {number}
+ */
+function countActive(key) {
+  let count = 0;
+  for (const value of activeJobs.values()) {
+    if (value === key) count++;
+  }
+  return count;
+}
+
+/**
+ * Type de contenu d'une source d'après le registre de recherche
+ * @param {string} source
+ * @returns {string|null}
+ */
+function registryType(source) {
+  const entry = SEARCH_PROVIDERS[source]
+    || Object.values(SEARCH_PROVIDERS).find(p => p.source === source);
+  return entry?.type || null;
+}
+
+/**
+ * Clé API serveur d'un provider (null si non requise)
+ * @param {object} provider - Entrée SEARCH_PROVIDERS ou DETAIL_PROVIDERS
+ * @returns {{apiKey: string|null, missing: boolean}}
+ */
+function resolveServerKey(provider) {
+  if (!provider.keyName) return { apiKey: null, missing: false };
+  const apiKey = getServerKey(provider.keyName);
+  return { apiKey, missing: !apiKey && !provider.optionalKey };
+}
+
+// ============================================================================
+// HANDLERS PAR TYPE DE JOB
+// ============================================================================
+
+/**
+ * Traitement d'un élément de warmup
+ * - mode search  : recherche via SEARCH_PROVIDERS, résultats mis en cache sous la clé
+ *   de la route /search (searchCacheParams), sauf si elle n'est pas reproductible
+ * - mode details : fetch via DETAIL_PROVIDERS, item mis en cache (detail)
+ * @returns {Promise<'succeeded'|'skipped'>}
+ */
+async function processWarmupItem(value, job) {
+  const { mode, options = {} } = job.payload;
+
+  if (mode === 'search') {
+    const provider = SEARCH_PROVIDERS[job.provider];
+    const { apiKey } = resolveServerKey(provider);
+    // Requête équivalente à GET /<route>/search : mêmes params standard et même clé de cache
+    const req = {
+      params: {},
+      query: {
+        ...provider.searchCache?.query,
+        q: String(value),
+        lang: options.lang || options.locale,
+        max: options.max
+      }
+    };
+    const { q, lang, locale, max } = extractStandardParams(req);
+
+    const raw = await provider.search(q, { lang, locale, max, apiKey });
+    const results = extractResultList(raw)
+      .slice(0, max)
+      .map(item => toSearchResult(item, job.provider))
+      .filter(item => item?.sourceId);
+
+    for (const item of results) {
+      await saveItem(provider.source, item.sourceId, provider.type, item.name || item.sourceId, item, { entryType: 'search' });
+    }
+    const cacheParams = searchCacheParams(job.provider, req);
+    if (cacheParams) {
+      await saveSearchResults(provider.searchCache.source, provider.searchCache.type, q, cacheParams, {
+        results,
+        total: results.length
+      });
+    }
+    return 'succeeded';
+  }
+
+  const provider = DETAIL_PROVIDERS[job.provider];
+  const sourceId = String(value);
+
+  // Déjà en cache et valide : rien à faire (sauf refresh demandé)
+  if (!options.refresh) {
+    const existing = await queryOne(
+      `SELECT expires_at > NOW() AS valid FROM items WHERE source = $1 AND source_id = $2`,
+      [job.provider, sourceId]
+    );
+    if (existing?.valid) return 'skipped';
+  }
+
+  const { apiKey } = resolveServerKey(provider);
+  const type = options.type || registryType(job.provider);
+  const data = await provider.fetch(sourceId, { type, apiKey });
+
+  // undefined = identifiant non récupérable par ce provider
+  if (data === undefined) return 'skipped';
+  if (!data || typeof data !== 'object') {
+    throw new Error('Aucune donnée retournée');
+  }
+
+  const name = data.name || data.title || sourceId;
+  const saved = await saveItem(job.provider, sourceId, type || data.type || 'unknown', name, data, { entryType: 'detail' });
+  if (!saved) {
+    throw new Error('Échec sauvegarde (cache désactivé ?)');
+  }
+  return 'succeeded';
+}
+
+/**
+ * Traitement d'un élément d'import
+ * @returns {Promise<'succeeded'|'skipped'>}
+ */
+async function processImportItem(item, job) {
+  const outcome = await importItem(item, job.payload.mode === 'skip' ? 'skip' : 'upsert');
+  return outcome === 'skipped' ? 'skipped' : 'succeeded';
+}
+
+/**
+ * Traitement d'un élément documents ({ source, id })
+ * @returns {Promise<'succeeded'|'skipped'>}
+ */
+async function processDocumentItem(item, job) {
+  const { lang = null, refresh = false } = job.payload.options || {};
+  const result = await mirrorDocuments(item.source, item.id, { lang, refresh });
+  return result.documents.every(doc => doc.cached) ? 'skipped' : 'succeeded';
+}
+
+/**
+ * Traitement d'un élément phash (ID d'item)
+ * @returns {Promise<'succeeded'|'skipped'>}
+ */
+async function processPhashItem(itemId, job) {
+  return hashItemImage(itemId, { refresh: !!job.payload.options?.refresh });
+}
+
+const JOB_HANDLERS = {
+  warmup: {
+    process: processWarmupItem,
+    describe: (value) => ({ value }),
+    throttled: true
+  },
+  import: {
+    // Mode replace : la table est vidée au premier élément uniquement (pas à la reprise)
+    prepare: async (job) => {
+      if (job.payload.mode === 'replace' && job.processed === 0) {
+        await clearItems();
+      }
+    },
+    process: processImportItem,
+    describe: (item) => ({ source: item?.source || null, source_id: item?.source_id || item?.external_id || null }),
+    throttled: false
+  },
+  documents: {
+    process: processDocumentItem,
+    describe: (item) => ({ source: item?.source || null, source_id: item?.id || null }),
+    throttled: true
+  },
+  phash: {
+    process: processPhashItem,
+    describe: (itemId) => ({ item_id: itemId }),
+    throttled: false
+  }
+};
+
+// ============================================================================
+// VALIDATION / CRÉATION
+// ============================================================================
+
+/**
+ * Valide un warmup et retourne un message d'erreur (ou null)
+ * @param {string} provider
+ * @param {string} mode - 'search' | 'details'
+ * @returns {string|null}
+ */
+export function validateWarmup(provider, mode) {
+  const registry = mode === 'search' ? SEARCH_PROVIDERS : DETAIL_PROVIDERS;
+  const entry = registry[provider];
+  if (!entry) {
+    return `Provider non supporté en mode ${mode}: ${provider}`;
+  }
+  if (resolveServerKey(entry).missing) {
+    return `Clé API serveur manquante pour ${provider} (${entry.keyName})`;
+  }
+  return null;
+}
+
+/**
+ * Liste des providers utilisables par warmup
+ * @returns {{search: string[], details: string[]}}
+ */
+export function getWarmupProviders() {
+  return {
+    search: Object.keys(SEARCH_PROVIDERS),
+    details: Object.keys(DETAIL_PROVIDERS)
+  };
+}
+
+/**
+ * Ajoute un job à la file
+ * @param {string} kind - 'warmup' | 'import' | 'documents' | 'phash'
+ * @param {object} options
+ * @param {string|null} options.provider - Provider ciblé (warmup)
+ * @param {object} options.payload - { mode, items, options }
+ * @returns {Promise<object>} Job créé
+ */
+export async function enqueueJob(kind, { provider = null, payload }) {
+  if (!JOB_HANDLERS[kind]) {
+    throw new Error(`Type de job inconnu: ${kind}`);
+  }
+
+  const items = payload.items || [];
+  const row = await queryOne(`
+    INSERT INTO jobs (kind, provider, status, payload, total)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [kind, provider, JOB_STATUS.PENDING, JSON.stringify(payload), items.length]);
+
+  log.info(`Job #${row.id} ajouté: ${kind}${provider ? ` (${provider})` : ''}, ${items.length} éléments`);
+
+  // Démarrage immédiat si un créneau est libre
+  if (pollInterval) {
+    claimPendingJobs().catch(err => log.error(`Erreur démarrage job: ${err.message}`));
+  }
+
+  return formatJob(row);
+}
+
+/**
+ * Ajoute un job par provider, pour que chacun respecte la concurrence de son provider
+ * @param {string} kind - 'documents' | 'phash'
+ * @param {Map<string, Array>} itemsByProvider - Éléments groupés par provider
+ * @param {object} [options] - payload.options commun aux jobs
+ * @returns {Promise<object[]>} Jobs créés
+ */
+export async function enqueueJobsByProvider(kind, itemsByProvider, options = {}) {
+  const jobs = [];
+  for (const [provider, items] of itemsByProvider) {
+    jobs.push(await enqueueJob(kind, { provider, payload: { options, items } }));
+  }
+  return jobs;
+}
+
+// ============================================================================
+// LECTURE / ANNULATION
+// ============================================================================
+
+/**
+ * Formate une ligne jobs pour l'API (sans la liste d'éléments)
+ * @param {object} row
+ * @returns {object|null}
+ */
+function formatJob(row) {
+  if (!row) return null;
+  const { items, ...params } = row.payload || {};
+
+  return {
+    id: row.id,
+    kind: row.kind,
+    provider: row.provider,
+    status: row.status,
+    params,
+    progress: {
+      total: row.total,
+      processed: row.processed,
+      succeeded: row.succeeded,
+      failed: row.failed,
+      skipped: row.skipped,
+      percent: row.total > 0 ? Math.round((row.processed / row.total) * 100) : 100
+    },
+    errors: row.errors || [],
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Récupère un job par ID
+ * @param {number} id
+ * @returns {Promise<object|null>}
+ */
+export async function getJob(id) {
+  const row = await queryOne('SELECT * FROM jobs WHERE id = $1', [id]);
+  return formatJob(row);
+}
+
+/**
+ * Liste les jobs les plus récents
+ * @param {object} options
+ * @param {string} [options.status] - Filtrer par statut
+ * @param {number} [options.limit=20]
+ * @returns {Promise<object[]>}
+ */
+export async function listJobs({ status = null, limit = 20 } = {}) {
+  const rows = await queryAll(`
+    SELECT * FROM jobs
+    WHERE ($1::text IS NULL OR status = $1)
+    ORDER BY created_at DESC
+    LIMIT $2
+  `, [status, limit]);
+  return rows.map(formatJob);
+}
+
+/**
+ * Annule un job en attente ou en cours
+ * Un job en cours s'arrête après l'élément en traitement
+ * @param {number} id
+ * @returns {Promise<{found: boolean, cancelled: boolean, job: object|null}>}
+ */
+export async function cancelJob(id) {
+  const row = await queryOne(`
+    UPDATE jobs SET status = $2, finished_at = NOW()
+    WHERE id = $1 AND status IN ($3, $4)
+    RETURNING *
+  `, [id, JOB_STATUS.CANCELLED, JOB_STATUS.PENDING, JOB_STATUS.RUNNING]);
+
+  if (row) {
+    log.info(`Job #${id} annulé`);
+    return { found: true, cancelled: true, job: formatJob(row) };
+  }
+
+  const job = await getJob(id);
+  return { found: !!job, cancelled: false, job };
+}
+
+/**
+ * Statistiques de la file (compteurs par statut + jobs actifs par provider)
+ * @returns {Promise<object>}
+ */
+export async function getQueueStats() {
+  const rows = await queryAll('SELECT status, COUNT(*)::int AS count FROM jobs GROUP BY status');
+  const byStatus = Object.fromEntries(Object.values(JOB_STATUS).map(s => [s, 0]));
+  rows.forEach(r => { byStatus[r.status] = r.count; });
+
+  const active = {};
+  for (const key of activeJobs.values()) {
+    active[key] = active[key] || { running: 0, limit: getProviderConcurrency(key) };
+    active[key].running++;
+  }
+
+  return { worker: !!pollInterval, byStatus, active };
+}
+
+// ============================================================================
+// EXÉCUTION
+// ============================================================================
+
+/**
+ * Enregistre le résultat d'un élément et retourne le statut courant du job
+ * (permet de détecter une annulation)
+ */
+async function checkpoint(jobId, processed, outcome, error) {
+  const row = await queryOne(`
+    UPDATE jobs SET
+      processed = $2,
+      succeeded = succeeded + $3,
+      failed = failed + $4,
+      skipped = skipped + $5,
+      errors = CASE
+        WHEN $6::jsonb IS NULL OR jsonb_array_length(errors) >= $7 THEN errors
+        ELSE errors || $6::jsonb
+      END,
+      last_error = COALESCE($8, last_error)
+    WHERE id = $1
+    RETURNING status
+  `, [
+    jobId,
+    processed,
+    outcome === 'succeeded' ? 1 : 0,
+    outcome === 'failed' ? 1 : 0,
+    outcome === 'skipped' ? 1 : 0,
+    error ? JSON.stringify([error]) : null,
+    JOB_MAX_ERRORS,
+    error?.error || null
+  ]);
+  return row?.status;
+}
+
+/**
+ * Exécute un job à partir de son curseur (processed)
+ * @param {object} job - Ligne jobs (status running)
+ */
+async function runJob(job) {
+  const handler = JOB_HANDLERS[job.kind];
+  const items = job.payload.items || [];
+
+  log.info(`Job #${job.id} démarré (${job.kind}${job.provider ? `/${job.provider}` : ''}, ${job.processed}/${items.length})`);
+
+  try {
+    if (!handler) {
+      throw new Error(`Type de job inconnu: ${job.kind}`);
+    }
+    if (handler.prepare) {
+      await handler.prepare(job);
+    }
+
+    for (let i = job.processed; i < items.length; i++) {
+      // Arrêt du serveur : le job reste "running" et sera repris après JOB_STALE_MS
+      if (stopping) return;
+
+      let outcome;
+      let error = null;
+      try {
+        outcome = await handler.process(items[i], job);
+      } catch (err) {
+        outcome = 'failed';
+        error = { index: i, ...handler.describe(items[i]), error: err.message };
+      }
+
+      const status = await checkpoint(job.id, i + 1, outcome, error);
+      if (status !== JOB_STATUS.RUNNING) {
+        log.info(`Job #${job.id} interrompu (${status}) à ${i + 1}/${items.length}`);
+        return;
+      }
+
+      if (handler.throttled && outcome !== 'skipped' && i + 1 < items.length) {
+        await sleep(JOB_ITEM_DELAY_MS);
+      }
+    }
+
+    await query(`
+      UPDATE jobs SET status = $2, finished_at = NOW()
+      WHERE id = $1 AND status = $3
+    `, [job.id, JOB_STATUS.COMPLETED, JOB_STATUS.RUNNING]);
+    log.info(`Job #${job.id} terminé`);
+  } catch (err) {
+    log.error(`Job #${job.id} en échec: ${err.message}`);
+    await query(`
+      UPDATE jobs SET status = $2, last_error = $3, finished_at = NOW()
+      WHERE id = $1 AND status = $4
+    `, [job.id, JOB_STATUS.FAILED, err.message, JOB_STATUS.RUNNING]).catch(() => {});
+  }
+}
+
+/**
+ * Démarre les jobs en attente dans la limite de concurrence par provider
+ * @returns {Promise<number>} Nombre de jobs démarrés
+ */
+export async function claimPendingJobs() {
+  if (stopping || !isDatabaseConnected()) return 0;
+
+  const pending = await queryAll(`
+    SELECT id, kind, provider FROM jobs
+    WHERE status = $1
+    ORDER BY created_at
+    LIMIT 50
+  `, [JOB_STATUS.PENDING]);
+
+  let started = 0;
+  for (const candidate of pending) {
+    const key = concurrencyKey(candidate);
+    if (countActive(key) >= getProviderConcurrency(key)) continue;
+
+    // Réservation atomique (évite un double démarrage)
+    const job = await queryOne(`
+      UPDATE jobs SET status = $2, started_at = COALESCE(started_at, NOW())
+      WHERE id = $1 AND status = $3
+      RETURNING *
+    `, [candidate.id, JOB_STATUS.RUNNING, JOB_STATUS.PENDING]);
+    if (!job) continue;
+
+    activeJobs.set(job.id, key);
+    started++;
+    runJob(job).finally(() => {
+      activeJobs.delete(job.id);
+      if (pollInterval) {
+        claimPendingJobs().catch(err => log.error(`Erreur démarrage job: ${err.message}`));
+      }
+    });
+  }
+
+  return started;
+}
+
+/**
+ * Signe de vie des jobs exécutés par cette instance (trigger updated_at)
+ */
+async function touchActiveJobs() {
+  if (activeJobs.size === 0) return;
+  await query(`
+    UPDATE jobs SET updated_at = NOW()
+    WHERE id = ANY($1::int[]) AND status = $2
+  `, [[...activeJobs.keys()], JOB_STATUS.RUNNING]);
+}
+
+/**
+ * Remet en attente les jobs interrompus (instance arrêtée ou plantée) :
+ * jobs "running" sans signe de vie depuis JOB_STALE_MS
+ * @returns {Promise<number>} Nombre de jobs repris
+ */
+export async function resumeInterruptedJobs() {
+  const result = await query(`
+    UPDATE jobs SET status = $1
+    WHERE status = $2
+      AND updated_at < NOW() - INTERVAL '1 millisecond' * $3
+      AND NOT (id = ANY($4::int[]))
+  `, [JOB_STATUS.PENDING, JOB_STATUS.RUNNING, JOB_STALE_MS, [...activeJobs.keys()]]);
+
+  if (result.rowCount > 0) {
+    log.info(`${result.rowCount} job(s) interrompu(s) remis en file`);
+  }
+  return result.rowCount;
+}
+
+/**
+ * Démarre le worker de la file de jobs
+ * @returns {Promise<boolean>}
+ */
+export async function startJobQueue() {
+  if (pollInterval) {
+    log.warn('File de jobs déjà démarrée');
+    return false;
+  }
+
+  if (!isDatabaseConnected()) {
+    log.info('Base non connectée, file de jobs non démarrée');
+    return false;
+  }
+
+  stopping = false;
+  await resumeInterruptedJobs();
+
+  pollInterval = setInterval(() => {
+    touchActiveJobs()
+      .then(resumeInterruptedJobs)
+      .then(claimPendingJobs)
+      .catch(err => log.error(`Erreur scrutation jobs: ${err.message}`));
+  }, JOB_QUEUE_POLL_MS);
+
+  await claimPendingJobs();
+  log.info(`File de jobs démarrée (scrutation: ${JOB_QUEUE_POLL_MS / 1000}s)`);
+  return true;
+}
+
+/**
+ * Arrête le worker (les jobs en cours s'arrêtent après l'élément courant
+ * et restent "running" : repris après JOB_STALE_MS par une instance active)
+ * @returns {boolean}
+ */
+export function stopJobQueue() {
+  stopping = true;
+  if (pollInterval) {
+    clearInterval(pollInterval);
+    pollInterval = null;
+    log.info('File de jobs arrêtée');
+    return true;
+  }
+  return false;
+}
+
+export default {
+  JOB_STATUS,
+  JOB_LIMITS,
+  enqueueJob,
+  enqueueJobsByProvider,
+  getJob,
+  listJobs,
+  cancelJob,
+  getQueueStats,
+  validateWarmup,
+  getWarmupProviders,
+  claimPendingJobs,
+  resumeInterruptedJobs,
+  startJobQueue,
+  stopJobQueue
+};
@@ -11,7 +11,7 @@ import { createLogger } from '../utils/logger.js';
 const log = createLogger('Migrations');
 
 // Version actuelle du schéma (exportée)
-export const SCHEMA_VERSION = 4;
+export const SCHEMA_VERSION = 14;
 
 /**
  * Exécute toutes les migrations nécessaires
@@ -408,6 +408,414 @@ const MIGRATIONS = {
       
       log.info('📊 Colonne entry_type ajoutée à la table items pour différencier recherches et détails');
     }
+  },
+  
+  5: {
+    description: 'File de jobs persistante (warmup, import)',
+    up: async (client) => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS jobs (
+          id SERIAL PRIMARY KEY,
+          
+          -- Type de job ('warmup', 'import') et provider ciblé
+          kind TEXT NOT NULL,
+          provider TEXT,
+          status TEXT NOT NULL DEFAULT 'pending',
+          
+          -- Paramètres et liste des éléments à traiter
+          payload JSONB NOT NULL,
+          
+          -- Progression (processed = curseur de reprise)
+          total INTEGER NOT NULL DEFAULT 0,
+          processed INTEGER NOT NULL DEFAULT 0,
+          succeeded INTEGER NOT NULL DEFAULT 0,
+          failed INTEGER NOT NULL DEFAULT 0,
+          skipped INTEGER NOT NULL DEFAULT 0,
+          errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+          last_error TEXT,
+          
+          -- Métadonnées
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          started_at TIMESTAMPTZ,
+          finished_at TIMESTAMPTZ,
+          updated_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, created_at)`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_jobs_provider ON jobs(provider)`);
+      
+      await client.query(`
+        DROP TRIGGER IF EXISTS jobs_updated_at ON jobs;
+        CREATE TRIGGER jobs_updated_at
+          BEFORE UPDATE ON jobs
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at()
+      `);
+      
+      log.info('📊 Table jobs créée (file de jobs warmup/import)');
+    }
+  },
+  
+  6: {
+    description: 'Collections : exemplaires possédés par utilisateur',
+    up: async (client) => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS collection_entries (
+          id SERIAL PRIMARY KEY,
+          
+          -- Propriétaire (header X-User-Id) et item du cache
+          user_id TEXT NOT NULL DEFAULT 'default',
+          item_id TEXT NOT NULL REFERENCES items(id) ON UPDATE CASCADE ON DELETE RESTRICT,
+          
+          -- Exemplaire possédé
+          quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+          condition TEXT,
+          completeness TEXT,
+          
+          -- Achat
+          purchase_price NUMERIC(12, 2),
+          purchase_currency TEXT,
+          purchase_date DATE,
+          notes TEXT,
+          
+          -- Métadonnées
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          updated_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_collection_user ON collection_entries(user_id, created_at DESC)`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_collection_item ON collection_entries(item_id)`);
+      
+      await client.query(`
+        DROP TRIGGER IF EXISTS collection_entries_updated_at ON collection_entries;
+        CREATE TRIGGER collection_entries_updated_at
+          BEFORE UPDATE ON collection_entries
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at()
+      `);
+      
+      log.info('📊 Table collection_entries créée (items possédés)');
+    }
+  },
+  
+  7: {
+    description: 'Surveillance de prix (liste de souhaits) et historique des vérifications',
+    up: async (client) => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS price_watches (
+          id SERIAL PRIMARY KEY,
+          user_id TEXT NOT NULL DEFAULT 'default',
+          
+          -- Produit surveillé (amazon: ASIN, tcg_*: ID de carte)
+          source TEXT NOT NULL,
+          source_id TEXT NOT NULL,
+          name TEXT,
+          
+          -- Prix cible et prix suivi (pays Amazon, variante TCG)
+          target_price NUMERIC(12, 2) NOT NULL,
+          currency TEXT NOT NULL,
+          price_key TEXT NOT NULL,
+          notify_email TEXT,
+          active BOOLEAN NOT NULL DEFAULT TRUE,
+          
+          -- Dernière vérification / alerte
+          last_price NUMERIC(12, 2),
+          last_checked_at TIMESTAMPTZ,
+          last_error TEXT,
+          alert_price NUMERIC(12, 2),
+          last_alert_at TIMESTAMPTZ,
+          
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          updated_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS price_watch_history (
+          id BIGSERIAL PRIMARY KEY,
+          watch_id INTEGER NOT NULL REFERENCES price_watches(id) ON DELETE CASCADE,
+          price NUMERIC(12, 2),
+          currency TEXT,
+          details JSONB,
+          error TEXT,
+          checked_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_price_watches_user ON price_watches(user_id)`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_price_watches_due ON price_watches(active, last_checked_at)`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_price_watch_history ON price_watch_history(watch_id, checked_at DESC)`);
+      
+      await client.query(`
+        DROP TRIGGER IF EXISTS price_watches_updated_at ON price_watches;
+        CREATE TRIGGER price_watches_updated_at
+          BEFORE UPDATE ON price_watches
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at()
+      `);
+      
+      log.info('📊 Tables price_watches et price_watch_history créées');
+    }
+  },
+  
+  8: {
+    description: "Historique des prix des items du cache (append-only)",
+    up: async (client) => {
+      // Pas de clé étrangère : l'historique survit à la purge des items expirés
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS item_price_history (
+          id BIGSERIAL PRIMARY KEY,
+          item_id TEXT NOT NULL,
+          
+          -- Prix relevé (pricing, amazon, amazon_fr, eur_foil, cardmarket…)
+          price_key TEXT NOT NULL,
+          price NUMERIC(12, 2) NOT NULL,
+          currency TEXT,
+          
+          recorded_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_item_price_history ON item_price_history(item_id, price_key, recorded_at DESC)`);
+      
+      log.info('📊 Table item_price_history créée');
+    }
+  },
+  
+  9: {
+    description: 'Tokens clients (scopes, quotas journaliers, clés providers) et compteurs d\'usage',
+    up: async (client) => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS api_tokens (
+          id SERIAL PRIMARY KEY,
+          name TEXT NOT NULL,
+          
+          -- Seul le hash SHA-256 est stocké, le préfixe sert à identifier le token
+          token_hash TEXT NOT NULL UNIQUE,
+          token_prefix TEXT NOT NULL,
+          
+          scopes TEXT[] NOT NULL DEFAULT '{read}',
+          daily_quota INTEGER CHECK (daily_quota IS NULL OR daily_quota > 0),
+          active BOOLEAN NOT NULL DEFAULT TRUE,
+          
+          -- Utilisateur associé (/collection, /pricewatch) et clés providers ({"tmdb": "..."})
+          user_id TEXT,
+          provider_keys JSONB NOT NULL DEFAULT '{}',
+          
+          last_used_at TIMESTAMPTZ,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          updated_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS api_token_usage (
+          token_id INTEGER NOT NULL REFERENCES api_tokens(id) ON DELETE CASCADE,
+          day DATE NOT NULL DEFAULT CURRENT_DATE,
+          -- Requêtes reçues (y compris celles refusées au-delà du quota)
+          requests INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (token_id, day)
+        )
+      `);
+      
+      // Pas de trigger updated_at : last_used_at est mis à jour à chaque utilisation
+      log.info('📊 Tables api_tokens et api_token_usage créées');
+    }
+  },
+  
+  10: {
+    description: 'Coffre des clés API des providers (chiffrées AES-256-GCM)',
+    up: async (client) => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS provider_credentials (
+          provider TEXT PRIMARY KEY,
+          
+          -- Clé chiffrée avec API_ENCRYPTION_KEY, derniers caractères pour l'affichage
+          encrypted_key TEXT NOT NULL,
+          key_hint TEXT,
+          version INTEGER NOT NULL DEFAULT 1,
+          
+          -- Dernier test de la clé
+          last_tested_at TIMESTAMPTZ,
+          last_test_ok BOOLEAN,
+          last_test_error TEXT,
+          
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          updated_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      
+      await client.query(`
+        DROP TRIGGER IF EXISTS provider_credentials_updated_at ON provider_credentials;
+        CREATE TRIGGER provider_credentials_updated_at
+          BEFORE UPDATE ON provider_credentials
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at()
+      `);
+      
+      log.info('📊 Table provider_credentials créée');
+    }
+  },
+  
+  11: {
+    description: 'Documents PDF stockés localement (notices, règles) et leurs origines',
+    up: async (client) => {
+      // Un fichier par contenu (dédupliqué par SHA-256)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS documents (
+          id SERIAL PRIMARY KEY,
+          sha256 TEXT NOT NULL UNIQUE,
+          size_bytes BIGINT NOT NULL,
+          content_type TEXT NOT NULL DEFAULT 'application/pdf',
+          page_count INTEGER,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          updated_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      
+      // URLs amont ayant fourni un document (plusieurs URLs possibles pour un même fichier)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS document_sources (
+          id SERIAL PRIMARY KEY,
+          document_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+          
+          -- Provider et produit (lego/75192, playmobil/71148, mega/HHW65, bgg/13)
+          source TEXT NOT NULL,
+          source_id TEXT NOT NULL,
+          url TEXT NOT NULL UNIQUE,
+          
+          title TEXT,
+          language TEXT,
+          kind TEXT NOT NULL DEFAULT 'instructions',
+          
+          downloaded_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_document_sources_item ON document_sources(source, source_id)`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_document_sources_document ON document_sources(document_id)`);
+      
+      await client.query(`
+        DROP TRIGGER IF EXISTS documents_updated_at ON documents;
+        CREATE TRIGGER documents_updated_at
+          BEFORE UPDATE ON documents
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at()
+      `);
+      
+      log.info('📊 Tables documents et document_sources créées');
+    }
+  },
+  
+  12: {
+    description: 'Empreinte perceptuelle (pHash) des images des items',
+    up: async (client) => {
+      // image_phash_url : image hachée (recalcul si image_url change)
+      await client.query(`
+        ALTER TABLE items
+          ADD COLUMN IF NOT EXISTS image_phash BIT(64),
+          ADD COLUMN IF NOT EXISTS image_phash_url TEXT,
+          ADD COLUMN IF NOT EXISTS image_phash_at TIMESTAMPTZ
+      `);
+      
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_items_phash_type ON items(type, source)
+        WHERE image_phash IS NOT NULL
+      `);
+      
+      log.info('📊 Colonnes items.image_phash ajoutées');
+    }
+  },
+  13: {
+    description: 'Catalogue des séries : rattachement des items par series_id',
+    up: async (client) => {
+      // items.series_id contient l'ID de la série chez la source de l'item
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_items_series_id ON items(series_id, source)
+        WHERE series_id IS NOT NULL
+      `);
+      
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_series_updated ON series(updated_at DESC)`);
+      
+      log.info('📊 Index du catalogue des séries créés');
+    }
+  },
+  14: {
+    description: 'Suivis (séries, thèmes, auteurs, sets TCG) et calendrier des sorties',
+    up: async (client) => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS follows (
+          id SERIAL PRIMARY KEY,
+          user_id TEXT NOT NULL DEFAULT 'default',
+          
+          -- Élément suivi (bedetheque_serie: ID, lego_theme: theme_id, author_*: nom…)
+          kind TEXT NOT NULL,
+          target TEXT NOT NULL,
+          name TEXT,
+          notify_email TEXT,
+          active BOOLEAN NOT NULL DEFAULT TRUE,
+          
+          -- Dernière vérification (last_success_at NULL : prochaine vérification = référence)
+          last_checked_at TIMESTAMPTZ,
+          last_success_at TIMESTAMPTZ,
+          last_error TEXT,
+          
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          updated_at TIMESTAMPTZ DEFAULT NOW(),
+          UNIQUE(user_id, kind, target)
+        )
+      `);
+      
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS follow_releases (
+          id BIGSERIAL PRIMARY KEY,
+          follow_id INTEGER NOT NULL REFERENCES follows(id) ON DELETE CASCADE,
+          entry_key TEXT NOT NULL,
+          title TEXT,
+          
+          -- Date de sortie connue (précision day/month/year) ou date de découverte
+          release_date DATE,
+          date_precision TEXT NOT NULL DEFAULT 'discovered',
+          image TEXT,
+          url TEXT,
+          data JSONB DEFAULT '{}',
+          
+          -- baseline : présent à la première vérification (jamais notifié)
+          baseline BOOLEAN NOT NULL DEFAULT FALSE,
+          discovered_at TIMESTAMPTZ DEFAULT NOW(),
+          notified_at TIMESTAMPTZ,
+          UNIQUE(follow_id, entry_key)
+        )
+      `);
+      
+      // Clé secrète du flux iCalendar (abonnement sans en-tête d'authentification)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS calendar_feeds (
+          user_id TEXT PRIMARY KEY,
+          feed_key TEXT NOT NULL UNIQUE,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_follows_due ON follows(active, last_checked_at)`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_follow_releases_date ON follow_releases(follow_id, release_date)`);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_follow_releases_pending ON follow_releases(follow_id)
+        WHERE notified_at IS NULL AND NOT baseline
+      `);
+      
+      await client.query(`
+        DROP TRIGGER IF EXISTS follows_updated_at ON follows;
+        CREATE TRIGGER follows_updated_at
+          BEFORE UPDATE ON follows
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at()
+      `);
+      
+      log.info('📊 Tables follows, follow_releases et calendar_feeds créées');
+    }
   }
 };
 
@@ -0,0 +1,228 @@
+/**
+ * lib/database/price-history.js - Historique des prix des items du cache
+ *
+ * saveItem() écrase items.data à chaque rafraîchissement : les prix relevés
+ * (pricing, offres Amazon, prices TCG) sont conservés dans item_price_history
+ * (migration v8), une ligne par clé de prix et par changement de valeur.
+ *
+ * toys_api v4.1.2
+ */
+
+import { query, queryOne, queryAll } from './connection.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('PriceHistory');
+
+// Fenêtres par défaut de /local/item/:source/:id/prices (jours)
+export const DEFAULT_PRICE_WINDOWS = [7, 30, 90, 365];
+
+// Devises des clés de prix TCG (Scryfall, YGOPRODeck, Pokémon TCG)
+const TCG_PRICE_CURRENCIES = {
+  usd: 'USD',
+  usd_foil: 'USD',
+  usd_etched: 'USD',
+  eur: 'EUR',
+  eur_foil: 'EUR',
+  tix: 'TIX',
+  cardmarket: 'EUR',
+  tcgplayer: 'USD',
+  ebay: 'USD',
+  amazon: 'USD',
+  coolstuffinc: 'USD'
+};
+
+/**
+ * Convertit une valeur numérique (nombre ou chaîne "12.34") en prix arrondi
+ * Les chaînes non strictement numériques (dates, libellés) sont ignorées
+ * @returns {number|null}
+ */
+function toPrice(value) {
+  if (typeof value === 'string' && !/^\d+(\.\d+)?$/.test(value.trim())) return null;
+  const price = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+  return Number.isFinite(price) && price > 0 ? Math.round(price * 100) / 100 : null;
+}
+
+/**
+ * Ajoute une offre Amazon (brute ou normalisée) aux points de prix
+ */
+function pushAmazonOffer(points, offer) {
+  const code = typeof offer.marketplace === 'object' ? offer.marketplace?.code : (offer.country || offer.marketplace);
+  const price = toPrice(offer.priceValue ?? offer.price?.value);
+  if (!code || price === null) return;
+
+  points.push({
+    key: `amazon_${code}`,
+    price,
+    currency: offer.currency || offer.price?.currency || offer.marketplace?.currency || null
+  });
+}
+
+/**
+ * Extrait les prix relevés dans les données d'un item
+ * - pricing.price (schémas normalisés : construct_toy, book, collectible…)
+ * - offres Amazon (produit, comparaison multi-pays) → amazon_<pays>
+ * - prices TCG (eur, usd_foil, cardmarket, usd.market…)
+ * @param {object} data - Données de l'item
+ * @returns {Array<{key: string, price: number, currency: string|null}>}
+ */
+export function extractPricePoints(data) {
+  if (!data || typeof data !== 'object') return [];
+  const points = [];
+
+  const pricing = toPrice(data.pricing?.price);
+  if (pricing !== null) {
+    points.push({ key: 'pricing', price: pricing, currency: data.pricing.currency || null });
+  }
+
+  if (data.source === 'amazon') {
+    pushAmazonOffer(points, data);
+  }
+
+  if (Array.isArray(data.prices)) {
+    // Comparaison Amazon multi-pays
+    data.prices.forEach(offer => offer && pushAmazonOffer(points, offer));
+  } else if (data.prices && typeof data.prices === 'object') {
+    for (const [key, value] of Object.entries(data.prices)) {
+      if (value && typeof value === 'object') {
+        // Pokémon : { usd: { low, mid, high, market } }
+        for (const [variant, nested] of Object.entries(value)) {
+          const price = toPrice(nested);
+          if (price !== null) {
+            points.push({ key: `${key}_${variant}`, price, currency: TCG_PRICE_CURRENCIES[key] || null });
+          }
+        }
+      } else {
+        const price = toPrice(value);
+        if (price !== null) {
+          points.push({ key, price, currency: TCG_PRICE_CURRENCIES[key] || null });
+        }
+      }
+    }
+  }
+
+  // Une seule valeur par clé (la première relevée)
+  const seen = new Set();
+  return points.filter(point => !seen.has(point.key) && seen.add(point.key));
+}
+
+/**
+ * Enregistre les prix d'un item s'ils diffèrent du dernier relevé de chaque clé
+ * Appelé par saveItem() ; les erreurs sont journalisées sans interrompre la sauvegarde
+ * @param {string} itemId - ID de l'item (source:sourceId)
+ * @param {object} data - Données de l'item
+ * @returns {Promise<number>} Nombre de lignes ajoutées
+ */
+export async function recordItemPrices(itemId, data) {
+  const points = extractPricePoints(data);
+  if (points.length === 0) return 0;
+
+  try {
+    const result = await query(`
+      INSERT INTO item_price_history (item_id, price_key, price, currency)
+      SELECT $1, p.key, p.price, p.currency
+      FROM jsonb_to_recordset($2::jsonb) AS p(key TEXT, price NUMERIC, currency TEXT)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM (
+          SELECT h.price, h.currency FROM item_price_history h
+          WHERE h.item_id = $1 AND h.price_key = p.key
+          ORDER BY h.recorded_at DESC, h.id DESC
+          LIMIT 1
+        ) last
+        WHERE last.price = p.price AND last.currency IS NOT DISTINCT FROM p.currency
+      )
+    `, [itemId, JSON.stringify(points)]);
+
+    if (result.rowCount > 0) {
+      log.debug(`${itemId}: ${result.rowCount} prix enregistré(s)`);
+    }
+    return result.rowCount;
+  } catch (err) {
+    log.warn(`Erreur historique prix ${itemId}: ${err.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Statistiques d'une série de relevés sur une fenêtre
+ * Le prix en vigueur au début de la fenêtre (dernier relevé antérieur) est inclus
+ * @param {object[]} points - Relevés d'une clé, ordre chronologique
+ * @param {Date|null} since - Début de la fenêtre (null = tout l'historique)
+ */
+function windowStats(points, since) {
+  const inWindow = since ? points.filter(point => point.recordedAt > since) : points;
+  const before = since ? points.filter(point => point.recordedAt <= since).pop() : null;
+  const values = [...(before ? [before] : []), ...inWindow].map(point => point.price);
+
+  if (values.length === 0) return null;
+
+  const first = values[0];
+  const last = values[values.length - 1];
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    avg: Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 100) / 100,
+    first,
+    last,
+    change: Math.round((last - first) * 100) / 100,
+    changePercent: first ? Math.round(((last - first) / first) * 1000) / 10 : null,
+    changes: inWindow.length
+  };
+}
+
+/**
+ * Tendances de prix d'un item sur plusieurs fenêtres
+ * @param {string} itemId - ID de l'item (source:sourceId)
+ * @param {object} [options]
+ * @param {Array<number|'all'>} [options.windows] - Fenêtres en jours
+ * @param {boolean} [options.history=false] - Inclure les relevés bruts
+ * @returns {Promise<object|null>} null si l'item n'a ni cache ni historique
+ */
+export async function getItemPriceTrends(itemId, { windows = DEFAULT_PRICE_WINDOWS, history = false } = {}) {
+  const [item, rows] = await Promise.all([
+    queryOne('SELECT name, type FROM items WHERE id = $1', [itemId]),
+    queryAll(`
+      SELECT price_key, price, currency, recorded_at
+      FROM item_price_history
+      WHERE item_id = $1
+      ORDER BY recorded_at ASC, id ASC
+    `, [itemId])
+  ]);
+
+  if (!item && rows.length === 0) return null;
+
+  const byKey = new Map();
+  for (const row of rows) {
+    if (!byKey.has(row.price_key)) byKey.set(row.price_key, []);
+    byKey.get(row.price_key).push({
+      price: Number(row.price),
+      currency: row.currency,
+      recordedAt: new Date(row.recorded_at)
+    });
+  }
+
+  const now = Date.now();
+  const prices = {};
+  for (const [key, points] of byKey) {
+    const current = points[points.length - 1];
+    prices[key] = {
+      currency: current.currency,
+      current: current.price,
+      lastChangedAt: current.recordedAt,
+      windows: Object.fromEntries(windows.map(days => [
+        days === 'all' ? 'all' : `${days}d`,
+        windowStats(points, days === 'all' ? null : new Date(now - days * 86400000))
+      ]))
+    };
+    if (history) {
+      prices[key].history = points.map(({ price, recordedAt }) => ({ price, recordedAt }));
+    }
+  }
+
+  return {
+    itemId,
+    name: item?.name || null,
+    type: item?.type || null,
+    cached: !!item,
+    prices
+  };
+}
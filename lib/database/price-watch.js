@@ -0,0 +1,524 @@
+/**
+ * lib/database/price-watch.js - Surveillance de prix (liste de souhaits)
+ *
+ * Chaque surveillance (table price_watches, migration v7) suit le prix d'un
+ * produit Amazon (comparePrices) ou d'une carte TCG (prices des normalizers)
+ * par rapport à un prix cible :
+ * - vérification périodique (PRICE_WATCH_INTERVAL_HOURS)
+ * - une ligne price_watch_history par vérification (graphiques)
+ * - alerte email (mailer) quand le prix passe sous la cible,
+ *   renouvelée uniquement si le prix baisse encore
+ *
+ * toys_api v4.1.2
+ */
+
+import { query, queryOne, queryAll, isDatabaseConnected } from './connection.js';
+import { comparePrices, AMAZON_MARKETPLACES } from '../providers/amazon.js';
+import { getMTGCardDetails } from '../providers/tcg/mtg.js';
+import { getYuGiOhCardDetails } from '../providers/tcg/yugioh.js';
+import { getPokemonCardDetails } from '../providers/tcg/pokemon.js';
+import { normalizeMTGCard, normalizeYuGiOhCard, normalizePokemonCard } from '../normalizers/tcg.js';
+import { sendPriceAlert } from '../utils/mailer.js';
+import {
+  PRICE_WATCH_INTERVAL_HOURS,
+  PRICE_WATCH_POLL_MS,
+  PRICE_WATCH_BATCH_SIZE
+} from '../config.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('PriceWatch');
+
+// État du worker
+let pollInterval = null;
+let firstRunTimeout = null;
+let isRunning = false;
+let stats = {
+  totalRuns: 0,
+  checked: 0,
+  failed: 0,
+  alerts: 0,
+  lastRun: null,
+  lastError: null
+};
+
+/**
+ * Convertit un prix fourni par un provider ("1.23", 4.5, null)
+ * @returns {number|null}
+ */
+function parsePrice(value) {
+  const price = parseFloat(value);
+  return Number.isFinite(price) && price > 0 ? price : null;
+}
+
+/**
+ * Prix d'une carte TCG normalisée pour une clé donnée
+ */
+function cardPrice(card, prices, key) {
+  if (!card) throw new Error('Carte non trouvée');
+  const price = parsePrice(prices?.[key]);
+  if (price === null) throw new Error(`Prix ${key} indisponible`);
+  return { price, name: card.name || null, details: { variant: key, set: card.set?.name || null } };
+}
+
+// ============================================================================
+// SOURCES DE PRIX
+// ============================================================================
+
+/**
+ * Sources surveillables
+ * - keys      : clé de prix → devise (pays Amazon, variante TCG)
+ * - defaultKey: clé utilisée si non précisée
+ * - fetch     : async (sourceId, key) => { price, name, details }
+ */
+export const PRICE_SOURCES = {
+  amazon: {
+    // Clé = pays, ou liste "fr,de,es" (meilleur prix parmi des marketplaces de même devise)
+    keys: Object.fromEntries(Object.entries(AMAZON_MARKETPLACES).map(([code, m]) => [code, m.currency])),
+    defaultKey: 'fr',
+    fetch: async (asin, key) => {
+      const result = await comparePrices(asin, key.split(','));
+      const best = result.prices
+        .filter(offer => parsePrice(offer.priceValue) !== null)
+        .sort((a, b) => a.priceValue - b.priceValue)[0];
+      if (!best) {
+        throw new Error(result.errors?.[0]?.error || 'Aucun prix disponible');
+      }
+      return {
+        price: best.priceValue,
+        name: null,
+        details: {
+          country: best.country,
+          marketplace: best.marketplace,
+          availability: best.availability || null,
+          url: best.url
+        }
+      };
+    }
+  },
+  tcg_mtg: {
+    keys: { eur: 'EUR', eur_foil: 'EUR', usd: 'USD', usd_foil: 'USD' },
+    defaultKey: 'eur',
+    fetch: async (id, key) => {
+      const card = await normalizeMTGCard(await getMTGCardDetails(id));
+      return cardPrice(card, card?.prices, key);
+    }
+  },
+  tcg_yugioh: {
+    keys: { cardmarket: 'EUR', tcgplayer: 'USD', ebay: 'USD', amazon: 'USD', coolstuffinc: 'USD' },
+    defaultKey: 'cardmarket',
+    fetch: async (id, key) => {
+      const card = await normalizeYuGiOhCard(await getYuGiOhCardDetails(id));
+      return cardPrice(card, card?.prices, key);
+    }
+  },
+  tcg_pokemon: {
+    keys: { market: 'USD', low: 'USD', mid: 'USD' },
+    defaultKey: 'market',
+    fetch: async (id, key) => {
+      const card = await normalizePokemonCard(await getPokemonCardDetails(id));
+      return cardPrice(card, card?.prices?.usd, key);
+    }
+  }
+};
+
+/**
+ * Valide une clé de prix et retourne sa devise
+ * @param {string} source
+ * @param {string} [key]
+ * @returns {{key: string, currency: string}|null}
+ */
+export function resolvePriceKey(source, key) {
+  const entry = PRICE_SOURCES[source];
+  if (!entry) return null;
+
+  const parts = String(key || entry.defaultKey).toLowerCase().split(',').map(part => part.trim()).filter(Boolean);
+  const currencies = [...new Set(parts.map(part => entry.keys[part]))];
+  if (parts.length === 0 || currencies.length !== 1 || !currencies[0]) return null;
+  // Plusieurs clés uniquement pour Amazon (pays)
+  if (parts.length > 1 && source !== 'amazon') return null;
+
+  return { key: parts.join(','), currency: currencies[0] };
+}
+
+// ============================================================================
+// CRUD
+// ============================================================================
+
+/**
+ * Formate une ligne price_watches pour l'API
+ * @param {object} row
+ * @returns {object|null}
+ */
+function formatWatch(row) {
+  if (!row) return null;
+  const toNumber = (value) => value !== null && value !== undefined ? Number(value) : null;
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    source: row.source,
+    sourceId: row.source_id,
+    name: row.name,
+    targetPrice: toNumber(row.target_price),
+    currency: row.currency,
+    priceKey: row.price_key,
+    notifyEmail: row.notify_email,
+    active: row.active,
+    lastPrice: toNumber(row.last_price),
+    belowTarget: row.last_price !== null ? Number(row.last_price) <= Number(row.target_price) : null,
+    lastCheckedAt: row.last_checked_at,
+    lastError: row.last_error,
+    lastAlertAt: row.last_alert_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Valide les champs d'une surveillance
+ * @param {object} body - { source, sourceId, targetPrice, priceKey, name, notifyEmail, active }
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Mise à jour (source/sourceId non modifiables)
+ * @returns {{fields: object, error: string|null}} fields indexé par colonne
+ */
+export function parseWatchFields(body = {}, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial) {
+    if (!PRICE_SOURCES[body.source]) {
+      return { fields, error: `source invalide (${Object.keys(PRICE_SOURCES).join(', ')})` };
+    }
+    if (!body.sourceId) {
+      return { fields, error: 'sourceId manquant' };
+    }
+    const resolved = resolvePriceKey(body.source, body.priceKey);
+    if (!resolved) {
+      return { fields, error: `priceKey invalide (${Object.keys(PRICE_SOURCES[body.source].keys).join(', ')})` };
+    }
+    fields.source = body.source;
+    fields.source_id = String(body.sourceId);
+    fields.price_key = resolved.key;
+    fields.currency = resolved.currency;
+  }
+
+  if (body.targetPrice !== undefined || !partial) {
+    const target = parsePrice(body.targetPrice);
+    if (target === null) return { fields, error: 'targetPrice invalide (nombre > 0)' };
+    fields.target_price = target;
+  }
+  if (body.name !== undefined) {
+    fields.name = body.name ? String(body.name) : null;
+  }
+  if (body.notifyEmail !== undefined) {
+    if (body.notifyEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.notifyEmail)) {
+      return { fields, error: 'notifyEmail invalide' };
+    }
+    fields.notify_email = body.notifyEmail || null;
+  }
+  if (body.active !== undefined) {
+    fields.active = body.active === true || body.active === 'true';
+  }
+
+  return { fields, error: null };
+}
+
+/**
+ * Crée une surveillance
+ * @param {string} userId
+ * @param {object} fields - Colonnes validées (parseWatchFields)
+ * @returns {Promise<object>}
+ */
+export async function createWatch(userId, fields) {
+  const columns = ['user_id', ...Object.keys(fields)];
+  const row = await queryOne(`
+    INSERT INTO price_watches (${columns.join(', ')})
+    VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+    RETURNING *
+  `, [userId, ...Object.values(fields)]);
+
+  log.info(`Surveillance #${row.id} créée: ${row.source}/${row.source_id} ≤ ${row.target_price} ${row.currency}`);
+  return formatWatch(row);
+}
+
+/**
+ * Récupère une surveillance d'un utilisateur
+ * @param {string} userId
+ * @param {number} id
+ * @returns {Promise<object|null>}
+ */
+export async function getWatch(userId, id) {
+  const row = await queryOne('SELECT * FROM price_watches WHERE id = $1 AND user_id = $2', [id, userId]);
+  return formatWatch(row);
+}
+
+/**
+ * Liste les surveillances d'un utilisateur
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {boolean|null} [options.active] - Filtrer actives/inactives
+ * @param {boolean} [options.belowTarget=false] - Uniquement celles sous la cible
+ * @returns {Promise<object[]>}
+ */
+export async function listWatches(userId, { active = null, belowTarget = false } = {}) {
+  const rows = await queryAll(`
+    SELECT * FROM price_watches
+    WHERE user_id = $1
+      AND ($2::boolean IS NULL OR active = $2)
+      AND (NOT $3 OR last_price <= target_price)
+    ORDER BY created_at DESC
+  `, [userId, active, belowTarget]);
+  return rows.map(formatWatch);
+}
+
+/**
+ * Met à jour une surveillance
+ * @param {string} userId
+ * @param {number} id
+ * @param {object} fields - Colonnes validées (parseWatchFields partial)
+ * @returns {Promise<object|null>}
+ */
+export async function updateWatch(userId, id, fields) {
+  const columns = Object.keys(fields);
+  if (columns.length === 0) return getWatch(userId, id);
+
+  // Nouvelle cible : l'alerte peut être renvoyée
+  if (fields.target_price !== undefined) {
+    fields.alert_price = null;
+    columns.push('alert_price');
+  }
+
+  const row = await queryOne(`
+    UPDATE price_watches SET ${columns.map((column, i) => `${column} = $${i + 3}`).join(', ')}
+    WHERE id = $1 AND user_id = $2
+    RETURNING *
+  `, [id, userId, ...columns.map(column => fields[column])]);
+  return formatWatch(row);
+}
+
+/**
+ * Supprime une surveillance et son historique
+ * @param {string} userId
+ * @param {number} id
+ * @returns {Promise<boolean>}
+ */
+export async function deleteWatch(userId, id) {
+  const result = await query('DELETE FROM price_watches WHERE id = $1 AND user_id = $2', [id, userId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Historique des vérifications d'une surveillance (ordre chronologique)
+ * @param {string} userId
+ * @param {number} id
+ * @param {object} [options]
+ * @param {number} [options.days=90] - Fenêtre en jours
+ * @param {boolean} [options.includeErrors=false] - Inclure les vérifications en échec
+ * @returns {Promise<{watch: object, history: object[], stats: object}|null>}
+ */
+export async function getWatchHistory(userId, id, { days = 90, includeErrors = false } = {}) {
+  const watch = await getWatch(userId, id);
+  if (!watch) return null;
+
+  const rows = await queryAll(`
+    SELECT price, currency, details, error, checked_at
+    FROM price_watch_history
+    WHERE watch_id = $1
+      AND checked_at > NOW() - make_interval(days => $2)
+      AND ($3 OR price IS NOT NULL)
+    ORDER BY checked_at ASC
+  `, [id, days, includeErrors]);
+
+  const history = rows.map(row => ({
+    price: row.price !== null ? Number(row.price) : null,
+    currency: row.currency,
+    details: row.details,
+    error: row.error,
+    checkedAt: row.checked_at
+  }));
+
+  const prices = history.map(point => point.price).filter(price => price !== null);
+  const stats = {
+    count: prices.length,
+    min: prices.length ? Math.min(...prices) : null,
+    max: prices.length ? Math.max(...prices) : null,
+    avg: prices.length ? Math.round((prices.reduce((a, b) => a + b, 0) / prices.length) * 100) / 100 : null,
+    last: prices.length ? prices[prices.length - 1] : null
+  };
+
+  return { watch, days, history, stats };
+}
+
+// ============================================================================
+// VÉRIFICATION
+// ============================================================================
+
+/**
+ * Vérifie le prix d'une surveillance, enregistre l'historique et alerte si besoin
+ * @param {object} row - Ligne price_watches
+ * @returns {Promise<{watchId: number, price: number|null, belowTarget: boolean, alerted: boolean, error?: string}>}
+ */
+export async function checkWatch(row) {
+  let result;
+  try {
+    result = await PRICE_SOURCES[row.source].fetch(row.source_id, row.price_key);
+  } catch (err) {
+    await query(
+      'INSERT INTO price_watch_history (watch_id, currency, error) VALUES ($1, $2, $3)',
+      [row.id, row.currency, err.message]
+    );
+    await query(
+      'UPDATE price_watches SET last_checked_at = NOW(), last_error = $2 WHERE id = $1',
+      [row.id, err.message]
+    );
+    log.warn(`Surveillance #${row.id} (${row.source}/${row.source_id}): ${err.message}`);
+    return { watchId: row.id, price: null, belowTarget: false, alerted: false, error: err.message };
+  }
+
+  await query(
+    'INSERT INTO price_watch_history (watch_id, price, currency, details) VALUES ($1, $2, $3, $4)',
+    [row.id, result.price, row.currency, JSON.stringify(result.details || {})]
+  );
+
+  const belowTarget = result.price <= Number(row.target_price);
+  const alreadyAlerted = row.alert_price !== null && result.price >= Number(row.alert_price);
+
+  let alerted = false;
+  if (belowTarget && !alreadyAlerted) {
+    alerted = await sendPriceAlert({
+      watch: formatWatch({ ...row, name: row.name || result.name }),
+      price: result.price,
+      details: result.details
+    });
+    if (alerted) {
+      log.info(`💰 Surveillance #${row.id}: ${result.price} ${row.currency} ≤ ${row.target_price} (alerte envoyée)`);
+    }
+  }
+
+  // alert_price : prix de la dernière alerte, remis à zéro quand le prix repasse au-dessus de la cible
+  const alertPrice = !belowTarget ? null : (alerted ? result.price : row.alert_price);
+
+  await query(`
+    UPDATE price_watches SET
+      last_price = $2,
+      last_checked_at = NOW(),
+      last_error = NULL,
+      name = COALESCE(name, $3),
+      alert_price = $4,
+      last_alert_at = CASE WHEN $5 THEN NOW() ELSE last_alert_at END
+    WHERE id = $1
+  `, [row.id, result.price, result.name, alertPrice, alerted]);
+
+  return { watchId: row.id, price: result.price, belowTarget, alerted };
+}
+
+/**
+ * Vérifie immédiatement une surveillance d'un utilisateur
+ * @param {string} userId
+ * @param {number} id
+ * @returns {Promise<{watch: object, check: object}|null>}
+ */
+export async function checkWatchNow(userId, id) {
+  const row = await queryOne('SELECT * FROM price_watches WHERE id = $1 AND user_id = $2', [id, userId]);
+  if (!row) return null;
+
+  const check = await checkWatch(row);
+  return { watch: await getWatch(userId, id), check };
+}
+
+/**
+ * Cycle de vérification : surveillances actives non vérifiées depuis PRICE_WATCH_INTERVAL_HOURS
+ * @returns {Promise<object>}
+ */
+export async function runPriceWatchCycle() {
+  if (isRunning) {
+    return { skipped: true, reason: 'Cycle déjà en cours' };
+  }
+
+  isRunning = true;
+  const cycle = { checked: 0, failed: 0, alerts: 0 };
+
+  try {
+    const due = await queryAll(`
+      SELECT * FROM price_watches
+      WHERE active
+        AND (last_checked_at IS NULL OR last_checked_at < NOW() - make_interval(secs => $1))
+      ORDER BY last_checked_at ASC NULLS FIRST
+      LIMIT $2
+    `, [PRICE_WATCH_INTERVAL_HOURS * 3600, PRICE_WATCH_BATCH_SIZE]);
+
+    for (const row of due) {
+      if (!PRICE_SOURCES[row.source]) continue;
+      const result = await checkWatch(row);
+      cycle.checked++;
+      if (result.error) cycle.failed++;
+      if (result.alerted) cycle.alerts++;
+    }
+
+    if (due.length > 0) {
+      log.info(`Cycle: ${cycle.checked} vérifiées, ${cycle.failed} en échec, ${cycle.alerts} alertes`);
+    }
+  } catch (err) {
+    stats.lastError = err.message;
+    log.error(`Erreur cycle: ${err.message}`);
+  } finally {
+    isRunning = false;
+    stats.totalRuns++;
+    stats.checked += cycle.checked;
+    stats.failed += cycle.failed;
+    stats.alerts += cycle.alerts;
+    stats.lastRun = new Date().toISOString();
+  }
+
+  return cycle;
+}
+
+/**
+ * Statistiques du worker de surveillance
+ */
+export function getPriceWatchStats() {
+  return {
+    ...stats,
+    isRunning,
+    isStarted: pollInterval !== null,
+    intervalHours: PRICE_WATCH_INTERVAL_HOURS
+  };
+}
+
+/**
+ * Démarre les vérifications périodiques
+ * @returns {boolean}
+ */
+export function startPriceWatch() {
+  if (pollInterval) return false;
+
+  if (!isDatabaseConnected()) {
+    log.info('Base de données non connectée, surveillance de prix non démarrée');
+    return false;
+  }
+
+  log.info(`Démarrage (vérification toutes les ${PRICE_WATCH_INTERVAL_HOURS}h)`);
+
+  // Premier cycle après 60 secondes (laisser l'app démarrer)
+  firstRunTimeout = setTimeout(() => {
+    firstRunTimeout = null;
+    runPriceWatchCycle();
+  }, 60000);
+
+  pollInterval = setInterval(runPriceWatchCycle, PRICE_WATCH_POLL_MS);
+  return true;
+}
+
+/**
+ * Arrête les vérifications périodiques
+ */
+export function stopPriceWatch() {
+  if (firstRunTimeout) {
+    clearTimeout(firstRunTimeout);
+    firstRunTimeout = null;
+  }
+  if (pollInterval) {
+    clearInterval(pollInterval);
+    pollInterval = null;
+    log.info('Arrêté');
+  }
+}
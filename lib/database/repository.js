@@ -7,6 +7,7 @@
 
 import { query, queryOne, queryAll, isCacheEnabled, CACHE_MODE } from './connection.js';
 import { createLogger } from '../utils/logger.js';
+import { recordItemPrices } from './price-history.js';
 
 const log = createLogger('Repository');
 
@@ -191,6 +192,31 @@ export async function getItem(source, sourceId, options = {}) {
   }
 }
 
+/**
+ * Item d'un type déjà connu par son EAN (colonne items.ean)
+ * @param {string} type - Type (construct_toy…)
+ * @param {string[]} candidates - Codes équivalents (barcodeCandidates)
+ * @returns {Promise<object|null>} - Données avec source et sourceId, ou null
+ */
+export async function findItemByEan(type, candidates) {
+  if (!isCacheEnabled() || candidates.length === 0) return null;
+
+  try {
+    const row = await queryOne(`
+      SELECT source, source_id, data FROM items
+      WHERE type = $1 AND ean = ANY($2)
+      ORDER BY (entry_type = 'detail') DESC, updated_at DESC
+      LIMIT 1
+    `, [type, candidates]);
+    if (!row?.data) return null;
+
+    return { ...row.data, source: row.source, sourceId: row.source_id };
+  } catch (err) {
+    log.error(`Erreur findItemByEan: ${err.message}`);
+    return null;
+  }
+}
+
 /**
  * Sauvegarde un item dans la base de données
  * @param {string} source - Source (lego, tmdb, etc.)
@@ -266,8 +292,8 @@ export async function saveItem(source, sourceId, type, name, data, options = {})
         genres = EXCLUDED.genres,
         language = EXCLUDED.language,
         tome = EXCLUDED.tome,
-        series_name = EXCLUDED.series_name,
-        series_id = EXCLUDED.series_id,
+        series_name = COALESCE(EXCLUDED.series_name, items.series_name),
+        series_id = COALESCE(EXCLUDED.series_id, items.series_id),
         piece_count = EXCLUDED.piece_count,
         figure_count = EXCLUDED.figure_count,
         theme = EXCLUDED.theme,
@@ -298,6 +324,9 @@ export async function saveItem(source, sourceId, type, name, data, options = {})
       ]
     );
 
+    // Historique des prix (append-only, uniquement si la valeur a changé)
+    await recordItemPrices(id, data);
+
     // Incrémenter le compteur de nouveaux items
     incrementStats(source, 'new_items');
     
@@ -658,6 +687,116 @@ export async function getPopularItems(limit = 20) {
   }
 }
 
+/**
+ * Importe un item issu d'un export JSON (/local/export)
+ * @param {object} item - Ligne exportée (source + source_id ou external_id)
+ * @param {string} mode - 'upsert' ou 'skip' (ignorer les items existants)
+ * @returns {Promise<'inserted'|'updated'|'skipped'>}
+ */
+export async function importItem(item, mode = 'upsert') {
+  // Accepter source_id ou external_id pour rétrocompatibilité
+  const sourceId = item?.source_id || item?.external_id;
+  if (!item?.source || !sourceId) {
+    throw new Error('source et source_id requis');
+  }
+  
+  // Générer l'ID composite
+  const id = `${item.source}:${sourceId}`;
+  
+  // Vérifier si l'item existe déjà
+  const existing = await query(
+    'SELECT id FROM items WHERE id = $1',
+    [id]
+  );
+  
+  if (existing.rows.length > 0) {
+    if (mode === 'skip') {
+      return 'skipped';
+    }
+    
+    // Mode upsert: mettre à jour
+    await query(`
+      UPDATE items SET
+        type = COALESCE($2, type),
+        subtype = COALESCE($3, subtype),
+        name = COALESCE($4, name),
+        name_original = COALESCE($5, name_original),
+        year = COALESCE($6, year),
+        authors = COALESCE($7, authors),
+        publisher = COALESCE($8, publisher),
+        genres = COALESCE($9, genres),
+        language = COALESCE($10, language),
+        tome = COALESCE($11, tome),
+        series_name = COALESCE($12, series_name),
+        series_id = COALESCE($13, series_id),
+        piece_count = COALESCE($14, piece_count),
+        figure_count = COALESCE($15, figure_count),
+        theme = COALESCE($16, theme),
+        runtime = COALESCE($17, runtime),
+        pages = COALESCE($18, pages),
+        isbn = COALESCE($19, isbn),
+        ean = COALESCE($20, ean),
+        imdb_id = COALESCE($21, imdb_id),
+        data = COALESCE($22, data),
+        image_url = COALESCE($23, image_url),
+        thumbnail_url = COALESCE($24, thumbnail_url),
+        source_url = COALESCE($25, source_url),
+        detail_url = COALESCE($26, detail_url),
+        updated_at = NOW(),
+        fetch_count = COALESCE($27, fetch_count)
+      WHERE id = $1
+    `, [
+      id,
+      item.type, item.subtype,
+      item.name || item.data?.name, item.name_original,
+      item.year || item.data?.year,
+      item.authors, item.publisher, item.genres, item.language,
+      item.tome, item.series_name, item.series_id,
+      item.piece_count, item.figure_count, item.theme,
+      item.runtime, item.pages, item.isbn, item.ean, item.imdb_id,
+      item.data || {},
+      item.image_url || item.image, item.thumbnail_url,
+      item.source_url, item.detail_url,
+      item.fetch_count || item.hit_count || 0
+    ]);
+    return 'updated';
+  }
+  
+  // Insérer le nouvel item
+  await query(`
+    INSERT INTO items (id, source, source_id, type, subtype, name, name_original, year, authors, publisher, genres, language, tome, series_name, series_id, piece_count, figure_count, theme, runtime, pages, isbn, ean, imdb_id, data, image_url, thumbnail_url, source_url, detail_url, created_at, updated_at, fetch_count)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, COALESCE($29::timestamp, NOW()), NOW(), $30)
+  `, [
+    id,
+    item.source, sourceId,
+    item.type || 'unknown', item.subtype,
+    item.name || item.data?.name || 'Unknown', item.name_original,
+    item.year || item.data?.year,
+    item.authors, item.publisher, item.genres, item.language,
+    item.tome, item.series_name, item.series_id,
+    item.piece_count, item.figure_count, item.theme,
+    item.runtime, item.pages, item.isbn, item.ean, item.imdb_id,
+    item.data || {},
+    item.image_url || item.image, item.thumbnail_url,
+    item.source_url, item.detail_url,
+    item.created_at,
+    item.fetch_count || item.hit_count || 0
+  ]);
+  return 'inserted';
+}
+
+/**
+ * Vide le cache des items (import en mode replace)
+ * Les items référencés par une collection sont conservés
+ * @returns {Promise<number>} Nombre d'items supprimés
+ */
+export async function clearItems() {
+  const result = await query(
+    'DELETE FROM items WHERE id NOT IN (SELECT item_id FROM collection_entries)'
+  );
+  return result.rowCount;
+}
+
 /**
  * Récupère les items à rafraîchir
  */
@@ -678,6 +817,7 @@ export async function getItemsToRefresh(limit = 50) {
 export default {
   generateItemId,
   getItem,
+  findItemByEan,
   saveItem,
   getItemWithCache,
   searchLocal,
@@ -686,5 +826,7 @@ export default {
   getStats,
   getPopularItems,
   getItemsToRefresh,
+  importItem,
+  clearItems,
   CACHE_TTL
 };
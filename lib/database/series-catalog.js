@@ -0,0 +1,428 @@
+/**
+ * lib/database/series-catalog.js - Catalogue des séries multi-providers
+ *
+ * Table series (migration v1) alimentée à chaque récupération d'une série chez
+ * un provider : séries Bedetheque, volumes et issues Comic Vine, mangas et
+ * volumes MangaDex, saisons TMDB/TVDB, franchises Jikan.
+ * - series.data.members : volumes / tomes / issues / saisons ordonnés
+ * - items.series_id : rattachement des items en cache (ID de série chez la source)
+ *
+ * recordSeries() est appelé sans attendre par le cache (withCache, option
+ * series), les routes et les services (suivis, complétion) sur le résultat
+ * brut du provider : l'écriture ne ralentit pas la réponse et n'échoue
+ * jamais la requête.
+ *
+ * toys_api v4.1.2
+ */
+
+import { query, queryOne, queryAll, isDatabaseConnected } from './connection.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('SeriesCatalog');
+
+/**
+ * Items rattachables par source de série : sources et types du cache
+ * (types null = tous)
+ */
+export const SERIES_ITEM_SOURCES = {
+  bedetheque: { sources: ['bedetheque'], types: null },
+  comicvine: { sources: ['comicvine'], types: null },
+  mangadex: { sources: ['mangadex'], types: null },
+  tmdb: { sources: ['tmdb', 'tmdb_series'], types: ['series', 'tv'] },
+  tvdb: { sources: ['tvdb', 'tvdb_series'], types: ['series', 'tv'] },
+  jikan_anime: { sources: ['jikan', 'jikan_anime'], types: ['anime'] },
+  jikan_manga: { sources: ['jikan', 'jikan_manga'], types: ['manga'] }
+};
+
+// Écritures en cours (getSeries les attend pour lire une série tout juste récupérée)
+const pendingSaves = new Map();
+
+/**
+ * Numéro de tome dans un titre d'album (« Astérix - Tome 12 - … », « T3 », « 5. … »)
+ * @param {string} title
+ * @returns {number|null}
+ */
+export function tomeFromTitle(title) {
+  if (!title) return null;
+  const match = /(?:^|[\s\-–(])(?:tome|t\.?|vol(?:ume)?\.?|n°|#)\s*(\d{1,4})\b/i.exec(title)
+    || /^(\d{1,4})\s*[.\-–]\s/.exec(title);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Numéro triable (« 12 », « 12.5 », « none » → null)
+ */
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Trie les membres par numéro (sans numéro en fin, ordre d'origine conservé)
+ * et renseigne leur position
+ * @param {object[]} members
+ * @returns {object[]}
+ */
+function orderMembers(members) {
+  return members
+    .map((member, index) => ({ member, index, sortKey: toNumber(member.number) }))
+    .sort((a, b) => (a.sortKey ?? Infinity) - (b.sortKey ?? Infinity) || a.index - b.index)
+    .map(({ member }, index) => ({ position: index + 1, ...member }));
+}
+
+/**
+ * Entrées d'une relation Jikan (Prequel, Sequel…)
+ */
+function jikanRelation(result, relation, kind) {
+  return (result.relations || [])
+    .filter(r => r.relation === relation)
+    .flatMap(r => r.entries)
+    .filter(e => e.type === kind);
+}
+
+/**
+ * Extraction d'une série normalisée, par structure provider
+ * Chaque extracteur retourne :
+ * { source, sourceId, name, nameOriginal, status, itemCount, kind, image, url,
+ *   members: [...] | null (inconnus), linkIds: IDs d'items à rattacher }
+ */
+const SERIES_EXTRACTORS = {
+  // getBedethequeSerieById : albums de la série
+  bedetheque: (result) => ({
+    source: 'bedetheque',
+    sourceId: String(result.id),
+    name: result.title,
+    status: result.status,
+    itemCount: result.albumCount ?? result.albums?.length ?? null,
+    kind: 'album',
+    image: result.image?.[0] || null,
+    url: result.url,
+    members: orderMembers((result.albums || []).map(album => ({
+      number: tomeFromTitle(album.title),
+      title: album.title,
+      sourceId: String(album.id),
+      url: album.url
+    }))),
+    linkIds: (result.albums || []).map(album => String(album.id))
+  }),
+
+  // getComicVineVolume : fiche du volume (sans la liste des issues)
+  comicvine_volume: (result) => ({
+    source: 'comicvine',
+    sourceId: String(result.id),
+    name: result.title,
+    itemCount: result.issueCount ?? null,
+    kind: 'issue',
+    image: result.image?.[0] || null,
+    url: result.url,
+    members: null,
+    linkIds: []
+  }),
+
+  // getComicVineIssues : issues du volume
+  comicvine_issues: (result) => ({
+    source: 'comicvine',
+    sourceId: String(result.volumeId),
+    name: result.volume || null,
+    itemCount: result.totalIssues ?? null,
+    kind: 'issue',
+    members: orderMembers((result.issues || []).map(issue => ({
+      number: issue.number,
+      title: issue.title,
+      sourceId: String(issue.id),
+      date: issue.coverDate || issue.storeDate,
+      image: issue.image,
+      url: issue.url
+    }))),
+    linkIds: (result.issues || []).map(issue => String(issue.id))
+  }),
+
+  // getMangaDexById : fiche du manga (nom, statut)
+  mangadex: (result) => ({
+    source: 'mangadex',
+    sourceId: String(result.id),
+    name: result.title,
+    nameOriginal: result.originalTitle,
+    status: result.status,
+    itemCount: result.totalVolumes ?? null,
+    kind: 'volume',
+    image: result.image || null,
+    url: result.url,
+    members: null,
+    linkIds: [String(result.id)]
+  }),
+
+  // getMangaDexAggregate : volumes et chapitres (sans nom)
+  mangadex_aggregate: (result) => ({
+    source: 'mangadex',
+    sourceId: String(result.mangaId),
+    name: null,
+    kind: 'volume',
+    members: orderMembers((result.volumes || []).map(volume => ({
+      number: toNumber(volume.volume),
+      title: toNumber(volume.volume) === null ? 'Chapitres hors volume' : null,
+      count: volume.count,
+      chapters: volume.issues.map(issue => issue.number)
+    }))),
+    linkIds: [String(result.mangaId)]
+  }),
+
+  // getTmdbTvById : saisons de la série
+  tmdb_tv: (result) => ({
+    source: 'tmdb',
+    sourceId: String(result.id),
+    name: result.name || result.title,
+    nameOriginal: result.originalName,
+    status: result.status,
+    itemCount: result.numberOfSeasons ?? null,
+    kind: 'season',
+    image: result.poster,
+    url: result.url,
+    members: orderMembers((result.seasons || []).map(season => ({
+      number: season.seasonNumber,
+      title: season.name,
+      sourceId: String(season.id),
+      count: season.episodeCount,
+      date: season.airDate,
+      image: season.poster
+    }))),
+    linkIds: [String(result.id)]
+  }),
+
+  // getTvdbSeriesById : saisons (ordre de diffusion)
+  tvdb_series: (result) => ({
+    source: 'tvdb',
+    sourceId: String(result.id),
+    name: result.name || result.title,
+    nameOriginal: result.originalName,
+    status: result.status,
+    itemCount: result.totalSeasons ?? null,
+    kind: 'season',
+    image: result.poster,
+    url: result.url,
+    members: result.seasons ? orderMembers(result.seasons.map(season => ({
+      number: season.number,
+      title: season.name,
+      sourceId: String(season.id),
+      date: season.year ? String(season.year) : null,
+      image: season.image
+    }))) : null,
+    linkIds: [String(result.id)]
+  }),
+
+  // getJikanAnimeById / getJikanMangaById : franchise (préquelles, titre, suites)
+  jikan_anime: (result) => jikanSeries(result, 'anime'),
+  jikan_manga: (result) => jikanSeries(result, 'manga')
+};
+
+/**
+ * Franchise Jikan : chaîne préquelles → titre → suites (même type)
+ * Jikan ne donne que les relations directes : la chaîne est partielle.
+ */
+function jikanSeries(result, kind) {
+  const self = { id: result.id, name: result.title, url: result.url };
+  const chain = [...jikanRelation(result, 'Prequel', kind), self, ...jikanRelation(result, 'Sequel', kind)];
+
+  return {
+    source: `jikan_${kind}`,
+    sourceId: String(result.id),
+    name: result.title,
+    nameOriginal: result.originalTitle,
+    status: result.status,
+    itemCount: kind === 'anime' ? result.episodes ?? null : result.totalVolumes ?? result.volumes ?? null,
+    kind: 'entry',
+    image: result.poster || result.image || null,
+    url: result.url,
+    members: chain.map((entry, index) => ({
+      position: index + 1,
+      number: index + 1,
+      title: entry.name,
+      sourceId: String(entry.id),
+      url: entry.url,
+      current: entry === self
+    })),
+    // Seul le titre est rattaché : chaque entrée de la franchise a sa propre série
+    linkIds: [String(result.id)]
+  };
+}
+
+/**
+ * Série normalisée à partir d'un résultat provider
+ * @param {string} kind - Clé de SERIES_EXTRACTORS (bedetheque, tmdb_tv…)
+ * @param {object} result - Résultat brut du provider
+ * @returns {object|null}
+ */
+export function extractSeries(kind, result) {
+  const extractor = SERIES_EXTRACTORS[kind];
+  if (!extractor || !result) return null;
+
+  const entry = extractor(result);
+  return entry.sourceId && entry.sourceId !== 'undefined' ? entry : null;
+}
+
+// ============================================================================
+// ÉCRITURE
+// ============================================================================
+
+/**
+ * Enregistre une série et rattache ses items en cache
+ * Les champs inconnus (name, members… à null) conservent la valeur existante.
+ * @param {object} entry - Résultat de extractSeries
+ * @returns {Promise<string>} series.id
+ */
+export async function saveSeries(entry) {
+  const id = `${entry.source}:${entry.sourceId}`;
+  const data = Object.fromEntries(Object.entries({
+    kind: entry.kind,
+    image: entry.image,
+    url: entry.url,
+    members: entry.members
+  }).filter(([, value]) => value !== null && value !== undefined));
+
+  // Sans nom (aggregate MangaDex) : nom de l'item en cache, à défaut l'ID
+  const row = await queryOne(`
+    INSERT INTO series (id, source, source_id, name, name_original, item_count, status, data)
+    VALUES ($1, $2, $3, COALESCE($4::text, (
+      SELECT name FROM items WHERE source = ANY($9) AND COALESCE(data->>'sourceId', source_id) = $3 LIMIT 1
+    ), $3), $5, $6, $7, $8)
+    ON CONFLICT (id) DO UPDATE SET
+      name = COALESCE($4::text, series.name),
+      name_original = COALESCE(EXCLUDED.name_original, series.name_original),
+      item_count = COALESCE(EXCLUDED.item_count, series.item_count),
+      status = COALESCE(EXCLUDED.status, series.status),
+      data = COALESCE(series.data, '{}'::jsonb) || EXCLUDED.data
+    RETURNING name
+  `, [
+    id, entry.source, entry.sourceId, entry.name || null, entry.nameOriginal || null,
+    entry.itemCount ?? null, entry.status || null, JSON.stringify(data),
+    SERIES_ITEM_SOURCES[entry.source].sources
+  ]);
+
+  if (entry.linkIds?.length > 0) {
+    await linkSeriesItems(entry.source, entry.sourceId, row.name, entry.linkIds);
+  }
+  return id;
+}
+
+/**
+ * Rattache des items du cache à une série (items.series_id / series_name)
+ * @param {string} source - Source de la série
+ * @param {string} sourceId - ID de la série chez la source
+ * @param {string} name - Nom de la série
+ * @param {string[]} itemIds - IDs source des items (data.sourceId ou source_id)
+ * @returns {Promise<number>} Items rattachés
+ */
+export async function linkSeriesItems(source, sourceId, name, itemIds) {
+  const { sources, types } = SERIES_ITEM_SOURCES[source];
+  const result = await query(`
+    UPDATE items SET series_id = $1, series_name = $2
+    WHERE source = ANY($3)
+      AND ($4::text[] IS NULL OR type = ANY($4))
+      AND COALESCE(data->>'sourceId', source_id) = ANY($5)
+      AND (series_id IS DISTINCT FROM $1 OR series_name IS DISTINCT FROM $2)
+  `, [sourceId, name, sources, types, itemIds]);
+  return result.rowCount;
+}
+
+/**
+ * Enregistre une série récupérée par un provider (non bloquant)
+ * @param {string} kind - Clé d'extracteur (bedetheque, comicvine_issues, tmdb_tv…)
+ * @param {object} result - Résultat brut du provider
+ */
+export function recordSeries(kind, result) {
+  if (!isDatabaseConnected()) return;
+
+  const entry = extractSeries(kind, result);
+  if (!entry) return;
+
+  const id = `${entry.source}:${entry.sourceId}`;
+  const save = (pendingSaves.get(id) || Promise.resolve())
+    .then(() => saveSeries(entry))
+    .catch(err => log.warn(`Série ${id} non enregistrée: ${err.message}`))
+    .finally(() => {
+      if (pendingSaves.get(id) === save) pendingSaves.delete(id);
+    });
+  pendingSaves.set(id, save);
+}
+
+// ============================================================================
+// LECTURE
+// ============================================================================
+
+/**
+ * Résumé d'une ligne series
+ */
+function formatSeriesRow(row) {
+  return {
+    id: row.id,
+    source: row.source,
+    sourceId: row.source_id,
+    name: row.name,
+    nameOriginal: row.name_original,
+    status: row.status,
+    kind: row.data?.kind || null,
+    itemCount: row.item_count,
+    image: row.data?.image || null,
+    url: row.data?.url || null,
+    detailUrl: `/series/${row.source}/${encodeURIComponent(row.source_id)}`,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Recherche plein texte dans le catalogue des séries
+ * @param {string} q
+ * @param {object} [options]
+ * @param {string} [options.source] - Filtrer par source
+ * @param {number} [options.limit=20]
+ * @returns {Promise<object[]>}
+ */
+export async function searchSeries(q, { source = null, limit = 20 } = {}) {
+  const rows = await queryAll(`
+    SELECT *, ts_rank(to_tsvector('french', name), plainto_tsquery('french', $1)) AS rank
+    FROM series
+    WHERE ($2::text IS NULL OR source = $2)
+      AND (to_tsvector('french', name) @@ plainto_tsquery('french', $1) OR name ILIKE '%' || $1 || '%')
+    ORDER BY rank DESC, item_count DESC NULLS LAST, name
+    LIMIT $3
+  `, [q, source, limit]);
+  return rows.map(formatSeriesRow);
+}
+
+/**
+ * Série du catalogue avec ses membres ordonnés et ses items en cache
+ * @param {string} source
+ * @param {string} sourceId
+ * @returns {Promise<object|null>}
+ */
+export async function getSeries(source, sourceId) {
+  const id = `${source}:${sourceId}`;
+  await pendingSaves.get(id);
+
+  const row = await queryOne('SELECT * FROM series WHERE id = $1', [id]);
+  if (!row) return null;
+
+  const { sources, types } = SERIES_ITEM_SOURCES[source] || { sources: [source], types: null };
+  const items = await queryAll(`
+    SELECT id, source, source_id, type, name, tome, year, image_url, detail_url
+    FROM items
+    WHERE series_id = $1 AND source = ANY($2) AND ($3::text[] IS NULL OR type = ANY($3))
+    ORDER BY tome NULLS LAST, year NULLS LAST, name
+  `, [sourceId, sources, types]);
+
+  return {
+    ...formatSeriesRow(row),
+    members: row.data?.members || [],
+    items: items.map(item => ({
+      id: item.id,
+      source: item.source,
+      sourceId: item.source_id,
+      type: item.type,
+      name: item.name,
+      tome: item.tome,
+      year: item.year,
+      image: item.image_url,
+      detailUrl: item.detail_url
+    }))
+  };
+}
@@ -0,0 +1,305 @@
+/**
+ * lib/database/series-completion.js - Tomes manquants d'une série
+ *
+ * Compare les membres d'une série du catalogue (albums Bedetheque, volumes
+ * MangaDex, issues Comic Vine, volumes Jikan…) à une liste de tomes possédés,
+ * donnés par numéro ou par ISBN. Les manquants sont complétés avec couverture,
+ * ISBN et date de sortie ; une date future signale un tome annoncé.
+ *
+ * Compléments par source :
+ * - bedetheque : fiches album du cache items, récupérées via DETAIL_PROVIDERS
+ *   si absentes (SERIES_COMPLETION_MAX_FETCH par appel, FlareSolverr)
+ * - mangadex : couvertures par volume
+ * - jikan_manga / jikan_anime : volumes / épisodes numérotés d'après le total
+ *
+ * toys_api v4.1.2
+ */
+
+import { queryAll } from './connection.js';
+import { getSeries, recordSeries, SERIES_ITEM_SOURCES } from './series-catalog.js';
+import { ensureItem } from './collections.js';
+import { getServerKey } from './credential-vault.js';
+import { SERIES_PROVIDERS } from '../providers/registry.js';
+import { getMangaDexVolumeCovers } from '../providers/mangadex.js';
+import { isbn10to13 } from '../normalizers/book.js';
+import { SERIES_COMPLETION_MAX_FETCH } from '../config.js';
+import { createLogger } from '../utils/logger.js';
+import { httpError } from '../utils/helpers.js';
+
+const log = createLogger('SeriesCompletion');
+
+// Écart max d'une plage de tomes (« 1-12 »)
+const MAX_OWNED_RANGE = 2000;
+
+// ============================================================================
+// CHARGEMENT
+// ============================================================================
+
+/**
+ * Série du catalogue, récupérée chez le provider si absente
+ * @param {string} source - Clé de SERIES_PROVIDERS
+ * @param {string} sourceId - ID de la série chez la source
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - Forcer la récupération
+ * @param {boolean} [options.requireMembers=false] - Récupérer si la liste des membres manque
+ * @param {string} [options.apiKey] - Clé API du client (si pas de clé serveur)
+ * @returns {Promise<object|null>} Résultat de getSeries
+ */
+export async function loadSeries(source, sourceId, options = {}) {
+  const { refresh = false, requireMembers = false, apiKey: clientKey = null } = options;
+
+  const provider = SERIES_PROVIDERS[source];
+  if (!provider) {
+    throw httpError(`Source inconnue: ${source}`, 400);
+  }
+
+  if (!refresh) {
+    const series = await getSeries(source, sourceId);
+    if (series && (!requireMembers || series.members.length > 0 || series.kind === 'entry')) {
+      return series;
+    }
+  }
+
+  const apiKey = provider.keyName ? getServerKey(provider.keyName) || clientKey || null : null;
+  if (provider.keyName && !apiKey && !provider.optionalKey) {
+    throw httpError(`Clé API manquante pour ${source} (${provider.keyName})`, 401);
+  }
+
+  const result = await provider.fetch(sourceId, { apiKey });
+  if (!result || (Array.isArray(result) && !result.some(Boolean))) return null;
+
+  const results = Array.isArray(result) ? result : [result];
+  provider.series.forEach((kind, i) => recordSeries(kind, results[i]));
+
+  log.debug(`Série ${source}:${sourceId} récupérée chez le provider`);
+  return getSeries(source, sourceId);
+}
+
+// ============================================================================
+// TOMES POSSÉDÉS
+// ============================================================================
+
+/**
+ * Analyse la liste des tomes possédés
+ * Accepte numéros (« 3 », « T3 », « tome 12 », « 12.5 »), plages (« 1-5 »)
+ * et ISBN-10/13 (tirets et espaces ignorés)
+ * @param {Array<string|number>|string} values - Tableau ou liste séparée par des virgules
+ * @returns {{numbers: Set<number>, isbns: Set<string>, invalid: string[]}}
+ */
+export function parseOwned(values) {
+  const list = Array.isArray(values) ? values : String(values || '').split(',');
+  const owned = { numbers: new Set(), isbns: new Set(), invalid: [] };
+
+  for (const raw of list) {
+    const value = String(raw).trim();
+    if (!value) continue;
+
+    const digits = value.replace(/^isbn(?:-1[03])?:?\s*/i, '').replace(/[-\s]/g, '').toUpperCase();
+    if (/^97[89]\d{10}$/.test(digits)) {
+      owned.isbns.add(digits);
+      continue;
+    }
+    if (/^\d{9}[\dX]$/.test(digits)) {
+      owned.isbns.add(isbn10to13(digits));
+      continue;
+    }
+
+    const range = /^(\d{1,4})\s*-\s*(\d{1,4})$/.exec(value);
+    if (range && Number(range[2]) >= Number(range[1]) && Number(range[2]) - Number(range[1]) <= MAX_OWNED_RANGE) {
+      for (let n = Number(range[1]); n <= Number(range[2]); n++) owned.numbers.add(n);
+      continue;
+    }
+
+    const number = /^(?:(?:tome|t|vol(?:ume)?|n°|#)\.?\s*)?(\d{1,4}(?:[.,]\d+)?)$/i.exec(value);
+    if (number) {
+      owned.numbers.add(parseFloat(number[1].replace(',', '.')));
+      continue;
+    }
+    owned.invalid.push(value);
+  }
+  return owned;
+}
+
+// ============================================================================
+// COMPLÉTION
+// ============================================================================
+
+/**
+ * Date (AAAA, AAAA-MM ou AAAA-MM-JJ) postérieure à aujourd'hui, à la précision donnée
+ * @param {string|null} date
+ * @param {string} today - AAAA-MM-JJ
+ * @returns {boolean}
+ */
+export function isAnnounced(date, today) {
+  if (!date || !/^\d{4}/.test(date)) return false;
+  const value = String(date).slice(0, 10);
+  return value > today.slice(0, value.length);
+}
+
+/**
+ * Compare les membres d'une série aux tomes possédés
+ * @param {object[]} entries - Membres complétés ({ number, isbn, releaseDate… })
+ * @param {object} owned - Résultat de parseOwned
+ * @param {string} [today] - AAAA-MM-JJ
+ * @returns {object} { counts, completion, missing, unmatched }
+ */
+export function computeCompletion(entries, owned, today = new Date().toISOString().slice(0, 10)) {
+  const matchedNumbers = new Set();
+  const matchedIsbns = new Set();
+  const missing = [];
+  let ownedCount = 0;
+  let released = 0;
+  let ownedReleased = 0;
+
+  for (const entry of entries) {
+    const number = entry.number === null || entry.number === undefined ? null : parseFloat(entry.number);
+    const byNumber = number !== null && owned.numbers.has(number);
+    const byIsbn = !!entry.isbn && owned.isbns.has(entry.isbn);
+    const announced = isAnnounced(entry.releaseDate, today);
+
+    if (byNumber) matchedNumbers.add(number);
+    if (byIsbn) matchedIsbns.add(entry.isbn);
+    if (!announced) released++;
+
+    if (byNumber || byIsbn) {
+      ownedCount++;
+      if (!announced) ownedReleased++;
+    } else {
+      missing.push({ ...entry, announced });
+    }
+  }
+
+  return {
+    counts: {
+      total: entries.length,
+      released,
+      owned: ownedCount,
+      missing: missing.filter(entry => !entry.announced).length,
+      announced: missing.filter(entry => entry.announced).length
+    },
+    completion: released > 0 ? Math.round((ownedReleased / released) * 1000) / 10 : null,
+    missing,
+    unmatched: [
+      ...[...owned.numbers].filter(n => !matchedNumbers.has(n)).map(String),
+      ...[...owned.isbns].filter(isbn => !matchedIsbns.has(isbn)),
+      ...owned.invalid
+    ]
+  };
+}
+
+/**
+ * Fiches en cache des membres (ISBN, couverture, date de sortie)
+ * @returns {Promise<Map<string, object>>} sourceId → ligne items
+ */
+async function cachedMemberItems(source, ids) {
+  if (ids.length === 0) return new Map();
+
+  const { sources, types } = SERIES_ITEM_SOURCES[source];
+  const rows = await queryAll(`
+    SELECT COALESCE(data->>'sourceId', source_id) AS member_id, isbn, image_url,
+           COALESCE(data->>'releaseDate', data->>'release_date') AS release_date
+    FROM items
+    WHERE source = ANY($1) AND ($2::text[] IS NULL OR type = ANY($2))
+      AND COALESCE(data->>'sourceId', source_id) = ANY($3)
+    ORDER BY entry_type = 'detail' DESC
+  `, [sources, types, ids]);
+
+  const items = new Map();
+  for (const row of rows) {
+    if (!items.has(row.member_id)) items.set(row.member_id, row);
+  }
+  return items;
+}
+
+/**
+ * Récupère les fiches album Bedetheque absentes du cache
+ * Les manquants d'abord ; tous si des ISBN possédés sont à comparer
+ * @returns {Promise<number>} Fiches restant à récupérer (limite atteinte)
+ */
+async function fetchBedethequeAlbums(members, cached, owned) {
+  const unknown = members.filter(member => member.sourceId && !cached.get(member.sourceId)?.isbn);
+  const ownedByNumber = member => member.number !== null && owned.numbers.has(parseFloat(member.number));
+  const toFetch = owned.isbns.size > 0 ? unknown : unknown.filter(member => !ownedByNumber(member));
+
+  for (const member of toFetch.slice(0, SERIES_COMPLETION_MAX_FETCH)) {
+    try {
+      await ensureItem('bedetheque', `album_${member.sourceId}`, { type: 'book' });
+    } catch (err) {
+      log.warn(`Album Bedetheque ${member.sourceId} non récupéré: ${err.message}`);
+    }
+  }
+  return Math.max(0, toFetch.length - SERIES_COMPLETION_MAX_FETCH);
+}
+
+/**
+ * Membres d'une série complétés (couverture, ISBN, date de sortie)
+ * @param {object} series - Résultat de getSeries
+ * @param {object} owned - Résultat de parseOwned
+ * @param {object} [options]
+ * @param {boolean} [options.fetchDetails=true] - Récupérer les fiches album manquantes
+ * @returns {Promise<{entries: object[], pendingDetails: number}>}
+ */
+export async function buildSeriesEntries(series, owned, { fetchDetails = true } = {}) {
+  // Jikan : seul le total est connu
+  let members = series.members;
+  if (series.kind === 'entry') {
+    members = Array.from({ length: series.itemCount || 0 }, (_, i) => ({ position: i + 1, number: i + 1, title: null }));
+  }
+
+  const ids = members.map(member => member.sourceId).filter(Boolean);
+  let cached = await cachedMemberItems(series.source, ids);
+  let pendingDetails = 0;
+
+  if (series.source === 'bedetheque' && fetchDetails) {
+    pendingDetails = await fetchBedethequeAlbums(members, cached, owned);
+    cached = await cachedMemberItems(series.source, ids);
+  }
+
+  let covers = new Map();
+  if (series.source === 'mangadex') {
+    try {
+      const result = await getMangaDexVolumeCovers(series.sourceId);
+      covers = new Map(result.covers.map(cover => [parseFloat(cover.volume), cover.image]));
+    } catch (err) {
+      log.warn(`Couvertures MangaDex ${series.sourceId} indisponibles: ${err.message}`);
+    }
+  }
+
+  const entries = members.map(member => {
+    const item = member.sourceId ? cached.get(member.sourceId) : null;
+    return {
+      position: member.position,
+      number: member.number ?? null,
+      title: member.title || null,
+      isbn: item?.isbn || null,
+      image: item?.image_url || member.image || covers.get(parseFloat(member.number)) || null,
+      releaseDate: item?.release_date || member.date || null,
+      sourceId: member.sourceId || null,
+      url: member.url || null
+    };
+  });
+  return { entries, pendingDetails };
+}
+
+/**
+ * Tomes manquants d'une série
+ * @param {string} source - Source de la série (bedetheque, mangadex, comicvine, jikan_manga…)
+ * @param {string} sourceId - ID de la série chez la source
+ * @param {Array<string|number>|string} ownedValues - Numéros ou ISBN possédés
+ * @param {object} [options] - refresh, apiKey (loadSeries), fetchDetails (buildSeriesEntries)
+ * @returns {Promise<object|null>} null si la série est introuvable
+ */
+export async function getSeriesCompletion(source, sourceId, ownedValues, options = {}) {
+  const series = await loadSeries(source, sourceId, { ...options, requireMembers: true });
+  if (!series) return null;
+
+  const owned = parseOwned(ownedValues);
+  const { entries, pendingDetails } = await buildSeriesEntries(series, owned, options);
+  const { members, items, ...summary } = series;
+
+  return {
+    series: summary,
+    ...computeCompletion(entries, owned),
+    pendingDetails
+  };
+}
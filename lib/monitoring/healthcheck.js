@@ -10,6 +10,8 @@
 import { createLogger } from '../utils/logger.js';
 import { sendMonitoringAlert, sendSuccessReport, isMailerConfigured } from '../utils/mailer.js';
 import { decryptApiKey } from '../utils/helpers.js';
+import { ADMIN_TOKEN, AUTH_MODE } from '../config.js';
+import { getStoredKey } from '../database/credential-vault.js';
 
 const log = createLogger('HealthCheck');
 
@@ -19,6 +21,14 @@ const CHECK_INTERVAL_MS = parseInt(process.env.HEALTHCHECK_INTERVAL_HOURS || '10
 // URL de base pour les tests (localhost car exécuté dans le même conteneur)
 const API_BASE = `http://localhost:${process.env.PORT || 3000}`;
 
+// Token client pour les appels internes (AUTH_MODE=required)
+const AUTH_HEADERS = ADMIN_TOKEN ? { Authorization: `Bearer ${ADMIN_TOKEN}` } : {};
+
+// Les routes ne retombent sur la clé du coffre que pour un token read ou en
+// AUTH_MODE=off (canUseServerKeys) : sans ADMIN_TOKEN, les providers dont la
+// seule clé est dans le coffre sont ignorés plutôt que comptés en échec
+const CAN_USE_VAULT_KEYS = AUTH_MODE === 'off' || Boolean(ADMIN_TOKEN);
+
 // Clés API pour les tests (chiffrées puis déchiffrées au runtime)
 const API_KEYS = {
   rebrickable: process.env.TEST_REBRICKABLE_KEY || '',
@@ -372,7 +382,7 @@ async function getEncryptedKey(keyName, isIgdb = false) {
     // Appeler l'endpoint de chiffrement
     const response = await fetch(`${API_BASE}/crypto/encrypt`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
       body: JSON.stringify({ key })
     });
     
@@ -411,13 +421,13 @@ async function runTest(test) {
     });
     
     // Préparer les headers
-    const headers = {};
+    const headers = { ...AUTH_HEADERS };
     
     // Ajouter la clé API si nécessaire
     if (test.requiresKey && test.keyName) {
       // Cas spécial: clé passée en query param (ex: Discogs)
       if (test.keyAsParam) {
-        const key = API_KEYS[test.keyName];
+        const key = API_KEYS[test.keyName] || getStoredKey(test.keyName);
         if (!key) {
           result.error = `Clé API ${test.keyName} non configurée`;
           result.duration = Date.now() - startTime;
@@ -428,12 +438,19 @@ async function runTest(test) {
         // Clé chiffrée en header (cas standard)
         const isIgdb = test.keyName === 'igdb';
         const encryptedKey = await getEncryptedKey(test.keyName, isIgdb);
-        if (!encryptedKey) {
+        if (encryptedKey) {
+          headers['X-Encrypted-Key'] = encryptedKey;
+        } else if (!getStoredKey(test.keyName)) {
           result.error = `Clé API ${test.keyName} non configurée`;
           result.duration = Date.now() - startTime;
           return result;
+        } else if (!CAN_USE_VAULT_KEYS) {
+          result.skipped = true;
+          result.error = `Clé ${test.keyName} du coffre inutilisable sans ADMIN_TOKEN`;
+          result.duration = Date.now() - startTime;
+          return result;
         }
-        headers['X-Encrypted-Key'] = encryptedKey;
+        // Sinon la route utilise la clé du coffre (requireApiKey)
       }
     }
     
@@ -509,6 +526,8 @@ export async function runAllTests() {
     
     if (result.success) {
       log.debug(`✅ ${test.provider}: OK (${result.count} résultats, ${result.duration}ms)`);
+    } else if (result.skipped) {
+      log.debug(`⏭️ ${test.provider}: ignoré - ${result.error}`);
     } else {
       log.warn(`❌ ${test.provider}: ÉCHEC - ${result.error}`);
       failures.push(result);
@@ -520,9 +539,10 @@ export async function runAllTests() {
   
   const report = {
     timestamp: new Date(),
-    total: results.length,
+    total: results.filter(r => !r.skipped).length,
     passed: results.filter(r => r.success).length,
     failed: failures.length,
+    skipped: results.filter(r => r.skipped).length,
     failures,
     results
   };
@@ -147,6 +147,11 @@ export const {
   normalizeImdbSeriesDetail,
   normalizeTvdbSeriesDetail,
   
+  // Épisodes
+  normalizeEpisode,
+  normalizeTmdbSeasonEpisodes,
+  normalizeTvdbEpisodes,
+  
   // Utilitaires series
   normalizeSeriesStatus,
   normalizeSeriesType,
@@ -581,6 +581,120 @@ export function normalizeTvdbSeriesDetail(data) {
   };
 }
 
+// ============================================================================
+// NORMALISATION ÉPISODES
+// ============================================================================
+
+/**
+ * Normalise un épisode (TMDB ou TVDB), élément de episodes.list
+ * episode_id est l'ID provider de l'épisode : stable quel que soit l'ordre
+ * des saisons, c'est la clé du suivi des épisodes vus.
+ * @param {object} episode - Épisode harmonisé par le provider
+ * @param {string} provider - Provider source
+ * @returns {object}
+ */
+export function normalizeEpisode(episode, provider) {
+  const season = episode.seasonNumber ?? null;
+  const number = episode.number ?? null;
+
+  return {
+    episode_id: String(episode.id),
+    source: provider,
+    season_number: season,
+    episode_number: number,
+    absolute_number: episode.absoluteNumber || null,
+    code: season !== null && number !== null
+      ? `S${String(season).padStart(2, '0')}E${String(number).padStart(2, '0')}`
+      : null,
+    title: episode.name || null,
+    description: episode.overview || null,
+    description_original: episode.overviewOriginal || null,
+    description_translated: episode.overviewTranslated || null,
+    air_date: episode.airDate || null,
+    runtime_minutes: episode.runtime || null,
+    still_url: episode.still || null,
+    finale_type: episode.finaleType || null
+  };
+}
+
+/**
+ * Construit le bloc episodes de SERIES_SCHEMA à partir d'épisodes normalisés
+ * Les saisons sont déduites des épisodes ; la saison 0 (spéciaux) n'est pas comptée.
+ * @param {Array} episodes - Épisodes (normalizeEpisode)
+ * @param {object} seasonNames - Noms de saison connus, par numéro
+ * @returns {object} - { seasonCount, episodeCount, seasons, list }
+ */
+function buildEpisodesBlock(episodes, seasonNames = {}) {
+  const seasons = new Map();
+  for (const episode of episodes) {
+    const number = episode.season_number;
+    if (number === null) continue;
+    const season = seasons.get(number) || { number, episodeCount: 0, airDate: null, name: seasonNames[number] || null };
+    season.episodeCount++;
+    if (episode.air_date && (!season.airDate || episode.air_date < season.airDate)) {
+      season.airDate = episode.air_date;
+    }
+    seasons.set(number, season);
+  }
+  const list = [...seasons.values()].sort((a, b) => a.number - b.number);
+
+  return {
+    seasonCount: list.filter(s => s.number > 0).length,
+    episodeCount: episodes.length,
+    seasons: list,
+    list: episodes
+  };
+}
+
+/**
+ * Normalise une saison TMDB et ses épisodes
+ * @param {object} data - Saison (getTmdbTvSeason)
+ * @returns {object}
+ */
+export function normalizeTmdbSeasonEpisodes(data) {
+  const episodes = (data.episodes || []).map(e => normalizeEpisode(e, 'tmdb'));
+  const block = buildEpisodesBlock(episodes, { [data.seasonNumber]: data.name });
+
+  return {
+    provider_id: String(data.seriesId),
+    tmdb_id: data.seriesId,
+    season_id: data.id ? String(data.id) : null,
+    season_number: data.seasonNumber,
+    title: data.name || null,
+    description: data.overview || null,
+    air_date: data.airDate || null,
+    poster_url: data.poster || null,
+    total_episodes: episodes.length,
+    runtime_minutes: episodes.reduce((sum, e) => sum + (e.runtime_minutes || 0), 0) || null,
+    episodes: block,
+    source_url: data.url || `https://www.themoviedb.org/tv/${data.seriesId}/season/${data.seasonNumber}`,
+    source: 'tmdb'
+  };
+}
+
+/**
+ * Normalise les épisodes d'une série TVDB
+ * @param {object} data - Épisodes (getTvdbSeriesEpisodes)
+ * @returns {object}
+ */
+export function normalizeTvdbEpisodes(data) {
+  const episodes = (data.episodes || []).map(e => normalizeEpisode(e, 'tvdb'));
+  const block = buildEpisodesBlock(episodes);
+
+  return {
+    provider_id: String(data.seriesId),
+    tvdb_id: data.seriesId,
+    title: data.name || null,
+    season_type: data.seasonType,
+    season_number: data.seasonNumber ?? null,
+    total_seasons: block.seasonCount,
+    total_episodes: block.episodeCount,
+    episodes: block,
+    source_url: data.url || null,
+    source: 'tvdb'
+  };
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -602,5 +716,9 @@ export default {
   // Détails
   normalizeTmdbSeriesDetail,
   normalizeImdbSeriesDetail,
-  normalizeTvdbSeriesDetail
+  normalizeTvdbSeriesDetail,
+  // Épisodes
+  normalizeEpisode,
+  normalizeTmdbSeasonEpisodes,
+  normalizeTvdbEpisodes
 };
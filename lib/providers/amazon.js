@@ -5,6 +5,7 @@
 
 import { createLogger } from '../utils/logger.js';
 import { USER_AGENT } from '../config.js';
+import { getProviderGuard } from '../utils/provider-guard.js';
 import {
   normalizeAmazonSearch,
   normalizeAmazonProductDetail,
@@ -42,36 +43,22 @@ const AMAZON_CACHE_TTL = 600000;
 
 // ============================================================================
 // CIRCUIT BREAKER - Désactive Amazon temporairement si bloqué
+// Garde partagé 'amazon' (cf. PROVIDER_GUARDS dans config.js)
 // ============================================================================
-let amazonCircuitOpen = false;
-let amazonCircuitOpenTime = null;
-const CIRCUIT_COOLDOWN = 15 * 60 * 1000; // 15 minutes avant réessai
-let consecutiveFailures = 0;
-const MAX_FAILURES_BEFORE_CIRCUIT_OPEN = 3;
+const amazonGuard = getProviderGuard('amazon');
 
 /**
  * Vérifie si Amazon est disponible (circuit breaker fermé)
+ * @param {object} [options]
+ * @param {boolean} [options.probe=false] - Avant un appel réel : réserve l'appel d'essai half-open
  * @returns {{available: boolean, reason: string|null, retryAfter: number|null}}
  */
-export function isAmazonAvailable() {
-  if (!amazonCircuitOpen) {
-    return { available: true, reason: null, retryAfter: null };
-  }
-  
-  const elapsed = Date.now() - amazonCircuitOpenTime;
-  if (elapsed >= CIRCUIT_COOLDOWN) {
-    // Réouvrir le circuit pour réessayer
-    log.info('🔄 Circuit breaker Amazon: tentative de réouverture après cooldown');
-    amazonCircuitOpen = false;
-    consecutiveFailures = 0;
-    return { available: true, reason: null, retryAfter: null };
-  }
-  
-  const retryAfter = Math.ceil((CIRCUIT_COOLDOWN - elapsed) / 1000);
-  return { 
-    available: false, 
-    reason: 'Amazon temporairement désactivé (détection anti-bot)',
-    retryAfter 
+export function isAmazonAvailable({ probe = false } = {}) {
+  const availability = probe ? amazonGuard.breaker.acquire() : amazonGuard.breaker.check();
+  if (availability.available) return availability;
+  return {
+    ...availability,
+    reason: 'Amazon temporairement désactivé (détection anti-bot)'
   };
 }
 
@@ -79,24 +66,15 @@ export function isAmazonAvailable() {
  * Signale un succès Amazon (reset failures)
  */
 function recordAmazonSuccess() {
-  consecutiveFailures = 0;
-  if (amazonCircuitOpen) {
-    log.info('✅ Circuit breaker Amazon: fermé après succès');
-    amazonCircuitOpen = false;
-  }
+  amazonGuard.breaker.recordSuccess();
 }
 
 /**
- * Signale un échec Amazon (potentiellement ouvre le circuit)
+ * Signale un échec Amazon (seule la détection robot compte pour le circuit)
  */
 function recordAmazonFailure(isRobotDetection = false) {
-  consecutiveFailures++;
-  
-  if (isRobotDetection && consecutiveFailures >= MAX_FAILURES_BEFORE_CIRCUIT_OPEN) {
-    amazonCircuitOpen = true;
-    amazonCircuitOpenTime = Date.now();
-    log.warn(`🔴 Circuit breaker Amazon: OUVERT après ${consecutiveFailures} échecs consécutifs`);
-    log.warn(`   Retry dans ${CIRCUIT_COOLDOWN / 60000} minutes`);
+  if (isRobotDetection) {
+    amazonGuard.breaker.recordFailure('Détection robot');
   }
 }
 
@@ -289,9 +267,10 @@ export function getAmazonStatus() {
       proxyUrl: puppeteerAvailable && puppeteerStealth ? puppeteerStealth.VPN_PROXY_URL : null
     },
     circuitBreaker: {
-      open: amazonCircuitOpen,
-      consecutiveFailures,
-      maxFailures: MAX_FAILURES_BEFORE_CIRCUIT_OPEN
+      open: !availability.available,
+      state: amazonGuard.breaker.state,
+      consecutiveFailures: amazonGuard.breaker.consecutiveFailures,
+      maxFailures: amazonGuard.breaker.failureThreshold
     }
   };
 }
@@ -459,11 +438,17 @@ function isRobotDetected(html) {
  */
 async function executeWithRobotRetry(requestFn, context = "requête") {
   // Vérifier le circuit breaker
-  const availability = isAmazonAvailable();
+  const availability = isAmazonAvailable({ probe: true });
   if (!availability.available) {
-    throw new Error(`${availability.reason}. Réessayer dans ${availability.retryAfter}s`);
+    const err = new Error(`${availability.reason}. Réessayer dans ${availability.retryAfter}s`);
+    err.status = 503;
+    err.retryAfter = availability.retryAfter;
+    throw err;
   }
   
+  // Espacement des requêtes Amazon (token bucket)
+  await amazonGuard.bucket.take();
+  
   let html;
   
   // Première tentative
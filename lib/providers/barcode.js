@@ -3,6 +3,8 @@
  * 
  * Gère l'identification de produits via UPC, EAN, ISBN
  * Sources: UPC Item DB, Open Food Facts, BNF, OpenLibrary, Google Books
+ * Jouets de construction : LEGO, Playmobil, Mega, Klickypedia et Rebrickable
+ * d'après la marque et le titre UPC Item DB (cache items.ean : routes/barcode.js)
  * 
  * @module providers/barcode
  */
@@ -19,12 +21,18 @@ import {
   searchDiscogsByBarcode
 } from './discogs.js';
 import { searchJVC } from './jvc.js';
+import { getProductDetailsNormalized } from './lego.js';
+import { getPlaymobilProductDetailsNormalized } from './playmobil.js';
+import { getKlickypediaProductDetailsNormalized } from './klickypedia.js';
+import { getMegaProductByIdNormalized } from './mega.js';
+import { getRebrickableSetNormalized, legoIdToRebrickable } from './rebrickable.js';
 import {
   UPCITEMDB_BASE_URL,
   OPENFOODFACTS_BASE_URL,
   USER_AGENT,
   RAWG_BASE_URL,
-  GOOGLE_BOOKS_BASE_URL
+  GOOGLE_BOOKS_BASE_URL,
+  DEFAULT_LOCALE
 } from '../config.js';
 
 const log = createLogger('Barcode');
@@ -92,6 +100,20 @@ export function isbn10ToIsbn13(isbn10) {
   return isbn13Base + checkDigit;
 }
 
+/**
+ * Codes équivalents à rechercher dans items.ean / items.isbn
+ * (ISBN-10 ↔ ISBN-13, UPC-A ↔ EAN-13 préfixé par 0)
+ * @param {{type: string, code: string}} barcode - Résultat de detectBarcodeType
+ * @returns {string[]}
+ */
+export function barcodeCandidates({ type, code }) {
+  const candidates = [code];
+  if (type === 'ISBN-10') candidates.push(isbn10ToIsbn13(code));
+  if (type === 'UPC-A') candidates.push(`0${code}`);
+  if (type === 'EAN-13' && code.startsWith('0')) candidates.push(code.slice(1));
+  return candidates.filter(Boolean);
+}
+
 // ========================================
 // Sources de données
 // ========================================
@@ -501,6 +523,112 @@ export async function tryIdentifyMusic(productInfo, barcode) {
   return null;
 }
 
+// ========================================
+// Identification des jouets de construction
+// ========================================
+
+/**
+ * Marques de jouets de construction reconnues dans les infos UPC Item DB
+ * - pattern   : marque ou titre du produit
+ * - reference : référence du set dans le titre (numéro LEGO/Playmobil, SKU Mega)
+ * - sources   : providers interrogés dans l'ordre (officiel puis base communautaire)
+ */
+const CONSTRUCT_TOY_BRANDS = [
+  {
+    brand: 'LEGO',
+    pattern: /\blego\b/i,
+    reference: /\b(\d{4,6})(?:-\d+)?\b(?!\s*(?:pieces?|pcs?|pièces?|parts?|ans|years?)\b)/i,
+    sources: ['lego', 'rebrickable']
+  },
+  {
+    brand: 'Playmobil',
+    pattern: /\bplaymobil\b/i,
+    reference: /\b(\d{4,5})\b(?!\s*(?:pieces?|pcs?|pièces?|parts?|ans|years?)\b)/i,
+    sources: ['playmobil', 'klickypedia']
+  },
+  {
+    brand: 'Mega',
+    pattern: /\bmega\s*(?:bloks|construx|brands)\b|^mega$/i,
+    reference: /\b([A-Z]{2,5}\d{2,5})\b/i,
+    sources: ['mega']
+  }
+];
+
+// Années citées dans les titres (« 2019 », « Advent 2021 »), jamais prises pour une référence
+const YEAR_LIKE = /^(?:19[5-9]\d|20\d{2})$/;
+
+/**
+ * Détails normalisés par source : (référence, clé API) => détail construct_toy
+ */
+const CONSTRUCT_TOY_DETAILS = {
+  lego: (ref) => getProductDetailsNormalized(ref, DEFAULT_LOCALE),
+  rebrickable: (ref, apiKey) => getRebrickableSetNormalized(legoIdToRebrickable(ref), apiKey),
+  playmobil: (ref) => getPlaymobilProductDetailsNormalized(ref, DEFAULT_LOCALE),
+  klickypedia: (ref) => getKlickypediaProductDetailsNormalized(ref, DEFAULT_LOCALE),
+  mega: (ref) => getMegaProductByIdNormalized(ref, { lang: DEFAULT_LOCALE })
+};
+
+/**
+ * Détecte la marque et la référence d'un jouet de construction
+ * @param {object} productInfo - Infos du produit (title, brand)
+ * @returns {{brand: string, reference: string|null, sources: string[]}|null}
+ */
+export function detectConstructToyBrand(productInfo) {
+  const title = productInfo.title || '';
+  const brand = (productInfo.brand || '').trim();
+
+  const match = CONSTRUCT_TOY_BRANDS.find(b => b.pattern.test(brand))
+    || CONSTRUCT_TOY_BRANDS.find(b => b.pattern.test(title));
+  if (!match) return null;
+
+  const reference = [...title.matchAll(new RegExp(match.reference.source, 'gi'))]
+    .map(m => m[1])
+    .find(ref => !YEAR_LIKE.test(ref));
+  return {
+    brand: match.brand,
+    reference: reference ? reference.toUpperCase() : null,
+    sources: match.sources
+  };
+}
+
+/**
+ * Tente d'identifier un jouet de construction à partir des infos produit
+ * eanMatched indique que l'EAN du provider est le code scanné : seul ce cas
+ * peut résoudre les scans suivants par items.ean.
+ * @param {object} productInfo - Infos du produit (title, brand)
+ * @param {string} barcode - Code-barres original
+ * @param {object} apiKeys - Clés API optionnelles (rebrickable)
+ * @returns {Promise<object|null>} - Détail normalisé ou null
+ */
+export async function tryIdentifyConstructToy(productInfo, barcode, apiKeys = {}) {
+  const toy = detectConstructToyBrand(productInfo);
+  if (!toy?.reference) return null;
+
+  for (const source of toy.sources) {
+    const apiKey = source === 'rebrickable' ? apiKeys.rebrickable || null : null;
+    if (source === 'rebrickable' && !apiKey) continue;
+
+    try {
+      const detail = await CONSTRUCT_TOY_DETAILS[source](toy.reference, apiKey);
+      if (!detail?.name) continue;
+
+      const candidates = barcodeCandidates(detectBarcodeType(barcode));
+      return {
+        identified: true,
+        matchedBy: 'brand',
+        detectedBrand: toy.brand,
+        reference: toy.reference,
+        eanMatched: Boolean(detail.ean) && candidates.includes(String(detail.ean)),
+        ...detail
+      };
+    } catch (err) {
+      log.debug(`${source} ${toy.reference} non identifié: ${err.message}`);
+    }
+  }
+
+  return null;
+}
+
 /**
  * Recherche directe de musique par code-barres (MusicBrainz + Discogs)
  * @param {string} barcode - Code-barres
@@ -574,17 +702,12 @@ export async function searchMusicByBarcode(barcode, discogsToken = null) {
 // ========================================
 
 /**
- * Recherche complète par code-barres
- * @param {string} code - Code-barres (UPC, EAN, ISBN)
- * @param {object} options - Options (apiKeys, enrichGameData)
- * @returns {Promise<object>} - Résultat complet
+ * Résultat de recherche vide pour un code-barres
+ * @param {{type: string, code: string, category: string}} barcodeInfo - Résultat de detectBarcodeType
+ * @returns {object}
  */
-export async function searchByBarcode(code, options = {}) {
-  const { apiKeys = {}, enrichGameData = true, enrichMusicData = true } = options;
-  
-  const barcodeInfo = detectBarcodeType(code);
-  
-  const result = {
+export function createBarcodeResult(barcodeInfo) {
+  return {
     barcode: barcodeInfo.code,
     barcodeType: barcodeInfo.type,
     category: barcodeInfo.category,
@@ -592,9 +715,23 @@ export async function searchByBarcode(code, options = {}) {
     book: null,
     videoGame: null,
     music: null,
+    constructToy: null,
     sources: [],
     searchedAt: new Date().toISOString()
   };
+}
+
+/**
+ * Recherche complète par code-barres
+ * @param {string} code - Code-barres (UPC, EAN, ISBN)
+ * @param {object} options - Options (apiKeys, enrichGameData, enrichMusicData, enrichToyData)
+ * @returns {Promise<object>} - Résultat complet
+ */
+export async function searchByBarcode(code, options = {}) {
+  const { apiKeys = {}, enrichGameData = true, enrichMusicData = true, enrichToyData = true } = options;
+  
+  const barcodeInfo = detectBarcodeType(code);
+  const result = createBarcodeResult(barcodeInfo);
   
   // === Traitement ISBN (Livres) ===
   if (barcodeInfo.category === 'book' || barcodeInfo.type === 'ISBN-10' || barcodeInfo.type === 'ISBN-13') {
@@ -645,8 +782,18 @@ export async function searchByBarcode(code, options = {}) {
       };
       result.sources.push('upcitemdb');
       
+      // Tenter d'identifier comme jouet de construction (LEGO, Playmobil, Mega)
+      if (enrichToyData) {
+        const toyInfo = await tryIdentifyConstructToy(upcResult, barcodeInfo.code, apiKeys);
+        if (toyInfo) {
+          result.category = 'construct_toy';
+          result.constructToy = toyInfo;
+          result.sources.push(toyInfo.source);
+        }
+      }
+      
       // Tenter d'identifier comme jeu vidéo
-      if (enrichGameData) {
+      if (enrichGameData && !result.constructToy) {
         const gameInfo = await tryIdentifyVideoGame(upcResult, apiKeys);
         if (gameInfo) {
           result.category = 'videogame';
@@ -655,7 +802,7 @@ export async function searchByBarcode(code, options = {}) {
       }
       
       // Tenter d'identifier comme musique (CD, vinyle)
-      if (enrichMusicData && !result.videoGame) {
+      if (enrichMusicData && !result.videoGame && !result.constructToy) {
         const musicInfo = await tryIdentifyMusic(upcResult, barcodeInfo.code);
         if (musicInfo) {
           result.category = 'music';
@@ -704,7 +851,7 @@ export async function searchByBarcode(code, options = {}) {
   }
   
   // Déterminer si produit trouvé
-  result.found = !!(result.product || result.book || result.videoGame || result.music);
+  result.found = !!(result.product || result.book || result.videoGame || result.music || result.constructToy);
   
   return result;
 }
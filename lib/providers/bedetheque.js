@@ -17,6 +17,7 @@ import {
   FSR_BASE
 } from '../config.js';
 import { getFsrSessionId } from '../utils/flaresolverr.js';
+import { throttle } from '../utils/provider-guard.js';
 import { fetchViaProxy } from '../utils/fetch-proxy.js';
 import {
   normalizeBedethequeSearch,
@@ -239,7 +240,7 @@ export async function searchBedethequeByAuthor(author, options = {}) {
     const ajaxUrl = `${BEDETHEQUE_BASE_URL}/ajax/auteurs?term=${encodeURIComponent(author)}`;
     log.debug(`Requête AJAX: ${ajaxUrl}`);
     
-    const ajaxResponse = await fetch(ajaxUrl, {
+    const ajaxResponse = await fetchViaProxy(ajaxUrl, {
       headers: {
         'Accept': 'application/json',
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
@@ -300,7 +301,8 @@ export async function searchBedethequeByAuthor(author, options = {}) {
     log.debug(`URL page auteur: ${authorUrl}`);
     
     // 3. Récupérer la page auteur via FlareSolverr
-    const response = await fetch(`${FSR_BASE}`, {
+    await throttle('bedetheque');
+    const response = await fetchViaProxy(`${FSR_BASE}`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
@@ -377,7 +379,8 @@ export async function searchBedethequeByAuthor(author, options = {}) {
       const albumsUrl = serie.url.replace('/serie-', '/albums-');
       log.debug(`Récupération albums série ${serie.id}: ${serie.name}`);
       
-      const albumsResponse = await fetch(`${FSR_BASE}`, {
+      await throttle('bedetheque');
+      const albumsResponse = await fetchViaProxy(`${FSR_BASE}`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
@@ -464,6 +467,7 @@ export async function searchBedethequeByAuthor(author, options = {}) {
       type: 'author',
       author: authorName,
       authorId: parseInt(authorId),
+      authorUrl,
       seriesCount: seriesData.length,
       albumsCount: allAlbums.length,
       albums: allAlbums,
@@ -1201,8 +1205,18 @@ export async function searchBedethequeAlbumsNormalized(query, options = {}) {
  * @returns {Promise<object>} - Détails normalisés
  */
 export async function getBedethequeSerieByIdNormalized(serieId, options = {}) {
-  const { lang = null, autoTrad = false } = options;
   const result = await getBedethequeSerieById(serieId);
+  return normalizeBedethequeSerie(result, options);
+}
+
+/**
+ * Normalise une série Bedetheque (getBedethequeSerieById) avec traduction optionnelle
+ * @param {object} result - Série brute
+ * @param {object} options - Options de traduction { lang, autoTrad }
+ * @returns {Promise<object>} - Détails normalisés
+ */
+export async function normalizeBedethequeSerie(result, options = {}) {
+  const { lang = null, autoTrad = false } = options;
   const normalized = normalizeBedethequeSerieDetail(result);
   
   // Appliquer la traduction si demandée (source = français)
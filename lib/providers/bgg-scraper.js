@@ -20,6 +20,7 @@
 import { metrics } from '../utils/state.js';
 import { createLogger } from '../utils/logger.js';
 import { fetchViaProxy } from '../utils/fetch-proxy.js';
+import { throttle, recordProviderSuccess, recordProviderFailure } from '../utils/provider-guard.js';
 import { translateText, extractLangCode, translateBoardGameCategories } from '../utils/translator.js';
 import { FSR_BASE, API_BASE_URL } from '../config.js';
 
@@ -32,7 +33,7 @@ const log = createLogger('BGG-Scraper');
 const BGG_BASE_URL = 'https://boardgamegeek.com';
 const BGG_SEARCH_URL = 'https://boardgamegeek.com/search/boardgame';
 const BGG_DEFAULT_MAX = 20;
-const BGG_RATE_LIMIT_MS = 2000; // 2 secondes entre requêtes (scraping = plus prudent)
+// Rate limit : throttle('bgg_scrape') avant chaque page (cf. PROVIDER_GUARDS dans config.js)
 
 // Helper pour construire une URL proxy (absolue si API_BASE_URL défini, relative sinon)
 function buildProxyUrl(targetUrl) {
@@ -40,9 +41,6 @@ function buildProxyUrl(targetUrl) {
   return API_BASE_URL ? `${API_BASE_URL}${proxyPath}` : proxyPath;
 }
 
-// Dernière requête pour rate limiting
-let lastRequestTime = 0;
-
 // Mapping des codes langue pour la détection dans les fichiers BGG
 const LANGUAGE_PATTERNS = {
   'fr': ['french', 'français', 'francais', 'fr-fr', '_fr', '(fr)', '[fr]', 'vf', '-fr-', '-fr.', 'regle', 'règle'],
@@ -73,20 +71,9 @@ const RULES_KEYWORDS = [
 // UTILITAIRES
 // ============================================================================
 
-/**
- * Respecte le rate limit BGG
- */
-async function respectRateLimit() {
-  const now = Date.now();
-  const elapsed = now - lastRequestTime;
-  if (elapsed < BGG_RATE_LIMIT_MS) {
-    await new Promise(resolve => setTimeout(resolve, BGG_RATE_LIMIT_MS - elapsed));
-  }
-  lastRequestTime = Date.now();
-}
-
 /**
  * Effectue une requête via FlareSolverr
+ * Résultat signalé au circuit 'bgg_scrape' (l'appel part vers FlareSolverr, pas vers un hôte géré)
  * @param {string} url - URL à scraper
  * @param {number} timeout - Timeout en ms
  * @param {object} extraOptions - Options FlareSolverr supplémentaires (waitInSeconds, etc.)
@@ -95,29 +82,35 @@ async function respectRateLimit() {
 async function fsrGet(url, timeout = 45000, extraOptions = {}) {
   log.debug(`🌐 FlareSolverr GET: ${url}`, extraOptions.waitInSeconds ? { waitInSeconds: extraOptions.waitInSeconds } : {});
   
-  const response = await fetchViaProxy(FSR_BASE, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      cmd: 'request.get',
-      url,
-      maxTimeout: timeout,
-      ...extraOptions
-    }),
-    signal: AbortSignal.timeout(timeout + (extraOptions.waitInSeconds || 0) * 1000 + 5000)
-  });
-  
-  if (!response.ok) {
-    throw new Error(`FlareSolverr HTTP error: ${response.status}`);
-  }
-  
-  const data = await response.json();
-  
-  if (data.status !== 'ok' || !data.solution) {
-    throw new Error(`FlareSolverr error: ${data.status} - ${data.message || 'pas de solution'}`);
+  try {
+    const response = await fetchViaProxy(FSR_BASE, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        cmd: 'request.get',
+        url,
+        maxTimeout: timeout,
+        ...extraOptions
+      }),
+      signal: AbortSignal.timeout(timeout + (extraOptions.waitInSeconds || 0) * 1000 + 5000)
+    });
+    
+    if (!response.ok) {
+      throw new Error(`FlareSolverr HTTP error: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    
+    if (data.status !== 'ok' || !data.solution) {
+      throw new Error(`FlareSolverr error: ${data.status} - ${data.message || 'pas de solution'}`);
+    }
+    
+    recordProviderSuccess('bgg_scrape');
+    return data.solution.response;
+  } catch (error) {
+    recordProviderFailure('bgg_scrape', error);
+    throw error;
   }
-  
-  return data.solution.response;
 }
 
 /**
@@ -202,7 +195,7 @@ export async function scrapeBGGSearch(query, options = {}) {
     log.debug(`🔄 Refresh forcé pour: ${query}`);
   }
   
-  await respectRateLimit();
+  await throttle('bgg_scrape');
   
   try {
     // URL de recherche BGG
@@ -358,7 +351,7 @@ export async function scrapeBGGDetails(bggId, options = {}) {
     log.debug(`🔄 Refresh forcé pour détails: ${bggId}`);
   }
   
-  await respectRateLimit();
+  await throttle('bgg_scrape');
   
   try {
     const url = `${BGG_BASE_URL}/boardgame/${bggId}`;
@@ -641,7 +634,7 @@ export async function scrapeBGGManuals(bggId, preferredLang = 'fr', options = {}
     log.debug(`🔄 Refresh forcé pour manuels: ${bggId}`);
   }
   
-  await respectRateLimit();
+  await throttle('bgg_scrape');
   
   try {
     const url = `${BGG_BASE_URL}/boardgame/${bggId}/files`;
@@ -22,15 +22,12 @@ const log = createLogger('BGG');
 const BGG_API_URL = 'https://boardgamegeek.com/xmlapi2';
 const BGG_BASE_URL = 'https://boardgamegeek.com';
 const BGG_DEFAULT_MAX = 20;
-const BGG_RATE_LIMIT_MS = 1000; // 1 seconde entre requêtes (BGG recommande 5s mais 1s suffit)
+// Rate limit : appliquée par fetchViaProxy (cf. PROVIDER_GUARDS.bgg dans config.js)
 
 // Token BGG pour les tests/healthcheck uniquement (variable d'env)
 // En production, le token est passé crypté via X-Encrypted-Key
 const TEST_BGG_TOKEN = process.env.TEST_BGG_TOKEN || null;
 
-// Dernière requête pour rate limiting
-let lastRequestTime = 0;
-
 // Mapping des codes langue pour la détection dans les fichiers BGG
 const LANGUAGE_PATTERNS = {
   'fr': ['french', 'français', 'francais', 'fr-fr', '_fr', '(fr)', '[fr]', 'vf'],
@@ -59,18 +56,6 @@ const RULES_KEYWORDS = [
 // UTILITAIRES
 // ============================================================================
 
-/**
- * Respecte le rate limit BGG
- */
-async function respectRateLimit() {
-  const now = Date.now();
-  const elapsed = now - lastRequestTime;
-  if (elapsed < BGG_RATE_LIMIT_MS) {
-    await new Promise(resolve => setTimeout(resolve, BGG_RATE_LIMIT_MS - elapsed));
-  }
-  lastRequestTime = Date.now();
-}
-
 /**
  * Parse XML simple (sans dépendance externe)
  * @param {string} xml - Contenu XML
@@ -177,7 +162,6 @@ export async function searchBGGGames(query, token = null, options = {}) {
   }
   
   const cacheKey = `bgg_search_${query}_${max}`;
-  await respectRateLimit();
   
   try {
     const url = `${BGG_API_URL}/search?query=${encodeURIComponent(query)}&type=boardgame`;
@@ -262,7 +246,6 @@ export async function getBGGGameDetails(bggId, token = null, options = {}) {
   }
   
   const cacheKey = `bgg_details_${bggId}_${lang}_${autoTrad}`;
-  await respectRateLimit();
   
   try {
     const url = `${BGG_API_URL}/thing?id=${bggId}&stats=1`;
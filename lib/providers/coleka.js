@@ -9,6 +9,7 @@
 
 import { metrics } from '../utils/state.js';
 import { createLogger } from '../utils/logger.js';
+import { withRetry } from '../utils/http-client.js';
 import {
   COLEKA_BASE_URL,
   COLEKA_DEFAULT_NBPP,
@@ -99,11 +100,7 @@ function deduplicateColekaImages(images) {
 export async function searchColeka(searchTerm, nbpp = COLEKA_DEFAULT_NBPP, lang = "fr", retries = MAX_RETRIES) {
   const cacheKey = `coleka:search:${searchTerm}:${nbpp}:${lang}`;
   
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt < retries) {
-    attempt++;
+  return withRetry(async (attempt) => {
     try {
       log.debug(`Tentative ${attempt}/${retries} pour recherche: "${searchTerm}"`);
       
@@ -237,15 +234,11 @@ export async function searchColeka(searchTerm, nbpp = COLEKA_DEFAULT_NBPP, lang
       return result;
 
     } catch (err) {
-      lastError = err;
       log.warn(`Erreur tentative ${attempt}: ${err.message}`);
       await cleanupFsrSession();
-      if (attempt >= retries) break;
-      await new Promise(r => setTimeout(r, 2000 * attempt));
+      throw err;
     }
-  }
-  
-  throw lastError || new Error("Échec après toutes les tentatives");
+  }, { attempts: retries });
 }
 
 // ============================================================================
@@ -272,11 +265,7 @@ export async function getColekaItemDetails(itemId, lang = "fr", retries = MAX_RE
   
   const cacheKey = `coleka:item:${itemUrl}`;
   
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt < retries) {
-    attempt++;
+  return withRetry(async (attempt) => {
     try {
       log.debug(`Tentative ${attempt}/${retries} pour item: "${itemId}"`);
       
@@ -490,15 +479,11 @@ export async function getColekaItemDetails(itemId, lang = "fr", retries = MAX_RE
       return item;
 
     } catch (err) {
-      lastError = err;
       log.warn(`Erreur tentative ${attempt}: ${err.message}`);
       await cleanupFsrSession();
-      if (attempt >= retries) break;
-      await new Promise(r => setTimeout(r, 2000 * attempt));
+      throw err;
     }
-  }
-  
-  throw lastError || new Error("Échec après toutes les tentatives");
+  }, { attempts: retries });
 }
 
 // ============================================================================
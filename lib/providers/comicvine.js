@@ -427,7 +427,7 @@ export async function getComicVineIssues(volumeId, apiKey, options = {}) {
 
     const result = {
       volumeId: parseInt(volumeId),
-      volume: issues.length > 0 ? issues[0].volume : null,
+      volume: data.results?.[0]?.volume?.name || null,
       issues,
       totalIssues: data.number_of_total_results || issues.length,
       returnedCount: issues.length,
@@ -450,11 +450,12 @@ export async function getComicVineIssues(volumeId, apiKey, options = {}) {
 /**
  * Recherche ComicVine avec résultats normalisés
  * @param {string} query - Requête de recherche
+ * @param {string} apiKey - Clé API Comic Vine (COMICVINE_API_KEY si null)
  * @param {object} options - Options de recherche
  * @returns {Promise<Array>} - Résultats normalisés
  */
-export async function searchComicVineNormalized(query, options = {}) {
-  const result = await searchComicVine(query, options);
+export async function searchComicVineNormalized(query, apiKey = null, options = {}) {
+  const result = await searchComicVine(query, apiKey, options);
   return (result.results || []).map(normalizeComicVineSearch);
 }
 
@@ -8,6 +8,7 @@
  */
 
 import { createLogger } from '../utils/logger.js';
+import { withRetry } from '../utils/http-client.js';
 import { translateText, extractLangCode } from '../utils/translator.js';
 import { decodeHtmlEntities } from '../utils/helpers.js';
 import {
@@ -45,13 +46,8 @@ const log = createLogger('ConsoleVariations');
  */
 export async function searchConsoleVariations(query, maxResults = CONSOLEVARIATIONS_DEFAULT_MAX, type = 'all', retries = MAX_RETRIES) {
   const cacheKey = `consolevariations:search:${query}:${maxResults}:${type}`;
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt < retries) {
-    attempt++;
+  return withRetry(async (attempt) => {
     log.debug(`Recherche "${query}" type=${type} (tentative ${attempt}/${retries})`);
-    
     try {
       await ensureFsrSession();
       const sessionId = getFsrSessionId();
@@ -138,15 +134,11 @@ export async function searchConsoleVariations(query, maxResults = CONSOLEVARIATI
       return result;
       
     } catch (err) {
-      lastError = err;
       log.error(`Erreur tentative ${attempt}: ${err.message}`);
       await cleanupFsrSession();
-      if (attempt >= retries) break;
-      await new Promise(r => setTimeout(r, 2000 * attempt));
+      throw err;
     }
-  }
-  
-  throw lastError || new Error("Échec après toutes les tentatives");
+  }, { attempts: retries });
 }
 
 // ============================================================================
@@ -166,13 +158,8 @@ export async function getConsoleVariationsItem(slug, retries = MAX_RETRIES, opti
   const shouldTranslate = autoTrad === true || autoTrad === 1 || autoTrad === '1';
   
   const cacheKey = `consolevariations:item:${slug}:${shouldTranslate ? 'trad' : 'notrad'}:${destLang || 'none'}`;
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt < retries) {
-    attempt++;
+  return withRetry(async (attempt) => {
     log.debug(`Détails item "${slug}" (tentative ${attempt}/${retries})`);
-    
     try {
       const sessionId = await ensureFsrSession();
       const itemUrl = `${CONSOLEVARIATIONS_BASE_URL}/collectibles/${slug}`;
@@ -296,15 +283,11 @@ export async function getConsoleVariationsItem(slug, retries = MAX_RETRIES, opti
       return result;
       
     } catch (err) {
-      lastError = err;
       log.error(`Erreur tentative ${attempt}: ${err.message}`);
       if (getFsrSessionId()) await destroyFsrSession();
-      if (attempt >= retries) break;
-      await new Promise(r => setTimeout(r, 2000 * attempt));
+      throw err;
     }
-  }
-  
-  throw lastError || new Error("Échec après toutes les tentatives");
+  }, { attempts: retries });
 }
 
 // ============================================================================
@@ -319,13 +302,8 @@ export async function getConsoleVariationsItem(slug, retries = MAX_RETRIES, opti
  */
 export async function listConsoleVariationsPlatforms(brand = null, retries = MAX_RETRIES) {
   const cacheKey = `consolevariations:platforms:${brand || 'all'}`;
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt < retries) {
-    attempt++;
+  return withRetry(async (attempt) => {
     log.debug(`Liste plateformes${brand ? ` (${brand})` : ''} (tentative ${attempt}/${retries})`);
-    
     try {
       const sessionId = await ensureFsrSession();
       const url = brand 
@@ -378,15 +356,11 @@ export async function listConsoleVariationsPlatforms(brand = null, retries = MAX
       return result;
       
     } catch (err) {
-      lastError = err;
       log.error(`Erreur tentative ${attempt}: ${err.message}`);
       if (getFsrSessionId()) await destroyFsrSession();
-      if (attempt >= retries) break;
-      await new Promise(r => setTimeout(r, 2000 * attempt));
+      throw err;
     }
-  }
-  
-  throw lastError || new Error("Échec après toutes les tentatives");
+  }, { attempts: retries });
 }
 
 /**
@@ -398,13 +372,8 @@ export async function listConsoleVariationsPlatforms(brand = null, retries = MAX
  */
 export async function browseConsoleVariationsPlatform(platformSlug, maxResults = CONSOLEVARIATIONS_DEFAULT_MAX, retries = MAX_RETRIES) {
   const cacheKey = `consolevariations:browse:${platformSlug}:${maxResults}`;
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt < retries) {
-    attempt++;
+  return withRetry(async (attempt) => {
     log.debug(`Browse plateforme "${platformSlug}" (tentative ${attempt}/${retries})`);
-    
     try {
       const sessionId = await ensureFsrSession();
       const url = `${CONSOLEVARIATIONS_BASE_URL}/database/${platformSlug}`;
@@ -472,15 +441,11 @@ export async function browseConsoleVariationsPlatform(platformSlug, maxResults =
       return result;
       
     } catch (err) {
-      lastError = err;
       log.error(`Erreur tentative ${attempt}: ${err.message}`);
       if (getFsrSessionId()) await destroyFsrSession();
-      if (attempt >= retries) break;
-      await new Promise(r => setTimeout(r, 2000 * attempt));
+      throw err;
     }
-  }
-  
-  throw lastError || new Error("Échec après toutes les tentatives");
+  }, { attempts: retries });
 }
 
 // ============================================================================
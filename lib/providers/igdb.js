@@ -33,10 +33,8 @@ const log = createLogger('IGDB');
 // CACHE GLOBAL POUR TOKENS IGDB
 // ============================================================================
 
-const igdbTokenCache = {
-  token: null,
-  expiresAt: 0
-};
+// Un token par client ID (clés clients, clé serveur du coffre)
+const igdbTokenCache = new Map();
 
 // ============================================================================
 // FONCTIONS UTILITAIRES
@@ -256,12 +254,15 @@ function harmonizeIgdbGame(rawData) {
  * Obtient un token d'accès IGDB via OAuth2
  * @param {string} clientId - Client ID Twitch
  * @param {string} clientSecret - Client Secret Twitch
+ * @param {object} [options]
+ * @param {boolean} [options.forceRefresh=false] - Ignorer le token en cache (test de la clé)
  * @returns {Promise<string>} - Token d'accès
  */
-export async function getIgdbToken(clientId, clientSecret) {
-  if (igdbTokenCache.token && Date.now() < igdbTokenCache.expiresAt) {
+export async function getIgdbToken(clientId, clientSecret, { forceRefresh = false } = {}) {
+  const cached = igdbTokenCache.get(clientId);
+  if (!forceRefresh && cached && Date.now() < cached.expiresAt) {
     log.debug(` Utilisation du token en cache`);
-    return igdbTokenCache.token;
+    return cached.token;
   }
   
   log.debug(` Obtention d'un nouveau token OAuth2...`);
@@ -281,8 +282,10 @@ export async function getIgdbToken(clientId, clientSecret) {
     
     const data = await response.json();
     
-    igdbTokenCache.token = data.access_token;
-    igdbTokenCache.expiresAt = Date.now() + ((data.expires_in - 3600) * 1000);
+    igdbTokenCache.set(clientId, {
+      token: data.access_token,
+      expiresAt: Date.now() + ((data.expires_in - 3600) * 1000)
+    });
     
     log.debug(` ✅ Token obtenu, expire dans ${Math.floor(data.expires_in / 3600)}h`);
     return data.access_token;
@@ -611,7 +614,9 @@ export async function getIgdbGameDetails(gameId, clientId, accessToken, options
  * @returns {Promise<Object>} Résultat normalisé
  */
 export async function searchIgdbNormalized(query, twitchCredentials, options = {}) {
-  const rawResult = await searchIgdb(query, twitchCredentials, options);
+  const { clientId, clientSecret } = parseIgdbCredentials(twitchCredentials);
+  const accessToken = await getIgdbToken(clientId, clientSecret);
+  const rawResult = await searchIgdb(query, clientId, accessToken, options);
   return normalizeIgdbSearch(rawResult);
 }
 
@@ -26,36 +26,6 @@ import {
 
 const log = createLogger('IMDB');
 
-// Fonction utilitaire pour retry avec délai exponentiel
-async function fetchWithRetry(url, options = {}, maxRetries = 3) {
-  let lastError;
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const response = await fetchViaProxy(url, options);
-      
-      // Si rate limited (429), attendre et réessayer
-      if (response.status === 429) {
-        if (attempt < maxRetries) {
-          const delay = Math.pow(2, attempt) * 1000; // 2s, 4s, 8s
-          log.warn(`Rate limited (429), tentative ${attempt}/${maxRetries}, attente ${delay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          continue;
-        }
-      }
-      
-      return response;
-    } catch (err) {
-      lastError = err;
-      if (attempt < maxRetries) {
-        const delay = Math.pow(2, attempt) * 1000;
-        log.warn(`Erreur réseau, tentative ${attempt}/${maxRetries}, attente ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
-  }
-  throw lastError || new Error('Max retries exceeded');
-}
-
 // ============================================================================
 // RECHERCHE
 // ============================================================================
@@ -86,7 +56,7 @@ export async function searchImdb(query, options = {}) {
     
     const url = `${IMDB_BASE_URL}/search/titles?${params.toString()}`;
     
-    const response = await fetchWithRetry(url, {
+    const response = await fetchViaProxy(url, {
       method: 'GET',
       headers: { 'Accept': 'application/json' }
     });
@@ -156,7 +126,7 @@ async function fetchSeriesInfo(titleId) {
     while (emptySeasons < maxEmptySeasons && currentSeason <= 50) { // Max 50 saisons par sécurité
       const url = `${IMDB_BASE_URL}/titles/${titleId}/episodes?season=${currentSeason}`;
       
-      const response = await fetchWithRetry(url, {
+      const response = await fetchViaProxy(url, {
         method: 'GET',
         headers: { 'Accept': 'application/json' },
         signal: AbortSignal.timeout(5000)
@@ -227,7 +197,7 @@ export async function getImdbTitleById(titleId, options = {}) {
   try {
     const url = `${IMDB_BASE_URL}/titles/${titleId}`;
     
-    const response = await fetchWithRetry(url, {
+    const response = await fetchViaProxy(url, {
       method: 'GET',
       headers: { 'Accept': 'application/json' }
     });
@@ -420,7 +390,7 @@ export async function browseImdbTitles(options = {}) {
     
     const url = `${IMDB_BASE_URL}/titles?${params.toString()}`;
     
-    const response = await fetchWithRetry(url, {
+    const response = await fetchViaProxy(url, {
       method: 'GET',
       headers: { 'Accept': 'application/json' }
     });
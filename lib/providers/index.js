@@ -77,7 +77,12 @@ export {
   legoIdToRebrickable,
   rebrickableIdToLego,
   isSetNumber,
-  setLegoFunctions
+  setLegoFunctions,
+  getRebrickableSetInventory,
+  getBuildableSets,
+  diffRebrickableSets,
+  getRebrickableMinifigParts,
+  exportPartList
 } from './rebrickable.js';
 
 // ============================================================================
@@ -246,6 +251,8 @@ export {
   searchBookByIsbn,
   tryIdentifyVideoGame,
   tryIdentifyMusic,
+  detectConstructToyBrand,
+  tryIdentifyConstructToy,
   searchMusicByBarcode,
   searchByBarcode
 } from './barcode.js';
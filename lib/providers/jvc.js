@@ -12,18 +12,13 @@ import {
 
 import { createLogger } from '../utils/logger.js';
 import { decodeHtmlEntities } from '../utils/helpers.js';
-import { fetchViaProxy } from '../utils/fetch-proxy.js';
+import { fetchPage } from '../utils/http-client.js';
 
 import {
   JVC_BASE_URL,
-  JVC_DEFAULT_MAX,
-  FSR_BASE
+  JVC_DEFAULT_MAX
 } from '../config.js';
 
-import {
-  getFsrSessionId
-} from '../utils/flaresolverr.js';
-
 import {
   normalizeJvcSearch,
   normalizeJvcGameDetail
@@ -114,26 +109,9 @@ export async function searchJVC(query, options = {}) {
     
     // URL de recherche JVC avec m=9 pour filtrer uniquement les jeux
     const searchUrl = `${JVC_BASE_URL}/rechercher.php?m=9&q=${encodeURIComponent(query)}`;
-    const fsrSessionId = getFsrSessionId();
     
-    const response = await fetchViaProxy(FSR_BASE, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        cmd: "request.get",
-        url: searchUrl,
-        maxTimeout: 30000,
-        session: fsrSessionId
-      })
-    });
-
-    const data = await response.json();
-    
-    if (data.status !== "ok") {
-      throw new Error(`FlareSolverr error: ${data.message || 'Unknown error'}`);
-    }
-
-    const html = data.solution?.response || "";
+    // FlareSolverr puis Puppeteer (politique d'escalade jvc)
+    const { html } = await fetchPage(searchUrl, { timeout: 30000 });
     
     // Parser les résultats de recherche (nouvelle structure 2024)
     const results = [];
@@ -217,26 +195,9 @@ export async function getJVCGameById(gameId) {
     log.debug(` Récupération jeu: ${gameId}`);
     
     const gameUrl = `${JVC_BASE_URL}/jeux/jeu-${gameId}/`;
-    const fsrSessionId = getFsrSessionId();
-    
-    const response = await fetchViaProxy(FSR_BASE, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        cmd: "request.get",
-        url: gameUrl,
-        maxTimeout: 30000,
-        session: fsrSessionId
-      })
-    });
-
-    const data = await response.json();
     
-    if (data.status !== "ok") {
-      throw new Error(`FlareSolverr error: ${data.message || 'Unknown error'}`);
-    }
-
-    const html = data.solution?.response || "";
+    // FlareSolverr puis Puppeteer (politique d'escalade jvc)
+    const { html } = await fetchPage(gameUrl, { timeout: 30000 });
     
     // Extraire le titre
     const titleMatch = html.match(/gameHeaderBanner__title[^>]*>([^<]+)/i);
@@ -465,7 +426,7 @@ export async function getJVCGameById(gameId) {
  * @returns {Promise<Object>} Résultat normalisé
  */
 export async function searchJvcNormalized(query, options = {}) {
-  const rawResult = await searchJvc(query, options);
+  const rawResult = await searchJVC(query, options);
   return normalizeJvcSearch(rawResult);
 }
 
@@ -12,6 +12,7 @@
 import { createLogger } from '../utils/logger.js';
 import { decodeHtmlEntities } from '../utils/helpers.js';
 import { fetchViaProxy } from '../utils/fetch-proxy.js';
+import { withRetry } from '../utils/http-client.js';
 import {
   KLICKYPEDIA_BASE_URL,
   KLICKYPEDIA_DEFAULT_MAX,
@@ -83,13 +84,6 @@ function extractSlug(url) {
   return match ? match[1] : null;
 }
 
-/**
- * Délai entre les requêtes (respecter le site)
- */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Vérifie si les instructions de montage Playmobil existent pour un set
  * @param {string} productId - ID du set (ex: "70287")
@@ -146,7 +140,7 @@ export async function searchKlickypedia(searchTerm, lang = KLICKYPEDIA_DEFAULT_L
   
   const url = `${KLICKYPEDIA_BASE_URL}/?s=${encodeURIComponent(searchTerm)}&elang=${normalizedLang}`;
   
-  for (let attempt = 1; attempt <= retries; attempt++) {
+  return withRetry(async (attempt) => {
     try {
       const response = await fetchViaProxy(url, {
         headers: {
@@ -176,14 +170,12 @@ export async function searchKlickypedia(searchTerm, lang = KLICKYPEDIA_DEFAULT_L
       
     } catch (error) {
       log.warn(`Tentative ${attempt}/${retries} échouée: ${error.message}`);
-      if (attempt < retries) {
-        await delay(1000 * attempt);
-      } else {
-        log.error(`❌ Échec recherche Klickypedia après ${retries} tentatives`);
-        throw error;
+      if (attempt >= retries) {
+          log.error(`❌ Échec recherche Klickypedia après ${retries} tentatives`);
       }
+      throw error;
     }
-  }
+  }, { attempts: retries });
 }
 
 /**
@@ -277,7 +269,7 @@ export async function getKlickypediaProductDetails(productId, lang = KLICKYPEDIA
   // Récupérer la page de détails
   const productUrl = `${product.url}?elang=${normalizedLang}`;
   
-  for (let attempt = 1; attempt <= retries; attempt++) {
+  return withRetry(async (attempt) => {
     try {
       const response = await fetchViaProxy(productUrl, {
         headers: {
@@ -317,14 +309,12 @@ export async function getKlickypediaProductDetails(productId, lang = KLICKYPEDIA
       
     } catch (error) {
       log.warn(`Tentative ${attempt}/${retries} échouée: ${error.message}`);
-      if (attempt < retries) {
-        await delay(1000 * attempt);
-      } else {
-        log.error(`❌ Échec récupération détails Klickypedia après ${retries} tentatives`);
-        throw error;
+      if (attempt >= retries) {
+          log.error(`❌ Échec récupération détails Klickypedia après ${retries} tentatives`);
       }
+      throw error;
     }
-  }
+  }, { attempts: retries });
 }
 
 /**
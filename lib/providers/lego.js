@@ -9,6 +9,7 @@
 
 import { metrics } from '../utils/state.js';
 import { createLogger } from '../utils/logger.js';
+import { withRetry } from '../utils/http-client.js';
 import { 
   fsrRequest, 
   createFsrSession, 
@@ -188,11 +189,7 @@ export function extractLegoProductId(id) {
 export async function callLegoGraphql(searchTerm, lang = DEFAULT_LOCALE, retries = MAX_RETRIES, perPage = 24) {
   const cacheKey = `lego:search:${searchTerm}:${lang}:${perPage}`;
   
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt < retries) {
-    attempt++;
+  return withRetry(async (attempt) => {
     try {
       log.debug(`Tentative ${attempt}/${retries} pour recherche: "${searchTerm}"`);
       
@@ -477,21 +474,18 @@ export async function callLegoGraphql(searchTerm, lang = DEFAULT_LOCALE, retries
       return result;
 
     } catch (err) {
-      lastError = err;
       log.warn(`Erreur tentative ${attempt}: ${err.message}`);
       
       if (getFsrSessionId()) {
         await destroyFsrSession();
       }
-      
-      if (attempt >= retries) break;
-      await new Promise(r => setTimeout(r, 2000 * attempt));
+      if (attempt >= retries) {
+        metrics.sources.lego = metrics.sources.lego || { requests: 0, errors: 0 };
+        metrics.sources.lego.errors++;
+      }
+      throw err;
     }
-  }
-  
-  metrics.sources.lego = metrics.sources.lego || { requests: 0, errors: 0 };
-  metrics.sources.lego.errors++;
-  throw lastError || new Error("Échec après toutes les tentatives");
+  }, { attempts: retries });
 }
 
 /**
@@ -504,11 +498,7 @@ export async function callLegoGraphql(searchTerm, lang = DEFAULT_LOCALE, retries
 export async function getProductDetails(productId, lang = DEFAULT_LOCALE, retries = MAX_RETRIES) {
   const cacheKey = `lego:product:${productId}:${lang}`;
   
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt < retries) {
-    attempt++;
+  return withRetry(async (attempt) => {
     try {
       log.debug(`Tentative ${attempt}/${retries} pour produit: "${productId}"`);
       
@@ -933,21 +923,18 @@ export async function getProductDetails(productId, lang = DEFAULT_LOCALE, retrie
       return product;
 
     } catch (err) {
-      lastError = err;
       log.warn(`Erreur tentative ${attempt}: ${err.message}`);
       
       if (getFsrSessionId()) {
         await destroyFsrSession();
       }
-      
-      if (attempt >= retries) break;
-      await new Promise(r => setTimeout(r, 2000 * attempt));
+      if (attempt >= retries) {
+        metrics.sources.lego = metrics.sources.lego || { requests: 0, errors: 0 };
+        metrics.sources.lego.errors++;
+      }
+      throw err;
     }
-  }
-  
-  metrics.sources.lego = metrics.sources.lego || { requests: 0, errors: 0 };
-  metrics.sources.lego.errors++;
-  throw lastError || new Error("Échec après toutes les tentatives");
+  }, { attempts: retries });
 }
 
 /**
@@ -958,11 +945,7 @@ export async function getProductDetails(productId, lang = DEFAULT_LOCALE, retrie
  * @returns {Promise<object>} - Manuels d'instructions
  */
 export async function getBuildingInstructions(productId, lang = DEFAULT_LOCALE, retries = MAX_RETRIES) {
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt < retries) {
-    attempt++;
+  return withRetry(async (attempt) => {
     try {
       log.debug(`Tentative ${attempt}/${retries} pour instructions: "${productId}"`);
       
@@ -1214,21 +1197,18 @@ export async function getBuildingInstructions(productId, lang = DEFAULT_LOCALE,
       return instructions;
 
     } catch (err) {
-      lastError = err;
       log.warn(`Erreur tentative ${attempt}: ${err.message}`);
       
       if (getFsrSessionId()) {
         await destroyFsrSession();
       }
-      
-      if (attempt >= retries) break;
-      await new Promise(r => setTimeout(r, 2000 * attempt));
+      if (attempt >= retries) {
+        metrics.sources.lego = metrics.sources.lego || { requests: 0, errors: 0 };
+        metrics.sources.lego.errors++;
+      }
+      throw err;
     }
-  }
-  
-  metrics.sources.lego = metrics.sources.lego || { requests: 0, errors: 0 };
-  metrics.sources.lego.errors++;
-  throw lastError || new Error("Échec après toutes les tentatives");
+  }, { attempts: retries });
 }
 
 // Exports Configuration
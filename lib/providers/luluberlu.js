@@ -9,6 +9,7 @@
 
 import { metrics } from '../utils/state.js';
 import { createLogger } from '../utils/logger.js';
+import { withRetry } from '../utils/http-client.js';
 import { decodeHtmlEntities } from '../utils/helpers.js';
 import {
   LULUBERLU_BASE_URL,
@@ -46,11 +47,7 @@ const log = createLogger('LuluBerlu');
 export async function searchLuluBerlu(searchTerm, maxResults = LULUBERLU_DEFAULT_MAX, retries = MAX_RETRIES) {
   const cacheKey = `luluberlu:search:${searchTerm}:${maxResults}`;
   
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt < retries) {
-    attempt++;
+  return withRetry(async (attempt) => {
     try {
       log.debug(`Tentative ${attempt}/${retries} pour recherche: "${searchTerm}"`);
       
@@ -167,15 +164,11 @@ export async function searchLuluBerlu(searchTerm, maxResults = LULUBERLU_DEFAULT
       return result;
 
     } catch (err) {
-      lastError = err;
       log.warn(`Erreur tentative ${attempt}: ${err.message}`);
       await cleanupFsrSession();
-      if (attempt >= retries) break;
-      await new Promise(r => setTimeout(r, 2000 * attempt));
+      throw err;
     }
-  }
-  
-  throw lastError || new Error("Échec après toutes les tentatives");
+  }, { attempts: retries });
 }
 
 // ============================================================================
@@ -191,11 +184,7 @@ export async function searchLuluBerlu(searchTerm, maxResults = LULUBERLU_DEFAULT
 export async function getLuluBerluItemDetails(itemId, retries = MAX_RETRIES) {
   const cacheKey = `luluberlu:item:${itemId}`;
   
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt < retries) {
-    attempt++;
+  return withRetry(async (attempt) => {
     try {
       log.debug(`Tentative ${attempt}/${retries} pour item: "${itemId}"`);
       
@@ -393,15 +382,11 @@ export async function getLuluBerluItemDetails(itemId, retries = MAX_RETRIES) {
       return item;
 
     } catch (err) {
-      lastError = err;
       log.warn(`Erreur tentative ${attempt}: ${err.message}`);
       if (getFsrSessionId()) await destroyFsrSession();
-      if (attempt >= retries) break;
-      await new Promise(r => setTimeout(r, 2000 * attempt));
+      throw err;
     }
-  }
-  
-  throw lastError || new Error("Échec après toutes les tentatives");
+  }, { attempts: retries });
 }
 
 // ============================================================================
@@ -73,14 +73,15 @@ export async function searchMangaDexByAuthor(author, options = {}) {
     log.debug(`Auteur trouvé: ${authorName} (${authorId})`);
     
     // Étape 2: Rechercher les mangas de cet auteur
-    const mangaParams = new URLSearchParams({
-      'authors[]': authorId,
-      limit: max.toString(),
-      'includes[]': 'author',
-      'includes[]': 'artist',
-      'includes[]': 'cover_art',
-      'order[relevance]': 'desc'
-    });
+    // Paramètres répétés (includes[]) : tableau de paires
+    const mangaParams = new URLSearchParams([
+      ['authors[]', authorId],
+      ['limit', max.toString()],
+      ['includes[]', 'author'],
+      ['includes[]', 'artist'],
+      ['includes[]', 'cover_art'],
+      ['order[relevance]', 'desc']
+    ]);
     
     if (lang) {
       mangaParams.append('availableTranslatedLanguage[]', lang);
@@ -118,12 +119,18 @@ export async function searchMangaDexByAuthor(author, options = {}) {
 
       const genreNames = tags.filter(t => t.group === 'genre').map(t => t.name);
 
+      // Rôles de l'auteur recherché (relation author = scénario, artist = dessin)
+      const roles = [...new Set((item.relationships || [])
+        .filter(r => r.id === authorId && (r.type === 'author' || r.type === 'artist'))
+        .map(r => (r.type === 'author' ? 'writer' : 'artist')))];
+
       return {
         id: item.id,
         type: 'manga',
         title: title,
         originalTitle: titleObj.ja || titleObj['ja-ro'] || null,
         authors: authors.map(a => a.attributes?.name || 'Unknown'),
+        roles,
         editors: [],
         releaseDate: attrs.year ? `${attrs.year}` : null,
         genres: genreNames,
@@ -144,6 +151,8 @@ export async function searchMangaDexByAuthor(author, options = {}) {
     return {
       query: author,
       type: 'author',
+      author: authorName,
+      authorId,
       totalResults: mangaData.total || results.length,
       resultsCount: results.length,
       manga: results,
@@ -502,6 +511,54 @@ export async function getMangaDexAggregate(mangaId, options = {}) {
   }
 }
 
+// ============================================================================
+// COUVERTURES PAR VOLUME
+// ============================================================================
+
+/**
+ * Récupère les couvertures de chaque volume d'un manga MangaDex
+ * Une couverture par volume : édition japonaise en priorité
+ * @param {string} mangaId - ID UUID du manga
+ * @returns {Promise<object>} - { mangaId, covers: [{ volume, locale, image }] }
+ */
+export async function getMangaDexVolumeCovers(mangaId) {
+  metrics.sources.mangadex.requests++;
+
+  try {
+    const params = new URLSearchParams({ 'manga[]': mangaId, limit: '100', 'order[volume]': 'asc' });
+    const response = await fetchViaProxy(`${MANGADEX_BASE_URL}/cover?${params.toString()}`, {
+      headers: {
+        'User-Agent': USER_AGENT
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`MangaDex API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const byVolume = new Map();
+    for (const cover of data.data || []) {
+      const { volume, locale, fileName } = cover.attributes || {};
+      if (!volume || !fileName) continue;
+      if (byVolume.has(volume) && locale !== 'ja') continue;
+      byVolume.set(volume, {
+        volume,
+        locale: locale || null,
+        image: `${MANGADEX_COVERS_URL}/${mangaId}/${fileName}.512.jpg`
+      });
+    }
+
+    const covers = [...byVolume.values()];
+    log.debug(`✅ ${covers.length} couvertures de volumes récupérées`);
+    return { mangaId, covers, source: 'mangadex' };
+
+  } catch (err) {
+    metrics.sources.mangadex.errors++;
+    throw err;
+  }
+}
+
 // ============================================================================
 // FONCTIONS NORMALISÉES
 // ============================================================================
@@ -514,8 +571,15 @@ export async function getMangaDexAggregate(mangaId, options = {}) {
  */
 export async function getMangaDexByIdNormalized(mangaId, options = {}) {
   const raw = await getMangaDexById(mangaId, options);
-  if (!raw) return null;
-  
+  return raw ? normalizeMangaDexManga(raw) : null;
+}
+
+/**
+ * Normalise un manga MangaDex (getMangaDexById) au format MANGA_SCHEMA
+ * @param {object} raw - Manga brut
+ * @returns {object}
+ */
+export function normalizeMangaDexManga(raw) {
   return {
     type: 'manga',
     source: 'mangadex',
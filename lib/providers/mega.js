@@ -25,6 +25,7 @@ import {
   USER_AGENT
 } from '../config.js';
 import { getFsrSessionId } from '../utils/flaresolverr.js';
+import { throttle } from '../utils/provider-guard.js';
 import { normalizeMegaSearch, normalizeMegaDetail } from '../normalizers/construct-toy.js';
 
 const log = createLogger('MEGA');
@@ -59,9 +60,11 @@ async function fetchLocalizedNamesFromCategory(category, langCode) {
   const url = `https://shopping.mattel.com/${locale}/blogs/mega-building-instructions/tagged/${locale}-category-${category}`;
   
   try {
-    const response = await fetch(url, {
+    await throttle('mega');
+    const response = await fetchViaProxy(url, {
       headers: { 'User-Agent': USER_AGENT },
-      signal: AbortSignal.timeout(10000)
+      timeout: 10000,
+      source: 'mega'
     });
     
     if (!response.ok) return new Map();
@@ -180,11 +183,13 @@ export async function searchMega(query, options = {}) {
     
     const url = `${apiUrl}?siteId=${siteId}&q=${encodeURIComponent(query)}&resultsFormat=native&resultsPerPage=${max * 3}`;
     
-    const response = await fetch(url, {
+    await throttle('mega');
+    const response = await fetchViaProxy(url, {
       headers: {
         'Accept': 'application/json',
         'User-Agent': USER_AGENT
-      }
+      },
+      source: 'mega'
     });
 
     if (!response.ok) {
@@ -308,11 +313,13 @@ export async function getMegaProductById(productId, options = {}) {
     // Toujours utiliser l'API US sans filtre de langue
     const url = `${apiUrl}?siteId=${siteId}&q=${encodeURIComponent(productId)}&resultsFormat=native&resultsPerPage=10`;
     
-    const response = await fetch(url, {
+    await throttle('mega');
+    const response = await fetchViaProxy(url, {
       headers: {
         'Accept': 'application/json',
         'User-Agent': USER_AGENT
-      }
+      },
+      source: 'mega'
     });
 
     if (!response.ok) {
@@ -194,6 +194,7 @@ export async function searchOpenLibraryByAuthor(author, options = {}) {
         isbn: isbn,
         price: null,
         key: olKey,
+        authorKeys: doc.author_key || [],
         url: olId ? `https://openlibrary.org/works/${olId}` : null,
         src_url: olId ? `https://openlibrary.org/works/${olId}` : null,
         source: "openlibrary"
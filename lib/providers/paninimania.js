@@ -8,6 +8,7 @@
  */
 
 import { createLogger } from '../utils/logger.js';
+import { withRetry } from '../utils/http-client.js';
 import { decodeHtmlEntities } from '../utils/helpers.js';
 import {
   PANINIMANIA_BASE_URL,
@@ -133,11 +134,7 @@ export async function searchPaninimania(term, maxResults = PANINIMANIA_DEFAULT_M
   
   const cacheKey = `paninimania:search:${formattedTerm}:${maxResults}`;
   
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt < retries) {
-    attempt++;
+  return withRetry(async (attempt) => {
     try {
       log.debug(`Tentative ${attempt}/${retries} pour recherche: "${term}" -> "${formattedTerm}"`);
       
@@ -234,15 +231,11 @@ export async function searchPaninimania(term, maxResults = PANINIMANIA_DEFAULT_M
       return result;
       
     } catch (err) {
-      lastError = err;
       log.error(`Erreur tentative ${attempt}: ${err.message}`);
       await cleanupFsrSession();
-      if (attempt >= retries) break;
-      await new Promise(r => setTimeout(r, 2000 * attempt));
+      throw err;
     }
-  }
-  
-  throw lastError || new Error("Échec après toutes les tentatives");
+  }, { attempts: retries });
 }
 
 // ============================================================================
@@ -268,11 +261,7 @@ export async function getPaninimanialbumDetails(albumId, retries = MAX_RETRIES)
   // Vérifier le cache
   const cacheKey = `paninimania:album:${id}`;
   
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt < retries) {
-    attempt++;
+  return withRetry(async (attempt) => {
     try {
       const albumUrl = `${PANINIMANIA_BASE_URL}/?pag=cid508_alb&idf=15&idm=${id}`;
       log.debug(`Tentative ${attempt}/${retries} pour album: ${id}`);
@@ -580,15 +569,11 @@ export async function getPaninimanialbumDetails(albumId, retries = MAX_RETRIES)
       return result;
       
     } catch (err) {
-      lastError = err;
       log.error(`Erreur tentative ${attempt}: ${err.message}`);
       await cleanupFsrSession();
-      if (attempt >= retries) break;
-      await new Promise(r => setTimeout(r, 2000 * attempt));
+      throw err;
     }
-  }
-  
-  throw lastError || new Error("Échec après toutes les tentatives");
+  }, { attempts: retries });
 }
 
 // ============================================================================
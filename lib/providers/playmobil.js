@@ -9,6 +9,7 @@
 
 import { metrics } from '../utils/state.js';
 import { createLogger } from '../utils/logger.js';
+import { withRetry } from '../utils/http-client.js';
 import { decodeHtmlEntities } from '../utils/helpers.js';
 import { DEFAULT_LOCALE, MAX_RETRIES } from '../config.js';
 import { normalizePlaymobilSearch, normalizePlaymobilDetail } from '../normalizers/construct-toy.js';
@@ -175,11 +176,7 @@ export async function searchPlaymobil(searchTerm, lang = DEFAULT_LOCALE, retries
   metrics.sources.playmobil = metrics.sources.playmobil || { requests: 0, errors: 0 };
   metrics.sources.playmobil.requests++;
   
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt < retries) {
-    attempt++;
+  return withRetry(async (attempt) => {
     try {
       log.debug(`Tentative ${attempt}/${retries} pour recherche: "${searchTerm}" (locale: ${locale})`);
       
@@ -300,16 +297,13 @@ export async function searchPlaymobil(searchTerm, lang = DEFAULT_LOCALE, retries
       return result;
       
     } catch (err) {
-      lastError = err;
       log.error(`Erreur tentative ${attempt}: ${err.message}`);
-      
-      if (attempt >= retries) break;
-      await new Promise(r => setTimeout(r, 2000 * attempt));
+      if (attempt >= retries) {
+        metrics.sources.playmobil.errors++;
+      }
+      throw err;
     }
-  }
-  
-  metrics.sources.playmobil.errors++;
-  throw lastError || new Error(`Échec recherche Playmobil après ${retries} tentatives`);
+  }, { attempts: retries });
 }
 
 // ========================================
@@ -334,11 +328,7 @@ export async function getPlaymobilProductDetails(productId, lang = DEFAULT_LOCAL
   metrics.sources.playmobil = metrics.sources.playmobil || { requests: 0, errors: 0 };
   metrics.sources.playmobil.requests++;
   
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt < retries) {
-    attempt++;
+  return withRetry(async (attempt) => {
     try {
       log.debug(`Tentative ${attempt}/${retries} pour produit: ${cleanId} (locale: ${locale})`);
       
@@ -512,16 +502,13 @@ export async function getPlaymobilProductDetails(productId, lang = DEFAULT_LOCAL
       return result;
       
     } catch (err) {
-      lastError = err;
       log.error(`Erreur tentative ${attempt}: ${err.message}`);
-      
-      if (attempt >= retries) break;
-      await new Promise(r => setTimeout(r, 2000 * attempt));
+      if (attempt >= retries) {
+        metrics.sources.playmobil.errors++;
+      }
+      throw err;
     }
-  }
-  
-  metrics.sources.playmobil.errors++;
-  throw lastError || new Error(`Échec récupération produit Playmobil ${cleanId} après ${retries} tentatives`);
+  }, { attempts: retries });
 }
 
 // ========================================
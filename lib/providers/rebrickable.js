@@ -6,10 +6,16 @@
  * @module providers/rebrickable
  */
 
-import { metrics } from '../utils/state.js';
+import { metrics, getCached, setCache } from '../utils/state.js';
 import { createLogger } from '../utils/logger.js';
 import { translateText, extractLangCode } from '../utils/translator.js';
-import { REBRICKABLE_BASE_URL, REBRICKABLE_DEFAULT_MAX, DEFAULT_LOCALE } from '../config.js';
+import {
+  REBRICKABLE_BASE_URL,
+  REBRICKABLE_DEFAULT_MAX,
+  REBRICKABLE_BUILDABLE_MAX_SETS,
+  REBRICKABLE_INVENTORY_TTL,
+  DEFAULT_LOCALE
+} from '../config.js';
 import { normalizeRebrickableSearch, normalizeRebrickableDetail } from '../normalizers/construct-toy.js';
 import { fetchViaProxy } from '../utils/fetch-proxy.js';
 
@@ -162,6 +168,28 @@ export async function getRebrickableSet(setNum, apiKey) {
   }
 }
 
+/**
+ * Ligne d'inventaire de set (réponse /lego/sets/{set_num}/parts/)
+ */
+function mapSetPart(p) {
+  return {
+    part_num: p.part?.part_num,
+    name: p.part?.name,
+    part_cat_id: p.part?.part_cat_id,
+    part_url: p.part?.part_url,
+    part_img_url: p.part?.part_img_url,
+    color_id: p.color?.id,
+    color_name: p.color?.name,
+    color_rgb: p.color?.rgb,
+    quantity: p.quantity,
+    is_spare: p.is_spare,
+    element_id: p.element_id,
+    // Renseignés avec inc_part_details=1 (inventaires complets)
+    bricklink_id: p.part?.external_ids?.BrickLink?.[0] || null,
+    ldraw_id: p.part?.external_ids?.LDraw?.[0] || null
+  };
+}
+
 /**
  * Récupère les pièces d'un set LEGO
  * @param {string} setNum - Numéro du set
@@ -187,19 +215,7 @@ export async function getRebrickableSetParts(setNum, apiKey, maxParts = 500) {
     const result = {
       set_num: setNum,
       count: data.count || 0,
-      parts: (data.results || []).map(p => ({
-        part_num: p.part?.part_num,
-        name: p.part?.name,
-        part_cat_id: p.part?.part_cat_id,
-        part_url: p.part?.part_url,
-        part_img_url: p.part?.part_img_url,
-        color_id: p.color?.id,
-        color_name: p.color?.name,
-        color_rgb: p.color?.rgb,
-        quantity: p.quantity,
-        is_spare: p.is_spare,
-        element_id: p.element_id
-      })),
+      parts: (data.results || []).map(mapSetPart),
       source: "rebrickable"
     };
     
@@ -311,7 +327,9 @@ export async function getRebrickableColors(apiKey) {
         id: c.id,
         name: c.name,
         rgb: c.rgb,
-        is_trans: c.is_trans
+        is_trans: c.is_trans,
+        bricklink_ids: c.external_ids?.BrickLink?.ext_ids || [],
+        ldraw_ids: c.external_ids?.LDraw?.ext_ids || []
       })),
       source: "rebrickable"
     };
@@ -616,6 +634,599 @@ export async function smartRebrickableSearch(query, apiKey, options = {}) {
   }
 }
 
+// ========================================
+// Inventaires de pièces (sets constructibles, comparaison)
+// ========================================
+
+// En-têtes CSV reconnus (exports Rebrickable et BrickLink / BrickStore)
+const CSV_COLUMNS = {
+  part_num: ['part', 'part_num', 'part num', 'item no', 'item_no', 'itemid', 'item id'],
+  color_id: ['color', 'color_id', 'color id', 'colorid'],
+  quantity: ['quantity', 'qty', 'minqty']
+};
+
+/**
+ * Erreur d'inventaire invalide (400 via errorHandler)
+ */
+function inventoryError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Clé d'une ligne d'inventaire (pièce + couleur)
+ */
+function inventoryKey(partNum, colorId) {
+  return `${partNum}|${colorId}`;
+}
+
+/**
+ * Découpe une ligne CSV (virgule ou point-virgule, champs entre guillemets)
+ */
+function splitCsvLine(line, separator) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Lit un inventaire de pièces possédées
+ * Entrée : tableau [{part_num, color_id, quantity}] ou CSV avec en-tête
+ * (Rebrickable : Part,Color,Quantity ; BrickLink : Item No,Color ID,Qty)
+ *
+ * @param {Array|string} input - Lignes ou texte CSV
+ * @param {object} [options]
+ * @param {string} [options.format] - rebrickable ou bricklink (défaut : déduit de l'en-tête CSV)
+ * @returns {{format: string, parts: Array<{part_num: string, color_id: number, quantity: number}>, skipped: number}}
+ */
+export function parsePartsInventory(input, options = {}) {
+  let format = options.format || 'rebrickable';
+  let rows;
+
+  if (Array.isArray(input)) {
+    rows = input;
+  } else if (typeof input === 'string' && input.trim()) {
+    const lines = input.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+    const separator = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+    const header = splitCsvLine(lines[0], separator).map(h => h.toLowerCase());
+    const index = {};
+    for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+      index[field] = header.findIndex(h => aliases.includes(h));
+    }
+    if (index.part_num < 0 || index.color_id < 0) {
+      throw inventoryError('Format CSV invalide : colonnes pièce et couleur requises (Part,Color,Quantity)');
+    }
+    if (!options.format && header[index.part_num].startsWith('item')) {
+      format = 'bricklink';
+    }
+    rows = lines.slice(1).map(line => {
+      const fields = splitCsvLine(line, separator);
+      return {
+        part_num: fields[index.part_num],
+        color_id: fields[index.color_id],
+        quantity: index.quantity >= 0 ? fields[index.quantity] : 1
+      };
+    });
+  } else {
+    throw inventoryError("Inventaire manquant : 'parts' (tableau) ou 'csv' (texte)");
+  }
+
+  const parts = [];
+  let skipped = 0;
+  for (const row of rows) {
+    const partNum = row?.part_num != null ? String(row.part_num).trim() : '';
+    const colorId = parseInt(row?.color_id, 10);
+    const quantity = row?.quantity === undefined ? 1 : parseInt(row.quantity, 10);
+    if (!partNum || Number.isNaN(colorId) || !(quantity > 0)) {
+      skipped++;
+      continue;
+    }
+    parts.push({ part_num: partNum, color_id: colorId, quantity });
+  }
+
+  return { format, parts, skipped };
+}
+
+/**
+ * Regroupe un inventaire par pièce + couleur
+ * @param {Array<{part_num: string, color_id: number, quantity: number}>} parts
+ * @returns {Map<string, number>}
+ */
+export function indexInventory(parts) {
+  const index = new Map();
+  for (const part of parts) {
+    const key = inventoryKey(part.part_num, part.color_id);
+    index.set(key, (index.get(key) || 0) + part.quantity);
+  }
+  return index;
+}
+
+/**
+ * Compare les pièces possédées à l'inventaire d'un set
+ * @param {Map<string, number>} owned - Inventaire indexé (indexInventory)
+ * @param {Array} setParts - Pièces du set (getRebrickableSetInventory)
+ * @returns {{percent: number, total_quantity: number, owned_quantity: number, missing_quantity: number, missing: Array}}
+ */
+export function compareInventory(owned, setParts) {
+  const required = new Map();
+  for (const part of setParts) {
+    const key = inventoryKey(part.part_num, part.color_id);
+    const entry = required.get(key);
+    if (entry) {
+      entry.quantity += part.quantity;
+    } else {
+      required.set(key, { ...part });
+    }
+  }
+
+  let total = 0;
+  let have = 0;
+  const missing = [];
+
+  for (const [key, part] of required) {
+    const available = Math.min(owned.get(key) || 0, part.quantity);
+    total += part.quantity;
+    have += available;
+    if (available < part.quantity) {
+      missing.push({
+        part_num: part.part_num,
+        name: part.name,
+        color_id: part.color_id,
+        color_name: part.color_name,
+        element_id: part.element_id,
+        part_img_url: part.part_img_url,
+        required: part.quantity,
+        owned: available,
+        missing: part.quantity - available
+      });
+    }
+  }
+
+  missing.sort((a, b) => b.missing - a.missing || a.part_num.localeCompare(b.part_num));
+
+  return {
+    percent: total > 0 ? Math.round((have / total) * 1000) / 10 : 0,
+    total_quantity: total,
+    owned_quantity: have,
+    missing_quantity: total - have,
+    missing
+  };
+}
+
+/**
+ * Différence entre deux inventaires de sets
+ * @param {Array} partsA
+ * @param {Array} partsB
+ * @returns {{common: Array, only_in_a: Array, only_in_b: Array, quantity_diff: Array}}
+ */
+export function diffInventories(partsA, partsB) {
+  const describe = (part, quantities) => ({
+    part_num: part.part_num,
+    name: part.name,
+    color_id: part.color_id,
+    color_name: part.color_name,
+    ...quantities
+  });
+  const group = (parts) => {
+    const map = new Map();
+    for (const part of parts) {
+      const key = inventoryKey(part.part_num, part.color_id);
+      const entry = map.get(key);
+      if (entry) entry.quantity += part.quantity;
+      else map.set(key, { part, quantity: part.quantity });
+    }
+    return map;
+  };
+
+  const a = group(partsA);
+  const b = group(partsB);
+  const result = { common: [], only_in_a: [], only_in_b: [], quantity_diff: [] };
+
+  for (const [key, { part, quantity }] of a) {
+    const other = b.get(key);
+    if (!other) {
+      result.only_in_a.push(describe(part, { quantity }));
+    } else {
+      result.common.push(describe(part, { quantity: Math.min(quantity, other.quantity) }));
+      if (other.quantity !== quantity) {
+        result.quantity_diff.push(describe(part, { quantity_a: quantity, quantity_b: other.quantity }));
+      }
+    }
+  }
+  for (const [key, { part, quantity }] of b) {
+    if (!a.has(key)) result.only_in_b.push(describe(part, { quantity }));
+  }
+
+  for (const list of Object.values(result)) {
+    list.sort((x, y) => x.part_num.localeCompare(y.part_num) || x.color_id - y.color_id);
+  }
+  return result;
+}
+
+/**
+ * Toutes les pages d'une liste de pièces (set ou minifig), avec références externes
+ */
+async function fetchAllParts(endpoint, apiKey, params = {}) {
+  const parts = [];
+  for (let page = 1; ; page++) {
+    const data = await rebrickableRequest(endpoint, apiKey, { ...params, page, page_size: 1000, inc_part_details: 1 });
+    parts.push(...(data.results || []).map(mapSetPart));
+    if (!data.next) break;
+  }
+  return parts;
+}
+
+/**
+ * Inventaire complet d'un set (toutes les pages, cache mémoire 1h)
+ * @param {string} setNum - Numéro du set
+ * @param {string} apiKey - Clé API Rebrickable
+ * @param {object} [options]
+ * @param {boolean} [options.includeSpares=false] - Inclure les pièces de rechange
+ * @param {boolean} [options.includeMinifigParts=false] - Inclure les pièces des minifigs
+ * @returns {Promise<{set_num: string, lots: number, total_quantity: number, parts: Array}>}
+ */
+export async function getRebrickableSetInventory(setNum, apiKey, options = {}) {
+  const { includeSpares = false, includeMinifigParts = false } = options;
+  setNum = legoIdToRebrickable(setNum);
+
+  const cacheKey = `rebrickable_inventory_${setNum}${includeMinifigParts ? '_figparts' : ''}`;
+  let parts = getCached(cacheKey);
+
+  if (!parts) {
+    metrics.sources.rebrickable = metrics.sources.rebrickable || { requests: 0, errors: 0 };
+    metrics.sources.rebrickable.requests++;
+
+    try {
+      parts = await fetchAllParts(`/lego/sets/${setNum}/parts/`, apiKey,
+        includeMinifigParts ? { inc_minifig_parts: 1 } : {});
+    } catch (err) {
+      metrics.sources.rebrickable.errors++;
+      throw err;
+    }
+    setCache(cacheKey, parts, REBRICKABLE_INVENTORY_TTL);
+  }
+
+  const selected = includeSpares ? parts : parts.filter(p => !p.is_spare);
+  log.debug(` ✅ Inventaire ${setNum}: ${selected.length} lots`);
+
+  return {
+    set_num: setNum,
+    lots: selected.length,
+    total_quantity: selected.reduce((sum, p) => sum + p.quantity, 0),
+    parts: selected
+  };
+}
+
+/**
+ * Couleurs Rebrickable avec leurs équivalents BrickLink et LDraw (cache mémoire 1h)
+ * @param {string} apiKey - Clé API Rebrickable
+ * @returns {Promise<Array>} Couleurs de getRebrickableColors()
+ */
+export async function getRebrickableColorTable(apiKey) {
+  const cacheKey = 'rebrickable_color_table';
+  let colors = getCached(cacheKey);
+  if (!colors) {
+    colors = (await getRebrickableColors(apiKey)).colors;
+    setCache(cacheKey, colors, REBRICKABLE_INVENTORY_TTL);
+  }
+  return colors;
+}
+
+/**
+ * Correspondances de couleurs construites depuis getRebrickableColors()
+ * @param {Array} colors - Couleurs ({id, bricklink_ids, ldraw_ids})
+ * @returns {{toBrickLink: Map<number, number>, toLDraw: Map<number, number>, fromBrickLink: Map<number, number>}}
+ */
+export function buildColorMaps(colors) {
+  const maps = { toBrickLink: new Map(), toLDraw: new Map(), fromBrickLink: new Map() };
+  for (const color of colors) {
+    if (color.bricklink_ids?.length) maps.toBrickLink.set(color.id, color.bricklink_ids[0]);
+    if (color.ldraw_ids?.length) maps.toLDraw.set(color.id, color.ldraw_ids[0]);
+    for (const blId of color.bricklink_ids || []) {
+      if (!maps.fromBrickLink.has(blId)) maps.fromBrickLink.set(blId, color.id);
+    }
+  }
+  return maps;
+}
+
+/**
+ * Sets constructibles avec les pièces possédées
+ * Chaque set est évalué indépendamment (les pièces ne sont pas réparties entre sets).
+ * Les références BrickLink sont supposées identiques aux part_num Rebrickable ;
+ * seules les couleurs sont converties.
+ *
+ * @param {Array|string} inventory - Pièces possédées (cf. parsePartsInventory)
+ * @param {string} apiKey - Clé API Rebrickable
+ * @param {object} options
+ * @param {string[]} [options.sets] - Sets candidats
+ * @param {number} [options.themeId] - Ou : sets d'un thème (les plus récents)
+ * @param {string} [options.format] - rebrickable ou bricklink
+ * @param {number} [options.maxSets=REBRICKABLE_BUILDABLE_MAX_SETS]
+ * @param {boolean} [options.includeSpares=false]
+ * @returns {Promise<object>} Sets triés par pourcentage constructible décroissant
+ */
+export async function getBuildableSets(inventory, apiKey, options = {}) {
+  const {
+    sets = [],
+    themeId = null,
+    format,
+    maxSets = REBRICKABLE_BUILDABLE_MAX_SETS,
+    includeSpares = false
+  } = options;
+  const limit = Math.min(Math.max(parseInt(maxSets, 10) || REBRICKABLE_BUILDABLE_MAX_SETS, 1), REBRICKABLE_BUILDABLE_MAX_SETS);
+
+  const parsed = parsePartsInventory(inventory, { format });
+  if (parsed.parts.length === 0) {
+    throw inventoryError('Inventaire vide : aucune ligne pièce/couleur/quantité valide');
+  }
+
+  let ownedParts = parsed.parts;
+  let unmappedColors = 0;
+  if (parsed.format === 'bricklink') {
+    const { fromBrickLink } = buildColorMaps(await getRebrickableColorTable(apiKey));
+    ownedParts = parsed.parts.flatMap(part => {
+      const colorId = fromBrickLink.get(part.color_id);
+      if (colorId === undefined) {
+        unmappedColors++;
+        return [];
+      }
+      return [{ ...part, color_id: colorId }];
+    });
+  }
+  const owned = indexInventory(ownedParts);
+
+  let candidates;
+  if (sets.length > 0) {
+    candidates = sets.slice(0, limit).map(setNum => ({ set_num: legoIdToRebrickable(setNum) }));
+  } else if (themeId) {
+    const data = await rebrickableRequest('/lego/sets/', apiKey, {
+      theme_id: themeId,
+      min_parts: 1,
+      ordering: '-year',
+      page_size: limit
+    });
+    candidates = (data.results || []).map(set => ({
+      set_num: set.set_num,
+      name: set.name,
+      year: set.year,
+      set_img_url: set.set_img_url
+    }));
+  } else {
+    throw inventoryError("Sets candidats manquants : 'sets' ou 'theme_id'");
+  }
+
+  const results = [];
+  const errors = [];
+  for (const candidate of candidates) {
+    try {
+      const setInventory = await getRebrickableSetInventory(candidate.set_num, apiKey, { includeSpares });
+      results.push({
+        ...candidate,
+        lego_id: rebrickableIdToLego(candidate.set_num),
+        lots: setInventory.lots,
+        ...compareInventory(owned, setInventory.parts)
+      });
+    } catch (err) {
+      log.warn(` Inventaire ${candidate.set_num} indisponible: ${err.message}`);
+      errors.push({ set_num: candidate.set_num, error: err.message });
+    }
+  }
+
+  results.sort((a, b) => b.percent - a.percent || a.missing_quantity - b.missing_quantity);
+
+  return {
+    inventory: {
+      format: parsed.format,
+      lots: owned.size,
+      quantity: ownedParts.reduce((sum, p) => sum + p.quantity, 0),
+      skipped: parsed.skipped,
+      unmapped_colors: unmappedColors
+    },
+    count: results.length,
+    sets: results,
+    errors,
+    source: 'rebrickable'
+  };
+}
+
+/**
+ * Compare les inventaires de deux sets
+ * @param {string} setA
+ * @param {string} setB
+ * @param {string} apiKey - Clé API Rebrickable
+ * @param {object} [options]
+ * @param {boolean} [options.includeSpares=false]
+ * @returns {Promise<object>}
+ */
+export async function diffRebrickableSets(setA, setB, apiKey, options = {}) {
+  const inventoryA = await getRebrickableSetInventory(setA, apiKey, options);
+  const inventoryB = await getRebrickableSetInventory(setB, apiKey, options);
+  const diff = diffInventories(inventoryA.parts, inventoryB.parts);
+
+  return {
+    set_a: { set_num: inventoryA.set_num, lots: inventoryA.lots, total_quantity: inventoryA.total_quantity },
+    set_b: { set_num: inventoryB.set_num, lots: inventoryB.lots, total_quantity: inventoryB.total_quantity },
+    summary: {
+      common_lots: diff.common.length,
+      only_in_a_lots: diff.only_in_a.length,
+      only_in_b_lots: diff.only_in_b.length,
+      quantity_diff_lots: diff.quantity_diff.length,
+      common_quantity: diff.common.reduce((sum, p) => sum + p.quantity, 0)
+    },
+    ...diff,
+    source: 'rebrickable'
+  };
+}
+
+// ========================================
+// Export des listes de pièces (BrickLink, Rebrickable, LDraw)
+// ========================================
+
+export const PART_LIST_FORMATS = {
+  bricklink: { contentType: 'application/xml', extension: 'xml' },
+  rebrickable: { contentType: 'text/csv', extension: 'csv' },
+  ldraw: { contentType: 'text/plain', extension: 'ldr' }
+};
+
+// Grille de placement des pièces dans le fichier LDraw (unités LDraw)
+const LDRAW_SPACING = 40;
+const LDRAW_ROW_SIZE = 20;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeCsv(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Pièces des minifigs d'un set (quantités multipliées par le nombre de minifigs)
+ * @param {string} setNum - Numéro du set
+ * @param {string} apiKey - Clé API Rebrickable
+ * @returns {Promise<{set_num: string, minifigs: number, parts: Array}>}
+ */
+export async function getRebrickableMinifigParts(setNum, apiKey) {
+  const { set_num, minifigs } = await getRebrickableSetMinifigs(setNum, apiKey);
+  const parts = [];
+
+  for (const minifig of minifigs) {
+    const cacheKey = `rebrickable_minifig_parts_${minifig.fig_num}`;
+    let figParts = getCached(cacheKey);
+    if (!figParts) {
+      figParts = await fetchAllParts(`/lego/minifigs/${minifig.fig_num}/parts/`, apiKey);
+      setCache(cacheKey, figParts, REBRICKABLE_INVENTORY_TTL);
+    }
+    parts.push(...figParts.map(part => ({ ...part, quantity: part.quantity * (minifig.quantity || 1) })));
+  }
+
+  return { set_num, minifigs: minifigs.length, parts };
+}
+
+/**
+ * Regroupe les lignes identiques (pièce + couleur, et rechange si demandé)
+ */
+function groupPartLines(parts, { bySpare = false } = {}) {
+  const lines = new Map();
+  for (const part of parts) {
+    const key = `${inventoryKey(part.part_num, part.color_id)}${bySpare ? `|${!!part.is_spare}` : ''}`;
+    const line = lines.get(key);
+    if (line) line.quantity += part.quantity;
+    else lines.set(key, { ...part });
+  }
+  return [...lines.values()];
+}
+
+/**
+ * Génère une liste de pièces dans un format d'import externe
+ * - bricklink : wanted list XML (références et couleurs BrickLink)
+ * - rebrickable : CSV Part,Color,Quantity,Is Spare
+ * - ldraw : fichier .ldr (une ligne de type 1 par pièce, couleurs LDraw)
+ * Les lignes sans couleur équivalente sont ignorées et comptées dans `skipped`.
+ *
+ * @param {Array} parts - Pièces (getRebrickableSetInventory, getRebrickableMinifigParts)
+ * @param {string} format - bricklink, rebrickable ou ldraw
+ * @param {object} [options]
+ * @param {Array} [options.colors] - Couleurs de getRebrickableColors() (bricklink, ldraw)
+ * @param {boolean} [options.includeSpares=false]
+ * @param {string} [options.title] - Titre (commentaires XML / en-tête LDraw)
+ * @param {string} [options.wantedListId] - WANTEDLISTID BrickLink
+ * @returns {{body: string, contentType: string, extension: string, lines: number, skipped: Array}}
+ */
+export function exportPartList(parts, format, options = {}) {
+  const { colors = [], includeSpares = false, title = 'parts', wantedListId = null } = options;
+  const spec = PART_LIST_FORMATS[format];
+  if (!spec) {
+    throw inventoryError(`Format d'export invalide: ${format} (${Object.keys(PART_LIST_FORMATS).join(', ')})`);
+  }
+
+  const selected = includeSpares ? parts : parts.filter(p => !p.is_spare);
+  const { toBrickLink, toLDraw } = buildColorMaps(colors);
+  const skipped = [];
+  let body;
+  let lines;
+
+  if (format === 'rebrickable') {
+    const rows = groupPartLines(selected, { bySpare: true });
+    lines = rows.length;
+    body = ['Part,Color,Quantity,Is Spare']
+      .concat(rows.map(p => [p.part_num, p.color_id, p.quantity, p.is_spare ? 'True' : 'False'].map(escapeCsv).join(',')))
+      .join('\n') + '\n';
+  } else if (format === 'bricklink') {
+    const items = [];
+    for (const part of groupPartLines(selected)) {
+      const color = toBrickLink.get(part.color_id);
+      if (color === undefined) {
+        skipped.push({ part_num: part.part_num, color_id: part.color_id, reason: 'couleur BrickLink inconnue' });
+        continue;
+      }
+      items.push([
+        '  <ITEM>',
+        '    <ITEMTYPE>P</ITEMTYPE>',
+        `    <ITEMID>${escapeXml(part.bricklink_id || part.part_num)}</ITEMID>`,
+        `    <COLOR>${color}</COLOR>`,
+        `    <MINQTY>${part.quantity}</MINQTY>`,
+        ...(wantedListId ? [`    <WANTEDLISTID>${escapeXml(wantedListId)}</WANTEDLISTID>`] : []),
+        '  </ITEM>'
+      ].join('\n'));
+    }
+    lines = items.length;
+    // "--" est interdit dans un commentaire XML
+    const comment = escapeXml(title).replace(/-{2,}/g, '-');
+    body = `<?xml version="1.0" encoding="UTF-8"?>\n<!-- ${comment} -->\n<INVENTORY>\n${items.join('\n')}\n</INVENTORY>\n`;
+  } else {
+    const rows = [`0 ${title}`, `0 Name: ${title.replace(/\s+/g, '_')}.ldr`, '0 Author: toys_api (Rebrickable)'];
+    let index = 0;
+    lines = 0;
+    for (const part of groupPartLines(selected)) {
+      const color = toLDraw.get(part.color_id);
+      if (color === undefined) {
+        skipped.push({ part_num: part.part_num, color_id: part.color_id, reason: 'couleur LDraw inconnue' });
+        continue;
+      }
+      lines++;
+      const file = `${part.ldraw_id || part.part_num}.dat`;
+      for (let i = 0; i < part.quantity; i++, index++) {
+        const x = (index % LDRAW_ROW_SIZE) * LDRAW_SPACING;
+        const z = Math.floor(index / LDRAW_ROW_SIZE) * LDRAW_SPACING;
+        rows.push(`1 ${color} ${x} 0 ${z} 1 0 0 0 1 0 0 0 1 ${file}`);
+      }
+    }
+    body = rows.join('\r\n') + '\r\n';
+  }
+
+  return { body, contentType: spec.contentType, extension: spec.extension, lines, skipped };
+}
+
 // ========================================
 // Fonctions de normalisation v3.0.0
 // ========================================
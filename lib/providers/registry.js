@@ -0,0 +1,714 @@
+/**
+ * lib/providers/registry.js - Registre des providers de recherche
+ * toys_api v4.1.2
+ *
+ * Associe chaque provider à son type de contenu et à des adaptateurs homogènes :
+ * - SEARCH_PROVIDERS : recherche, utilisé par l'agrégateur /search
+ * - DETAIL_PROVIDERS : détails par source du cache, utilisé par le
+ *   rafraîchissement automatique (background-jobs)
+ * - SERIES_PROVIDERS : séries par source du catalogue (table series)
+ *
+ * Chaque entrée de SEARCH_PROVIDERS :
+ * - type        : type de contenu (cf. PROVIDER_TYPE_MAP)
+ * - source      : nom de la source dans les résultats normalisés
+ * - route       : préfixe du router (pour générer detailUrl)
+ * - detailType  : segment de type dans detailUrl
+ * - detailProvider : provider du chemin interne s'il diffère du router (/music)
+ * - keepDetailUrl : conserver la detailUrl fournie par le normalizer
+ * - keyName     : nom de la clé API attendue (null = pas de clé)
+ * - optionalKey : true si la clé peut venir de l'environnement
+ * - heavy       : scraping lourd (FlareSolverr), uniquement si demandé explicitement
+ * - search      : async (q, ctx) => résultat brut d'une fonction *Normalized
+ *                 ctx = { lang, locale, max, apiKey }
+ * - searchCache : cache de recherche de la route /search (absent si la clé n'est pas reproductible)
+ *                 { source, type } de createProviderCache, params(standardParams, query) de
+ *                 searchWithCache, query = paramètres de route équivalents à search (warmup)
+ *
+ * @module providers/registry
+ */
+
+import { searchLegoNormalized, getProductDetailsNormalized } from './lego.js';
+import { searchPlaymobilNormalized, getPlaymobilProductDetailsNormalized } from './playmobil.js';
+import { searchKlickypediaNormalized, getKlickypediaProductDetailsNormalized } from './klickypedia.js';
+import { searchMegaNormalized, getMegaProductByIdNormalized } from './mega.js';
+import { searchRebrickableNormalized, getRebrickableSetNormalized } from './rebrickable.js';
+import { searchGoogleBooks, getGoogleBookByIdNormalized } from './googlebooks.js';
+import { searchOpenLibrary, getOpenLibraryByIdNormalized } from './openlibrary.js';
+import {
+  searchBedethequeAlbumsNormalized,
+  getBedethequeAlbumByIdNormalized,
+  getBedethequeSerieByIdNormalized,
+  getBedethequeSerieById
+} from './bedetheque.js';
+import { searchComicVineNormalized, getComicVineVolume, getComicVineIssues } from './comicvine.js';
+import { searchMangaDex, getMangaDexByIdNormalized, getMangaDexById, getMangaDexAggregate } from './mangadex.js';
+import {
+  searchJikanAnimeNormalized,
+  searchJikanMangaNormalized,
+  getJikanAnimeByIdNormalized,
+  getJikanMangaByIdNormalized,
+  getJikanAnimeById,
+  getJikanMangaById
+} from './jikan.js';
+import {
+  searchTmdbMovieNormalized,
+  searchTmdbSeriesNormalized,
+  getTmdbMovieByIdNormalized,
+  getTmdbTvByIdNormalized,
+  getTmdbTvById
+} from './tmdb.js';
+import {
+  searchTvdbMovieNormalized,
+  searchTvdbSeriesNormalized,
+  getTvdbMovieByIdNormalized,
+  getTvdbSeriesByIdNormalized,
+  getTvdbSeriesById
+} from './tvdb.js';
+import {
+  searchImdbMovieNormalized,
+  searchImdbSeriesNormalized,
+  getImdbMovieByIdNormalized,
+  getImdbSeriesByIdNormalized
+} from './imdb.js';
+import { searchRawgNormalized, getRawgGameDetailsNormalized } from './rawg.js';
+import {
+  searchIgdbNormalized,
+  getIgdbGameDetailsNormalized,
+  parseIgdbCredentials,
+  getIgdbToken
+} from './igdb.js';
+import { searchJvcNormalized, getJvcGameByIdNormalized } from './jvc.js';
+import { searchMusicBrainzNormalized, getMusicBrainzAlbumNormalized } from './musicbrainz.js';
+import { searchDeezerNormalized, getDeezerAlbumNormalized } from './deezer.js';
+import { searchItunesNormalized } from './itunes.js';
+import { searchDiscogsNormalized, getDiscogsReleaseNormalized } from './discogs.js';
+import { searchColekaNormalized, getColekaItemDetailsNormalized } from './coleka.js';
+import { searchLuluBerluNormalized, getLuluBerluItemDetailsNormalized } from './luluberlu.js';
+import { searchTransformerlandNormalized, getTransformerlandItemDetailsNormalized } from './transformerland.js';
+import { searchConsoleVariationsNormalized, getConsoleVariationsItemNormalized } from './consolevariations.js';
+import { searchPaninimanisaNormalized, getPaninimanialbumDetailsNormalized } from './paninimania.js';
+import { getAmazonProduct } from './amazon.js';
+import { searchByBarcode } from './barcode.js';
+import { searchPokemonCardsOfficial } from './tcg/pokemon_official.js';
+import { searchMTGCards } from './tcg/mtg.js';
+import { searchYuGiOhCards } from './tcg/yugioh.js';
+import { searchLorcanaCards } from './tcg/lorcana.js';
+import { normalizeGoogleBooksSearch, normalizeOpenLibrarySearch } from '../normalizers/book.js';
+import {
+  normalizePokemonSearchOfficial,
+  normalizeMTGSearch,
+  normalizeYuGiOhSearch,
+  normalizeLorcanaSearch
+} from '../normalizers/tcg.js';
+import {
+  COMICVINE_API_KEY,
+  DEFAULT_LOCALE,
+  COMICVINE_MAX_LIMIT,
+  MANGADEX_MAX_LIMIT,
+  RAWG_MAX_LIMIT,
+  IGDB_MAX_LIMIT
+} from '../config.js';
+import { extractStandardParams } from '../utils/routeHelpers.js';
+
+/**
+ * Extrait le code langue court depuis une locale (fr-FR → fr)
+ * @param {string} lang
+ * @returns {string}
+ */
+function shortLang(lang) {
+  return (lang || 'fr').split('-')[0].toLowerCase();
+}
+
+// Params du cache de recherche partagés par plusieurs routes
+const localeMaxParams = ({ locale, max }) => ({ locale, max });
+const langMaxParams = ({ lang, max }) => ({ lang, max });
+const maxParams = ({ max }) => ({ max });
+
+const jikanParams = ({ page, max }, query) => ({
+  type: query.type || null,
+  page,
+  max,
+  status: query.status || null,
+  rating: query.rating || null,
+  orderBy: query.orderBy || null,
+  sort: query.sort || null
+});
+
+const musicParams = ({ max, locale }, query) => ({
+  max,
+  type: query.type || 'album',
+  country: locale ? locale.split('-')[1]?.toUpperCase() || 'FR' : 'FR'
+});
+
+const tvdbParams = ({ max, lang }, query) => ({
+  max,
+  lang,
+  year: query.year ? parseInt(query.year, 10) : null
+});
+
+// ============================================================================
+// REGISTRE DE RECHERCHE
+// ============================================================================
+
+export const SEARCH_PROVIDERS = {
+  // --- Jouets de construction ---
+  lego: {
+    type: 'construct_toy', source: 'lego', route: 'lego', detailType: 'product', keyName: null,
+    searchCache: { source: 'lego', type: 'construct_toy', params: localeMaxParams },
+    search: (q, { locale, max }) => searchLegoNormalized(q, locale, { perPage: max })
+  },
+  playmobil: {
+    type: 'construct_toy', source: 'playmobil', route: 'playmobil', detailType: 'product', keyName: null,
+    searchCache: { source: 'playmobil', type: 'construct_toy', params: localeMaxParams },
+    search: (q, { locale, max }) => searchPlaymobilNormalized(q, locale, { maxResults: max })
+  },
+  klickypedia: {
+    type: 'construct_toy', source: 'klickypedia', route: 'klickypedia', detailType: 'product', keyName: null,
+    searchCache: { source: 'klickypedia', type: 'construct_toy', params: localeMaxParams },
+    search: (q, { lang, max }) => searchKlickypediaNormalized(q, shortLang(lang), { maxResults: max })
+  },
+  mega: {
+    type: 'construct_toy', source: 'mega', route: 'mega', detailType: 'product', keyName: null,
+    searchCache: { source: 'mega', type: 'construct_toy', params: ({ locale, max, page }) => ({ locale, max, page }) },
+    search: (q, { locale, max }) => searchMegaNormalized(q, { lang: locale, max })
+  },
+  rebrickable: {
+    type: 'construct_toy', source: 'rebrickable', route: 'rebrickable', detailType: 'set', keyName: 'rebrickable',
+    search: (q, { max, apiKey }) => searchRebrickableNormalized(q, apiKey, max)
+  },
+
+  // --- Livres / BD / Manga ---
+  // Google Books et OpenLibrary : normalisation + ISBN conservé pour la déduplication
+  googlebooks: {
+    type: 'book', source: 'googlebooks', route: 'googlebooks', detailType: 'book', keyName: 'googlebooks',
+    searchCache: { source: 'googlebooks', type: 'book', params: langMaxParams },
+    search: async (q, { lang, max, apiKey }) => {
+      const raw = await searchGoogleBooks(q, apiKey, { lang, maxResults: max });
+      return (raw.books || []).map(book => ({
+        ...normalizeGoogleBooksSearch(book),
+        year: book.releaseDate ? parseInt(book.releaseDate.substring(0, 4), 10) : null,
+        isbn: book.isbn || null
+      }));
+    }
+  },
+  openlibrary: {
+    type: 'book', source: 'openlibrary', route: 'openlibrary', detailType: 'book', keyName: null,
+    searchCache: { source: 'openlibrary', type: 'book', params: langMaxParams },
+    search: async (q, { lang, max }) => {
+      const raw = await searchOpenLibrary(q, { lang, maxResults: max });
+      return (raw.books || []).map(book => ({
+        ...normalizeOpenLibrarySearch(book),
+        year: book.first_publish_year || null,
+        isbn: Array.isArray(book.isbn) ? book.isbn[0] : (book.isbn || null)
+      }));
+    }
+  },
+  bedetheque: {
+    type: 'book', source: 'bedetheque', route: 'bedetheque', detailType: 'album', keyName: null,
+    searchCache: {
+      source: 'bedetheque', type: 'book',
+      params: ({ max }, query) => ({ type: query.type || 'album', max: Math.min(Math.max(1, max), 50) })
+    },
+    search: (q, { max }) => searchBedethequeAlbumsNormalized(q, { max })
+  },
+  comicvine: {
+    type: 'book', source: 'comicvine', route: 'comicvine', detailType: 'volume', keyName: 'comicvine',
+    optionalKey: !!COMICVINE_API_KEY,
+    searchCache: {
+      source: 'comicvine', type: 'issue', query: { type: 'volume' },
+      params: ({ max }, query) => ({ type: query.type || 'issue', max: Math.min(Math.max(1, max), COMICVINE_MAX_LIMIT) })
+    },
+    search: (q, { max, apiKey }) => searchComicVineNormalized(q, apiKey, { max })
+  },
+  mangadex: {
+    type: 'manga', source: 'mangadex', route: 'mangadex', detailType: 'manga', keyName: null,
+    searchCache: {
+      source: 'mangadex', type: 'manga',
+      params: ({ lang, max }) => ({ lang, max: Math.min(Math.max(1, max), MANGADEX_MAX_LIMIT) })
+    },
+    search: async (q, { max }) => {
+      const raw = await searchMangaDex(q, { max });
+      return (raw.results || raw.mangas || raw.data || []).map(item => ({
+        sourceId: item.id,
+        name: item.attributes?.title?.en || item.title || item.name,
+        name_original: item.attributes?.title?.ja || item.title_original || null,
+        description: item.attributes?.description?.en || item.description || null,
+        year: item.attributes?.year || item.year || null,
+        image: (Array.isArray(item.image) ? item.image[0] : item.image) || item.cover || item.coverUrl,
+        src_url: `https://mangadex.org/title/${item.id}`
+      }));
+    }
+  },
+  jikan_manga: {
+    type: 'manga', source: 'jikan', route: 'jikan', detailType: 'manga', keyName: null,
+    searchCache: { source: 'jikan', type: 'manga', query: { type: 'manga' }, params: jikanParams },
+    search: (q, { max }) => searchJikanMangaNormalized(q, { max })
+  },
+
+  // --- Anime ---
+  jikan_anime: {
+    type: 'anime', source: 'jikan', route: 'jikan', detailType: 'anime', keyName: null,
+    searchCache: { source: 'jikan', type: 'anime', params: jikanParams },
+    search: (q, { max }) => searchJikanAnimeNormalized(q, { max })
+  },
+
+  // --- Films ---
+  tmdb_movies: {
+    type: 'movie', source: 'tmdb', route: 'tmdb_movies', detailType: 'movie', keyName: 'tmdb',
+    searchCache: {
+      source: 'tmdb_movies', type: 'movie',
+      params: ({ max, locale, page }, query) => ({
+        max, locale, page, year: query.year ? parseInt(query.year, 10) : null, includeAdult: query.adult === 'true'
+      })
+    },
+    search: (q, { locale, max, apiKey }) => searchTmdbMovieNormalized(q, apiKey, { lang: locale, max })
+  },
+  tvdb_movies: {
+    type: 'movie', source: 'tvdb', route: 'tvdb_movies', detailType: 'movie', keyName: 'tvdb',
+    searchCache: { source: 'tvdb_movies', type: 'movie', params: tvdbParams },
+    search: (q, { lang, max, apiKey }) => searchTvdbMovieNormalized(q, apiKey, { lang: shortLang(lang), max })
+  },
+  imdb_movies: {
+    type: 'movie', source: 'imdb', route: 'imdb_movies', detailType: 'movie', keyName: null,
+    searchCache: { source: 'imdb_movies', type: 'movie', params: maxParams },
+    search: (q, { max }) => searchImdbMovieNormalized(q, { max })
+  },
+
+  // --- Séries ---
+  tmdb_series: {
+    type: 'series', source: 'tmdb', route: 'tmdb_series', detailType: 'tv', keyName: 'tmdb',
+    searchCache: {
+      source: 'tmdb_series', type: 'series',
+      params: ({ max, locale, page }, query) => ({ max, locale, page, year: query.year ? parseInt(query.year, 10) : null })
+    },
+    search: (q, { locale, max, apiKey }) => searchTmdbSeriesNormalized(q, apiKey, { lang: locale, max })
+  },
+  tvdb_series: {
+    type: 'series', source: 'tvdb', route: 'tvdb_series', detailType: 'series', keyName: 'tvdb',
+    searchCache: { source: 'tvdb_series', type: 'series', params: tvdbParams },
+    search: (q, { lang, max, apiKey }) => searchTvdbSeriesNormalized(q, apiKey, { lang: shortLang(lang), max })
+  },
+  imdb_series: {
+    type: 'series', source: 'imdb', route: 'imdb_series', detailType: 'series', keyName: null,
+    searchCache: { source: 'imdb_series', type: 'series', params: maxParams },
+    search: (q, { max }) => searchImdbSeriesNormalized(q, { max })
+  },
+
+  // --- Jeux vidéo ---
+  rawg: {
+    type: 'videogame', source: 'rawg', route: 'rawg', detailType: 'game', keyName: 'rawg',
+    searchCache: {
+      source: 'rawg', type: 'videogame',
+      params: ({ page, max }, query) => ({
+        page,
+        max: Math.min(max, RAWG_MAX_LIMIT),
+        platforms: query.platforms || null,
+        genres: query.genres || null,
+        ordering: query.ordering || null,
+        dates: query.dates || null,
+        metacritic: query.metacritic || null
+      })
+    },
+    search: (q, { max, apiKey }) => searchRawgNormalized(q, apiKey, { max })
+  },
+  igdb: {
+    type: 'videogame', source: 'igdb', route: 'igdb', detailType: 'game', keyName: 'igdb',
+    searchCache: {
+      source: 'igdb', type: 'videogame',
+      params: ({ max }, query) => ({ max: Math.min(max, IGDB_MAX_LIMIT), platforms: query.platforms || null, genres: query.genres || null })
+    },
+    search: (q, { max, apiKey }) => searchIgdbNormalized(q, apiKey, { max })
+  },
+  jeuxvideo: {
+    type: 'videogame', source: 'jvc', route: 'jeuxvideo', detailType: 'game', keyName: null,
+    searchCache: { source: 'jeuxvideo', type: 'videogame', params: maxParams },
+    search: (q, { max }) => searchJvcNormalized(q, { max })
+  },
+
+  // --- Musique ---
+  musicbrainz: {
+    type: 'music_album', source: 'musicbrainz', route: 'music', detailType: 'album', detailProvider: 'musicbrainz', keyName: null,
+    searchCache: { source: 'musicbrainz', type: 'album', query: { source: 'musicbrainz' }, params: musicParams },
+    search: (q, { max }) => searchMusicBrainzNormalized(q, { limit: max })
+  },
+  deezer: {
+    type: 'music_album', source: 'deezer', route: 'music', detailType: 'album', detailProvider: 'deezer', keyName: null,
+    searchCache: { source: 'deezer', type: 'album', query: { source: 'deezer' }, params: musicParams },
+    search: (q, { max }) => searchDeezerNormalized(q, { limit: max })
+  },
+  itunes: {
+    type: 'music_album', source: 'itunes', route: 'music', detailType: 'album', detailProvider: 'itunes', keyName: null,
+    searchCache: { source: 'itunes', type: 'album', query: { source: 'itunes' }, params: musicParams },
+    search: (q, { max }) => searchItunesNormalized(q, { limit: max })
+  },
+  discogs: {
+    type: 'music_album', source: 'discogs', route: 'music', detailType: 'album', detailProvider: 'discogs', keyName: 'discogs',
+    optionalKey: true,
+    searchCache: { source: 'discogs', type: 'album', query: { source: 'discogs' }, params: musicParams },
+    search: (q, { max, apiKey }) => searchDiscogsNormalized(q, { limit: max, token: apiKey || null })
+  },
+
+  // --- Collectibles / consoles / stickers (scraping) ---
+  luluberlu: {
+    type: 'collectible', source: 'luluberlu', route: 'luluberlu', detailType: 'item', keyName: null, keepDetailUrl: true,
+    searchCache: { source: 'luluberlu', type: 'collectible', params: maxParams },
+    search: (q, { max }) => searchLuluBerluNormalized(q, max)
+  },
+  transformerland: {
+    type: 'collectible', source: 'transformerland', route: 'transformerland', detailType: 'item', keyName: null,
+    searchCache: { source: 'transformerland', type: 'collectible', params: maxParams },
+    search: (q, { max }) => searchTransformerlandNormalized(q, max)
+  },
+  coleka: {
+    type: 'collectible', source: 'coleka', route: 'coleka', detailType: 'item', keyName: null, heavy: true, keepDetailUrl: true,
+    searchCache: {
+      source: 'coleka', type: 'collectible',
+      params: ({ max, lang }, query) => ({ nbpp: query.nbpp ? parseInt(query.nbpp, 10) : max, lang })
+    },
+    search: (q, { lang, max }) => searchColekaNormalized(q, max, shortLang(lang))
+  },
+  consolevariations: {
+    type: 'console', source: 'consolevariations', route: 'consolevariations', detailType: 'item', keyName: null, heavy: true,
+    searchCache: { source: 'consolevariations', type: 'collectible', params: ({ max }, query) => ({ max, type: query.type || 'all' }) },
+    search: (q, { max }) => searchConsoleVariationsNormalized(q, max)
+  },
+  paninimania: {
+    type: 'stickers', source: 'paninimania', route: 'paninimania', detailType: 'album', keyName: null, heavy: true,
+    searchCache: { source: 'paninimania', type: 'album', params: maxParams },
+    search: (q, { max }) => searchPaninimanisaNormalized(q, max)
+  },
+
+  // --- Trading Card Games ---
+  // Les detailUrl TCG (/tcg_xxx/card?id=) sont conservées telles quelles
+  tcg_pokemon: {
+    type: 'tcg', source: 'tcg_pokemon', route: 'tcg_pokemon', keyName: null, keepDetailUrl: true,
+    searchCache: {
+      source: 'pokemon-official', type: 'card',
+      params: ({ lang, max }, query) => ({ lang, max, type: query.type || null, rarity: query.rarity || null })
+    },
+    search: async (q, { lang, max }) => normalizePokemonSearchOfficial(
+      await searchPokemonCardsOfficial(q, { lang: shortLang(lang), max }),
+      { lang: shortLang(lang) }
+    )
+  },
+  tcg_mtg: {
+    type: 'tcg', source: 'tcg_mtg', route: 'tcg_mtg', keyName: null, keepDetailUrl: true,
+    search: async (q, { lang, max }) => normalizeMTGSearch(
+      await searchMTGCards(q, { lang: shortLang(lang), max }),
+      { lang: shortLang(lang) }
+    )
+  },
+  tcg_yugioh: {
+    type: 'tcg', source: 'tcg_yugioh', route: 'tcg_yugioh', keyName: null, keepDetailUrl: true,
+    search: async (q, { lang, max }) => normalizeYuGiOhSearch(
+      await searchYuGiOhCards(q, { lang: shortLang(lang), max }),
+      { lang: shortLang(lang) }
+    )
+  },
+  tcg_lorcana: {
+    type: 'tcg', source: 'tcg_lorcana', route: 'tcg_lorcana', keyName: null, keepDetailUrl: true,
+    search: async (q, { lang, max }) => normalizeLorcanaSearch(
+      await searchLorcanaCards(q, { lang: shortLang(lang), max }),
+      { lang: shortLang(lang) }
+    )
+  }
+};
+
+/**
+ * Liste des types de contenu couverts par le registre
+ * @returns {string[]}
+ */
+export function getSearchTypes() {
+  return [...new Set(Object.values(SEARCH_PROVIDERS).map(p => p.type))];
+}
+
+/**
+ * Liste les providers de recherche d'un type donné
+ * @param {string|null} type - Type de contenu (null = tous)
+ * @param {object} options
+ * @param {boolean} [options.includeHeavy=false] - Inclure les providers de scraping lourd
+ * @returns {string[]} - Noms des providers
+ */
+export function getSearchProvidersByType(type = null, { includeHeavy = false } = {}) {
+  return Object.entries(SEARCH_PROVIDERS)
+    .filter(([, p]) => !type || p.type === type)
+    .filter(([, p]) => includeHeavy || !p.heavy)
+    .map(([name]) => name);
+}
+
+/**
+ * Params du cache de recherche d'une route /search (clé de searchWithCache)
+ * Partagé par les routes et le warmup (job-queue) pour produire la même clé
+ * @param {string} name - Clé de SEARCH_PROVIDERS
+ * @param {object} req - Requête Express ou { query } (standardParams recalculés si absents)
+ * @returns {object|null} null si la route n'a pas de cache de recherche reproductible
+ */
+export function searchCacheParams(name, req) {
+  const cache = SEARCH_PROVIDERS[name]?.searchCache;
+  if (!cache) return null;
+  const query = req.query || {};
+  return cache.params(req.standardParams || extractStandardParams({ params: {}, ...req, query }), query);
+}
+
+// ============================================================================
+// REGISTRE DE DÉTAILS (rafraîchissement du cache)
+// ============================================================================
+
+/**
+ * Découpe une clé de cache "id:lang" (clé utilisée quand autoTrad est actif)
+ * @param {string} sourceId
+ * @returns {{id: string, lang: string|null}}
+ */
+function splitLangKey(sourceId) {
+  const [id, lang = null] = String(sourceId).split(':');
+  return { id, lang };
+}
+
+/**
+ * Options de traduction déduites de la clé de cache
+ * @param {string|null} lang
+ * @returns {{lang: string|null, autoTrad: boolean}}
+ */
+function tradOptions(lang) {
+  return { lang, autoTrad: !!lang };
+}
+
+/**
+ * Adaptateurs de détail indexés par `source` tel que stocké dans la table items
+ * (cf. createProviderCache dans les routes).
+ *
+ * Chaque entrée :
+ * - keyName : clé API requise (null = aucune)
+ * - autoRefresh : false pour exclure la source du rafraîchissement automatique
+ *                 (reste utilisable par /local/warmup)
+ * - fetch   : async (sourceId, { type, apiKey }) => données normalisées
+ *             Retourne undefined si la clé de cache n'est pas rafraîchissable
+ *             (ex: entrée "isbn:..." issue d'une recherche par code)
+ */
+export const DETAIL_PROVIDERS = {
+  lego: {
+    keyName: null,
+    fetch: (id) => getProductDetailsNormalized(id, DEFAULT_LOCALE)
+  },
+  playmobil: {
+    keyName: null,
+    fetch: (id) => getPlaymobilProductDetailsNormalized(id, DEFAULT_LOCALE)
+  },
+  klickypedia: {
+    keyName: null,
+    fetch: (id) => getKlickypediaProductDetailsNormalized(id, DEFAULT_LOCALE)
+  },
+  mega: {
+    keyName: null,
+    fetch: (id) => getMegaProductByIdNormalized(id, { lang: DEFAULT_LOCALE })
+  },
+  rebrickable: {
+    keyName: 'rebrickable',
+    fetch: (id, { apiKey }) => getRebrickableSetNormalized(id, apiKey)
+  },
+  googlebooks: {
+    keyName: 'googlebooks',
+    fetch: (id, { apiKey }) => {
+      if (id.startsWith('isbn:')) return undefined;
+      return getGoogleBookByIdNormalized(id, apiKey);
+    }
+  },
+  openlibrary: {
+    keyName: null,
+    fetch: (sourceId) => {
+      if (sourceId.startsWith('isbn:')) return undefined;
+      const { id, lang } = splitLangKey(sourceId);
+      return getOpenLibraryByIdNormalized(id, tradOptions(lang));
+    }
+  },
+  bedetheque: {
+    keyName: null,
+    fetch: (sourceId) => {
+      const match = String(sourceId).match(/^(album|serie)_(\d+)(?::(.+))?$/);
+      if (!match) return undefined;
+      const [, kind, id, lang = null] = match;
+      return kind === 'album'
+        ? getBedethequeAlbumByIdNormalized(parseInt(id, 10), tradOptions(lang))
+        : getBedethequeSerieByIdNormalized(parseInt(id, 10), tradOptions(lang));
+    }
+  },
+  mangadex: {
+    keyName: null,
+    fetch: (id) => getMangaDexByIdNormalized(id)
+  },
+  jikan: {
+    keyName: null,
+    fetch: (id, { type }) => {
+      if (!/^\d+$/.test(id)) return undefined;
+      return type === 'manga'
+        ? getJikanMangaByIdNormalized(parseInt(id, 10))
+        : getJikanAnimeByIdNormalized(parseInt(id, 10));
+    }
+  },
+  tmdb: {
+    keyName: 'tmdb',
+    fetch: (sourceId, { apiKey }) => {
+      const [kind, id] = String(sourceId).split('_');
+      if (!id) return undefined;
+      return kind === 'movie'
+        ? getTmdbMovieByIdNormalized(id, apiKey, { lang: DEFAULT_LOCALE })
+        : getTmdbTvByIdNormalized(id, apiKey, { lang: DEFAULT_LOCALE });
+    }
+  },
+  tmdb_movies: {
+    keyName: 'tmdb',
+    fetch: (id, { apiKey }) => getTmdbMovieByIdNormalized(id, apiKey, { lang: DEFAULT_LOCALE })
+  },
+  tmdb_series: {
+    keyName: 'tmdb',
+    fetch: (id, { apiKey }) => getTmdbTvByIdNormalized(id, apiKey, { lang: DEFAULT_LOCALE })
+  },
+  tvdb: {
+    keyName: 'tvdb',
+    fetch: (sourceId, { apiKey }) => {
+      const [kind, id] = String(sourceId).split('_');
+      if (!id) return undefined;
+      return kind === 'movie'
+        ? getTvdbMovieByIdNormalized(id, apiKey)
+        : getTvdbSeriesByIdNormalized(id, apiKey);
+    }
+  },
+  tvdb_movies: {
+    keyName: 'tvdb',
+    fetch: (id, { apiKey }) => getTvdbMovieByIdNormalized(id, apiKey)
+  },
+  tvdb_series: {
+    keyName: 'tvdb',
+    fetch: (id, { apiKey }) => getTvdbSeriesByIdNormalized(id, apiKey)
+  },
+  imdb: {
+    keyName: null,
+    fetch: (id, { type }) => type === 'series'
+      ? getImdbSeriesByIdNormalized(id)
+      : getImdbMovieByIdNormalized(id)
+  },
+  imdb_movies: {
+    keyName: null,
+    fetch: (id) => getImdbMovieByIdNormalized(id)
+  },
+  imdb_series: {
+    keyName: null,
+    fetch: (id) => getImdbSeriesByIdNormalized(id)
+  },
+  rawg: {
+    keyName: 'rawg',
+    fetch: (id, { apiKey }) => getRawgGameDetailsNormalized(id, apiKey)
+  },
+  igdb: {
+    keyName: 'igdb',
+    fetch: async (id, { apiKey }) => {
+      const { clientId, clientSecret } = parseIgdbCredentials(apiKey);
+      const accessToken = await getIgdbToken(clientId, clientSecret);
+      return getIgdbGameDetailsNormalized(id, clientId, accessToken);
+    }
+  },
+  jeuxvideo: {
+    keyName: null,
+    fetch: (id) => /^\d+$/.test(id) ? getJvcGameByIdNormalized(parseInt(id, 10)) : undefined
+  },
+  musicbrainz: {
+    keyName: null,
+    fetch: (id) => getMusicBrainzAlbumNormalized(id)
+  },
+  deezer: {
+    keyName: null,
+    fetch: (id) => getDeezerAlbumNormalized(id)
+  },
+  discogs: {
+    keyName: 'discogs',
+    optionalKey: true,
+    fetch: (id, { apiKey }) => getDiscogsReleaseNormalized(id, apiKey || null)
+  },
+  coleka: {
+    keyName: null,
+    fetch: (id) => getColekaItemDetailsNormalized(decodeURIComponent(id))
+  },
+  luluberlu: {
+    keyName: null,
+    fetch: (id) => getLuluBerluItemDetailsNormalized(decodeURIComponent(id))
+  },
+  transformerland: {
+    keyName: null,
+    fetch: (id) => getTransformerlandItemDetailsNormalized(id)
+  },
+  consolevariations: {
+    keyName: null,
+    fetch: (id) => getConsoleVariationsItemNormalized(id)
+  },
+  paninimania: {
+    keyName: null,
+    fetch: (id) => getPaninimanialbumDetailsNormalized(id)
+  },
+  barcode: {
+    keyName: null,
+    autoRefresh: false,
+    // Entrées ISBN "isbn:lang" de /barcode/isbn non rafraîchissables
+    fetch: (code) => /^\d{8,14}$/.test(code) ? searchByBarcode(code) : undefined
+  },
+  amazon: {
+    keyName: null,
+    autoRefresh: false,
+    fetch: (sourceId) => {
+      const { id, lang } = splitLangKey(sourceId);
+      return getAmazonProduct(id, lang || 'fr');
+    }
+  }
+};
+
+/**
+ * Séries par source du catalogue (cf. lib/database/series-catalog.js)
+ *
+ * Chaque entrée :
+ * - keyName     : clé API requise (null = aucune)
+ * - optionalKey : true si la clé peut venir de l'environnement
+ * - fetch       : async (sourceId, { apiKey }) => résultat(s) brut(s) du provider
+ *                 Retourne undefined si l'ID n'a pas le format attendu.
+ * - series      : extracteurs du catalogue, un par résultat de fetch (recordSeries)
+ */
+export const SERIES_PROVIDERS = {
+  bedetheque: {
+    keyName: null,
+    series: ['bedetheque'],
+    fetch: (id) => /^\d+$/.test(id) ? getBedethequeSerieById(parseInt(id, 10)) : undefined
+  },
+  comicvine: {
+    keyName: 'comicvine',
+    optionalKey: !!COMICVINE_API_KEY,
+    series: ['comicvine_volume', 'comicvine_issues'],
+    fetch: (id, { apiKey }) => /^\d+$/.test(id)
+      ? Promise.all([getComicVineVolume(id, apiKey), getComicVineIssues(id, apiKey, { max: 100 })])
+      : undefined
+  },
+  mangadex: {
+    keyName: null,
+    series: ['mangadex', 'mangadex_aggregate'],
+    fetch: (id) => Promise.all([getMangaDexById(id), getMangaDexAggregate(id)])
+  },
+  tmdb: {
+    keyName: 'tmdb',
+    series: ['tmdb_tv'],
+    fetch: (id, { apiKey }) => /^\d+$/.test(id) ? getTmdbTvById(id, apiKey, { lang: DEFAULT_LOCALE }) : undefined
+  },
+  tvdb: {
+    keyName: 'tvdb',
+    series: ['tvdb_series'],
+    fetch: (id, { apiKey }) => /^\d+$/.test(id) ? getTvdbSeriesById(id, apiKey) : undefined
+  },
+  jikan_anime: {
+    keyName: null,
+    series: ['jikan_anime'],
+    fetch: (id) => /^\d+$/.test(id) ? getJikanAnimeById(parseInt(id, 10)) : undefined
+  },
+  jikan_manga: {
+    keyName: null,
+    series: ['jikan_manga'],
+    fetch: (id) => /^\d+$/.test(id) ? getJikanMangaById(parseInt(id, 10)) : undefined
+  }
+};
+
+export default SEARCH_PROVIDERS;
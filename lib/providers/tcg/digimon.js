@@ -15,29 +15,12 @@ import { logger } from '../../utils/logger.js';
 import { fetchViaProxy } from '../../utils/fetch-proxy.js';
 
 const BASE_URL = 'https://digimoncard.io/api-public';
-const RATE_LIMIT_MS = 50; // 20 req/s
-let lastRequestTime = 0;
-
-/**
- * Appliquer le rate limiting
- */
-async function rateLimit() {
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-  
-  if (timeSinceLastRequest < RATE_LIMIT_MS) {
-    await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_MS - timeSinceLastRequest));
-  }
-  
-  lastRequestTime = Date.now();
-}
 
 /**
  * Faire une requête à l'API Digimon
+ * (rate limit appliquée par fetchViaProxy, cf. PROVIDER_GUARDS.tcg_digimon)
  */
 async function digimonRequest(endpoint, params = {}) {
-  await rateLimit();
-  
   const queryParams = new URLSearchParams(params);
   const url = `${BASE_URL}${endpoint}${queryParams.toString() ? '?' + queryParams.toString() : ''}`;
   
@@ -16,29 +16,12 @@ import { logger } from '../../utils/logger.js';
 import { fetchViaProxy } from '../../utils/fetch-proxy.js';
 
 const BASE_URL = 'https://api.scryfall.com';
-const RATE_LIMIT_DELAY = 100; // 100ms entre requêtes
-let lastRequestTime = 0;
-
-/**
- * Attendre pour respecter la rate limit
- */
-async function waitForRateLimit() {
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-  
-  if (timeSinceLastRequest < RATE_LIMIT_DELAY) {
-    await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY - timeSinceLastRequest));
-  }
-  
-  lastRequestTime = Date.now();
-}
 
 /**
  * Faire une requête à l'API Scryfall
+ * (rate limit appliquée par fetchViaProxy, cf. PROVIDER_GUARDS.tcg_mtg)
  */
 async function scryfallRequest(endpoint, options = {}) {
-  await waitForRateLimit();
-  
   const url = `${BASE_URL}${endpoint}`;
   
   try {
@@ -5,6 +5,8 @@
 
 import { createLogger } from '../../utils/logger.js';
 import { getCached, setCache } from '../../utils/state.js';
+import { getProviderGuard } from '../../utils/provider-guard.js';
+import { httpRequest } from '../../utils/http-client.js';
 
 const log = createLogger('OnePieceTCG');
 
@@ -25,36 +27,22 @@ const ONEPIECE_CARD_CACHE_TTL = 3600000; // 1 heure pour détails de carte
 
 // ============================================================================
 // CIRCUIT BREAKER - Désactive One Piece temporairement si bloqué
+// Garde partagé 'tcg_onepiece' (cf. PROVIDER_GUARDS dans config.js)
 // ============================================================================
-let onepieceCircuitOpen = false;
-let onepieceCircuitOpenTime = null;
-const CIRCUIT_COOLDOWN = 15 * 60 * 1000; // 15 minutes avant réessai
-let consecutiveFailures = 0;
-const MAX_FAILURES_BEFORE_CIRCUIT_OPEN = 3;
+const onepieceGuard = getProviderGuard('tcg_onepiece');
 
 /**
  * Vérifie si One Piece est disponible (circuit breaker fermé)
+ * @param {object} [options]
+ * @param {boolean} [options.probe=false] - Avant un appel réel : réserve l'appel d'essai half-open
  * @returns {{available: boolean, reason: string|null, retryAfter: number|null}}
  */
-export function isOnePieceAvailable() {
-  if (!onepieceCircuitOpen) {
-    return { available: true, reason: null, retryAfter: null };
-  }
-  
-  const elapsed = Date.now() - onepieceCircuitOpenTime;
-  if (elapsed >= CIRCUIT_COOLDOWN) {
-    // Réouvrir le circuit pour réessayer
-    log.info('🔄 Circuit breaker One Piece: tentative de réouverture après cooldown');
-    onepieceCircuitOpen = false;
-    consecutiveFailures = 0;
-    return { available: true, reason: null, retryAfter: null };
-  }
-  
-  const retryAfter = Math.ceil((CIRCUIT_COOLDOWN - elapsed) / 1000);
-  return { 
-    available: false, 
-    reason: 'One Piece TCG temporairement désactivé (détection anti-bot)',
-    retryAfter 
+export function isOnePieceAvailable({ probe = false } = {}) {
+  const availability = probe ? onepieceGuard.breaker.acquire() : onepieceGuard.breaker.check();
+  if (availability.available) return availability;
+  return {
+    ...availability,
+    reason: 'One Piece TCG temporairement désactivé (détection anti-bot)'
   };
 }
 
@@ -62,24 +50,15 @@ export function isOnePieceAvailable() {
  * Signale un succès One Piece (reset failures)
  */
 function recordOnePieceSuccess() {
-  consecutiveFailures = 0;
-  if (onepieceCircuitOpen) {
-    log.info('✅ Circuit breaker One Piece: fermé après succès');
-    onepieceCircuitOpen = false;
-  }
+  onepieceGuard.breaker.recordSuccess();
 }
 
 /**
- * Signale un échec One Piece (potentiellement ouvre le circuit)
+ * Signale un échec One Piece (seul un blocage Cloudflare compte pour le circuit)
  */
 function recordOnePieceFailure(isCloudflareBlock = false) {
-  consecutiveFailures++;
-  
-  if (isCloudflareBlock && consecutiveFailures >= MAX_FAILURES_BEFORE_CIRCUIT_OPEN) {
-    onepieceCircuitOpen = true;
-    onepieceCircuitOpenTime = Date.now();
-    log.warn(`🔴 Circuit breaker One Piece: OUVERT après ${consecutiveFailures} échecs consécutifs`);
-    log.warn(`   Retry dans ${CIRCUIT_COOLDOWN / 60000} minutes`);
+  if (isCloudflareBlock) {
+    onepieceGuard.breaker.recordFailure('Blocage Cloudflare');
   }
 }
 
@@ -178,7 +157,7 @@ async function scrapePage(url, maxTimeout = 60000) {
   try {
     log.debug(` Requête FlareSolverr: ${url}`);
     
-    const response = await fetch(FSR_URL, {
+    const response = await httpRequest(FSR_URL, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -186,7 +165,9 @@ async function scrapePage(url, maxTimeout = 60000) {
         url: url,
         maxTimeout: maxTimeout
       }),
-      signal: AbortSignal.timeout(maxTimeout + 5000)
+      timeout: maxTimeout + 5000,
+      source: 'tcg_onepiece',
+      via: 'flaresolverr'
     });
 
     if (!response.ok) {
@@ -232,10 +213,11 @@ export async function getAllOnePieceCards(options = {}) {
   }
 
   // Vérifier circuit breaker
-  const availability = isOnePieceAvailable();
+  const availability = isOnePieceAvailable({ probe: true });
   if (!availability.available) {
     throw new Error(availability.reason);
   }
+  await onepieceGuard.bucket.take();
 
   // Vérifier VPN
   const vpnCheck = await checkVpnStatus();
@@ -256,8 +238,9 @@ export async function getAllOnePieceCards(options = {}) {
     
     // Pour le moment, on va télécharger directement le JSON (pas de Cloudflare sur ce domaine)
     // Si Cloudflare est ajouté plus tard, on utilisera FlareSolverr
-    const cardsRes = await fetch(cardsUrl, {
-      signal: AbortSignal.timeout(30000)
+    const cardsRes = await httpRequest(cardsUrl, {
+      timeout: 30000,
+      source: 'tcg_onepiece'
     });
     
     if (!cardsRes.ok) {
@@ -267,8 +250,9 @@ export async function getAllOnePieceCards(options = {}) {
     const cards = await cardsRes.json();
     
     // Télécharger aussi les métadonnées
-    const metaRes = await fetch(metaUrl, {
-      signal: AbortSignal.timeout(30000)
+    const metaRes = await httpRequest(metaUrl, {
+      timeout: 30000,
+      source: 'tcg_onepiece'
     });
     
     let meta = null;
@@ -15,29 +15,12 @@ import { logger } from '../../utils/logger.js';
 import { fetchViaProxy } from '../../utils/fetch-proxy.js';
 
 const BASE_URL = 'https://db.ygoprodeck.com/api/v7';
-const RATE_LIMIT_DELAY = 50; // 50ms entre requêtes (20 req/s)
-let lastRequestTime = 0;
-
-/**
- * Attendre pour respecter la rate limit
- */
-async function waitForRateLimit() {
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-  
-  if (timeSinceLastRequest < RATE_LIMIT_DELAY) {
-    await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY - timeSinceLastRequest));
-  }
-  
-  lastRequestTime = Date.now();
-}
 
 /**
  * Faire une requête à l'API YGOPRODeck
+ * (rate limit appliquée par fetchViaProxy, cf. PROVIDER_GUARDS.tcg_yugioh)
  */
 async function ygoprodeckRequest(endpoint, params = {}) {
-  await waitForRateLimit();
-  
   const queryParams = new URLSearchParams(params);
   const url = `${BASE_URL}${endpoint}${queryParams.toString() ? '?' + queryParams.toString() : ''}`;
   
@@ -9,7 +9,7 @@
 
 import { metrics } from '../utils/state.js';
 import { createLogger } from '../utils/logger.js';
-import { translateText, translateGenres, extractLangCode } from '../utils/translator.js';
+import { translateText, translateGenres, translateOverviews, extractLangCode } from '../utils/translator.js';
 import {
   TMDB_BASE_URL,
   TMDB_IMAGE_BASE_URL,
@@ -24,7 +24,8 @@ import {
   normalizeTmdbMovieSearch,
   normalizeTmdbMovieDetail,
   normalizeTmdbSeriesSearch,
-  normalizeTmdbSeriesDetail
+  normalizeTmdbSeriesDetail,
+  normalizeTmdbSeasonEpisodes
 } from '../normalizers/index.js';
 
 const log = createLogger('TMDB');
@@ -622,6 +623,98 @@ export async function getTmdbTvById(id, apiKey, options = {}) {
   }
 }
 
+// ============================================================================
+// ÉPISODES D'UNE SAISON
+// ============================================================================
+
+/**
+ * Appelle /tv/{id}/season/{n} dans une langue
+ * @returns {Promise<object|null>} - Saison brute TMDB, null si introuvable
+ */
+async function fetchTmdbSeason(id, seasonNumber, apiKey, lang) {
+  const params = new URLSearchParams({ api_key: apiKey, language: lang });
+  const response = await fetchViaProxy(`${TMDB_BASE_URL}/tv/${id}/season/${seasonNumber}?${params.toString()}`, {
+    method: 'GET',
+    headers: { 'Accept': 'application/json' }
+  });
+
+  if (!response.ok) {
+    if (response.status === 404) return null;
+    const errorText = await response.text();
+    throw new Error(`Erreur TMDB ${response.status}: ${errorText}`);
+  }
+  return response.json();
+}
+
+/**
+ * Récupère les épisodes d'une saison TMDB
+ * Avec autoTrad, les résumés absents dans la langue demandée sont repris
+ * de la version anglaise puis traduits.
+ * @param {string|number} id - ID de la série
+ * @param {number} seasonNumber - Numéro de saison (0 = épisodes spéciaux)
+ * @param {string} apiKey - Clé API TMDB
+ * @param {object} options - Options (lang, autoTrad)
+ * @returns {Promise<object|null>} - Saison et épisodes, null si introuvable
+ */
+export async function getTmdbTvSeason(id, seasonNumber, apiKey, options = {}) {
+  const { lang = 'fr-FR', autoTrad = false } = options;
+  const destLang = extractLangCode(lang);
+  const shouldTranslate = autoTrad === true || autoTrad === 1 || autoTrad === '1';
+
+  log.debug(`Récupération saison: ${id} S${seasonNumber}`);
+  metrics.sources.tmdb.requests++;
+
+  try {
+    const season = await fetchTmdbSeason(id, seasonNumber, apiKey, lang);
+    if (!season) return null;
+
+    const episodes = (season.episodes || []).map(e => ({
+      id: e.id,
+      seasonNumber: e.season_number,
+      number: e.episode_number,
+      name: e.name || null,
+      overview: e.overview || null,
+      airDate: e.air_date || null,
+      runtime: e.runtime || null,
+      still: e.still_path ? `${TMDB_IMAGE_BASE_URL}/w300${e.still_path}` : null,
+      episodeType: e.episode_type || null,
+      voteAverage: e.vote_average ?? null
+    }));
+
+    if (shouldTranslate && destLang && destLang !== 'en' && episodes.some(e => !e.overview)) {
+      const english = await fetchTmdbSeason(id, seasonNumber, apiKey, 'en-US');
+      const byId = new Map((english?.episodes || []).map(e => [e.id, e]));
+      for (const episode of episodes) {
+        if (!episode.overview) episode.overview = byId.get(episode.id)?.overview || null;
+      }
+    }
+
+    if (shouldTranslate && destLang) {
+      await translateOverviews(episodes, destLang);
+    }
+
+    const result = {
+      id: season.id,
+      seriesId: Number(id),
+      seasonNumber: season.season_number,
+      name: season.name || null,
+      overview: season.overview || null,
+      airDate: season.air_date || null,
+      poster: season.poster_path ? `${TMDB_IMAGE_BASE_URL}/w500${season.poster_path}` : null,
+      episodes,
+      url: `https://www.themoviedb.org/tv/${id}/season/${season.season_number}`,
+      source: 'tmdb'
+    };
+
+    log.debug(`✅ Saison récupérée: ${id} S${seasonNumber} (${episodes.length} épisodes)`);
+    return result;
+
+  } catch (err) {
+    metrics.sources.tmdb.errors++;
+    throw err;
+  }
+}
+
 // ============================================================================
 // FONCTIONS NORMALISÉES v3.0.0
 // ============================================================================
@@ -673,3 +766,16 @@ export async function getTmdbTvByIdNormalized(id, apiKey, options = {}) {
   const result = await getTmdbTvById(id, apiKey, options);
   return normalizeTmdbSeriesDetail(result);
 }
+
+/**
+ * Épisodes d'une saison TMDB normalisés
+ * @param {string|number} id - ID de la série
+ * @param {number} seasonNumber - Numéro de saison
+ * @param {string} apiKey - Clé API TMDB
+ * @param {object} options - Options
+ * @returns {Promise<object|null>} - Saison normalisée
+ */
+export async function getTmdbTvSeasonNormalized(id, seasonNumber, apiKey, options = {}) {
+  const result = await getTmdbTvSeason(id, seasonNumber, apiKey, options);
+  return result ? normalizeTmdbSeasonEpisodes(result) : null;
+}
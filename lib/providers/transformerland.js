@@ -8,6 +8,7 @@
  */
 
 import { createLogger } from '../utils/logger.js';
+import { withRetry } from '../utils/http-client.js';
 import { translateText, extractLangCode } from '../utils/translator.js';
 import { decodeHtmlEntities } from '../utils/helpers.js';
 import {
@@ -45,11 +46,7 @@ const log = createLogger('Transformerland');
 export async function searchTransformerland(term, maxResults = TRANSFORMERLAND_DEFAULT_MAX, retries = MAX_RETRIES) {
   const cacheKey = `transformerland:search:${term}:${maxResults}`;
   
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt < retries) {
-    attempt++;
+  return withRetry(async (attempt) => {
     try {
       log.debug(`Tentative ${attempt}/${retries} pour recherche: "${term}"`);
       
@@ -136,15 +133,11 @@ export async function searchTransformerland(term, maxResults = TRANSFORMERLAND_D
       return result;
       
     } catch (err) {
-      lastError = err;
       log.error(`Erreur tentative ${attempt}: ${err.message}`);
       await cleanupFsrSession();
-      if (attempt >= retries) break;
-      await new Promise(r => setTimeout(r, 2000 * attempt));
+      throw err;
     }
-  }
-  
-  throw lastError || new Error("Échec après toutes les tentatives");
+  }, { attempts: retries });
 }
 
 // ============================================================================
@@ -184,11 +177,7 @@ export async function getTransformerlandItemDetails(itemId, retries = MAX_RETRIE
   
   const cacheKey = `transformerland:item:${itemId}:${shouldTranslate ? 'trad' : 'notrad'}:${destLang || 'none'}`;
   
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt < retries) {
-    attempt++;
+  return withRetry(async (attempt) => {
     try {
       log.debug(`Tentative ${attempt}/${retries} pour item: "${itemId}"`);
       
@@ -485,15 +474,11 @@ export async function getTransformerlandItemDetails(itemId, retries = MAX_RETRIE
       return item;
 
     } catch (err) {
-      lastError = err;
       log.error(`Erreur tentative ${attempt}: ${err.message}`);
       await cleanupFsrSession();
-      if (attempt >= retries) break;
-      await new Promise(r => setTimeout(r, 2000 * attempt));
+      throw err;
     }
-  }
-  
-  throw lastError || new Error("Échec après toutes les tentatives");
+  }, { attempts: retries });
 }
 
 // ============================================================================
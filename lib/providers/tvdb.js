@@ -10,7 +10,7 @@
 
 import { metrics } from '../utils/state.js';
 import { createLogger } from '../utils/logger.js';
-import { translateText, translateGenres, extractLangCode } from '../utils/translator.js';
+import { translateText, translateGenres, translateOverviews, extractLangCode } from '../utils/translator.js';
 import {
   TVDB_BASE_URL,
   TVDB_DEFAULT_MAX,
@@ -23,7 +23,8 @@ import {
   normalizeTvdbMovieSearch,
   normalizeTvdbMovieDetail,
   normalizeTvdbSeriesSearch,
-  normalizeTvdbSeriesDetail
+  normalizeTvdbSeriesDetail,
+  normalizeTvdbEpisodes
 } from '../normalizers/index.js';
 
 const log = createLogger('TVDB');
@@ -59,10 +60,8 @@ function toIso6392(lang) {
 // CACHE GLOBAL POUR TOKENS TVDB
 // ============================================================================
 
-const tvdbTokenCache = {
-  token: null,
-  expiresAt: 0
-};
+// Un token par clé API (clés clients, clé serveur du coffre)
+const tvdbTokenCache = new Map();
 
 // ============================================================================
 // AUTHENTIFICATION
@@ -72,12 +71,15 @@ const tvdbTokenCache = {
  * Obtient un token d'accès TVDB
  * Token valide ~1 mois
  * @param {string} apiKey - Clé API TVDB
+ * @param {object} [options]
+ * @param {boolean} [options.forceRefresh=false] - Ignorer le token en cache (test de la clé)
  * @returns {Promise<string>} - Token d'accès
  */
-export async function getTvdbToken(apiKey) {
-  if (tvdbTokenCache.token && Date.now() < tvdbTokenCache.expiresAt) {
+export async function getTvdbToken(apiKey, { forceRefresh = false } = {}) {
+  const cached = tvdbTokenCache.get(apiKey);
+  if (!forceRefresh && cached && Date.now() < cached.expiresAt) {
     log.debug(`Utilisation du token en cache`);
-    return tvdbTokenCache.token;
+    return cached.token;
   }
   
   log.debug(`Obtention d'un nouveau token...`);
@@ -100,8 +102,10 @@ export async function getTvdbToken(apiKey) {
     const data = await response.json();
     
     // Le token TVDB est valide ~1 mois, on le cache pour 25 jours
-    tvdbTokenCache.token = data.data.token;
-    tvdbTokenCache.expiresAt = Date.now() + (25 * 24 * 60 * 60 * 1000);
+    tvdbTokenCache.set(apiKey, {
+      token: data.data.token,
+      expiresAt: Date.now() + (25 * 24 * 60 * 60 * 1000)
+    });
     
     log.debug(`✅ Token obtenu, expire dans 25 jours`);
     return data.data.token;
@@ -429,6 +433,16 @@ export async function getTvdbSeriesById(id, apiKey, options = {}) {
       // Infos saisons harmonisées avec IMDB
       totalSeasons: series.seasons?.filter(s => s.type?.name === 'Aired Order' || s.type?.id === 1).length || series.seasons?.length || 0,
       totalEpisodes: series.episodes?.length || null,
+      // Saisons (ordre de diffusion)
+      seasons: Array.isArray(series.seasons) ? series.seasons
+        .filter(s => s.type?.name === 'Aired Order' || s.type?.id === 1)
+        .map(s => ({
+          id: s.id,
+          number: s.number,
+          name: s.name || null,
+          year: s.year || null,
+          image: s.image || null
+        })) : [],
       
       companies: Array.isArray(series.companies) ? series.companies.map(c => ({
         id: c.id,
@@ -497,6 +511,132 @@ export async function getTvdbSeriesById(id, apiKey, options = {}) {
   }
 }
 
+// ============================================================================
+// ÉPISODES
+// ============================================================================
+
+// Ordres d'épisodes TVDB (season-type)
+export const TVDB_SEASON_TYPES = ['default', 'official', 'dvd', 'absolute', 'alternate', 'regional'];
+
+// Pages de 500 épisodes au plus (séries quotidiennes)
+const TVDB_EPISODES_MAX_PAGES = 10;
+
+/**
+ * Parcourt les pages d'épisodes d'une série TVDB
+ * @param {string} path - Chemin /series/{id}/episodes/{seasonType}[/{lang}]
+ * @param {number|null} season - Saison à filtrer
+ * @param {string} token - Token TVDB
+ * @returns {Promise<{series: object|null, episodes: Array}|null>} - null si introuvable
+ */
+async function fetchTvdbEpisodePages(path, season, token) {
+  const episodes = [];
+  let series = null;
+
+  for (let page = 0; page < TVDB_EPISODES_MAX_PAGES; page++) {
+    const params = new URLSearchParams({ page: String(page) });
+    if (season !== null) params.set('season', String(season));
+
+    const response = await fetchViaProxy(`${TVDB_BASE_URL}${path}?${params.toString()}`, {
+      headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' }
+    });
+
+    if (!response.ok) {
+      if (response.status === 404) return null;
+      const errorText = await response.text();
+      throw new Error(`Erreur TVDB ${response.status}: ${errorText}`);
+    }
+
+    const data = await response.json();
+    series = series || data.data?.series || null;
+    episodes.push(...(data.data?.episodes || []));
+    if (!data.links?.next) break;
+  }
+
+  return { series, episodes };
+}
+
+/**
+ * Récupère les épisodes d'une série TVDB
+ * Avec lang, les titres et résumés traduits par TVDB remplacent les originaux ;
+ * autoTrad ne traduit que les résumés sans traduction TVDB.
+ * @param {string|number} id - ID de la série
+ * @param {string} apiKey - Clé API TVDB
+ * @param {object} options - Options (lang, autoTrad, season, seasonType)
+ * @returns {Promise<object|null>} - Épisodes, null si série introuvable
+ */
+export async function getTvdbSeriesEpisodes(id, apiKey, options = {}) {
+  const { lang = null, autoTrad = false, season = null, seasonType = 'default' } = options;
+  const destLang = extractLangCode(lang);
+  const tvdbLang = toIso6392(lang);
+  const shouldTranslate = autoTrad === true || autoTrad === 1 || autoTrad === '1';
+
+  log.debug(`Récupération épisodes: ${id} (${seasonType}${season !== null ? `, saison ${season}` : ''}, lang: ${tvdbLang || 'default'})`);
+  metrics.sources.tvdb.requests++;
+
+  try {
+    const token = await getTvdbToken(apiKey);
+    const pages = await fetchTvdbEpisodePages(`/series/${id}/episodes/${seasonType}`, season, token);
+    if (!pages) return null;
+    const { series, episodes: raw } = pages;
+
+    // Traductions TVDB des épisodes dans la langue demandée
+    const translations = new Map();
+    if (tvdbLang) {
+      try {
+        const translated = await fetchTvdbEpisodePages(`/series/${id}/episodes/${seasonType}/${tvdbLang}`, season, token);
+        for (const e of translated?.episodes || []) {
+          translations.set(e.id, { name: e.name || null, overview: e.overview || null });
+        }
+      } catch (e) {
+        log.debug(`Pas de traduction ${tvdbLang} pour les épisodes de ${id}`);
+      }
+    }
+
+    const episodes = raw.map(e => ({
+      id: e.id,
+      seasonNumber: e.seasonNumber ?? null,
+      number: e.number ?? null,
+      absoluteNumber: e.absoluteNumber || null,
+      name: translations.get(e.id)?.name || e.name || null,
+      overview: translations.get(e.id)?.overview || e.overview || null,
+      airDate: e.aired || null,
+      runtime: e.runtime || null,
+      still: e.image || null,
+      finaleType: e.finaleType || null
+    }));
+
+    if (shouldTranslate && destLang) {
+      const untranslated = [];
+      episodes.forEach((episode, i) => {
+        if (translations.get(episode.id)?.overview) {
+          episode.overviewOriginal = raw[i].overview || null;
+          episode.overviewTranslated = episode.overview;
+        } else {
+          untranslated.push(episode);
+        }
+      });
+      await translateOverviews(untranslated, destLang);
+    }
+
+    const result = {
+      seriesId: Number(id),
+      name: series?.name || null,
+      seasonType,
+      seasonNumber: season,
+      episodes,
+      url: series?.slug ? `https://thetvdb.com/series/${series.slug}/allseasons/${seasonType === 'default' ? 'official' : seasonType}` : null,
+      source: 'tvdb'
+    };
+
+    log.debug(`✅ ${episodes.length} épisode(s) récupéré(s) pour ${id}`);
+    return result;
+
+  } catch (err) {
+    metrics.sources.tvdb.errors++;
+    throw err;
+  }
+}
+
 // ============================================================================
 // DÉTAILS FILM
 // ============================================================================
@@ -853,3 +993,15 @@ export async function getTvdbSeriesByIdNormalized(id, apiKey, options = {}) {
   const result = await getTvdbSeriesById(id, apiKey, options);
   return normalizeTvdbSeriesDetail(result);
 }
+
+/**
+ * Épisodes TVDB normalisés
+ * @param {string|number} id - ID de la série
+ * @param {string} apiKey - Clé API TVDB
+ * @param {object} options - Options
+ * @returns {Promise<object|null>} - Épisodes normalisés
+ */
+export async function getTvdbSeriesEpisodesNormalized(id, apiKey, options = {}) {
+  const result = await getTvdbSeriesEpisodes(id, apiKey, options);
+  return result ? normalizeTvdbEpisodes(result) : null;
+}
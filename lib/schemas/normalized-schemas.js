@@ -318,7 +318,8 @@ export const SERIES_SCHEMA = {
   episodes: {
     seasonCount: null,         // Nombre de saisons (number)
     episodeCount: null,        // Nombre total d'épisodes (number)
-    seasons: []                // Array de { number, episodeCount, airDate, name }
+    seasons: [],               // Array de { number, episodeCount, airDate, name }
+    list: []                   // Array de { episode_id, season_number, episode_number, code, title, air_date, runtime_minutes, still_url } (episode_id stable : épisodes vus)
   },
   
   // Équipe
@@ -0,0 +1,483 @@
+/**
+ * lib/schemas/openapi.js - Spécification OpenAPI 3.1 générée
+ * toys_api v4.1.2
+ *
+ * La spécification est construite à partir :
+ * - des routers Express enregistrés (chemins, méthodes, paramètres de chemin)
+ * - des middlewares des routes : validate*Params, requireParam, requireApiKey,
+ *   requireScope et providerGuard (propriété .openapi des fabriques)
+ * - des schémas de normalized-schemas.js (commentaires repris en descriptions)
+ * - des formats de réponse de routeHelpers.js
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { API_VERSION, AUTH_MODE } from '../config.js';
+import { SCHEMAS, SEARCH_RESULT_SCHEMA, PROVIDER_TYPE_MAP } from './normalized-schemas.js';
+import {
+  validateSearchParams,
+  validateDetailsParams,
+  validateCodeParams,
+  formatSearchResponse,
+  formatDetailResponse,
+  formatErrorResponse
+} from '../utils/routeHelpers.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('OpenAPI');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Suffixes de montage qui précisent le type de contenu (tmdb_movies, amazon_books…)
+const SUFFIX_TYPES = {
+  books: 'book',
+  movies: 'movie',
+  series: 'series',
+  anime: 'anime',
+  manga: 'manga',
+  music: 'music_album',
+  videogames: 'videogame',
+  toys: 'construct_toy',
+  consoles: 'console',
+  accessories: 'console'
+};
+
+// Paramètres query communs des endpoints normalisés (extractStandardParams)
+const STANDARD_QUERY = {
+  lang: { name: 'lang', in: 'query', schema: { type: 'string', default: 'fr' }, description: 'Langue (fr, en…) ou locale (fr-FR)' },
+  max: { name: 'max', in: 'query', schema: { type: 'integer' }, description: 'Nombre maximum de résultats' },
+  autoTrad: { name: 'autoTrad', in: 'query', schema: { type: 'boolean' }, description: 'Traduction automatique des descriptions' },
+  refresh: { name: 'refresh', in: 'query', schema: { type: 'boolean' }, description: 'Ignorer le cache PostgreSQL' }
+};
+
+// Métadonnées des middlewares de validation nommés
+const VALIDATORS = new Map([
+  [validateSearchParams, {
+    response: 'search',
+    query: [
+      { name: 'q', in: 'query', required: true, schema: { type: 'string' }, description: 'Terme de recherche' },
+      STANDARD_QUERY.lang, STANDARD_QUERY.max, STANDARD_QUERY.autoTrad, STANDARD_QUERY.refresh
+    ]
+  }],
+  [validateDetailsParams, {
+    response: 'details',
+    query: [
+      { name: 'detailUrl', in: 'query', required: true, schema: { type: 'string' }, description: 'URL fournie par /search (champ detailUrl)' },
+      STANDARD_QUERY.lang, STANDARD_QUERY.autoTrad, STANDARD_QUERY.refresh
+    ]
+  }],
+  [validateCodeParams, {
+    response: 'details',
+    query: [
+      { name: 'code', in: 'query', required: true, schema: { type: 'string' }, description: 'Code-barres (EAN, UPC, ISBN)' },
+      STANDARD_QUERY.lang, STANDARD_QUERY.autoTrad
+    ]
+  }]
+]);
+
+let cachedSpec = null;
+
+// ============================================================================
+// SCHÉMAS (normalized-schemas.js → JSON Schema)
+// ============================================================================
+
+/**
+ * Relève les commentaires de normalized-schemas.js par chemin de propriété
+ * Ex: "MOVIE_SCHEMA.ratings.imdb" → "Note IMDB"
+ * @returns {Map<string, string>}
+ */
+function readSchemaComments() {
+  const comments = new Map();
+  let source;
+  try {
+    source = readFileSync(fileURLToPath(new URL('./normalized-schemas.js', import.meta.url)), 'utf8');
+  } catch (err) {
+    log.warn(`Commentaires des schémas indisponibles: ${err.message}`);
+    return comments;
+  }
+
+  const stack = [];
+  for (const line of source.split('\n')) {
+    const start = line.match(/^export const (\w+) = \{/);
+    if (start) {
+      stack.length = 0;
+      stack.push(start[1]);
+      continue;
+    }
+    if (stack.length === 0) continue;
+
+    const prop = line.match(/^\s*(\w+):\s*(.*?)\s*(?:\/\/\s*(.*))?$/);
+    if (prop) {
+      const [, key, value, comment] = prop;
+      if (comment) comments.set([...stack, key].join('.'), comment.trim());
+      if (value.startsWith('{') && !value.includes('}')) stack.push(key);
+    } else if (/^\s*\}/.test(line)) {
+      stack.pop();
+    }
+  }
+  return comments;
+}
+
+/**
+ * Type JSON Schema déduit du commentaire d'un champ null
+ * "(number)", "(ISO string)", "(URL)", "(string ou null)"…
+ */
+function typeFromComment(comment) {
+  if (!comment) return {};
+  if (/\(ISO string\)/.test(comment)) return { type: ['string', 'null'], format: 'date-time' };
+  if (/\(URL\)/.test(comment)) return { type: ['string', 'null'], format: 'uri' };
+  const hint = comment.match(/\((string|number|boolean)(?: ou null)?\)/);
+  return hint ? { type: [hint[1], 'null'] } : {};
+}
+
+/**
+ * Convertit un objet exemple de normalized-schemas.js en JSON Schema
+ * @param {*} value - Valeur par défaut du schéma
+ * @param {string[]} path - Chemins de commentaires candidats (ex: ["MOVIE_SCHEMA", "BASE_SCHEMA"])
+ * @param {Map<string, string>} comments
+ */
+function toJsonSchema(value, paths, comments) {
+  const comment = paths.map(path => comments.get(path)).find(Boolean);
+  const description = comment ? { description: comment } : {};
+
+  if (value === null) return { ...typeFromComment(comment), ...description };
+  if (Array.isArray(value)) return { type: 'array', items: {}, ...description };
+  if (typeof value === 'object') {
+    const properties = {};
+    for (const [key, child] of Object.entries(value)) {
+      properties[key] = toJsonSchema(child, paths.map(path => `${path}.${key}`), comments);
+    }
+    return { type: 'object', properties, ...description };
+  }
+  return { type: typeof value === 'number' ? 'number' : typeof value, ...description };
+}
+
+/**
+ * Nom de composant d'un type normalisé (construct_toy → ConstructToy)
+ */
+function componentName(type) {
+  return type.split('_').map(part => part[0].toUpperCase() + part.slice(1)).join('');
+}
+
+/**
+ * Composants réutilisables : types normalisés et enveloppes de réponse
+ */
+function buildComponents() {
+  const comments = readSchemaComments();
+  const schemas = {};
+
+  for (const [type, schema] of Object.entries(SCHEMAS)) {
+    const constName = `${type.toUpperCase()}_SCHEMA`;
+    const jsonSchema = toJsonSchema(schema, [constName, 'BASE_SCHEMA'], comments);
+    if (typeof schema.type === 'string') {
+      jsonSchema.properties.type = { const: schema.type };
+    }
+    schemas[componentName(type)] = jsonSchema;
+  }
+
+  schemas.SearchResult = toJsonSchema(SEARCH_RESULT_SCHEMA, ['SEARCH_RESULT_SCHEMA'], comments);
+  schemas.SearchResult.required = ['type', 'source', 'sourceId', 'name', 'detailUrl'];
+
+  // Enveloppes générées depuis les formateurs réels des routes normalisées
+  const search = toJsonSchema(formatSearchResponse({ items: [], provider: '', query: '' }), [], comments);
+  search.properties.items = { type: 'array', items: { $ref: '#/components/schemas/SearchResult' } };
+  search.properties.cacheMatch = {
+    type: 'object',
+    properties: {
+      type: { const: 'similarity' },
+      score: { type: 'number' },
+      originalQuery: { type: 'string' },
+      message: { type: 'string' }
+    }
+  };
+  schemas.SearchResponse = search;
+
+  const detail = toJsonSchema(formatDetailResponse({ data: null, provider: '', id: '' }), [], comments);
+  schemas.DetailResponse = detail;
+
+  const error = toJsonSchema(formatErrorResponse({ error: '', code: 400 }), [], comments);
+  error.required = ['error'];
+  schemas.Error = error;
+
+  return {
+    schemas,
+    responses: {
+      Error: {
+        description: 'Erreur',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      }
+    },
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token client (/tokens)' },
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-Api-Key', description: 'Clé du provider amont (si le chiffrement est désactivé)' },
+      encryptedKey: { type: 'apiKey', in: 'header', name: 'X-Encrypted-Key', description: 'Clé du provider chiffrée (/crypto/encrypt)' }
+    }
+  };
+}
+
+// ============================================================================
+// ROUTES (routers Express → paths)
+// ============================================================================
+
+/**
+ * Chemin de montage d'un layer Express 4 (app.use('/lego', …))
+ * Reconstruit depuis layer.regexp, les paramètres depuis layer.keys
+ */
+function mountPath(layer) {
+  if (layer.regexp.fast_slash) return '';
+
+  let keyIndex = 0;
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\(\?:\\\/\(\[\^\/\]\+\?\)\)\??/g, () => `/:${layer.keys[keyIndex++]?.name || 'param'}`)
+    .replace(/\\(.)/g, '$1');
+}
+
+function joinPath(prefix, path) {
+  const joined = `${prefix}/${path}`.replace(/\/{2,}/g, '/');
+  return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+}
+
+function isUnder(path, prefix) {
+  return prefix === '/' || path === prefix || path.startsWith(`${prefix}/`);
+}
+
+/**
+ * Parcourt la pile Express et liste les routes avec leurs middlewares
+ * Les middlewares de montage (providerGuard, requireScope via router.use)
+ * s'appliquent aux routes situées sous leur chemin
+ */
+function collectRoutes(stack, prefix, inherited, routes) {
+  const scoped = [...inherited];
+
+  for (const layer of stack) {
+    if (layer.route) {
+      const paths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+      for (const path of paths.filter(p => typeof p === 'string')) {
+        const fullPath = joinPath(prefix, path);
+        const handlers = [
+          ...scoped.filter(m => isUnder(fullPath, m.path)).map(m => m.handle),
+          ...layer.route.stack.map(l => l.handle)
+        ];
+        for (const method of HTTP_METHODS.filter(m => layer.route.methods[m])) {
+          routes.push({ method, path: fullPath, group: prefix.split('/')[1] || 'system', handlers });
+        }
+      }
+    } else if (layer.handle?.stack) {
+      const path = joinPath(prefix, mountPath(layer));
+      collectRoutes(layer.handle.stack, path, scoped.filter(m => isUnder(path, m.path) || isUnder(m.path, path)), routes);
+    } else if (layer.handle?.openapi) {
+      scoped.push({ path: joinPath(prefix, mountPath(layer)), handle: layer.handle });
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * Liste les routes enregistrées dans l'application
+ * group : premier segment du chemin de montage ("system" pour les routes de app)
+ * @param {import('express').Application} app
+ * @returns {Array<{method: string, path: string, group: string, handlers: Function[]}>}
+ */
+export function listRoutes(app) {
+  return collectRoutes(app._router?.stack || [], '', [], []);
+}
+
+/**
+ * Index des endpoints par préfixe, pour /version
+ * Ex: { vault: ["/vault", "/vault/:provider (PUT, DELETE)"] }
+ * @param {import('express').Application} app
+ * @returns {Object<string, string[]>}
+ */
+export function getEndpointIndex(app) {
+  const byPath = new Map();
+  for (const { method, path, group } of listRoutes(app)) {
+    if (!byPath.has(path)) byPath.set(path, { group, methods: new Set() });
+    byPath.get(path).methods.add(method.toUpperCase());
+  }
+
+  const index = {};
+  for (const [path, { group, methods }] of byPath) {
+    const label = methods.size === 1 && methods.has('GET') ? path : `${path} (${[...methods].join(', ')})`;
+    (index[group] = index[group] || []).push(label);
+  }
+  return index;
+}
+
+/**
+ * Type normalisé servi sous un chemin de montage (/tmdb_movies → movie)
+ * @returns {string[]} Types candidats (vide si inconnu)
+ */
+function contentTypesFor(segment, provider) {
+  const suffix = segment.includes('_') ? segment.split('_').pop() : null;
+  if (suffix && SUFFIX_TYPES[suffix]) return [SUFFIX_TYPES[suffix]];
+
+  const mapped = PROVIDER_TYPE_MAP[provider] || PROVIDER_TYPE_MAP[segment] || PROVIDER_TYPE_MAP[segment.split('_')[0]];
+  if (!mapped) return [];
+  return (Array.isArray(mapped) ? mapped : [mapped]).filter(type => SCHEMAS[type]);
+}
+
+/**
+ * operationId stable : GET /vault/:provider/test → getVaultByProviderTest
+ */
+function operationIdFor(method, path) {
+  const words = path.split('/').filter(Boolean).flatMap(segment => {
+    const name = segment.startsWith(':') ? ['by', segment.slice(1)] : [segment];
+    return name.flatMap(part => part.split(/[^a-zA-Z0-9]+/)).filter(Boolean);
+  });
+  return method + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * Produit toutes les combinaisons d'exigences de sécurité
+ */
+function combineSecurity(base, extra) {
+  if (!extra.length) return base;
+  return base.flatMap(a => extra.map(b => ({ ...a, ...b })));
+}
+
+/**
+ * Construit l'opération OpenAPI d'une route
+ */
+function buildOperation(route, usedIds, globalSecurity) {
+  const group = route.group;
+  const meta = Object.assign({}, ...route.handlers.map(h => h.openapi).filter(Boolean));
+  const validator = route.handlers.map(h => VALIDATORS.get(h)).find(Boolean);
+  const params = [...route.handlers.map(h => h.openapi?.param).filter(Boolean)];
+  const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(m => m[1]);
+
+  let operationId = operationIdFor(route.method, route.path);
+  for (let n = 2; usedIds.has(operationId); n++) operationId = `${operationIdFor(route.method, route.path)}${n}`;
+  usedIds.add(operationId);
+
+  const parameters = pathParams.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+  for (const param of validator?.query || []) {
+    if (!pathParams.includes(param.name)) parameters.push(param);
+  }
+  for (const name of params) {
+    if (!pathParams.includes(name) && !parameters.some(p => p.name === name)) {
+      parameters.push({ name, in: 'query', required: true, schema: { type: 'string' } });
+    }
+  }
+
+  // Réponse 200 selon le type servi par le provider
+  const types = contentTypesFor(group, meta.provider);
+  const dataSchema = types.length === 1
+    ? { $ref: `#/components/schemas/${componentName(types[0])}` }
+    : types.length > 1 ? { oneOf: types.map(type => ({ $ref: `#/components/schemas/${componentName(type)}` })) } : {};
+
+  let okSchema = { type: 'object' };
+  if (validator?.response === 'search') {
+    okSchema = { $ref: '#/components/schemas/SearchResponse' };
+  } else if (validator?.response === 'details') {
+    okSchema = {
+      allOf: [
+        { $ref: '#/components/schemas/DetailResponse' },
+        { type: 'object', properties: { data: dataSchema } }
+      ]
+    };
+  }
+
+  const responses = {
+    200: { description: 'Succès', content: { 'application/json': { schema: okSchema } } }
+  };
+  if (validator || params.length) responses[400] = { $ref: '#/components/responses/Error' };
+  if (meta.apiKey || meta.scope || AUTH_MODE === 'required') responses[401] = { $ref: '#/components/responses/Error' };
+  if (meta.scope) responses[403] = { $ref: '#/components/responses/Error' };
+  if (AUTH_MODE !== 'off') responses[429] = { $ref: '#/components/responses/Error' };
+  if (meta.provider) responses[503] = { $ref: '#/components/responses/Error' };
+  responses.default = { $ref: '#/components/responses/Error' };
+
+  const operation = { operationId, tags: [group], parameters, responses };
+
+  if (meta.scope && AUTH_MODE !== 'off') {
+    operation.security = [{ bearerAuth: [meta.scope] }];
+  }
+  if (meta.apiKey) {
+    // Sans clé client, le serveur utilise la clé de son coffre (/vault) s'il en a une
+    operation.description = `Clé API ${meta.apiKey} : header du client ou clé stockée côté serveur`;
+    operation.security = combineSecurity(operation.security || globalSecurity, [{ apiKey: [] }, { encryptedKey: [] }, {}]);
+  }
+  if (['post', 'put', 'patch'].includes(route.method)) {
+    operation.requestBody = { required: false, content: { 'application/json': { schema: { type: 'object' } } } };
+  }
+
+  return operation;
+}
+
+/**
+ * Génère la spécification OpenAPI 3.1 de l'application
+ * Le résultat est mis en cache : les routes ne changent plus après le démarrage
+ *
+ * @param {import('express').Application} app
+ * @returns {object}
+ */
+export function getOpenApiSpec(app) {
+  if (cachedSpec) return cachedSpec;
+
+  const globalSecurity = AUTH_MODE === 'required' ? [{ bearerAuth: [] }]
+    : AUTH_MODE === 'optional' ? [{}, { bearerAuth: [] }]
+    : [{}];
+
+  const paths = {};
+  const usedIds = new Set();
+  for (const route of listRoutes(app)) {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = paths[path] || {};
+    if (!paths[path][route.method]) {
+      paths[path][route.method] = buildOperation(route, usedIds, globalSecurity);
+    }
+  }
+
+  cachedSpec = {
+    openapi: '3.1.0',
+    info: {
+      title: 'Toys API',
+      version: API_VERSION,
+      description: 'API REST multi-sources pour jouets, LEGO, jeux vidéo, BD, musique et collectibles'
+    },
+    servers: [{ url: '/' }],
+    security: globalSecurity,
+    tags: [...new Set(Object.values(paths).flatMap(ops => Object.values(ops).flatMap(op => op.tags)))]
+      .sort()
+      .map(name => ({ name })),
+    paths,
+    components: buildComponents()
+  };
+
+  log.info(`📘 Spécification OpenAPI générée (${Object.keys(paths).length} chemins)`);
+  return cachedSpec;
+}
+
+/**
+ * Vide le cache de la spécification (tests)
+ */
+export function resetOpenApiSpec() {
+  cachedSpec = null;
+}
+
+/**
+ * Page HTML du visualiseur (Swagger UI) pour une spécification
+ * @param {string} specUrl - URL de la spécification (ex: /openapi.json)
+ * @param {string} assetsUrl - URL des fichiers de swagger-ui-dist servis localement
+ * @returns {string}
+ */
+export function renderOpenApiViewer(specUrl, assetsUrl) {
+  return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+  <meta charset="utf-8">
+  <title>Toys API v${API_VERSION} - Documentation</title>
+  <link rel="stylesheet" href="${assetsUrl}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${assetsUrl}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui', deepLinking: true });
+  </script>
+</body>
+</html>`;
+}
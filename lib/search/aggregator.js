@@ -0,0 +1,349 @@
+/**
+ * lib/search/aggregator.js - Recherche unifiée multi-providers
+ * toys_api v4.1.2
+ *
+ * Interroge en parallèle les providers du registre (fonctions *Normalized),
+ * avec un timeout par provider, puis fusionne les résultats :
+ * - conversion au format SEARCH_RESULT_SCHEMA
+ * - déduplication inter-sources par ean / isbn / imdb_id
+ * - classement par pertinence
+ *
+ * Statut par provider : ok | timeout | error | skipped-no-key | circuit-open
+ * (circuit breaker partagé avec les routes, cf. utils/provider-guard.js ; seuls
+ * les appels amont de http-client l'alimentent, pas les erreurs remontées ici)
+ *
+ * @module search/aggregator
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { stringSimilarity } from '../utils/helpers.js';
+import { generateDetailUrl } from '../utils/routeHelpers.js';
+import { isbn10to13 } from '../normalizers/book.js';
+import { SEARCH_RESULT_SCHEMA } from '../schemas/normalized-schemas.js';
+import { SEARCH_PROVIDERS } from '../providers/registry.js';
+import { isProviderAvailable } from '../utils/provider-guard.js';
+import {
+  SEARCH_PROVIDER_TIMEOUT,
+  SEARCH_MAX_TIMEOUT,
+  SEARCH_DEFAULT_MAX_PER_PROVIDER
+} from '../config.js';
+
+const log = createLogger('Search');
+
+export const PROVIDER_STATUS = {
+  OK: 'ok',
+  TIMEOUT: 'timeout',
+  ERROR: 'error',
+  SKIPPED_NO_KEY: 'skipped-no-key',
+  CIRCUIT_OPEN: 'circuit-open'
+};
+
+// ============================================================================
+// UTILITAIRES
+// ============================================================================
+
+/**
+ * Exécute une promesse avec un timeout
+ * @param {Promise} promise
+ * @param {number} ms
+ * @returns {Promise}
+ */
+export function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`Timeout après ${ms}ms`);
+      err.code = 'TIMEOUT';
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Extrait le tableau de résultats quelle que soit la forme retournée
+ * par la fonction *Normalized (tableau, {results}, {data})
+ * @param {Array|object} raw
+ * @returns {Array}
+ */
+export function extractResultList(raw) {
+  if (!raw) return [];
+  if (Array.isArray(raw)) return raw;
+  return raw.results || raw.data || raw.items || [];
+}
+
+/**
+ * Normalise un ISBN en ISBN-13 (clé de déduplication)
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function normalizeIsbnKey(value) {
+  if (!value) return null;
+  const raw = Array.isArray(value) ? value[0] : value;
+  const cleaned = String(raw).replace(/[-\s]/g, '').toUpperCase();
+  if (/^\d{13}$/.test(cleaned)) return cleaned;
+  if (/^\d{9}[\dX]$/.test(cleaned)) return isbn10to13(cleaned);
+  return null;
+}
+
+/**
+ * Normalise un EAN/UPC en EAN-13 (clé de déduplication)
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function normalizeEanKey(value) {
+  if (!value) return null;
+  const cleaned = String(value).replace(/\D/g, '');
+  if (cleaned.length === 12) return `0${cleaned}`; // UPC-A → EAN-13
+  if (cleaned.length === 13 || cleaned.length === 8) return cleaned;
+  return null;
+}
+
+/**
+ * Normalise un identifiant IMDB (tt1234567)
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function normalizeImdbKey(value) {
+  if (!value) return null;
+  const match = String(value).toLowerCase().match(/tt\d{5,}/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Extrait l'année d'une valeur (nombre, date ISO, chaîne)
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toYear(value) {
+  if (!value) return null;
+  if (typeof value === 'number') return value;
+  const match = String(value).match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Convertit un résultat normalisé (format variable selon le provider)
+ * vers SEARCH_RESULT_SCHEMA + identifiants de déduplication
+ * @param {object} item - Résultat d'une fonction *Normalized
+ * @param {string} providerName - Nom du provider dans le registre
+ * @returns {object|null}
+ */
+export function toSearchResult(item, providerName) {
+  const provider = SEARCH_PROVIDERS[providerName];
+  if (!item || !provider) return null;
+
+  const sourceId = item.sourceId ?? item.provider_id ?? item.id ?? null;
+  const name = item.name || item.title || null;
+  if (!sourceId && !name) return null;
+
+  const image = Array.isArray(item.image) ? item.image[0] : item.image;
+
+  let detailUrl;
+  if (provider.keepDetailUrl) {
+    detailUrl = item.detailUrl || null;
+  } else if (sourceId) {
+    detailUrl = provider.detailProvider
+      ? `/${provider.route}/details?detailUrl=${encodeURIComponent(`/${provider.detailProvider}/${provider.detailType}/${sourceId}`)}`
+      : generateDetailUrl(provider.route, sourceId, provider.detailType);
+  } else {
+    detailUrl = null;
+  }
+
+  const result = {
+    ...SEARCH_RESULT_SCHEMA,
+    type: provider.type,
+    source: provider.source,
+    sourceId: sourceId !== null ? String(sourceId) : null,
+    name,
+    name_original: item.name_original || item.original_title || item.originalTitle || null,
+    description: item.description || item.synopsis || null,
+    year: toYear(item.year || item.release_date || item.releaseDate),
+    src_url: item.src_url || item.source_url || item.url || null,
+    image: image || item.poster_url || item.thumbnail || item.cover || null,
+    detailUrl
+  };
+
+  // Identifiants (uniquement s'ils sont fournis par le provider)
+  const ean = normalizeEanKey(item.ean || item.barcode || item.identifiers?.ean);
+  const isbn = normalizeIsbnKey(item.isbn || item.isbn13 || item.identifiers?.isbn);
+  const imdbId = normalizeImdbKey(
+    item.imdb_id || item.imdbId || item.externalIds?.imdb || (provider.source === 'imdb' ? sourceId : null)
+  );
+  if (ean) result.ean = ean;
+  if (isbn) result.isbn = isbn;
+  if (imdbId) result.imdb_id = imdbId;
+
+  return result;
+}
+
+// ============================================================================
+// FUSION / CLASSEMENT
+// ============================================================================
+
+/**
+ * Clés de déduplication d'un résultat
+ * @param {object} item
+ * @returns {string[]}
+ */
+function dedupKeys(item) {
+  const keys = [];
+  if (item.ean) keys.push(`ean:${item.ean}`);
+  if (item.isbn) keys.push(`isbn:${item.isbn}`);
+  if (item.imdb_id) keys.push(`imdb:${item.imdb_id}`);
+  return keys;
+}
+
+/**
+ * Fusionne les résultats partageant un ean / isbn / imdb_id
+ * Le premier résultat rencontré sert de base, les champs manquants
+ * sont complétés par les suivants. Chaque résultat fusionné liste ses
+ * sources dans `sources`.
+ * @param {Array} items - Résultats au format SEARCH_RESULT_SCHEMA
+ * @returns {Array}
+ */
+export function mergeResults(items) {
+  const merged = [];
+  const index = new Map();
+
+  for (const item of items) {
+    const keys = dedupKeys(item);
+    const existing = keys.map(k => index.get(k)).find(Boolean);
+    const ref = { source: item.source, sourceId: item.sourceId, detailUrl: item.detailUrl };
+
+    if (!existing) {
+      const entry = { ...item, sources: [ref], _rank: item._rank };
+      merged.push(entry);
+      keys.forEach(k => index.set(k, entry));
+      continue;
+    }
+
+    existing.sources.push(ref);
+    for (const [field, value] of Object.entries(item)) {
+      if (field.startsWith('_') || field === 'sources') continue;
+      if ((existing[field] === null || existing[field] === undefined) && value !== null && value !== undefined) {
+        existing[field] = value;
+      }
+    }
+    existing._rank = Math.min(existing._rank, item._rank);
+    dedupKeys(existing).forEach(k => index.set(k, existing));
+  }
+
+  return merged;
+}
+
+/**
+ * Calcule le score de pertinence d'un résultat
+ * - similarité du nom avec la requête (0-100)
+ * - bonus si trouvé par plusieurs sources
+ * - bonus pour les premiers résultats de chaque provider
+ * - bonus si une image est disponible
+ * @param {object} item
+ * @param {string} query
+ * @returns {number}
+ */
+export function scoreResult(item, query) {
+  const similarity = Math.max(
+    stringSimilarity(item.name || '', query),
+    stringSimilarity(item.name_original || '', query)
+  );
+  const multiSource = Math.min((item.sources?.length || 1) - 1, 3) * 10;
+  const position = Math.max(0, 10 - (item._rank || 0));
+  const image = item.image ? 2 : 0;
+  return Math.round((similarity * 100 + multiSource + position + image) * 10) / 10;
+}
+
+// ============================================================================
+// RECHERCHE
+// ============================================================================
+
+/**
+ * Recherche unifiée sur plusieurs providers
+ * @param {string} query - Terme de recherche
+ * @param {object} options
+ * @param {string[]} options.providers - Noms des providers (cf. SEARCH_PROVIDERS)
+ * @param {string} [options.lang] - Langue courte (fr, en…)
+ * @param {string} [options.locale] - Locale (fr-FR…)
+ * @param {number} [options.maxPerProvider] - Résultats demandés à chaque provider
+ * @param {number} [options.timeout] - Timeout par provider (ms)
+ * @param {Object<string, string>} [options.keys] - Clés API par provider (keyName)
+ * @returns {Promise<{results: Array, providers: object, total: number}>}
+ */
+export async function aggregateSearch(query, options = {}) {
+  const {
+    providers = [],
+    lang = 'fr',
+    locale = 'fr-FR',
+    maxPerProvider = SEARCH_DEFAULT_MAX_PER_PROVIDER,
+    keys = {}
+  } = options;
+  const timeout = Math.min(options.timeout || SEARCH_PROVIDER_TIMEOUT, SEARCH_MAX_TIMEOUT);
+
+  const status = {};
+
+  const tasks = providers.map(async (name) => {
+    const provider = SEARCH_PROVIDERS[name];
+    const apiKey = provider.keyName ? (keys[provider.keyName] || null) : null;
+
+    if (provider.keyName && !apiKey && !provider.optionalKey) {
+      status[name] = { status: PROVIDER_STATUS.SKIPPED_NO_KEY, count: 0, duration: 0 };
+      return [];
+    }
+
+    const availability = isProviderAvailable(provider.source);
+    if (!availability.available) {
+      status[name] = {
+        status: PROVIDER_STATUS.CIRCUIT_OPEN,
+        count: 0,
+        duration: 0,
+        retryAfter: availability.retryAfter
+      };
+      return [];
+    }
+
+    const start = Date.now();
+    try {
+      const raw = await withTimeout(
+        Promise.resolve().then(() => provider.search(query, { lang, locale, max: maxPerProvider, apiKey })),
+        timeout
+      );
+      const items = extractResultList(raw)
+        .slice(0, maxPerProvider)
+        .map(item => toSearchResult(item, name))
+        .filter(Boolean)
+        .map((item, i) => ({ ...item, _rank: i }));
+
+      status[name] = { status: PROVIDER_STATUS.OK, count: items.length, duration: Date.now() - start };
+      return items;
+    } catch (err) {
+      const isTimeout = err.code === 'TIMEOUT';
+      status[name] = {
+        status: isTimeout ? PROVIDER_STATUS.TIMEOUT : PROVIDER_STATUS.ERROR,
+        count: 0,
+        duration: Date.now() - start,
+        error: err.message
+      };
+      if (isTimeout) {
+        log.warn(`${name}: timeout (${timeout}ms) pour "${query}"`);
+      } else {
+        log.error(`${name}: ${err.message}`);
+      }
+      return [];
+    }
+  });
+
+  // Conserver l'ordre des providers demandés (priorité en cas de fusion)
+  const perProvider = await Promise.all(tasks);
+  const merged = mergeResults(perProvider.flat());
+
+  const results = merged
+    .map(item => ({ ...item, score: scoreResult(item, query) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ _rank, ...item }) => item);
+
+  log.debug(`"${query}": ${results.length} résultats fusionnés depuis ${providers.length} providers`);
+
+  return { results, providers: status, total: results.length };
+}
+
+export default aggregateSearch;
@@ -0,0 +1,398 @@
+/**
+ * lib/search/authors.js - Bibliographie d'un auteur multi-providers
+ * toys_api v4.1.2
+ *
+ * Interroge en parallèle les recherches par auteur (Bedetheque, MangaDex,
+ * Google Books, Open Library), puis :
+ * - fusionne les œuvres en double par ISBN ou titre proche (stringSimilarity)
+ * - regroupe les œuvres par série, avec les rôles de l'auteur
+ *   (writer / artist / colorist… ; author si le provider ne les distingue pas)
+ * - construit l'identité de l'auteur (clés Open Library, ID MangaDex et Bedetheque)
+ *
+ * Rôles Bedetheque : fiches album du cache (authorsDetailed), la page auteur
+ * ne les donne pas.
+ *
+ * @module search/authors
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { stringSimilarity, normalizeString } from '../utils/helpers.js';
+import { generateDetailUrl } from '../utils/routeHelpers.js';
+import { queryAll, isDatabaseConnected } from '../database/connection.js';
+import { searchBedethequeByAuthor } from '../providers/bedetheque.js';
+import { searchMangaDexByAuthor } from '../providers/mangadex.js';
+import { searchGoogleBooksByAuthor } from '../providers/googlebooks.js';
+import { searchOpenLibraryByAuthor } from '../providers/openlibrary.js';
+import { PROVIDER_STATUS, withTimeout, normalizeIsbnKey } from './aggregator.js';
+import { isProviderAvailable } from '../utils/provider-guard.js';
+import { SEARCH_MAX_TIMEOUT } from '../config.js';
+
+const log = createLogger('Authors');
+
+// Similarité minimale de deux titres (même œuvre) et d'un nom d'auteur Open Library
+const TITLE_MATCH = 0.9;
+const NAME_MATCH = 0.8;
+// Longueur min d'un nom de série pour y rattacher un titre qui commence par ce nom
+const MIN_SERIES_PREFIX = 4;
+
+/**
+ * Année d'une date provider
+ */
+function toYear(value) {
+  const match = value ? String(value).match(/\d{4}/) : null;
+  return match ? parseInt(match[0], 10) : null;
+}
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+/**
+ * Recherches par auteur (ordre = priorité lors de la fusion)
+ * - keyName : clé API (X-Api-Key ou coffre), null si aucune
+ * - search  : async (name, { max, apiKey }) => { identity, works }
+ *   works : { title, year, isbn, tome, image, url, series, roles, sourceId, detailUrl }
+ */
+export const AUTHOR_PROVIDERS = {
+  bedetheque: {
+    keyName: null,
+    search: async (name, { max }) => {
+      const result = await searchBedethequeByAuthor(name, { max });
+      return {
+        identity: result.authorId ? { name: result.author, id: result.authorId, url: result.authorUrl || null } : null,
+        works: (result.albums || []).map(album => ({
+          title: album.title,
+          year: null,
+          isbn: null,
+          tome: album.tome ?? null,
+          image: album.image?.[0] || null,
+          url: album.url || null,
+          series: album.serie?.name ? { name: album.serie.name, source: 'bedetheque', id: String(album.serie.id) } : null,
+          roles: [],
+          sourceId: String(album.id),
+          detailUrl: generateDetailUrl('bedetheque', album.id, 'album')
+        }))
+      };
+    }
+  },
+  mangadex: {
+    keyName: null,
+    search: async (name, { max }) => {
+      const result = await searchMangaDexByAuthor(name, { max });
+      return {
+        identity: result.authorId
+          ? { name: result.author, id: result.authorId, url: `https://mangadex.org/author/${result.authorId}` }
+          : null,
+        // Un manga MangaDex est une série entière
+        works: (result.manga || []).map(manga => ({
+          title: manga.title,
+          year: toYear(manga.releaseDate),
+          isbn: null,
+          tome: null,
+          image: manga.images?.[0] || null,
+          url: manga.link || null,
+          series: { name: manga.title, source: 'mangadex', id: manga.id },
+          roles: manga.roles || [],
+          sourceId: manga.id,
+          detailUrl: generateDetailUrl('mangadex', manga.id, 'manga')
+        }))
+      };
+    }
+  },
+  googlebooks: {
+    keyName: 'googlebooks',
+    search: async (name, { max, apiKey }) => {
+      const result = await searchGoogleBooksByAuthor(name, apiKey, { maxResults: Math.min(max, 40) });
+      return {
+        identity: null,
+        works: (result.books || []).map(book => ({
+          title: book.title,
+          year: toYear(book.releaseDate),
+          isbn: normalizeIsbnKey(book.isbn),
+          tome: null,
+          image: book.image?.[0] || null,
+          url: book.previewLink || `https://books.google.com/books?id=${book.id}`,
+          series: null,
+          roles: ['author'],
+          sourceId: book.id,
+          detailUrl: generateDetailUrl('googlebooks', book.id, 'book')
+        }))
+      };
+    }
+  },
+  openlibrary: {
+    keyName: null,
+    search: async (name, { max }) => {
+      const result = await searchOpenLibraryByAuthor(name, { max });
+      const books = (result.books || []).filter(book => book.id);
+      return {
+        identity: openLibraryIdentity(name, books),
+        works: books.map(book => ({
+          title: book.title,
+          year: toYear(book.releaseDate),
+          isbn: normalizeIsbnKey(book.isbn),
+          tome: null,
+          image: book.image?.[0] || null,
+          url: book.url || null,
+          series: null,
+          roles: ['author'],
+          sourceId: book.id,
+          detailUrl: generateDetailUrl('openlibrary', book.id, 'book')
+        }))
+      };
+    }
+  }
+};
+
+/**
+ * Clés auteur Open Library correspondant au nom recherché (les plus fréquentes d'abord)
+ * author_key et author_name sont alignés dans chaque document
+ * @param {string} name
+ * @param {object[]} books - Livres de searchOpenLibraryByAuthor (authorKeys, authors)
+ * @returns {object|null} { name, ids, url }
+ */
+export function openLibraryIdentity(name, books) {
+  const counts = new Map();
+  for (const book of books) {
+    (book.authorKeys || []).forEach((key, i) => {
+      const authorName = book.authors?.[i];
+      if (!authorName || stringSimilarity(authorName, name) < NAME_MATCH) return;
+      const entry = counts.get(key) || { key, name: authorName, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    });
+  }
+
+  const keys = [...counts.values()].sort((a, b) => b.count - a.count);
+  if (keys.length === 0) return null;
+  return {
+    name: keys[0].name,
+    ids: keys.map(entry => entry.key),
+    url: `https://openlibrary.org/authors/${keys[0].key}`
+  };
+}
+
+/**
+ * Rôles de l'auteur dans les albums Bedetheque du cache (fiches détaillées)
+ * @param {number} authorId - ID auteur Bedetheque
+ * @param {string[]} albumIds
+ * @returns {Promise<Map<string, string[]>>} albumId → rôles
+ */
+async function cachedBedethequeRoles(authorId, albumIds) {
+  const roles = new Map();
+  if (!authorId || albumIds.length === 0 || !isDatabaseConnected()) return roles;
+
+  try {
+    const rows = await queryAll(`
+      SELECT COALESCE(data->>'sourceId', source_id) AS album_id, data->'authorsDetailed' AS authors
+      FROM items
+      WHERE source = 'bedetheque' AND jsonb_typeof(data->'authorsDetailed') = 'array'
+        AND COALESCE(data->>'sourceId', source_id) = ANY($1)
+    `, [albumIds]);
+
+    for (const row of rows) {
+      const albumRoles = row.authors
+        .filter(author => Number(author.id) === Number(authorId))
+        .map(author => author.roleEn || String(author.role || '').toLowerCase())
+        .filter(Boolean);
+      if (albumRoles.length > 0) roles.set(row.album_id, [...new Set(albumRoles)]);
+    }
+  } catch (err) {
+    log.warn(`Rôles Bedetheque indisponibles: ${err.message}`);
+  }
+  return roles;
+}
+
+// ============================================================================
+// FUSION / REGROUPEMENT
+// ============================================================================
+
+/**
+ * Même œuvre : ISBN identique, sinon titres proches (tomes différents exclus)
+ */
+function sameWork(a, b) {
+  if (a.isbn && b.isbn) return a.isbn === b.isbn;
+  if (a.tome !== null && b.tome !== null && a.tome !== b.tome) return false;
+  // Une série MangaDex ne se confond qu'avec la même série
+  if (a.series?.source === 'mangadex' && b.series?.source === 'mangadex') return a.series.id === b.series.id;
+  return stringSimilarity(a.title || '', b.title || '') >= TITLE_MATCH;
+}
+
+/**
+ * Fusionne les œuvres en double entre providers
+ * La première occurrence sert de base (ordre de AUTHOR_PROVIDERS), les champs
+ * manquants sont complétés par les suivantes ; sources et rôles sont cumulés.
+ * @param {Array<{source: string, works: object[]}>} perProvider
+ * @returns {object[]}
+ */
+export function mergeWorks(perProvider) {
+  const merged = [];
+
+  for (const { source, works } of perProvider) {
+    for (const work of works) {
+      const ref = { source, sourceId: work.sourceId, url: work.url, detailUrl: work.detailUrl };
+      const existing = merged.find(candidate => sameWork(candidate, work));
+
+      if (!existing) {
+        const { sourceId, detailUrl, url, ...fields } = work;
+        merged.push({ ...fields, roles: [...work.roles], sources: [ref] });
+        continue;
+      }
+
+      existing.sources.push(ref);
+      for (const field of ['isbn', 'tome', 'image', 'series']) {
+        if (existing[field] === null && work[field] !== null) existing[field] = work[field];
+      }
+      if (work.year && (!existing.year || work.year < existing.year)) existing.year = work.year;
+      existing.roles = [...new Set([...existing.roles, ...work.roles])];
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Regroupe les œuvres par série
+ * Une œuvre sans série rejoint celle dont le nom commence son titre
+ * @param {object[]} works - Résultat de mergeWorks
+ * @returns {{series: object[], standalone: object[]}}
+ */
+export function groupBySeries(works) {
+  const groups = new Map();
+  for (const work of works) {
+    if (!work.series) continue;
+    const key = normalizeString(work.series.name);
+    if (!groups.has(key)) {
+      groups.set(key, { name: work.series.name, sources: [], roles: [], works: [] });
+    }
+  }
+
+  const standalone = [];
+  for (const work of works) {
+    let key = work.series ? normalizeString(work.series.name) : null;
+    if (!key) {
+      const title = normalizeString(work.title);
+      key = [...groups.keys()]
+        .filter(name => name.length >= MIN_SERIES_PREFIX && title.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0] || null;
+    }
+    if (!key) {
+      standalone.push(work);
+      continue;
+    }
+
+    const group = groups.get(key);
+    const { series, ...entry } = work;
+    group.works.push(entry);
+    group.roles = [...new Set([...group.roles, ...work.roles])];
+    if (series && !group.sources.some(s => s.source === series.source && s.id === series.id)) {
+      group.sources.push({ source: series.source, id: series.id });
+    }
+  }
+
+  const byTomeThenYear = (a, b) => (a.tome ?? Infinity) - (b.tome ?? Infinity) || (a.year ?? Infinity) - (b.year ?? Infinity);
+  const series = [...groups.values()]
+    .map(group => ({ ...group, works: group.works.sort(byTomeThenYear) }))
+    .sort((a, b) => b.works.length - a.works.length || a.name.localeCompare(b.name));
+
+  return { series, standalone: standalone.sort(byTomeThenYear) };
+}
+
+// ============================================================================
+// BIBLIOGRAPHIE
+// ============================================================================
+
+/**
+ * Bibliographie d'un auteur agrégée sur les providers
+ * @param {string} name - Nom de l'auteur
+ * @param {object} [options]
+ * @param {string[]} [options.providers] - Clés de AUTHOR_PROVIDERS (défaut: toutes)
+ * @param {number} [options.max=20] - Résultats demandés à chaque provider
+ * @param {number} [options.timeout] - Timeout par provider (ms, max SEARCH_MAX_TIMEOUT)
+ * @param {Object<string, string>} [options.keys] - Clés API par provider (keyName)
+ * @returns {Promise<object>} { query, identity, roles, series, standalone, counts, providers }
+ */
+export async function getAuthorBibliography(name, options = {}) {
+  const {
+    providers = Object.keys(AUTHOR_PROVIDERS),
+    max = 20,
+    keys = {}
+  } = options;
+  const timeout = Math.min(options.timeout || SEARCH_MAX_TIMEOUT, SEARCH_MAX_TIMEOUT);
+
+  const status = {};
+  const identities = {};
+
+  const tasks = providers.map(async (source) => {
+    const provider = AUTHOR_PROVIDERS[source];
+    const apiKey = provider.keyName ? (keys[provider.keyName] || null) : null;
+
+    if (provider.keyName && !apiKey) {
+      status[source] = { status: PROVIDER_STATUS.SKIPPED_NO_KEY, count: 0, duration: 0 };
+      return { source, works: [] };
+    }
+
+    const availability = isProviderAvailable(source);
+    if (!availability.available) {
+      status[source] = { status: PROVIDER_STATUS.CIRCUIT_OPEN, count: 0, duration: 0, retryAfter: availability.retryAfter };
+      return { source, works: [] };
+    }
+
+    const start = Date.now();
+    try {
+      const result = await withTimeout(provider.search(name, { max, apiKey }), timeout);
+      status[source] = { status: PROVIDER_STATUS.OK, count: result.works.length, duration: Date.now() - start };
+      if (result.identity) identities[source] = result.identity;
+      return { source, works: result.works };
+    } catch (err) {
+      const isTimeout = err.code === 'TIMEOUT';
+      status[source] = {
+        status: isTimeout ? PROVIDER_STATUS.TIMEOUT : PROVIDER_STATUS.ERROR,
+        count: 0,
+        duration: Date.now() - start,
+        error: err.message
+      };
+      log.warn(`${source}: ${err.message} ("${name}")`);
+      return { source, works: [] };
+    }
+  });
+
+  const perProvider = await Promise.all(tasks);
+
+  // Rôles Bedetheque depuis les fiches album en cache
+  const bedetheque = perProvider.find(entry => entry.source === 'bedetheque');
+  if (bedetheque?.works.length) {
+    const roles = await cachedBedethequeRoles(identities.bedetheque?.id, bedetheque.works.map(work => work.sourceId));
+    for (const work of bedetheque.works) {
+      work.roles = roles.get(work.sourceId) || [];
+    }
+  }
+
+  const works = mergeWorks(perProvider);
+  const { series, standalone } = groupBySeries(works);
+
+  const identity = {
+    name: identities.openlibrary?.name || identities.mangadex?.name || identities.bedetheque?.name || name,
+    aliases: [...new Set(Object.values(identities).map(entry => entry.name).filter(Boolean))],
+    ids: {
+      openlibrary: identities.openlibrary?.ids || [],
+      mangadex: identities.mangadex?.id || null,
+      bedetheque: identities.bedetheque?.id || null
+    },
+    links: Object.fromEntries(Object.entries(identities).map(([source, entry]) => [source, entry.url]).filter(([, url]) => url))
+  };
+
+  log.debug(`"${name}": ${works.length} œuvres fusionnées, ${series.length} séries`);
+
+  return {
+    query: name,
+    identity,
+    roles: [...new Set(works.flatMap(work => work.roles))],
+    counts: { works: works.length, series: series.length, standalone: standalone.length },
+    series,
+    standalone,
+    providers: status
+  };
+}
+
+export default getAuthorBibliography;
@@ -48,9 +48,16 @@ export function errorHandler(err, req, res, next) {
       statusCode = 401;
     } else if (err.message?.includes('rate limit') || err.message?.includes('trop de requêtes') || err.message?.includes('429')) {
       statusCode = 429;
+    } else if (err.message?.includes('temporairement indisponible')) {
+      statusCode = 503;
     }
   }
   
+  // Circuit breaker ouvert (ProviderUnavailableError)
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+  
   res.status(statusCode).json({
     error: err.message || 'Erreur interne du serveur',
     timestamp: new Date().toISOString()
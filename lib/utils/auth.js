@@ -0,0 +1,156 @@
+/**
+ * lib/utils/auth.js - Authentification des clients par token
+ * toys_api v4.1.2
+ *
+ * Header "Authorization: Bearer <token>" (X-Api-Key reste la clé du provider amont).
+ * AUTH_MODE :
+ * - off      : aucun contrôle (comportement historique) ; tout appel peut utiliser
+ *              les clés du coffre (instance mono-utilisateur)
+ * - optional : requêtes anonymes acceptées, routes admin réservées au scope admin
+ *              et routes par utilisateur (/collection, /follows…) à un token lié à un utilisateur
+ * - required : token obligatoire hors routes publiques (/health, /version, /openapi.json, /docs)
+ *   et flux iCalendar à clé secrète (/calendar/feed/:key)
+ */
+
+import { AUTH_MODE } from '../config.js';
+import { isDatabaseConnected } from '../database/connection.js';
+import { resolveToken, recordTokenUsage, hasScope } from '../database/api-tokens.js';
+import { createLogger } from './logger.js';
+import { getUserId } from './routeHelpers.js';
+
+const log = createLogger('Auth');
+
+// Routes accessibles sans token en mode required
+const PUBLIC_PATHS = ['/health', '/version', '/openapi.json', '/docs'];
+// Préfixes publics : la clé du chemin tient lieu de token (agendas abonnés),
+// fichiers statiques du visualiseur /docs
+const PUBLIC_PREFIXES = ['/calendar/feed/', '/docs/assets/'];
+
+/**
+ * Route accessible sans token
+ * @param {string} path
+ * @returns {boolean}
+ */
+function isPublicPath(path) {
+  return PUBLIC_PATHS.includes(path) || PUBLIC_PREFIXES.some(prefix => path.startsWith(prefix));
+}
+
+/**
+ * Extrait le token client du header Authorization
+ * @param {object} req - Request Express
+ * @returns {string|null}
+ */
+export function extractBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Middleware global : résout le token (req.apiToken), compte l'usage et applique le quota
+ *
+ * @example
+ * // Dans index.js, avant le montage des routers
+ * app.use(authenticate);
+ */
+export async function authenticate(req, res, next) {
+  if (AUTH_MODE === 'off') return next();
+
+  try {
+    const token = extractBearerToken(req);
+    if (!token) {
+      if (AUTH_MODE === 'required' && !isPublicPath(req.path)) {
+        return res.status(401).json({
+          error: 'Token requis',
+          hint: 'Utilisez le header Authorization: Bearer <token>'
+        });
+      }
+      return next();
+    }
+
+    const principal = await resolveToken(token);
+    if (!principal) {
+      if (!isDatabaseConnected()) {
+        return res.status(503).json({ error: 'Base de données non connectée', hint: 'Seul ADMIN_TOKEN est accepté' });
+      }
+      return res.status(401).json({ error: 'Token invalide ou révoqué' });
+    }
+    req.apiToken = principal;
+
+    const usage = await recordTokenUsage(principal);
+    if (usage?.limit) {
+      res.set('X-Quota-Limit', String(usage.limit));
+      res.set('X-Quota-Remaining', String(usage.remaining));
+    }
+    if (usage?.exceeded) {
+      log.warn(`Quota dépassé pour le token #${principal.id} "${principal.name}" (${usage.limit}/jour)`);
+      res.set('Retry-After', String(usage.resetIn));
+      return res.status(429).json({
+        error: 'Quota journalier dépassé',
+        limit: usage.limit,
+        retryAfter: usage.resetIn
+      });
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Le client peut-il consommer les clés provider du coffre serveur ?
+ * Réservé aux tokens authentifiés avec le scope read (admin inclus) :
+ * un appel anonyme doit fournir sa propre clé. Sans contrôle (AUTH_MODE=off),
+ * tout appel y a accès.
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+export function canUseServerKeys(req) {
+  if (AUTH_MODE === 'off') return true;
+  return Boolean(req.apiToken) && hasScope(req.apiToken, 'read');
+}
+
+/**
+ * Middleware qui exige un scope (admin inclut read)
+ * Sans effet si AUTH_MODE=off
+ * @param {string} scope - 'read' ou 'admin'
+ * @returns {Function} Middleware Express
+ *
+ * @example
+ * app.delete("/cache", requireScope('admin'), (req, res) => { ... });
+ */
+export function requireScope(scope) {
+  const middleware = (req, res, next) => {
+    if (AUTH_MODE === 'off') return next();
+
+    if (!req.apiToken) {
+      return res.status(401).json({
+        error: `Token avec le scope ${scope} requis`,
+        hint: 'Utilisez le header Authorization: Bearer <token>'
+      });
+    }
+    if (!hasScope(req.apiToken, scope)) {
+      return res.status(403).json({ error: `Scope ${scope} requis`, scopes: req.apiToken.scopes });
+    }
+    next();
+  };
+  // Métadonnées lues par la génération OpenAPI
+  middleware.openapi = { scope };
+  return middleware;
+}
+
+/**
+ * Middleware des routes par utilisateur : exige un token lié à un utilisateur
+ * (AUTH_MODE=off : utilisateur 'default')
+ *
+ * @example
+ * router.use(requireUser);
+ */
+export function requireUser(req, res, next) {
+  if (getUserId(req)) return next();
+  return res.status(401).json({
+    error: req.apiToken ? 'Token sans utilisateur associé' : 'Token requis',
+    hint: 'Utilisez le header Authorization: Bearer <token> d\'un token lié à un utilisateur (userId)'
+  });
+}
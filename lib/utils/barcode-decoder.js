@@ -0,0 +1,333 @@
+/**
+ * lib/utils/barcode-decoder.js - Lecture des codes-barres sur une photo
+ * toys_api v4.1.2
+ *
+ * Décodage côté serveur, en JavaScript pur (jpeg-js / pngjs pour les pixels) :
+ * - EAN-13 / UPC-A / EAN-8 (ISBN compris) : lignes et colonnes de l'image
+ *   binarisées par seuil local, largeurs des barres comparées aux motifs L/G/R,
+ *   clé de contrôle vérifiée. Colonnes et lecture inversée couvrent les photos
+ *   tournées de 90°/180°/270°.
+ * - QR codes : jsQR, avec extraction du GTIN des liens GS1 Digital Link
+ *
+ * @module utils/barcode-decoder
+ */
+
+import jsQR from 'jsqr';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import { httpError } from './helpers.js';
+
+// Dimension max de l'image analysée (px, plus grand côté)
+const MAX_SCAN_DIMENSION = 1600;
+// Nombre de lignes (et de colonnes) lues
+const SCAN_LINES = 32;
+// Écart minimal sous la moyenne locale pour qu'un pixel soit une barre
+const DARK_MARGIN = 6;
+// Erreur max (en modules, sur les 4 largeurs) d'un chiffre
+const MAX_DIGIT_ERROR = 1.6;
+
+// Largeurs (en modules) des chiffres, jeu L ; R a les mêmes largeurs, G est inversé
+const L_PATTERNS = [
+  [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+  [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2]
+];
+const G_PATTERNS = L_PATTERNS.map(p => [...p].reverse());
+// Parité (L/G) des 6 chiffres de gauche → premier chiffre de l'EAN-13
+const FIRST_DIGIT_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// Limites du décodeur JPEG (photos de smartphone comprises)
+const JPEG_LIMITS = { maxResolutionInMP: 64, maxMemoryUsageInMB: 512 };
+
+/**
+ * Vérifie la clé de contrôle d'un GTIN (EAN-8, UPC-A, EAN-13, GTIN-14)
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function isValidGtin(code) {
+  if (!/^\d{8}$|^\d{12,14}$/.test(code)) return false;
+
+  let sum = 0;
+  for (let i = code.length - 2, weight = 3; i >= 0; i--, weight = 4 - weight) {
+    sum += Number(code[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10 === Number(code[code.length - 1]);
+}
+
+// ============================================================================
+// CODES LINÉAIRES (EAN / UPC)
+// ============================================================================
+
+/**
+ * Largeurs des zones claires/sombres d'une ligne de pixels
+ * Seuil local : moyenne sur une fenêtre glissante (éclairage inégal des photos)
+ * @param {Uint8Array|number[]} line - Niveaux de gris
+ * @returns {number[]} Largeurs, la première zone est claire (éventuellement vide)
+ */
+export function lineToRuns(line) {
+  const length = line.length;
+  const radius = Math.max(8, Math.round(length / 32));
+
+  const prefix = new Float64Array(length + 1);
+  for (let i = 0; i < length; i++) prefix[i + 1] = prefix[i] + line[i];
+
+  const runs = [0];
+  let dark = false;
+  for (let i = 0; i < length; i++) {
+    const from = Math.max(0, i - radius);
+    const to = Math.min(length, i + radius + 1);
+    const isDark = line[i] < (prefix[to] - prefix[from]) / (to - from) - DARK_MARGIN;
+
+    if (isDark !== dark) {
+      runs.push(0);
+      dark = isDark;
+    }
+    runs[runs.length - 1]++;
+  }
+  return runs;
+}
+
+/**
+ * Chiffre le plus proche de 4 largeurs
+ * @returns {{digit: number, error: number}}
+ */
+function matchDigit(widths, patterns) {
+  const total = widths[0] + widths[1] + widths[2] + widths[3];
+  let best = { digit: -1, error: Infinity };
+
+  patterns.forEach((pattern, digit) => {
+    let error = 0;
+    for (let k = 0; k < 4; k++) error += Math.abs((widths[k] * 7) / total - pattern[k]);
+    if (error < best.error) best = { digit, error };
+  });
+  return best;
+}
+
+/**
+ * Vérifie que des zones de garde mesurent environ un module
+ */
+function isGuard(widths, moduleWidth) {
+  return widths.every(w => w >= moduleWidth * 0.4 && w <= moduleWidth * 2);
+}
+
+/**
+ * Décode un EAN-13 (sides = 6) ou un EAN-8 (sides = 4) à partir d'une zone sombre
+ * @param {number[]} runs - Largeurs (lineToRuns)
+ * @param {number} start - Indice de la première barre de la garde de début
+ * @param {number} sides - Chiffres par moitié
+ * @returns {string|null}
+ */
+function decodeEanAt(runs, start, sides) {
+  const count = 3 + sides * 4 + 5 + sides * 4 + 3;
+  if (start + count > runs.length) return null;
+
+  let total = 0;
+  for (let i = start; i < start + count; i++) total += runs[i];
+  const moduleWidth = total / (3 + sides * 7 + 5 + sides * 7 + 3);
+
+  // Zones de silence (réduites : photos souvent recadrées au plus près)
+  const after = runs[start + count];
+  if (runs[start - 1] < moduleWidth * 3 || (after !== undefined && after < moduleWidth * 3)) return null;
+
+  const middle = start + 3 + sides * 4;
+  if (!isGuard(runs.slice(start, start + 3), moduleWidth)
+    || !isGuard(runs.slice(middle, middle + 5), moduleWidth)
+    || !isGuard(runs.slice(start + count - 3, start + count), moduleWidth)) {
+    return null;
+  }
+
+  let digits = '';
+  let parity = '';
+  for (let i = 0; i < sides; i++) {
+    const widths = runs.slice(start + 3 + i * 4, start + 7 + i * 4);
+    const l = matchDigit(widths, L_PATTERNS);
+    const g = sides === 6 ? matchDigit(widths, G_PATTERNS) : { error: Infinity };
+    const best = g.error < l.error ? g : l;
+    if (best.error > MAX_DIGIT_ERROR) return null;
+    digits += best.digit;
+    parity += best === g ? 'G' : 'L';
+  }
+  for (let i = 0; i < sides; i++) {
+    const widths = runs.slice(middle + 5 + i * 4, middle + 9 + i * 4);
+    const r = matchDigit(widths, L_PATTERNS);
+    if (r.error > MAX_DIGIT_ERROR) return null;
+    digits += r.digit;
+  }
+
+  if (sides === 6) {
+    const first = FIRST_DIGIT_PARITY.indexOf(parity);
+    if (first === -1) return null;
+    digits = first + digits;
+  }
+  return isValidGtin(digits) ? digits : null;
+}
+
+/**
+ * Codes EAN/UPC lisibles sur une ligne de pixels (dans les deux sens)
+ * @param {Uint8Array|number[]} line - Niveaux de gris
+ * @returns {string[]} EAN-13 ou EAN-8
+ */
+export function decodeEanLine(line) {
+  const found = [];
+  for (const pixels of [line, Array.from(line).reverse()]) {
+    const runs = lineToRuns(pixels);
+    // Indices impairs : zones sombres
+    for (let start = 1; start < runs.length; start += 2) {
+      const code = decodeEanAt(runs, start, 6) || decodeEanAt(runs, start, 4);
+      if (code) found.push(code);
+    }
+  }
+  return found;
+}
+
+/**
+ * Format d'un code linéaire décodé
+ * @param {string} digits - EAN-13 ou EAN-8
+ * @returns {{format: string, text: string}}
+ */
+function linearFormat(digits) {
+  if (digits.length === 8) return { format: 'EAN-8', text: digits };
+  if (digits.startsWith('0')) return { format: 'UPC-A', text: digits.slice(1) };
+  return { format: 'EAN-13', text: digits };
+}
+
+/**
+ * Codes EAN/UPC d'une image en niveaux de gris (lignes puis colonnes)
+ * @param {Uint8Array} gray - Pixels (ligne par ligne)
+ * @param {number} width
+ * @param {number} height
+ * @returns {Map<string, number>} Code → nombre de lignes l'ayant lu
+ */
+export function scanLinearCodes(gray, width, height) {
+  const votes = new Map();
+  const vote = codes => codes.forEach(code => votes.set(code, (votes.get(code) || 0) + 1));
+
+  for (let i = 0; i < SCAN_LINES; i++) {
+    const y = Math.floor(((i + 0.5) * height) / SCAN_LINES);
+    vote(decodeEanLine(gray.subarray(y * width, (y + 1) * width)));
+  }
+  if (votes.size > 0) return votes;
+
+  // Code vertical : lecture des colonnes
+  const column = new Uint8Array(height);
+  for (let i = 0; i < SCAN_LINES; i++) {
+    const x = Math.floor(((i + 0.5) * width) / SCAN_LINES);
+    for (let y = 0; y < height; y++) column[y] = gray[y * width + x];
+    vote(decodeEanLine(column));
+  }
+  return votes;
+}
+
+// ============================================================================
+// QR CODES
+// ============================================================================
+
+/**
+ * Code-barres contenu dans le texte d'un QR code
+ * - GTIN seul (8, 12, 13 ou 14 chiffres, tirets et espaces ignorés)
+ * - GS1 Digital Link : https://id.gs1.org/01/05702016370973
+ * - ISBN préfixé (« ISBN 978-2-07-061288-8 »)
+ * @param {string} text
+ * @returns {string|null} Code utilisable par searchByBarcode
+ */
+export function extractCodeFromText(text) {
+  if (!text) return null;
+  const value = text.trim();
+
+  const digitLink = /\/01\/(\d{14})(?:[/?#]|$)/.exec(value);
+  if (digitLink && isValidGtin(digitLink[1])) {
+    return digitLink[1].replace(/^0/, '');
+  }
+
+  const digits = value.replace(/^isbn(?:-1[03])?:?\s*/i, '').replace(/[-\s]/g, '');
+  if (isValidGtin(digits)) {
+    return digits.length === 14 ? digits.replace(/^0/, '') : digits;
+  }
+  if (/^\d{9}[\dX]$/i.test(digits)) return digits.toUpperCase();
+  return null;
+}
+
+// ============================================================================
+// DÉCODAGE D'UNE PHOTO
+// ============================================================================
+
+/**
+ * Pixels RGBA d'une photo JPEG ou PNG
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number, data: Uint8Array}|null} null si format non reconnu
+ */
+function decodePixels(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, ...JPEG_LIMITS });
+  }
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return PNG.sync.read(buffer);
+  }
+  return null;
+}
+
+/**
+ * Niveaux de gris (codes linéaires) et RGBA opaque (jsQR), réduits à
+ * MAX_SCAN_DIMENSION ; la transparence est aplatie sur fond blanc
+ * @param {{width: number, height: number, data: Uint8Array}} image - RGBA
+ * @returns {{gray: Uint8Array, rgba: Uint8ClampedArray, width: number, height: number}}
+ */
+function toScanPixels({ width: srcWidth, height: srcHeight, data }) {
+  const scale = Math.min(1, MAX_SCAN_DIMENSION / Math.max(srcWidth, srcHeight));
+  const width = Math.max(1, Math.round(srcWidth * scale));
+  const height = Math.max(1, Math.round(srcHeight * scale));
+  const gray = new Uint8Array(width * height);
+  const rgba = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(srcHeight - 1, Math.floor(y / scale)) * srcWidth;
+    for (let x = 0; x < width; x++) {
+      const src = (row + Math.min(srcWidth - 1, Math.floor(x / scale))) * 4;
+      const alpha = data[src + 3];
+      const white = 255 - alpha;
+      const r = (data[src] * alpha + 255 * white) / 255;
+      const g = (data[src + 1] * alpha + 255 * white) / 255;
+      const b = (data[src + 2] * alpha + 255 * white) / 255;
+      const i = y * width + x;
+      gray[i] = (r * 299 + g * 587 + b * 114) / 1000;
+      rgba[i * 4] = r;
+      rgba[i * 4 + 1] = g;
+      rgba[i * 4 + 2] = b;
+      rgba[i * 4 + 3] = 255;
+    }
+  }
+  return { gray, rgba, width, height };
+}
+
+/**
+ * Codes-barres et QR codes lisibles sur une photo
+ * @param {Buffer} buffer - Image JPEG ou PNG
+ * @returns {Promise<Array<{format: string, text: string, code: string|null, count?: number}>>}
+ *   Codes linéaires (les plus lus d'abord) puis QR code ; code = valeur à rechercher
+ */
+export async function decodeBarcodeImage(buffer) {
+  let image = null;
+  try {
+    image = decodePixels(buffer);
+  } catch {
+    // Fichier tronqué ou corrompu
+  }
+  if (!image) {
+    throw httpError('Image illisible ou format non supporté (JPEG ou PNG)', 400);
+  }
+
+  const { gray, rgba, width, height } = toScanPixels(image);
+
+  const codes = [...scanLinearCodes(gray, width, height)]
+    .sort((a, b) => b[1] - a[1])
+    .map(([digits, count]) => {
+      const { format, text } = linearFormat(digits);
+      return { format, text, code: text, count };
+    });
+
+  const qr = jsQR(rgba, width, height, { inversionAttempts: 'attemptBoth' });
+  if (qr?.data) {
+    codes.push({ format: 'QR', text: qr.data, code: extractCodeFromText(qr.data) });
+  }
+  return codes;
+}
@@ -9,6 +9,9 @@
 
 import { createLogger } from './logger.js';
 import { fetchViaProxy } from './fetch-proxy.js';
+import { throttleUrl, getSourceForUrl } from './provider-guard.js';
+import { fsrWithFixture } from './http-fixtures.js';
+import { httpRequest } from './http-client.js';
 import {
   getFsrSessionId,
   setFsrSessionId,
@@ -106,9 +109,19 @@ async function ensureFsrSession() {
  * @param {string|null} session - Session ID optionnelle (utilise la session courante si non fourni)
  * @param {object} extraOptions - Options additionnelles (postData, headers, etc.)
  * @param {number} maxTimeout - Timeout max en ms
- * @returns {Promise<object>} Solution FlareSolverr
+ * @returns {Promise<object>} Solution FlareSolverr (enregistrée/rejouée selon HTTP_FIXTURES)
  */
 async function fsrRequest(cmd, url, session = null, extraOptions = {}, maxTimeout = 60000) {
+  return fsrWithFixture(cmd, url, extraOptions, () => performFsrRequest(cmd, url, session, extraOptions, maxTimeout));
+}
+
+/**
+ * Requête réelle vers FlareSolverr
+ */
+async function performFsrRequest(cmd, url, session, extraOptions, maxTimeout) {
+  // Limitation selon le site cible (la requête part vers FlareSolverr)
+  await throttleUrl(url);
+
   const body = {
     cmd,
     url,
@@ -122,10 +135,15 @@ async function fsrRequest(cmd, url, session = null, extraOptions = {}, maxTimeou
     body.session = sessionId;
   }
 
-  const res = await fetchViaProxy(FSR_BASE, {
+  // Métriques attribuées au site cible ; les tentatives sont gérées par l'appelant
+  const res = await httpRequest(FSR_BASE, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body)
+    body: JSON.stringify(body),
+    timeout: maxTimeout + 10000,
+    retries: 0,
+    source: getSourceForUrl(url),
+    via: 'flaresolverr'
   });
 
   if (!res.ok) {
@@ -221,8 +221,75 @@ export function extractApiKey(req) {
     }
     return queryKey;
   }
-  
-  return null;
+
+  // Priorité 4: Clé stockée sur le token client (Authorization: Bearer)
+  return getTokenProviderKey(req);
+}
+
+// Routes dont la clé porte un autre nom que le préfixe de la route
+const ROUTE_KEY_NAMES = {
+  books: 'googlebooks',
+  authors: 'googlebooks',
+  music: 'discogs'
+};
+
+/**
+ * Nom de la clé provider (X-Provider-Keys, coffre) pour la route courante
+ * /tmdb_movies → tmdb, /authors → googlebooks
+ * @param {object} req - Request Express
+ * @returns {string|null}
+ */
+export function getRouteKeyName(req) {
+  const route = (req.baseUrl || '').split('/')[1] || '';
+  if (!route) return null;
+  return ROUTE_KEY_NAMES[route] || route.split('_')[0];
+}
+
+/**
+ * Clé provider portée par le token client (req.apiToken) pour la route courante
+ * @param {object} req - Request Express
+ * @returns {string|null}
+ */
+function getTokenProviderKey(req) {
+  const keys = req.apiToken?.providerKeys;
+  if (!keys) return null;
+
+  return keys[getRouteKeyName(req)] || null;
+}
+
+/**
+ * Extrait les clés API de plusieurs providers (recherche multi-sources)
+ * Header X-Provider-Keys : JSON {"tmdb": "...", "rawg": "..."}
+ * Si le chiffrement est activé, chaque valeur doit être chiffrée
+ * Complétées par les clés stockées sur le token client
+ * @param {object} req - Request Express
+ * @returns {Object<string, string>} - Clés déchiffrées par provider
+ */
+export function extractProviderKeys(req) {
+  const header = req.headers['x-provider-keys'];
+  if (!header) return { ...req.apiToken?.providerKeys };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(header);
+  } catch (err) {
+    log.warn("X-Provider-Keys invalide (JSON attendu)");
+    return {};
+  }
+  if (!parsed || typeof parsed !== 'object') return {};
+
+  const keys = {};
+  for (const [provider, value] of Object.entries(parsed)) {
+    if (!value || typeof value !== 'string') continue;
+    const key = API_ENCRYPTION_KEY ? decryptApiKey(value) : value;
+    if (key) {
+      keys[provider.toLowerCase()] = key;
+    } else {
+      log.warn(`Échec déchiffrement de la clé ${provider} (X-Provider-Keys)`);
+    }
+  }
+  // Les clés envoyées par le client priment sur celles du token
+  return { ...req.apiToken?.providerKeys, ...keys };
 }
 
 // ========================================
@@ -250,6 +317,44 @@ export function generateSessionId() {
   return result;
 }
 
+/**
+ * Erreur portant un code HTTP, relayée telle quelle par errorHandler
+ * @param {string} message
+ * @param {number} status - Code HTTP de la réponse
+ * @returns {Error}
+ */
+export function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+let sharpLoader = null;
+
+/**
+ * Charge sharp (module natif) à la première utilisation
+ * @returns {Promise<Function>}
+ * @throws {Error} status 501 si sharp n'est pas installé
+ */
+export function loadSharp() {
+  sharpLoader = sharpLoader || import('sharp')
+    .then(module => module.default)
+    .catch(() => {
+      sharpLoader = null;
+      throw httpError('Traitement d\'image indisponible (sharp non installé)', 501);
+    });
+  return sharpLoader;
+}
+
+/**
+ * Pause asynchrone
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 /**
  * Nettoie un ID en retirant les préfixes courants
  * @param {string} id - L'ID à nettoyer
@@ -0,0 +1,415 @@
+/**
+ * lib/utils/http-client.js - Client HTTP sortant unique
+ * toys_api v4.1.2
+ *
+ * Toutes les requêtes vers l'extérieur passent par ce module :
+ * - proxy sortant (HTTP/HTTPS ou SOCKS5) via un dispatcher undici, seul mécanisme
+ *   respecté par fetch (l'option `agent` des http-proxy-agent est ignorée)
+ * - timeout par hôte (PROVIDER_GUARDS[source].timeout, défaut HTTP_TIMEOUT_MS)
+ * - nouvelles tentatives avec backoff exponentiel et jitter (Retry-After respecté)
+ * - limitation de débit par domaine (throttleUrl) et fixtures (HTTP_FIXTURES)
+ * - durée et statut de chaque appel dans metrics.sources[source].http (et GET /metrics)
+ *
+ * fetchPage() applique la politique d'escalade de l'hôte :
+ * direct → FlareSolverr → Puppeteer (PROVIDER_GUARDS[source].escalation).
+ *
+ * @module utils/http-client
+ */
+
+import { fetch as undiciFetch, ProxyAgent, Socks5ProxyAgent } from 'undici';
+import { createLogger } from './logger.js';
+import { sleep } from './helpers.js';
+import { metrics } from './state.js';
+import { getProviderGuard, getSourceForUrl, throttleUrl, recordUpstreamResult } from './provider-guard.js';
+import { fetchWithFixture } from './http-fixtures.js';
+import { recordUpstreamLatency } from './openmetrics.js';
+import {
+  OUTBOUND_PROXY_URL,
+  PROXY_EXCLUSIONS,
+  HTTP_TIMEOUT_MS,
+  HTTP_RETRIES,
+  HTTP_RETRY_BASE_MS,
+  HTTP_RETRY_MAX_MS,
+  HTTP_ESCALATION,
+  USER_AGENT
+} from '../config.js';
+
+const log = createLogger('HttpClient');
+
+// Statuts pour lesquels une nouvelle tentative a du sens
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Méthodes rejouées par défaut (les autres seulement si options.retries est fourni)
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+// Statuts et contenus indiquant une protection anti-bot (escalade)
+const BLOCKED_STATUS = new Set([401, 403, 429, 503]);
+const CHALLENGE_MARKERS = [
+  '_cf_chl_opt',
+  'cf-browser-verification',
+  '<title>Just a moment...</title>',
+  'Attention Required! | Cloudflare'
+];
+
+let proxyDispatcher = null;
+
+// ============================================================================
+// PROXY
+// ============================================================================
+
+/**
+ * Vérifie si une URL doit être jointe sans proxy (service Docker interne)
+ * @param {string|URL} url
+ * @returns {boolean}
+ */
+export function shouldBypassProxy(url) {
+  const urlStr = url.toString().toLowerCase();
+  return PROXY_EXCLUSIONS.some(exclusion => urlStr.includes(exclusion));
+}
+
+/**
+ * Dispatcher undici du proxy sortant (créé au premier appel)
+ * @returns {import('undici').Dispatcher|null} null si aucun proxy configuré
+ */
+export function getProxyDispatcher() {
+  if (!OUTBOUND_PROXY_URL) return null;
+  if (!proxyDispatcher) {
+    const protocol = new URL(OUTBOUND_PROXY_URL).protocol;
+    proxyDispatcher = protocol.startsWith('socks')
+      ? new Socks5ProxyAgent(OUTBOUND_PROXY_URL)
+      : new ProxyAgent(OUTBOUND_PROXY_URL);
+    log.info(`🔒 Proxy sortant ${protocol.replace(':', '').toUpperCase()} activé`);
+  }
+  return proxyDispatcher;
+}
+
+// ============================================================================
+// NOUVELLES TENTATIVES
+// ============================================================================
+
+/**
+ * Délai avant la tentative suivante : backoff exponentiel, moitié fixe + moitié aléatoire
+ * @param {number} attempt - Numéro de la tentative échouée (1 = première)
+ * @param {object} [options]
+ * @param {number} [options.baseDelay=HTTP_RETRY_BASE_MS]
+ * @param {number} [options.maxDelay=HTTP_RETRY_MAX_MS]
+ * @returns {number} Délai en ms
+ */
+export function getBackoffDelay(attempt, { baseDelay = HTTP_RETRY_BASE_MS, maxDelay = HTTP_RETRY_MAX_MS } = {}) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Exécute une opération avec nouvelles tentatives (backoff + jitter)
+ * @param {Function} fn - async (attempt) => résultat
+ * @param {object} [options]
+ * @param {number} [options.attempts=HTTP_RETRIES + 1] - Nombre total de tentatives
+ * @param {Function} [options.shouldRetry] - (err) => boolean (défaut: toujours)
+ * @param {Function} [options.onError] - async (err, attempt) appelé après chaque échec
+ * @param {number} [options.baseDelay]
+ * @param {number} [options.maxDelay]
+ * @returns {Promise<*>} Résultat de fn, ou la dernière erreur
+ *
+ * @example
+ * return withRetry(async (attempt) => scrape(url), {
+ *   attempts: retries,
+ *   onError: () => cleanupFsrSession()
+ * });
+ */
+export async function withRetry(fn, options = {}) {
+  const {
+    attempts = HTTP_RETRIES + 1,
+    shouldRetry = () => true,
+    onError = null,
+    ...delays
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (onError) await onError(err, attempt);
+      if (attempt >= attempts || !shouldRetry(err)) throw err;
+      await sleep(getBackoffDelay(attempt, delays));
+    }
+  }
+}
+
+/**
+ * Délai demandé par l'en-tête Retry-After (secondes ou date HTTP)
+ * @returns {number|null} ms
+ */
+function getRetryAfterMs(response) {
+  const value = response.headers.get('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Erreur réseau ou timeout (nouvelle tentative possible)
+ */
+function isNetworkError(err) {
+  return err.name === 'TimeoutError' || err.name === 'AbortError' || err instanceof TypeError;
+}
+
+// ============================================================================
+// MÉTRIQUES
+// ============================================================================
+
+/**
+ * Enregistre un appel sortant dans metrics.sources[source].http
+ * et son résultat dans le circuit breaker de la source (recordUpstreamResult)
+ * @param {string|null} source - Source (cf. PROVIDER_GUARDS), ignoré si null
+ * @param {object} call
+ * @param {number} call.duration - Durée en ms (tentatives comprises)
+ * @param {number|null} call.status - Statut HTTP (null si erreur réseau)
+ * @param {number} [call.retries=0] - Nouvelles tentatives effectuées
+ * @param {string} [call.via='direct'] - Transport (direct, flaresolverr, puppeteer)
+ */
+export function recordHttpCall(source, { duration, status, retries = 0, via = 'direct' }) {
+  if (!source) return;
+
+  const entry = metrics.sources[source] = metrics.sources[source] || { requests: 0, errors: 0 };
+  const http = entry.http = entry.http || {
+    calls: 0,
+    failures: 0,
+    retries: 0,
+    totalMs: 0,
+    avgMs: 0,
+    lastMs: null,
+    lastStatus: null,
+    statuses: {},
+    via: {}
+  };
+
+  http.calls++;
+  http.retries += retries;
+  http.totalMs += duration;
+  http.avgMs = Math.round(http.totalMs / http.calls);
+  http.lastMs = duration;
+  http.lastStatus = status;
+  const statusKey = status ? String(status) : 'network_error';
+  http.statuses[statusKey] = (http.statuses[statusKey] || 0) + 1;
+  http.via[via] = (http.via[via] || 0) + 1;
+  if (!status || status >= 500) http.failures++;
+  recordUpstreamLatency(source, via, duration);
+  recordUpstreamResult(source, status);
+}
+
+// ============================================================================
+// REQUÊTES
+// ============================================================================
+
+/**
+ * Politique de l'hôte d'une URL (source, timeout, escalade)
+ * @param {string|URL} url
+ * @returns {{source: string|null, timeout: number, escalation: string[]}}
+ */
+export function getHostPolicy(url) {
+  const source = getSourceForUrl(url);
+  const config = source ? getProviderGuard(source).config : {};
+  return {
+    source,
+    timeout: config.timeout || HTTP_TIMEOUT_MS,
+    escalation: config.escalation || HTTP_ESCALATION
+  };
+}
+
+/**
+ * Un essai : proxy, timeout, limitation de débit
+ */
+async function sendOnce(url, fetchOptions, { timeout, signal, bypassProxy }) {
+  const timeoutSignal = AbortSignal.timeout(timeout);
+  const requestSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+
+  if (bypassProxy) {
+    return fetch(url, { ...fetchOptions, signal: requestSignal });
+  }
+
+  await throttleUrl(url);
+  const dispatcher = getProxyDispatcher();
+  if (!dispatcher) {
+    return fetch(url, { ...fetchOptions, signal: requestSignal });
+  }
+  return undiciFetch(url, { ...fetchOptions, dispatcher, signal: requestSignal });
+}
+
+/**
+ * Requête HTTP sortante (remplace fetch / fetchViaProxy)
+ * Les réponses d'erreur définitives (4xx, 5xx après tentatives) sont retournées, pas levées.
+ *
+ * @param {string|URL} url
+ * @param {object} [options] - Options fetch, plus :
+ * @param {number} [options.timeout] - Délai max par tentative (ms), défaut : politique de l'hôte
+ * @param {number} [options.retries] - Nouvelles tentatives (défaut HTTP_RETRIES pour GET/HEAD, 0 sinon)
+ * @param {string} [options.source] - Source pour les métriques (défaut : déduite de l'URL)
+ * @param {string} [options.via='direct'] - Transport indiqué dans les métriques
+ * @returns {Promise<Response>}
+ *
+ * @example
+ * const response = await httpRequest(url, { headers: { Accept: 'application/json' } });
+ */
+export async function httpRequest(url, options = {}) {
+  const {
+    timeout,
+    retries,
+    source,
+    via = 'direct',
+    signal,
+    agent, // Ancienne option http-proxy-agent, ignorée par fetch
+    ...fetchOptions
+  } = options;
+
+  return fetchWithFixture(url, fetchOptions, async () => {
+    const policy = getHostPolicy(url);
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const maxRetries = retries ?? (IDEMPOTENT_METHODS.has(method) ? HTTP_RETRIES : 0);
+    const callSource = source || policy.source;
+    const sendOptions = {
+      timeout: timeout || policy.timeout,
+      signal,
+      bypassProxy: shouldBypassProxy(url)
+    };
+
+    const start = Date.now();
+    for (let attempt = 1; ; attempt++) {
+      let response;
+      try {
+        response = await sendOnce(url, fetchOptions, sendOptions);
+      } catch (err) {
+        if (attempt > maxRetries || !isNetworkError(err) || signal?.aborted) {
+          recordHttpCall(callSource, { duration: Date.now() - start, status: null, retries: attempt - 1, via });
+          throw err;
+        }
+        log.debug(`${method} ${url} : ${err.message}, tentative ${attempt + 1}/${maxRetries + 1}`);
+        await sleep(getBackoffDelay(attempt));
+        continue;
+      }
+
+      if (attempt > maxRetries || !RETRYABLE_STATUS.has(response.status)) {
+        recordHttpCall(callSource, { duration: Date.now() - start, status: response.status, retries: attempt - 1, via });
+        return response;
+      }
+
+      const delay = Math.min(getRetryAfterMs(response) ?? getBackoffDelay(attempt), HTTP_RETRY_MAX_MS);
+      log.debug(`${method} ${url} : HTTP ${response.status}, nouvelle tentative dans ${delay}ms`);
+      await response.body?.cancel();
+      await sleep(delay);
+    }
+  });
+}
+
+/**
+ * Lit le corps d'une réponse sans dépasser maxBytes : content-length vérifié
+ * d'abord, puis lecture par morceaux interrompue dès que la limite est franchie
+ * (content-length absent ou faux)
+ * @param {Response} response
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer|null>} null si la limite est dépassée
+ */
+export async function readBodyWithLimit(response, maxBytes) {
+  if (Number(response.headers.get('content-length')) > maxBytes) {
+    await response.body?.cancel().catch(() => {});
+    return null;
+  }
+  if (!response.body) return Buffer.alloc(0);
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel().catch(() => {});
+      return null;
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks, size);
+}
+
+// ============================================================================
+// ESCALADE (direct → FlareSolverr → Puppeteer)
+// ============================================================================
+
+/**
+ * Détecte une page de protection anti-bot
+ * @param {number} status
+ * @param {string} html
+ * @returns {boolean}
+ */
+export function isBlockedPage(status, html) {
+  if (BLOCKED_STATUS.has(status)) return true;
+  const head = (html || '').slice(0, 20000);
+  return CHALLENGE_MARKERS.some(marker => head.includes(marker));
+}
+
+/**
+ * Transports de fetchPage
+ * Chacun retourne { html, status, url } et enregistre lui-même ses métriques
+ */
+const TRANSPORTS = {
+  direct: async (url, { headers, timeout }) => {
+    const response = await httpRequest(url, {
+      headers: { 'User-Agent': USER_AGENT, ...headers },
+      timeout
+    });
+    return { html: await response.text(), status: response.status, url: response.url || url };
+  },
+
+  flaresolverr: async (url, { timeout, policy }) => {
+    const { fsrRequest } = await import('./flaresolverr.js');
+    const solution = await fsrRequest('request.get', url, null, {}, timeout || policy.timeout);
+    return { html: solution.response || '', status: solution.status || 200, url: solution.url || url };
+  },
+
+  puppeteer: async (url, { timeout, policy }) => {
+    const { stealthGet } = await import('./puppeteer-stealth.js');
+    return stealthGet(url, { timeout: timeout || policy.timeout });
+  }
+};
+
+/**
+ * Récupère une page HTML selon la politique d'escalade de l'hôte :
+ * chaque transport est essayé tant que le précédent échoue ou tombe sur une protection anti-bot
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {string[]} [options.escalation] - Transports à essayer (défaut : politique de l'hôte)
+ * @param {object} [options.headers] - En-têtes (transport direct)
+ * @param {number} [options.timeout] - Délai max par transport (ms)
+ * @returns {Promise<{html: string, status: number, url: string, via: string}>}
+ *
+ * @example
+ * const { html, via } = await fetchPage('https://www.jeuxvideo.com/jeux/jeu-1360117/');
+ */
+export async function fetchPage(url, options = {}) {
+  const policy = getHostPolicy(url);
+  const escalation = options.escalation || policy.escalation;
+  let lastError = null;
+
+  for (const via of escalation) {
+    const transport = TRANSPORTS[via];
+    if (!transport) throw new Error(`Transport inconnu: ${via}`);
+
+    try {
+      const page = await transport(url, { ...options, policy });
+      if (!isBlockedPage(page.status, page.html)) {
+        return { ...page, via };
+      }
+      lastError = new Error(`${via}: page bloquée (HTTP ${page.status})`);
+    } catch (err) {
+      if (err.code === 'FIXTURE_MISSING' || err.name === 'ProviderUnavailableError') throw err;
+      lastError = err;
+    }
+    log.debug(`${url} : ${lastError.message}, escalade`);
+  }
+
+  throw lastError || new Error(`Aucun transport pour ${url}`);
+}
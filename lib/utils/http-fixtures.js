@@ -0,0 +1,247 @@
+/**
+ * lib/utils/http-fixtures.js - Enregistrement et rejeu des réponses HTTP amont
+ * toys_api v4.1.2
+ *
+ * Branché sous fetchViaProxy, fsrRequest et stealthGet (HTTP_FIXTURES) :
+ * - off    : aucun effet (production)
+ * - record : les réponses brutes sont écrites dans HTTP_FIXTURES_DIR
+ * - replay : les réponses sont servies depuis les fixtures, sans réseau ;
+ *            une fixture manquante lève une erreur (code FIXTURE_MISSING)
+ *
+ * Fichiers : <dir>/<hôte>/<type>-<méthode>-<chemin>-<hash>.json
+ * Les requêtes FlareSolverr sont indexées par l'URL cible (sans session ni timeout),
+ * y compris les appels directs à FSR_BASE via fetchViaProxy (méthode "FSR request.get").
+ * Les paramètres d'URL sensibles (key, token, secret…) sont masqués.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { HTTP_FIXTURE_MODES, HTTP_FIXTURES, HTTP_FIXTURES_DIR } from '../config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Fixtures');
+
+// Paramètres d'URL jamais écrits dans les fixtures
+const SECRET_PARAM = /key|token|secret|password|signature/i;
+
+// Types de contenu stockés en texte (le reste en base64)
+const TEXT_CONTENT = /json|text|xml|html|javascript/i;
+
+let mode = HTTP_FIXTURES;
+let fixturesDir = HTTP_FIXTURES_DIR;
+
+// Requête en cours d'enregistrement : les appels imbriqués (fsrRequest → fetchViaProxy)
+// ne produisent pas de seconde fixture
+const recording = new AsyncLocalStorage();
+
+/**
+ * Mode courant (off, record, replay)
+ * @returns {string}
+ */
+export function getFixtureMode() {
+  return mode;
+}
+
+/**
+ * Change le mode (tests)
+ * @param {string} newMode - off, record ou replay
+ * @param {object} [options]
+ * @param {string} [options.dir] - Répertoire des fixtures
+ */
+export function setFixtureMode(newMode, { dir } = {}) {
+  if (!HTTP_FIXTURE_MODES.includes(newMode)) {
+    throw new Error(`Mode de fixtures invalide: ${newMode} (${HTTP_FIXTURE_MODES.join(', ')})`);
+  }
+  mode = newMode;
+  if (dir) fixturesDir = dir;
+}
+
+/**
+ * Masque les paramètres sensibles d'une URL
+ */
+function redactUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.toString());
+  } catch {
+    return url.toString();
+  }
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (SECRET_PARAM.test(name)) parsed.searchParams.set(name, 'REDACTED');
+  }
+  return parsed.toString();
+}
+
+/**
+ * Masque les champs sensibles d'un corps JSON (ex: apikey d'un login)
+ */
+function redactBody(payload) {
+  const redacted = { ...payload };
+  for (const name of Object.keys(redacted)) {
+    if (SECRET_PARAM.test(name) && typeof redacted[name] === 'string') redacted[name] = 'REDACTED';
+  }
+  return JSON.stringify(redacted);
+}
+
+function shortHash(value) {
+  return createHash('sha1').update(value).digest('hex').slice(0, 10);
+}
+
+/**
+ * Chemin de la fixture d'une requête
+ * @param {string} kind - fetch, flaresolverr ou stealth
+ * @param {{method: string, url: string, body?: string}} request - URL déjà masquée
+ * @returns {string}
+ */
+export function getFixturePath(kind, { method, url, body }) {
+  let host = 'flaresolverr';
+  let path = url;
+  try {
+    const parsed = new URL(url);
+    host = parsed.host;
+    path = `${parsed.pathname}${parsed.search}`;
+  } catch {
+    // Commande sans URL (ex: sessions.create FlareSolverr)
+  }
+
+  const slug = `${kind}-${method}-${path}`
+    .replace(/[^a-zA-Z0-9._]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 100);
+  const hash = shortHash(`${kind} ${method} ${url} ${body || ''}`);
+
+  return join(fixturesDir, host.replace(/[^a-zA-Z0-9.-]+/g, '_'), `${slug}-${hash}.json`);
+}
+
+/**
+ * Enregistre ou rejoue une requête selon le mode courant
+ * @param {string} kind - Type de transport
+ * @param {object} request - { method, url, body }
+ * @param {Function} perform - Exécute la vraie requête
+ * @param {object} codec
+ * @param {Function} codec.save - async (résultat) → données JSON à stocker
+ * @param {Function} codec.load - (données) → résultat tel que retourné par perform
+ */
+async function withFixture(kind, request, perform, { save, load }) {
+  if (mode === 'off' || recording.getStore()) return perform();
+
+  const file = getFixturePath(kind, request);
+
+  if (mode === 'replay') {
+    if (!existsSync(file)) {
+      const err = new Error(`Fixture HTTP manquante pour ${request.method} ${request.url} (${file})`);
+      err.code = 'FIXTURE_MISSING';
+      throw err;
+    }
+    return load(JSON.parse(readFileSync(file, 'utf8')).response);
+  }
+
+  const result = await recording.run(true, perform);
+  const response = await save(result);
+
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, JSON.stringify({
+    kind,
+    request,
+    recordedAt: new Date().toISOString(),
+    response
+  }, null, 2));
+  log.debug(`Fixture enregistrée: ${file}`);
+
+  return load(response);
+}
+
+/**
+ * Requête (méthode, URL, corps) identifiant un appel fetch
+ * Les appels FlareSolverr directs sont ramenés à leur URL cible
+ */
+function describeFetch(url, options) {
+  const method = (options.method || 'GET').toUpperCase();
+  const body = typeof options.body === 'string' ? options.body
+    : options.body instanceof URLSearchParams ? options.body.toString()
+    : null;
+
+  if (body) {
+    try {
+      const payload = JSON.parse(body);
+      if (payload && typeof payload.cmd === 'string') {
+        return { method: `FSR ${payload.cmd}`, url: redactUrl(payload.url || payload.cmd), body: payload.postData };
+      }
+      if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+        return { method, url: redactUrl(url), body: redactBody(payload) };
+      }
+    } catch {
+      // Corps non JSON : indexé tel quel
+    }
+  }
+
+  return { method, url: redactUrl(url), body: body || undefined };
+}
+
+/**
+ * fetch avec enregistrement/rejeu (utilisé par fetchViaProxy)
+ * @param {string|URL} url
+ * @param {object} options - Options fetch
+ * @param {Function} perform - () => Promise<Response>
+ * @returns {Promise<Response>}
+ */
+export function fetchWithFixture(url, options, perform) {
+  const request = describeFetch(url, options);
+
+  return withFixture('fetch', request, perform, {
+    save: async (response) => {
+      const contentType = response.headers.get('content-type') || '';
+      const buffer = Buffer.from(await response.arrayBuffer());
+      const isText = !contentType || TEXT_CONTENT.test(contentType);
+      return {
+        status: response.status,
+        statusText: response.statusText,
+        url: response.url ? redactUrl(response.url) : request.url,
+        headers: contentType ? { 'content-type': contentType } : {},
+        encoding: isText ? 'utf8' : 'base64',
+        body: buffer.toString(isText ? 'utf8' : 'base64')
+      };
+    },
+    load: (data) => {
+      const body = [204, 304].includes(data.status) ? null : Buffer.from(data.body || '', data.encoding || 'utf8');
+      const response = new Response(body, {
+        status: data.status,
+        statusText: data.statusText,
+        headers: data.headers
+      });
+      Object.defineProperty(response, 'url', { value: data.url });
+      return response;
+    }
+  });
+}
+
+/**
+ * Requête FlareSolverr avec enregistrement/rejeu (utilisé par fsrRequest)
+ * @param {string} cmd - request.get, request.post
+ * @param {string} url - URL cible
+ * @param {object} extraOptions - postData…
+ * @param {Function} perform - () => Promise<solution>
+ * @returns {Promise<object>} Solution FlareSolverr
+ */
+export function fsrWithFixture(cmd, url, extraOptions, perform) {
+  const request = { method: cmd, url: redactUrl(url), body: extraOptions?.postData };
+  return withFixture('flaresolverr', request, perform, {
+    save: async (solution) => solution,
+    load: (solution) => solution
+  });
+}
+
+/**
+ * Page Puppeteer avec enregistrement/rejeu (utilisé par stealthGet)
+ * @param {string} url
+ * @param {Function} perform - () => Promise<{html, status, url}>
+ * @returns {Promise<{html: string, status: number, url: string}>}
+ */
+export function stealthWithFixture(url, perform) {
+  return withFixture('stealth', { method: 'GET', url: redactUrl(url) }, perform, {
+    save: async (page) => ({ ...page, url: redactUrl(page.url) }),
+    load: (page) => page
+  });
+}
@@ -0,0 +1,118 @@
+/**
+ * lib/utils/icalendar.js - Génération de flux iCalendar (RFC 5545)
+ * toys_api v4.1.2
+ *
+ * Événements « journée entière » (DTSTART;VALUE=DATE), lignes CRLF repliées
+ * à 75 octets, textes échappés. Utilisé par le calendrier des sorties (/calendar).
+ *
+ * @module utils/icalendar
+ */
+
+const PRODID = '-//toys_api//Calendrier des sorties//FR';
+// Longueur max d'une ligne de contenu (octets, hors CRLF)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Échappe une valeur TEXT (\\ ; , et retours à la ligne)
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Replie une ligne de contenu (continuation : CRLF + espace), sans couper un caractère UTF-8
+ * @param {string} line
+ * @returns {string}
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Date AAAA-MM-JJ → AAAAMMJJ
+ */
+function formatDate(date) {
+  return String(date).slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Horodatage UTC AAAAMMJJTHHMMSSZ
+ */
+function formatTimestamp(value) {
+  const date = value ? new Date(value) : new Date();
+  return (Number.isNaN(date.getTime()) ? new Date() : date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Lendemain d'une date AAAA-MM-JJ (DTEND exclusif)
+ */
+function nextDay(date) {
+  const next = new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Construit un calendrier iCalendar
+ * @param {object[]} events - { uid, date (AAAA-MM-JJ), summary, description?, url?, stamp?, categories? }
+ * @param {object} [options]
+ * @param {string} [options.name] - Nom du calendrier (X-WR-CALNAME)
+ * @returns {string} Contenu text/calendar
+ */
+export function buildICalendar(events, { name = 'Toys API' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    if (!event.date) continue;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatTimestamp(event.stamp)}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+      `DTEND;VALUE=DATE:${formatDate(nextDay(event.date))}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+export default {
+  buildICalendar,
+  escapeText,
+  foldLine
+};
@@ -0,0 +1,371 @@
+/**
+ * lib/utils/image-cache.js - Service d'images (/proxy/image)
+ * toys_api v4.1.2
+ *
+ * - Liste blanche des hôtes construite depuis IMAGE_HOSTS (tous les providers)
+ * - Cache disque par hash SHA-256 de l'URL : <IMAGE_CACHE_DIR>/<2 car.>/<hash>
+ *   + <hash>.json (type, taille, ETag amont), revalidé après IMAGE_CACHE_TTL
+ * - Variantes w/h/fit/format (webp, avif…) générées par sharp et conservées à côté de l'original
+ * - Réécriture des champs image/images.* vers /proxy/image (localizeImages)
+ *
+ * @module utils/image-cache
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile, rename } from 'fs/promises';
+import { join, resolve } from 'path';
+import { httpRequest, readBodyWithLimit } from './http-client.js';
+import { buildProxyUrl, httpError, loadSharp } from './helpers.js';
+import {
+  IMAGE_CACHE_DIR,
+  IMAGE_CACHE_TTL,
+  IMAGE_MAX_BYTES,
+  IMAGE_MAX_DIMENSION,
+  IMAGE_HOSTS,
+  IMAGE_EXTRA_HOSTS
+} from '../config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('ImageCache');
+
+// Formats de sortie acceptés (paramètre format)
+export const IMAGE_FORMATS = {
+  webp: 'image/webp',
+  avif: 'image/avif',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+// Modes de redimensionnement sharp (paramètre fit)
+export const IMAGE_FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+
+// Champs réécrits par localizeImages (et tout leur contenu pour images)
+const IMAGE_FIELDS = new Set(['image', 'images', 'thumbnail']);
+
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+// Headers navigateur (contourne l'anti-hotlinking des CDN)
+const IMAGE_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9,fr;q=0.8',
+  'sec-fetch-dest': 'image',
+  'sec-fetch-mode': 'no-cors',
+  'sec-fetch-site': 'cross-site'
+};
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  revalidated: 0,
+  stale: 0,
+  transforms: 0,
+  errors: 0
+};
+
+// Téléchargements en cours (une seule requête amont par URL)
+const inflight = new Map();
+
+// ============================================================================
+// LISTE BLANCHE
+// ============================================================================
+
+/**
+ * Domaines d'images autorisés (tous providers + IMAGE_EXTRA_HOSTS)
+ * @returns {string[]}
+ */
+export function getImageAllowlist() {
+  return [...new Set([...Object.values(IMAGE_HOSTS).flat(), ...IMAGE_EXTRA_HOSTS])].sort();
+}
+
+/**
+ * URL http(s) dont l'hôte (ou un domaine parent) est dans la liste blanche
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isImageUrlAllowed(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
+
+  const host = parsed.hostname.toLowerCase();
+  return getImageAllowlist().some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// ============================================================================
+// TRANSFORMATIONS
+// ============================================================================
+
+/**
+ * Lit les paramètres w, h, fit et format d'une requête
+ * @param {object} query - req.query
+ * @returns {{transform: object|null, error: string|null}} transform null = original
+ */
+export function parseImageTransform(query = {}) {
+  const transform = {};
+
+  for (const [param, field] of [['w', 'width'], ['h', 'height']]) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const value = Number(query[param]);
+    if (!Number.isInteger(value) || value < 1 || value > IMAGE_MAX_DIMENSION) {
+      return { transform: null, error: `${param} invalide (entier de 1 à ${IMAGE_MAX_DIMENSION})` };
+    }
+    transform[field] = value;
+  }
+
+  if (query.fit !== undefined) {
+    if (!IMAGE_FITS.includes(query.fit)) {
+      return { transform: null, error: `fit invalide (${IMAGE_FITS.join(', ')})` };
+    }
+    transform.fit = query.fit;
+  }
+
+  if (query.format !== undefined) {
+    const format = String(query.format).toLowerCase() === 'jpg' ? 'jpeg' : String(query.format).toLowerCase();
+    if (!IMAGE_FORMATS[format]) {
+      return { transform: null, error: `format invalide (${Object.keys(IMAGE_FORMATS).join(', ')})` };
+    }
+    transform.format = format;
+  }
+
+  if (!transform.width && !transform.height && !transform.format) {
+    return { transform: null, error: null };
+  }
+  return { transform: { fit: 'cover', ...transform }, error: null };
+}
+
+/**
+ * Suffixe de fichier et d'ETag d'une variante ('' pour l'original)
+ * @param {object|null} transform
+ * @returns {string}
+ */
+function variantSuffix(transform) {
+  if (!transform) return '';
+  return `-${transform.width || ''}x${transform.height || ''}-${transform.fit}-${transform.format || 'src'}`;
+}
+
+// ============================================================================
+// CACHE DISQUE
+// ============================================================================
+
+/**
+ * Clé de cache d'une URL (SHA-256)
+ * @param {string} url
+ * @returns {string}
+ */
+export function getImageCacheKey(url) {
+  return createHash('sha256').update(url).digest('hex');
+}
+
+function originalPath(key) {
+  return join(resolve(IMAGE_CACHE_DIR), key.slice(0, 2), key);
+}
+
+/**
+ * Écriture atomique (fichier temporaire puis renommage)
+ */
+async function writeAtomic(path, content) {
+  const tmp = `${path}.${process.pid}.tmp`;
+  await writeFile(tmp, content);
+  await rename(tmp, path);
+}
+
+async function readMeta(key) {
+  try {
+    return JSON.parse(await readFile(`${originalPath(key)}.json`, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Télécharge (ou revalide) l'original d'une image et l'écrit dans le cache
+ */
+async function downloadImage(url, key, previous) {
+  const origin = new URL(url).origin;
+  const headers = { ...IMAGE_HEADERS, Referer: `${origin}/`, Origin: origin };
+  if (previous?.upstreamEtag) headers['If-None-Match'] = previous.upstreamEtag;
+
+  let response;
+  try {
+    response = await httpRequest(url, { headers, timeout: DOWNLOAD_TIMEOUT_MS });
+  } catch (err) {
+    if (previous) {
+      stats.stale++;
+      log.warn(`Revalidation impossible, copie en cache servie: ${url} (${err.message})`);
+      return { key, meta: previous, cached: true };
+    }
+    throw httpError(`Téléchargement impossible: ${err.message}`, 502);
+  }
+
+  const path = originalPath(key);
+
+  if (response.status === 304 && previous) {
+    const meta = { ...previous, fetchedAt: Date.now() };
+    await writeAtomic(`${path}.json`, JSON.stringify(meta));
+    stats.revalidated++;
+    return { key, meta, cached: true };
+  }
+
+  if (!response.ok) {
+    throw httpError(`Serveur d'images: HTTP ${response.status}`, response.status === 404 ? 404 : 502);
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (!contentType.startsWith('image/')) {
+    throw httpError(`Contenu non image (${contentType || 'type inconnu'})`, 415);
+  }
+
+  const buffer = await readBodyWithLimit(response, IMAGE_MAX_BYTES);
+  if (!buffer) {
+    throw httpError(`Image trop volumineuse (max ${IMAGE_MAX_BYTES} octets)`, 413);
+  }
+
+  const meta = {
+    url,
+    contentType,
+    size: buffer.length,
+    sha256: createHash('sha256').update(buffer).digest('hex'),
+    upstreamEtag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified'),
+    fetchedAt: Date.now()
+  };
+
+  await mkdir(join(resolve(IMAGE_CACHE_DIR), key.slice(0, 2)), { recursive: true });
+  await writeAtomic(path, buffer);
+  await writeAtomic(`${path}.json`, JSON.stringify(meta));
+  stats.misses++;
+  log.debug(`📸 Image mise en cache: ${url.substring(0, 80)} (${buffer.length} octets)`);
+
+  return { key, meta, cached: false };
+}
+
+/**
+ * Original d'une image : cache disque si valide, sinon téléchargement
+ * @param {string} url - URL autorisée (isImageUrlAllowed)
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - Ignorer le cache
+ * @returns {Promise<{key: string, meta: object, cached: boolean}>}
+ */
+export async function fetchImage(url, { refresh = false } = {}) {
+  const key = getImageCacheKey(url);
+  const meta = refresh ? null : await readMeta(key);
+
+  if (meta && Date.now() - meta.fetchedAt < IMAGE_CACHE_TTL) {
+    stats.hits++;
+    return { key, meta, cached: true };
+  }
+
+  if (!inflight.has(key)) {
+    inflight.set(key, downloadImage(url, key, meta)
+      .catch(err => {
+        stats.errors++;
+        throw err;
+      })
+      .finally(() => inflight.delete(key)));
+  }
+  return inflight.get(key);
+}
+
+/**
+ * ETag d'une image servie (contenu de l'original + variante)
+ * @param {object} meta - Métadonnées de fetchImage
+ * @param {object|null} transform
+ * @returns {string}
+ */
+export function getImageEtag(meta, transform) {
+  return `"${meta.sha256.slice(0, 24)}${variantSuffix(transform)}"`;
+}
+
+/**
+ * Contenu d'une image, transformée si demandé (variante mise en cache)
+ * @param {{key: string, meta: object}} image - Résultat de fetchImage
+ * @param {object|null} transform - Résultat de parseImageTransform
+ * @returns {Promise<{buffer: Buffer, contentType: string}>}
+ */
+export async function getImageVariant(image, transform) {
+  const path = originalPath(image.key);
+  if (!transform) {
+    return { buffer: await readFile(path), contentType: image.meta.contentType };
+  }
+
+  const contentType = transform.format ? IMAGE_FORMATS[transform.format] : image.meta.contentType;
+  const variantPath = `${path}-${image.meta.sha256.slice(0, 12)}${variantSuffix(transform)}`;
+  try {
+    return { buffer: await readFile(variantPath), contentType };
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const sharp = await loadSharp();
+  let pipeline = sharp(await readFile(path), { failOn: 'none' }).rotate();
+  if (transform.width || transform.height) {
+    pipeline = pipeline.resize({
+      width: transform.width,
+      height: transform.height,
+      fit: transform.fit,
+      withoutEnlargement: true
+    });
+  }
+  if (transform.format) {
+    pipeline = pipeline.toFormat(transform.format);
+  }
+
+  let buffer;
+  try {
+    buffer = await pipeline.toBuffer();
+  } catch (err) {
+    throw httpError(`Transformation impossible: ${err.message}`, 422);
+  }
+
+  await writeAtomic(variantPath, buffer);
+  stats.transforms++;
+  return { buffer, contentType };
+}
+
+/**
+ * Compteurs du service d'images
+ * @returns {object}
+ */
+export function getImageCacheStats() {
+  return { ...stats, inflight: inflight.size, dir: resolve(IMAGE_CACHE_DIR) };
+}
+
+// ============================================================================
+// RÉÉCRITURE DES URLS
+// ============================================================================
+
+/**
+ * URL locale (/proxy/image) d'une image autorisée, sinon URL inchangée
+ * @param {string} url
+ * @returns {string}
+ */
+export function toLocalImageUrl(url) {
+  return typeof url === 'string' && isImageUrlAllowed(url) ? buildProxyUrl('/proxy/image', url) : url;
+}
+
+/**
+ * Copie d'un résultat normalisé dont les champs image, thumbnail et images.*
+ * (primary, gallery[], {url}…) pointent vers le cache local
+ * @param {*} value - Item, liste d'items ou réponse complète
+ * @returns {*} Nouvelle valeur (l'original n'est pas modifié)
+ */
+export function localizeImages(value, field = null) {
+  if (typeof value === 'string') {
+    return field ? toLocalImageUrl(value) : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(entry => localizeImages(entry, field));
+  }
+  if (value && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+      key,
+      localizeImages(entry, field || (IMAGE_FIELDS.has(key) ? key : null))
+    ]));
+  }
+  return value;
+}
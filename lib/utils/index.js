@@ -11,6 +11,10 @@
  * - middleware.js : Middlewares Express réutilisables
  * - translator.js : Traduction automatique via auto_trad
  * - routeHelpers.js : Helpers pour routes normalisées v3.0.0
+ * - provider-guard.js : Limitation de débit et circuit breaker par provider
+ * - auth.js : Tokens clients (scopes, quotas)
+ * - openmetrics.js : Export des métriques au format OpenMetrics
+ * - image-cache.js : Service d'images (cache disque, transformations, URLs locales)
  */
 
 // Logger
@@ -36,3 +40,15 @@ export * from './translator.js';
 
 // Route Helpers v3.0.0 (endpoints normalisés)
 export * from './routeHelpers.js';
+
+// Limitation de débit et circuit breaker par provider
+export * from './provider-guard.js';
+
+// Tokens clients (scopes, quotas)
+export * from './auth.js';
+
+// Export OpenMetrics (GET /metrics)
+export * from './openmetrics.js';
+
+// Service d'images (/proxy/image)
+export * from './image-cache.js';
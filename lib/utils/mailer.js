@@ -1,7 +1,7 @@
 /**
  * lib/utils/mailer.js - Utilitaire d'envoi d'emails
  * 
- * Utilisé pour les alertes de monitoring
+ * Utilisé pour les alertes de monitoring et de surveillance de prix
  * 
  * @module utils/mailer
  */
@@ -300,6 +300,142 @@ Pour désactiver: SEND_SUCCESS_REPORT=false
   return sendEmail({ subject, text, html });
 }
 
+/**
+ * Envoie une alerte de baisse de prix (surveillance /pricewatch)
+ * @param {object} alert
+ * @param {object} alert.watch - Surveillance (name, source, sourceId, targetPrice, currency, notifyEmail)
+ * @param {number} alert.price - Prix constaté
+ * @param {object} [alert.details] - Détails de l'offre (marketplace, url…)
+ * @returns {Promise<boolean>}
+ */
+export async function sendPriceAlert({ watch, price, details = {} }) {
+  const label = watch.name || `${watch.source} ${watch.sourceId}`;
+  const formatPrice = (value) => `${Number(value).toFixed(2)} ${watch.currency}`;
+  
+  const subject = `💰 Toys API - ${label} à ${formatPrice(price)} (cible ${formatPrice(watch.targetPrice)})`;
+  
+  const text = `
+💰 ALERTE PRIX - Toys API
+=========================
+
+Produit: ${label}
+Source: ${watch.source} (${watch.sourceId})
+Prix constaté: ${formatPrice(price)}
+Prix cible: ${formatPrice(watch.targetPrice)}
+${details.marketplace ? `Boutique: ${details.marketplace}\n` : ''}${details.url ? `Lien: ${details.url}\n` : ''}
+---
+Surveillance #${watch.id} - historique: /pricewatch/${watch.id}/history
+`;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 20px; }
+    .header { background: #28a745; color: white; padding: 15px; border-radius: 5px; }
+    .stats { background: #f8f9fa; padding: 15px; margin: 15px 0; border-radius: 5px; }
+    .price { font-size: 1.4em; font-weight: bold; color: #155724; }
+    .footer { color: #666; font-size: 0.8em; margin-top: 20px; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h2>💰 ${label}</h2>
+  </div>
+  
+  <div class="stats">
+    <p class="price">${formatPrice(price)}</p>
+    <p><strong>Prix cible:</strong> ${formatPrice(watch.targetPrice)}</p>
+    <p><strong>Source:</strong> ${watch.source} (${watch.sourceId})</p>
+    ${details.marketplace ? `<p><strong>Boutique:</strong> ${details.marketplace}</p>` : ''}
+    ${details.url ? `<p><a href="${details.url}">Voir l'offre</a></p>` : ''}
+  </div>
+  
+  <div class="footer">
+    <p>Surveillance #${watch.id} - historique: <code>/pricewatch/${watch.id}/history</code></p>
+  </div>
+</body>
+</html>
+`;
+
+  return sendEmail({ to: watch.notifyEmail || undefined, subject, text, html });
+}
+
+/**
+ * Échappe un texte provider pour le corps HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+/**
+ * Envoie le récapitulatif des nouvelles sorties (suivis /follows)
+ * @param {object} digest
+ * @param {string} [digest.to] - Destinataire (défaut: EMAIL_DEST)
+ * @param {Array} digest.releases - Sorties ({ followName, title, releaseDate, url, image })
+ * @returns {Promise<boolean>}
+ */
+export async function sendReleaseDigest({ to, releases }) {
+  if (!releases || releases.length === 0) return false;
+  
+  const groups = new Map();
+  for (const release of releases) {
+    const name = release.followName || 'Suivi';
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(release);
+  }
+  
+  const subject = `📅 Toys API - ${releases.length} nouvelle(s) sortie(s) (${[...groups.keys()].slice(0, 3).join(', ')}${groups.size > 3 ? '…' : ''})`;
+  
+  const text = `
+📅 NOUVELLES SORTIES - Toys API
+===============================
+
+${[...groups].map(([name, list]) => `${name}
+${list.map(r => `  - ${r.title}${r.releaseDate ? ` (${r.releaseDate})` : ''}${r.url ? `\n    ${r.url}` : ''}`).join('\n')}`).join('\n\n')}
+
+---
+Calendrier complet: /calendar
+`;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 20px; }
+    .header { background: #17a2b8; color: white; padding: 15px; border-radius: 5px; }
+    .stats { background: #f8f9fa; padding: 15px; margin: 15px 0; border-radius: 5px; }
+    .release { margin: 8px 0; }
+    .release img { height: 60px; vertical-align: middle; margin-right: 10px; }
+    .footer { color: #666; font-size: 0.8em; margin-top: 20px; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h2>📅 ${releases.length} nouvelle(s) sortie(s)</h2>
+  </div>
+  
+  ${[...groups].map(([name, list]) => `<div class="stats">
+    <h3>${escapeHtml(name)}</h3>
+    ${list.map(r => `<div class="release">
+      ${r.image ? `<img src="${escapeHtml(r.image)}" alt="">` : ''}
+      ${r.url ? `<a href="${escapeHtml(r.url)}">${escapeHtml(r.title)}</a>` : escapeHtml(r.title)}
+      ${r.releaseDate ? ` - <strong>${escapeHtml(r.releaseDate)}</strong>` : ''}
+    </div>`).join('\n    ')}
+  </div>`).join('\n  ')}
+  
+  <div class="footer">
+    <p>Calendrier complet: <code>/calendar</code></p>
+  </div>
+</body>
+</html>
+`;
+
+  return sendEmail({ to: to || undefined, subject, text, html });
+}
+
 /**
  * Vérifie la configuration SMTP
  * @returns {boolean} - true si configuré
@@ -330,6 +466,8 @@ export default {
   sendEmail,
   sendMonitoringAlert,
   sendSuccessReport,
+  sendPriceAlert,
+  sendReleaseDigest,
   isMailerConfigured,
   testSmtpConnection
 };
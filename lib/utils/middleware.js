@@ -5,7 +5,10 @@
  * Middlewares pour validation des paramètres et authentification API
  */
 
-import { extractApiKey, API_ENCRYPTION_KEY } from './helpers.js';
+import express from 'express';
+import { extractApiKey, getRouteKeyName, API_ENCRYPTION_KEY } from './helpers.js';
+import { getStoredKey } from '../database/credential-vault.js';
+import { canUseServerKeys } from './auth.js';
 import { setSkipCache } from './state.js';
 
 /**
@@ -43,7 +46,7 @@ export function handleCacheControl(req, res, next) {
  * router.get("/search", requireParam('q'), asyncHandler(async (req, res) => { ... }));
  */
 export function requireParam(param, message = null) {
-  return (req, res, next) => {
+  const middleware = (req, res, next) => {
     const value = req.query[param] || req.params[param];
     if (!value) {
       return res.status(400).json({ 
@@ -52,6 +55,9 @@ export function requireParam(param, message = null) {
     }
     next();
   };
+  // Métadonnées lues par la génération OpenAPI
+  middleware.openapi = { param };
+  return middleware;
 }
 
 /**
@@ -66,8 +72,9 @@ export function requireParam(param, message = null) {
  * router.get("/search", requireApiKey('RAWG', 'https://rawg.io/apidocs'), asyncHandler(...));
  */
 export function requireApiKey(source, hint = null) {
-  return (req, res, next) => {
-    const apiKey = extractApiKey(req);
+  const middleware = (req, res, next) => {
+    // Clé du client, sinon clé du coffre serveur (tokens authentifiés, ou AUTH_MODE=off)
+    const apiKey = extractApiKey(req) || (canUseServerKeys(req) ? getStoredKey(getRouteKeyName(req)) : null);
     if (!apiKey) {
       return res.status(401).json({ 
         error: `Clé API ${source} requise`,
@@ -80,6 +87,8 @@ export function requireApiKey(source, hint = null) {
     req.apiKey = apiKey;
     next();
   };
+  middleware.openapi = { apiKey: source };
+  return middleware;
 }
 
 /**
@@ -135,4 +144,63 @@ export function setCacheHeaders(res, cacheInfo) {
       res.set('X-Cache-Duration', `${cacheInfo.duration}ms`);
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Middleware de réception d'une image envoyée en corps brut ou multipart
+ * Le corps est lu par express.raw ; l'image s'obtient avec getUploadedImage(req)
+ *
+ * @param {number} limit - Taille max en octets
+ * @example
+ * router.post('/image', imageUpload(IDENTIFY_MAX_UPLOAD_BYTES), asyncHandler(...));
+ */
+export function imageUpload(limit) {
+  return express.raw({
+    type: ['image/*', 'application/octet-stream', 'multipart/form-data'],
+    limit
+  });
+}
+
+/**
+ * Fichier d'un envoi multipart/form-data (premier champ fichier ou image)
+ * @param {Buffer} body
+ * @param {string} contentType
+ * @returns {Buffer|null}
+ */
+function extractMultipartFile(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!match) return null;
+
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+
+    // Partie : CRLF, en-têtes, CRLF CRLF, contenu, CRLF
+    const part = body.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf8');
+      if (/filename=/i.test(headers) || /content-type:\s*image\//i.test(headers)) {
+        return part.subarray(headerEnd + 4);
+      }
+    }
+    start = next;
+  }
+  return null;
+}
+
+/**
+ * Image reçue par imageUpload (corps brut, ou fichier d'un multipart/form-data)
+ * @param {Object} req - Request Express
+ * @returns {Buffer|null} null si aucune image
+ */
+export function getUploadedImage(req) {
+  const contentType = req.get('content-type') || '';
+  const image = Buffer.isBuffer(req.body) && contentType.startsWith('multipart/form-data')
+    ? extractMultipartFile(req.body, contentType)
+    : req.body;
+
+  return Buffer.isBuffer(image) && image.length > 0 ? image : null;
+}
@@ -0,0 +1,235 @@
+/**
+ * lib/utils/openmetrics.js - Exposition des métriques au format OpenMetrics (Prometheus)
+ * toys_api v4.1.2
+ *
+ * Séries exposées par GET /metrics :
+ * - toys_api_http_requests / toys_api_http_request_duration_seconds : par route, méthode et statut
+ * - toys_api_upstream_* : appels sortants par source et transport (cf. http-client.js)
+ * - toys_api_cache_* : hits/misses du cache mémoire (l1) et PostgreSQL (pg)
+ * - toys_api_db_pool_* : pool pg (getPoolStats)
+ * - toys_api_flaresolverr_* / toys_api_puppeteer_* : navigateurs (getBrowserStats)
+ *
+ * Les compteurs globaux restent dans metrics (state.js) ; ce module ne conserve
+ * que les histogrammes, réinitialisés avec DELETE /metrics.
+ *
+ * @module utils/openmetrics
+ */
+
+import { metrics, getCacheStats } from './state.js';
+import { getProviderGuardStates, CIRCUIT_STATE } from './provider-guard.js';
+
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Bornes des histogrammes (secondes)
+export const REQUEST_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+export const UPSTREAM_DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const PREFIX = 'toys_api';
+
+// Histogrammes : clé "label=valeur,…" → { labels, buckets[], count, sum }
+const requestHistograms = new Map();
+const upstreamHistograms = new Map();
+
+// ============================================================================
+// OBSERVATIONS
+// ============================================================================
+
+function observe(histograms, bounds, labels, seconds) {
+  const key = Object.entries(labels).map(([name, value]) => `${name}=${value}`).join(',');
+  let histogram = histograms.get(key);
+  if (!histogram) {
+    histogram = { labels, buckets: new Array(bounds.length).fill(0), count: 0, sum: 0 };
+    histograms.set(key, histogram);
+  }
+  bounds.forEach((bound, i) => {
+    if (seconds <= bound) histogram.buckets[i]++;
+  });
+  histogram.count++;
+  histogram.sum += seconds;
+}
+
+/**
+ * Route d'une requête Express terminée (chemin déclaré, pas l'URL réelle)
+ * @param {import('express').Request} req
+ * @returns {string} ex: /lego/search, /lego/:id, "unmatched" si aucune route
+ */
+export function getRouteLabel(req) {
+  if (!req.route) return 'unmatched';
+  const routePath = typeof req.route.path === 'string' ? req.route.path : String(req.route.path);
+  return `${req.baseUrl || ''}${routePath}` || '/';
+}
+
+/**
+ * Enregistre une requête entrante (middleware de index.js, à la fin de la réponse)
+ * @param {import('express').Request} req
+ * @param {number} status - Code HTTP de la réponse
+ * @param {number} durationMs
+ */
+export function recordRouteRequest(req, status, durationMs) {
+  observe(requestHistograms, REQUEST_DURATION_BUCKETS, {
+    route: getRouteLabel(req),
+    method: req.method,
+    status: String(status)
+  }, durationMs / 1000);
+}
+
+/**
+ * Enregistre la durée d'un appel sortant (appelé par recordHttpCall)
+ * @param {string} source
+ * @param {string} via - direct, flaresolverr, puppeteer
+ * @param {number} durationMs
+ */
+export function recordUpstreamLatency(source, via, durationMs) {
+  observe(upstreamHistograms, UPSTREAM_DURATION_BUCKETS, { source, via }, durationMs / 1000);
+}
+
+/**
+ * Vide les histogrammes (DELETE /metrics, tests)
+ */
+export function resetOpenMetrics() {
+  requestHistograms.clear();
+  upstreamHistograms.clear();
+}
+
+// ============================================================================
+// RENDU
+// ============================================================================
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return Number.isFinite(value) ? String(Math.round(value * 1e6) / 1e6) : 'NaN';
+}
+
+/**
+ * Accumule les familles de métriques puis produit le texte OpenMetrics
+ */
+class MetricWriter {
+  constructor() {
+    this.lines = [];
+  }
+
+  family(name, type, help, samples) {
+    if (samples.length === 0) return;
+    this.lines.push(`# HELP ${PREFIX}_${name} ${help}`);
+    this.lines.push(`# TYPE ${PREFIX}_${name} ${type}`);
+    for (const { suffix = '', labels = {}, value } of samples) {
+      this.lines.push(`${PREFIX}_${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  }
+
+  counter(name, help, samples) {
+    this.family(name, 'counter', help, samples.map(sample => ({ ...sample, suffix: '_total' })));
+  }
+
+  gauge(name, help, samples) {
+    this.family(name, 'gauge', help, samples);
+  }
+
+  histogram(name, help, bounds, histograms) {
+    const samples = [];
+    for (const { labels, buckets, count, sum } of histograms.values()) {
+      bounds.forEach((bound, i) => {
+        samples.push({ suffix: '_bucket', labels: { ...labels, le: formatValue(bound) }, value: buckets[i] });
+      });
+      samples.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count });
+      samples.push({ suffix: '_count', labels, value: count });
+      samples.push({ suffix: '_sum', labels, value: sum });
+    }
+    this.family(name, 'histogram', help, samples);
+  }
+
+  toString() {
+    return `${this.lines.join('\n')}\n# EOF\n`;
+  }
+}
+
+/**
+ * Produit l'ensemble des métriques au format OpenMetrics
+ * @param {object} [stats] - Statistiques collectées par l'appelant
+ * @param {object|null} [stats.pool] - getPoolStats() (null si base désactivée)
+ * @param {object|null} [stats.browser] - getBrowserStats() (null si Puppeteer indisponible)
+ * @param {object} [stats.flaresolverr] - { sessionActive: boolean }
+ * @returns {string}
+ */
+export function renderOpenMetrics({ pool = null, browser = null, flaresolverr = null } = {}) {
+  const out = new MetricWriter();
+  const sources = Object.entries(metrics.sources).sort(([a], [b]) => a.localeCompare(b));
+
+  out.gauge('uptime_seconds', 'Durée depuis le démarrage', [
+    { value: (Date.now() - metrics.startTime) / 1000 }
+  ]);
+
+  // Requêtes entrantes
+  out.counter('http_requests', 'Requêtes HTTP reçues', [...requestHistograms.values()].map(({ labels, count }) => ({
+    labels, value: count
+  })));
+  out.histogram('http_request_duration_seconds', 'Durée des requêtes HTTP reçues', REQUEST_DURATION_BUCKETS, requestHistograms);
+
+  // Providers (compteurs des providers, puis appels HTTP sortants)
+  out.counter('provider_requests', 'Requêtes traitées par provider', sources.map(([source, entry]) => ({
+    labels: { source }, value: entry.requests || 0
+  })));
+  out.counter('provider_errors', 'Erreurs par provider', sources.map(([source, entry]) => ({
+    labels: { source }, value: entry.errors || 0
+  })));
+
+  const upstream = sources.filter(([, entry]) => entry.http);
+  out.counter('upstream_calls', 'Appels HTTP sortants par source et statut', upstream.flatMap(([source, { http }]) =>
+    Object.entries(http.statuses).map(([status, value]) => ({ labels: { source, status }, value }))
+  ));
+  out.counter('upstream_failures', 'Appels sortants en échec (réseau ou 5xx)', upstream.map(([source, { http }]) => ({
+    labels: { source }, value: http.failures
+  })));
+  out.counter('upstream_retries', 'Nouvelles tentatives des appels sortants', upstream.map(([source, { http }]) => ({
+    labels: { source }, value: http.retries
+  })));
+  out.histogram('upstream_duration_seconds', 'Durée des appels sortants (tentatives comprises)', UPSTREAM_DURATION_BUCKETS, upstreamHistograms);
+
+  out.gauge('provider_circuit_open', 'Circuit breaker ouvert (1) ou non (0)', Object.entries(getProviderGuardStates().providers)
+    .map(([source, { state }]) => ({ labels: { source }, value: state === CIRCUIT_STATE.OPEN ? 1 : 0 })));
+
+  // Caches
+  out.counter('cache_hits', 'Lectures servies par le cache', [
+    { labels: { layer: 'l1' }, value: metrics.cache.l1.hits },
+    { labels: { layer: 'pg' }, value: metrics.cache.pg.hits }
+  ]);
+  out.counter('cache_misses', 'Lectures absentes du cache', [
+    { labels: { layer: 'l1' }, value: metrics.cache.l1.misses },
+    { labels: { layer: 'pg' }, value: metrics.cache.pg.misses }
+  ]);
+  out.gauge('cache_entries', 'Entrées du cache mémoire', [{ value: getCacheStats().size }]);
+
+  // Pool PostgreSQL
+  if (pool) {
+    out.gauge('db_pool_connected', 'Connexion PostgreSQL active', [{ value: pool.connected ? 1 : 0 }]);
+    if (pool.connected) {
+      out.gauge('db_pool_connections', 'Connexions du pool PostgreSQL', [
+        { labels: { state: 'total' }, value: pool.totalCount },
+        { labels: { state: 'idle' }, value: pool.idleCount },
+        { labels: { state: 'waiting' }, value: pool.waitingCount }
+      ]);
+      out.gauge('db_pool_max', 'Taille maximale du pool PostgreSQL', [{ value: pool.config.poolMax }]);
+    }
+  }
+
+  // Navigateurs
+  if (flaresolverr) {
+    out.gauge('flaresolverr_session_active', 'Session FlareSolverr ouverte', [{ value: flaresolverr.sessionActive ? 1 : 0 }]);
+  }
+  if (browser) {
+    out.gauge('puppeteer_browser_running', 'Navigateur Puppeteer lancé', [{ value: browser.isRunning ? 1 : 0 }]);
+    out.gauge('puppeteer_browser_idle_seconds', 'Inactivité du navigateur Puppeteer', [{ value: browser.idleTime }]);
+  }
+
+  return out.toString();
+}
@@ -0,0 +1,100 @@
+/**
+ * lib/utils/phash.js - Empreinte perceptuelle des images (pHash)
+ * toys_api v4.1.2
+ *
+ * pHash 64 bits : image en niveaux de gris 32x32, DCT 2D, coefficients 8x8 de
+ * basse fréquence comparés à leur médiane. Deux images proches (recadrage léger,
+ * compression, éclairage) ont une faible distance de Hamming.
+ *
+ * Calcul local sur CPU (sharp pour le décodage), sans service externe.
+ * Les empreintes sont manipulées sous forme de chaîne de 64 bits ('0101…'),
+ * directement utilisable comme littéral BIT(64) PostgreSQL.
+ *
+ * @module utils/phash
+ */
+
+import { loadSharp } from './helpers.js';
+
+export const PHASH_BITS = 64;
+
+const SAMPLE_SIZE = 32;
+const LOW_FREQ = 8;
+
+// Cosinus de la DCT-II : COS[u][x] = cos((2x + 1) * u * π / 64), u < 8
+const COS = Array.from({ length: LOW_FREQ }, (_, u) =>
+  Float64Array.from({ length: SAMPLE_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * SAMPLE_SIZE)))
+);
+
+/**
+ * pHash de pixels en niveaux de gris 32x32
+ * @param {Uint8Array|number[]} pixels - 1024 valeurs (ligne par ligne)
+ * @returns {string} 64 bits
+ */
+export function pHashFromPixels(pixels) {
+  if (pixels.length !== SAMPLE_SIZE * SAMPLE_SIZE) {
+    throw new Error(`pHash: ${SAMPLE_SIZE * SAMPLE_SIZE} pixels attendus, ${pixels.length} reçus`);
+  }
+
+  // DCT séparable : lignes (32x8) puis colonnes (8x8)
+  const rows = Array.from({ length: SAMPLE_SIZE }, (_, y) =>
+    COS.map(cos => {
+      let sum = 0;
+      for (let x = 0; x < SAMPLE_SIZE; x++) sum += pixels[y * SAMPLE_SIZE + x] * cos[x];
+      return sum;
+    })
+  );
+
+  const coefficients = [];
+  for (let v = 0; v < LOW_FREQ; v++) {
+    for (let u = 0; u < LOW_FREQ; u++) {
+      let sum = 0;
+      for (let y = 0; y < SAMPLE_SIZE; y++) sum += rows[y][u] * COS[v][y];
+      coefficients.push(sum);
+    }
+  }
+
+  const sorted = [...coefficients].sort((a, b) => a - b);
+  const median = (sorted[PHASH_BITS / 2 - 1] + sorted[PHASH_BITS / 2]) / 2;
+  return coefficients.map(value => (value > median ? '1' : '0')).join('');
+}
+
+/**
+ * pHash d'une image (JPEG, PNG, WebP, AVIF, GIF…)
+ * Orientation EXIF appliquée, transparence aplatie sur fond blanc
+ * @param {Buffer} buffer
+ * @returns {Promise<string>} 64 bits
+ */
+export async function computePHash(buffer) {
+  const sharp = await loadSharp();
+  const pixels = await sharp(buffer, { failOn: 'none' })
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .grayscale()
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  return pHashFromPixels(pixels);
+}
+
+/**
+ * Distance de Hamming entre deux empreintes
+ * @param {string} a - 64 bits
+ * @param {string} b - 64 bits
+ * @returns {number} 0 (identiques) à 64
+ */
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < PHASH_BITS; i++) {
+    if (a[i] !== b[i]) distance++;
+  }
+  return distance;
+}
+
+/**
+ * Empreinte 64 bits → hexadécimal (16 caractères, affichage API)
+ * @param {string} bits
+ * @returns {string}
+ */
+export function phashToHex(bits) {
+  return BigInt(`0b${bits}`).toString(16).padStart(PHASH_BITS / 4, '0');
+}
@@ -0,0 +1,402 @@
+/**
+ * lib/utils/provider-guard.js - Limitation de débit et circuit breaker par provider
+ * toys_api v4.1.2
+ *
+ * Un garde par source (cf. PROVIDER_GUARDS dans config.js) :
+ * - TokenBucket : espace les appels sortants (rate req/s, burst)
+ * - CircuitBreaker : coupe la source après N échecs consécutifs
+ *   (closed → open → half-open → closed), un seul appel d'essai en half-open
+ *
+ * Points d'intégration :
+ * - fetchViaProxy / fsrRequest : limitation par domaine (throttleUrl)
+ * - providers hors fetch (Puppeteer, FlareSolverr direct) : throttle(source)
+ * - http-client : seuls les appels amont comptent (recordUpstreamResult :
+ *   erreur réseau ou 5xx = échec), jamais le statut des réponses de nos routes
+ * - routes : middleware providerGuard(source) → 503 + Retry-After si circuit ouvert
+ *
+ * @module utils/provider-guard
+ */
+
+import { createLogger } from './logger.js';
+import { PROVIDER_GUARD_DEFAULTS, PROVIDER_GUARDS } from '../config.js';
+
+const log = createLogger('ProviderGuard');
+
+// Essai half-open sans résultat (cache, abandon) : un nouvel essai est admis après ce délai
+const PROBE_TIMEOUT_MS = 60 * 1000;
+
+export const CIRCUIT_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Erreur levée quand le circuit d'une source est ouvert
+ */
+export class ProviderUnavailableError extends Error {
+  constructor(source, retryAfter) {
+    super(`${source} temporairement indisponible (circuit ouvert). Réessayer dans ${retryAfter}s`);
+    this.name = 'ProviderUnavailableError';
+    this.source = source;
+    this.status = 503;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// ============================================================================
+// TOKEN BUCKET
+// ============================================================================
+
+export class TokenBucket {
+  /**
+   * @param {object} options
+   * @param {number} options.rate - Jetons ajoutés par seconde
+   * @param {number} options.burst - Capacité maximale
+   */
+  constructor({ rate, burst }) {
+    this.rate = rate;
+    this.burst = Math.max(1, burst);
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Réserve un jeton et attend si nécessaire
+   * (le solde peut devenir négatif : les appelants sont servis dans l'ordre)
+   * @returns {Promise<number>} Temps d'attente en ms
+   */
+  async take() {
+    this.refill();
+    this.tokens -= 1;
+    if (this.tokens >= 0) return 0;
+
+    const wait = Math.ceil((-this.tokens / this.rate) * 1000);
+    await new Promise(resolve => setTimeout(resolve, wait));
+    return wait;
+  }
+}
+
+// ============================================================================
+// CIRCUIT BREAKER
+// ============================================================================
+
+export class CircuitBreaker {
+  /**
+   * @param {string} source - Nom de la source (logs)
+   * @param {object} options
+   * @param {number} options.failureThreshold - Échecs consécutifs avant ouverture
+   * @param {number} options.cooldownMs - Durée d'ouverture (ms)
+   */
+  constructor(source, { failureThreshold, cooldownMs }) {
+    this.source = source;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeStartedAt = null;
+    this.lastFailure = null;
+    this.totalFailures = 0;
+    this.timesOpened = 0;
+  }
+
+  /**
+   * Vérifie si un appel est autorisé, sans réserver l'essai half-open
+   * @returns {{available: boolean, reason: string|null, retryAfter: number|null}}
+   */
+  check() {
+    const now = Date.now();
+    if (this.state === CIRCUIT_STATE.OPEN) {
+      const elapsed = now - this.openedAt;
+      if (elapsed < this.cooldownMs) {
+        return {
+          available: false,
+          reason: `${this.source} temporairement désactivé (${this.consecutiveFailures} échecs consécutifs)`,
+          retryAfter: Math.ceil((this.cooldownMs - elapsed) / 1000)
+        };
+      }
+    } else if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+      const elapsed = now - this.probeStartedAt;
+      if (elapsed < PROBE_TIMEOUT_MS) {
+        return {
+          available: false,
+          reason: `${this.source} temporairement désactivé (essai en cours après ${this.consecutiveFailures} échecs)`,
+          retryAfter: Math.ceil((PROBE_TIMEOUT_MS - elapsed) / 1000)
+        };
+      }
+    }
+    return { available: true, reason: null, retryAfter: null };
+  }
+
+  /**
+   * Autorise un appel réel : après le cooldown, un seul appel d'essai passe
+   * (half-open) et les suivants sont refusés jusqu'à son succès ou son échec
+   * @returns {{available: boolean, reason: string|null, retryAfter: number|null}}
+   */
+  acquire() {
+    const availability = this.check();
+    if (availability.available && this.state !== CIRCUIT_STATE.CLOSED) {
+      log.info(`🔄 Circuit ${this.source}: half-open, appel d'essai`);
+      this.state = CIRCUIT_STATE.HALF_OPEN;
+      this.probeStartedAt = Date.now();
+    }
+    return availability;
+  }
+
+  recordSuccess() {
+    if (this.state !== CIRCUIT_STATE.CLOSED) {
+      log.info(`✅ Circuit ${this.source}: fermé après succès`);
+    }
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeStartedAt = null;
+  }
+
+  /**
+   * @param {string} [message] - Message de l'erreur
+   */
+  recordFailure(message = null) {
+    this.consecutiveFailures++;
+    this.totalFailures++;
+    this.lastFailure = { message, at: new Date().toISOString() };
+
+    const shouldOpen = this.state === CIRCUIT_STATE.HALF_OPEN
+      || (this.state === CIRCUIT_STATE.CLOSED && this.consecutiveFailures >= this.failureThreshold);
+
+    if (shouldOpen) {
+      this.state = CIRCUIT_STATE.OPEN;
+      this.openedAt = Date.now();
+      this.probeStartedAt = null;
+      this.timesOpened++;
+      log.warn(`🔴 Circuit ${this.source}: OUVERT après ${this.consecutiveFailures} échecs consécutifs (retry dans ${Math.round(this.cooldownMs / 1000)}s)`);
+    }
+  }
+
+  /**
+   * Réinitialise le circuit (fermé, compteurs à zéro)
+   */
+  reset() {
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeStartedAt = null;
+  }
+
+  toJSON() {
+    const { retryAfter } = this.check();
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      totalFailures: this.totalFailures,
+      timesOpened: this.timesOpened,
+      retryAfter,
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+// ============================================================================
+// REGISTRE DES GARDES
+// ============================================================================
+
+const guards = new Map();
+
+/**
+ * Retourne (en le créant si besoin) le garde d'une source
+ * @param {string} source
+ * @returns {{source: string, config: object, bucket: TokenBucket, breaker: CircuitBreaker}}
+ */
+export function getProviderGuard(source) {
+  const key = String(source).toLowerCase();
+  if (!guards.has(key)) {
+    const config = { ...PROVIDER_GUARD_DEFAULTS, ...(PROVIDER_GUARDS[key] || {}) };
+    guards.set(key, {
+      source: key,
+      config,
+      bucket: new TokenBucket(config),
+      breaker: new CircuitBreaker(key, config)
+    });
+  }
+  return guards.get(key);
+}
+
+/**
+ * Source associée à une URL (d'après PROVIDER_GUARDS[*].hosts)
+ * @param {string|URL} url
+ * @returns {string|null}
+ */
+export function getSourceForUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url.toString()).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+
+  for (const [source, config] of Object.entries(PROVIDER_GUARDS)) {
+    if (config.hosts?.some(host => hostname === host || hostname.endsWith(`.${host}`))) {
+      return source;
+    }
+  }
+  return null;
+}
+
+/**
+ * Vérifie la disponibilité d'une source (circuit breaker)
+ * @param {string} source
+ * @returns {{available: boolean, reason: string|null, retryAfter: number|null}}
+ */
+export function isProviderAvailable(source) {
+  return getProviderGuard(source).breaker.check();
+}
+
+/**
+ * Attend un jeton pour une source (lève ProviderUnavailableError si circuit ouvert
+ * ou si l'appel d'essai half-open est déjà en cours)
+ * @param {string} source
+ * @returns {Promise<number>} Temps d'attente en ms
+ */
+export async function throttle(source) {
+  const guard = getProviderGuard(source);
+  const availability = guard.breaker.acquire();
+  if (!availability.available) {
+    throw new ProviderUnavailableError(guard.source, availability.retryAfter);
+  }
+  return guard.bucket.take();
+}
+
+/**
+ * Limitation par domaine : applique throttle() si l'URL appartient à une source connue
+ * @param {string|URL} url
+ * @returns {Promise<number>} Temps d'attente en ms (0 si domaine non géré)
+ */
+export async function throttleUrl(url) {
+  const source = getSourceForUrl(url);
+  return source ? throttle(source) : 0;
+}
+
+/**
+ * Signale le succès d'un appel
+ * @param {string} source
+ */
+export function recordProviderSuccess(source) {
+  getProviderGuard(source).breaker.recordSuccess();
+}
+
+/**
+ * Signale l'échec d'un appel (peut ouvrir le circuit)
+ * @param {string} source
+ * @param {Error|string} [error]
+ */
+export function recordProviderFailure(source, error = null) {
+  getProviderGuard(source).breaker.recordFailure(error?.message || error || null);
+}
+
+/**
+ * Signale le résultat d'un appel amont (http-client, Puppeteer) pour les sources
+ * associées à des hôtes : erreur réseau ou 5xx = échec, 2xx/3xx = succès,
+ * 4xx sans effet (réponse normale du provider : introuvable, clé invalide…)
+ * @param {string|null} source
+ * @param {number|null} status - Statut HTTP (null si erreur réseau)
+ */
+export function recordUpstreamResult(source, status) {
+  if (!source || !PROVIDER_GUARDS[source]?.hosts) return;
+  if (!status || status >= 500) {
+    recordProviderFailure(source, status ? `HTTP ${status} (amont)` : 'Erreur réseau');
+  } else if (status < 400) {
+    recordProviderSuccess(source);
+  }
+}
+
+/**
+ * Exécute un appel protégé : throttle + enregistrement succès/échec
+ * @param {string} source
+ * @param {Function} fn - Fonction async à exécuter
+ * @param {object} [options]
+ * @param {Function} [options.isFailure] - (err) => boolean, échecs comptés par le breaker (défaut: tous)
+ * @returns {Promise<*>}
+ */
+export async function withProviderGuard(source, fn, options = {}) {
+  const { isFailure = () => true } = options;
+  await throttle(source);
+
+  try {
+    const result = await fn();
+    recordProviderSuccess(source);
+    return result;
+  } catch (err) {
+    if (isFailure(err)) {
+      recordProviderFailure(source, err);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Middleware Express : 503 immédiat + Retry-After si le circuit est ouvert
+ * (ou si l'appel d'essai half-open est en cours). Le statut des réponses de la
+ * route n'est pas comptabilisé : un 500 applicatif n'est pas une panne du provider,
+ * les échecs viennent des appels amont (recordUpstreamResult) ou du provider lui-même
+ * @param {string} source
+ * @returns {Function} Middleware Express
+ *
+ * @example
+ * app.use('/bedetheque', providerGuard('bedetheque'), bedethequeRouter);
+ */
+export function providerGuard(source) {
+  const middleware = (req, res, next) => {
+    const availability = isProviderAvailable(source);
+    if (!availability.available) {
+      res.set('Retry-After', String(availability.retryAfter));
+      return res.status(503).json({
+        error: availability.reason,
+        code: 503,
+        provider: source,
+        retryAfter: availability.retryAfter,
+        timestamp: new Date().toISOString()
+      });
+    }
+    next();
+  };
+  // Métadonnées lues par la génération OpenAPI
+  middleware.openapi = { provider: source };
+  return middleware;
+}
+
+/**
+ * États des circuits et limites de toutes les sources utilisées
+ * @returns {{open: string[], providers: object}}
+ */
+export function getProviderGuardStates() {
+  const providers = {};
+  const open = [];
+
+  for (const [source, guard] of [...guards.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    const breaker = guard.breaker.toJSON();
+    if (breaker.state === CIRCUIT_STATE.OPEN) open.push(source);
+    providers[source] = {
+      ...breaker,
+      rate: guard.config.rate,
+      burst: guard.config.burst
+    };
+  }
+
+  return { open, providers };
+}
+
+/**
+ * Réinitialise les gardes (tests)
+ */
+export function resetProviderGuards() {
+  guards.clear();
+}
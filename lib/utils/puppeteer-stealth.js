@@ -7,6 +7,9 @@
 import puppeteer from 'puppeteer-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
 import { createLogger } from './logger.js';
+import { stealthWithFixture } from './http-fixtures.js';
+import { recordHttpCall, withRetry } from './http-client.js';
+import { getSourceForUrl } from './provider-guard.js';
 
 const log = createLogger('PuppeteerStealth');
 
@@ -150,6 +153,25 @@ function getRandomUserAgent() {
  * @returns {Promise<{html: string, status: number, url: string}>}
  */
 export async function stealthGet(url, options = {}) {
+  // Page enregistrée/rejouée selon HTTP_FIXTURES
+  return stealthWithFixture(url, async () => {
+    const source = getSourceForUrl(url);
+    const start = Date.now();
+    try {
+      const page = await performStealthGet(url, options);
+      recordHttpCall(source, { duration: Date.now() - start, status: page.status, via: 'puppeteer' });
+      return page;
+    } catch (err) {
+      recordHttpCall(source, { duration: Date.now() - start, status: null, via: 'puppeteer' });
+      throw err;
+    }
+  });
+}
+
+/**
+ * Chargement réel de la page dans Chromium
+ */
+async function performStealthGet(url, options) {
   const {
     timeout = 30000,
     waitFor = 'networkidle2',
@@ -350,43 +372,26 @@ export async function amazonStealthSearch(searchUrl, options = {}) {
     retries = 2,
   } = options;
 
-  let lastError;
-  
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      log.debug(`🔍 Tentative ${attempt}/${retries}: ${searchUrl}`);
-      
-      const result = await stealthGet(searchUrl, {
-        timeout,
-        waitFor: 'domcontentloaded',
-        userAgent: getRandomUserAgent(), // UA différent à chaque tentative
-      });
-
-      // Vérifier si on a été bloqué
-      if (isAmazonBlocked(result.html)) {
-        log.warn(`⚠️ Amazon bloqué (tentative ${attempt})`);
-        
-        if (attempt < retries) {
-          // Attendre avant de réessayer
-          await new Promise(r => setTimeout(r, 2000 + Math.random() * 3000));
-          continue;
-        }
-        throw new Error('Amazon a détecté une activité automatisée');
-      }
+  return withRetry(async (attempt) => {
+    log.debug(`🔍 Tentative ${attempt}/${retries}: ${searchUrl}`);
 
-      return result.html;
+    const result = await stealthGet(searchUrl, {
+      timeout,
+      waitFor: 'domcontentloaded',
+      userAgent: getRandomUserAgent(), // UA différent à chaque tentative
+    });
 
-    } catch (err) {
-      lastError = err;
-      log.warn(`❌ Tentative ${attempt} échouée: ${err.message}`);
-      
-      if (attempt < retries) {
-        await new Promise(r => setTimeout(r, 1000 * attempt));
-      }
+    // Vérifier si on a été bloqué
+    if (isAmazonBlocked(result.html)) {
+      log.warn(`⚠️ Amazon bloqué (tentative ${attempt})`);
+      throw new Error('Amazon a détecté une activité automatisée');
     }
-  }
 
-  throw lastError || new Error('Échec après plusieurs tentatives');
+    return result.html;
+  }, {
+    attempts: retries,
+    onError: (err, attempt) => log.warn(`❌ Tentative ${attempt} échouée: ${err.message}`)
+  });
 }
 
 /**
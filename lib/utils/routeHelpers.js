@@ -8,7 +8,8 @@
  * - /code : Recherche par code-barres (EAN/UPC/ISBN)
  */
 
-import { DEFAULT_LOCALE } from '../config.js';
+import { DEFAULT_LOCALE, IMAGE_LOCAL_URLS, AUTH_MODE } from '../config.js';
+import { localizeImages } from './image-cache.js';
 
 // ============================================================================
 // CONSTANTES
@@ -136,6 +137,18 @@ export function parseBoolean(value) {
   return str === 'true' || str === '1' || str === 'yes' || str === 'on';
 }
 
+/**
+ * Identifiant de l'utilisateur propriétaire
+ * Utilisateur du token client uniquement ; 'default' si AUTH_MODE=off
+ * Utilisé par les routes par utilisateur (/collection, /pricewatch, /follows, /calendar)
+ * @param {import('express').Request} req
+ * @returns {string|null} null si aucun utilisateur (voir requireUser)
+ */
+export function getUserId(req) {
+  if (req.apiToken?.userId) return req.apiToken.userId;
+  return AUTH_MODE === 'off' ? 'default' : null;
+}
+
 // ============================================================================
 // GÉNÉRATION DES URLs DE DÉTAIL
 // ============================================================================
@@ -209,15 +222,16 @@ export function parseDetailUrl(detailUrl) {
  * @param {Object} [options.pagination] - Info de pagination
  * @param {Object} [options.meta] - Métadonnées supplémentaires
  * @param {Object} [options.cacheMatch] - Infos de correspondance cache (similarité)
+ * @param {boolean} [options.localImages] - Images servies par /proxy/image (défaut: IMAGE_LOCAL_URLS)
  * @returns {Object}
  */
-export function formatSearchResponse({ items, provider, query, pagination = {}, meta = {}, cacheMatch = null }) {
+export function formatSearchResponse({ items, provider, query, pagination = {}, meta = {}, cacheMatch = null, localImages = IMAGE_LOCAL_URLS }) {
   const response = {
     success: true,
     provider,
     query,
     count: items.length,
-    items,
+    items: localImages ? localizeImages(items) : items,
     pagination: {
       page: pagination.page || 1,
       pageSize: pagination.pageSize || items.length,
@@ -252,14 +266,15 @@ export function formatSearchResponse({ items, provider, query, pagination = {},
  * @param {string} options.provider - Nom du provider
  * @param {string} options.id - ID du produit
  * @param {Object} [options.meta] - Métadonnées supplémentaires
+ * @param {boolean} [options.localImages] - Images servies par /proxy/image (défaut: IMAGE_LOCAL_URLS)
  * @returns {Object}
  */
-export function formatDetailResponse({ data, provider, id, meta = {} }) {
+export function formatDetailResponse({ data, provider, id, meta = {}, localImages = IMAGE_LOCAL_URLS }) {
   return {
     success: true,
     provider,
     id,
-    data,
+    data: localImages ? localizeImages(data) : data,
     meta: {
       fetchedAt: new Date().toISOString(),
       lang: meta.lang || 'fr',
@@ -30,6 +30,11 @@ export const metrics = {
   requests: { total: 0, cached: 0, errors: 0 },
   responseTimeSum: 0,
   responseTimeCount: 0,
+  // Lectures du cache mémoire (l1) et PostgreSQL (pg)
+  cache: {
+    l1: { hits: 0, misses: 0 },
+    pg: { hits: 0, misses: 0 }
+  },
   sources: {
     lego: { requests: 0, errors: 0 },
     coleka: { requests: 0, errors: 0 },
@@ -141,15 +146,20 @@ export function getCached(key) {
   }
   
   const entry = cache.get(key);
-  if (!entry) return null;
+  if (!entry) {
+    metrics.cache.l1.misses++;
+    return null;
+  }
   if (Date.now() > entry.expiry) {
     cache.delete(key);
+    metrics.cache.l1.misses++;
     return null;
   }
   // Mise à jour du lastAccess pour LRU
   entry.lastAccess = Date.now();
   log.debug(`HIT: ${key.substring(0, 50)}...`);
   metrics.requests.cached++;
+  metrics.cache.l1.hits++;
   return entry.data;
 }
 
@@ -345,6 +345,32 @@ export async function translateFields(obj, fields, destLang, options = {}) {
   return obj;
 }
 
+/**
+ * Traduit le champ overview d'une liste (épisodes d'une saison…)
+ * Conserve overviewOriginal et renseigne overviewTranslated si traduit.
+ * Séquentiel, comme translateFields, pour ne pas saturer le service.
+ *
+ * @param {object[]} items - Objets avec un champ overview (modifiés en place)
+ * @param {string} destLang - Langue de destination
+ * @returns {Promise<number>} - Nombre d'overviews traduits
+ */
+export async function translateOverviews(items, destLang) {
+  let count = 0;
+  for (const item of items) {
+    item.overviewOriginal = item.overview || null;
+    item.overviewTranslated = null;
+    if (!item.overview) continue;
+
+    const result = await translateText(item.overview, destLang, { enabled: true });
+    if (result.translated) {
+      item.overview = result.text;
+      item.overviewTranslated = result.text;
+      count++;
+    }
+  }
+  return count;
+}
+
 /**
  * Helper pour vérifier si autoTrad est activé depuis une requête
  * @param {object} query - req.query de Express
@@ -20,6 +20,7 @@ import {
   metrics, 
   addCacheHeaders, 
   asyncHandler,
+  requireScope,
   validateSearchParams,
   validateDetailsParams,
   validateCodeParams,
@@ -548,7 +549,7 @@ router.get("/vpn/status", asyncHandler(async (req, res) => {
 }));
 
 // Rotation d'IP VPN
-router.post("/vpn/rotate", asyncHandler(async (req, res) => {
+router.post("/vpn/rotate", requireScope('admin'), asyncHandler(async (req, res) => {
   const result = await rotateVpnIp();
   res.json(result);
 }));
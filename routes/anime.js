@@ -3,9 +3,11 @@ import { Router } from 'express';
 import {
   searchJikanAnime,
   searchJikanManga,
-  getJikanAnimeByIdNormalized,
-  getJikanMangaByIdNormalized
+  getJikanAnimeById,
+  getJikanMangaById
 } from '../lib/providers/jikan.js';
+import { normalizeJikanAnimeDetail } from '../lib/normalizers/anime.js';
+import { normalizeJikanMangaDetail } from '../lib/normalizers/manga.js';
 import { 
   cleanSourceId, 
   addCacheHeaders, 
@@ -22,6 +24,8 @@ import {
 } from '../lib/utils/index.js';
 import { JIKAN_DEFAULT_MAX } from '../lib/config.js';
 import { createProviderCache, getCacheInfo } from '../lib/database/index.js';
+import { searchCacheParams } from '../lib/providers/registry.js';
+import { recordSeries } from '../lib/database/series-catalog.js';
 
 // Router principal (legacy + unifié)
 const router = Router();
@@ -90,7 +94,7 @@ router.get("/search", validateSearchParams, asyncHandler(async (req, res) => {
         pagination: { page, hasNextPage: rawResult.pagination?.has_next_page }
       };
     },
-    { params: { type, page, max, status, rating, orderBy, sort }, forceRefresh: refresh }
+    { params: searchCacheParams(isManga ? 'jikan_manga' : 'jikan_anime', req), forceRefresh: refresh }
   );
   
   // Traduire les descriptions si autoTrad est activé (après le cache)
@@ -127,15 +131,15 @@ router.get("/details", validateDetailsParams, asyncHandler(async (req, res) => {
     // Utilise le cache PostgreSQL pour manga
     result = await jikanMangaCache.getWithCache(
       cleanId,
-      () => getJikanMangaByIdNormalized(numericId, { lang, autoTrad }),
-      { type: 'manga', forceRefresh }
+      () => getJikanMangaById(numericId, { lang, autoTrad }),
+      { type: 'manga', forceRefresh, normalizeFn: normalizeJikanMangaDetail, series: 'jikan_manga' }
     );
   } else {
     // Utilise le cache PostgreSQL pour anime
     result = await jikanAnimeCache.getWithCache(
       cleanId,
-      () => getJikanAnimeByIdNormalized(numericId, { lang, autoTrad }),
-      { type: 'anime', forceRefresh }
+      () => getJikanAnimeById(numericId, { lang, autoTrad }),
+      { type: 'anime', forceRefresh, normalizeFn: normalizeJikanAnimeDetail, series: 'jikan_anime' }
     );
   }
   
@@ -222,6 +226,7 @@ router.get("/anime/:id", asyncHandler(async (req, res) => {
 
   metrics.requests.total++;
   const result = await getJikanAnimeById(parseInt(animeId, 10), { lang, autoTrad });
+  recordSeries('jikan_anime', result);
   addCacheHeaders(res, 3600);
   res.json(result);
 }));
@@ -240,6 +245,7 @@ router.get("/manga/:id", asyncHandler(async (req, res) => {
 
   metrics.requests.total++;
   const result = await getJikanMangaById(parseInt(mangaId, 10), { lang, autoTrad });
+  recordSeries('jikan_manga', result);
   addCacheHeaders(res, 3600);
   res.json(result);
 }));
@@ -298,7 +304,9 @@ animeRouter.get("/details", validateDetailsParams, asyncHandler(async (req, res)
     return res.status(400).json({ error: "Format d'ID invalide", hint: "L'ID doit être un nombre entier" });
   }
   
-  const result = await getJikanAnimeByIdNormalized(parseInt(cleanId, 10), { lang, autoTrad });
+  const anime = await getJikanAnimeById(parseInt(cleanId, 10), { lang, autoTrad });
+  recordSeries('jikan_anime', anime);
+  const result = normalizeJikanAnimeDetail(anime);
   
   metrics.requests.total++;
   addCacheHeaders(res, 3600);
@@ -320,6 +328,7 @@ animeRouter.get("/:id", asyncHandler(async (req, res) => {
 
   metrics.requests.total++;
   const result = await getJikanAnimeById(parseInt(animeId, 10), { lang, autoTrad });
+  recordSeries('jikan_anime', result);
   addCacheHeaders(res, 3600);
   res.json(result);
 }));
@@ -378,7 +387,9 @@ mangaRouter.get("/details", validateDetailsParams, asyncHandler(async (req, res)
     return res.status(400).json({ error: "Format d'ID invalide", hint: "L'ID doit être un nombre entier" });
   }
   
-  const result = await getJikanMangaByIdNormalized(parseInt(cleanId, 10), { lang, autoTrad });
+  const manga = await getJikanMangaById(parseInt(cleanId, 10), { lang, autoTrad });
+  recordSeries('jikan_manga', manga);
+  const result = normalizeJikanMangaDetail(manga);
   
   metrics.requests.total++;
   addCacheHeaders(res, 3600);
@@ -400,6 +411,7 @@ mangaRouter.get("/:id", asyncHandler(async (req, res) => {
 
   metrics.requests.total++;
   const result = await getJikanMangaById(parseInt(mangaId, 10), { lang, autoTrad });
+  recordSeries('jikan_manga', result);
   addCacheHeaders(res, 3600);
   res.json(result);
 }));
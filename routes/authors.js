@@ -17,11 +17,16 @@ import {
   addCacheHeaders, 
   asyncHandler, 
   requireApiKey,
+  canUseServerKeys,
+  extractApiKey,
+  extractProviderKeys,
   generateDetailUrl,
   formatSearchResponse,
   translateSearchDescriptions
 } from '../lib/utils/index.js';
 import { createProviderCache, getCacheInfo } from '../lib/database/cache-wrapper.js';
+import { getStoredKeys } from '../lib/database/credential-vault.js';
+import { getAuthorBibliography, AUTHOR_PROVIDERS } from '../lib/search/authors.js';
 import { GOOGLE_BOOKS_DEFAULT_MAX, OPENLIBRARY_DEFAULT_MAX, BEDETHEQUE_DEFAULT_MAX, MANGADEX_DEFAULT_MAX } from '../lib/config.js';
 
 const log = createLogger('Route:Authors');
@@ -301,4 +306,57 @@ router.get("/mangadex/:author", extractAuthorParams, asyncHandler(async (req, re
   }));
 }));
 
+// ============================================================================
+// TOUS PROVIDERS - Bibliographie fusionnée
+// ============================================================================
+
+/**
+ * GET /authors/:name
+ * Bibliographie agrégée (Bedetheque, MangaDex, Google Books, Open Library) :
+ * œuvres fusionnées par ISBN / titre, regroupées par série avec les rôles,
+ * et identité de l'auteur (clés Open Library, ID MangaDex et Bedetheque)
+ *
+ * @query {string} providers - Sous-ensemble séparé par des virgules (défaut: tous)
+ * @query {number} max - Résultats demandés à chaque provider (défaut: 20)
+ * @query {number} timeout - Timeout par provider en ms (défaut et max: 30000)
+ * @header X-Api-Key - Clé Google Books (sinon coffre serveur si token, sinon provider ignoré)
+ *
+ * @example
+ * curl "http://localhost:3000/authors/Goscinny?providers=bedetheque,openlibrary"
+ */
+router.get("/:name", extractAuthorParams, asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const { max } = req.standardParams;
+
+  if (!name || name.trim().length < 2) {
+    return res.status(400).json({ 
+      error: 'Author name must be at least 2 characters' 
+    });
+  }
+
+  const providers = req.query.providers
+    ? String(req.query.providers).split(',').map(p => p.trim().toLowerCase()).filter(Boolean)
+    : Object.keys(AUTHOR_PROVIDERS);
+  const unknown = providers.filter(p => !AUTHOR_PROVIDERS[p]);
+  if (unknown.length > 0 || providers.length === 0) {
+    return res.status(400).json({
+      error: `Provider(s) inconnu(s): ${unknown.join(', ')}`,
+      providers: Object.keys(AUTHOR_PROVIDERS)
+    });
+  }
+
+  log.info(`Author bibliography: ${name} (${providers.join(', ')})`);
+
+  const keys = { ...(canUseServerKeys(req) ? getStoredKeys() : {}), ...extractProviderKeys(req) };
+  const result = await getAuthorBibliography(name.trim(), {
+    providers,
+    max,
+    timeout: parseInt(req.query.timeout, 10) || undefined,
+    keys: { ...keys, googlebooks: extractApiKey(req) || keys.googlebooks }
+  });
+
+  addCacheHeaders(res, 300);
+  res.json(result);
+}));
+
 export default router;
@@ -1,6 +1,7 @@
 /**
  * Routes Barcode - toys_api v4.0.0
  * Endpoints pour l'identification par code-barres (UPC, EAN, ISBN)
+ * Lecture des codes sur photo : POST /barcode/scan
  * 
  * v4.0.0: Cache PostgreSQL pour toutes les recherches
  */
@@ -12,15 +13,24 @@ import {
   asyncHandler,
   extractStandardParams,
   validateCodeParams,
-  formatDetailResponse
+  formatDetailResponse,
+  parseBoolean,
+  imageUpload,
+  getUploadedImage,
+  canUseServerKeys
 } from '../lib/utils/index.js';
 import {
   searchByBarcode,
   detectBarcodeType,
+  barcodeCandidates,
+  createBarcodeResult,
   searchBookByIsbn,
   searchBnfByIsbn
 } from '../lib/providers/barcode.js';
-import { createProviderCache, getCacheInfo } from '../lib/database/index.js';
+import { createProviderCache, getCacheInfo, findItemByEan, saveItem } from '../lib/database/index.js';
+import { getServerKey } from '../lib/database/credential-vault.js';
+import { decodeBarcodeImage } from '../lib/utils/barcode-decoder.js';
+import { BARCODE_SCAN_MAX_UPLOAD_BYTES } from '../lib/config.js';
 
 const router = Router();
 
@@ -28,21 +38,76 @@ const router = Router();
 const barcodeCache = createProviderCache('barcode', 'product');
 const BARCODE_CACHE_TTL = 86400; // 24h pour les données barcode (stables)
 
+/**
+ * Options de searchByBarcode d'après la requête
+ * Clés API (query ou headers, clé serveur Rebrickable pour un token autorisé)
+ * et enrichissements désactivables (enrich=false)
+ * @param {Object} req - Request Express
+ * @returns {Object}
+ */
+function barcodeSearchOptions(req) {
+  const enrich = req.query.enrich !== 'false';
+  return {
+    apiKeys: {
+      googleBooks: req.query.googleBooksKey || req.headers['x-googlebooks-key'],
+      rawg: req.query.rawgKey || req.headers['x-rawg-key'],
+      discogs: req.query.discogsToken || req.headers['x-discogs-token'],
+      rebrickable: req.query.rebrickableKey || req.headers['x-rebrickable-key']
+        || (canUseServerKeys(req) ? getServerKey('rebrickable') : null)
+    },
+    enrichGameData: enrich && req.query.enrichGames !== 'false',
+    enrichMusicData: enrich && req.query.enrichMusic !== 'false',
+    enrichToyData: enrich && req.query.enrichToys !== 'false'
+  };
+}
+
+/**
+ * Recherche par code-barres avec le cache des jouets de construction
+ * - EAN déjà connu (items.ean) : réponse sans appel externe, sauf refresh
+ * - jouet identifié dont l'EAN provider est le code scanné : enregistré dans items
+ * @param {string} code - Code-barres
+ * @param {Object} req - Request Express
+ * @param {boolean} refresh - Ignorer le cache items.ean
+ * @returns {Promise<Object>}
+ */
+async function lookupBarcode(code, req, refresh) {
+  const options = barcodeSearchOptions(req);
+  const barcodeInfo = detectBarcodeType(code);
+
+  if (options.enrichToyData && !refresh && barcodeInfo.category !== 'book') {
+    const localToy = await findItemByEan('construct_toy', barcodeCandidates(barcodeInfo));
+    if (localToy) {
+      const result = createBarcodeResult(barcodeInfo);
+      result.category = 'construct_toy';
+      result.constructToy = { identified: true, matchedBy: 'ean', ...localToy };
+      result.sources.push(localToy.source);
+      result.found = true;
+      return result;
+    }
+  }
+
+  const result = await searchByBarcode(code, options);
+
+  if (result.constructToy?.eanMatched) {
+    const { identified, matchedBy, detectedBrand, reference, eanMatched, ...toy } = result.constructToy;
+    await saveItem(toy.source, toy.sourceId || reference, 'construct_toy', toy.name, toy, { entryType: 'detail' });
+  }
+  return result;
+}
+
 // ============================================================================
 // ENDPOINTS NORMALISÉS
 // ============================================================================
 
 /**
  * Recherche par code-barres - Normalisé
+ * Jouets de construction (LEGO, Playmobil, Mega) : bloc constructToy
  * @route GET /barcode/code?code=...
+ * @query {boolean} enrichToys - Identification des jouets de construction (défaut: true)
+ * @query {string} rebrickableKey - Clé Rebrickable (ou header X-Rebrickable-Key, sinon clé serveur)
  */
 router.get("/code", validateCodeParams, asyncHandler(async (req, res) => {
   const { code, lang, locale, autoTrad, refresh } = req.standardParams;
-  const googleBooksKey = req.query.googleBooksKey || req.headers['x-googlebooks-key'];
-  const rawgKey = req.query.rawgKey || req.headers['x-rawg-key'];
-  const discogsToken = req.query.discogsToken || req.headers['x-discogs-token'];
-  const enrichGames = req.query.enrichGames !== 'false' && req.query.enrich !== 'false';
-  const enrichMusic = req.query.enrichMusic !== 'false' && req.query.enrich !== 'false';
   
   if (code.length < 8) {
     return res.status(400).json({ error: "Code-barres invalide (minimum 8 caractères)" });
@@ -54,15 +119,7 @@ router.get("/code", validateCodeParams, asyncHandler(async (req, res) => {
   const result = await barcodeCache.getWithCache(
     code,
     async () => {
-      return await searchByBarcode(code, {
-        apiKeys: {
-          googleBooks: googleBooksKey,
-          rawg: rawgKey,
-          discogs: discogsToken
-        },
-        enrichGameData: enrichGames,
-        enrichMusicData: enrichMusic
-      });
+      return await lookupBarcode(code, req, refresh);
     },
     { forceRefresh: refresh }
   );
@@ -78,22 +135,86 @@ router.get("/code", validateCodeParams, asyncHandler(async (req, res) => {
   res.json(response);
 }));
 
+/**
+ * Lecture d'un code-barres sur une photo, puis recherche - Normalisé
+ * Décodage serveur : EAN-13, UPC-A, EAN-8, ISBN et QR codes (GTIN, GS1 Digital Link)
+ *
+ * Corps : image brute (Content-Type: image/jpeg, image/png) ou multipart/form-data
+ *
+ * @route POST /barcode/scan
+ * @query {boolean} lookup - Chaîner sur la recherche par code-barres (défaut: true)
+ * @query {boolean} refresh - Ignorer le cache de la recherche
+ * Options de recherche identiques à /barcode/code (clés API, enrich*)
+ *
+ * @example
+ * curl -X POST --data-binary @boite.jpg -H "Content-Type: image/jpeg" \
+ *   "http://localhost:3000/barcode/scan"
+ */
+router.post("/scan", imageUpload(BARCODE_SCAN_MAX_UPLOAD_BYTES), asyncHandler(async (req, res) => {
+  const { lang, locale, autoTrad, refresh } = extractStandardParams(req);
+  
+  const image = getUploadedImage(req);
+  if (!image) {
+    return res.status(400).json({
+      error: "Photo requise",
+      hint: "Envoyez l'image brute (Content-Type: image/jpeg) ou un champ fichier multipart/form-data"
+    });
+  }
+  
+  const codes = await decodeBarcodeImage(image);
+  if (codes.length === 0) {
+    return res.status(422).json({
+      error: "Aucun code-barres détecté",
+      hint: "Cadrez le code-barres de face, net et bien éclairé"
+    });
+  }
+  
+  // Premier code recherchable (un QR code peut contenir une URL quelconque)
+  const decoded = codes.find(c => c.code) || codes[0];
+  const scan = { format: decoded.format, text: decoded.text, codes };
+  const lookup = req.query.lookup === undefined || parseBoolean(req.query.lookup);
+  
+  if (!decoded.code || !lookup) {
+    return res.json(formatDetailResponse({
+      data: null,
+      provider: 'barcode',
+      id: decoded.code,
+      meta: { lang, locale, autoTrad, scan }
+    }));
+  }
+  
+  metrics.sources.barcode.requests++;
+  
+  const result = await barcodeCache.getWithCache(
+    decoded.code,
+    async () => {
+      return await lookupBarcode(decoded.code, req, refresh);
+    },
+    { forceRefresh: refresh }
+  );
+  
+  const response = formatDetailResponse({ 
+    data: result, 
+    provider: 'barcode', 
+    id: decoded.code, 
+    meta: { lang, locale, autoTrad, type: detectBarcodeType(decoded.code).type, scan }
+  });
+  
+  addCacheHeaders(res, BARCODE_CACHE_TTL, getCacheInfo());
+  res.json(response);
+}));
+
 // ============================================================================
 // ENDPOINTS LEGACY
 // ============================================================================
 
 /**
- * Recherche par code-barres (livres, jeux vidéo, musique, produits) - Legacy
+ * Recherche par code-barres (livres, jeux vidéo, musique, jouets, produits) - Legacy
  * @route GET /barcode/:code
  */
 router.get("/:code", asyncHandler(async (req, res) => {
   const { code } = req.params;
   const refresh = req.query.refresh === 'true' || req.query.cache === 'false' || req.query.db === 'false';
-  const googleBooksKey = req.query.googleBooksKey || req.headers['x-googlebooks-key'];
-  const rawgKey = req.query.rawgKey || req.headers['x-rawg-key'];
-  const discogsToken = req.query.discogsToken || req.headers['x-discogs-token'];
-  const enrichGames = req.query.enrichGames !== 'false' && req.query.enrich !== 'false';
-  const enrichMusic = req.query.enrichMusic !== 'false' && req.query.enrich !== 'false';
   
   if (!code || code.length < 8) {
     return res.status(400).json({ error: "Code-barres invalide (minimum 8 caractères)" });
@@ -105,15 +226,7 @@ router.get("/:code", asyncHandler(async (req, res) => {
   const result = await barcodeCache.getWithCache(
     code,
     async () => {
-      return await searchByBarcode(code, {
-        apiKeys: {
-          googleBooks: googleBooksKey,
-          rawg: rawgKey,
-          discogs: discogsToken
-        },
-        enrichGameData: enrichGames,
-        enrichMusicData: enrichMusic
-      });
+      return await lookupBarcode(code, req, refresh);
     },
     { forceRefresh: refresh }
   );
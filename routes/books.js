@@ -27,6 +27,7 @@ import {
 } from '../lib/utils/index.js';
 import { GOOGLE_BOOKS_DEFAULT_MAX, OPENLIBRARY_DEFAULT_MAX } from '../lib/config.js';
 import { createProviderCache, getCacheInfo } from '../lib/database/index.js';
+import { searchCacheParams } from '../lib/providers/registry.js';
 
 const router = Router();
 
@@ -68,7 +69,7 @@ router.get("/search", validateSearchParams, googleAuth, asyncHandler(async (req,
       
       return { results: items, total: rawResult.totalItems || items.length };
     },
-    { params: { lang, max }, forceRefresh: refresh }
+    { params: searchCacheParams('googlebooks', req), forceRefresh: refresh }
   );
   
   // Traduire les descriptions si autoTrad est activé (après le cache)
@@ -210,7 +211,7 @@ olRouter.get("/search", validateSearchParams, asyncHandler(async (req, res) => {
       
       return { results: items, total: rawResult.numFound || items.length };
     },
-    { params: { lang, max }, forceRefresh: refresh }
+    { params: searchCacheParams('openlibrary', req), forceRefresh: refresh }
   );
   
   // Traduire les descriptions si autoTrad est activé (après le cache)
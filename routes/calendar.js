@@ -0,0 +1,118 @@
+// routes/calendar.js - Calendrier des sorties des suivis, JSON et iCalendar (toys_api v4.1.2)
+import { Router } from 'express';
+import { asyncHandler, getUserId, parseBoolean, requireUser } from '../lib/utils/index.js';
+import { isDatabaseConnected } from '../lib/database/index.js';
+import {
+  FOLLOW_SOURCES,
+  getCalendar,
+  releasesToICalendar,
+  getFeedKey,
+  resolveFeedKey
+} from '../lib/database/follows.js';
+
+const router = Router();
+
+/**
+ * Vérifie la connexion DB (les sorties sont dans follow_releases)
+ */
+router.use((req, res, next) => {
+  if (!isDatabaseConnected()) {
+    return res.status(503).json({ error: 'Base de données non connectée' });
+  }
+  next();
+});
+
+/**
+ * Fenêtre et filtres du calendrier depuis la query
+ * @returns {{options: object, error: string|null}}
+ */
+function calendarOptions(query) {
+  const options = {};
+  for (const name of ['from', 'to']) {
+    if (query[name] === undefined) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(query[name]) || Number.isNaN(Date.parse(query[name]))) {
+      return { options, error: `Paramètre '${name}' invalide (AAAA-MM-JJ)` };
+    }
+    options[name] = query[name];
+  }
+
+  if (query.kind) {
+    options.kinds = String(query.kind).split(',').map(kind => kind.trim()).filter(Boolean);
+    const unknown = options.kinds.filter(kind => !FOLLOW_SOURCES[kind]);
+    if (unknown.length > 0) {
+      return { options, error: `kind inconnu: ${unknown.join(', ')}` };
+    }
+  }
+  return { options, error: null };
+}
+
+/**
+ * Envoie un flux iCalendar
+ */
+function sendICalendar(res, releases) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', 'inline; filename="toys-api-sorties.ics"');
+  res.send(releasesToICalendar(releases));
+}
+
+/**
+ * GET /calendar
+ * Sorties des suivis de l'utilisateur, par date (date de découverte si inconnue)
+ *
+ * @query {string} from - AAAA-MM-JJ (défaut: il y a 30 jours)
+ * @query {string} to - AAAA-MM-JJ (défaut: dans un an)
+ * @query {string} kind - Types de suivi séparés par des virgules
+ *
+ * @example
+ * curl "http://localhost:3000/calendar?from=2025-01-01&kind=bedetheque_serie,tmdb_series"
+ */
+router.get('/', requireUser, asyncHandler(async (req, res) => {
+  const { options, error } = calendarOptions(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.json(await getCalendar(getUserId(req), options));
+}));
+
+/**
+ * GET /calendar/feed.ics
+ * Flux iCalendar de l'utilisateur courant (mêmes paramètres que /calendar)
+ */
+router.get('/feed.ics', requireUser, asyncHandler(async (req, res) => {
+  const { options, error } = calendarOptions(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { releases } = await getCalendar(getUserId(req), options);
+  sendICalendar(res, releases);
+}));
+
+/**
+ * POST /calendar/feed
+ * URL d'abonnement iCalendar sans authentification (clé secrète dans le chemin)
+ *
+ * @query {boolean} rotate - Nouvelle clé, l'ancienne URL cesse de fonctionner
+ */
+router.post('/feed', requireUser, asyncHandler(async (req, res) => {
+  const key = await getFeedKey(getUserId(req), { rotate: parseBoolean(req.query.rotate) });
+  res.json({ success: true, key, url: `/calendar/feed/${key}.ics` });
+}));
+
+/**
+ * GET /calendar/feed/:key(.ics)
+ * Flux iCalendar public d'une clé (agendas : Google, Apple, Thunderbird…)
+ */
+router.get('/feed/:key', asyncHandler(async (req, res) => {
+  const { options, error } = calendarOptions(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const userId = await resolveFeedKey(req.params.key.replace(/\.ics$/, ''));
+  const { releases } = await getCalendar(userId, options);
+  sendICalendar(res, releases);
+}));
+
+export default router;
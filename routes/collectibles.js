@@ -19,6 +19,7 @@ import {
 } from '../lib/utils/index.js';
 import { COLEKA_DEFAULT_NBPP, LULUBERLU_DEFAULT_MAX, CONSOLEVARIATIONS_DEFAULT_MAX, TRANSFORMERLAND_DEFAULT_MAX, PANINIMANIA_DEFAULT_MAX } from '../lib/config.js';
 import { createProviderCache, getCacheInfo } from '../lib/database/cache-wrapper.js';
+import { searchCacheParams } from '../lib/providers/registry.js';
 
 import {
   searchColeka as searchColekaLib,
@@ -88,7 +89,7 @@ colekaRouter.get("/search", validateSearchParams, asyncHandler(async (req, res)
       
       return { results: items, total: rawResult.total || items.length };
     },
-    { params: { nbpp, lang }, forceRefresh: refresh }
+    { params: searchCacheParams('coleka', req), forceRefresh: refresh }
   );
   
   // Traduire les descriptions si autoTrad est activé (après le cache)
@@ -158,7 +159,7 @@ luluberluRouter.get("/search", validateSearchParams, asyncHandler(async (req, re
       
       return { results: items, total: rawResult.total || items.length };
     },
-    { params: { max }, forceRefresh: refresh }
+    { params: searchCacheParams('luluberlu', req), forceRefresh: refresh }
   );
   
   // Traduire les descriptions si autoTrad est activé (après le cache)
@@ -254,7 +255,7 @@ consolevariationsRouter.get("/search", validateSearchParams, asyncHandler(async
       
       return { results: items, total: rawResult.total || items.length };
     },
-    { params: { max, type: searchType }, forceRefresh: refresh }
+    { params: searchCacheParams('consolevariations', req), forceRefresh: refresh }
   );
   
   // Traduire les descriptions si autoTrad est activé (après le cache)
@@ -546,7 +547,7 @@ transformerlandRouter.get("/search", validateSearchParams, asyncHandler(async (r
       
       return { results: items, total: rawResult.total || items.length };
     },
-    { params: { max }, forceRefresh: refresh }
+    { params: searchCacheParams('transformerland', req), forceRefresh: refresh }
   );
   
   // Traduire les descriptions si autoTrad est activé (après le cache)
@@ -629,7 +630,7 @@ paninimanaRouter.get("/search", validateSearchParams, asyncHandler(async (req, r
       
       return { results: items, total: rawResult.total || items.length };
     },
-    { params: { max }, forceRefresh: refresh }
+    { params: searchCacheParams('paninimania', req), forceRefresh: refresh }
   );
   
   // Traduire les descriptions si autoTrad est activé (après le cache)
@@ -0,0 +1,160 @@
+// routes/collection.js - Collection d'items possédés (toys_api v4.1.2)
+import { Router } from 'express';
+import { asyncHandler, extractApiKey, getUserId, requireUser } from '../lib/utils/index.js';
+import { isDatabaseConnected } from '../lib/database/index.js';
+import {
+  COLLECTION_CONDITIONS,
+  COLLECTION_COMPLETENESS,
+  listCollectionEntries,
+  getCollectionEntry,
+  addCollectionEntry,
+  updateCollectionEntry,
+  deleteCollectionEntry
+} from '../lib/database/collections.js';
+
+const router = Router();
+
+// Données par utilisateur : token lié à un utilisateur requis
+router.use(requireUser);
+
+/**
+ * Vérifie la connexion DB (toutes les routes de collection en dépendent)
+ */
+router.use((req, res, next) => {
+  if (!isDatabaseConnected()) {
+    return res.status(503).json({ error: 'Base de données non connectée' });
+  }
+  next();
+});
+
+/**
+ * GET /collection
+ * Liste les entrées de la collection
+ *
+ * @query {string} type - Type de contenu (construct_toy, book…)
+ * @query {string} source - Source du cache (lego, bedetheque…)
+ * @query {string} condition - État
+ * @query {string} q - Recherche dans le nom
+ * @query {string} sort - recent (défaut), name, purchase_date, price
+ * @query {number} limit - Max résultats (défaut: 50, max: 200)
+ * @query {number} offset - Pagination
+ * @query {boolean} full - Inclure les données complètes des items
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const result = await listCollectionEntries(getUserId(req), {
+    type: req.query.type || null,
+    source: req.query.source || null,
+    condition: req.query.condition || null,
+    q: req.query.q || null,
+    sort: req.query.sort || 'recent',
+    limit,
+    offset,
+    full: req.query.full === 'true'
+  });
+
+  res.json({
+    ...result,
+    pagination: { limit, offset, hasMore: offset + result.entries.length < result.total }
+  });
+}));
+
+/**
+ * GET /collection/options
+ * Valeurs acceptées pour condition et completeness
+ */
+router.get('/options', (req, res) => {
+  res.json({
+    conditions: COLLECTION_CONDITIONS,
+    completeness: COLLECTION_COMPLETENESS,
+    sort: ['recent', 'name', 'purchase_date', 'price']
+  });
+});
+
+/**
+ * GET /collection/:id
+ * Détail d'une entrée avec les données de l'item
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ error: "ID d'entrée invalide" });
+  }
+
+  const entry = await getCollectionEntry(getUserId(req), id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Entrée non trouvée', id });
+  }
+
+  res.json(entry);
+}));
+
+/**
+ * POST /collection
+ * Ajoute un item à la collection (l'item est récupéré ou rafraîchi dans le cache)
+ *
+ * Body: {
+ *   detailUrl: "/lego/details?detailUrl=%2Flego%2Fproduct%2F42217"  (ou)
+ *   barcode: "5702017583587"                                         (ou)
+ *   source: "lego", sourceId: "42217",
+ *   quantity: 1,
+ *   condition: "mint",
+ *   completeness: "sealed",
+ *   purchasePrice: 49.99,
+ *   purchaseCurrency: "EUR",
+ *   purchaseDate: "2024-12-24",
+ *   notes: "Cadeau",
+ *   refresh: false
+ * }
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const body = req.body || {};
+
+  const result = await addCollectionEntry(getUserId(req), body, {
+    apiKey: extractApiKey(req)
+  });
+
+  res.status(201).json({ success: true, ...result });
+}));
+
+/**
+ * PATCH /collection/:id
+ * Modifie une entrée ; refresh: true rafraîchit les données de l'item
+ */
+router.patch('/:id', asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ error: "ID d'entrée invalide" });
+  }
+
+  const entry = await updateCollectionEntry(getUserId(req), id, req.body || {}, {
+    apiKey: extractApiKey(req)
+  });
+  if (!entry) {
+    return res.status(404).json({ error: 'Entrée non trouvée', id });
+  }
+
+  res.json({ success: true, entry });
+}));
+
+/**
+ * DELETE /collection/:id
+ * Retire une entrée de la collection (l'item reste dans le cache)
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ error: "ID d'entrée invalide" });
+  }
+
+  const deleted = await deleteCollectionEntry(getUserId(req), id);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Entrée non trouvée', id });
+  }
+
+  res.json({ success: true, id });
+}));
+
+export default router;
@@ -5,21 +5,20 @@ import {
   searchComicVine,
   getComicVineVolume,
   getComicVineIssue,
-  getComicVineVolumeNormalized,
   getComicVineIssueNormalized,
   getComicVineIssues
 } from '../lib/providers/comicvine.js';
 import {
   searchMangaDex,
   getMangaDexById,
-  getMangaDexByIdNormalized,
+  normalizeMangaDexManga,
   getMangaDexAggregate
 } from '../lib/providers/mangadex.js';
 import {
   searchBedetheque,
   searchBedethequeAlbums,
   getBedethequeSerieById,
-  getBedethequeSerieByIdNormalized,
+  normalizeBedethequeSerie,
   getBedethequeAlbumByIdNormalized,
   getBedethequeAlbumById
 } from '../lib/providers/bedetheque.js';
@@ -38,6 +37,9 @@ import {
   translateSearchDescriptions
 } from '../lib/utils/index.js';
 import { createProviderCache, getCacheInfo } from '../lib/database/cache-wrapper.js';
+import { searchCacheParams } from '../lib/providers/registry.js';
+import { recordSeries } from '../lib/database/series-catalog.js';
+import { normalizeComicVineVolumeDetail } from '../lib/normalizers/book.js';
 import { COMICVINE_DEFAULT_MAX, COMICVINE_MAX_LIMIT, MANGADEX_DEFAULT_MAX, MANGADEX_MAX_LIMIT, BEDETHEQUE_DEFAULT_MAX } from '../lib/config.js';
 
 const log = createLogger('Route:Comics');
@@ -129,7 +131,7 @@ comicvineRouter.get("/search", comicvineAuth, validateSearchParams, asyncHandler
       
       return { results: items, total: rawResult.total || items.length };
     },
-    { params: { type, max: effectiveMax }, forceRefresh: refresh }
+    { params: searchCacheParams('comicvine', req), forceRefresh: refresh }
   );
   
   // Traduire les descriptions si autoTrad est activé (après le cache)
@@ -157,7 +159,9 @@ comicvineRouter.get("/details", comicvineAuth, validateDetailsParams, asyncHandl
   if (type === 'issue') {
     result = await getComicVineIssueNormalized(parseInt(cleanId, 10), req.apiKey, { lang, autoTrad });
   } else {
-    result = await getComicVineVolumeNormalized(parseInt(cleanId, 10), req.apiKey, { lang, autoTrad });
+    const volume = await getComicVineVolume(parseInt(cleanId, 10), req.apiKey, { lang, autoTrad });
+    recordSeries('comicvine_volume', volume);
+    result = volume ? normalizeComicVineVolumeDetail(volume) : null;
   }
   
   if (!result) return res.status(404).json({ error: `${type} ${cleanId} non trouvé` });
@@ -177,6 +181,7 @@ comicvineRouter.get("/volume/:id", comicvineAuth, asyncHandler(async (req, res)
   
   const result = await getComicVineVolume(parseInt(volumeId, 10), req.apiKey, { lang, autoTrad });
   if (!result) return res.status(404).json({ error: `Volume ${volumeId} non trouvé` });
+  recordSeries('comicvine_volume', result);
   addCacheHeaders(res, 3600);
   res.json(result);
 }));
@@ -205,6 +210,7 @@ comicvineRouter.get("/volume/:id/issues", comicvineAuth, asyncHandler(async (req
 
   const result = await getComicVineIssues(parseInt(volumeId, 10), req.apiKey, { max });
   if (!result) return res.status(404).json({ error: `Volume ${volumeId} non trouvé` });
+  recordSeries('comicvine_issues', result);
 
   addCacheHeaders(res, 3600);
   res.json(result);
@@ -244,7 +250,7 @@ mangadexRouter.get("/search", validateSearchParams, asyncHandler(async (req, res
       
       return { results: items, total: rawResult.total || items.length };
     },
-    { params: { lang, max: effectiveMax }, forceRefresh: refresh }
+    { params: searchCacheParams('mangadex', req), forceRefresh: refresh }
   );
   
   // Traduire les descriptions si autoTrad est activé (après le cache)
@@ -275,8 +281,8 @@ mangadexRouter.get("/details", validateDetailsParams, asyncHandler(async (req, r
   // Utilise le cache PostgreSQL
   const result = await mangadexCache.getWithCache(
     cleanId,
-    () => getMangaDexByIdNormalized(cleanId, { lang, autoTrad }),
-    { forceRefresh }
+    () => getMangaDexById(cleanId, { lang, autoTrad }),
+    { forceRefresh, normalizeFn: normalizeMangaDexManga, series: 'mangadex' }
   );
   
   if (!result) return res.status(404).json({ error: `Manga ${cleanId} non trouvé` });
@@ -301,6 +307,7 @@ mangadexRouter.get("/manga/:id/volumes", asyncHandler(async (req, res) => {
 
   const result = await getMangaDexAggregate(mangaId);
   if (!result) return res.status(404).json({ error: `Manga ${mangaId} non trouvé ou aucun volume disponible` });
+  recordSeries('mangadex_aggregate', result);
 
   addCacheHeaders(res, 3600);
   res.json(result);
@@ -319,6 +326,7 @@ mangadexRouter.get("/manga/:id", asyncHandler(async (req, res) => {
 
   const result = await getMangaDexById(mangaId, { lang, autoTrad });
   if (!result) return res.status(404).json({ error: `Manga ${mangaId} non trouvé` });
+  recordSeries('mangadex', result);
   addCacheHeaders(res, 3600);
   res.json(result);
 }));
@@ -365,7 +373,7 @@ bedethequeRouter.get("/search", validateSearchParams, asyncHandler(async (req, r
       
       return { results: items, total: rawResult.total || items.length };
     },
-    { params: { type, max: effectiveMax }, forceRefresh: refresh }
+    { params: searchCacheParams('bedetheque', req), forceRefresh: refresh }
   );
   
   // Traduire les descriptions si autoTrad est activé (après le cache)
@@ -407,8 +415,13 @@ bedethequeRouter.get("/details", validateDetailsParams, asyncHandler(async (req,
     // Utilise le cache pour les séries
     result = await bedethequeCache.getWithCache(
       `serie_${cacheKey}`,
-      () => getBedethequeSerieByIdNormalized(numericId, { lang, autoTrad }),
-      { type: 'book_series', forceRefresh }
+      () => getBedethequeSerieById(numericId),
+      {
+        type: 'book_series',
+        forceRefresh,
+        normalizeFn: (serie) => normalizeBedethequeSerie(serie, { lang, autoTrad }),
+        series: 'bedetheque'
+      }
     );
     if (!result || !result.name) return res.status(404).json({ error: `Série ${id} non trouvée` });
   }
@@ -440,6 +453,7 @@ bedethequeRouter.get("/serie/:id", asyncHandler(async (req, res) => {
 
   const result = await getBedethequeSerieById(parseInt(serieId, 10));
   if (!result || !result.name) return res.status(404).json({ error: `Série ${serieId} non trouvée` });
+  recordSeries('bedetheque', result);
   addCacheHeaders(res, 3600);
   res.json(result);
 }));
@@ -0,0 +1,212 @@
+// routes/documents.js - Copie locale des notices PDF (toys_api v4.1.2)
+import { Router } from 'express';
+import { asyncHandler, getUserId, parseBoolean, requireScope } from '../lib/utils/index.js';
+import { enqueueJobsByProvider, JOB_LIMITS } from '../lib/database/job-queue.js';
+import {
+  DOCUMENT_SOURCES,
+  isDocumentStoreEnabled,
+  mirrorDocuments,
+  getDocument,
+  listDocuments,
+  deleteDocument,
+  getCollectionDocumentTargets,
+  getDocumentStats
+} from '../lib/database/document-store.js';
+import { DOCUMENTS_DIR } from '../lib/config.js';
+
+const router = Router();
+
+/**
+ * Vérifie que le stockage est configuré (DOCUMENTS_DIR) et la base connectée
+ */
+router.use((req, res, next) => {
+  if (!DOCUMENTS_DIR) {
+    return res.status(503).json({ error: 'Stockage des documents désactivé (DOCUMENTS_DIR non défini)' });
+  }
+  if (!isDocumentStoreEnabled()) {
+    return res.status(503).json({ error: 'Base de données non connectée' });
+  }
+  next();
+});
+
+/**
+ * Valide un ID de document (paramètre :id)
+ */
+function parseDocumentId(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    res.status(400).json({ error: 'ID de document invalide' });
+    return null;
+  }
+  return id;
+}
+
+/**
+ * GET /documents
+ * Liste les documents copiés
+ *
+ * @query {string} source - lego, playmobil, mega, bgg
+ * @query {string} sourceId - ID produit
+ * @query {string} lang - Langue (fr, en…)
+ * @query {number} limit - Max résultats (défaut: 50, max: 200)
+ * @query {number} offset - Pagination
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const result = await listDocuments({
+    source: req.query.source || null,
+    sourceId: req.query.sourceId || null,
+    language: req.query.lang || null,
+    limit,
+    offset
+  });
+
+  res.json({
+    ...result,
+    pagination: { limit, offset, hasMore: offset + result.documents.length < result.total }
+  });
+}));
+
+/**
+ * GET /documents/stats
+ * Volume du stockage et documents par source
+ */
+router.get('/stats', asyncHandler(async (req, res) => {
+  res.json({ ...await getDocumentStats(), sources: Object.keys(DOCUMENT_SOURCES) });
+}));
+
+/**
+ * POST /documents/mirror (admin)
+ * Copie localement les notices d'un produit, d'une liste ou de la collection
+ *
+ * Body (un produit, réponse immédiate) :
+ *   { source: "lego", id: "75192", lang: "fr-fr", refresh: false }
+ *
+ * Body (en masse, réponse 202 avec un job par source à suivre via GET /local/jobs/:id) :
+ *   { items: [{ source: "lego", id: "75192" }, { source: "bgg", id: "13" }], lang: "fr" }
+ *   { collection: true } - produits LEGO/Playmobil/Mega de la collection (header X-User-Id)
+ */
+router.post('/mirror', requireScope('admin'), asyncHandler(async (req, res) => {
+  const { source, id, items, collection, lang = null, refresh = false } = req.body || {};
+
+  if (source && id) {
+    const result = await mirrorDocuments(String(source).toLowerCase(), String(id).trim(), {
+      lang,
+      refresh: parseBoolean(refresh)
+    });
+    return res.status(201).json({ success: true, ...result });
+  }
+
+  let list = items;
+  if (parseBoolean(collection)) {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Token lié à un utilisateur requis pour collection: true' });
+    }
+    list = await getCollectionDocumentTargets(userId);
+  }
+
+  if (!Array.isArray(list) || list.length === 0) {
+    return res.status(400).json({
+      error: collection ? 'Aucun produit compatible dans la collection' : 'source + id, items ou collection requis',
+      sources: Object.keys(DOCUMENT_SOURCES)
+    });
+  }
+
+  const unique = new Map();
+  for (const item of list) {
+    const itemSource = String(item?.source || '').toLowerCase();
+    const itemId = String(item?.id ?? '').trim();
+    if (!DOCUMENT_SOURCES[itemSource] || !itemId) {
+      return res.status(400).json({ error: `Élément invalide: ${JSON.stringify(item)}`, sources: Object.keys(DOCUMENT_SOURCES) });
+    }
+    unique.set(`${itemSource}:${itemId}`, { source: itemSource, id: itemId });
+  }
+
+  if (unique.size > JOB_LIMITS.documents) {
+    return res.status(400).json({ error: `Trop de produits (max ${JOB_LIMITS.documents})` });
+  }
+
+  const bySource = new Map();
+  for (const item of unique.values()) {
+    if (!bySource.has(item.source)) bySource.set(item.source, []);
+    bySource.get(item.source).push(item);
+  }
+  const jobs = await enqueueJobsByProvider('documents', bySource, { lang, refresh: parseBoolean(refresh) });
+
+  res.status(202).json({
+    success: true,
+    jobs,
+    statusUrls: jobs.map(job => `/local/jobs/${job.id}`)
+  });
+}));
+
+/**
+ * GET /documents/:id/meta
+ * Métadonnées d'un document (taille, pages, sources)
+ */
+router.get('/:id/meta', asyncHandler(async (req, res) => {
+  const id = parseDocumentId(req, res);
+  if (!id) return;
+
+  const document = await getDocument(id);
+  if (!document) {
+    return res.status(404).json({ error: 'Document non trouvé', id });
+  }
+
+  const { path, ...meta } = document;
+  res.json(meta);
+}));
+
+/**
+ * GET /documents/:id
+ * Contenu PDF (requêtes Range, ETag et Last-Modified gérés par sendFile)
+ *
+ * @query {boolean} download - Content-Disposition attachment (défaut: inline)
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const id = parseDocumentId(req, res);
+  if (!id) return;
+
+  const document = await getDocument(id);
+  if (!document) {
+    return res.status(404).json({ error: 'Document non trouvé', id });
+  }
+
+  const origin = document.sources[0];
+  const filename = origin ? `${origin.source}-${origin.sourceId}-${id}.pdf` : `document-${id}.pdf`;
+
+  res.set('Content-Type', document.contentType);
+  res.set('Content-Disposition', `${parseBoolean(req.query.download) ? 'attachment' : 'inline'}; filename="${filename}"`);
+  res.set('Cache-Control', 'public, max-age=604800, immutable');
+  if (document.pageCount) res.set('X-Page-Count', String(document.pageCount));
+
+  res.sendFile(document.path, { acceptRanges: true }, (err) => {
+    if (err && !res.headersSent) {
+      res.status(err.code === 'ENOENT' ? 410 : 500).json({
+        error: err.code === 'ENOENT' ? 'Fichier du document absent du stockage' : err.message,
+        id
+      });
+    }
+  });
+}));
+
+/**
+ * DELETE /documents/:id
+ * Supprime un document et son fichier (scope admin)
+ */
+router.delete('/:id', requireScope('admin'), asyncHandler(async (req, res) => {
+  const id = parseDocumentId(req, res);
+  if (!id) return;
+
+  const deleted = await deleteDocument(id);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Document non trouvé', id });
+  }
+
+  res.json({ success: true, id });
+}));
+
+export default router;
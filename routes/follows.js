@@ -0,0 +1,183 @@
+// routes/follows.js - Suivis de séries, thèmes, auteurs et sets TCG (toys_api v4.1.2)
+import { Router } from 'express';
+import { asyncHandler, getUserId, parseBoolean, requireUser } from '../lib/utils/index.js';
+import { isDatabaseConnected } from '../lib/database/index.js';
+import { getServerKey } from '../lib/database/credential-vault.js';
+import {
+  FOLLOW_SOURCES,
+  parseFollowFields,
+  createFollow,
+  getFollow,
+  listFollows,
+  updateFollow,
+  deleteFollow,
+  checkFollowNow
+} from '../lib/database/follows.js';
+
+const router = Router();
+
+// Données par utilisateur : token lié à un utilisateur requis
+router.use(requireUser);
+
+/**
+ * Vérifie la connexion DB (toutes les routes de suivi en dépendent)
+ */
+router.use((req, res, next) => {
+  if (!isDatabaseConnected()) {
+    return res.status(503).json({ error: 'Base de données non connectée' });
+  }
+  next();
+});
+
+/**
+ * GET /follows
+ * Liste les suivis de l'utilisateur
+ *
+ * @query {boolean} active - Filtrer actifs (true) / inactifs (false)
+ * @query {string} kind - Filtrer par type (bedetheque_serie, lego_theme…)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const follows = await listFollows(getUserId(req), {
+    active: req.query.active !== undefined ? parseBoolean(req.query.active) : null,
+    kind: req.query.kind || null
+  });
+
+  res.json({ total: follows.length, follows });
+}));
+
+/**
+ * GET /follows/sources
+ * Types de suivi, format de la cible, clé API requise et disponibilité (clé serveur présente)
+ */
+router.get('/sources', (req, res) => {
+  res.json(Object.fromEntries(Object.entries(FOLLOW_SOURCES).map(([kind, source]) => [
+    kind,
+    {
+      label: source.label,
+      target: source.target.source,
+      keyName: source.keyName,
+      available: !source.keyName || Boolean(getServerKey(source.keyName))
+    }
+  ])));
+});
+
+/**
+ * GET /follows/:id
+ * Détail d'un suivi (nombre d'entrées connues)
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ error: 'ID de suivi invalide' });
+  }
+
+  const follow = await getFollow(getUserId(req), id);
+  if (!follow) {
+    return res.status(404).json({ error: 'Suivi non trouvé', id });
+  }
+
+  res.json(follow);
+}));
+
+/**
+ * POST /follows
+ * Crée un suivi et établit sa référence immédiatement (sauf check: false) :
+ * les entrées déjà publiées ne sont pas notifiées. Les types à clé API exigent
+ * une clé serveur, seule utilisée par le cycle de vérification
+ *
+ * Body: {
+ *   kind: "bedetheque_serie" | "mangadex_manga" | "tmdb_series" | "tvdb_series" | "lego_theme"
+ *       | "author_bedetheque" | "author_mangadex" | "author_openlibrary" | "author_googlebooks"
+ *       | "tcg_pokemon_series" | "tcg_mtg_sets" | "tcg_yugioh_sets",
+ *   target: "59" | "a1c7c817-..." | "Goscinny" | "Scarlet & Violet" | "expansion",
+ *   name: "Astérix",
+ *   notifyEmail: "moi@example.com",
+ *   check: true
+ * }
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const { fields, error } = parseFollowFields(body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { keyName } = FOLLOW_SOURCES[fields.kind];
+  if (keyName && !getServerKey(keyName)) {
+    return res.status(503).json({ error: `Suivi ${fields.kind} indisponible (pas de clé serveur ${keyName})`, kind: fields.kind });
+  }
+
+  const userId = getUserId(req);
+  let follow = await createFollow(userId, fields);
+  if (!follow) {
+    return res.status(409).json({ error: 'Suivi déjà existant', kind: fields.kind, target: fields.target });
+  }
+
+  let check = null;
+  if (body.check !== false) {
+    ({ follow, check } = await checkFollowNow(userId, follow.id));
+  }
+
+  res.status(201).json({ success: true, follow, check });
+}));
+
+/**
+ * PATCH /follows/:id
+ * Modifie un suivi (name, notifyEmail, active)
+ */
+router.patch('/:id', asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ error: 'ID de suivi invalide' });
+  }
+
+  const { fields, error } = parseFollowFields(req.body || {}, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const follow = await updateFollow(getUserId(req), id, fields);
+  if (!follow) {
+    return res.status(404).json({ error: 'Suivi non trouvé', id });
+  }
+
+  res.json({ success: true, follow });
+}));
+
+/**
+ * DELETE /follows/:id
+ * Supprime un suivi et ses entrées
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ error: 'ID de suivi invalide' });
+  }
+
+  const deleted = await deleteFollow(getUserId(req), id);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Suivi non trouvé', id });
+  }
+
+  res.json({ success: true, id });
+}));
+
+/**
+ * POST /follows/:id/check
+ * Interroge le provider immédiatement (les nouveautés partent au prochain récapitulatif)
+ */
+router.post('/:id/check', asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ error: 'ID de suivi invalide' });
+  }
+
+  const result = await checkFollowNow(getUserId(req), id);
+  if (!result) {
+    return res.status(404).json({ error: 'Suivi non trouvé', id });
+  }
+
+  res.json({ success: !result.check.error, ...result });
+}));
+
+export default router;
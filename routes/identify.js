@@ -0,0 +1,108 @@
+// routes/identify.js - Identification d'un item à partir d'une photo (toys_api v4.1.2)
+import { Router } from 'express';
+import { asyncHandler, parseBoolean, requireScope, imageUpload, getUploadedImage } from '../lib/utils/index.js';
+import { isDatabaseConnected } from '../lib/database/index.js';
+import { enqueueJobsByProvider, JOB_LIMITS } from '../lib/database/job-queue.js';
+import {
+  identifyImage,
+  listItemsToHash,
+  getImageIndexStats
+} from '../lib/database/image-index.js';
+import { IDENTIFY_MAX_UPLOAD_BYTES, IDENTIFY_MAX_DISTANCE } from '../lib/config.js';
+import { PHASH_BITS } from '../lib/utils/phash.js';
+
+const router = Router();
+
+/**
+ * Vérifie la connexion DB (l'index des empreintes est dans items)
+ */
+router.use((req, res, next) => {
+  if (!isDatabaseConnected()) {
+    return res.status(503).json({ error: 'Base de données non connectée' });
+  }
+  next();
+});
+
+/**
+ * POST /identify/image
+ * Items du cache dont l'image ressemble à la photo envoyée (pHash, distance de Hamming)
+ *
+ * Corps : image brute (Content-Type: image/jpeg, image/png…) ou multipart/form-data
+ *
+ * @query {string} type - Type de contenu (construct_toy, tcg_card…)
+ * @query {string} source - Source du cache (lego, tcg_pokemon…)
+ * @query {number} limit - Max résultats (défaut: 10, max: 50)
+ * @query {number} max_distance - Distance max sur 64 bits (défaut: IDENTIFY_MAX_DISTANCE)
+ *
+ * @example
+ * curl -X POST --data-binary @figurine.jpg -H "Content-Type: image/jpeg" \
+ *   "http://localhost:3000/identify/image?type=construct_toy"
+ */
+router.post('/image', imageUpload(IDENTIFY_MAX_UPLOAD_BYTES), asyncHandler(async (req, res) => {
+  const image = getUploadedImage(req);
+  if (!image) {
+    return res.status(400).json({
+      error: 'Photo requise',
+      hint: 'Envoyez l\'image brute (Content-Type: image/jpeg) ou un champ fichier multipart/form-data'
+    });
+  }
+
+  const maxDistance = req.query.max_distance !== undefined
+    ? Math.min(Math.max(parseInt(req.query.max_distance, 10) || 0, 0), PHASH_BITS)
+    : IDENTIFY_MAX_DISTANCE;
+
+  const result = await identifyImage(image, {
+    type: req.query.type || null,
+    source: req.query.source || null,
+    limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50),
+    maxDistance
+  });
+
+  res.json({
+    ...result,
+    count: result.matches.length,
+    filters: { type: req.query.type || null, source: req.query.source || null, maxDistance }
+  });
+}));
+
+/**
+ * GET /identify/stats
+ * Couverture de l'index : items avec image et items hachés, par source
+ */
+router.get('/stats', asyncHandler(async (req, res) => {
+  res.json(await getImageIndexStats());
+}));
+
+/**
+ * POST /identify/index
+ * Calcule les empreintes manquantes (job en arrière-plan, scope admin)
+ *
+ * Body: { type: "construct_toy", source: "lego", refresh: false, limit: 5000 }
+ *
+ * Réponse 202 avec un job par source (concurrence par provider) : suivre via GET /local/jobs/:id
+ */
+router.post('/index', requireScope('admin'), asyncHandler(async (req, res) => {
+  const { type = null, source = null, refresh = false } = req.body || {};
+  const limit = Math.min(Math.max(parseInt(req.body?.limit, 10) || JOB_LIMITS.phash, 1), JOB_LIMITS.phash);
+
+  const items = await listItemsToHash({ type, source, refresh: parseBoolean(refresh), limit });
+  if (items.length === 0) {
+    return res.json({ success: true, queued: 0, message: 'Toutes les images sont déjà indexées' });
+  }
+
+  const bySource = new Map();
+  for (const item of items) {
+    if (!bySource.has(item.source)) bySource.set(item.source, []);
+    bySource.get(item.source).push(item.id);
+  }
+  const jobs = await enqueueJobsByProvider('phash', bySource, { type, source, refresh: parseBoolean(refresh) });
+
+  res.status(202).json({
+    success: true,
+    queued: items.length,
+    jobs,
+    statusUrls: jobs.map(job => `/local/jobs/${job.id}`)
+  });
+}));
+
+export default router;
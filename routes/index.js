@@ -76,3 +76,27 @@ export { default as tcgCarddassRouter } from './tcg_carddass.js';
 
 // Local database cache (v4.0.0)
 export { localRouter } from './local.js';
+
+// Collection d'items possédés
+export { default as collectionRouter } from './collection.js';
+export { default as pricewatchRouter } from './pricewatch.js';
+
+// Notices PDF copiées localement
+export { default as documentsRouter } from './documents.js';
+
+// Identification par photo (empreintes perceptuelles)
+export { default as identifyRouter } from './identify.js';
+
+// Catalogue des séries (BD, comics, mangas, séries TV, anime)
+export { default as seriesRouter } from './series.js';
+
+// Suivis et calendrier des sorties
+export { default as followsRouter } from './follows.js';
+export { default as calendarRouter } from './calendar.js';
+
+// Tokens clients et coffre des clés providers
+export { default as tokensRouter } from './tokens.js';
+export { default as vaultRouter } from './vault.js';
+
+// Recherche unifiée multi-providers
+export { default as searchRouter } from './search.js';
@@ -20,6 +20,7 @@ import {
   translateSearchDescriptions
 } from '../lib/utils/index.js';
 import { createProviderCache, getCacheInfo } from '../lib/database/cache-wrapper.js';
+import { searchCacheParams } from '../lib/providers/registry.js';
 
 const router = Router();
 const log = createLogger('Route:Klickypedia');
@@ -98,7 +99,7 @@ router.get('/search', validateSearchParams, async (req, res) => {
           hasMore: (rawResult.total || 0) > items.length
         };
       },
-      { params: { locale, max }, forceRefresh: refresh }
+      { params: searchCacheParams('klickypedia', req), forceRefresh: refresh }
     );
     
     // Traduire les descriptions si autoTrad est activé (après le cache)
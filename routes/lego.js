@@ -26,6 +26,7 @@ import {
 } from '../lib/utils/index.js';
 import { DEFAULT_LOCALE, MAX_RETRIES } from '../lib/config.js';
 import { createProviderCache, getCacheInfo } from '../lib/database/index.js';
+import { searchCacheParams } from '../lib/providers/registry.js';
 
 import { 
   callLegoGraphql as callLegoGraphqlLib, 
@@ -81,7 +82,7 @@ router.get("/search", validateSearchParams, asyncHandler(async (req, res) => {
       
       return { results: items, total: rawResult.total || items.length };
     },
-    { params: { locale, max }, forceRefresh: refresh }
+    { params: searchCacheParams('lego', req), forceRefresh: refresh }
   );
   
   // Traduire les descriptions si autoTrad est activé (après le cache)
@@ -1,6 +1,6 @@
 // routes/local.js - Endpoints pour la base de données locale (toys_api v4.0.0)
 import { Router } from 'express';
-import { asyncHandler, addCacheHeaders } from '../lib/utils/index.js';
+import { asyncHandler, addCacheHeaders, requireScope } from '../lib/utils/index.js';
 import { 
   DB_ENABLED, 
   CACHE_MODE, 
@@ -9,8 +9,25 @@ import {
   getPopularItems,
   getItemsToRefresh,
   searchLocal,
+  importItem,
+  clearItems,
+  generateItemId,
+  getItemPriceTrends,
+  DEFAULT_PRICE_WINDOWS,
   query
 } from '../lib/database/index.js';
+import { getJobStats, runNow } from '../lib/database/background-jobs.js';
+import {
+  JOB_LIMITS,
+  JOB_STATUS,
+  enqueueJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  getQueueStats,
+  validateWarmup,
+  getWarmupProviders
+} from '../lib/database/job-queue.js';
 
 const localRouter = Router();
 
@@ -212,6 +229,42 @@ localRouter.get('/item/:source/:id', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /local/item/:source/:id/prices
+ * Tendances de prix d'un item (historique item_price_history)
+ *
+ * @query {string} windows - Fenêtres en jours, séparées par des virgules, "all" accepté (défaut: 7,30,90,365)
+ * @query {boolean} history - Inclure les relevés bruts
+ */
+localRouter.get('/item/:source/:id/prices', asyncHandler(async (req, res) => {
+  if (!isDatabaseConnected()) {
+    return res.status(503).json({ error: 'Base de données non connectée' });
+  }
+  
+  const { source, id } = req.params;
+  
+  let windows = DEFAULT_PRICE_WINDOWS;
+  if (req.query.windows) {
+    windows = [...new Set(String(req.query.windows).split(',').map(w => w.trim().toLowerCase()).filter(Boolean))]
+      .map(w => w === 'all' ? 'all' : parseInt(w, 10));
+    if (windows.length > 10 || windows.some(w => w !== 'all' && !(w >= 1 && w <= 3650))) {
+      return res.status(400).json({ error: 'windows invalide (jours entre 1 et 3650, ou "all", 10 max)' });
+    }
+  }
+  
+  const result = await getItemPriceTrends(generateItemId(source, id), {
+    windows,
+    history: req.query.history === 'true'
+  });
+  
+  if (!result) {
+    return res.status(404).json({ error: 'Item non trouvé', source, id });
+  }
+  
+  addCacheHeaders(res, 300);
+  res.json({ source, sourceId: id, ...result });
+}));
+
 /**
  * GET /local/refresh
  * Liste des items à rafraîchir (TTL expiré)
@@ -345,8 +398,9 @@ localRouter.get('/export', asyncHandler(async (req, res) => {
  * @body {object} _meta - Métadonnées (optionnel, pour validation)
  * @body {array} items - Tableau d'items à importer
  * @query {string} mode - 'upsert' (défaut), 'skip' (ignorer existants), 'replace' (écraser tout)
+ * @query {boolean} async - Import en arrière-plan via la file de jobs (réponse 202 + id du job)
  */
-localRouter.post('/import', asyncHandler(async (req, res) => {
+localRouter.post('/import', requireScope('admin'), asyncHandler(async (req, res) => {
   if (!isDatabaseConnected()) {
     return res.status(503).json({ error: 'Base de données non connectée' });
   }
@@ -368,6 +422,22 @@ localRouter.post('/import', asyncHandler(async (req, res) => {
     });
   }
   
+  // Import volumineux : passage par la file de jobs (?async=true)
+  if (req.query.async === 'true') {
+    if (items.length > JOB_LIMITS.import) {
+      return res.status(400).json({
+        error: `Trop d'items pour un import (max ${JOB_LIMITS.import})`
+      });
+    }
+    
+    const job = await enqueueJob('import', { payload: { mode, import_meta: _meta || null, items } });
+    return res.status(202).json({
+      success: true,
+      job,
+      statusUrl: `/local/jobs/${job.id}`
+    });
+  }
+  
   const stats = {
     total: items.length,
     inserted: 0,
@@ -376,106 +446,17 @@ localRouter.post('/import', asyncHandler(async (req, res) => {
     errors: 0
   };
   
-  // Si mode replace, vider la table d'abord
+  // Si mode replace, vider la table d'abord (hors items des collections)
   if (mode === 'replace') {
-    await query('TRUNCATE TABLE items RESTART IDENTITY');
+    await clearItems();
   }
   
   for (const item of items) {
     try {
-      // Accepter source_id ou external_id pour rétrocompatibilité
-      const sourceId = item.source_id || item.external_id;
-      if (!item.source || !sourceId) {
-        stats.errors++;
-        continue;
-      }
-      
-      // Générer l'ID composite
-      const id = `${item.source}:${sourceId}`;
-      
-      // Vérifier si l'item existe déjà
-      const existing = await query(
-        'SELECT id FROM items WHERE id = $1',
-        [id]
-      );
-      
-      if (existing.rows.length > 0) {
-        if (mode === 'skip') {
-          stats.skipped++;
-          continue;
-        }
-        
-        // Mode upsert: mettre à jour
-        await query(`
-          UPDATE items SET
-            type = COALESCE($2, type),
-            subtype = COALESCE($3, subtype),
-            name = COALESCE($4, name),
-            name_original = COALESCE($5, name_original),
-            year = COALESCE($6, year),
-            authors = COALESCE($7, authors),
-            publisher = COALESCE($8, publisher),
-            genres = COALESCE($9, genres),
-            language = COALESCE($10, language),
-            tome = COALESCE($11, tome),
-            series_name = COALESCE($12, series_name),
-            series_id = COALESCE($13, series_id),
-            piece_count = COALESCE($14, piece_count),
-            figure_count = COALESCE($15, figure_count),
-            theme = COALESCE($16, theme),
-            runtime = COALESCE($17, runtime),
-            pages = COALESCE($18, pages),
-            isbn = COALESCE($19, isbn),
-            ean = COALESCE($20, ean),
-            imdb_id = COALESCE($21, imdb_id),
-            data = COALESCE($22, data),
-            image_url = COALESCE($23, image_url),
-            thumbnail_url = COALESCE($24, thumbnail_url),
-            source_url = COALESCE($25, source_url),
-            detail_url = COALESCE($26, detail_url),
-            updated_at = NOW(),
-            fetch_count = COALESCE($27, fetch_count)
-          WHERE id = $1
-        `, [
-          id,
-          item.type, item.subtype,
-          item.name || item.data?.name, item.name_original,
-          item.year || item.data?.year,
-          item.authors, item.publisher, item.genres, item.language,
-          item.tome, item.series_name, item.series_id,
-          item.piece_count, item.figure_count, item.theme,
-          item.runtime, item.pages, item.isbn, item.ean, item.imdb_id,
-          item.data || {},
-          item.image_url || item.image, item.thumbnail_url,
-          item.source_url, item.detail_url,
-          item.fetch_count || item.hit_count || 0
-        ]);
-        stats.updated++;
-      } else {
-        // Insérer le nouvel item
-        await query(`
-          INSERT INTO items (id, source, source_id, type, subtype, name, name_original, year, authors, publisher, genres, language, tome, series_name, series_id, piece_count, figure_count, theme, runtime, pages, isbn, ean, imdb_id, data, image_url, thumbnail_url, source_url, detail_url, created_at, updated_at, fetch_count)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, COALESCE($29::timestamp, NOW()), NOW(), $30)
-        `, [
-          id,
-          item.source, sourceId,
-          item.type || 'unknown', item.subtype,
-          item.name || item.data?.name || 'Unknown', item.name_original,
-          item.year || item.data?.year,
-          item.authors, item.publisher, item.genres, item.language,
-          item.tome, item.series_name, item.series_id,
-          item.piece_count, item.figure_count, item.theme,
-          item.runtime, item.pages, item.isbn, item.ean, item.imdb_id,
-          item.data || {},
-          item.image_url || item.image, item.thumbnail_url,
-          item.source_url, item.detail_url,
-          item.created_at,
-          item.fetch_count || item.hit_count || 0
-        ]);
-        stats.inserted++;
-      }
+      const outcome = await importItem(item, mode === 'skip' ? 'skip' : 'upsert');
+      stats[outcome]++;
     } catch (err) {
-      console.error(`Erreur import item ${item.source}/${item.source_id || item.external_id}:`, err.message);
+      console.error(`Erreur import item ${item?.source}/${item?.source_id || item?.external_id}:`, err.message);
       stats.errors++;
     }
   }
@@ -491,11 +472,12 @@ localRouter.post('/import', asyncHandler(async (req, res) => {
 /**
  * DELETE /local/purge
  * Purge des items anciens ou jamais consultés
+ * (les items présents dans une collection ne sont jamais purgés)
  * 
  * @query {number} days - Items non consultés depuis X jours (défaut: 90)
  * @query {boolean} dry - Mode simulation (défaut: true)
  */
-localRouter.delete('/purge', asyncHandler(async (req, res) => {
+localRouter.delete('/purge', requireScope('admin'), asyncHandler(async (req, res) => {
   if (!isDatabaseConnected()) {
     return res.status(503).json({ error: 'Base de données non connectée' });
   }
@@ -507,8 +489,9 @@ localRouter.delete('/purge', asyncHandler(async (req, res) => {
   const countResult = await query(`
     SELECT COUNT(*) as count, source, type
     FROM items
-    WHERE last_accessed < NOW() - INTERVAL '${days} days'
-       OR (last_accessed IS NULL AND created_at < NOW() - INTERVAL '${days} days')
+    WHERE (last_accessed < NOW() - INTERVAL '${days} days'
+       OR (last_accessed IS NULL AND created_at < NOW() - INTERVAL '${days} days'))
+      AND id NOT IN (SELECT item_id FROM collection_entries)
     GROUP BY source, type
     ORDER BY count DESC
   `);
@@ -528,8 +511,9 @@ localRouter.delete('/purge', asyncHandler(async (req, res) => {
   // Exécuter la purge
   const deleteResult = await query(`
     DELETE FROM items
-    WHERE last_accessed < NOW() - INTERVAL '${days} days'
-       OR (last_accessed IS NULL AND created_at < NOW() - INTERVAL '${days} days')
+    WHERE (last_accessed < NOW() - INTERVAL '${days} days'
+       OR (last_accessed IS NULL AND created_at < NOW() - INTERVAL '${days} days'))
+      AND id NOT IN (SELECT item_id FROM collection_entries)
   `);
   
   res.json({
@@ -542,21 +526,27 @@ localRouter.delete('/purge', asyncHandler(async (req, res) => {
 
 /**
  * POST /local/warmup
- * Pré-remplissage du cache en masse
+ * Pré-remplissage du cache en masse (job en arrière-plan)
  * 
  * Body: {
  *   provider: "lego" | "googlebooks" | etc.,
  *   queries: ["star wars", "harry potter", ...],
- *   options: { max: 10, lang: "fr" }
+ *   options: { max: 20, lang: "fr" }
  * }
+ * Les recherches alimentent le cache de GET /<route>/search pour les mêmes lang/max
+ * (défauts de la route : lang fr, max 20)
  * 
  * Ou pour des IDs spécifiques:
  * Body: {
  *   provider: "lego",
- *   ids: ["42217", "75192", ...]
+ *   ids: ["42217", "75192", ...],
+ *   options: { refresh: false, type: "construct_toy" }
  * }
+ * 
+ * Réponse 202 avec l'ID du job : suivre via GET /local/jobs/:id,
+ * annuler via DELETE /local/jobs/:id
  */
-localRouter.post('/warmup', asyncHandler(async (req, res) => {
+localRouter.post('/warmup', requireScope('admin'), asyncHandler(async (req, res) => {
   if (!isDatabaseConnected()) {
     return res.status(503).json({ error: 'Base de données non connectée' });
   }
@@ -574,77 +564,139 @@ localRouter.post('/warmup', asyncHandler(async (req, res) => {
     });
   }
   
-  if (!queries && !ids) {
+  const list = queries || ids;
+  if (!Array.isArray(list) || list.length === 0) {
     return res.status(400).json({ 
       error: 'queries ou ids requis',
       hint: 'Fournissez soit un tableau de queries pour la recherche, soit un tableau d\'IDs pour les détails'
     });
   }
   
-  const results = {
-    provider,
-    mode: queries ? 'search' : 'details',
-    requested: (queries || ids).length,
-    success: 0,
-    failed: 0,
-    cached: 0,
-    errors: []
+  const mode = queries ? 'search' : 'details';
+  const providerName = String(provider).toLowerCase();
+  
+  const invalid = validateWarmup(providerName, mode);
+  if (invalid) {
+    return res.status(400).json({
+      error: invalid,
+      providers: getWarmupProviders()[mode]
+    });
+  }
+  
+  const items = [...new Set(list.map(v => String(v).trim()).filter(Boolean))];
+  if (items.length > JOB_LIMITS.warmup) {
+    return res.status(400).json({
+      error: `Trop d'éléments pour un warmup (max ${JOB_LIMITS.warmup})`
+    });
+  }
+  
+  const job = await enqueueJob('warmup', {
+    provider: providerName,
+    payload: { mode, options, items }
+  });
+  
+  res.status(202).json({
+    success: true,
+    job,
+    statusUrl: `/local/jobs/${job.id}`
+  });
+}));
+
+/**
+ * GET /local/jobs
+ * Statut des jobs de maintenance (refresh des items expirés)
+ * et de la file de jobs (warmup, import)
+ * 
+ * @query {string} status - Filtrer les jobs de la file par statut
+ * @query {number} limit - Nombre de jobs listés (défaut: 20, max: 100)
+ */
+localRouter.get('/jobs', requireScope('admin'), asyncHandler(async (req, res) => {
+  const response = {
+    ...getJobStats(),
+    timestamp: new Date().toISOString()
   };
   
-  const startTime = Date.now();
-  
-  // Mode recherche : effectue des recherches et cache les résultats
-  if (queries && Array.isArray(queries)) {
-    for (const q of queries.slice(0, 50)) { // Max 50 queries par warmup
-      try {
-        // Le warmup stocke juste l'intention, le vrai fetch se fera via les endpoints normaux
-        // On enregistre les queries pour statistiques futures
-        await query(`
-          INSERT INTO searches (query, provider, search_type, result_ids, result_count, created_at, expires_at)
-          VALUES ($1, $2, 'warmup', ARRAY[]::text[], 0, NOW(), NOW() + INTERVAL '1 hour')
-          ON CONFLICT (query_normalized, provider, search_type) DO UPDATE SET updated_at = NOW()
-        `, [q, provider]);
-        results.success++;
-      } catch (err) {
-        results.failed++;
-        results.errors.push({ query: q, error: err.message });
-      }
+  if (isDatabaseConnected()) {
+    const status = req.query.status || null;
+    if (status && !Object.values(JOB_STATUS).includes(status)) {
+      return res.status(400).json({
+        error: 'Statut invalide',
+        validStatus: Object.values(JOB_STATUS)
+      });
     }
     
-    results.hint = 'Les queries ont été enregistrées. Utilisez les endpoints de recherche normaux pour déclencher le cache réel.';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    response.queue = {
+      ...(await getQueueStats()),
+      jobs: await listJobs({ status, limit })
+    };
   }
   
-  // Mode détails : prépare les IDs pour un fetch futur
-  if (ids && Array.isArray(ids)) {
-    const uniqueIds = [...new Set(ids)].slice(0, 100); // Max 100 IDs
-    
-    for (const id of uniqueIds) {
-      try {
-        // Vérifie si l'item existe déjà en cache
-        const existing = await query(`
-          SELECT id, expires_at > NOW() as valid
-          FROM items 
-          WHERE source = $1 AND source_id = $2
-        `, [provider, id]);
-        
-        if (existing?.valid) {
-          results.cached++;
-        } else {
-          // Marque l'item comme "à récupérer" (placeholder)
-          results.success++;
-        }
-      } catch (err) {
-        results.failed++;
-        results.errors.push({ id, error: err.message });
-      }
-    }
-    
-    results.hint = 'Utilisez les endpoints /details pour chaque ID afin de déclencher le fetch et la mise en cache.';
+  res.json(response);
+}));
+
+/**
+ * POST /local/jobs/run
+ * Force un cycle de maintenance immédiat
+ */
+localRouter.post('/jobs/run', requireScope('admin'), asyncHandler(async (req, res) => {
+  if (!isDatabaseConnected()) {
+    return res.status(503).json({ error: 'Base de données non connectée' });
+  }
+  
+  const result = await runNow();
+  res.json({ cycle: result, stats: getJobStats().stats });
+}));
+
+/**
+ * GET /local/jobs/:id
+ * Progression d'un job de la file (compteurs et erreurs par élément)
+ */
+localRouter.get('/jobs/:id', requireScope('admin'), asyncHandler(async (req, res) => {
+  if (!isDatabaseConnected()) {
+    return res.status(503).json({ error: 'Base de données non connectée' });
+  }
+  
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ error: 'ID de job invalide' });
+  }
+  
+  const job = await getJob(id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job non trouvé', id });
+  }
+  
+  res.json(job);
+}));
+
+/**
+ * DELETE /local/jobs/:id
+ * Annule un job en attente ou en cours
+ * (un job en cours s'arrête après l'élément en traitement)
+ */
+localRouter.delete('/jobs/:id', requireScope('admin'), asyncHandler(async (req, res) => {
+  if (!isDatabaseConnected()) {
+    return res.status(503).json({ error: 'Base de données non connectée' });
   }
   
-  results.duration_ms = Date.now() - startTime;
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ error: 'ID de job invalide' });
+  }
+  
+  const { found, cancelled, job } = await cancelJob(id);
+  if (!found) {
+    return res.status(404).json({ error: 'Job non trouvé', id });
+  }
+  if (!cancelled) {
+    return res.status(409).json({
+      error: `Job déjà terminé (${job.status})`,
+      job
+    });
+  }
   
-  res.json(results);
+  res.json({ success: true, job });
 }));
 
 /**
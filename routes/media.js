@@ -2,13 +2,16 @@
 import { Router } from 'express';
 import {
   searchTvdb,
-  getTvdbSeriesByIdNormalized,
-  getTvdbMovieByIdNormalized
+  getTvdbSeriesById,
+  getTvdbMovieByIdNormalized,
+  getTvdbSeriesEpisodesNormalized,
+  TVDB_SEASON_TYPES
 } from '../lib/providers/tvdb.js';
 import {
   searchTmdb,
   getTmdbMovieByIdNormalized,
-  getTmdbTvByIdNormalized
+  getTmdbTvById,
+  getTmdbTvSeasonNormalized
 } from '../lib/providers/tmdb.js';
 import {
   searchImdb,
@@ -32,6 +35,13 @@ import {
 } from '../lib/utils/index.js';
 import { TVDB_DEFAULT_MAX, TMDB_DEFAULT_MAX, IMDB_DEFAULT_MAX } from '../lib/config.js';
 import { createProviderCache, getCacheInfo } from '../lib/database/index.js';
+import { searchCacheParams } from '../lib/providers/registry.js';
+import { recordSeries } from '../lib/database/series-catalog.js';
+import { normalizeTmdbSeriesDetail, normalizeTvdbSeriesDetail } from '../lib/normalizers/series.js';
+
+// Options de cache des séries : normalisation et catalogue des séries (recordSeries)
+const TMDB_SERIES_CACHE = { normalizeFn: normalizeTmdbSeriesDetail, series: 'tmdb_tv' };
+const TVDB_SERIES_CACHE = { normalizeFn: normalizeTvdbSeriesDetail, series: 'tvdb_series' };
 
 // Cache providers pour media
 const tvdbCache = createProviderCache('tvdb', 'series');
@@ -101,8 +111,8 @@ tvdbRouter.get("/details", validateDetailsParams, tvdbAuth, asyncHandler(async (
     `${type}_${id}`,
     () => type === 'movie' 
       ? getTvdbMovieByIdNormalized(id, req.apiKey, { lang, autoTrad })
-      : getTvdbSeriesByIdNormalized(id, req.apiKey, { lang, autoTrad }),
-    { type: cacheType, forceRefresh }
+      : getTvdbSeriesById(id, req.apiKey, { lang, autoTrad }),
+    { type: cacheType, forceRefresh, ...(type === 'movie' ? {} : TVDB_SERIES_CACHE) }
   );
   
   if (!result) {
@@ -122,6 +132,7 @@ tvdbRouter.get("/series/:id", tvdbAuth, asyncHandler(async (req, res) => {
   const autoTrad = isAutoTradEnabled(req);
   if (!seriesId) return res.status(400).json({ error: "paramètre 'id' manquant" });
   const result = await getTvdbSeriesById(seriesId, req.apiKey, { lang: params.lang, autoTrad });
+  recordSeries('tvdb_series', result);
   addCacheHeaders(res, 3600);
   res.json(result);
 }));
@@ -204,8 +215,8 @@ tmdbRouter.get("/details", validateDetailsParams, tmdbAuth, asyncHandler(async (
     `${type}_${id}`,
     () => type === 'movie'
       ? getTmdbMovieByIdNormalized(id, req.apiKey, { lang: locale, autoTrad })
-      : getTmdbTvByIdNormalized(id, req.apiKey, { lang: locale, autoTrad }),
-    { type: cacheType, forceRefresh }
+      : getTmdbTvById(id, req.apiKey, { lang: locale, autoTrad }),
+    { type: cacheType, forceRefresh, ...(type === 'movie' ? {} : TMDB_SERIES_CACHE) }
   );
   
   if (!result) {
@@ -235,6 +246,7 @@ tmdbRouter.get("/tv/:id", tmdbAuth, asyncHandler(async (req, res) => {
   const autoTrad = isAutoTradEnabled(req);
   if (!tvId) return res.status(400).json({ error: "paramètre 'id' manquant" });
   const result = await getTmdbTvById(tvId, req.apiKey, { lang: params.locale, autoTrad });
+  recordSeries('tmdb_tv', result);
   addCacheHeaders(res, 3600);
   res.json(result);
 }));
@@ -400,7 +412,7 @@ tmdbMoviesRouter.get("/search", validateSearchParams, tmdbAuth, asyncHandler(asy
         totalPages: rawResult.totalPages
       };
     },
-    { params: { max, locale, page, year, includeAdult }, forceRefresh: refresh }
+    { params: searchCacheParams('tmdb_movies', req), forceRefresh: refresh }
   );
   
   const translatedResults = await translateSearchDescriptions(result.results || [], autoTrad, lang);
@@ -472,7 +484,7 @@ tmdbSeriesRouter.get("/search", validateSearchParams, tmdbAuth, asyncHandler(asy
         totalPages: rawResult.totalPages
       };
     },
-    { params: { max, locale, page, year }, forceRefresh: refresh }
+    { params: searchCacheParams('tmdb_series', req), forceRefresh: refresh }
   );
   
   const translatedResults = await translateSearchDescriptions(result.results || [], autoTrad, lang);
@@ -495,8 +507,8 @@ tmdbSeriesRouter.get("/details", validateDetailsParams, tmdbAuth, asyncHandler(a
   
   const result = await tmdbSeriesCache.getWithCache(
     id,
-    () => getTmdbTvByIdNormalized(id, req.apiKey, { lang: locale, autoTrad }),
-    { type: 'series', forceRefresh }
+    () => getTmdbTvById(id, req.apiKey, { lang: locale, autoTrad }),
+    { type: 'series', forceRefresh, ...TMDB_SERIES_CACHE }
   );
   
   if (!result) {
@@ -509,6 +521,31 @@ tmdbSeriesRouter.get("/details", validateDetailsParams, tmdbAuth, asyncHandler(a
   }));
 }));
 
+/**
+ * GET /tmdb_series/:id/season/:n
+ * Épisodes d'une saison (numéro, titre, diffusion, durée, image, résumé)
+ * episode_id est l'ID TMDB de l'épisode, à utiliser pour le suivi des épisodes vus
+ *
+ * @example
+ * curl "http://localhost:3000/tmdb_series/1399/season/1?lang=fr-FR&autoTrad=true"
+ */
+tmdbSeriesRouter.get("/:id/season/:n", tmdbAuth, asyncHandler(async (req, res) => {
+  const { id, n } = req.params;
+  const { lang, locale, autoTrad } = extractStandardParams(req);
+
+  if (!/^\d+$/.test(id) || !/^\d+$/.test(n)) {
+    return res.status(400).json({ error: "Paramètres 'id' et 'n' numériques requis" });
+  }
+
+  const result = await getTmdbTvSeasonNormalized(id, parseInt(n, 10), req.apiKey, { lang: locale, autoTrad });
+  if (!result) {
+    return res.status(404).json({ error: `Saison ${n} de la série TMDB ${id} non trouvée` });
+  }
+
+  addCacheHeaders(res, 3600);
+  res.json(formatDetailResponse({ data: result, provider: 'tmdb_series', id, meta: { lang, locale, autoTrad } }));
+}));
+
 // ============================================================================
 // TVDB MOVIES Router - Recherche dédiée aux films
 // ============================================================================
@@ -540,7 +577,7 @@ tvdbMoviesRouter.get("/search", validateSearchParams, tvdbAuth, asyncHandler(asy
       
       return { results: items, total: rawResult.total || items.length };
     },
-    { params: { max, lang, year }, forceRefresh: refresh }
+    { params: searchCacheParams('tvdb_movies', req), forceRefresh: refresh }
   );
   
   const translatedResults = await translateSearchDescriptions(result.results || [], autoTrad, lang);
@@ -608,7 +645,7 @@ tvdbSeriesRouter.get("/search", validateSearchParams, tvdbAuth, asyncHandler(asy
       
       return { results: items, total: rawResult.total || items.length };
     },
-    { params: { max, lang, year }, forceRefresh: refresh }
+    { params: searchCacheParams('tvdb_series', req), forceRefresh: refresh }
   );
   
   const translatedResults = await translateSearchDescriptions(result.results || [], autoTrad, lang);
@@ -631,8 +668,8 @@ tvdbSeriesRouter.get("/details", validateDetailsParams, tvdbAuth, asyncHandler(a
   
   const result = await tvdbSeriesCache.getWithCache(
     id,
-    () => getTvdbSeriesByIdNormalized(id, req.apiKey, { lang, autoTrad }),
-    { type: 'series', forceRefresh }
+    () => getTvdbSeriesById(id, req.apiKey, { lang, autoTrad }),
+    { type: 'series', forceRefresh, ...TVDB_SERIES_CACHE }
   );
   
   if (!result) {
@@ -645,6 +682,47 @@ tvdbSeriesRouter.get("/details", validateDetailsParams, tvdbAuth, asyncHandler(a
   }));
 }));
 
+/**
+ * GET /tvdb_series/:id/episodes
+ * Épisodes de la série (numéro, titre, diffusion, durée, image, résumé)
+ * episode_id est l'ID TVDB de l'épisode, à utiliser pour le suivi des épisodes vus
+ *
+ * @query {number} season - Limiter à une saison (0 = épisodes spéciaux)
+ * @query {string} seasonType - Ordre TVDB : default, official, dvd, absolute, alternate, regional
+ *
+ * @example
+ * curl "http://localhost:3000/tvdb_series/121361/episodes?season=1&lang=fr&autoTrad=true"
+ */
+tvdbSeriesRouter.get("/:id/episodes", tvdbAuth, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { lang, locale, autoTrad } = extractStandardParams(req);
+  const seasonType = req.query.seasonType || 'default';
+  const season = req.query.season !== undefined ? req.query.season : null;
+
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({ error: "Paramètre 'id' numérique requis" });
+  }
+  if (season !== null && !/^\d+$/.test(season)) {
+    return res.status(400).json({ error: "Paramètre 'season' invalide" });
+  }
+  if (!TVDB_SEASON_TYPES.includes(seasonType)) {
+    return res.status(400).json({ error: "Paramètre 'seasonType' invalide", seasonTypes: TVDB_SEASON_TYPES });
+  }
+
+  const result = await getTvdbSeriesEpisodesNormalized(id, req.apiKey, {
+    lang,
+    autoTrad,
+    season: season !== null ? parseInt(season, 10) : null,
+    seasonType
+  });
+  if (!result) {
+    return res.status(404).json({ error: `Série TVDB ${id} non trouvée` });
+  }
+
+  addCacheHeaders(res, 3600);
+  res.json(formatDetailResponse({ data: result, provider: 'tvdb_series', id, meta: { lang, locale, autoTrad } }));
+}));
+
 // ============================================================================
 // IMDB MOVIES Router - Recherche dédiée aux films
 // ============================================================================
@@ -680,7 +758,7 @@ imdbMoviesRouter.get("/search", validateSearchParams, asyncHandler(async (req, r
       
       return { results: items, total: items.length };
     },
-    { params: { max }, forceRefresh: refresh }
+    { params: searchCacheParams('imdb_movies', req), forceRefresh: refresh }
   );
   
   const translatedResults = await translateSearchDescriptions(result.results || [], autoTrad, lang);
@@ -756,7 +834,7 @@ imdbSeriesRouter.get("/search", validateSearchParams, asyncHandler(async (req, r
       
       return { results: items, total: items.length };
     },
-    { params: { max }, forceRefresh: refresh }
+    { params: searchCacheParams('imdb_series', req), forceRefresh: refresh }
   );
   
   const translatedResults = await translateSearchDescriptions(result.results || [], autoTrad, lang);
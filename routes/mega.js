@@ -23,6 +23,7 @@ import {
 import { translateText, extractLangCode } from '../lib/utils/translator.js';
 import { MEGA_DEFAULT_MAX, MEGA_DEFAULT_LANG } from '../lib/config.js';
 import { createProviderCache, getCacheInfo } from '../lib/database/cache-wrapper.js';
+import { searchCacheParams } from '../lib/providers/registry.js';
 
 import {
   searchMega as searchMegaLib,
@@ -109,7 +110,7 @@ router.get("/search", validateSearchParams, asyncHandler(async (req, res) => {
       
       return { results: items, total: rawResult.totalResults || rawResult.total || items.length };
     },
-    { params: { locale, max, page }, forceRefresh: refresh }
+    { params: searchCacheParams('mega', req), forceRefresh: refresh }
   );
   
   // Traduire les descriptions si autoTrad est activé (après le cache)
@@ -7,7 +7,7 @@
  */
 
 import { Router } from 'express';
-import { asyncHandler } from '../lib/utils/index.js';
+import { asyncHandler, getProviderGuardStates, requireScope } from '../lib/utils/index.js';
 import { runManualTest, PROVIDER_TESTS } from '../lib/monitoring/healthcheck.js';
 import { isMailerConfigured, testSmtpConnection, sendEmail } from '../lib/utils/mailer.js';
 
@@ -47,7 +47,8 @@ router.get('/status', asyncHandler(async (req, res) => {
       igdb: !!(process.env.TEST_IGDB_CLIENT_ID && process.env.TEST_IGDB_CLIENT_SECRET),
       discogs: !!process.env.TEST_DISCOGS_KEY,
       bgg: !!process.env.TEST_BGG_TOKEN
-    }
+    },
+    circuitBreakers: getProviderGuardStates()
   };
   
   res.json(status);
@@ -58,7 +59,7 @@ router.get('/status', asyncHandler(async (req, res) => {
  * Exécute manuellement tous les tests de monitoring
  * ⚠️ Peut prendre plusieurs minutes
  */
-router.post('/test', asyncHandler(async (req, res) => {
+router.post('/test', requireScope('admin'), asyncHandler(async (req, res) => {
   res.setHeader('Content-Type', 'application/json');
   
   // Exécuter les tests (peut prendre du temps)
@@ -85,7 +86,7 @@ router.post('/test', asyncHandler(async (req, res) => {
  * POST /monitoring/test-email
  * Envoie un email de test
  */
-router.post('/test-email', asyncHandler(async (req, res) => {
+router.post('/test-email', requireScope('admin'), asyncHandler(async (req, res) => {
   if (!isMailerConfigured()) {
     return res.status(400).json({
       success: false,
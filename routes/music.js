@@ -21,6 +21,7 @@ import {
 } from '../lib/utils/index.js';
 import { MUSIC_DEFAULT_MAX } from '../lib/config.js';
 import { createProviderCache, getCacheInfo } from '../lib/database/cache-wrapper.js';
+import { searchCacheParams } from '../lib/providers/registry.js';
 
 import {
   searchMusicBrainz as searchMusicBrainzLib,
@@ -129,7 +130,7 @@ router.get("/search", validateSearchParams, asyncHandler(async (req, res) => {
       
       return { results: items, total: rawResult.total || items.length };
     },
-    { params: { max, type, country }, forceRefresh }
+    { params: searchCacheParams(provider, req), forceRefresh }
   );
   
   const response = formatSearchResponse({
@@ -22,6 +22,7 @@ import {
   translateSearchDescriptions
 } from '../lib/utils/index.js';
 import { createProviderCache, getCacheInfo } from '../lib/database/cache-wrapper.js';
+import { searchCacheParams } from '../lib/providers/registry.js';
 
 import {
   searchPlaymobil as searchPlaymobilLib,
@@ -94,7 +95,7 @@ router.get("/search", validateSearchParams, asyncHandler(async (req, res) => {
       
       return { results: items, total: rawResult.total || items.length };
     },
-    { params: { locale, max }, forceRefresh: refresh }
+    { params: searchCacheParams('playmobil', req), forceRefresh: refresh }
   );
   
   // Traduire les descriptions si autoTrad est activé (après le cache)
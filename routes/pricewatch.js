@@ -0,0 +1,193 @@
+// routes/pricewatch.js - Surveillance de prix / liste de souhaits (toys_api v4.1.2)
+import { Router } from 'express';
+import { asyncHandler, getUserId, parseBoolean, requireUser } from '../lib/utils/index.js';
+import { isDatabaseConnected } from '../lib/database/index.js';
+import {
+  PRICE_SOURCES,
+  parseWatchFields,
+  createWatch,
+  getWatch,
+  listWatches,
+  updateWatch,
+  deleteWatch,
+  checkWatchNow,
+  getWatchHistory
+} from '../lib/database/price-watch.js';
+
+const router = Router();
+
+// Données par utilisateur : token lié à un utilisateur requis
+router.use(requireUser);
+
+/**
+ * Vérifie la connexion DB (toutes les routes de surveillance en dépendent)
+ */
+router.use((req, res, next) => {
+  if (!isDatabaseConnected()) {
+    return res.status(503).json({ error: 'Base de données non connectée' });
+  }
+  next();
+});
+
+/**
+ * GET /pricewatch
+ * Liste les surveillances de l'utilisateur
+ *
+ * @query {boolean} active - Filtrer actives (true) / inactives (false)
+ * @query {boolean} belowTarget - Uniquement celles sous le prix cible
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const watches = await listWatches(getUserId(req), {
+    active: req.query.active !== undefined ? parseBoolean(req.query.active) : null,
+    belowTarget: parseBoolean(req.query.belowTarget)
+  });
+
+  res.json({ total: watches.length, watches });
+}));
+
+/**
+ * GET /pricewatch/sources
+ * Sources surveillables et clés de prix acceptées (avec devise)
+ */
+router.get('/sources', (req, res) => {
+  res.json(Object.fromEntries(Object.entries(PRICE_SOURCES).map(([source, entry]) => [
+    source,
+    { defaultKey: entry.defaultKey, keys: entry.keys }
+  ])));
+});
+
+/**
+ * GET /pricewatch/:id
+ * Détail d'une surveillance
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ error: 'ID de surveillance invalide' });
+  }
+
+  const watch = await getWatch(getUserId(req), id);
+  if (!watch) {
+    return res.status(404).json({ error: 'Surveillance non trouvée', id });
+  }
+
+  res.json(watch);
+}));
+
+/**
+ * POST /pricewatch
+ * Crée une surveillance (et vérifie le prix immédiatement sauf check: false)
+ *
+ * Body: {
+ *   source: "amazon" | "tcg_mtg" | "tcg_yugioh" | "tcg_pokemon",
+ *   sourceId: "B0BX...",
+ *   targetPrice: 39.99,
+ *   priceKey: "fr" | "fr,de,es" | "eur_foil" | "cardmarket" | "market",
+ *   name: "LEGO 42217",
+ *   notifyEmail: "moi@example.com",
+ *   check: true
+ * }
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const { fields, error } = parseWatchFields(body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const userId = getUserId(req);
+  let watch = await createWatch(userId, fields);
+  let check = null;
+
+  if (body.check !== false) {
+    ({ watch, check } = await checkWatchNow(userId, watch.id));
+  }
+
+  res.status(201).json({ success: true, watch, check });
+}));
+
+/**
+ * PATCH /pricewatch/:id
+ * Modifie une surveillance (targetPrice, name, notifyEmail, active)
+ */
+router.patch('/:id', asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ error: 'ID de surveillance invalide' });
+  }
+
+  const { fields, error } = parseWatchFields(req.body || {}, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const watch = await updateWatch(getUserId(req), id, fields);
+  if (!watch) {
+    return res.status(404).json({ error: 'Surveillance non trouvée', id });
+  }
+
+  res.json({ success: true, watch });
+}));
+
+/**
+ * DELETE /pricewatch/:id
+ * Supprime une surveillance et son historique
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ error: 'ID de surveillance invalide' });
+  }
+
+  const deleted = await deleteWatch(getUserId(req), id);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Surveillance non trouvée', id });
+  }
+
+  res.json({ success: true, id });
+}));
+
+/**
+ * POST /pricewatch/:id/check
+ * Vérifie le prix immédiatement (ajoute un point d'historique)
+ */
+router.post('/:id/check', asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ error: 'ID de surveillance invalide' });
+  }
+
+  const result = await checkWatchNow(getUserId(req), id);
+  if (!result) {
+    return res.status(404).json({ error: 'Surveillance non trouvée', id });
+  }
+
+  res.json({ success: !result.check.error, ...result });
+}));
+
+/**
+ * GET /pricewatch/:id/history
+ * Série de prix pour graphique (ordre chronologique)
+ *
+ * @query {number} days - Fenêtre en jours (défaut: 90, max: 730)
+ * @query {boolean} errors - Inclure les vérifications en échec (price: null)
+ */
+router.get('/:id/history', asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ error: 'ID de surveillance invalide' });
+  }
+
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 90, 1), 730);
+  const result = await getWatchHistory(getUserId(req), id, {
+    days,
+    includeErrors: parseBoolean(req.query.errors)
+  });
+  if (!result) {
+    return res.status(404).json({ error: 'Surveillance non trouvée', id });
+  }
+
+  res.json(result);
+}));
+
+export default router;
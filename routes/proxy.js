@@ -1,76 +1,37 @@
 // routes/proxy.js
-// Proxy pour les images TCG (contourne CORS et anti-hotlinking)
+// Service d'images des providers (cache disque, transformations, contourne CORS et anti-hotlinking)
 
 import express from 'express';
 import { createLogger } from '../lib/utils/logger.js';
+import { asyncHandler, parseBoolean } from '../lib/utils/index.js';
+import {
+  IMAGE_FORMATS,
+  IMAGE_FITS,
+  getImageAllowlist,
+  isImageUrlAllowed,
+  parseImageTransform,
+  fetchImage,
+  getImageEtag,
+  getImageVariant,
+  getImageCacheStats
+} from '../lib/utils/image-cache.js';
+import { IMAGE_MAX_DIMENSION } from '../lib/config.js';
 
 const router = express.Router();
 const log = createLogger('Proxy');
 
-// ============================================================================
-// CONFIGURATION
-// ============================================================================
-
-// Whitelist des domaines TCG autorisés
-const ALLOWED_DOMAINS = [
-  // One Piece
-  'onepiece-cardgame.dev',
-  
-  // Lorcana
-  'api.lorcana.ravensburger.com',
-  'lorcanajson.org',
-  
-  // Yu-Gi-Oh
-  'images.ygoprodeck.com',
-  
-  // Magic: The Gathering
-  'cards.scryfall.io',
-  
-  // Pokemon
-  'images.pokemontcg.io',
-  'assets.pokemon.com',
-  'www.pokemon.com',
-  
-  // Digimon
-  'digimoncard.io',
-  'images.digimoncard.io'
-];
-
-// Headers à utiliser pour les requêtes (simule un navigateur)
-const PROXY_HEADERS = {
-  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Accept': 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
-  'Accept-Language': 'en-US,en;q=0.9,fr;q=0.8',
-  'Accept-Encoding': 'gzip, deflate, br',
-  'Cache-Control': 'no-cache',
-  'Pragma': 'no-cache',
-  'sec-ch-ua': '"Not_A Brand";v="8", "Chromium";v="120"',
-  'sec-ch-ua-mobile': '?0',
-  'sec-ch-ua-platform': '"Windows"',
-  'sec-fetch-dest': 'image',
-  'sec-fetch-mode': 'no-cors',
-  'sec-fetch-site': 'cross-site'
-};
-
 // ============================================================================
 // HELPERS
 // ============================================================================
 
 /**
- * Vérifie si une URL est autorisée dans la whitelist
- * @param {string} url - URL à vérifier
- * @returns {boolean}
+ * Headers CORS des réponses image
  */
-function isUrlAllowed(url) {
-  try {
-    const parsedUrl = new URL(url);
-    return ALLOWED_DOMAINS.some(domain => 
-      parsedUrl.hostname === domain || 
-      parsedUrl.hostname.endsWith('.' + domain)
-    );
-  } catch {
-    return false;
-  }
+function setCorsHeaders(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+  res.setHeader('Access-Control-Max-Age', '86400');
 }
 
 // ============================================================================
@@ -79,137 +40,75 @@ function isUrlAllowed(url) {
 
 /**
  * GET /proxy/image
- * Proxy pour les images TCG (contourne CORS)
+ * Service d'images : cache disque, redimensionnement et conversion (contourne CORS)
  * 
- * @query {string} url - URL de l'image à proxier (requis)
+ * @query {string} url - URL de l'image (requis, hôte d'un provider : IMAGE_HOSTS)
+ * @query {number} w - Largeur max (px)
+ * @query {number} h - Hauteur max (px)
+ * @query {string} fit - cover (défaut), contain, fill, inside, outside
+ * @query {string} format - webp, avif, jpeg, png (défaut: format d'origine)
  * @query {number} maxAge - Cache-Control max-age en secondes (défaut: 86400 = 24h)
+ * @query {boolean} refresh - Retélécharger l'original
  * 
  * Exemples:
  * - /proxy/image?url=https://onepiece-cardgame.dev/images/cards/ST01-007_dec1fa_jp.jpg
- * - /proxy/image?url=https://images.ygoprodeck.com/images/cards/46986414.jpg&maxAge=3600
+ * - /proxy/image?url=https://image.tmdb.org/t/p/original/abc.jpg&w=300&format=webp
  * 
- * Domaines autorisés:
- * - onepiece-cardgame.dev (One Piece)
- * - images.ygoprodeck.com (Yu-Gi-Oh)
- * - cards.scryfall.io (Magic)
- * - images.pokemontcg.io (Pokemon)
- * - api.lorcana.ravensburger.com (Lorcana)
- * - digimoncard.io (Digimon)
+ * Réponses conditionnelles : ETag + If-None-Match → 304
  */
-router.get('/image', async (req, res) => {
-  try {
-    const { url, maxAge = 86400 } = req.query;
-    
-    // Validation de l'URL
-    if (!url) {
-      return res.status(400).json({
-        error: 'URL parameter required',
-        hint: 'Usage: /proxy/image?url=https://...',
-        example: '/proxy/image?url=https://onepiece-cardgame.dev/images/cards/ST01-007_dec1fa_jp.jpg'
-      });
-    }
-    
-    // Validation du domaine (whitelist)
-    if (!isUrlAllowed(url)) {
-      log.warn(`Blocked proxy request for non-whitelisted domain: ${url}`);
-      return res.status(403).json({
-        error: 'Domain not allowed',
-        hint: 'Only TCG image domains are allowed',
-        allowedDomains: ALLOWED_DOMAINS,
-        requestedUrl: url
-      });
-    }
-    
-    log.debug(`📸 Proxying image: ${url.substring(0, 80)}...`);
-    
-    // Télécharger l'image avec headers appropriés
-    const parsedUrl = new URL(url);
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        ...PROXY_HEADERS,
-        'Referer': parsedUrl.origin + '/',
-        'Origin': parsedUrl.origin
-      },
-      signal: AbortSignal.timeout(30000)
+router.get('/image', asyncHandler(async (req, res) => {
+  const { url } = req.query;
+  const maxAge = parseInt(req.query.maxAge, 10) >= 0 ? parseInt(req.query.maxAge, 10) : 86400;
+  
+  // Validation de l'URL
+  if (!url) {
+    return res.status(400).json({
+      error: 'URL parameter required',
+      hint: 'Usage: /proxy/image?url=https://...&w=300&format=webp',
+      example: '/proxy/image?url=https://onepiece-cardgame.dev/images/cards/ST01-007_dec1fa_jp.jpg'
     });
-    
-    if (!response.ok) {
-      log.warn(`Image server returned ${response.status} for ${url.substring(0, 80)}`);
-      return res.status(response.status).json({
-        error: `Image server error: ${response.status} ${response.statusText}`,
-        hint: response.status === 404 
-          ? 'Image not found on remote server' 
-          : 'Remote server error',
-        originalUrl: url
-      });
-    }
-    
-    // Copier headers pertinents de la réponse
-    const contentType = response.headers.get('content-type');
-    const contentLength = response.headers.get('content-length');
-    const lastModified = response.headers.get('last-modified');
-    const etag = response.headers.get('etag');
-    
-    if (contentType) res.setHeader('Content-Type', contentType);
-    if (contentLength) res.setHeader('Content-Length', contentLength);
-    if (lastModified) res.setHeader('Last-Modified', lastModified);
-    if (etag) res.setHeader('ETag', etag);
-    
-    // Headers de cache et CORS
-    res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    res.setHeader('Access-Control-Max-Age', '86400');
-    
-    // Stream l'image vers le client (efficace en mémoire)
-    const reader = response.body.getReader();
-    
-    try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        res.write(value);
-      }
-      res.end();
-      
-      log.debug(`✅ Image proxied successfully (${contentLength || 'unknown size'} bytes)`);
-      
-    } catch (streamError) {
-      log.error(`Stream error: ${streamError.message}`);
-      if (!res.headersSent) {
-        res.status(500).json({
-          error: 'Stream error',
-          message: streamError.message
-        });
-      }
-    }
-    
-  } catch (error) {
-    log.error(`❌ Proxy error: ${error.message}`);
-    
-    if (!res.headersSent) {
-      res.status(500).json({
-        error: 'Proxy error',
-        message: error.message,
-        hint: error.name === 'AbortError' 
-          ? 'Request timeout (30s)' 
-          : 'Internal server error'
-      });
-    }
   }
-});
+  
+  // Validation du domaine (whitelist)
+  if (!isImageUrlAllowed(url)) {
+    log.warn(`Blocked proxy request for non-whitelisted domain: ${url}`);
+    return res.status(403).json({
+      error: 'Domain not allowed',
+      hint: 'Only provider image domains are allowed (IMAGE_HOSTS, IMAGE_EXTRA_HOSTS)',
+      allowedDomains: getImageAllowlist(),
+      requestedUrl: url
+    });
+  }
+  
+  const { transform, error } = parseImageTransform(req.query);
+  if (error) {
+    return res.status(400).json({ error, fits: IMAGE_FITS, formats: Object.keys(IMAGE_FORMATS) });
+  }
+  
+  const image = await fetchImage(url, { refresh: parseBoolean(req.query.refresh) });
+  
+  setCorsHeaders(res);
+  res.setHeader('ETag', getImageEtag(image.meta, transform));
+  res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+  res.setHeader('X-Cache', image.cached ? 'HIT' : 'MISS');
+  // SVG servis depuis notre domaine : aucun script exécuté
+  res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  
+  const { buffer, contentType } = await getImageVariant(image, transform);
+  res.type(contentType).send(buffer);
+}));
 
 /**
  * OPTIONS /proxy/image
  * Support CORS preflight requests
  */
 router.options('/image', (req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  res.setHeader('Access-Control-Max-Age', '86400');
+  setCorsHeaders(res);
   res.status(204).end();
 });
 
@@ -221,9 +120,11 @@ router.get('/health', (req, res) => {
   res.json({
     success: true,
     service: 'Image Proxy',
-    allowedDomains: ALLOWED_DOMAINS,
+    allowedDomains: getImageAllowlist(),
     maxTimeout: 30000,
-    defaultCache: 86400
+    defaultCache: 86400,
+    transforms: { maxDimension: IMAGE_MAX_DIMENSION, fits: IMAGE_FITS, formats: Object.keys(IMAGE_FORMATS) },
+    cache: getImageCacheStats()
   });
 });
 
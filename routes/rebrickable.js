@@ -5,6 +5,9 @@
  * - GET /search : Recherche avec q, lang, max, autoTrad
  * - GET /details : Détails via detailUrl (avec cache PostgreSQL)
  * - GET /set/:setNum : (legacy) Détails par numéro de set
+ * - POST /buildable : Sets constructibles avec un inventaire de pièces possédées
+ * - GET /set/:a/diff/:b : Comparaison des inventaires de deux sets
+ * - GET /set/:setNum/parts|minifigs?format=bricklink|rebrickable|ldraw : Export de liste de pièces
  * 
  * Note: Les termes de recherche sont automatiquement traduits en anglais
  * car Rebrickable indexe uniquement en anglais.
@@ -44,12 +47,52 @@ import {
   getRebrickableColors,
   enrichRebrickableWithLego,
   legoIdToRebrickable,
-  rebrickableIdToLego
+  rebrickableIdToLego,
+  getBuildableSets,
+  diffRebrickableSets,
+  getRebrickableSetInventory,
+  getRebrickableMinifigParts,
+  getRebrickableColorTable,
+  exportPartList,
+  PART_LIST_FORMATS
 } from '../lib/providers/rebrickable.js';
 
 const router = Router();
 const rebrickableAuth = requireApiKey('Rebrickable', 'https://rebrickable.com/api/');
 
+/**
+ * Rejette un format d'export inconnu avant tout appel à l'API
+ */
+function validatePartListFormat(req, res, next) {
+  const { format } = req.query;
+  if (format && !PART_LIST_FORMATS[format]) {
+    return res.status(400).json({
+      error: `Format d'export invalide: ${format}`,
+      formats: Object.keys(PART_LIST_FORMATS)
+    });
+  }
+  next();
+}
+
+/**
+ * Envoie une liste de pièces exportée (?format=bricklink|rebrickable|ldraw)
+ * Query: spares=true (pièces de rechange), wanted_list (WANTEDLISTID BrickLink)
+ */
+async function sendPartList(req, res, setNum, suffix, parts) {
+  const exported = exportPartList(parts, req.query.format, {
+    colors: await getRebrickableColorTable(req.apiKey),
+    includeSpares: req.query.spares === 'true',
+    title: `${setNum} ${suffix}`,
+    wantedListId: req.query.wanted_list || null
+  });
+
+  addCacheHeaders(res, 3600);
+  res.set('Content-Disposition', `attachment; filename="${setNum}-${suffix}.${exported.extension}"`);
+  res.set('X-Export-Lines', String(exported.lines));
+  res.set('X-Export-Skipped', String(exported.skipped.length));
+  res.type(exported.contentType).send(exported.body);
+}
+
 
 // ============================================================================
 // ENDPOINTS NORMALISÉS v3.0.0
@@ -204,6 +247,55 @@ router.get("/details", validateDetailsParams, rebrickableAuth, asyncHandler(asyn
   }));
 }));
 
+// ============================================================================
+// INVENTAIRES DE PIÈCES
+// ============================================================================
+
+/**
+ * POST /rebrickable/buildable
+ * Pourcentage constructible de sets candidats avec les pièces possédées
+ *
+ * Body: {
+ *   parts: [{ part_num: "3001", color_id: 4, quantity: 12 }]  (ou)
+ *   csv: "Part,Color,Quantity\n3001,4,12",                     (Rebrickable ou BrickLink)
+ *   format: "rebrickable" | "bricklink",                        (défaut : déduit du CSV)
+ *   sets: ["75192", "10497-1"]                                  (ou)
+ *   theme_id: 158,
+ *   max_sets: 20,
+ *   include_spares: false
+ * }
+ */
+router.post("/buildable", rebrickableAuth, asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const sets = Array.isArray(body.sets) ? body.sets
+    : typeof body.sets === 'string' ? body.sets.split(',').map(s => s.trim()).filter(Boolean)
+    : [];
+
+  const result = await getBuildableSets(body.parts ?? body.csv, req.apiKey, {
+    sets,
+    themeId: body.theme_id ? parseInt(body.theme_id, 10) : null,
+    format: body.format,
+    maxSets: body.max_sets,
+    includeSpares: body.include_spares === true
+  });
+
+  log.info(`Buildable: ${result.count} sets évalués (${result.inventory.lots} lots possédés)`);
+  res.json({ success: true, provider: 'rebrickable', ...result });
+}));
+
+/**
+ * GET /rebrickable/set/:a/diff/:b
+ * Pièces communes, propres à chaque set et écarts de quantité
+ * Query: spares=true pour inclure les pièces de rechange
+ */
+router.get("/set/:a/diff/:b", rebrickableAuth, asyncHandler(async (req, res) => {
+  const result = await diffRebrickableSets(req.params.a, req.params.b, req.apiKey, {
+    includeSpares: req.query.spares === 'true'
+  });
+  addCacheHeaders(res, 3600);
+  res.json(result);
+}));
+
 // ============================================================================
 // ENDPOINTS LEGACY (rétrocompatibilité)
 // ============================================================================
@@ -239,21 +331,36 @@ router.get("/set/:setNum", rebrickableAuth, asyncHandler(async (req, res) => {
   res.json(result);
 }));
 
-router.get("/set/:setNum/parts", rebrickableAuth, asyncHandler(async (req, res) => {
+router.get("/set/:setNum/parts", validatePartListFormat, rebrickableAuth, asyncHandler(async (req, res) => {
   const setNum = req.params.setNum;
   const limit = req.query.limit ? parseInt(req.query.limit, 10) : 500;
   
   if (!setNum) return res.status(400).json({ error: "paramètre 'setNum' manquant" });
   
+  // Export : inventaire complet (minifig_parts=true pour inclure les pièces des minifigs)
+  if (req.query.format) {
+    const inventory = await getRebrickableSetInventory(setNum, req.apiKey, {
+      includeSpares: true,
+      includeMinifigParts: req.query.minifig_parts === 'true'
+    });
+    return sendPartList(req, res, inventory.set_num, 'parts', inventory.parts);
+  }
+  
   const result = await getRebrickableSetParts(setNum, req.apiKey, limit);
   addCacheHeaders(res, 3600);
   res.json(result);
 }));
 
-router.get("/set/:setNum/minifigs", rebrickableAuth, asyncHandler(async (req, res) => {
+router.get("/set/:setNum/minifigs", validatePartListFormat, rebrickableAuth, asyncHandler(async (req, res) => {
   const setNum = req.params.setNum;
   if (!setNum) return res.status(400).json({ error: "paramètre 'setNum' manquant" });
   
+  // Export : pièces composant les minifigs du set
+  if (req.query.format) {
+    const figParts = await getRebrickableMinifigParts(setNum, req.apiKey);
+    return sendPartList(req, res, figParts.set_num, 'minifigs', figParts.parts);
+  }
+  
   const result = await getRebrickableSetMinifigs(setNum, req.apiKey);
   addCacheHeaders(res, 3600);
   res.json(result);
@@ -0,0 +1,137 @@
+/**
+ * Routes Recherche unifiée - toys_api v4.1.2
+ *
+ * Endpoints :
+ * - GET /search : Recherche multi-providers (q, type, providers, timeout, perProvider)
+ * - GET /search/providers : Liste des providers disponibles par type
+ *
+ * Les clés API des providers qui en nécessitent passent par le header
+ * X-Provider-Keys (JSON {"tmdb": "...", "rawg": "..."}, valeurs chiffrées
+ * si API_ENCRYPTION_KEY est configurée), à défaut par les clés du coffre serveur (/vault)
+ * pour les clients authentifiés par token.
+ */
+
+import { Router } from 'express';
+import {
+  asyncHandler,
+  addCacheHeaders,
+  extractProviderKeys,
+  canUseServerKeys,
+  validateSearchParams,
+  formatSearchResponse,
+  formatErrorResponse,
+  translateSearchDescriptions
+} from '../lib/utils/index.js';
+import {
+  SEARCH_PROVIDERS,
+  getSearchTypes,
+  getSearchProvidersByType
+} from '../lib/providers/registry.js';
+import { aggregateSearch } from '../lib/search/aggregator.js';
+import { SEARCH_DEFAULT_MAX_PER_PROVIDER } from '../lib/config.js';
+import { getStoredKeys } from '../lib/database/credential-vault.js';
+
+const router = Router();
+
+// Recherche unifiée: /search?q=...&type=construct_toy ou &providers=lego,playmobil
+router.get("/", validateSearchParams, asyncHandler(async (req, res) => {
+  const { q, lang, locale, max, autoTrad } = req.standardParams;
+  const type = req.query.type || null;
+  const requested = req.query.providers
+    ? String(req.query.providers).split(',').map(p => p.trim().toLowerCase()).filter(Boolean)
+    : null;
+
+  if (!type && !requested) {
+    return res.status(400).json(formatErrorResponse({
+      error: "Paramètre 'type' ou 'providers' requis",
+      code: 400,
+      provider: 'search',
+      details: { types: getSearchTypes(), hint: "Utilisez ?type=construct_toy ou ?providers=lego,playmobil" }
+    }));
+  }
+
+  if (type && !getSearchTypes().includes(type)) {
+    return res.status(400).json(formatErrorResponse({
+      error: `Type inconnu: ${type}`,
+      code: 400,
+      provider: 'search',
+      details: { types: getSearchTypes() }
+    }));
+  }
+
+  let providers;
+  if (requested) {
+    const unknown = requested.filter(p => !SEARCH_PROVIDERS[p]);
+    if (unknown.length > 0) {
+      return res.status(400).json(formatErrorResponse({
+        error: `Provider(s) inconnu(s): ${unknown.join(', ')}`,
+        code: 400,
+        provider: 'search',
+        details: { providers: Object.keys(SEARCH_PROVIDERS) }
+      }));
+    }
+    providers = type ? requested.filter(p => SEARCH_PROVIDERS[p].type === type) : requested;
+  } else {
+    providers = getSearchProvidersByType(type);
+  }
+
+  if (providers.length === 0) {
+    return res.status(400).json(formatErrorResponse({
+      error: `Aucun provider de type '${type}' dans la liste demandée`,
+      code: 400,
+      provider: 'search'
+    }));
+  }
+
+  const timeout = parseInt(req.query.timeout, 10) || undefined;
+  const maxPerProvider = Math.min(
+    parseInt(req.query.perProvider, 10) || SEARCH_DEFAULT_MAX_PER_PROVIDER,
+    max
+  );
+
+  const result = await aggregateSearch(q, {
+    providers,
+    lang,
+    locale,
+    maxPerProvider,
+    timeout,
+    keys: { ...(canUseServerKeys(req) ? getStoredKeys() : {}), ...extractProviderKeys(req) }
+  });
+
+  const items = result.results.slice(0, max);
+  const translatedItems = await translateSearchDescriptions(items, autoTrad, lang);
+
+  addCacheHeaders(res, 300);
+  res.json({
+    ...formatSearchResponse({
+      items: translatedItems,
+      provider: 'search',
+      query: q,
+      pagination: {
+        totalResults: result.total,
+        hasMore: result.total > items.length
+      },
+      meta: { lang, locale, autoTrad, type, maxPerProvider }
+    }),
+    providers: result.providers
+  });
+}));
+
+// Liste des providers: /search/providers?type=book
+router.get("/providers", (req, res) => {
+  const type = req.query.type || null;
+  const providers = Object.entries(SEARCH_PROVIDERS)
+    .filter(([, p]) => !type || p.type === type)
+    .map(([name, p]) => ({
+      name,
+      type: p.type,
+      source: p.source,
+      requiresKey: !!p.keyName && !p.optionalKey,
+      keyName: p.keyName,
+      defaultEnabled: !p.heavy
+    }));
+
+  res.json({ types: getSearchTypes(), count: providers.length, providers });
+});
+
+export default router;
@@ -0,0 +1,108 @@
+// routes/series.js - Catalogue des séries multi-providers (toys_api v4.1.2)
+import { Router } from 'express';
+import { asyncHandler, parseBoolean, extractApiKey } from '../lib/utils/index.js';
+import { isDatabaseConnected } from '../lib/database/index.js';
+import { searchSeries, SERIES_ITEM_SOURCES } from '../lib/database/series-catalog.js';
+import { loadSeries, getSeriesCompletion } from '../lib/database/series-completion.js';
+
+const router = Router();
+
+/**
+ * Vérifie la connexion DB (le catalogue est la table series)
+ */
+router.use((req, res, next) => {
+  if (!isDatabaseConnected()) {
+    return res.status(503).json({ error: 'Base de données non connectée' });
+  }
+  next();
+});
+
+/**
+ * GET /series/search
+ * Recherche dans les séries déjà récupérées chez les providers
+ *
+ * @query {string} q - Nom de la série (requis)
+ * @query {string} source - bedetheque, comicvine, mangadex, tmdb, tvdb, jikan_anime, jikan_manga
+ * @query {number} limit - Max résultats (défaut: 20, max: 100)
+ */
+router.get('/search', asyncHandler(async (req, res) => {
+  const q = (req.query.q || '').trim();
+  if (!q) {
+    return res.status(400).json({ error: "Paramètre 'q' requis" });
+  }
+
+  const source = req.query.source || null;
+  if (source && !SERIES_ITEM_SOURCES[source]) {
+    return res.status(400).json({
+      error: `Source inconnue: ${source}`,
+      sources: Object.keys(SERIES_ITEM_SOURCES)
+    });
+  }
+
+  const results = await searchSeries(q, {
+    source,
+    limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100)
+  });
+  res.json({ query: q, source, count: results.length, results });
+}));
+
+/**
+ * GET /series/:source/:id
+ * Série avec la liste ordonnée de ses volumes / tomes / issues / saisons (members)
+ * et les items du cache qui lui sont rattachés (items.series_id)
+ * Absente du catalogue : récupérée chez le provider
+ *
+ * @query {boolean} refresh - Récupérer à nouveau chez le provider
+ *
+ * @example
+ * curl http://localhost:3000/series/bedetheque/59
+ * curl http://localhost:3000/series/tmdb/1399
+ */
+router.get('/:source/:id', asyncHandler(async (req, res) => {
+  const { source, id } = req.params;
+
+  const series = await loadSeries(source, id, {
+    refresh: parseBoolean(req.query.refresh),
+    apiKey: extractApiKey(req)
+  });
+  if (!series) {
+    return res.status(404).json({ error: 'Série non trouvée', source, id });
+  }
+  res.json(series);
+}));
+
+/**
+ * GET|POST /series/:source/:id/completion
+ * Tomes / volumes / issues manquants par rapport à une liste possédée
+ * Les manquants portent couverture, ISBN et date de sortie ; announced: true
+ * pour un tome annoncé mais pas encore sorti (exclu du pourcentage)
+ *
+ * @query {string} owned - Numéros ou ISBN séparés par des virgules (GET)
+ * @body {Array<string|number>} owned - Numéros (« 3 », « T3 », « 1-5 ») ou ISBN (POST)
+ * @query {boolean} details - Récupérer les fiches album absentes du cache (défaut: true)
+ * @query {boolean} refresh - Récupérer à nouveau la série chez le provider
+ *
+ * @example
+ * curl "http://localhost:3000/series/bedetheque/59/completion?owned=1-10,12,9782012101333"
+ * curl -X POST -H "Content-Type: application/json" -d '{"owned":[1,2,3]}' \
+ *   http://localhost:3000/series/mangadex/a1c7c817-4e59-43b7-9365-09675a149a6f/completion
+ */
+const completionHandler = asyncHandler(async (req, res) => {
+  const { source, id } = req.params;
+  const owned = req.body?.owned ?? req.query.owned ?? [];
+
+  const result = await getSeriesCompletion(source, id, owned, {
+    refresh: parseBoolean(req.query.refresh),
+    fetchDetails: req.query.details === undefined || parseBoolean(req.query.details),
+    apiKey: extractApiKey(req)
+  });
+  if (!result) {
+    return res.status(404).json({ error: 'Série non trouvée', source, id });
+  }
+  res.json(result);
+});
+
+router.get('/:source/:id/completion', completionHandler);
+router.post('/:source/:id/completion', completionHandler);
+
+export default router;
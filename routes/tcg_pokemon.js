@@ -17,6 +17,7 @@ import {
 } from '../lib/utils/index.js';
 import { metrics } from '../lib/utils/state.js';
 import { createProviderCache, getCacheInfo } from '../lib/database/index.js';
+import { searchCacheParams } from '../lib/providers/registry.js';
 import { 
   searchPokemonCardsOfficial, 
   getPokemonCardDetailsOfficial
@@ -64,7 +65,7 @@ router.get("/search", validateSearchParams, asyncHandler(async (req, res) => {
 
       return await normalizePokemonSearchOfficial(rawData, { lang, autoTrad });
     },
-    { params: { lang, max, type: type || null, rarity: rarity || null }, forceRefresh: refresh }
+    { params: searchCacheParams('tcg_pokemon', req), forceRefresh: refresh }
   );
 
   addCacheHeaders(res, 300, getCacheInfo());
@@ -0,0 +1,138 @@
+// routes/tokens.js - Gestion des tokens clients (toys_api v4.1.2)
+import { Router } from 'express';
+import { asyncHandler, requireScope } from '../lib/utils/index.js';
+import { isDatabaseConnected } from '../lib/database/index.js';
+import {
+  TOKEN_SCOPES,
+  parseTokenFields,
+  createToken,
+  listTokens,
+  getToken,
+  updateToken,
+  deleteToken
+} from '../lib/database/api-tokens.js';
+
+const router = Router();
+
+/**
+ * GET /tokens/me
+ * Token utilisé pour la requête (scopes, quota, usage)
+ */
+router.get('/me', asyncHandler(async (req, res) => {
+  if (!req.apiToken) {
+    return res.status(401).json({ error: 'Aucun token fourni', hint: 'Utilisez le header Authorization: Bearer <token>' });
+  }
+
+  const { id, name, scopes, dailyQuota, userId, providerKeys } = req.apiToken;
+  const token = id && isDatabaseConnected() ? await getToken(id, { days: 7 }) : null;
+
+  res.json(token || { id, name, scopes, dailyQuota, userId, providerKeys: Object.keys(providerKeys) });
+}));
+
+/**
+ * Routes de gestion : scope admin et base de données requis
+ */
+router.use(requireScope('admin'), (req, res, next) => {
+  if (!isDatabaseConnected()) {
+    return res.status(503).json({ error: 'Base de données non connectée' });
+  }
+  next();
+});
+
+/**
+ * GET /tokens
+ * Liste les tokens avec leur usage du jour
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const tokens = await listTokens();
+  res.json({ total: tokens.length, scopes: TOKEN_SCOPES, tokens });
+}));
+
+/**
+ * POST /tokens
+ * Crée un token ; la valeur n'est renvoyée qu'une seule fois
+ *
+ * Body: {
+ *   name: "app-mobile",
+ *   scopes: ["read"],
+ *   dailyQuota: 5000,
+ *   userId: "alice",
+ *   providerKeys: { "tmdb": "...", "rawg": "..." }
+ * }
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const { fields, error } = parseTokenFields(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { token, info } = await createToken(fields);
+  res.status(201).json({
+    success: true,
+    token,
+    info,
+    usage: 'Utilisez cette valeur dans le header Authorization: Bearer <token> (elle ne sera plus affichée)'
+  });
+}));
+
+/**
+ * GET /tokens/:id
+ * Détail d'un token et usage des 30 derniers jours
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ error: 'ID de token invalide' });
+  }
+
+  const token = await getToken(id);
+  if (!token) {
+    return res.status(404).json({ error: 'Token non trouvé', id });
+  }
+
+  res.json(token);
+}));
+
+/**
+ * PATCH /tokens/:id
+ * Modifie un token (name, scopes, dailyQuota, active, userId, providerKeys)
+ * providerKeys remplace l'ensemble des clés stockées
+ */
+router.patch('/:id', asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ error: 'ID de token invalide' });
+  }
+
+  const { fields, error } = parseTokenFields(req.body || {}, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const token = await updateToken(id, fields);
+  if (!token) {
+    return res.status(404).json({ error: 'Token non trouvé', id });
+  }
+
+  res.json({ success: true, token });
+}));
+
+/**
+ * DELETE /tokens/:id
+ * Révoque définitivement un token (et son historique d'usage)
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ error: 'ID de token invalide' });
+  }
+
+  const deleted = await deleteToken(id);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Token non trouvé', id });
+  }
+
+  res.json({ success: true, id });
+}));
+
+export default router;
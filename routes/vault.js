@@ -0,0 +1,80 @@
+// routes/vault.js - Coffre des clés API des providers (toys_api v4.1.2)
+import { Router } from 'express';
+import { asyncHandler, requireScope } from '../lib/utils/index.js';
+import {
+  VAULT_PROVIDERS,
+  listCredentials,
+  setCredential,
+  testCredential,
+  deleteCredential
+} from '../lib/database/credential-vault.js';
+
+const router = Router();
+
+// Toutes les routes du coffre sont réservées au scope admin
+router.use(requireScope('admin'));
+
+/**
+ * Vérifie que le provider est géré par le coffre
+ */
+router.param('provider', (req, res, next, provider) => {
+  if (!VAULT_PROVIDERS[provider]) {
+    return res.status(404).json({
+      error: 'Provider inconnu',
+      provider,
+      providers: Object.keys(VAULT_PROVIDERS)
+    });
+  }
+  next();
+});
+
+/**
+ * GET /vault
+ * État des clés par provider (jamais les clés elles-mêmes)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  res.json({ providers: await listCredentials() });
+}));
+
+/**
+ * PUT /vault/:provider
+ * Enregistre ou remplace (rotation) la clé d'un provider
+ * La clé est testée avant d'être enregistrée, sauf test: false
+ *
+ * Body: { key: "...", test: true }
+ * IGDB: key = "clientId:clientSecret"
+ */
+router.put('/:provider', asyncHandler(async (req, res) => {
+  const { key, test } = req.body || {};
+
+  const result = await setCredential(req.params.provider, key, { test: test !== false });
+  res.json({ success: true, ...result });
+}));
+
+/**
+ * POST /vault/:provider/test
+ * Teste la clé stockée auprès du provider
+ */
+router.post('/:provider/test', asyncHandler(async (req, res) => {
+  const result = await testCredential(req.params.provider);
+  if (!result) {
+    return res.status(404).json({ error: 'Aucune clé stockée', provider: req.params.provider });
+  }
+
+  res.json(result);
+}));
+
+/**
+ * DELETE /vault/:provider
+ * Supprime la clé stockée (retour aux variables d'environnement / clés clients)
+ */
+router.delete('/:provider', asyncHandler(async (req, res) => {
+  const deleted = await deleteCredential(req.params.provider);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Aucune clé stockée', provider: req.params.provider });
+  }
+
+  res.json({ success: true, provider: req.params.provider });
+}));
+
+export default router;
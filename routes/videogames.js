@@ -37,6 +37,7 @@ import {
   JVC_DEFAULT_MAX
 } from '../lib/config.js';
 import { createProviderCache, getCacheInfo } from '../lib/database/cache-wrapper.js';
+import { searchCacheParams } from '../lib/providers/registry.js';
 
 // Caches PostgreSQL pour les jeux vidéo
 const rawgCache = createProviderCache('rawg', 'videogame');
@@ -86,7 +87,7 @@ rawgRouter.get("/search", validateSearchParams, rawgAuth, asyncHandler(async (re
         totalPages: rawResult.totalPages || Math.ceil((rawResult.count || 0) / effectiveMax)
       };
     },
-    { params: { page, max: effectiveMax, platforms, genres, ordering, dates, metacritic }, forceRefresh: refresh }
+    { params: searchCacheParams('rawg', req), forceRefresh: refresh }
   );
   
   // Traduire les descriptions si autoTrad est activé (après le cache)
@@ -173,7 +174,7 @@ igdbRouter.get("/search", validateSearchParams, igdbAuth, asyncHandler(async (re
       
       return { results: items, total: rawResult.count || items.length };
     },
-    { params: { max: effectiveMax, platforms, genres }, forceRefresh: refresh }
+    { params: searchCacheParams('igdb', req), forceRefresh: refresh }
   );
   
   // Traduire les descriptions si autoTrad est activé (après le cache)
@@ -258,7 +259,7 @@ jeuxvideoRouter.get("/search", validateSearchParams, asyncHandler(async (req, re
       
       return { results: items, total: items.length };
     },
-    { params: { max }, forceRefresh: refresh }
+    { params: searchCacheParams('jeuxvideo', req), forceRefresh: refresh }
   );
   
   addCacheHeaders(res, 3600, getCacheInfo());
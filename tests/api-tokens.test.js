@@ -0,0 +1,215 @@
+/**
+ * tests/api-tokens.test.js - Tests unitaires pour api-tokens.js et auth.js
+ *
+ * Tests de la résolution des tokens, des quotas et des scopes
+ * toys_api v4.1.2
+ */
+
+import { jest } from '@jest/globals';
+
+process.env.ADMIN_TOKEN = 'static-admin-token';
+
+// Mock des dépendances
+const mockQuery = jest.fn();
+const mockQueryOne = jest.fn();
+const mockQueryAll = jest.fn();
+const mockIsConnected = jest.fn(() => true);
+
+jest.unstable_mockModule('../lib/database/connection.js', () => ({
+  query: mockQuery,
+  queryOne: mockQueryOne,
+  queryAll: mockQueryAll,
+  isDatabaseConnected: mockIsConnected
+}));
+
+const {
+  hashToken,
+  parseTokenFields,
+  resolveToken,
+  recordTokenUsage,
+  resetTokenCache
+} = await import('../lib/database/api-tokens.js');
+const { authenticate, requireScope, requireUser } = await import('../lib/utils/auth.js');
+const { getUserId } = await import('../lib/utils/routeHelpers.js');
+const { extractApiKey, extractProviderKeys } = await import('../lib/utils/helpers.js');
+
+function tokenRow(overrides = {}) {
+  return {
+    id: 4,
+    name: 'app-mobile',
+    token_hash: hashToken('tk_valid'),
+    scopes: ['read'],
+    daily_quota: 2,
+    active: true,
+    user_id: 'alice',
+    provider_keys: { tmdb: 'tmdb-secret' },
+    ...overrides
+  };
+}
+
+/**
+ * Réponse Express minimale
+ */
+function mockResponse() {
+  const headers = {};
+  const res = {
+    statusCode: 200,
+    body: null,
+    set: (name, value) => { headers[name] = value; return res; },
+    get: (name) => headers[name],
+    status: (code) => { res.statusCode = code; return res; },
+    json: (body) => { res.body = body; return res; }
+  };
+  return res;
+}
+
+describe('ApiTokens', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTokenCache();
+    mockIsConnected.mockReturnValue(true);
+  });
+
+  describe('parseTokenFields', () => {
+    it('should validate scopes, quotas and provider keys', () => {
+      const { fields, error } = parseTokenFields({
+        name: ' app ',
+        scopes: ['read', 'read'],
+        dailyQuota: 1000,
+        providerKeys: { TMDB: 'abc' }
+      });
+
+      expect(error).toBeNull();
+      expect(fields).toEqual({ name: 'app', scopes: ['read'], daily_quota: 1000, provider_keys: '{"tmdb":"abc"}' });
+      expect(parseTokenFields({ name: 'x', scopes: ['root'] }).error).toContain('scopes');
+      expect(parseTokenFields({ name: 'x', dailyQuota: -1 }).error).toContain('dailyQuota');
+      expect(parseTokenFields({ dailyQuota: 0 }, { partial: true }).fields).toEqual({ daily_quota: null });
+    });
+  });
+
+  describe('resolveToken', () => {
+    it('should accept ADMIN_TOKEN without database', async () => {
+      mockIsConnected.mockReturnValue(false);
+
+      expect(await resolveToken('static-admin-token')).toMatchObject({ id: null, scopes: ['admin'] });
+      expect(await resolveToken('tk_valid')).toBeNull();
+      expect(mockQueryOne).not.toHaveBeenCalled();
+    });
+
+    it('should look tokens up by hash and cache the result', async () => {
+      mockQueryOne.mockResolvedValueOnce(tokenRow());
+
+      const principal = await resolveToken('tk_valid');
+      await resolveToken('tk_valid');
+
+      expect(mockQueryOne).toHaveBeenCalledTimes(1);
+      expect(mockQueryOne.mock.calls[0][1]).toEqual([hashToken('tk_valid')]);
+      expect(principal).toEqual({
+        id: 4,
+        name: 'app-mobile',
+        scopes: ['read'],
+        dailyQuota: 2,
+        userId: 'alice',
+        providerKeys: { tmdb: 'tmdb-secret' }
+      });
+    });
+  });
+
+  describe('recordTokenUsage', () => {
+    it('should flag requests beyond the daily quota', async () => {
+      mockQueryOne.mockResolvedValueOnce({ requests: 3, reset_in: 3600 });
+
+      const usage = await recordTokenUsage({ id: 4, dailyQuota: 2 });
+
+      expect(usage).toEqual({ requests: 3, limit: 2, remaining: 0, exceeded: true, resetIn: 3600 });
+      expect(await recordTokenUsage({ id: null, dailyQuota: null })).toBeNull();
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should let anonymous requests through in optional mode', async () => {
+      const next = jest.fn();
+      await authenticate({ headers: {}, path: '/lego/search' }, mockResponse(), next);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should reject unknown tokens', async () => {
+      mockQueryOne.mockResolvedValueOnce(null);
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticate({ headers: { authorization: 'Bearer tk_unknown' }, path: '/lego/search' }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should answer 429 with Retry-After once the quota is exhausted', async () => {
+      mockQueryOne
+        .mockResolvedValueOnce(tokenRow())
+        .mockResolvedValueOnce({ requests: 3, reset_in: 120 });
+      const req = { headers: { authorization: 'Bearer tk_valid' }, path: '/tmdb/search' };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(429);
+      expect(res.get('Retry-After')).toBe('120');
+      expect(res.get('X-Quota-Remaining')).toBe('0');
+    });
+  });
+
+  describe('requireScope', () => {
+    it('should require a token with the scope', () => {
+      const middleware = requireScope('admin');
+      const next = jest.fn();
+
+      const anonymous = mockResponse();
+      middleware({ headers: {} }, anonymous, next);
+      expect(anonymous.statusCode).toBe(401);
+
+      const reader = mockResponse();
+      middleware({ headers: {}, apiToken: { scopes: ['read'] } }, reader, next);
+      expect(reader.statusCode).toBe(403);
+
+      middleware({ headers: {}, apiToken: { scopes: ['admin'] } }, mockResponse(), next);
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('requireUser', () => {
+    it('should only trust the user of the token, never X-User-Id', () => {
+      const next = jest.fn();
+
+      const spoofed = { headers: { 'x-user-id': 'alice' } };
+      expect(getUserId(spoofed)).toBeNull();
+      const anonymous = mockResponse();
+      requireUser(spoofed, anonymous, next);
+      expect(anonymous.statusCode).toBe(401);
+
+      const admin = mockResponse();
+      requireUser({ headers: {}, apiToken: { scopes: ['admin'], userId: null } }, admin, next);
+      expect(admin.statusCode).toBe(401);
+
+      const req = { headers: { 'x-user-id': 'bob' }, apiToken: { scopes: ['read'], userId: 'alice' } };
+      requireUser(req, mockResponse(), next);
+      expect(getUserId(req)).toBe('alice');
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('provider keys carried by tokens', () => {
+    it('should fall back to the token key for the current route', () => {
+      const apiToken = { providerKeys: { tmdb: 'tmdb-secret', googlebooks: 'gb-secret' } };
+
+      expect(extractApiKey({ headers: {}, query: {}, baseUrl: '/tmdb_movies', apiToken })).toBe('tmdb-secret');
+      expect(extractApiKey({ headers: {}, query: {}, baseUrl: '/authors', apiToken })).toBe('gb-secret');
+      expect(extractApiKey({ headers: { 'x-api-key': 'client' }, query: {}, baseUrl: '/tmdb', apiToken })).toBe('client');
+      expect(extractApiKey({ headers: {}, query: {}, baseUrl: '/rawg', apiToken })).toBeNull();
+      expect(extractProviderKeys({ headers: { 'x-provider-keys': '{"tmdb":"client"}' }, apiToken }))
+        .toEqual({ tmdb: 'client', googlebooks: 'gb-secret' });
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * tests/authors.test.js - Tests unitaires pour search/authors.js
+ *
+ * Tests de la bibliographie multi-providers (fusion des œuvres, regroupement
+ * par série, rôles et identité de l'auteur)
+ * toys_api v4.1.2
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock des dépendances
+const mockQueryAll = jest.fn();
+
+jest.unstable_mockModule('../lib/database/connection.js', () => ({
+  queryAll: mockQueryAll,
+  isDatabaseConnected: () => true
+}));
+
+jest.unstable_mockModule('../lib/providers/registry.js', () => ({
+  SEARCH_PROVIDERS: {},
+  default: {}
+}));
+
+const mockBedetheque = jest.fn();
+const mockMangaDex = jest.fn();
+const mockGoogleBooks = jest.fn();
+const mockOpenLibrary = jest.fn();
+
+jest.unstable_mockModule('../lib/providers/bedetheque.js', () => ({ searchBedethequeByAuthor: mockBedetheque }));
+jest.unstable_mockModule('../lib/providers/mangadex.js', () => ({ searchMangaDexByAuthor: mockMangaDex }));
+jest.unstable_mockModule('../lib/providers/googlebooks.js', () => ({ searchGoogleBooksByAuthor: mockGoogleBooks }));
+jest.unstable_mockModule('../lib/providers/openlibrary.js', () => ({ searchOpenLibraryByAuthor: mockOpenLibrary }));
+
+const { resetProviderGuards, isProviderAvailable } = await import('../lib/utils/provider-guard.js');
+
+const {
+  mergeWorks,
+  groupBySeries,
+  openLibraryIdentity,
+  getAuthorBibliography
+} = await import('../lib/search/authors.js');
+
+const work = (fields) => ({
+  title: null, year: null, isbn: null, tome: null, image: null, url: null,
+  series: null, roles: [], sourceId: '1', detailUrl: null,
+  ...fields
+});
+
+describe('authors', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetProviderGuards();
+  });
+
+  it('should merge works by ISBN and by close title, keeping distinct tomes apart', () => {
+    const merged = mergeWorks([
+      { source: 'bedetheque', works: [
+        work({ title: 'Astérix le Gaulois', tome: 1, series: { name: 'Astérix', source: 'bedetheque', id: '59' }, roles: ['writer'], sourceId: '122' }),
+        work({ title: 'La Serpe d\'or', tome: 2, series: { name: 'Astérix', source: 'bedetheque', id: '59' }, roles: ['writer'], sourceId: '123' })
+      ] },
+      { source: 'googlebooks', works: [
+        work({ title: 'Le Petit Nicolas', isbn: '9782070612765', year: 1960, roles: ['author'], sourceId: 'g1' })
+      ] },
+      { source: 'openlibrary', works: [
+        work({ title: 'Asterix le Gaulois', year: 1961, isbn: '9782012101333', roles: ['author'], sourceId: 'OL1W' }),
+        work({ title: 'Petit Nicolas (Le)', isbn: '9782070612765', year: 1959, roles: ['author'], sourceId: 'OL2W' })
+      ] }
+    ]);
+
+    expect(merged).toHaveLength(3);
+    expect(merged[0]).toMatchObject({ title: 'Astérix le Gaulois', tome: 1, year: 1961, isbn: '9782012101333', roles: ['writer', 'author'] });
+    expect(merged[0].sources.map(s => `${s.source}:${s.sourceId}`)).toEqual(['bedetheque:122', 'openlibrary:OL1W']);
+    expect(merged[2]).toMatchObject({ title: 'Le Petit Nicolas', year: 1959 });
+    expect(merged[2].sources).toHaveLength(2);
+  });
+
+  it('should group works by series and attach titles starting with a series name', () => {
+    const { series, standalone } = groupBySeries([
+      { title: 'La Serpe d\'or', tome: 2, series: { name: 'Astérix', source: 'bedetheque', id: '59' }, roles: ['writer'], sources: [] },
+      { title: 'Astérix le Gaulois', tome: 1, series: { name: 'Astérix', source: 'bedetheque', id: '59' }, roles: ['writer'], sources: [] },
+      { title: 'Astérix chez les Belges', tome: null, year: 1979, series: null, roles: ['author'], sources: [] },
+      { title: 'Oumpah-Pah', series: null, roles: ['author'], sources: [] }
+    ]);
+
+    expect(series).toHaveLength(1);
+    expect(series[0]).toMatchObject({ name: 'Astérix', sources: [{ source: 'bedetheque', id: '59' }], roles: ['writer', 'author'] });
+    expect(series[0].works.map(w => w.title)).toEqual(['Astérix le Gaulois', 'La Serpe d\'or', 'Astérix chez les Belges']);
+    expect(standalone.map(w => w.title)).toEqual(['Oumpah-Pah']);
+  });
+
+  it('should pick the Open Library author keys matching the searched name', () => {
+    const identity = openLibraryIdentity('René Goscinny', [
+      { authorKeys: ['OL1A', 'OL9A'], authors: ['René Goscinny', 'Albert Uderzo'] },
+      { authorKeys: ['OL2A'], authors: ['R. Goscinny'] },
+      { authorKeys: ['OL1A'], authors: ['Rene Goscinny'] }
+    ]);
+
+    expect(identity).toEqual({ name: 'René Goscinny', ids: ['OL1A'], url: 'https://openlibrary.org/authors/OL1A' });
+    expect(openLibraryIdentity('Goscinny', [{ authorKeys: ['OL9A'], authors: ['Albert Uderzo'] }])).toBeNull();
+  });
+
+  it('should build the bibliography with cached Bedetheque roles and skip keyed providers without key', async () => {
+    mockBedetheque.mockResolvedValue({
+      author: 'Goscinny, René', authorId: 71, authorUrl: 'https://www.bedetheque.com/auteur-71-BD-Goscinny-Rene.html',
+      albums: [{ id: 122, title: 'Astérix le Gaulois', tome: 1, serie: { id: 59, name: 'Astérix' } }]
+    });
+    mockMangaDex.mockResolvedValue({ author: null, authorId: null, manga: [] });
+    mockOpenLibrary.mockResolvedValue({
+      books: [{ id: 'OL1W', title: 'Astérix le Gaulois', isbn: '2-01-210133-4', releaseDate: '1961', authorKeys: ['OL1A'], authors: ['René Goscinny'] }]
+    });
+    mockQueryAll.mockResolvedValue([
+      { album_id: '122', authors: [{ id: 71, role: 'Scénario', roleEn: 'writer' }, { id: 72, role: 'Dessin', roleEn: 'artist' }] }
+    ]);
+
+    const result = await getAuthorBibliography('René Goscinny');
+
+    expect(mockGoogleBooks).not.toHaveBeenCalled();
+    expect(result.providers.googlebooks.status).toBe('skipped-no-key');
+    expect(result.providers.bedetheque).toMatchObject({ status: 'ok', count: 1 });
+    expect(mockQueryAll.mock.calls[0][1]).toEqual([['122']]);
+    expect(result.identity).toEqual({
+      name: 'René Goscinny',
+      aliases: ['Goscinny, René', 'René Goscinny'],
+      ids: { openlibrary: ['OL1A'], mangadex: null, bedetheque: 71 },
+      links: {
+        bedetheque: 'https://www.bedetheque.com/auteur-71-BD-Goscinny-Rene.html',
+        openlibrary: 'https://openlibrary.org/authors/OL1A'
+      }
+    });
+    expect(result.counts).toEqual({ works: 1, series: 1, standalone: 0 });
+    expect(result.roles).toEqual(['writer', 'author']);
+    expect(result.series[0].works[0]).toMatchObject({ isbn: '9782012101333', year: 1961 });
+    expect(result.series[0].works[0].sources.map(s => s.source)).toEqual(['bedetheque', 'openlibrary']);
+  });
+
+  it('should report provider errors without failing the bibliography', async () => {
+    mockMangaDex.mockRejectedValue(new Error('HTTP 503'));
+    mockGoogleBooks.mockResolvedValue({ books: [{ id: 'g1', title: 'Frieren', isbn: null }] });
+
+    const result = await getAuthorBibliography('Yamada', { providers: ['mangadex', 'googlebooks'], keys: { googlebooks: 'k' } });
+
+    expect(mockGoogleBooks).toHaveBeenCalledWith('Yamada', 'k', { maxResults: 20 });
+    expect(result.providers.mangadex).toMatchObject({ status: 'error', error: 'HTTP 503' });
+    expect(result.standalone.map(w => w.title)).toEqual(['Frieren']);
+    expect(result.identity.ids).toEqual({ openlibrary: [], mangadex: null, bedetheque: null });
+  });
+
+  it('should leave the circuit breaker to the upstream HTTP calls', async () => {
+    mockMangaDex.mockRejectedValue(new Error('HTTP 503'));
+    for (let i = 0; i < 6; i++) await getAuthorBibliography('Yamada', { providers: ['mangadex'] });
+
+    expect(mockMangaDex).toHaveBeenCalledTimes(6);
+    expect(isProviderAvailable('mangadex').available).toBe(true);
+  });
+});
@@ -15,7 +15,25 @@ const mockIsCacheEnabled = jest.fn(() => true);
 jest.unstable_mockModule('../lib/database/connection.js', () => ({
   query: mockQuery,
   queryAll: mockQueryAll,
-  isCacheEnabled: mockIsCacheEnabled
+  queryOne: jest.fn(),
+  isCacheEnabled: mockIsCacheEnabled,
+  isDatabaseConnected: () => true
+}));
+
+// Registre de détails et repository (utilisés par le refresh)
+const mockFetchLego = jest.fn();
+const mockFetchTmdb = jest.fn();
+const mockSaveItem = jest.fn();
+
+jest.unstable_mockModule('../lib/providers/registry.js', () => ({
+  DETAIL_PROVIDERS: {
+    lego: { keyName: null, fetch: mockFetchLego },
+    tmdb_movies: { keyName: 'tmdb', fetch: mockFetchTmdb }
+  }
+}));
+
+jest.unstable_mockModule('../lib/database/repository.js', () => ({
+  saveItem: mockSaveItem
 }));
 
 const { 
@@ -122,6 +140,60 @@ describe('BackgroundJobs', () => {
       expect(result).toHaveProperty('startTime');
       expect(result).toHaveProperty('duration');
     });
+
+    it('should refresh expired items through the detail registry', async () => {
+      mockIsCacheEnabled.mockReturnValue(true);
+      mockQueryAll.mockResolvedValue([
+        { id: 'lego:42217', source: 'lego', source_id: '42217', type: 'construct_toy', name: 'Old', fetch_count: 5 },
+        { id: 'amazon:B0X:fr', source: 'amazon', source_id: 'B0X:fr', type: 'product', name: 'X', fetch_count: 3 },
+        { id: 'tmdb_movies:603', source: 'tmdb_movies', source_id: '603', type: 'movie', name: 'Matrix', fetch_count: 4 }
+      ]);
+      mockQuery.mockResolvedValue({ total_items: 3, expired_items: 3 });
+      mockFetchLego.mockResolvedValue({ name: 'Mandalorian Fang Fighter' });
+      mockSaveItem.mockResolvedValue(true);
+      
+      const result = await runNow();
+      
+      expect(mockFetchLego).toHaveBeenCalledWith('42217', expect.objectContaining({ type: 'construct_toy' }));
+      expect(mockSaveItem).toHaveBeenCalledWith(
+        'lego', '42217', 'construct_toy', 'Mandalorian Fang Fighter',
+        { name: 'Mandalorian Fang Fighter' }, { entryType: 'detail' }
+      );
+      // amazon: pas dans le registre / tmdb: pas de clé serveur
+      expect(mockFetchTmdb).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ refreshed: 1, failed: 0, ignored: 2 });
+
+      // Les items ignorés sortent de la fenêtre pour ne pas bloquer les cycles suivants
+      const skipped = mockQuery.mock.calls
+        .filter(([sql]) => sql.includes("NOW() - INTERVAL '1 hour' * $2"))
+        .map(([, params]) => params[0]);
+      expect(skipped).toEqual(['amazon:B0X:fr', 'tmdb_movies:603']);
+
+      const { sources } = getJobStats();
+      expect(sources.lego.refreshed).toBeGreaterThanOrEqual(1);
+      expect(sources.amazon.ignored).toBeGreaterThanOrEqual(1);
+    });
+
+    it('should count failures per source', async () => {
+      const expiresAt = new Date(Date.now() - 3600000);
+      mockIsCacheEnabled.mockReturnValue(true);
+      mockQueryAll.mockResolvedValue([
+        { id: 'lego:10300', source: 'lego', source_id: '10300', type: 'construct_toy', name: 'DeLorean', fetch_count: 2, expires_at: expiresAt }
+      ]);
+      mockQuery.mockResolvedValue({});
+      mockFetchLego.mockRejectedValue(new Error('HTTP 503'));
+      
+      const result = await runNow();
+      
+      expect(result.failed).toBe(1);
+      expect(mockSaveItem).not.toHaveBeenCalled();
+      expect(getJobStats().sources.lego.lastError).toBe('HTTP 503');
+
+      // Expiration d'origine rendue, puis item exclu du cycle suivant (backoff)
+      expect(mockQuery).toHaveBeenCalledWith('UPDATE items SET expires_at = $2 WHERE id = $1', ['lego:10300', expiresAt]);
+      await runNow();
+      expect(mockQueryAll.mock.calls.at(-1)[1][2]).toContain('lego:10300');
+    });
   });
 
   describe('getHealthStats', () => {
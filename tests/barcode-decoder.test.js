@@ -0,0 +1,116 @@
+/**
+ * tests/barcode-decoder.test.js - Tests unitaires pour barcode-decoder.js
+ *
+ * Tests du décodage EAN/UPC sur images synthétiques (rotation, flou, éclairage)
+ * et de l'extraction des codes contenus dans un QR code
+ * toys_api v4.1.2
+ */
+
+import sharp from 'sharp';
+import {
+  isValidGtin,
+  extractCodeFromText,
+  decodeBarcodeImage
+} from '../lib/utils/barcode-decoder.js';
+
+const L_WIDTHS = ['3211', '2221', '2122', '1411', '1132', '1231', '1114', '1312', '1213', '3112'];
+const PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+/**
+ * Modules ('1' = barre) d'un EAN-13 ou d'un EAN-8
+ */
+function eanModules(code) {
+  const digit = (widths, bar) => [...widths].map((w, i) => ((i % 2 === 0) === bar ? '1' : '0').repeat(Number(w))).join('');
+  const half = code.length === 13 ? 6 : 4;
+  const left = code.length === 13 ? code.slice(1, 7) : code.slice(0, 4);
+  const right = code.slice(-half);
+  const parity = code.length === 13 ? PARITY[Number(code[0])] : 'LLLL';
+
+  return '101'
+    + [...left].map((d, i) => digit(parity[i] === 'L' ? L_WIDTHS[d] : [...L_WIDTHS[d]].reverse().join(''), false)).join('')
+    + '01010'
+    + [...right].map(d => digit(L_WIDTHS[d], true)).join('')
+    + '101';
+}
+
+/**
+ * Image d'un code-barres (barres sombres sur fond clair, zones de silence)
+ */
+function barcodeImage(code, { moduleWidth = 3, height = 100, margin = 40 } = {}) {
+  const modules = eanModules(code);
+  const width = modules.length * moduleWidth + margin * 2;
+  const raw = Buffer.alloc(width * (height + margin * 2), 235);
+
+  for (let y = margin; y < margin + height; y++) {
+    for (let x = 0; x < modules.length * moduleWidth; x++) {
+      if (modules[Math.floor(x / moduleWidth)] === '1') raw[y * width + margin + x] = 30;
+    }
+  }
+  return sharp(raw, { raw: { width, height: height + margin * 2, channels: 1 } });
+}
+
+describe('barcode-decoder', () => {
+  it('should validate GTIN check digits', () => {
+    expect(isValidGtin('5702016370973')).toBe(true);
+    expect(isValidGtin('5702016370974')).toBe(false);
+    expect(isValidGtin('96385074')).toBe(true);
+    expect(isValidGtin('673419267472')).toBe(true);
+    expect(isValidGtin('12345')).toBe(false);
+  });
+
+  it('should decode EAN-13, UPC-A and EAN-8 images', async () => {
+    const ean13 = await decodeBarcodeImage(await barcodeImage('5702016370973').png().toBuffer());
+    expect(ean13[0]).toMatchObject({ format: 'EAN-13', text: '5702016370973', code: '5702016370973' });
+
+    const upc = await decodeBarcodeImage(await barcodeImage('0673419267472').png().toBuffer());
+    expect(upc[0]).toMatchObject({ format: 'UPC-A', code: '673419267472' });
+
+    const ean8 = await decodeBarcodeImage(await barcodeImage('96385074').png().toBuffer());
+    expect(ean8[0]).toMatchObject({ format: 'EAN-8', code: '96385074' });
+  });
+
+  it('should read rotated, blurred and compressed photos', async () => {
+    const portrait = await barcodeImage('9782070612888', { moduleWidth: 2 }).rotate(90).blur(1).jpeg({ quality: 50 }).toBuffer();
+    expect((await decodeBarcodeImage(portrait))[0]).toMatchObject({ code: '9782070612888' });
+
+    const upsideDown = await barcodeImage('5702016370973').rotate(180).jpeg({ quality: 60 }).toBuffer();
+    expect((await decodeBarcodeImage(upsideDown))[0]).toMatchObject({ code: '5702016370973' });
+
+    // Léger angle et éclairage inégal (assombri à gauche)
+    const { data, info } = await barcodeImage('5702016370973').rotate(8, { background: '#ebebeb' }).raw().toBuffer({ resolveWithObject: true });
+    for (let i = 0; i < data.length; i++) {
+      data[i] = data[i] * (0.55 + (0.45 * (i % info.width)) / info.width);
+    }
+    const tilted = await sharp(data, { raw: info }).jpeg({ quality: 60 }).toBuffer();
+    expect((await decodeBarcodeImage(tilted))[0]).toMatchObject({ code: '5702016370973' });
+  });
+
+  it('should flatten transparency and downscale large photos', async () => {
+    // Barres opaques sur fond transparent
+    const { data, info } = await barcodeImage('5702016370973').toColourspace('srgb').ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    for (let i = 0; i < data.length; i += info.channels) {
+      if (data[i] > 128) data[i + info.channels - 1] = 0;
+    }
+    const transparent = await sharp(data, { raw: info }).png().toBuffer();
+    expect((await decodeBarcodeImage(transparent))[0]).toMatchObject({ format: 'EAN-13', code: '5702016370973' });
+
+    const large = await barcodeImage('9782070612888', { moduleWidth: 12, height: 400, margin: 500 }).png().toBuffer();
+    expect((await decodeBarcodeImage(large))[0]).toMatchObject({ code: '9782070612888' });
+  });
+
+  it('should return nothing for images without a code and reject invalid files', async () => {
+    const blank = await sharp({ create: { width: 300, height: 200, channels: 3, background: '#888' } }).png().toBuffer();
+    expect(await decodeBarcodeImage(blank)).toEqual([]);
+    await expect(decodeBarcodeImage(Buffer.from('not an image'))).rejects.toMatchObject({ status: 400 });
+    await expect(decodeBarcodeImage(await sharp(blank).webp().toBuffer())).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('should extract searchable codes from QR code contents', () => {
+    expect(extractCodeFromText('https://id.gs1.org/01/05702016370973')).toBe('5702016370973');
+    expect(extractCodeFromText('https://example.com/01/05702016370973/21/ABC?x=1')).toBe('5702016370973');
+    expect(extractCodeFromText('ISBN 978-2-07-061288-8')).toBe('9782070612888');
+    expect(extractCodeFromText('2-07-061288-0')).toBe('2070612880');
+    expect(extractCodeFromText('https://www.lego.com/fr-fr/product/75192')).toBeNull();
+    expect(extractCodeFromText('5702016370974')).toBeNull();
+  });
+});
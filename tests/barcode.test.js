@@ -0,0 +1,54 @@
+/**
+ * tests/barcode.test.js - Tests unitaires pour barcode.js
+ *
+ * Tests des codes équivalents et de la détection des jouets de construction
+ * toys_api v4.1.2
+ */
+
+import {
+  detectBarcodeType,
+  barcodeCandidates,
+  detectConstructToyBrand
+} from '../lib/providers/barcode.js';
+
+describe('barcode', () => {
+  it('should list equivalent codes for the items lookup', () => {
+    expect(barcodeCandidates(detectBarcodeType('673419267472'))).toEqual(['673419267472', '0673419267472']);
+    expect(barcodeCandidates(detectBarcodeType('0673419267472'))).toEqual(['0673419267472', '673419267472']);
+    expect(barcodeCandidates(detectBarcodeType('2070612880'))).toEqual(['2070612880', '9782070612888']);
+  });
+
+  it('should detect LEGO sets without taking piece counts for set numbers', () => {
+    expect(detectConstructToyBrand({
+      brand: 'LEGO',
+      title: 'LEGO Star Wars Millennium Falcon 75192 Building Kit (7541 Pieces)'
+    })).toEqual({ brand: 'LEGO', reference: '75192', sources: ['lego', 'rebrickable'] });
+
+    expect(detectConstructToyBrand({
+      brand: '',
+      title: 'Lego Technic 1200 pcs Bugatti Chiron 42083-1'
+    })).toMatchObject({ brand: 'LEGO', reference: '42083' });
+  });
+
+  it('should not take a year in the title for a set number', () => {
+    expect(detectConstructToyBrand({ brand: 'LEGO', title: 'LEGO Star Wars Advent Calendar 2019 75245' }))
+      .toMatchObject({ brand: 'LEGO', reference: '75245' });
+    expect(detectConstructToyBrand({ brand: 'Playmobil', title: 'Playmobil Christmas 2021' }))
+      .toMatchObject({ brand: 'Playmobil', reference: null });
+  });
+
+  it('should detect Playmobil and Mega products', () => {
+    expect(detectConstructToyBrand({ brand: 'Playmobil', title: 'PLAYMOBIL 71148 Salle de classe, 4 ans et +' }))
+      .toEqual({ brand: 'Playmobil', reference: '71148', sources: ['playmobil', 'klickypedia'] });
+
+    expect(detectConstructToyBrand({ brand: 'Mega Bloks', title: 'MEGA Pokémon Pikachu en mouvement hgc23' }))
+      .toEqual({ brand: 'Mega', reference: 'HGC23', sources: ['mega'] });
+  });
+
+  it('should ignore other brands and keep unknown references', () => {
+    expect(detectConstructToyBrand({ brand: 'Mattel', title: 'Barbie Dreamhouse 2023' })).toBeNull();
+    expect(detectConstructToyBrand({ brand: 'Nintendo', title: 'Zelda Tears of the Kingdom Switch' })).toBeNull();
+    expect(detectConstructToyBrand({ brand: 'LEGO', title: 'LEGO Classic brick box' }))
+      .toMatchObject({ brand: 'LEGO', reference: null });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * tests/bedetheque.test.js - Tests hors ligne du provider Bedetheque
+ *
+ * Réponses AJAX et pages FlareSolverr rejouées depuis tests/fixtures/http
+ * toys_api v4.1.2
+ */
+
+import { getFixtureMode, setFixtureMode } from '../lib/utils/http-fixtures.js';
+import {
+  searchBedetheque,
+  getBedethequeSerieById,
+  searchBedethequeNormalized,
+  getBedethequeSerieByIdNormalized
+} from '../lib/providers/bedetheque.js';
+
+describe('Bedetheque', () => {
+  beforeAll(() => {
+    if (getFixtureMode() !== 'record') setFixtureMode('replay');
+  });
+
+  describe('searchBedetheque', () => {
+    it('should keep only series from the AJAX search', async () => {
+      const result = await searchBedetheque('blacksad');
+
+      expect(result.results.map(r => r.id)).toEqual([21373, 58771]);
+      expect(result.results[0]).toMatchObject({
+        type: 'serie',
+        name: 'Blacksad',
+        url: 'https://www.bedetheque.com/serie-21373-BD-Blacksad.html'
+      });
+    });
+
+    it('should normalize series results', async () => {
+      const results = await searchBedethequeNormalized('blacksad', { max: 1 });
+
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({ source: 'bedetheque', sourceId: '21373', name: 'Blacksad' });
+    });
+  });
+
+  describe('getBedethequeSerieById', () => {
+    it('should parse the series page', async () => {
+      const serie = await getBedethequeSerieById(21373);
+
+      expect(serie).toMatchObject({
+        id: 21373,
+        title: 'Blacksad',
+        authors: ['Díaz Canales, Juan', 'Guarnido, Juanjo'],
+        genres: ['Polar'],
+        status: 'En cours',
+        albumCount: 2,
+        image: ['https://www.bedetheque.com/media/Couvertures/Couv_21373.jpg'],
+        url: 'https://www.bedetheque.com/serie-21373-BD-Blacksad.html'
+      });
+      expect(serie.albums[1]).toMatchObject({ id: 21374, title: 'Arctic-Nation' });
+    });
+
+    it('should normalize the series detail', async () => {
+      const serie = await getBedethequeSerieByIdNormalized(21373);
+
+      expect(serie).toMatchObject({
+        source: 'bedetheque',
+        sourceId: '21373',
+        name: 'Blacksad',
+        language: 'fr'
+      });
+    });
+  });
+});
@@ -12,20 +12,28 @@ const mockGetItem = jest.fn();
 const mockSaveItem = jest.fn();
 const mockGetCachedSearch = jest.fn();
 const mockSaveSearchResults = jest.fn();
+const mockSearchLocal = jest.fn();
 
 jest.unstable_mockModule('../lib/database/repository.js', () => ({
   getItem: mockGetItem,
   saveItem: mockSaveItem,
   getCachedSearch: mockGetCachedSearch,
   saveSearchResults: mockSaveSearchResults,
+  searchLocal: mockSearchLocal,
   CACHE_TTL: { lego: 7776000, default: 2592000 }
 }));
 
 jest.unstable_mockModule('../lib/database/connection.js', () => ({
   isCacheEnabled: jest.fn(() => true),
+  isDatabaseConnected: jest.fn(() => true),
+  DB_ENABLED: true,
   CACHE_MODE: 'hybrid'
 }));
 
+jest.unstable_mockModule('../lib/database/series-catalog.js', () => ({
+  recordSeries: jest.fn()
+}));
+
 const { createProviderCache, getCacheInfo, resetCacheInfo } = await import('../lib/database/cache-wrapper.js');
 
 describe('CacheWrapper', () => {
@@ -41,7 +49,7 @@ describe('CacheWrapper', () => {
       expect(legoCache).toBeDefined();
       expect(typeof legoCache.getWithCache).toBe('function');
       expect(typeof legoCache.searchWithCache).toBe('function');
-      expect(typeof legoCache.invalidate).toBe('function');
+      expect(typeof legoCache.searchLocal).toBe('function');
     });
 
     it('should create different instances for different providers', () => {
@@ -57,17 +65,15 @@ describe('CacheWrapper', () => {
       resetCacheInfo();
       const info = getCacheInfo();
       
-      expect(info.status).toBe('MISS');
+      expect(info).toEqual({ hit: false, source: null, duration: 0 });
     });
   });
 
   describe('getWithCache', () => {
     it('should return cached data on HIT', async () => {
       const cachedData = { name: 'Test LEGO Set', year: 2024 };
-      mockGetItem.mockResolvedValue({
-        data: cachedData,
-        expires_at: new Date(Date.now() + 86400000) // Valid for 1 day
-      });
+      // getItem renvoie directement les données d'une entrée valide
+      mockGetItem.mockResolvedValue(cachedData);
 
       const legoCache = createProviderCache('lego', 'construct_toy');
       const fetchFn = jest.fn().mockResolvedValue({ name: 'Fresh Data' });
@@ -76,6 +82,8 @@ describe('CacheWrapper', () => {
       
       expect(result).toEqual(cachedData);
       expect(fetchFn).not.toHaveBeenCalled();
+      expect(mockGetItem).toHaveBeenCalledWith('lego', '42217', { entryType: 'detail' });
+      expect(getCacheInfo()).toMatchObject({ hit: true, source: 'cache' });
     });
 
     it('should fetch fresh data on MISS', async () => {
@@ -140,12 +148,15 @@ describe('CacheWrapper', () => {
     });
   });
 
-  describe('invalidate', () => {
-    it('should invalidate cached item', async () => {
+  describe('searchLocal', () => {
+    it('should search the local database with the provider filters', async () => {
+      mockSearchLocal.mockResolvedValue([{ name: 'Set 1' }]);
       const legoCache = createProviderCache('lego', 'construct_toy');
-      
-      // invalidate devrait appeler une fonction de suppression
-      await expect(legoCache.invalidate('42217')).resolves.not.toThrow();
+
+      const result = await legoCache.searchLocal('falcon', { limit: 5 });
+
+      expect(mockSearchLocal).toHaveBeenCalledWith({ source: 'lego', type: 'construct_toy', query: 'falcon', limit: 5, offset: 0 });
+      expect(result).toMatchObject({ results: [{ name: 'Set 1' }], total: 1, source: 'local' });
     });
   });
 });
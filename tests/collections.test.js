@@ -0,0 +1,214 @@
+/**
+ * tests/collections.test.js - Tests unitaires pour collections.js
+ *
+ * Tests de la résolution des items (detailUrl, code-barres) et des entrées
+ * toys_api v4.1.2
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock des dépendances
+const mockQuery = jest.fn();
+const mockQueryOne = jest.fn();
+const mockQueryAll = jest.fn();
+
+jest.unstable_mockModule('../lib/database/connection.js', () => ({
+  query: mockQuery,
+  queryOne: mockQueryOne,
+  queryAll: mockQueryAll,
+  isDatabaseConnected: () => true
+}));
+
+const mockSaveItem = jest.fn();
+
+jest.unstable_mockModule('../lib/database/repository.js', () => ({
+  generateItemId: (source, sourceId) => `${source}:${sourceId}`,
+  saveItem: mockSaveItem
+}));
+
+const mockFetchLego = jest.fn();
+const mockFetchTmdb = jest.fn();
+const mockFetchBarcode = jest.fn();
+
+jest.unstable_mockModule('../lib/providers/registry.js', () => ({
+  SEARCH_PROVIDERS: {
+    lego: { type: 'construct_toy', source: 'lego', route: 'lego', detailType: 'product' },
+    tmdb_movies: { type: 'movie', source: 'tmdb', route: 'tmdb_movies', detailType: 'movie' }
+  },
+  DETAIL_PROVIDERS: {
+    lego: { keyName: null, fetch: mockFetchLego },
+    tmdb: { keyName: 'tmdb_test', fetch: mockFetchTmdb },
+    tmdb_movies: { keyName: 'tmdb_test', fetch: mockFetchTmdb },
+    barcode: { keyName: null, fetch: mockFetchBarcode }
+  }
+}));
+
+jest.unstable_mockModule('../lib/providers/barcode.js', () => ({
+  detectBarcodeType: (code) => /^\d{13}$/.test(code)
+    ? { type: 'EAN-13', code, category: 'general' }
+    : { type: 'unknown', code, category: 'unknown' },
+  barcodeCandidates: ({ code }) => [code]
+}));
+
+const {
+  resolveDetailUrl,
+  parseEntryFields,
+  ensureItem,
+  addCollectionEntry,
+  updateCollectionEntry
+} = await import('../lib/database/collections.js');
+
+function entryRow(overrides = {}) {
+  return {
+    id: 1,
+    user_id: 'default',
+    item_id: 'lego:42217',
+    quantity: 1,
+    condition: null,
+    completeness: null,
+    purchase_price: null,
+    purchase_currency: null,
+    purchase_date: null,
+    notes: null,
+    source: 'lego',
+    source_id: '42217',
+    type: 'construct_toy',
+    name: 'DeLorean',
+    ...overrides
+  };
+}
+
+describe('Collections', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQuery.mockResolvedValue({ rowCount: 1, rows: [] });
+    mockSaveItem.mockResolvedValue(true);
+  });
+
+  describe('resolveDetailUrl', () => {
+    it('should resolve route detail URLs to cache keys', () => {
+      expect(resolveDetailUrl('/lego/details?detailUrl=%2Flego%2Fproduct%2F42217'))
+        .toEqual({ source: 'lego', sourceId: '42217', type: 'construct_toy' });
+      expect(resolveDetailUrl('/tmdb_movies/details?detailUrl=%2Ftmdb_movies%2Fmovie%2F603'))
+        .toEqual({ source: 'tmdb_movies', sourceId: '603', type: 'movie' });
+    });
+
+    it('should prefix typed keys and accept internal paths', () => {
+      expect(resolveDetailUrl('/tmdb/movie/603')).toEqual({ source: 'tmdb', sourceId: 'movie_603', type: 'movie' });
+    });
+
+    it('should return null for unknown providers', () => {
+      expect(resolveDetailUrl('/unknown/details?detailUrl=%2Funknown%2Fitem%2F1')).toBeNull();
+      expect(resolveDetailUrl('')).toBeNull();
+    });
+  });
+
+  describe('parseEntryFields', () => {
+    it('should map API fields to columns', () => {
+      const { fields, error } = parseEntryFields({
+        quantity: '2',
+        condition: 'mint',
+        purchasePrice: '49.99',
+        purchaseCurrency: 'eur',
+        purchaseDate: '2024-12-24',
+        notes: ''
+      });
+
+      expect(error).toBeNull();
+      expect(fields).toEqual({
+        quantity: 2,
+        condition: 'mint',
+        purchase_price: 49.99,
+        purchase_currency: 'EUR',
+        purchase_date: '2024-12-24',
+        notes: null
+      });
+    });
+
+    it('should reject invalid values', () => {
+      expect(parseEntryFields({ quantity: 0 }).error).toContain('quantity');
+      expect(parseEntryFields({ condition: 'broken' }).error).toContain('condition');
+      expect(parseEntryFields({ purchaseDate: '24/12/2024' }).error).toContain('purchaseDate');
+    });
+  });
+
+  describe('ensureItem', () => {
+    it('should reuse a valid detail entry without fetching', async () => {
+      mockQueryOne.mockResolvedValueOnce({ id: 'lego:42217', entry_type: 'detail', valid: true });
+
+      const result = await ensureItem('lego', '42217');
+
+      expect(result).toEqual({ itemId: 'lego:42217', fetched: false });
+      expect(mockFetchLego).not.toHaveBeenCalled();
+    });
+
+    it('should fetch and save missing items as detail entries', async () => {
+      mockQueryOne.mockResolvedValueOnce(null);
+      mockFetchLego.mockResolvedValueOnce({ name: 'DeLorean' });
+
+      const result = await ensureItem('lego', '42217', { type: 'construct_toy' });
+
+      expect(result).toEqual({ itemId: 'lego:42217', fetched: true });
+      expect(mockSaveItem).toHaveBeenCalledWith('lego', '42217', 'construct_toy', 'DeLorean', { name: 'DeLorean' }, { entryType: 'detail' });
+    });
+
+    it('should keep cached data when the refresh fails', async () => {
+      mockQueryOne.mockResolvedValueOnce({ id: 'lego:42217', type: 'construct_toy', entry_type: 'search', valid: true });
+      mockFetchLego.mockRejectedValueOnce(new Error('HTTP 503'));
+
+      const result = await ensureItem('lego', '42217');
+
+      expect(result).toMatchObject({ itemId: 'lego:42217', fetched: false, warning: expect.stringContaining('HTTP 503') });
+      expect(mockSaveItem).not.toHaveBeenCalled();
+    });
+
+    it('should require an API key for keyed providers', async () => {
+      mockQueryOne.mockResolvedValueOnce(null);
+
+      await expect(ensureItem('tmdb_movies', '603')).rejects.toMatchObject({ status: 401 });
+      expect(mockFetchTmdb).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('addCollectionEntry', () => {
+    it('should prefer cached items matching the barcode', async () => {
+      mockQueryOne
+        .mockResolvedValueOnce({ source: 'lego', source_id: '10300', type: 'construct_toy' }) // ean
+        .mockResolvedValueOnce({ id: 'lego:10300', entry_type: 'detail', valid: true })       // ensureItem
+        .mockResolvedValueOnce({ id: 7 })                                                     // INSERT
+        .mockResolvedValueOnce(entryRow({ id: 7, item_id: 'lego:10300', quantity: 2 }));      // lecture
+
+      const result = await addCollectionEntry('alice', { barcode: '5702017152264', quantity: 2 });
+
+      const insert = mockQueryOne.mock.calls[2];
+      expect(insert[0]).toContain('INSERT INTO collection_entries (user_id, item_id, quantity)');
+      expect(insert[1]).toEqual(['alice', 'lego:10300', 2]);
+      expect(mockFetchBarcode).not.toHaveBeenCalled();
+      expect(result.entry).toMatchObject({ id: 7, quantity: 2, item: { id: 'lego:10300' } });
+    });
+
+    it('should fall back to the barcode lookup and reject unknown codes', async () => {
+      mockQueryOne.mockResolvedValue(null);
+      mockFetchBarcode.mockResolvedValueOnce({ found: false, barcode: '0000000000000' });
+
+      await expect(addCollectionEntry('alice', { barcode: '0000000000000' })).rejects.toMatchObject({ status: 404 });
+      expect(mockFetchBarcode).toHaveBeenCalledWith('0000000000000', expect.objectContaining({ type: 'product' }));
+    });
+
+    it('should require an item reference', async () => {
+      await expect(addCollectionEntry('alice', { quantity: 1 })).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('updateCollectionEntry', () => {
+    it('should only update entries owned by the user', async () => {
+      mockQueryOne.mockResolvedValueOnce(null);
+
+      const result = await updateCollectionEntry('bob', 7, { notes: 'Boîte abîmée' });
+
+      expect(result).toBeNull();
+      expect(mockQueryOne.mock.calls[0][1]).toEqual([7, 'bob']);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+});
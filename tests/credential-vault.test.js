@@ -0,0 +1,152 @@
+/**
+ * tests/credential-vault.test.js - Tests unitaires pour credential-vault.js
+ *
+ * Tests de l'enregistrement des clés, du repli sur l'environnement
+ * et de l'utilisation par requireApiKey
+ * toys_api v4.1.2
+ */
+
+import { jest } from '@jest/globals';
+
+process.env.API_ENCRYPTION_KEY = 'vault-test-secret';
+process.env.RAWG_API_KEY = 'rawg-env-key';
+
+// Mock des dépendances
+const mockQuery = jest.fn();
+const mockQueryOne = jest.fn();
+const mockQueryAll = jest.fn();
+const mockIsConnected = jest.fn(() => true);
+const mockSearchTmdb = jest.fn();
+
+jest.unstable_mockModule('../lib/database/connection.js', () => ({
+  query: mockQuery,
+  queryOne: mockQueryOne,
+  queryAll: mockQueryAll,
+  isDatabaseConnected: mockIsConnected
+}));
+
+jest.unstable_mockModule('../lib/providers/tmdb.js', () => ({
+  searchTmdb: mockSearchTmdb
+}));
+
+const {
+  getStoredKey,
+  getServerKey,
+  loadVault,
+  setCredential,
+  deleteCredential
+} = await import('../lib/database/credential-vault.js');
+const { decryptApiKey, encryptApiKey } = await import('../lib/utils/helpers.js');
+const { requireApiKey } = await import('../lib/utils/middleware.js');
+
+/**
+ * Réponse Express minimale
+ */
+function mockResponse() {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status: (code) => { res.statusCode = code; return res; },
+    json: (body) => { res.body = body; return res; }
+  };
+  return res;
+}
+
+describe('CredentialVault', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockIsConnected.mockReturnValue(true);
+    mockQuery.mockResolvedValue({ rowCount: 0 });
+    mockQueryAll.mockResolvedValueOnce([]);
+    await loadVault();
+  });
+
+  describe('setCredential', () => {
+    it('should refuse a key rejected by the provider', async () => {
+      mockSearchTmdb.mockRejectedValueOnce(new Error('Invalid API key'));
+
+      await expect(setCredential('tmdb', 'bad-key')).rejects.toMatchObject({ status: 422 });
+      expect(mockQueryOne).not.toHaveBeenCalled();
+      expect(getStoredKey('tmdb')).toBeNull();
+    });
+
+    it('should store the key encrypted and keep it in memory', async () => {
+      mockSearchTmdb.mockResolvedValueOnce({ results: [] });
+      mockQueryOne.mockImplementationOnce(async (sql, params) => ({
+        provider: params[0],
+        encrypted_key: params[1],
+        key_hint: params[2],
+        version: 2,
+        last_tested_at: new Date(),
+        last_test_ok: params[3],
+        last_test_error: null
+      }));
+
+      const { credential, test } = await setCredential('tmdb', 'tmdb-secret-1234');
+
+      const params = mockQueryOne.mock.calls[0][1];
+      expect(params[1]).not.toContain('tmdb-secret');
+      expect(decryptApiKey(params[1])).toBe('tmdb-secret-1234');
+      expect(credential).toMatchObject({ provider: 'tmdb', stored: true, keyHint: '…1234', version: 2 });
+      expect(JSON.stringify(credential)).not.toContain('tmdb-secret');
+      expect(test.ok).toBe(true);
+      expect(getStoredKey('tmdb')).toBe('tmdb-secret-1234');
+    });
+
+    it('should require API_ENCRYPTION_KEY and a database', async () => {
+      mockIsConnected.mockReturnValue(false);
+      await expect(setCredential('tmdb', 'key')).rejects.toMatchObject({ status: 503 });
+    });
+  });
+
+  describe('getServerKey', () => {
+    it('should prefer the vault and fall back to the environment', async () => {
+      mockQueryAll.mockResolvedValueOnce([{ provider: 'rawg', encrypted_key: encryptApiKey('rawg-vault-key') }]);
+      await loadVault();
+      expect(getServerKey('rawg')).toBe('rawg-vault-key');
+
+      await deleteCredential('rawg');
+      expect(getServerKey('rawg')).toBe('rawg-env-key');
+      expect(getServerKey('tvdb')).toBeNull();
+    });
+  });
+
+  describe('requireApiKey', () => {
+    it('should use the stored key for authenticated tokens when the client sends none', async () => {
+      mockQueryAll.mockResolvedValueOnce([{ provider: 'tmdb', encrypted_key: encryptApiKey('tmdb-vault-key') }]);
+      await loadVault();
+
+      const middleware = requireApiKey('TMDB');
+      const next = jest.fn();
+      const req = { headers: {}, query: {}, baseUrl: '/tmdb', apiToken: { scopes: ['read'], providerKeys: {} } };
+      middleware(req, mockResponse(), next);
+      expect(next).toHaveBeenCalled();
+      expect(req.apiKey).toBe('tmdb-vault-key');
+
+      const anonymous = mockResponse();
+      middleware({ headers: {}, query: {}, baseUrl: '/tmdb' }, anonymous, jest.fn());
+      expect(anonymous.statusCode).toBe(401);
+
+      const res = mockResponse();
+      middleware({ headers: {}, query: {}, baseUrl: '/rawg' }, res, jest.fn());
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should use the stored key for every caller with AUTH_MODE=off', async () => {
+      process.env.AUTH_MODE = 'off';
+      jest.resetModules();
+      const vault = await import('../lib/database/credential-vault.js');
+      const { requireApiKey: requireKeyWithoutAuth } = await import('../lib/utils/middleware.js');
+      delete process.env.AUTH_MODE;
+
+      mockQueryAll.mockResolvedValueOnce([{ provider: 'tmdb', encrypted_key: encryptApiKey('tmdb-vault-key') }]);
+      await vault.loadVault();
+
+      const req = { headers: {}, query: {}, baseUrl: '/tmdb' };
+      const next = jest.fn();
+      requireKeyWithoutAuth('TMDB')(req, mockResponse(), next);
+      expect(next).toHaveBeenCalled();
+      expect(req.apiKey).toBe('tmdb-vault-key');
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * tests/document-store.test.js - Tests unitaires du stockage des notices PDF
+ *
+ * Tests de la détection PDF, du comptage de pages et de l'arborescence
+ * toys_api v4.1.2
+ */
+
+import { join, resolve } from 'path';
+import {
+  DOCUMENT_SOURCES,
+  isPdf,
+  countPdfPages,
+  getDocumentPath
+} from '../lib/database/document-store.js';
+
+/**
+ * PDF minimal (arbre de pages non compressé)
+ */
+function makePdf(pageCount, { withCount = true } = {}) {
+  const kids = Array.from({ length: pageCount }, (_, i) => `${i + 3} 0 R`).join(' ');
+  const pages = Array.from({ length: pageCount }, (_, i) =>
+    `${i + 3} 0 obj\n<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >>\nendobj`
+  ).join('\n');
+  const tree = withCount ? `<< /Type /Pages /Kids [${kids}] /Count ${pageCount} >>` : `<< /Type /Pages /Kids [${kids}] >>`;
+  return Buffer.from(`%PDF-1.4\n1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n2 0 obj\n${tree}\nendobj\n${pages}\n%%EOF\n`, 'latin1');
+}
+
+describe('Document store', () => {
+  it('should recognize PDF content by its signature', () => {
+    expect(isPdf(makePdf(1))).toBe(true);
+    expect(isPdf(Buffer.from('<!DOCTYPE html><html>'))).toBe(false);
+    expect(isPdf('%PDF-1.4')).toBe(false);
+  });
+
+  it('should read the page count from the page tree', () => {
+    expect(countPdfPages(makePdf(3))).toBe(3);
+
+    // /Count avant /Type, et arbre imbriqué : le plus grand compte est la racine
+    const nested = Buffer.from('%PDF-1.7\n<< /Count 120 /Kids [4 0 R] /Type /Pages >>\n<< /Type /Pages /Parent 2 0 R /Count 40 >>', 'latin1');
+    expect(countPdfPages(nested)).toBe(120);
+  });
+
+  it('should fall back to counting page objects', () => {
+    expect(countPdfPages(makePdf(4, { withCount: false }))).toBe(4);
+    expect(countPdfPages(Buffer.from('%PDF-1.5\n<< /Filter /FlateDecode /Length 42 >>stream', 'latin1'))).toBeNull();
+  });
+
+  it('should shard files by the first characters of the hash', () => {
+    const sha = 'ab12cd34'.padEnd(64, '0');
+    expect(getDocumentPath(sha, 'data/docs')).toBe(join(resolve('data/docs'), 'ab', `${sha}.pdf`));
+  });
+
+  it('should declare instructions and rules sources', () => {
+    expect(Object.keys(DOCUMENT_SOURCES)).toEqual(['lego', 'playmobil', 'mega', 'bgg']);
+    expect(DOCUMENT_SOURCES.bgg.kind).toBe('rules');
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * tests/follows.test.js - Tests unitaires pour follows.js
+ *
+ * Tests de l'analyse des dates de sortie, de la référence (baseline) et des
+ * nouveautés d'un suivi, du récapitulatif email et du flux iCalendar
+ * toys_api v4.1.2
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock des dépendances
+const mockQuery = jest.fn();
+const mockQueryOne = jest.fn();
+const mockQueryAll = jest.fn();
+
+jest.unstable_mockModule('../lib/database/connection.js', () => ({
+  query: mockQuery,
+  queryOne: mockQueryOne,
+  queryAll: mockQueryAll,
+  isDatabaseConnected: () => true
+}));
+
+jest.unstable_mockModule('../lib/database/credential-vault.js', () => ({
+  getServerKey: () => null
+}));
+
+const mockGetSerie = jest.fn();
+const mockGetAlbum = jest.fn();
+
+jest.unstable_mockModule('../lib/providers/bedetheque.js', () => ({
+  getBedethequeSerieById: mockGetSerie,
+  getBedethequeAlbumById: mockGetAlbum,
+  searchBedethequeByAuthor: jest.fn()
+}));
+
+jest.unstable_mockModule('../lib/providers/mangadex.js', () => ({
+  getMangaDexById: jest.fn(),
+  getMangaDexAggregate: jest.fn(),
+  searchMangaDexByAuthor: jest.fn()
+}));
+
+const mockGetTmdbTv = jest.fn();
+
+jest.unstable_mockModule('../lib/providers/tmdb.js', () => ({
+  getTmdbTvById: mockGetTmdbTv
+}));
+
+jest.unstable_mockModule('../lib/providers/tvdb.js', () => ({ getTvdbSeriesById: jest.fn() }));
+jest.unstable_mockModule('../lib/providers/rebrickable.js', () => ({
+  searchRebrickable: jest.fn(),
+  getRebrickableThemes: jest.fn()
+}));
+jest.unstable_mockModule('../lib/providers/openlibrary.js', () => ({ searchOpenLibraryByAuthor: jest.fn() }));
+jest.unstable_mockModule('../lib/providers/googlebooks.js', () => ({ searchGoogleBooksByAuthor: jest.fn() }));
+jest.unstable_mockModule('../lib/providers/tcg/pokemon.js', () => ({ getPokemonSets: jest.fn() }));
+jest.unstable_mockModule('../lib/providers/tcg/mtg.js', () => ({ getMTGSets: jest.fn() }));
+jest.unstable_mockModule('../lib/providers/tcg/yugioh.js', () => ({ getYuGiOhSets: jest.fn() }));
+
+const mockSendDigest = jest.fn();
+
+jest.unstable_mockModule('../lib/utils/mailer.js', () => ({
+  sendReleaseDigest: mockSendDigest,
+  isMailerConfigured: () => true
+}));
+
+const {
+  parseReleaseDate,
+  parseFollowFields,
+  checkFollow,
+  sendPendingDigests,
+  releasesToICalendar
+} = await import('../lib/database/follows.js');
+
+const { foldLine } = await import('../lib/utils/icalendar.js');
+
+describe('follows', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockQueryOne.mockReset();
+    mockQueryAll.mockReset();
+    mockGetSerie.mockReset();
+    mockGetAlbum.mockReset();
+    mockGetTmdbTv.mockReset();
+    mockSendDigest.mockReset();
+    mockQuery.mockResolvedValue({ rowCount: 1 });
+  });
+
+  it('should parse provider release dates with their precision', () => {
+    expect(parseReleaseDate('2025-03-14T00:00:00Z')).toEqual({ date: '2025-03-14', precision: 'day' });
+    expect(parseReleaseDate('2023/11/03')).toEqual({ date: '2023-11-03', precision: 'day' });
+    expect(parseReleaseDate('14/03/2025')).toEqual({ date: '2025-03-14', precision: 'day' });
+    expect(parseReleaseDate('10/2025')).toEqual({ date: '2025-10-01', precision: 'month' });
+    expect(parseReleaseDate(2024)).toEqual({ date: '2024-01-01', precision: 'year' });
+    expect(parseReleaseDate(null)).toEqual({ date: null, precision: 'discovered' });
+  });
+
+  it('should validate follow kinds and targets', () => {
+    expect(parseFollowFields({ kind: 'bedetheque_serie', target: ' 59 ' })).toEqual({
+      fields: { kind: 'bedetheque_serie', target: '59' }, error: null
+    });
+    expect(parseFollowFields({ kind: 'bedetheque_serie', target: 'asterix' }).error).toMatch(/target invalide/);
+    expect(parseFollowFields({ kind: 'unknown', target: '1' }).error).toMatch(/kind invalide/);
+    expect(parseFollowFields({ notifyEmail: 'nope' }, { partial: true }).error).toBe('notifyEmail invalide');
+  });
+
+  it('should record the first check as baseline without fetching album details', async () => {
+    mockGetSerie.mockResolvedValue({
+      title: 'Astérix',
+      albums: [{ id: 122, title: 'Astérix - Tome 1', url: 'u1' }, { id: 123, title: 'Astérix - Tome 2', url: 'u2' }]
+    });
+    mockQueryAll.mockResolvedValueOnce([{ inserted: true }, { inserted: true }]);
+
+    const result = await checkFollow({ id: 7, kind: 'bedetheque_serie', target: '59', name: null, last_success_at: null });
+
+    expect(result).toEqual({ followId: 7, entries: 2, newReleases: 0, baseline: true });
+    expect(mockGetAlbum).not.toHaveBeenCalled();
+    const [insertSql, insertParams] = mockQueryAll.mock.calls[0];
+    expect(insertSql).toContain('INSERT INTO follow_releases');
+    expect(insertParams[0]).toBe(7);
+    expect(JSON.parse(insertParams[1]).map(e => e.key)).toEqual(['album:122', 'album:123']);
+    expect(insertParams[2]).toBe(true);
+    expect(mockQuery.mock.calls[0][1]).toEqual([7, 'Astérix']);
+  });
+
+  it('should date new Bedetheque albums and count them as new releases', async () => {
+    mockGetSerie.mockResolvedValue({
+      title: 'Astérix',
+      albums: [{ id: 122, title: 'Astérix - Tome 1' }, { id: 40000, title: 'Astérix - Tome 41' }]
+    });
+    mockGetAlbum.mockResolvedValue({ releaseDate: '10/2025', image: ['https://www.bedetheque.com/t41.jpg'] });
+    mockQueryAll
+      .mockResolvedValueOnce([{ entry_key: 'album:122' }])
+      .mockResolvedValueOnce([{ inserted: false }, { inserted: true }]);
+
+    const result = await checkFollow({ id: 7, kind: 'bedetheque_serie', target: '59', name: 'Astérix', last_success_at: new Date() });
+
+    expect(result).toMatchObject({ newReleases: 1, baseline: false });
+    expect(mockGetAlbum).toHaveBeenCalledTimes(1);
+    expect(mockGetAlbum).toHaveBeenCalledWith('40000');
+    const entries = JSON.parse(mockQueryAll.mock.calls[1][1][1]);
+    expect(entries[1]).toMatchObject({ key: 'album:40000', date: '2025-10-01', precision: 'month', image: 'https://www.bedetheque.com/t41.jpg' });
+    expect(mockQueryAll.mock.calls[1][1][2]).toBe(false);
+  });
+
+  it('should record provider errors and missing API keys on the follow', async () => {
+    const result = await checkFollow({ id: 3, kind: 'tmdb_series', target: '1399', name: null, last_success_at: null });
+
+    expect(result.error).toMatch(/Clé API manquante pour tmdb_series/);
+    expect(mockGetTmdbTv).not.toHaveBeenCalled();
+    expect(mockQuery.mock.calls[0][0]).toContain('last_error = $2');
+    expect(mockQueryAll).not.toHaveBeenCalled();
+  });
+
+  it('should send one digest per user and address and mark the releases notified', async () => {
+    mockQueryAll.mockResolvedValue([
+      { id: 1, title: 'Tome 41', release_date: '2025-10-01', date_precision: 'month', kind: 'bedetheque_serie', target: '59', follow_name: 'Astérix', user_id: 'u1', notify_email: 'moi@example.com' },
+      { id: 3, title: 'Tome 12', release_date: '2025-11-14', date_precision: 'day', kind: 'mangadex_manga', target: 'x', follow_name: 'Frieren', user_id: 'u1', notify_email: 'moi@example.com' },
+      { id: 2, title: 'Saison 3', release_date: null, date_precision: 'discovered', kind: 'tmdb_series', target: '1399', follow_name: null, user_id: 'u2', notify_email: 'moi@example.com' }
+    ]);
+    mockSendDigest.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    expect(await sendPendingDigests()).toBe(1);
+    // Suivis sans adresse exclus : pas d'envoi à l'adresse par défaut
+    expect(mockQueryAll.mock.calls[0][0]).toContain('f.notify_email IS NOT NULL');
+    expect(mockSendDigest).toHaveBeenCalledTimes(2);
+    expect(mockSendDigest.mock.calls[0][0]).toEqual({
+      to: 'moi@example.com',
+      releases: [
+        { followName: 'Astérix', title: 'Tome 41', releaseDate: '2025-10', url: undefined, image: undefined },
+        { followName: 'Frieren', title: 'Tome 12', releaseDate: '2025-11-14', url: undefined, image: undefined }
+      ]
+    });
+    expect(mockSendDigest.mock.calls[1][0].releases[0].followName).toBe('tmdb_series 1399');
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+    expect(mockQuery.mock.calls[0][1]).toEqual([[1, 3]]);
+  });
+
+  it('should build an all-day iCalendar feed with escaped and folded lines', () => {
+    const ics = releasesToICalendar([{
+      id: 42,
+      date: '2025-10-23',
+      releaseDate: '2025-10',
+      precision: 'month',
+      followName: 'Astérix',
+      title: 'Tome 41; Astérix en Lusitanie, édition collector',
+      kind: 'bedetheque_serie',
+      target: '59',
+      url: 'https://www.bedetheque.com/BD-Asterix-Tome-41.html',
+      discoveredAt: '2025-06-01T08:30:00.000Z'
+    }]);
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain('UID:release-42@toys-api\r\n');
+    expect(ics).toContain('DTSTAMP:20250601T083000Z\r\n');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20251023\r\nDTEND;VALUE=DATE:20251024\r\n');
+    expect(ics.replace(/\r\n /g, '')).toContain('SUMMARY:Astérix - Tome 41\\; Astérix en Lusitanie\\, édition collector');
+    expect(ics).toContain('DESCRIPTION:Date approximative: 2025-10\\nbedetheque_serie 59');
+    for (const line of ics.split('\r\n')) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    }
+  });
+
+  it('should fold long lines without splitting multi-byte characters', () => {
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+    const parts = folded.split('\r\n');
+    expect(parts.length).toBe(2);
+    expect(parts[1].startsWith(' ')).toBe(true);
+    expect(parts.map((part, i) => (i ? part.slice(1) : part)).join('')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+    expect(parts.every(part => Buffer.byteLength(part) <= 75)).toBe(true);
+  });
+});
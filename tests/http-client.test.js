@@ -0,0 +1,132 @@
+/**
+ * tests/http-client.test.js - Tests unitaires pour http-client.js
+ *
+ * Tests des nouvelles tentatives, des métriques par appel et de l'escalade
+ * toys_api v4.1.2
+ */
+
+import { jest } from '@jest/globals';
+
+// Sans proxy (fetch global) et avec des délais de backoff réduits
+process.env.USE_FETCH_PROXY = 'false';
+process.env.HTTP_RETRY_BASE_MS = '1';
+process.env.HTTP_RETRY_MAX_MS = '5';
+
+const {
+  getBackoffDelay,
+  withRetry,
+  recordHttpCall,
+  getHostPolicy,
+  httpRequest,
+  readBodyWithLimit,
+  isBlockedPage,
+  fetchPage
+} = await import('../lib/utils/http-client.js');
+const { metrics } = await import('../lib/utils/state.js');
+
+const TEST_URL = 'https://api.example.test/items';
+
+describe('http-client', () => {
+  const realFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+    delete metrics.sources.test;
+  });
+
+  it('should bound the backoff delay between half and full ceiling', () => {
+    for (let attempt = 1; attempt <= 6; attempt++) {
+      const ceiling = Math.min(1000, 100 * 2 ** (attempt - 1));
+      const delay = getBackoffDelay(attempt, { baseDelay: 100, maxDelay: 1000 });
+      expect(delay).toBeGreaterThanOrEqual(ceiling / 2);
+      expect(delay).toBeLessThanOrEqual(ceiling);
+    }
+  });
+
+  it('should retry until success and stop on non-retryable errors', async () => {
+    const flaky = jest.fn()
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValueOnce('ok');
+    const onError = jest.fn();
+    await expect(withRetry(flaky, { attempts: 3, onError })).resolves.toBe('ok');
+    expect(flaky).toHaveBeenCalledWith(2);
+    expect(onError).toHaveBeenCalledTimes(1);
+
+    const fatal = jest.fn().mockRejectedValue(new Error('fatal'));
+    await expect(withRetry(fatal, { attempts: 3, shouldRetry: () => false })).rejects.toThrow('fatal');
+    expect(fatal).toHaveBeenCalledTimes(1);
+  });
+
+  it('should aggregate timing and statuses per source', () => {
+    recordHttpCall('test', { duration: 100, status: 200 });
+    recordHttpCall('test', { duration: 300, status: null, retries: 2, via: 'flaresolverr' });
+
+    expect(metrics.sources.test.http).toMatchObject({
+      calls: 2,
+      failures: 1,
+      retries: 2,
+      avgMs: 200,
+      lastStatus: null,
+      statuses: { 200: 1, network_error: 1 },
+      via: { direct: 1, flaresolverr: 1 }
+    });
+  });
+
+  it('should resolve per-host timeout and escalation from PROVIDER_GUARDS', () => {
+    expect(getHostPolicy('https://www.lego.com/fr-fr/product/75192')).toMatchObject({
+      source: 'lego',
+      timeout: 60000,
+      escalation: ['flaresolverr', 'puppeteer']
+    });
+    expect(getHostPolicy(TEST_URL)).toMatchObject({ source: null, escalation: ['direct', 'flaresolverr', 'puppeteer'] });
+  });
+
+  it('should retry GET requests on 503 and return the final response', async () => {
+    globalThis.fetch = jest.fn()
+      .mockResolvedValueOnce(new Response('busy', { status: 503 }))
+      .mockResolvedValueOnce(new Response('{"ok":true}', { status: 200 }));
+
+    const response = await httpRequest(TEST_URL, { source: 'test' });
+    expect(await response.json()).toEqual({ ok: true });
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    expect(metrics.sources.test.http).toMatchObject({ calls: 1, retries: 1, lastStatus: 200 });
+  });
+
+  it('should not retry POST requests unless asked to', async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue(new Response('busy', { status: 503 }));
+
+    const response = await httpRequest(TEST_URL, { method: 'POST', body: '{}', source: 'test' });
+    expect(response.status).toBe(503);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    expect(metrics.sources.test.http.failures).toBe(1);
+  });
+
+  it('should read bodies up to a byte limit', async () => {
+    expect((await readBodyWithLimit(new Response('abcd'), 4)).toString()).toBe('abcd');
+    expect(await readBodyWithLimit(new Response('x', { headers: { 'content-length': '5000' } }), 4)).toBeNull();
+
+    // content-length absent : lecture interrompue au premier morceau de trop
+    let pulled = 0;
+    const endless = new ReadableStream({
+      pull(controller) {
+        pulled++;
+        controller.enqueue(new Uint8Array(3));
+      }
+    });
+    expect(await readBodyWithLimit(new Response(endless), 10)).toBeNull();
+    expect(pulled).toBeLessThan(8);
+  });
+
+  it('should detect anti-bot pages', () => {
+    expect(isBlockedPage(403, '')).toBe(true);
+    expect(isBlockedPage(200, '<html><head><title>Just a moment...</title>')).toBe(true);
+    expect(isBlockedPage(200, '<html><script src="/cdn-cgi/challenge-platform/scripts/jsd/main.js"></script>')).toBe(false);
+  });
+
+  it('should escalate to the next transport when the page is blocked', async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue(new Response('denied', { status: 403 }));
+
+    await expect(fetchPage(TEST_URL, { escalation: ['direct'] })).rejects.toThrow('direct: page bloquée (HTTP 403)');
+    await expect(fetchPage(TEST_URL, { escalation: ['direct', 'ftp'] })).rejects.toThrow('Transport inconnu: ftp');
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * tests/http-fixtures.test.js - Tests unitaires pour http-fixtures.js
+ *
+ * Tests de l'enregistrement, du rejeu et du masquage des secrets
+ * toys_api v4.1.2
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtempSync, readFileSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const {
+  getFixtureMode,
+  setFixtureMode,
+  getFixturePath,
+  fetchWithFixture,
+  fsrWithFixture,
+  stealthWithFixture
+} = await import('../lib/utils/http-fixtures.js');
+
+describe('HttpFixtures', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'toys-fixtures-'));
+  });
+
+  afterEach(() => {
+    setFixtureMode('off');
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should not touch requests when off', async () => {
+    setFixtureMode('off', { dir });
+    const perform = jest.fn(async () => new Response('live'));
+
+    const response = await fetchWithFixture('https://api.example.com/items', {}, perform);
+    expect(await response.text()).toBe('live');
+    expect(perform).toHaveBeenCalledTimes(1);
+    expect(readdirSync(dir)).toEqual([]);
+  });
+
+  it('should replay a recorded fetch response without calling perform', async () => {
+    const url = 'https://api.example.com/games?search=zelda&key=secret-123';
+    setFixtureMode('record', { dir });
+    const recorded = await fetchWithFixture(url, {}, async () => new Response(JSON.stringify({ count: 1 }), {
+      status: 200,
+      headers: { 'content-type': 'application/json' }
+    }));
+    expect(await recorded.json()).toEqual({ count: 1 });
+
+    setFixtureMode('replay');
+    const perform = jest.fn();
+    const replayed = await fetchWithFixture(url.replace('secret-123', 'other-key'), {}, perform);
+
+    expect(perform).not.toHaveBeenCalled();
+    expect(replayed.ok).toBe(true);
+    expect(replayed.headers.get('content-type')).toBe('application/json');
+    expect(await replayed.json()).toEqual({ count: 1 });
+  });
+
+  it('should redact secrets from fixture files', async () => {
+    setFixtureMode('record', { dir });
+    await fetchWithFixture('https://api.example.com/games/1?key=secret-123', {}, async () => new Response('{}'));
+
+    const file = getFixturePath('fetch', { method: 'GET', url: 'https://api.example.com/games/1?key=REDACTED' });
+    const content = readFileSync(file, 'utf8');
+    expect(content).not.toContain('secret-123');
+    expect(JSON.parse(content).request.url).toBe('https://api.example.com/games/1?key=REDACTED');
+  });
+
+  it('should redact secrets from JSON request bodies', async () => {
+    setFixtureMode('record', { dir });
+    const login = (apikey) => ({ method: 'POST', body: JSON.stringify({ apikey }) });
+    await fetchWithFixture('https://api.example.com/login', login('secret-123'), async () => new Response('{"token":"t"}'));
+
+    const file = getFixturePath('fetch', { method: 'POST', url: 'https://api.example.com/login', body: '{"apikey":"REDACTED"}' });
+    expect(readFileSync(file, 'utf8')).not.toContain('secret-123');
+
+    setFixtureMode('replay');
+    const replayed = await fetchWithFixture('https://api.example.com/login', login('other-key'), jest.fn());
+    expect(await replayed.json()).toEqual({ token: 't' });
+  });
+
+  it('should key direct FlareSolverr calls by target URL', async () => {
+    const body = (session) => JSON.stringify({ cmd: 'request.get', url: 'https://www.example.com/page', session, maxTimeout: 30000 });
+    setFixtureMode('record', { dir });
+    await fetchWithFixture('http://flaresolverr:8191/v1', { method: 'POST', body: body('s1') }, async () => new Response('{"status":"ok"}'));
+
+    setFixtureMode('replay');
+    const replayed = await fetchWithFixture('http://other-host:8191/v1', { method: 'POST', body: body('s2') }, jest.fn());
+    expect(await replayed.json()).toEqual({ status: 'ok' });
+  });
+
+  it('should record FlareSolverr solutions and stealth pages', async () => {
+    setFixtureMode('record', { dir });
+    await fsrWithFixture('request.get', 'https://www.example.com/a', {}, async () => ({ response: '<html>a</html>', status: 200 }));
+    await stealthWithFixture('https://www.example.com/b', async () => ({ html: '<html>b</html>', status: 200, url: 'https://www.example.com/b' }));
+
+    setFixtureMode('replay');
+    expect(await fsrWithFixture('request.get', 'https://www.example.com/a', {}, jest.fn())).toEqual({ response: '<html>a</html>', status: 200 });
+    expect((await stealthWithFixture('https://www.example.com/b', jest.fn())).html).toBe('<html>b</html>');
+  });
+
+  it('should fail on a missing fixture in replay mode', async () => {
+    setFixtureMode('replay', { dir });
+    const perform = jest.fn();
+
+    await expect(fetchWithFixture('https://api.example.com/unknown', {}, perform))
+      .rejects.toMatchObject({ code: 'FIXTURE_MISSING' });
+    expect(perform).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown modes', () => {
+    expect(() => setFixtureMode('live')).toThrow(/invalide/);
+    expect(getFixtureMode()).toBe('off');
+  });
+});
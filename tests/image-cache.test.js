@@ -0,0 +1,152 @@
+/**
+ * tests/image-cache.test.js - Tests unitaires pour image-cache.js
+ *
+ * Tests de la liste blanche, des transformations, du cache disque et de la
+ * réécriture des URLs d'images
+ * toys_api v4.1.2
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import sharp from 'sharp';
+
+// Cache dans un répertoire temporaire, sans proxy
+const cacheDir = mkdtempSync(join(tmpdir(), 'toys-api-images-'));
+process.env.IMAGE_CACHE_DIR = cacheDir;
+process.env.USE_FETCH_PROXY = 'false';
+process.env.IMAGE_MAX_BYTES = '4096';
+
+const {
+  isImageUrlAllowed,
+  parseImageTransform,
+  fetchImage,
+  getImageEtag,
+  getImageVariant,
+  localizeImages
+} = await import('../lib/utils/image-cache.js');
+
+const IMAGE_URL = 'https://image.tmdb.org/t/p/original/poster.png';
+
+describe('image-cache', () => {
+  const realFetch = globalThis.fetch;
+  let png;
+
+  beforeAll(async () => {
+    png = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#c00' } }).png().toBuffer();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  afterAll(() => {
+    rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should allow provider image hosts and their subdomains only', () => {
+    expect(isImageUrlAllowed('https://www.lego.com/cdn/cs/set/assets/75192.png')).toBe(true);
+    expect(isImageUrlAllowed('https://cf.geekdo-images.com/pic1.jpg')).toBe(true);
+    expect(isImageUrlAllowed(IMAGE_URL)).toBe(true);
+    expect(isImageUrlAllowed('https://evil-lego.com/x.png')).toBe(false);
+    expect(isImageUrlAllowed('https://cdn.shopify.com/s/files/x.png')).toBe(false);
+    expect(isImageUrlAllowed('https://archive.org/download/x.jpg')).toBe(false);
+    expect(isImageUrlAllowed('file:///etc/passwd')).toBe(false);
+    expect(isImageUrlAllowed('/proxy/image?url=x')).toBe(false);
+  });
+
+  it('should parse and validate transform parameters', () => {
+    expect(parseImageTransform({})).toEqual({ transform: null, error: null });
+    expect(parseImageTransform({ w: '300', format: 'WEBP' }).transform).toEqual({ width: 300, fit: 'cover', format: 'webp' });
+    expect(parseImageTransform({ h: '120', fit: 'contain' }).transform).toEqual({ height: 120, fit: 'contain' });
+    expect(parseImageTransform({ w: '0' }).error).toMatch(/w invalide/);
+    expect(parseImageTransform({ format: 'gif' }).error).toMatch(/format invalide/);
+    expect(parseImageTransform({ fit: 'stretch' }).error).toMatch(/fit invalide/);
+  });
+
+  it('should download once, then serve from the disk cache', async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue(new Response(png, {
+      status: 200,
+      headers: { 'content-type': 'image/png', etag: '"upstream-1"' }
+    }));
+
+    const first = await fetchImage(IMAGE_URL);
+    const second = await fetchImage(IMAGE_URL);
+
+    expect(first.cached).toBe(false);
+    expect(second.cached).toBe(true);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    expect(second.meta).toMatchObject({ url: IMAGE_URL, contentType: 'image/png', size: png.length, upstreamEtag: '"upstream-1"' });
+
+    const original = await getImageVariant(second, null);
+    expect(original.buffer.equals(png)).toBe(true);
+  });
+
+  it('should resize and convert with a variant-specific ETag', async () => {
+    const image = await fetchImage(IMAGE_URL);
+    const { transform } = parseImageTransform({ w: '20', format: 'webp' });
+
+    const variant = await getImageVariant(image, transform);
+    expect(variant.contentType).toBe('image/webp');
+    expect(await sharp(variant.buffer).metadata()).toMatchObject({ format: 'webp', width: 20, height: 10 });
+
+    expect(getImageEtag(image.meta, transform)).not.toBe(getImageEtag(image.meta, null));
+    expect(getImageEtag(image.meta, transform)).toMatch(/^"[0-9a-f]{24}-20x-cover-webp"$/);
+  });
+
+  it('should reject non-image responses', async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue(new Response('<html>', {
+      status: 200,
+      headers: { 'content-type': 'text/html' }
+    }));
+
+    await expect(fetchImage('https://image.tmdb.org/t/p/original/page.png')).rejects.toMatchObject({ status: 415 });
+  });
+
+  it('should reject an oversized image from its content-length', async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue(new Response('x', {
+      status: 200,
+      headers: { 'content-type': 'image/png', 'content-length': '999999' }
+    }));
+
+    await expect(fetchImage('https://image.tmdb.org/t/p/original/huge.png')).rejects.toMatchObject({ status: 413 });
+  });
+
+  it('should stop streaming once the size limit is exceeded', async () => {
+    let pulled = 0;
+    const body = new ReadableStream({
+      pull(controller) {
+        pulled++;
+        controller.enqueue(new Uint8Array(1024));
+      }
+    });
+    globalThis.fetch = jest.fn().mockResolvedValue(new Response(body, {
+      status: 200,
+      headers: { 'content-type': 'image/png' }
+    }));
+
+    await expect(fetchImage('https://image.tmdb.org/t/p/original/endless.png')).rejects.toMatchObject({ status: 413 });
+    expect(pulled).toBeLessThan(10);
+  });
+
+  it('should rewrite image fields to the local proxy without mutating the input', () => {
+    const item = {
+      name: 'Millennium Falcon',
+      url: 'https://www.lego.com/fr-fr/product/75192',
+      image: 'https://www.lego.com/cdn/75192.png',
+      images: {
+        primary: 'https://www.lego.com/cdn/75192-box.png',
+        gallery: [{ url: 'https://www.lego.com/cdn/75192-1.png', type: 'primary' }, 'https://example.org/other.png']
+      }
+    };
+    const localized = localizeImages(item);
+
+    expect(localized.url).toBe(item.url);
+    expect(localized.image).toBe(`/proxy/image?url=${encodeURIComponent(item.image)}`);
+    expect(localized.images.primary).toMatch(/^\/proxy\/image\?url=/);
+    expect(localized.images.gallery[0]).toEqual({ url: expect.stringMatching(/^\/proxy\/image/), type: 'primary' });
+    expect(localized.images.gallery[1]).toBe('https://example.org/other.png');
+    expect(item.image).toBe('https://www.lego.com/cdn/75192.png');
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * tests/job-queue.test.js - Tests unitaires pour job-queue.js
+ *
+ * Tests de la file de jobs persistante (warmup, import)
+ * toys_api v4.1.2
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock des dépendances
+const mockQuery = jest.fn();
+const mockQueryOne = jest.fn();
+const mockQueryAll = jest.fn();
+
+jest.unstable_mockModule('../lib/database/connection.js', () => ({
+  query: mockQuery,
+  queryOne: mockQueryOne,
+  queryAll: mockQueryAll,
+  isDatabaseConnected: jest.fn(() => true)
+}));
+
+const mockSaveItem = jest.fn();
+const mockSaveSearchResults = jest.fn();
+const mockImportItem = jest.fn();
+
+jest.unstable_mockModule('../lib/database/repository.js', () => ({
+  saveItem: mockSaveItem,
+  saveSearchResults: mockSaveSearchResults,
+  importItem: mockImportItem,
+  clearItems: jest.fn()
+}));
+
+const mockFetchBdt = jest.fn();
+const mockFetchLego = jest.fn();
+const mockSearchLego = jest.fn();
+
+const { extractStandardParams } = await import('../lib/utils/routeHelpers.js');
+const SEARCH_PROVIDERS = {
+  bedetheque: { type: 'book', source: 'bedetheque', keyName: null, search: jest.fn() },
+  lego: {
+    type: 'construct_toy', source: 'lego', keyName: null, search: mockSearchLego,
+    searchCache: { source: 'lego', type: 'construct_toy', params: ({ locale, max }) => ({ locale, max }) }
+  }
+};
+
+jest.unstable_mockModule('../lib/providers/registry.js', () => ({
+  SEARCH_PROVIDERS,
+  searchCacheParams: (name, req) => SEARCH_PROVIDERS[name].searchCache?.params(extractStandardParams(req), req.query) ?? null,
+  DETAIL_PROVIDERS: {
+    bedetheque: { keyName: null, fetch: mockFetchBdt },
+    lego: { keyName: null, fetch: mockFetchLego },
+    tmdb_movies: { keyName: 'tmdb', fetch: jest.fn() }
+  }
+}));
+
+jest.unstable_mockModule('../lib/search/aggregator.js', () => ({
+  extractResultList: (raw) => raw || [],
+  toSearchResult: (item) => item
+}));
+
+const {
+  JOB_STATUS,
+  enqueueJob,
+  enqueueJobsByProvider,
+  cancelJob,
+  claimPendingJobs,
+  resumeInterruptedJobs,
+  validateWarmup,
+  stopJobQueue
+} = await import('../lib/database/job-queue.js');
+
+/**
+ * Attend la fin des traitements asynchrones lancés par claimPendingJobs
+ */
+async function flush() {
+  for (let i = 0; i < 20; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+function jobRow(overrides = {}) {
+  return {
+    id: 1,
+    kind: 'warmup',
+    provider: 'bedetheque',
+    status: 'running',
+    payload: { mode: 'details', options: {}, items: ['album_1'] },
+    total: 1,
+    processed: 0,
+    succeeded: 0,
+    failed: 0,
+    skipped: 0,
+    errors: [],
+    ...overrides
+  };
+}
+
+describe('JobQueue', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQuery.mockResolvedValue({ rowCount: 1, rows: [] });
+  });
+
+  afterAll(() => {
+    stopJobQueue();
+  });
+
+  describe('validateWarmup', () => {
+    it('should reject unknown providers', () => {
+      expect(validateWarmup('unknown', 'details')).toContain('non supporté');
+      expect(validateWarmup('bedetheque', 'details')).toBeNull();
+    });
+
+    it('should reject providers without server key', () => {
+      expect(validateWarmup('tmdb_movies', 'details')).toContain('Clé API serveur manquante');
+    });
+  });
+
+  describe('enqueueJob', () => {
+    it('should insert a pending job and hide the item list', async () => {
+      mockQueryOne.mockResolvedValueOnce(jobRow({
+        status: 'pending',
+        payload: { mode: 'details', options: {}, items: ['a', 'b'] },
+        total: 2
+      }));
+
+      const job = await enqueueJob('warmup', {
+        provider: 'bedetheque',
+        payload: { mode: 'details', options: {}, items: ['a', 'b'] }
+      });
+
+      expect(mockQueryOne.mock.calls[0][1]).toEqual(['warmup', 'bedetheque', 'pending', expect.any(String), 2]);
+      expect(job).toMatchObject({ id: 1, status: 'pending', params: { mode: 'details' } });
+      expect(job.params.items).toBeUndefined();
+      expect(job.progress).toMatchObject({ total: 2, processed: 0, percent: 0 });
+    });
+
+    it('should reject unknown job kinds', async () => {
+      await expect(enqueueJob('unknown', { payload: {} })).rejects.toThrow('Type de job inconnu');
+    });
+
+    it('should enqueue one job per provider', async () => {
+      mockQueryOne
+        .mockResolvedValueOnce(jobRow({ id: 10, kind: 'documents', provider: 'lego', status: 'pending' }))
+        .mockResolvedValueOnce(jobRow({ id: 11, kind: 'documents', provider: 'bgg', status: 'pending' }));
+
+      const jobs = await enqueueJobsByProvider('documents', new Map([
+        ['lego', [{ source: 'lego', id: '75192' }]],
+        ['bgg', [{ source: 'bgg', id: '13' }]]
+      ]), { lang: 'fr' });
+
+      expect(jobs.map(job => job.id)).toEqual([10, 11]);
+      expect(mockQueryOne.mock.calls[0][1].slice(0, 2)).toEqual(['documents', 'lego']);
+      expect(mockQueryOne.mock.calls[1][1].slice(0, 2)).toEqual(['documents', 'bgg']);
+      expect(JSON.parse(mockQueryOne.mock.calls[1][1][3])).toEqual({ options: { lang: 'fr' }, items: [{ source: 'bgg', id: '13' }] });
+    });
+  });
+
+  describe('resumeInterruptedJobs', () => {
+    it('should only requeue running jobs without recent heartbeat', async () => {
+      mockQuery.mockResolvedValueOnce({ rowCount: 2, rows: [] });
+
+      const resumed = await resumeInterruptedJobs();
+
+      expect(resumed).toBe(2);
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('updated_at < NOW()');
+      expect(params.slice(0, 3)).toEqual([JOB_STATUS.PENDING, JOB_STATUS.RUNNING, 120000]);
+      expect(Array.isArray(params[3])).toBe(true);
+    });
+  });
+
+  describe('claimPendingJobs', () => {
+    it('should cap running jobs per provider', async () => {
+      mockQueryAll.mockResolvedValueOnce([
+        { id: 1, kind: 'warmup', provider: 'bedetheque' },
+        { id: 2, kind: 'warmup', provider: 'bedetheque' }
+      ]);
+      mockQueryOne.mockImplementation(async (sql) => {
+        if (sql.includes('started_at')) return jobRow();
+        if (sql.includes('FROM items')) return null;
+        return { status: 'running' };
+      });
+      mockFetchBdt.mockReturnValue(new Promise(() => {}));
+
+      const started = await claimPendingJobs();
+
+      // bedetheque : 1 job simultané maximum
+      expect(started).toBe(1);
+    });
+
+    it('should key document and phash jobs by the provider they call', async () => {
+      mockQueryAll.mockResolvedValueOnce([
+        { id: 20, kind: 'phash', provider: 'lego' },
+        { id: 21, kind: 'phash', provider: 'playmobil' },
+        { id: 22, kind: 'phash', provider: 'bgg' }
+      ]);
+      mockQueryOne.mockImplementation(async (sql, params) => {
+        if (sql.includes('started_at')) return jobRow({ id: params[0], kind: 'phash', payload: { options: {}, items: [] }, total: 0 });
+        return { status: 'running' };
+      });
+
+      // Clé "phash" commune : 2 jobs simultanés seulement ; par provider : les 3 démarrent
+      expect(await claimPendingJobs()).toBe(3);
+      await flush();
+    });
+
+    it('should process items, record errors and complete the job', async () => {
+      mockQueryAll.mockResolvedValueOnce([{ id: 3, kind: 'warmup', provider: 'lego' }]);
+      mockQueryOne.mockImplementation(async (sql) => {
+        if (sql.includes('started_at')) {
+          return jobRow({ id: 3, provider: 'lego', payload: { mode: 'details', options: {}, items: ['42217', '10300'] }, total: 2 });
+        }
+        if (sql.includes('FROM items')) return { valid: false };
+        return { status: 'running' };
+      });
+      mockFetchLego
+        .mockRejectedValueOnce(new Error('HTTP 429'))
+        .mockResolvedValueOnce({ name: 'DeLorean' });
+      mockSaveItem.mockResolvedValue(true);
+
+      await claimPendingJobs();
+      await new Promise(resolve => setTimeout(resolve, 1100));
+      await flush();
+
+      const checkpoints = mockQueryOne.mock.calls.filter(([sql]) => sql.includes('processed = $2'));
+      expect(checkpoints).toHaveLength(2);
+      expect(checkpoints[0][1][3]).toBe(1); // failed
+      expect(JSON.parse(checkpoints[0][1][5])[0]).toMatchObject({ index: 0, value: '42217', error: 'HTTP 429' });
+      expect(mockSaveItem).toHaveBeenCalledWith('lego', '10300', 'construct_toy', 'DeLorean', { name: 'DeLorean' }, { entryType: 'detail' });
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('finished_at'), [3, JOB_STATUS.COMPLETED, JOB_STATUS.RUNNING]);
+    });
+
+    it('should cache warmup searches under the route search key', async () => {
+      mockQueryAll.mockResolvedValueOnce([{ id: 6, kind: 'warmup', provider: 'lego' }]);
+      mockQueryOne.mockImplementation(async (sql) => {
+        if (sql.includes('started_at')) {
+          return jobRow({ id: 6, provider: 'lego', payload: { mode: 'search', options: { max: 5 }, items: ['star wars'] } });
+        }
+        return { status: 'running' };
+      });
+      mockSearchLego.mockResolvedValue([{ sourceId: '75192', name: 'Millennium Falcon' }]);
+
+      await claimPendingJobs();
+      await flush();
+
+      expect(mockSearchLego).toHaveBeenCalledWith('star wars', { lang: 'fr', locale: 'fr-FR', max: 5, apiKey: null });
+      // Même clé que GET /lego/search?q=star+wars&max=5 : { query, locale, max }
+      expect(mockSaveSearchResults).toHaveBeenCalledWith('lego', 'construct_toy', 'star wars', { locale: 'fr-FR', max: 5 }, {
+        results: [{ sourceId: '75192', name: 'Millennium Falcon' }],
+        total: 1
+      });
+    });
+
+    it('should stop when the job has been cancelled', async () => {
+      mockQueryAll.mockResolvedValueOnce([{ id: 4, kind: 'import', provider: null }]);
+      mockQueryOne.mockImplementation(async (sql) => {
+        if (sql.includes('started_at')) {
+          return jobRow({ id: 4, kind: 'import', provider: null, payload: { mode: 'upsert', items: [{}, {}, {}] }, total: 3 });
+        }
+        return { status: 'cancelled' };
+      });
+      mockImportItem.mockResolvedValue('inserted');
+
+      await claimPendingJobs();
+      await flush();
+
+      expect(mockImportItem).toHaveBeenCalledTimes(1);
+      expect(mockQuery).not.toHaveBeenCalledWith(expect.stringContaining('finished_at'), expect.arrayContaining([4, JOB_STATUS.COMPLETED]));
+    });
+  });
+
+  describe('cancelJob', () => {
+    it('should not cancel a finished job', async () => {
+      mockQueryOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(jobRow({ id: 5, status: 'completed' }));
+
+      const result = await cancelJob(5);
+
+      expect(result).toMatchObject({ found: true, cancelled: false });
+      expect(result.job.status).toBe('completed');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * tests/jvc.test.js - Tests hors ligne du provider JeuxVideo.com
+ *
+ * Pages rejouées depuis tests/fixtures/http (HTTP_FIXTURES=record pour les régénérer)
+ * toys_api v4.1.2
+ */
+
+import { getFixtureMode, setFixtureMode } from '../lib/utils/http-fixtures.js';
+import {
+  searchJVC,
+  getJVCGameById,
+  searchJvcNormalized,
+  getJvcGameByIdNormalized
+} from '../lib/providers/jvc.js';
+
+describe('JVC', () => {
+  beforeAll(() => {
+    if (getFixtureMode() !== 'record') setFixtureMode('replay');
+  });
+
+  describe('searchJVC', () => {
+    it('should parse the game cards of the search page', async () => {
+      const result = await searchJVC('zelda');
+
+      expect(result.resultsCount).toBe(2);
+      expect(result.results[0]).toMatchObject({
+        id: 1360117,
+        title: 'The Legend of Zelda : Tears of the Kingdom',
+        platform: 'Switch',
+        url: 'https://www.jeuxvideo.com/jeux/jeu-1360117/',
+        source: 'jvc'
+      });
+      expect(result.results[0].cover).toContain('/medias-md/');
+    });
+
+    it('should normalize search results', async () => {
+      const result = await searchJvcNormalized('zelda', { max: 1 });
+
+      expect(result.results).toHaveLength(1);
+      expect(result.results[0]).toMatchObject({ provider: 'jvc', provider_id: '1360117' });
+    });
+  });
+
+  describe('getJVCGameById', () => {
+    it('should extract metadata, platforms and ratings', async () => {
+      const game = await getJVCGameById(1360117);
+
+      expect(game.title).toBe('The Legend of Zelda : Tears of the Kingdom');
+      expect(game.platforms).toEqual(['Nintendo Switch']);
+      expect(game.genres).toEqual(['Action', 'Aventure']);
+      expect(game.publishers).toEqual(['Nintendo']);
+      expect(game.developers).toEqual(['Nintendo EPD']);
+      expect(game.releaseDate).toBe('2023-05-12');
+      expect(game.minAge).toBe(12);
+      expect(game.synopsis).toContain("Link part explorer les îles célestes d'Hyrule.");
+    });
+
+    it('should normalize the game detail', async () => {
+      const game = await getJvcGameByIdNormalized(1360117);
+
+      expect(game).toMatchObject({
+        type: 'videogame',
+        provider: 'jvc',
+        provider_id: '1360117',
+        title: 'The Legend of Zelda : Tears of the Kingdom',
+        year: 2023
+      });
+    });
+  });
+});
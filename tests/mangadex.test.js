@@ -0,0 +1,66 @@
+/**
+ * tests/mangadex.test.js - Tests hors ligne du provider MangaDex
+ *
+ * Réponses API rejouées depuis tests/fixtures/http
+ * toys_api v4.1.2
+ */
+
+import { getFixtureMode, setFixtureMode } from '../lib/utils/http-fixtures.js';
+import {
+  searchMangaDex,
+  getMangaDexById,
+  getMangaDexByIdNormalized
+} from '../lib/providers/mangadex.js';
+
+const ONE_PIECE = 'a1c7c817-4e59-43b7-9365-09675a149a6f';
+const COVER = `https://uploads.mangadex.org/covers/${ONE_PIECE}/cover-one-piece.jpg`;
+
+describe('MangaDex', () => {
+  beforeAll(() => {
+    if (getFixtureMode() !== 'record') setFixtureMode('replay');
+  });
+
+  describe('searchMangaDex', () => {
+    it('should map titles, relations and genre tags', async () => {
+      const result = await searchMangaDex('one piece', { max: 5 });
+
+      expect(result.totalResults).toBe(1);
+      expect(result.results[0]).toMatchObject({
+        id: ONE_PIECE,
+        title: 'One Piece',
+        authors: ['Oda Eiichiro'],
+        genres: ['Action', 'Adventure'],
+        releaseDate: '1997',
+        synopsis: 'Gol D. Roger était le Roi des Pirates.',
+        status: 'ongoing'
+      });
+      expect(result.results[0].image[0]).toBe(COVER);
+    });
+  });
+
+  describe('getMangaDexById', () => {
+    it('should return the manga detail', async () => {
+      const manga = await getMangaDexById(ONE_PIECE);
+
+      expect(manga).toMatchObject({
+        title: 'One Piece',
+        synopsis: 'Gol D. Roger was known as the Pirate King.',
+        totalVolumes: null,
+        image: COVER
+      });
+    });
+
+    it('should normalize the manga detail', async () => {
+      const manga = await getMangaDexByIdNormalized(ONE_PIECE);
+
+      expect(manga).toMatchObject({
+        type: 'manga',
+        source: 'mangadex',
+        sourceId: ONE_PIECE,
+        name: 'One Piece',
+        genres: ['Action', 'Adventure'],
+        images: { cover: COVER }
+      });
+    });
+  });
+});
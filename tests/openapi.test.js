@@ -0,0 +1,117 @@
+/**
+ * tests/openapi.test.js - Tests unitaires pour openapi.js
+ *
+ * Tests de la génération de la spécification depuis les routers Express
+ * toys_api v4.1.2
+ */
+
+import express from 'express';
+import {
+  getOpenApiSpec,
+  getEndpointIndex,
+  resetOpenApiSpec
+} from '../lib/schemas/openapi.js';
+import {
+  asyncHandler,
+  requireParam,
+  requireApiKey,
+  requireScope,
+  providerGuard,
+  validateSearchParams,
+  validateDetailsParams
+} from '../lib/utils/index.js';
+
+const noop = (req, res) => res.json({});
+
+/**
+ * Application minimale avec des routers montés comme dans index.js
+ */
+function buildApp() {
+  const app = express();
+
+  const movies = express.Router();
+  movies.get('/search', validateSearchParams, requireApiKey('TMDB'), asyncHandler(noop));
+  movies.get('/details', validateDetailsParams, asyncHandler(noop));
+  movies.get('/:id', noop);
+
+  const admin = express.Router();
+  admin.get('/public', noop);
+  admin.use(requireScope('admin'));
+  admin.put('/:provider', noop);
+  admin.get('/lookup', requireParam('name'), noop);
+
+  app.use('/tmdb_movies', providerGuard('tmdb'), movies);
+  app.use('/vault', admin);
+  app.delete('/cache', requireScope('admin'), noop);
+  return app;
+}
+
+/**
+ * Résout un $ref local (#/components/...)
+ */
+function resolveRef(spec, ref) {
+  return ref.slice(2).split('/').reduce((node, key) => node?.[key], spec);
+}
+
+describe('OpenAPI', () => {
+  let spec;
+
+  beforeAll(() => {
+    resetOpenApiSpec();
+    spec = getOpenApiSpec(buildApp());
+  });
+
+  it('should list every registered route with Express params converted', () => {
+    expect(spec.openapi).toBe('3.1.0');
+    expect(Object.keys(spec.paths).sort()).toEqual([
+      '/cache',
+      '/tmdb_movies/details',
+      '/tmdb_movies/search',
+      '/tmdb_movies/{id}',
+      '/vault/lookup',
+      '/vault/public',
+      '/vault/{provider}'
+    ]);
+    expect(spec.paths['/vault/{provider}'].put.operationId).toBe('putVaultByProvider');
+    expect(spec.paths['/tmdb_movies/{id}'].get.parameters).toEqual([
+      { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+    ]);
+  });
+
+  it('should describe normalized search and detail responses', () => {
+    const search = spec.paths['/tmdb_movies/search'].get;
+    expect(search.parameters.find(p => p.name === 'q')).toMatchObject({ in: 'query', required: true });
+    expect(search.responses[200].content['application/json'].schema.$ref).toBe('#/components/schemas/SearchResponse');
+    expect(search.responses[503]).toBeDefined();
+    expect(search.security).toContainEqual({ apiKey: [] });
+
+    const details = spec.paths['/tmdb_movies/details'].get.responses[200].content['application/json'].schema;
+    expect(details.allOf[1].properties.data.$ref).toBe('#/components/schemas/Movie');
+    expect(spec.components.schemas.Movie.properties.type).toEqual({ const: 'movie' });
+    expect(spec.components.schemas.Movie.properties.name).toMatchObject({ type: ['string', 'null'] });
+  });
+
+  it('should apply router-level scopes only to the routes declared after them', () => {
+    expect(spec.paths['/vault/public'].get.responses[403]).toBeUndefined();
+    expect(spec.paths['/vault/{provider}'].put.responses[403]).toBeDefined();
+    expect(spec.paths['/vault/{provider}'].put.security).toEqual([{ bearerAuth: ['admin'] }]);
+    expect(spec.paths['/vault/lookup'].get.parameters).toContainEqual(
+      { name: 'name', in: 'query', required: true, schema: { type: 'string' } }
+    );
+  });
+
+  it('should only reference existing components', () => {
+    const refs = JSON.stringify(spec).match(/"\$ref":"[^"]+"/g).map(ref => ref.slice(8, -1));
+    for (const ref of new Set(refs)) {
+      expect(resolveRef(spec, ref)).toBeDefined();
+    }
+  });
+
+  it('should index endpoints by mount path for /version', () => {
+    expect(getEndpointIndex(buildApp())).toEqual({
+      tmdb_movies: ['/tmdb_movies/search', '/tmdb_movies/details', '/tmdb_movies/:id'],
+      vault: ['/vault/public', '/vault/:provider (PUT)', '/vault/lookup'],
+      system: ['/cache (DELETE)']
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * tests/openmetrics.test.js - Tests unitaires pour openmetrics.js
+ *
+ * Tests du rendu OpenMetrics (compteurs, histogrammes, caches, pool, navigateurs)
+ * toys_api v4.1.2
+ */
+
+import {
+  getRouteLabel,
+  recordRouteRequest,
+  renderOpenMetrics,
+  resetOpenMetrics
+} from '../lib/utils/openmetrics.js';
+import { recordHttpCall } from '../lib/utils/http-client.js';
+import { metrics, getCached, setCache, clearCache } from '../lib/utils/state.js';
+
+/**
+ * Lignes d'échantillons d'une métrique (sans les commentaires)
+ */
+function samples(text, name) {
+  return text.split('\n').filter(line => line.startsWith(`${name}{`) || line.startsWith(`${name} `));
+}
+
+describe('OpenMetrics', () => {
+  beforeEach(() => {
+    resetOpenMetrics();
+    clearCache();
+    metrics.cache = { l1: { hits: 0, misses: 0 }, pg: { hits: 0, misses: 0 } };
+    delete metrics.sources.rawg.http;
+  });
+
+  it('should label requests with the declared route, not the raw URL', () => {
+    expect(getRouteLabel({ baseUrl: '/lego', route: { path: '/:id' } })).toBe('/lego/:id');
+    expect(getRouteLabel({ baseUrl: '', originalUrl: '/nope' })).toBe('unmatched');
+  });
+
+  it('should render request counters and cumulative histogram buckets', () => {
+    const req = { method: 'GET', baseUrl: '/rawg', route: { path: '/search' } };
+    recordRouteRequest(req, 200, 80);
+    recordRouteRequest(req, 200, 700);
+    recordRouteRequest(req, 500, 40);
+
+    const text = renderOpenMetrics();
+    const labels = 'route="/rawg/search",method="GET",status="200"';
+    expect(text).toContain('# TYPE toys_api_http_requests counter');
+    expect(text).toContain(`toys_api_http_requests_total{${labels}} 2`);
+    expect(text).toContain(`toys_api_http_request_duration_seconds_bucket{${labels},le="0.1"} 1`);
+    expect(text).toContain(`toys_api_http_request_duration_seconds_bucket{${labels},le="1"} 2`);
+    expect(text).toContain(`toys_api_http_request_duration_seconds_bucket{${labels},le="+Inf"} 2`);
+    expect(text).toContain(`toys_api_http_request_duration_seconds_sum{${labels}} 0.78`);
+    expect(text.endsWith('# EOF\n')).toBe(true);
+  });
+
+  it('should expose upstream calls and latency per source', () => {
+    recordHttpCall('rawg', { duration: 200, status: 200 });
+    recordHttpCall('rawg', { duration: 1500, status: null, via: 'flaresolverr' });
+
+    const text = renderOpenMetrics();
+    expect(text).toContain('toys_api_upstream_calls_total{source="rawg",status="200"} 1');
+    expect(text).toContain('toys_api_upstream_calls_total{source="rawg",status="network_error"} 1');
+    expect(text).toContain('toys_api_upstream_failures_total{source="rawg"} 1');
+    expect(text).toContain('toys_api_upstream_duration_seconds_count{source="rawg",via="flaresolverr"} 1');
+    expect(samples(text, 'toys_api_provider_requests_total')).toContainEqual('toys_api_provider_requests_total{source="rawg"} 0');
+  });
+
+  it('should count L1 cache hits and misses', () => {
+    getCached('absent');
+    setCache('present', { ok: true });
+    getCached('present');
+
+    const text = renderOpenMetrics();
+    expect(text).toContain('toys_api_cache_hits_total{layer="l1"} 1');
+    expect(text).toContain('toys_api_cache_misses_total{layer="l1"} 1');
+    expect(text).toContain('toys_api_cache_entries 1');
+  });
+
+  it('should include pool and browser stats only when provided', () => {
+    expect(renderOpenMetrics()).not.toContain('toys_api_db_pool');
+
+    const text = renderOpenMetrics({
+      pool: { connected: true, totalCount: 4, idleCount: 3, waitingCount: 0, config: { poolMax: 10 } },
+      browser: { isRunning: true, idleTime: 12 },
+      flaresolverr: { sessionActive: false }
+    });
+    expect(text).toContain('toys_api_db_pool_connections{state="idle"} 3');
+    expect(text).toContain('toys_api_db_pool_max 10');
+    expect(text).toContain('toys_api_puppeteer_browser_running 1');
+    expect(text).toContain('toys_api_puppeteer_browser_idle_seconds 12');
+    expect(text).toContain('toys_api_flaresolverr_session_active 0');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * tests/phash.test.js - Tests unitaires pour phash.js
+ *
+ * Tests de l'empreinte perceptuelle (robustesse aux retouches, distance, encodage)
+ * toys_api v4.1.2
+ */
+
+import sharp from 'sharp';
+import {
+  pHashFromPixels,
+  computePHash,
+  hammingDistance,
+  phashToHex
+} from '../lib/utils/phash.js';
+
+/**
+ * Image de test : disques colorés pseudo-aléatoires (graine fixe) sur fond gris
+ */
+function scene(seed = 7, { width = 256, height = 192 } = {}) {
+  const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+  const discs = Array.from({ length: 48 }, () => [random() * width, random() * height, 10 + random() * 50, random() * 255, random() * 255, random() * 255]);
+
+  const raw = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let color = [200, 200, 200];
+      for (const [cx, cy, r, ...rgb] of discs) {
+        if ((x - cx) ** 2 + (y - cy) ** 2 < r * r) color = rgb;
+      }
+      raw.set(color, (y * width + x) * 3);
+    }
+  }
+  return sharp(raw, { raw: { width, height, channels: 3 } });
+}
+
+describe('pHash', () => {
+  it('should produce a 64-bit hash from 32x32 pixels', () => {
+    const pixels = Uint8Array.from({ length: 1024 }, (_, i) => (i % 32) * 8);
+    const hash = pHashFromPixels(pixels);
+    expect(hash).toMatch(/^[01]{64}$/);
+    expect(() => pHashFromPixels(new Uint8Array(10))).toThrow(/1024 pixels/);
+  });
+
+  it('should be stable across resizing and recompression', async () => {
+    const original = await computePHash(await scene().png().toBuffer());
+    const thumbnail = await computePHash(await scene().resize(120).jpeg({ quality: 40 }).toBuffer());
+    const photo = await computePHash(await scene().modulate({ brightness: 1.2 }).blur(1.5).jpeg({ quality: 60 }).toBuffer());
+
+    expect(hammingDistance(original, thumbnail)).toBeLessThanOrEqual(4);
+    expect(hammingDistance(original, photo)).toBeLessThanOrEqual(6);
+  });
+
+  it('should separate different images', async () => {
+    const original = await computePHash(await scene().png().toBuffer());
+    const mirrored = await computePHash(await scene().flop().png().toBuffer());
+    const other = await computePHash(await scene(42).png().toBuffer());
+
+    expect(hammingDistance(original, mirrored)).toBeGreaterThan(16);
+    expect(hammingDistance(original, other)).toBeGreaterThan(16);
+  });
+
+  it('should format hashes as 16 hexadecimal digits', () => {
+    expect(phashToHex('1'.repeat(4) + '0'.repeat(56) + '1010')).toBe('f00000000000000a');
+    expect(phashToHex('0'.repeat(63) + '1')).toBe('0000000000000001');
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * tests/price-history.test.js - Tests unitaires pour price-history.js
+ *
+ * Tests de l'extraction des prix et des tendances par fenêtre
+ * toys_api v4.1.2
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock des dépendances
+const mockQuery = jest.fn();
+const mockQueryOne = jest.fn();
+const mockQueryAll = jest.fn();
+
+jest.unstable_mockModule('../lib/database/connection.js', () => ({
+  query: mockQuery,
+  queryOne: mockQueryOne,
+  queryAll: mockQueryAll
+}));
+
+const {
+  extractPricePoints,
+  recordItemPrices,
+  getItemPriceTrends
+} = await import('../lib/database/price-history.js');
+
+const DAY = 86400000;
+
+describe('PriceHistory', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('extractPricePoints', () => {
+    it('should extract normalized pricing', () => {
+      expect(extractPricePoints({ pricing: { price: 199.99, currency: 'EUR', formatted: '199,99 €' } }))
+        .toEqual([{ key: 'pricing', price: 199.99, currency: 'EUR' }]);
+      expect(extractPricePoints({ pricing: { price: null, currency: null } })).toEqual([]);
+    });
+
+    it('should extract Amazon products and price comparisons', () => {
+      expect(extractPricePoints({ source: 'amazon', marketplace: 'fr', priceValue: 39.9, currency: 'EUR' }))
+        .toEqual([{ key: 'amazon_fr', price: 39.9, currency: 'EUR' }]);
+
+      expect(extractPricePoints({
+        prices: [
+          { country: 'de', priceValue: 37.5, currency: 'EUR' },
+          { marketplace: { code: 'us', currency: 'USD' }, price: { value: 42, currency: 'USD' } }
+        ]
+      })).toEqual([
+        { key: 'amazon_de', price: 37.5, currency: 'EUR' },
+        { key: 'amazon_us', price: 42, currency: 'USD' }
+      ]);
+    });
+
+    it('should extract TCG prices and ignore non-numeric fields', () => {
+      expect(extractPricePoints({ prices: { eur: '1.234', eur_foil: null, tix: '0.03' } })).toEqual([
+        { key: 'eur', price: 1.23, currency: 'EUR' },
+        { key: 'tix', price: 0.03, currency: 'TIX' }
+      ]);
+
+      expect(extractPricePoints({
+        prices: { usd: { low: 1.5, market: 2.25 }, source: 'tcgplayer', updated_at: '2024/05/01' }
+      })).toEqual([
+        { key: 'usd_low', price: 1.5, currency: 'USD' },
+        { key: 'usd_market', price: 2.25, currency: 'USD' }
+      ]);
+    });
+  });
+
+  describe('recordItemPrices', () => {
+    it('should skip items without prices', async () => {
+      expect(await recordItemPrices('lego:42217', { name: 'DeLorean' })).toBe(0);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should insert only values that changed', async () => {
+      mockQuery.mockResolvedValueOnce({ rowCount: 1 });
+
+      const added = await recordItemPrices('lego:42217', { pricing: { price: 169.99, currency: 'EUR' } });
+
+      expect(added).toBe(1);
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('INSERT INTO item_price_history');
+      expect(sql).toContain('WHERE NOT EXISTS');
+      expect(params).toEqual(['lego:42217', JSON.stringify([{ key: 'pricing', price: 169.99, currency: 'EUR' }])]);
+    });
+
+    it('should not fail the caller on database errors', async () => {
+      mockQuery.mockRejectedValueOnce(new Error('relation "item_price_history" does not exist'));
+
+      expect(await recordItemPrices('lego:42217', { pricing: { price: 10 } })).toBe(0);
+    });
+  });
+
+  describe('getItemPriceTrends', () => {
+    it('should compute window stats including the price in effect at the window start', async () => {
+      const now = Date.now();
+      mockQueryOne.mockResolvedValueOnce({ name: 'DeLorean', type: 'construct_toy' });
+      mockQueryAll.mockResolvedValueOnce([
+        { price_key: 'pricing', price: '199.99', currency: 'EUR', recorded_at: new Date(now - 100 * DAY) },
+        { price_key: 'pricing', price: '179.99', currency: 'EUR', recorded_at: new Date(now - 20 * DAY) },
+        { price_key: 'pricing', price: '159.99', currency: 'EUR', recorded_at: new Date(now - 2 * DAY) }
+      ]);
+
+      const result = await getItemPriceTrends('lego:42217', { windows: [1, 30, 'all'] });
+
+      expect(result).toMatchObject({ itemId: 'lego:42217', name: 'DeLorean', cached: true });
+      const pricing = result.prices.pricing;
+      expect(pricing.current).toBe(159.99);
+      expect(pricing.windows['1d']).toMatchObject({ min: 159.99, max: 159.99, changes: 0, change: 0 });
+      expect(pricing.windows['30d']).toEqual({
+        min: 159.99,
+        max: 199.99,
+        avg: 179.99,
+        first: 199.99,
+        last: 159.99,
+        change: -40,
+        changePercent: -20,
+        changes: 2
+      });
+      expect(pricing.windows.all.changes).toBe(3);
+      expect(pricing.history).toBeUndefined();
+    });
+
+    it('should return null when the item is unknown', async () => {
+      mockQueryOne.mockResolvedValueOnce(null);
+      mockQueryAll.mockResolvedValueOnce([]);
+
+      expect(await getItemPriceTrends('lego:0')).toBeNull();
+    });
+  });
+});
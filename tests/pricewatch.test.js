@@ -0,0 +1,188 @@
+/**
+ * tests/pricewatch.test.js - Tests unitaires pour price-watch.js
+ *
+ * Tests des clés de prix, de la vérification (historique, alertes) et de l'historique
+ * toys_api v4.1.2
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock des dépendances
+const mockQuery = jest.fn();
+const mockQueryOne = jest.fn();
+const mockQueryAll = jest.fn();
+
+jest.unstable_mockModule('../lib/database/connection.js', () => ({
+  query: mockQuery,
+  queryOne: mockQueryOne,
+  queryAll: mockQueryAll,
+  isDatabaseConnected: () => true
+}));
+
+const mockComparePrices = jest.fn();
+
+jest.unstable_mockModule('../lib/providers/amazon.js', () => ({
+  comparePrices: mockComparePrices,
+  AMAZON_MARKETPLACES: {
+    fr: { currency: 'EUR', name: 'Amazon France' },
+    de: { currency: 'EUR', name: 'Amazon Allemagne' },
+    us: { currency: 'USD', name: 'Amazon US' }
+  }
+}));
+
+const mockGetMTGCard = jest.fn();
+
+jest.unstable_mockModule('../lib/providers/tcg/mtg.js', () => ({ getMTGCardDetails: mockGetMTGCard }));
+jest.unstable_mockModule('../lib/providers/tcg/yugioh.js', () => ({ getYuGiOhCardDetails: jest.fn() }));
+jest.unstable_mockModule('../lib/providers/tcg/pokemon.js', () => ({ getPokemonCardDetails: jest.fn() }));
+jest.unstable_mockModule('../lib/normalizers/tcg.js', () => ({
+  normalizeMTGCard: async (raw) => raw,
+  normalizeYuGiOhCard: async (raw) => raw,
+  normalizePokemonCard: async (raw) => raw
+}));
+
+const mockSendPriceAlert = jest.fn();
+
+jest.unstable_mockModule('../lib/utils/mailer.js', () => ({ sendPriceAlert: mockSendPriceAlert }));
+
+const {
+  resolvePriceKey,
+  parseWatchFields,
+  checkWatch,
+  getWatchHistory
+} = await import('../lib/database/price-watch.js');
+
+function watchRow(overrides = {}) {
+  return {
+    id: 3,
+    user_id: 'default',
+    source: 'amazon',
+    source_id: 'B0TEST',
+    name: null,
+    target_price: '40.00',
+    currency: 'EUR',
+    price_key: 'fr,de',
+    notify_email: null,
+    active: true,
+    last_price: null,
+    alert_price: null,
+    ...overrides
+  };
+}
+
+/**
+ * Paramètres du dernier UPDATE price_watches
+ */
+function lastUpdateParams() {
+  const call = mockQuery.mock.calls.filter(([sql]) => sql.includes('UPDATE price_watches')).pop();
+  return call[1];
+}
+
+describe('PriceWatch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQuery.mockResolvedValue({ rowCount: 1, rows: [] });
+    mockSendPriceAlert.mockResolvedValue(true);
+  });
+
+  describe('resolvePriceKey', () => {
+    it('should resolve default keys and currencies', () => {
+      expect(resolvePriceKey('amazon')).toEqual({ key: 'fr', currency: 'EUR' });
+      expect(resolvePriceKey('tcg_mtg', 'USD_FOIL')).toEqual({ key: 'usd_foil', currency: 'USD' });
+      expect(resolvePriceKey('amazon', 'fr, de')).toEqual({ key: 'fr,de', currency: 'EUR' });
+    });
+
+    it('should reject unknown keys and mixed currencies', () => {
+      expect(resolvePriceKey('amazon', 'fr,us')).toBeNull();
+      expect(resolvePriceKey('tcg_mtg', 'eur,eur_foil')).toBeNull();
+      expect(resolvePriceKey('tcg_mtg', 'tix')).toBeNull();
+      expect(resolvePriceKey('lego')).toBeNull();
+    });
+  });
+
+  describe('parseWatchFields', () => {
+    it('should validate a new watch', () => {
+      const { fields, error } = parseWatchFields({ source: 'tcg_mtg', sourceId: 'abc', targetPrice: '2.5' });
+
+      expect(error).toBeNull();
+      expect(fields).toEqual({ source: 'tcg_mtg', source_id: 'abc', price_key: 'eur', currency: 'EUR', target_price: 2.5 });
+      expect(parseWatchFields({ source: 'amazon', sourceId: 'B0', targetPrice: 0 }).error).toContain('targetPrice');
+      expect(parseWatchFields({ targetPrice: 10 }, { partial: true }).fields).toEqual({ target_price: 10 });
+    });
+  });
+
+  describe('checkWatch', () => {
+    it('should store history and alert once when the price drops below target', async () => {
+      mockComparePrices.mockResolvedValue({
+        prices: [
+          { country: 'de', marketplace: 'Amazon Allemagne', priceValue: 37.5, url: 'https://amazon.de/dp/B0TEST' },
+          { country: 'fr', marketplace: 'Amazon France', priceValue: 39.9, url: 'https://amazon.fr/dp/B0TEST' }
+        ]
+      });
+
+      const result = await checkWatch(watchRow());
+
+      expect(mockComparePrices).toHaveBeenCalledWith('B0TEST', ['fr', 'de']);
+      expect(result).toEqual({ watchId: 3, price: 37.5, belowTarget: true, alerted: true });
+      expect(mockQuery.mock.calls[0][0]).toContain('INSERT INTO price_watch_history');
+      expect(mockQuery.mock.calls[0][1]).toEqual([3, 37.5, 'EUR', expect.stringContaining('Amazon Allemagne')]);
+      expect(mockSendPriceAlert).toHaveBeenCalledWith(expect.objectContaining({
+        price: 37.5,
+        watch: expect.objectContaining({ id: 3, targetPrice: 40 })
+      }));
+      expect(lastUpdateParams()).toEqual([3, 37.5, null, 37.5, true]);
+
+      // Même prix au cycle suivant : pas de nouvelle alerte
+      mockSendPriceAlert.mockClear();
+      const again = await checkWatch(watchRow({ alert_price: '37.50' }));
+      expect(again.alerted).toBe(false);
+      expect(mockSendPriceAlert).not.toHaveBeenCalled();
+      expect(lastUpdateParams()[3]).toBe('37.50');
+    });
+
+    it('should reset the alert when the price goes back above target', async () => {
+      mockGetMTGCard.mockResolvedValue({ name: 'Black Lotus', prices: { eur: '55.10' } });
+
+      const result = await checkWatch(watchRow({ source: 'tcg_mtg', price_key: 'eur', alert_price: '38.00' }));
+
+      expect(result).toMatchObject({ price: 55.1, belowTarget: false, alerted: false });
+      expect(lastUpdateParams()).toEqual([3, 55.1, 'Black Lotus', null, false]);
+    });
+
+    it('should record failed checks as error history rows', async () => {
+      mockComparePrices.mockResolvedValue({ prices: [], errors: [{ country: 'fr', error: 'Captcha' }] });
+
+      const result = await checkWatch(watchRow());
+
+      expect(result).toMatchObject({ price: null, alerted: false, error: 'Captcha' });
+      expect(mockQuery.mock.calls[0][1]).toEqual([3, 'EUR', 'Captcha']);
+      expect(mockQuery.mock.calls[1][0]).toContain('last_error = $2');
+      expect(mockSendPriceAlert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getWatchHistory', () => {
+    it('should return the chronological series with stats', async () => {
+      mockQueryOne.mockResolvedValueOnce(watchRow({ last_price: '38.00' }));
+      mockQueryAll.mockResolvedValueOnce([
+        { price: '45.00', currency: 'EUR', details: {}, error: null, checked_at: '2024-01-01T00:00:00Z' },
+        { price: '38.00', currency: 'EUR', details: {}, error: null, checked_at: '2024-01-02T00:00:00Z' },
+        { price: '41.50', currency: 'EUR', details: {}, error: null, checked_at: '2024-01-03T00:00:00Z' }
+      ]);
+
+      const result = await getWatchHistory('default', 3, { days: 30 });
+
+      expect(mockQueryAll.mock.calls[0][1]).toEqual([3, 30, false]);
+      expect(result.watch).toMatchObject({ id: 3, lastPrice: 38, belowTarget: true });
+      expect(result.history.map(point => point.price)).toEqual([45, 38, 41.5]);
+      expect(result.stats).toEqual({ count: 3, min: 38, max: 45, avg: 41.5, last: 41.5 });
+    });
+
+    it('should return null for watches of another user', async () => {
+      mockQueryOne.mockResolvedValueOnce(null);
+
+      expect(await getWatchHistory('bob', 3)).toBeNull();
+      expect(mockQueryAll).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * tests/provider-guard.test.js - Tests unitaires pour provider-guard.js
+ *
+ * Tests du token bucket, du circuit breaker et du middleware de route
+ * toys_api v4.1.2
+ */
+
+import { jest } from '@jest/globals';
+
+const {
+  CIRCUIT_STATE,
+  TokenBucket,
+  CircuitBreaker,
+  getSourceForUrl,
+  throttle,
+  recordProviderFailure,
+  recordUpstreamResult,
+  providerGuard,
+  getProviderGuardStates,
+  resetProviderGuards
+} = await import('../lib/utils/provider-guard.js');
+
+/**
+ * Réponse Express minimale (status, set, json, événement finish)
+ */
+function mockResponse() {
+  const headers = {};
+  const listeners = {};
+  const res = {
+    statusCode: 200,
+    body: null,
+    set: jest.fn((name, value) => { headers[name] = value; return res; }),
+    get: (name) => headers[name],
+    status: jest.fn((code) => { res.statusCode = code; return res; }),
+    json: jest.fn((body) => { res.body = body; return res; }),
+    on: (event, fn) => { listeners[event] = fn; },
+    emit: (event) => listeners[event]?.()
+  };
+  return res;
+}
+
+describe('ProviderGuard', () => {
+  beforeEach(() => {
+    resetProviderGuards();
+    jest.restoreAllMocks();
+  });
+
+  describe('TokenBucket', () => {
+    it('should serve the burst immediately then wait for tokens', async () => {
+      const bucket = new TokenBucket({ rate: 20, burst: 2 });
+
+      expect(await bucket.take()).toBe(0);
+      expect(await bucket.take()).toBe(0);
+
+      const wait = await bucket.take();
+      expect(wait).toBeGreaterThan(0);
+      expect(wait).toBeLessThanOrEqual(50);
+    });
+  });
+
+  describe('CircuitBreaker', () => {
+    it('should open after the threshold, then half-open after cooldown', () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+      const breaker = new CircuitBreaker('test', { failureThreshold: 2, cooldownMs: 10_000 });
+
+      breaker.recordFailure('HTTP 500');
+      expect(breaker.check().available).toBe(true);
+      breaker.recordFailure('HTTP 500');
+      expect(breaker.state).toBe(CIRCUIT_STATE.OPEN);
+      expect(breaker.check()).toMatchObject({ available: false, retryAfter: 10 });
+
+      now.mockReturnValue(1_010_001);
+      expect(breaker.check().available).toBe(true);
+      expect(breaker.acquire().available).toBe(true);
+      expect(breaker.state).toBe(CIRCUIT_STATE.HALF_OPEN);
+
+      // Un échec pendant l'essai rouvre immédiatement le circuit
+      breaker.recordFailure('HTTP 500');
+      expect(breaker.state).toBe(CIRCUIT_STATE.OPEN);
+
+      now.mockReturnValue(1_030_000);
+      breaker.acquire();
+      breaker.recordSuccess();
+      expect(breaker.state).toBe(CIRCUIT_STATE.CLOSED);
+      expect(breaker.consecutiveFailures).toBe(0);
+    });
+
+    it('should admit a single probe and reject the rest until it settles', () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+      const breaker = new CircuitBreaker('test', { failureThreshold: 1, cooldownMs: 10_000 });
+      breaker.recordFailure('HTTP 500');
+
+      now.mockReturnValue(1_010_001);
+      expect(breaker.acquire().available).toBe(true);
+      expect(breaker.acquire()).toMatchObject({ available: false, retryAfter: 60 });
+      expect(breaker.check().available).toBe(false);
+
+      // Essai sans résultat : un nouvel essai est admis après le délai
+      now.mockReturnValue(1_070_002);
+      expect(breaker.acquire().available).toBe(true);
+      expect(breaker.acquire().available).toBe(false);
+
+      breaker.recordSuccess();
+      expect(breaker.acquire().available).toBe(true);
+      expect(breaker.acquire().available).toBe(true);
+    });
+  });
+
+  describe('getSourceForUrl', () => {
+    it('should match configured hosts and subdomains', () => {
+      expect(getSourceForUrl('https://api.scryfall.com/cards/search?q=x')).toBe('tcg_mtg');
+      expect(getSourceForUrl('https://www.bedetheque.com/serie-1.html')).toBe('bedetheque');
+      expect(getSourceForUrl('https://example.org/')).toBeNull();
+      expect(getSourceForUrl('not a url')).toBeNull();
+    });
+  });
+
+  describe('throttle', () => {
+    it('should reject with a 503 error when the circuit is open', async () => {
+      for (let i = 0; i < 3; i++) recordProviderFailure('bedetheque', new Error('HTTP 403'));
+
+      await expect(throttle('bedetheque')).rejects.toMatchObject({
+        status: 503,
+        source: 'bedetheque',
+        retryAfter: expect.any(Number)
+      });
+      expect(getProviderGuardStates().open).toEqual(['bedetheque']);
+    });
+  });
+
+  describe('providerGuard', () => {
+    it('should answer 503 with Retry-After when the circuit is open', () => {
+      for (let i = 0; i < 3; i++) recordProviderFailure('coleka', 'HTTP 500');
+      const res = mockResponse();
+      const next = jest.fn();
+
+      providerGuard('coleka')({ originalUrl: '/coleka/search' }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(503);
+      expect(Number(res.get('Retry-After'))).toBeGreaterThan(0);
+      expect(res.body).toMatchObject({ provider: 'coleka', code: 503 });
+    });
+
+    it('should not count route responses', () => {
+      const middleware = providerGuard('lego');
+
+      for (let i = 0; i < 4; i++) {
+        const res = mockResponse();
+        const next = jest.fn();
+        middleware({ originalUrl: '/lego/search' }, res, next);
+        expect(next).toHaveBeenCalled();
+        res.statusCode = 500;
+        res.emit('finish');
+      }
+      expect(getProviderGuardStates().providers.lego.consecutiveFailures).toBe(0);
+    });
+  });
+
+  describe('recordUpstreamResult', () => {
+    it('should count network errors and upstream 5xx only', () => {
+      recordUpstreamResult('lego', null);
+      recordUpstreamResult('lego', 502);
+      recordUpstreamResult('lego', 404);
+      expect(getProviderGuardStates().providers.lego).toMatchObject({ consecutiveFailures: 2, totalFailures: 2 });
+
+      recordUpstreamResult('lego', 200);
+      expect(getProviderGuardStates().providers.lego.consecutiveFailures).toBe(0);
+    });
+
+    it('should ignore sources without hosts (they report their own failures)', () => {
+      recordUpstreamResult('amazon', 500);
+      recordUpstreamResult(null, 500);
+
+      expect(getProviderGuardStates().providers.amazon).toBeUndefined();
+    });
+  });
+});
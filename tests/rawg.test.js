@@ -0,0 +1,81 @@
+/**
+ * tests/rawg.test.js - Tests hors ligne du provider RAWG
+ *
+ * Réponses rejouées depuis tests/fixtures/http (clé API masquée)
+ * toys_api v4.1.2
+ */
+
+import { getFixtureMode, setFixtureMode } from '../lib/utils/http-fixtures.js';
+import {
+  searchRawg,
+  getRawgGameDetails,
+  searchRawgNormalized,
+  getRawgGameDetailsNormalized
+} from '../lib/providers/rawg.js';
+
+const API_KEY = process.env.RAWG_API_KEY || 'test-key';
+
+describe('RAWG', () => {
+  beforeAll(() => {
+    if (getFixtureMode() !== 'record') setFixtureMode('replay');
+  });
+
+  describe('searchRawg', () => {
+    it('should map games and pagination', async () => {
+      const result = await searchRawg('zelda', API_KEY, { max: 5 });
+
+      expect(result).toMatchObject({ totalResults: 42, totalPages: 9, hasNext: true, count: 1 });
+      expect(result.games[0]).toMatchObject({
+        id: 22511,
+        name: 'The Legend of Zelda: Breath of the Wild',
+        released: '2017-03-02',
+        url: 'https://rawg.io/games/the-legend-of-zelda-breath-of-the-wild'
+      });
+      expect(result.games[0].platforms.map(p => p.slug)).toEqual(['nintendo-switch', 'wii-u']);
+    });
+
+    it('should normalize search results', async () => {
+      const result = await searchRawgNormalized('zelda', API_KEY, { max: 5 });
+
+      expect(result.pagination).toMatchObject({ totalResults: 42, hasNextPage: true });
+      expect(result.results[0]).toMatchObject({
+        provider: 'rawg',
+        provider_id: '22511',
+        year: 2017,
+        genres: ['Action', 'Adventure']
+      });
+      expect(result.results[0].age_rating.min_age).toBe(10);
+    });
+  });
+
+  describe('getRawgGameDetails', () => {
+    it('should harmonize the game detail', async () => {
+      const game = await getRawgGameDetails(22511, API_KEY);
+
+      expect(game).toMatchObject({
+        source: 'rawg',
+        id: 22511,
+        title: 'The Legend of Zelda: Breath of the Wild',
+        synopsis: 'Step into a world of discovery.',
+        platforms: ['Nintendo Switch'],
+        developers: ['Nintendo EPD'],
+        publishers: ['Nintendo'],
+        minAge: 10,
+        isMultiplayer: false,
+        rating: 90
+      });
+      expect(game.image).toHaveLength(2);
+    });
+
+    it('should normalize the game detail', async () => {
+      const game = await getRawgGameDetailsNormalized(22511, API_KEY);
+
+      expect(game).toMatchObject({ provider: 'rawg', provider_id: '22511', year: 2017 });
+      expect(game.keywords).toEqual(['Singleplayer', 'Open World']);
+    });
+
+    it('should report unknown games', async () => {
+      await expect(getRawgGameDetails(0, API_KEY)).rejects.toThrow('Jeu 0 non trouvé sur RAWG');
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * tests/rebrickable.test.js - Tests unitaires des inventaires Rebrickable
+ *
+ * Tests de la lecture d'inventaire (tableau, CSV Rebrickable/BrickLink),
+ * du pourcentage constructible, de la comparaison de sets et des exports
+ * toys_api v4.1.2
+ */
+
+import {
+  parsePartsInventory,
+  indexInventory,
+  compareInventory,
+  diffInventories,
+  buildColorMaps,
+  exportPartList
+} from '../lib/providers/rebrickable.js';
+
+const SET_PARTS = [
+  { part_num: '3001', name: 'Brick 2 x 4', color_id: 4, color_name: 'Red', quantity: 10, is_spare: false },
+  { part_num: '3003', name: 'Brick 2 x 2', color_id: 15, color_name: 'White', quantity: 4, is_spare: false },
+  { part_num: '3023', name: 'Plate 1 x 2', color_id: 0, color_name: 'Black', quantity: 6, is_spare: false }
+];
+
+const COLORS = [
+  { id: 4, name: 'Red', bricklink_ids: [5], ldraw_ids: [4] },
+  { id: 15, name: 'White', bricklink_ids: [1], ldraw_ids: [15] },
+  { id: 0, name: 'Black', bricklink_ids: [11], ldraw_ids: [] }
+];
+
+describe('Rebrickable inventories', () => {
+  it('should parse arrays and aggregate duplicate lots', () => {
+    const { parts, skipped } = parsePartsInventory([
+      { part_num: '3001', color_id: '4', quantity: 6 },
+      { part_num: '3001', color_id: 4, quantity: '2' },
+      { part_num: '', color_id: 4, quantity: 1 },
+      { part_num: '3003', color_id: 15 }
+    ]);
+    expect(skipped).toBe(1);
+    expect(indexInventory(parts)).toEqual(new Map([['3001|4', 8], ['3003|15', 1]]));
+  });
+
+  it('should read Rebrickable and BrickLink CSV exports', () => {
+    const rebrickable = parsePartsInventory('Part,Color,Quantity,Is Spare\r\n3001,4,12,False\n"3003",15,2,False\n');
+    expect(rebrickable.format).toBe('rebrickable');
+    expect(rebrickable.parts).toEqual([
+      { part_num: '3001', color_id: 4, quantity: 12 },
+      { part_num: '3003', color_id: 15, quantity: 2 }
+    ]);
+
+    const bricklink = parsePartsInventory('Item No;Color ID;Qty\n3001;5;3');
+    expect(bricklink.format).toBe('bricklink');
+    expect(bricklink.parts).toEqual([{ part_num: '3001', color_id: 5, quantity: 3 }]);
+  });
+
+  it('should reject CSV without part and color columns', () => {
+    expect(() => parsePartsInventory('Name,Qty\nBrick,2')).toThrow(/colonnes pièce et couleur/);
+    expect(() => parsePartsInventory(undefined)).toThrow(/Inventaire manquant/);
+  });
+
+  it('should compute the buildable percentage and exact missing parts', () => {
+    const owned = indexInventory([
+      { part_num: '3001', color_id: 4, quantity: 20 },
+      { part_num: '3003', color_id: 15, quantity: 1 },
+      { part_num: '3023', color_id: 72, quantity: 6 }
+    ]);
+    const result = compareInventory(owned, SET_PARTS);
+
+    expect(result).toMatchObject({ total_quantity: 20, owned_quantity: 11, missing_quantity: 9, percent: 55 });
+    expect(result.missing.map(p => [p.part_num, p.color_id, p.missing])).toEqual([
+      ['3023', 0, 6],
+      ['3003', 15, 3]
+    ]);
+  });
+
+  it('should diff two set inventories by part and color', () => {
+    const other = [
+      { part_num: '3001', name: 'Brick 2 x 4', color_id: 4, color_name: 'Red', quantity: 7 },
+      { part_num: '3003', name: 'Brick 2 x 2', color_id: 15, color_name: 'White', quantity: 4 },
+      { part_num: '3024', name: 'Plate 1 x 1', color_id: 0, color_name: 'Black', quantity: 2 }
+    ];
+    const diff = diffInventories(SET_PARTS, other);
+
+    expect(diff.common).toEqual([
+      expect.objectContaining({ part_num: '3001', quantity: 7 }),
+      expect.objectContaining({ part_num: '3003', quantity: 4 })
+    ]);
+    expect(diff.only_in_a).toEqual([expect.objectContaining({ part_num: '3023', quantity: 6 })]);
+    expect(diff.only_in_b).toEqual([expect.objectContaining({ part_num: '3024', quantity: 2 })]);
+    expect(diff.quantity_diff).toEqual([
+      { part_num: '3001', name: 'Brick 2 x 4', color_id: 4, color_name: 'Red', quantity_a: 10, quantity_b: 7 }
+    ]);
+  });
+
+  it('should map Rebrickable colors to BrickLink and LDraw', () => {
+    const maps = buildColorMaps(COLORS);
+    expect(maps.toBrickLink.get(4)).toBe(5);
+    expect(maps.fromBrickLink.get(11)).toBe(0);
+    expect(maps.toLDraw.has(0)).toBe(false);
+  });
+
+  it('should export a BrickLink wanted list without spares by default', () => {
+    const parts = [
+      ...SET_PARTS,
+      { part_num: '3001', color_id: 4, quantity: 1, is_spare: true },
+      { part_num: '3069b', bricklink_id: '3069', color_id: 15, quantity: 2, is_spare: false }
+    ];
+    const exported = exportPartList(parts, 'bricklink', { colors: COLORS, wantedListId: '42' });
+
+    expect(exported.contentType).toBe('application/xml');
+    expect(exported.lines).toBe(4);
+    expect(exported.body).toContain('<ITEMID>3001</ITEMID>\n    <COLOR>5</COLOR>\n    <MINQTY>10</MINQTY>\n    <WANTEDLISTID>42</WANTEDLISTID>');
+    expect(exported.body).toContain('<ITEMID>3069</ITEMID>');
+
+    const withSpares = exportPartList(parts, 'bricklink', { colors: COLORS, includeSpares: true });
+    expect(withSpares.body).toContain('<MINQTY>11</MINQTY>');
+  });
+
+  it('should keep the BrickLink title comment well-formed', () => {
+    const exported = exportPartList(SET_PARTS, 'bricklink', { colors: COLORS, title: 'DeLorean -- 10300---1 -->' });
+
+    expect(exported.body.split('\n')[1]).toBe('<!-- DeLorean - 10300-1 -&gt; -->');
+  });
+
+  it('should export Rebrickable CSV and LDraw files', () => {
+    const csv = exportPartList([...SET_PARTS, { part_num: '3001', color_id: 4, quantity: 1, is_spare: true }], 'rebrickable', {
+      includeSpares: true
+    });
+    expect(csv.body.split('\n')).toEqual([
+      'Part,Color,Quantity,Is Spare',
+      '3001,4,10,False',
+      '3003,15,4,False',
+      '3023,0,6,False',
+      '3001,4,1,True',
+      ''
+    ]);
+
+    const ldraw = exportPartList(SET_PARTS, 'ldraw', { colors: COLORS, title: '75192-1 parts' });
+    const refs = ldraw.body.split('\r\n').filter(line => line.startsWith('1 '));
+    expect(refs).toHaveLength(14);
+    expect(refs[0]).toBe('1 4 0 0 0 1 0 0 0 1 0 0 0 1 3001.dat');
+    expect(ldraw.skipped).toEqual([{ part_num: '3023', color_id: 0, reason: 'couleur LDraw inconnue' }]);
+  });
+
+  it('should reject unknown export formats', () => {
+    expect(() => exportPartList(SET_PARTS, 'lxf')).toThrow(/Format d'export invalide/);
+  });
+});
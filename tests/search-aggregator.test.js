@@ -0,0 +1,160 @@
+/**
+ * tests/search-aggregator.test.js - Tests unitaires pour search/aggregator.js
+ *
+ * Tests de la recherche unifiée (statuts, fusion, classement)
+ * toys_api v4.1.2
+ */
+
+import { jest } from '@jest/globals';
+
+// Registre de providers factices
+const mockProviders = {
+  alpha: {
+    type: 'book', source: 'alpha', route: 'alpha', detailType: 'book', keyName: null,
+    search: jest.fn()
+  },
+  beta: {
+    type: 'book', source: 'beta', route: 'beta', detailType: 'book', keyName: null,
+    search: jest.fn()
+  },
+  keyed: {
+    type: 'book', source: 'keyed', route: 'keyed', detailType: 'book', keyName: 'keyed',
+    search: jest.fn()
+  },
+  slow: {
+    type: 'book', source: 'slow', route: 'slow', detailType: 'book', keyName: null,
+    search: jest.fn(() => new Promise(() => {}))
+  }
+};
+
+jest.unstable_mockModule('../lib/providers/registry.js', () => ({
+  SEARCH_PROVIDERS: mockProviders,
+  default: mockProviders
+}));
+
+const { recordProviderFailure, resetProviderGuards } = await import('../lib/utils/provider-guard.js');
+
+const {
+  aggregateSearch,
+  mergeResults,
+  toSearchResult,
+  normalizeIsbnKey,
+  normalizeEanKey,
+  PROVIDER_STATUS
+} = await import('../lib/search/aggregator.js');
+
+describe('SearchAggregator', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetProviderGuards();
+  });
+
+  describe('identifiants', () => {
+    it('should convert ISBN-10 to ISBN-13', () => {
+      expect(normalizeIsbnKey('2-07-054090-5')).toBe('9782070540907');
+      expect(normalizeIsbnKey('9782070540907')).toBe('9782070540907');
+      expect(normalizeIsbnKey('abc')).toBeNull();
+    });
+
+    it('should convert UPC-A to EAN-13', () => {
+      expect(normalizeEanKey('673419340540')).toBe('0673419340540');
+      expect(normalizeEanKey('5702017583587')).toBe('5702017583587');
+    });
+  });
+
+  describe('toSearchResult', () => {
+    it('should map heterogeneous fields to SEARCH_RESULT_SCHEMA', () => {
+      const result = toSearchResult({
+        provider_id: 'tt0133093',
+        title: 'The Matrix',
+        original_title: 'The Matrix',
+        release_date: '1999-03-31',
+        poster_url: 'https://img/poster.jpg'
+      }, 'alpha');
+
+      expect(result).toMatchObject({
+        type: 'book',
+        source: 'alpha',
+        sourceId: 'tt0133093',
+        name: 'The Matrix',
+        year: 1999,
+        image: 'https://img/poster.jpg'
+      });
+      expect(result.detailUrl).toContain('/alpha/details?detailUrl=');
+    });
+  });
+
+  describe('mergeResults', () => {
+    it('should merge items sharing an ISBN and keep all sources', () => {
+      const merged = mergeResults([
+        { source: 'alpha', sourceId: '1', name: 'Dune', image: null, isbn: '9780441013593', _rank: 0 },
+        { source: 'beta', sourceId: 'b1', name: 'Dune', image: 'https://img/dune.jpg', isbn: '9780441013593', _rank: 2 },
+        { source: 'beta', sourceId: 'b2', name: 'Other', isbn: '9780000000002', _rank: 1 }
+      ]);
+
+      expect(merged).toHaveLength(2);
+      expect(merged[0].sources.map(s => s.source)).toEqual(['alpha', 'beta']);
+      expect(merged[0].image).toBe('https://img/dune.jpg');
+    });
+  });
+
+  describe('aggregateSearch', () => {
+    it('should report per-provider status and rank merged results', async () => {
+      mockProviders.alpha.search.mockResolvedValue([
+        { id: 'a1', title: 'Dune', isbn: '0441013597' },
+        { id: 'a2', title: 'Dune Messiah' }
+      ]);
+      mockProviders.beta.search.mockRejectedValue(new Error('HTTP 500'));
+
+      const result = await aggregateSearch('Dune', {
+        providers: ['alpha', 'beta', 'keyed', 'slow'],
+        timeout: 50
+      });
+
+      expect(result.providers.alpha.status).toBe(PROVIDER_STATUS.OK);
+      expect(result.providers.beta.status).toBe(PROVIDER_STATUS.ERROR);
+      expect(result.providers.keyed.status).toBe(PROVIDER_STATUS.SKIPPED_NO_KEY);
+      expect(result.providers.slow.status).toBe(PROVIDER_STATUS.TIMEOUT);
+      expect(mockProviders.keyed.search).not.toHaveBeenCalled();
+
+      expect(result.results[0].name).toBe('Dune');
+      expect(result.results[0].isbn).toBe('9780441013593');
+      expect(result.results[0].score).toBeGreaterThan(result.results[1].score);
+    });
+
+    it('should pass the provider key when available', async () => {
+      mockProviders.keyed.search.mockResolvedValue({ results: [{ id: 'k1', name: 'Dune' }] });
+
+      const result = await aggregateSearch('Dune', {
+        providers: ['keyed'],
+        keys: { keyed: 'secret' }
+      });
+
+      expect(mockProviders.keyed.search).toHaveBeenCalledWith('Dune', expect.objectContaining({ apiKey: 'secret' }));
+      expect(result.providers.keyed).toMatchObject({ status: PROVIDER_STATUS.OK, count: 1 });
+    });
+
+    it('should not count provider errors against the circuit', async () => {
+      const invalidKey = Object.assign(new Error('HTTP 401'), { status: 401 });
+      mockProviders.alpha.search.mockRejectedValue(invalidKey);
+      for (let i = 0; i < 6; i++) await aggregateSearch('Dune', { providers: ['alpha'] });
+
+      const result = await aggregateSearch('Dune', { providers: ['alpha'] });
+
+      expect(mockProviders.alpha.search).toHaveBeenCalledTimes(7);
+      expect(result.providers.alpha).toMatchObject({ status: PROVIDER_STATUS.ERROR });
+    });
+
+    it('should skip providers whose circuit is open', async () => {
+      for (let i = 0; i < 5; i++) recordProviderFailure('alpha', 'HTTP 500');
+
+      const result = await aggregateSearch('Dune', { providers: ['alpha'] });
+
+      expect(mockProviders.alpha.search).not.toHaveBeenCalled();
+      expect(result.providers.alpha).toMatchObject({
+        status: PROVIDER_STATUS.CIRCUIT_OPEN,
+        retryAfter: expect.any(Number)
+      });
+    });
+  });
+});
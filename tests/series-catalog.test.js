@@ -0,0 +1,159 @@
+/**
+ * tests/series-catalog.test.js - Tests unitaires pour series-catalog.js
+ *
+ * Tests de l'extraction des séries provider (ordre des membres) et de
+ * l'enregistrement avec rattachement des items
+ * toys_api v4.1.2
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock des dépendances
+const mockQuery = jest.fn();
+const mockQueryOne = jest.fn();
+const mockQueryAll = jest.fn();
+
+jest.unstable_mockModule('../lib/database/connection.js', () => ({
+  query: mockQuery,
+  queryOne: mockQueryOne,
+  queryAll: mockQueryAll,
+  isDatabaseConnected: () => true
+}));
+
+const {
+  tomeFromTitle,
+  extractSeries,
+  saveSeries,
+  recordSeries,
+  getSeries
+} = await import('../lib/database/series-catalog.js');
+
+describe('series-catalog', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockQueryOne.mockReset();
+    mockQueryAll.mockReset();
+  });
+
+  it('should parse tome numbers from album titles', () => {
+    expect(tomeFromTitle('Astérix - Tome 12 - Astérix aux jeux olympiques')).toBe(12);
+    expect(tomeFromTitle('Blacksad T3 - Âme rouge')).toBe(3);
+    expect(tomeFromTitle('5. Le Domaine des dieux')).toBe(5);
+    expect(tomeFromTitle('Astérix - HS - Le livre d\'or')).toBeNull();
+  });
+
+  it('should order Bedetheque albums by tome and keep specials last', () => {
+    const series = extractSeries('bedetheque', {
+      id: 59,
+      title: 'Astérix',
+      status: 'En cours',
+      albumCount: 3,
+      image: ['https://www.bedetheque.com/media/Couvertures/asterix.jpg'],
+      albums: [
+        { id: 22942, title: 'Astérix - HS - Le livre d\'or', url: 'u3' },
+        { id: 123, title: 'Astérix - Tome 2 - La serpe d\'or', url: 'u2' },
+        { id: 122, title: 'Astérix - Tome 1 - Astérix le gaulois', url: 'u1' }
+      ]
+    });
+
+    expect(series).toMatchObject({ source: 'bedetheque', sourceId: '59', name: 'Astérix', kind: 'album', itemCount: 3 });
+    expect(series.members.map(m => [m.position, m.number, m.sourceId])).toEqual([
+      [1, 1, '122'], [2, 2, '123'], [3, null, '22942']
+    ]);
+    expect(series.linkIds).toEqual(['22942', '123', '122']);
+  });
+
+  it('should sort Comic Vine issues numerically and TMDB seasons by number', () => {
+    const comics = extractSeries('comicvine_issues', {
+      volumeId: 4050,
+      volume: 'Watchmen',
+      totalIssues: 3,
+      issues: [
+        { id: 3, number: '10', title: null, coverDate: '1987-07-01' },
+        { id: 1, number: '2', title: 'Absent Friends', coverDate: '1986-10-01' },
+        { id: 2, number: '1.5', title: null, coverDate: '1986-09-15' }
+      ]
+    });
+    expect(comics.members.map(m => m.number)).toEqual(['1.5', '2', '10']);
+
+    const tv = extractSeries('tmdb_tv', {
+      id: 1399,
+      name: 'Game of Thrones',
+      numberOfSeasons: 2,
+      seasons: [
+        { id: 3625, name: 'Saison 2', seasonNumber: 2, episodeCount: 10 },
+        { id: 3627, name: 'Épisodes spéciaux', seasonNumber: 0, episodeCount: 5 },
+        { id: 3624, name: 'Saison 1', seasonNumber: 1, episodeCount: 10 }
+      ]
+    });
+    expect(tv.members.map(m => m.title)).toEqual(['Épisodes spéciaux', 'Saison 1', 'Saison 2']);
+    expect(tv.linkIds).toEqual(['1399']);
+  });
+
+  it('should build MangaDex volumes and Jikan franchise chains', () => {
+    const manga = extractSeries('mangadex_aggregate', {
+      mangaId: 'a1c7c817',
+      volumes: [
+        { volume: 'none', count: 2, issues: [{ number: '120' }, { number: '121' }] },
+        { volume: '1', count: 2, issues: [{ number: '1' }, { number: '2' }] }
+      ]
+    });
+    expect(manga.name).toBeNull();
+    expect(manga.members).toMatchObject([
+      { position: 1, number: 1, chapters: ['1', '2'] },
+      { position: 2, number: null, title: 'Chapitres hors volume' }
+    ]);
+
+    const anime = extractSeries('jikan_anime', {
+      id: 16498,
+      title: 'Shingeki no Kyojin',
+      episodes: 25,
+      relations: [
+        { relation: 'Sequel', entries: [{ id: 25777, type: 'anime', name: 'Season 2' }] },
+        { relation: 'Adaptation', entries: [{ id: 23390, type: 'manga', name: 'Shingeki no Kyojin' }] }
+      ]
+    });
+    expect(anime.source).toBe('jikan_anime');
+    expect(anime.members.map(m => [m.sourceId, m.current])).toEqual([['16498', true], ['25777', false]]);
+  });
+
+  it('should upsert the series then link member items', async () => {
+    mockQueryOne.mockResolvedValue({ name: 'Astérix' });
+    mockQuery.mockResolvedValue({ rowCount: 2 });
+
+    const id = await saveSeries(extractSeries('bedetheque', {
+      id: 59,
+      title: 'Astérix',
+      albums: [{ id: 122, title: 'Astérix - Tome 1', url: 'u1' }]
+    }));
+
+    expect(id).toBe('bedetheque:59');
+    const [insertSql, insertParams] = mockQueryOne.mock.calls[0];
+    expect(insertSql).toContain('INSERT INTO series');
+    expect(insertParams.slice(0, 4)).toEqual(['bedetheque:59', 'bedetheque', '59', 'Astérix']);
+    expect(JSON.parse(insertParams[7])).toMatchObject({ kind: 'album', members: [{ number: 1, sourceId: '122' }] });
+
+    const [linkSql, linkParams] = mockQuery.mock.calls[0];
+    expect(linkSql).toContain('UPDATE items SET series_id');
+    expect(linkParams).toEqual(['59', 'Astérix', ['bedetheque'], null, ['122']]);
+  });
+
+  it('should let getSeries wait for a pending save', async () => {
+    mockQueryOne
+      .mockResolvedValueOnce({ name: 'Game of Thrones' })
+      .mockResolvedValueOnce({
+        id: 'tmdb:1399', source: 'tmdb', source_id: '1399', name: 'Game of Thrones',
+        data: { kind: 'season', members: [{ position: 1, number: 1, title: 'Saison 1' }] }
+      });
+    mockQuery.mockResolvedValue({ rowCount: 1 });
+    mockQueryAll.mockResolvedValue([]);
+
+    recordSeries('tmdb_tv', { id: 1399, name: 'Game of Thrones', seasons: [{ id: 3624, name: 'Saison 1', seasonNumber: 1 }] });
+    const series = await getSeries('tmdb', '1399');
+
+    expect(mockQueryOne.mock.calls[0][0]).toContain('INSERT INTO series');
+    expect(series).toMatchObject({ id: 'tmdb:1399', kind: 'season', detailUrl: '/series/tmdb/1399', items: [] });
+    expect(series.members).toHaveLength(1);
+    expect(mockQueryAll.mock.calls[0][1]).toEqual(['1399', ['tmdb', 'tmdb_series'], ['series', 'tv']]);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * tests/series-completion.test.js - Tests unitaires pour series-completion.js
+ *
+ * Tests de l'analyse des tomes possédés, du calcul des manquants / annoncés
+ * et du complément des albums Bedetheque absents du cache
+ * toys_api v4.1.2
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock des dépendances
+const mockQueryAll = jest.fn();
+const mockQueryOne = jest.fn();
+
+jest.unstable_mockModule('../lib/database/connection.js', () => ({
+  query: jest.fn(),
+  queryOne: mockQueryOne,
+  queryAll: mockQueryAll,
+  isDatabaseConnected: () => true
+}));
+
+const mockEnsureItem = jest.fn();
+
+jest.unstable_mockModule('../lib/database/collections.js', () => ({
+  ensureItem: mockEnsureItem
+}));
+
+jest.unstable_mockModule('../lib/database/credential-vault.js', () => ({
+  getServerKey: () => null
+}));
+
+const mockFetchComicVine = jest.fn();
+
+jest.unstable_mockModule('../lib/providers/registry.js', () => ({
+  SERIES_PROVIDERS: {
+    bedetheque: { keyName: null, fetch: jest.fn() },
+    comicvine: { keyName: 'comicvine', fetch: mockFetchComicVine }
+  }
+}));
+
+jest.unstable_mockModule('../lib/providers/mangadex.js', () => ({
+  getMangaDexVolumeCovers: jest.fn()
+}));
+
+const {
+  parseOwned,
+  isAnnounced,
+  computeCompletion,
+  getSeriesCompletion
+} = await import('../lib/database/series-completion.js');
+
+describe('series-completion', () => {
+  beforeEach(() => {
+    mockQueryAll.mockReset();
+    mockQueryOne.mockReset();
+    mockEnsureItem.mockReset();
+    mockFetchComicVine.mockReset();
+  });
+
+  it('should parse owned numbers, ranges and ISBNs', () => {
+    const owned = parseOwned('1-3, T5, tome 7, 12.5, 978-2-01-210133-3, 2-07-061288-0, Intégrale');
+
+    expect([...owned.numbers]).toEqual([1, 2, 3, 5, 7, 12.5]);
+    expect([...owned.isbns]).toEqual(['9782012101333', '9782070612888']);
+    expect(owned.invalid).toEqual(['Intégrale']);
+    expect([...parseOwned([4, '6']).numbers]).toEqual([4, 6]);
+  });
+
+  it('should flag dates after today at their own precision', () => {
+    expect(isAnnounced('2026-11-05', '2026-10-19')).toBe(true);
+    expect(isAnnounced('2026-10', '2026-10-19')).toBe(false);
+    expect(isAnnounced('2027', '2026-10-19')).toBe(true);
+    expect(isAnnounced('2019-10-24', '2026-10-19')).toBe(false);
+    expect(isAnnounced(null, '2026-10-19')).toBe(false);
+  });
+
+  it('should list missing entries and keep announced ones out of the percentage', () => {
+    const entries = [
+      { number: 1, isbn: '9782012101333', releaseDate: '1961-10-29' },
+      { number: 2, isbn: '9782012101340', releaseDate: '1962-09-01' },
+      { number: 3, isbn: null, releaseDate: '1963-05-01' },
+      { number: 4, isbn: null, releaseDate: '2026-11-05' }
+    ];
+    const result = computeCompletion(entries, parseOwned(['9782012101333', '3', '9']), '2026-10-19');
+
+    expect(result.counts).toEqual({ total: 4, released: 3, owned: 2, missing: 1, announced: 1 });
+    expect(result.completion).toBe(66.7);
+    expect(result.missing.map(e => [e.number, e.announced])).toEqual([[2, false], [4, true]]);
+    expect(result.unmatched).toEqual(['9']);
+  });
+
+  it('should fetch uncached Bedetheque albums for missing tomes only', async () => {
+    mockQueryOne.mockResolvedValue({
+      id: 'bedetheque:59', source: 'bedetheque', source_id: '59', name: 'Astérix', item_count: 2,
+      data: { kind: 'album', members: [
+        { position: 1, number: 1, title: 'Tome 1', sourceId: '122' },
+        { position: 2, number: 2, title: 'Tome 2', sourceId: '123' }
+      ] }
+    });
+    mockQueryAll
+      .mockResolvedValueOnce([]) // items rattachés (getSeries)
+      .mockResolvedValueOnce([]) // cache avant récupération
+      .mockResolvedValueOnce([
+        { member_id: '123', isbn: '9782012101340', image_url: 'https://img/2.jpg', release_date: '1962-09-01' }
+      ]);
+    mockEnsureItem.mockResolvedValue({ fetched: true });
+
+    const result = await getSeriesCompletion('bedetheque', '59', '1');
+
+    expect(mockEnsureItem).toHaveBeenCalledTimes(1);
+    expect(mockEnsureItem).toHaveBeenCalledWith('bedetheque', 'album_123', { type: 'book' });
+    expect(result.series).toMatchObject({ id: 'bedetheque:59', name: 'Astérix' });
+    expect(result.missing).toEqual([expect.objectContaining({
+      number: 2, isbn: '9782012101340', image: 'https://img/2.jpg', releaseDate: '1962-09-01', announced: false
+    })]);
+    expect(result.pendingDetails).toBe(0);
+  });
+
+  it('should require an API key before fetching a keyed series', async () => {
+    mockQueryOne.mockResolvedValue(null);
+
+    await expect(getSeriesCompletion('comicvine', '4050', [1])).rejects.toMatchObject({ status: 401 });
+    await expect(getSeriesCompletion('unknown', '1', [1])).rejects.toMatchObject({ status: 400 });
+    expect(mockFetchComicVine).not.toHaveBeenCalled();
+  });
+});
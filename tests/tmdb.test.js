@@ -0,0 +1,89 @@
+/**
+ * tests/tmdb.test.js - Tests hors ligne du provider TMDB
+ *
+ * Réponses rejouées depuis tests/fixtures/http (clé API masquée)
+ * toys_api v4.1.2
+ */
+
+import { getFixtureMode, setFixtureMode } from '../lib/utils/http-fixtures.js';
+import { getTmdbTvSeason, getTmdbTvSeasonNormalized } from '../lib/providers/tmdb.js';
+
+const API_KEY = process.env.TMDB_API_KEY || 'test-key';
+
+describe('TMDB', () => {
+  beforeAll(() => {
+    if (getFixtureMode() !== 'record') setFixtureMode('replay');
+  });
+
+  describe('getTmdbTvSeason', () => {
+    it('should map the season episodes in the requested language', async () => {
+      const season = await getTmdbTvSeason(1399, 1, API_KEY, { lang: 'fr-FR' });
+
+      expect(season).toMatchObject({ id: 3624, seriesId: 1399, seasonNumber: 1, name: 'Saison 1', airDate: '2011-04-17' });
+      expect(season.episodes).toHaveLength(2);
+      expect(season.episodes[0]).toEqual({
+        id: 63056,
+        seasonNumber: 1,
+        number: 1,
+        name: "L'hiver vient",
+        overview: 'Lord Stark est troublé par des rapports.',
+        airDate: '2011-04-17',
+        runtime: 62,
+        still: 'https://image.tmdb.org/t/p/w300/9hGF3WUkBf7cSjMg0cdMDHJkByd.jpg',
+        episodeType: 'standard',
+        voteAverage: 7.9
+      });
+      expect(season.episodes[1].overview).toBeNull();
+    });
+
+    it('should fill missing overviews from English with autoTrad', async () => {
+      const season = await getTmdbTvSeason(1399, 1, API_KEY, { lang: 'fr-FR', autoTrad: true });
+
+      expect(season.episodes[0].overview).toBe('Lord Stark est troublé par des rapports.');
+      expect(season.episodes[1].overview).toBe('While Bran recovers from his fall, Ned takes charge.');
+      expect(season.episodes[1].overviewOriginal).toBe('While Bran recovers from his fall, Ned takes charge.');
+    });
+
+    it('should return null for an unknown season', async () => {
+      expect(await getTmdbTvSeason(1399, 42, API_KEY, { lang: 'fr-FR' })).toBeNull();
+    });
+  });
+
+  describe('getTmdbTvSeasonNormalized', () => {
+    it('should normalize episodes with stable episode IDs', async () => {
+      const season = await getTmdbTvSeasonNormalized(1399, 1, API_KEY, { lang: 'fr-FR' });
+
+      expect(season).toMatchObject({
+        provider_id: '1399',
+        tmdb_id: 1399,
+        season_id: '3624',
+        season_number: 1,
+        total_episodes: 2,
+        runtime_minutes: 118,
+        source: 'tmdb',
+        source_url: 'https://www.themoviedb.org/tv/1399/season/1'
+      });
+      expect(season.episodes).toMatchObject({
+        seasonCount: 1,
+        episodeCount: 2,
+        seasons: [{ number: 1, episodeCount: 2, airDate: '2011-04-17', name: 'Saison 1' }]
+      });
+      expect(season.episodes.list[1]).toEqual({
+        episode_id: '63057',
+        source: 'tmdb',
+        season_number: 1,
+        episode_number: 2,
+        absolute_number: null,
+        code: 'S01E02',
+        title: 'La route royale',
+        description: null,
+        description_original: null,
+        description_translated: null,
+        air_date: '2011-04-24',
+        runtime_minutes: 56,
+        still_url: null,
+        finale_type: null
+      });
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * tests/tvdb.test.js - Tests hors ligne du provider TVDB
+ *
+ * Réponses rejouées depuis tests/fixtures/http (login compris)
+ * toys_api v4.1.2
+ */
+
+import { getFixtureMode, setFixtureMode } from '../lib/utils/http-fixtures.js';
+import { getTvdbSeriesEpisodes, getTvdbSeriesEpisodesNormalized } from '../lib/providers/tvdb.js';
+
+const API_KEY = process.env.TVDB_API_KEY || 'test-key';
+
+describe('TVDB', () => {
+  beforeAll(() => {
+    if (getFixtureMode() !== 'record') setFixtureMode('replay');
+  });
+
+  describe('getTvdbSeriesEpisodes', () => {
+    it('should follow the pages of the default order', async () => {
+      const result = await getTvdbSeriesEpisodes(121361, API_KEY);
+
+      expect(result).toMatchObject({
+        seriesId: 121361,
+        name: 'Game of Thrones',
+        seasonType: 'default',
+        seasonNumber: null,
+        url: 'https://thetvdb.com/series/game-of-thrones/allseasons/official'
+      });
+      expect(result.episodes.map(e => e.id)).toEqual([4721938, 3254641, 3436411]);
+      expect(result.episodes[2]).toEqual({
+        id: 3436411,
+        seasonNumber: 1,
+        number: 2,
+        absoluteNumber: 2,
+        name: 'The Kingsroad',
+        overview: null,
+        airDate: '2011-06-17',
+        runtime: null,
+        still: null,
+        finaleType: 'season'
+      });
+    });
+
+    it('should use the TVDB translated titles and overviews for the requested language', async () => {
+      const result = await getTvdbSeriesEpisodes(121361, API_KEY, { lang: 'fr' });
+
+      expect(result.episodes.map(e => e.name)).toEqual(['Episode 0x1', "L'hiver vient", 'La Route royale']);
+      expect(result.episodes[1].overview).toBe('Lord Eddard Stark est troublé par des rapports inquiétants.');
+      expect(result.episodes[2].overview).toBeNull();
+    });
+
+    it('should filter one season of another order', async () => {
+      const result = await getTvdbSeriesEpisodes(121361, API_KEY, { season: 1, seasonType: 'dvd' });
+
+      expect(result.seasonNumber).toBe(1);
+      expect(result.url).toBe('https://thetvdb.com/series/game-of-thrones/allseasons/dvd');
+      expect(result.episodes).toHaveLength(1);
+    });
+  });
+
+  describe('getTvdbSeriesEpisodesNormalized', () => {
+    it('should normalize episodes and count regular seasons', async () => {
+      const result = await getTvdbSeriesEpisodesNormalized(121361, API_KEY);
+
+      expect(result).toMatchObject({ provider_id: '121361', tvdb_id: 121361, total_seasons: 1, total_episodes: 3, source: 'tvdb' });
+      expect(result.episodes).toMatchObject({
+        seasonCount: 1,
+        episodeCount: 3,
+        seasons: [
+          { number: 0, episodeCount: 1, name: null },
+          { number: 1, episodeCount: 2, airDate: '2011-05-17', name: null }
+        ]
+      });
+      expect(result.episodes.list[0]).toMatchObject({ episode_id: '4721938', code: 'S00E01', absolute_number: null });
+      expect(result.episodes.list[1]).toMatchObject({
+        episode_id: '3254641',
+        code: 'S01E01',
+        title: 'Winter Is Coming',
+        description: 'Lord Eddard Stark is troubled by disturbing reports.',
+        air_date: '2011-05-17',
+        runtime_minutes: 60,
+        still_url: 'https://artworks.thetvdb.com/banners/episodes/121361/3254641.jpg'
+      });
+    });
+  });
+});